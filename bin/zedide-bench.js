@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+'use strict'
+
+/**
+ * benchmark: run a z80 program on ProcessorZ80 for a while and report how fast the cpu ran, as instructions
+ * and t-states per second and as a multiple of a real machine's clock.
+ *
+ * rob andrews <rob@aphlor.org>
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { assemble } from '../src/frontend/assembler.js'
+import ProcessorZ80 from '../src/frontend/cpu/z80.js'
+
+// exit codes
+const EXIT_OK = 0
+const EXIT_TOO_SLOW = 1
+const EXIT_FAULT = 2
+const EXIT_BUILD_FAILED = 3
+const EXIT_USAGE = 10
+
+// instructions run between looks at the clock
+const SLICE = 100000
+
+// the default workload: an endless loop over the sort of code programs spend their time in; summing and
+// copying memory, indexed loads and stores, bit tests, calls and stack traffic
+const WORKLOAD = `
+	.org $0000
+	ld sp, $0000
+loop:
+	ld hl, data
+	ld bc, 256
+	ld d, 0
+sum:
+	ld a, d
+	add a, (hl)
+	ld d, a
+	inc hl
+	dec bc
+	ld a, b
+	or c
+	jr nz, sum
+
+	ld hl, data
+	ld de, copy
+	ld bc, 256
+	ldir
+
+	ld ix, data
+	ld b, 64
+index:
+	ld a, (ix+0)
+	rlca
+	xor (ix+1)
+	ld (ix+2), a
+	bit 0, a
+	call nz, shift
+	inc ix
+	djnz index
+	jp loop
+
+shift:
+	push af
+	push bc
+	ld a, (ix+3)
+	srl a
+	ld (ix+3), a
+	pop bc
+	pop af
+	ret
+
+data:
+	.res 512
+copy:
+	.res 256
+`
+
+/**
+ * show the help information
+ *
+ * @return void
+ */
+const usage = () => {
+  console.log(`${path.basename(process.argv[1])}: measure how fast the Z80 simulator runs.\n` +
+    `\n` +
+    `Usage:\n` +
+    `  ${path.basename(process.argv[1])} [options] [<source>]\n` +
+    `\n` +
+    `  Arguments:\n` +
+    `    -h  --help          This help information\n` +
+    `    --seconds <count>   How long to run for (default 5)\n` +
+    `    --mhz <clock>       Clock speed of the machine to compare against (default 3.5)\n` +
+    `    --require           Exit with status ${EXIT_TOO_SLOW} if the simulator is slower than that machine\n` +
+    `                        (status ${EXIT_FAULT} means the program faulted, ${EXIT_BUILD_FAILED} that it failed to assemble)\n` +
+    `\n` +
+    `  Parameters:\n` +
+    `    <source>            Z80 assembly file to run instead of the built in workload; it should loop\n` +
+    `                        forever (the benchmark ends early if it halts)\n` +
+    `\n` +
+    `  Author:\n` +
+    `    rob andrews <rob@aphlor.org>\n`)
+}
+
+/**
+ * parse a positive number from the command line
+ *
+ * @param string  option  Name of the option (for error messages)
+ * @param string  value   Value to parse
+ * @return number
+ */
+const parseNumber = (option, value) => {
+  const number = (typeof value === 'string') ? Number(value) : NaN
+  if (!Number.isFinite(number) || (number <= 0)) {
+    console.error(`Invalid value for ${option}: ${value}`)
+    process.exit(EXIT_USAGE)
+  }
+
+  return number
+}
+
+// parse the command line
+const options = {seconds: 5, mhz: 3.5, require: false, source: null}
+const args = process.argv.slice(2)
+while (args.length > 0) {
+  const arg = args.shift()
+  switch (arg) {
+    case '-h':
+    case '--help':
+      usage()
+      process.exit(0)
+      break
+
+    case '--seconds':
+      options.seconds = parseNumber(arg, args.shift())
+      break
+
+    case '--mhz':
+      options.mhz = parseNumber(arg, args.shift())
+      break
+
+    case '--require':
+      options.require = true
+      break
+
+    default:
+      if (arg.startsWith('-') || (options.source !== null)) {
+        console.error(`Unexpected argument: ${arg}`)
+        process.exit(EXIT_USAGE)
+      }
+      options.source = arg
+  }
+}
+
+let source = WORKLOAD
+if (options.source !== null) {
+  try {
+    source = fs.readFileSync(options.source).toString()
+  } catch (e) {
+    console.error(`Failed to read source file: ${e}`)
+    process.exit(EXIT_USAGE)
+  }
+}
+
+const { error, ram, memoryMap, banks } = assemble(source)
+if (error !== null) {
+  console.error(`Build failed\n${error.msg} (at line ${error.s.numline}, '${error.s.line}')`)
+  process.exit(EXIT_BUILD_FAILED)
+}
+
+// run in slices until the time is up, with the memory map and banks the program declares; nothing else is
+// attached to the i/o ports
+const cpu = new ProcessorZ80(ram)
+cpu.setMemoryMap(memoryMap)
+if (banks !== null) {
+  cpu.setBanks(banks.count, banks.size)
+  banks.ports.forEach(({port, slot}) => cpu.addBankPort(port, slot))
+}
+const startCycles = cpu.getCycles()
+let instructions = 0
+const start = process.hrtime.bigint()
+let elapsed = 0
+while (elapsed < options.seconds) {
+  const result = cpu.run(SLICE)
+  instructions += result.instructions
+
+  if (result.reason === 'fault') {
+    console.error(`${result.fault.message} at PC 0x${result.fault.pc.toString(16).padStart(4, '0')}`)
+    process.exit(EXIT_FAULT)
+  }
+
+  elapsed = Number(process.hrtime.bigint() - start) / 1e9
+  if (result.reason === 'halt') {
+    console.error(`The program halted after ${elapsed.toFixed(2)}s; the results are for that time only.`)
+    break
+  }
+}
+
+const cycles = cpu.getCycles() - startCycles
+const mhz = cycles / elapsed / 1e6
+console.log(`${instructions} instructions, ${cycles} t-states in ${elapsed.toFixed(2)}s\n` +
+  `${(instructions / elapsed / 1e6).toFixed(2)} million instructions per second\n` +
+  `${mhz.toFixed(2)}MHz, ${(mhz / options.mhz).toFixed(2)}x a ${options.mhz}MHz machine`)
+
+process.exitCode = (options.require && (mhz < options.mhz)) ? EXIT_TOO_SLOW : EXIT_OK
@@ -0,0 +1,335 @@
+#!/usr/bin/env node
+'use strict'
+
+/**
+ * headless runner: assemble a z80 source file, run it on ProcessorZ80 and write port output to stdout.
+ * useful for grading and regression testing programs outside of the browser.
+ *
+ * rob andrews <rob@aphlor.org>
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { assemble } from '../src/frontend/assembler.js'
+import ProcessorZ80 from '../src/frontend/cpu/z80.js'
+import ConsoleDevice from '../src/frontend/cpu/console.js'
+import TextDisplay from '../src/frontend/cpu/display.js'
+import CpmMachine, { toCpmFileName } from '../src/frontend/cpu/cpm.js'
+import { createPeripheral, PeripheralBus } from '../src/frontend/cpu/peripherals/index.js'
+import TraceRecorder, { TRACE_FORMATS, formatTraceEntry, traceHeader } from '../src/frontend/cpu/trace.js'
+
+// exit codes
+const EXIT_HALTED = 0
+const EXIT_FAULT = 1
+const EXIT_LIMIT = 2
+const EXIT_BUILD_FAILED = 3
+const EXIT_USAGE = 10
+
+/**
+ * show the help information
+ *
+ * @return void
+ */
+const usage = () => {
+  console.log(`${path.basename(process.argv[1])}: assemble a Z80 program and run it without the browser.\n` +
+    `\n` +
+    `Usage:\n` +
+    `  ${path.basename(process.argv[1])} [options] <source>\n` +
+    `\n` +
+    `  Arguments:\n` +
+    `    -h  --help                  This help information\n` +
+    `    --max-instructions <count>  Stop after executing this many instructions\n` +
+    `    --max-cycles <count>        Stop once this many T-states have elapsed\n` +
+    `    --output-port <port>        I/O port written to stdout (default $0a; prefix hex with $ or 0x)\n` +
+    `    --status-port <port>        I/O port whose bit 0 says a key is waiting (default $0b)\n` +
+    `    --input <file>              Keys for the program to read from the output port (- for stdin); line\n` +
+    `                                breaks are typed as carriage returns, as the Enter key is in the IDE\n` +
+    `    --key-interrupts            Interrupt the program with the next key when it halts with interrupts\n` +
+    `                                enabled\n` +
+    `    --registers <file>          Write the final registers and run summary as JSON (- for stderr)\n` +
+    `    --display <file>            Write the final contents of the program's text display (- for stderr)\n` +
+    `    --cpm <dir>                 Run the program under CP/M, with the files of this directory on drive A:;\n` +
+    `                                files the program changes are written back to it\n` +
+    `    --trace <file>              Write every instruction executed, with the registers before it (- for\n` +
+    `                                stderr)\n` +
+    `    --trace-format <format>     Format of the trace: text (default), csv, or fuse to compare with the\n` +
+    `                                registers FUSE prints\n` +
+    `\n` +
+    `  Parameters:\n` +
+    `    <source>                    The Z80 assembly file to run\n` +
+    `\n` +
+    `  Exit status:\n` +
+    `    ${EXIT_HALTED}   The program halted (or, under CP/M, warm booted)\n` +
+    `    ${EXIT_FAULT}   The cpu faulted (for example, an invalid instruction or a write to rom)\n` +
+    `    ${EXIT_LIMIT}   The instruction or cycle limit was reached, or a CP/M program ran out of input\n` +
+    `    ${EXIT_BUILD_FAILED}   The program failed to assemble\n` +
+    `    ${EXIT_USAGE}  The command line was not understood\n` +
+    `\n` +
+    `  Author:\n` +
+    `    rob andrews <rob@aphlor.org>\n`)
+}
+
+/**
+ * parse a number from the command line; accepts decimal, or hex prefixed with $ or 0x
+ *
+ * @param string  option  Name of the option (for error messages)
+ * @param string  value   Value to parse
+ * @return number
+ */
+const parseNumber = (option, value) => {
+  const number = (typeof value === 'string')
+    ? Number(value.replace(/^\$/, '0x'))
+    : NaN
+
+  if (!Number.isInteger(number) || (number < 0)) {
+    console.error(`Invalid value for ${option}: ${value}`)
+    process.exit(EXIT_USAGE)
+  }
+
+  return number
+}
+
+// parse the command line
+const options = {
+  maxInstructions: Infinity, maxCycles: Infinity, outputPort: 0x0a, statusPort: 0x0b, input: null,
+  keyInterrupts: false, registers: null, display: null, cpm: null, trace: null, traceFormat: 'text', source: null
+}
+const args = process.argv.slice(2)
+while (args.length > 0) {
+  const arg = args.shift()
+  switch (arg) {
+    case '-h':
+    case '--help':
+      usage()
+      process.exit(0)
+      break
+
+    case '--max-instructions':
+      options.maxInstructions = parseNumber(arg, args.shift())
+      break
+
+    case '--max-cycles':
+      options.maxCycles = parseNumber(arg, args.shift())
+      break
+
+    case '--output-port':
+      options.outputPort = parseNumber(arg, args.shift())
+      break
+
+    case '--status-port':
+      options.statusPort = parseNumber(arg, args.shift())
+      break
+
+    case '--key-interrupts':
+      options.keyInterrupts = true
+      break
+
+    case '--trace-format':
+      options.traceFormat = args.shift()
+      if (!TRACE_FORMATS.includes(options.traceFormat)) {
+        console.error(`Invalid value for ${arg}: ${options.traceFormat}`)
+        process.exit(EXIT_USAGE)
+      }
+      break
+
+    case '--input':
+    case '--registers':
+    case '--display':
+    case '--cpm':
+    case '--trace':
+      if (args.length === 0) {
+        console.error(`Missing value for ${arg}`)
+        process.exit(EXIT_USAGE)
+      }
+      options[arg.slice(2)] = args.shift()
+      break
+
+    default:
+      if (arg.startsWith('-') || (options.source !== null)) {
+        console.error(`Unexpected argument: ${arg}`)
+        process.exit(EXIT_USAGE)
+      }
+      options.source = arg
+  }
+}
+
+if (options.source === null) {
+  console.error('Please specify a source file to run.')
+  process.exit(EXIT_USAGE)
+}
+
+// read and assemble the source
+let source
+try {
+  source = fs.readFileSync(options.source).toString()
+} catch (e) {
+  console.error(`Failed to read source file: ${e}`)
+  process.exit(EXIT_USAGE)
+}
+
+const { error, ram, memoryMap, banks, display, ranges, peripherals } = assemble(source)
+if (error !== null) {
+  console.error(`Build failed\n${error.msg} (at line ${error.s.numline}, '${error.s.line}')`)
+  process.exit(EXIT_BUILD_FAILED)
+}
+
+if ((options.display !== null) && (display === null)) {
+  console.error('The program does not declare a display with .pragma display.')
+  process.exit(EXIT_USAGE)
+}
+
+// keys are read as bytes, so that every byte of the file reaches the program unchanged
+let input = ''
+if (options.input !== null) {
+  try {
+    input = fs.readFileSync((options.input === '-') ? 0 : options.input).toString('latin1').replace(/\r?\n/g, '\r')
+  } catch (e) {
+    console.error(`Failed to read input file: ${e}`)
+    process.exit(EXIT_USAGE)
+  }
+}
+
+// under cp/m, the files of the directory whose names suit cp/m are on drive a:, keeping the names they have
+// on the host
+const files = new Map()
+const hostNames = new Map()
+if (options.cpm !== null) {
+  try {
+    fs.readdirSync(options.cpm, {withFileTypes: true}).forEach((entry) => {
+      const name = toCpmFileName(entry.name)
+      if (entry.isFile() && (name !== null) && !files.has(name)) {
+        files.set(name, new Uint8Array(fs.readFileSync(path.join(options.cpm, entry.name))))
+        hostNames.set(name, entry.name)
+      }
+    })
+  } catch (e) {
+    console.error(`Failed to read cp/m directory: ${e}`)
+    process.exit(EXIT_USAGE)
+  }
+}
+
+// run the program with the memory map and banks it declares and a console whose output goes to stdout, with
+// the input file typed in ahead; reads from other ports see 0xff
+const cpu = new ProcessorZ80((options.cpm === null) ? ram : null)
+cpu.setMemoryMap(memoryMap)
+if (banks !== null) {
+  cpu.setBanks(banks.count, banks.size)
+  banks.ports.forEach(({port, slot}) => cpu.addBankPort(port, slot))
+}
+const keyboard = new ConsoleDevice(cpu, (data) => process.stdout.write(Buffer.from([data])), {
+  dataPort: options.outputPort,
+  statusPort: options.statusPort,
+  interrupts: options.keyInterrupts
+})
+keyboard.type(input)
+
+let machine = null
+if (options.cpm !== null) {
+  try {
+    machine = new CpmMachine(cpu, keyboard, files)
+    machine.load(ram, ranges)
+  } catch (e) {
+    console.error(`Failed to load the program into cp/m: ${e.message}`)
+    process.exit(EXIT_USAGE)
+  }
+}
+
+// the peripherals the program declares are clocked after each instruction; nothing gives them input here, so
+// switches stay off
+const bus = new PeripheralBus(cpu)
+peripherals.forEach((declaration) => bus.add(createPeripheral(declaration)))
+
+// the trace is written as the program runs, a batch of instructions at a time, so that it can be any length
+let trace = null
+if (options.trace !== null) {
+  let fd
+  try {
+    fd = (options.trace === '-') ? process.stderr.fd : fs.openSync(options.trace, 'w')
+  } catch (e) {
+    console.error(`Failed to open trace file: ${e}`)
+    process.exit(EXIT_USAGE)
+  }
+
+  const write = (lines) => fs.writeSync(fd, lines.map((line) => `${line}\n`).join(''))
+  const header = traceHeader(options.traceFormat)
+  if (header !== null)
+    write([header])
+
+  trace = new TraceRecorder({
+    mode: 'full',
+    limit: 10000,
+    sink: (entries) => write(entries.map((entry) => formatTraceEntry(entry, options.traceFormat)))
+  })
+  trace.attach(cpu)
+}
+
+// with key interrupts, a halt with interrupts enabled waits for the next key, which interrupts the program, as
+// does a peripheral's interrupt; once the keys have run out, the halt ends the program, unless a peripheral
+// (such as a ctc) is timing towards an interrupt
+const reachedCycles = (cpu) => bus.clock(cpu) || (cpu.getCycles() >= options.maxCycles)
+let result
+let instructions = 0
+for (;;) {
+  result = (machine === null)
+    ? cpu.runUntil(reachedCycles, options.maxInstructions - instructions)
+    : machine.run(options.maxInstructions - instructions, reachedCycles)
+  instructions += result.instructions
+  if (result.reason !== 'halt')
+    break
+  if (keyboard.requestInterrupt() || bus.requestInterrupt())
+    continue
+  if (!cpu.getInterruptState() || !bus.isTiming())
+    break
+
+  result = bus.waitForInterrupt(options.maxInstructions - instructions, reachedCycles)
+  instructions += result.instructions
+  if (result.reason !== 'interrupt')
+    break
+}
+
+trace?.flush()
+
+// there are no breakpoints or watchpoints, so the cpu stops on halt, a fault or one of the limits (or, under
+// cp/m, a warm boot or a wait for more input than there is); the limits are reported by name rather than as
+// runUntil()'s condition and budget
+const exitCodes = {halt: EXIT_HALTED, exit: EXIT_HALTED, fault: EXIT_FAULT, condition: EXIT_LIMIT, budget: EXIT_LIMIT, input: EXIT_LIMIT}
+const reasons = {halt: 'halt', exit: 'exit', fault: 'fault', condition: 'cycles', budget: 'instructions', input: 'input'}
+if (result.reason === 'fault')
+  console.error(`${result.fault.message} at PC 0x${result.fault.pc.toString(16).padStart(4, '0')}`)
+
+// write back the files the cp/m program created or changed, and remove the ones it deleted or renamed
+const changed = machine?.takeChangedFiles() ?? null
+if (changed !== null) {
+  hostNames.forEach((hostName, name) => {
+    if (!changed.has(name))
+      fs.unlinkSync(path.join(options.cpm, hostName))
+  })
+  changed.forEach((data, name) => fs.writeFileSync(path.join(options.cpm, hostNames.get(name) ?? name), data))
+}
+
+if (options.registers !== null) {
+  const dump = JSON.stringify({
+    reason: reasons[result.reason],
+    instructions,
+    cycles: cpu.getCycles(),
+    halted: cpu.isHalted(),
+    interrupts: cpu.getInterruptState(),
+    registers: cpu.getRegisters(),
+    peripherals: bus.getStates()
+  }, null, 2)
+
+  if (options.registers === '-')
+    console.error(dump)
+  else
+    fs.writeFileSync(options.registers, `${dump}\n`)
+}
+
+if (options.display !== null) {
+  const screen = new TextDisplay(display).render(cpu.getAddressSpace()).join('\n')
+  if (options.display === '-')
+    console.error(screen)
+  else
+    fs.writeFileSync(options.display, `${screen}\n`)
+}
+
+process.exitCode = exitCodes[result.reason]
@@ -0,0 +1,76 @@
+/**
+ * tests for the headless runner, run as a command as it would be from a shell
+ *
+ * rob andrews <rob@aphlor.org>
+ */
+
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { spawnSync } from 'child_process'
+import { fileURLToPath } from 'url'
+
+const runner = fileURLToPath(new URL('./zedide-run.js', import.meta.url))
+const helloWorld = fileURLToPath(new URL('../examples/hello_world.z80', import.meta.url))
+
+let directory
+
+beforeAll(() => directory = fs.mkdtempSync(path.join(os.tmpdir(), 'zedide-run-')))
+afterAll(() => fs.rmSync(directory, {recursive: true, force: true}))
+
+/**
+ * write a program to a file for the runner
+ *
+ * @param string  name    File name
+ * @param string  source  Assembly source
+ * @return string Path of the file
+ */
+const sourceFile = (name, source) => {
+  const file = path.join(directory, name)
+  fs.writeFileSync(file, source)
+  return file
+}
+
+/**
+ * run the runner to completion
+ *
+ * @param array args  Command line arguments
+ * @return Object {status, stdout, stderr}
+ */
+const run = (args) => spawnSync(process.execPath, [runner, ...args], {encoding: 'latin1', timeout: 60000})
+
+test('It runs a program to its halt, writing port output to stdout and the registers as JSON', () => {
+  const {status, stdout, stderr} = run(['--registers', '-', helloWorld])
+  expect(status).toBe(0)
+  expect(stdout).toBe('Hello, world!')
+
+  // four instructions to get to main and one to point at the message, six for each of its 13 characters and
+  // four to find its end and halt
+  const dump = JSON.parse(stderr)
+  expect(dump).toMatchObject({reason: 'halt', instructions: 4 + 1 + (13 * 6) + 4, cycles: 700, halted: true, peripherals: []})
+  expect(dump.registers.pc).toBe(0x010e)
+})
+
+test('It stops at the instruction and t-state limits', () => {
+  const loop = sourceFile('loop.z80', '\t.org $0000\nloop:\n\tjr loop\n')
+
+  const instructions = run(['--max-instructions', '1000', '--registers', '-', loop])
+  expect(instructions.status).toBe(2)
+  expect(JSON.parse(instructions.stderr)).toMatchObject({reason: 'instructions', instructions: 1000, cycles: 12000})
+
+  const cycles = run(['--max-cycles', '$1000', '--registers', '-', loop])
+  expect(cycles.status).toBe(2)
+  expect(JSON.parse(cycles.stderr)).toMatchObject({reason: 'cycles', cycles: 0x1008})
+})
+
+test('It reports a fault with the address of the instruction, and rejects bad builds and options', () => {
+  const fault = sourceFile('fault.z80', '\t.pragma rom, $0000, $00ff, fault\n\t.org $0000\n\tnop\n\tld ($0010),a\n\thalt\n')
+  const faulted = run([fault])
+  expect(faulted.status).toBe(1)
+  expect(faulted.stdout).toBe('')
+  expect(faulted.stderr).toBe('CPU FAULT: write of 0xff to read-only memory at 0x0010 at PC 0x0001\n')
+
+  const broken = sourceFile('broken.z80', '\t.org $0000\n\tld q,1\n')
+  expect(run([broken])).toMatchObject({status: 3, stdout: ''})
+  expect(run(['--max-cycles', 'lots', helloWorld])).toMatchObject({status: 10, stderr: 'Invalid value for --max-cycles: lots\n'})
+})
@@ -0,0 +1,329 @@
+'use strict'
+
+/**
+ * assembles z80 source with asm80 into a memory image for ProcessorZ80; shared by the ide and the headless
+ * runner (bin/zedide-run.js) so that both build programs the same way.
+ *
+ * rob andrews <rob@aphlor.org>
+ */
+
+import ASM from '@justnine/asm80/asm.js'
+import Monolith from '@justnine/asm80/monolith.js'
+import AsmParser from '@justnine/asm80/parser.js'
+import MemoryMap from 'nrf-intel-hex'
+import { createPeripheral } from './cpu/peripherals/index.js'
+
+/**
+ * take asm80's build parser data and create an array matching addresses to line numbers.
+ *
+ * @param array parserData  asm80's build data from ASM.compile(data)[1][0]
+ * @return array
+ */
+const translateParserDataIntoLineMap = (parserData) => {
+  let lineMap = []
+  parserData.forEach((parsedItem) => {
+    if (parsedItem.bytes === 0)
+      return
+
+    lineMap[parsedItem.addr] = parsedItem.numline
+  })
+  return lineMap
+}
+
+/**
+ * take asm80's build parser data and find the parts of memory the program assembles to, as a sorted list of
+ * {start, end} ranges with neighbouring ranges merged.
+ *
+ * @param array parserData  asm80's build data from ASM.compile(data)[1][0]
+ * @return array
+ */
+const translateParserDataIntoRanges = (parserData) => {
+  let ranges = []
+  parserData
+    .filter((parsedItem) => parsedItem.bytes > 0)
+    .map((parsedItem) => ({start: parsedItem.addr, end: Math.min(parsedItem.addr + parsedItem.bytes - 1, 0xffff)}))
+    .sort((a, b) => a.start - b.start)
+    .forEach((range) => {
+      const last = ranges[ranges.length - 1]
+      if ((typeof last !== 'undefined') && (range.start <= last.end + 1))
+        last.end = Math.max(last.end, range.end)
+      else
+        ranges.push(range)
+    })
+  return ranges
+}
+
+/**
+ * take asm80's symbol table and keep the labels and equates, keyed by their lowercase names.
+ *
+ * @param Object  symbols asm80's symbol table from ASM.compile(data)[1][1]
+ * @return Object
+ */
+const translateSymbols = (symbols) => {
+  let labels = {}
+  Object.keys(symbols).forEach((name) => {
+    // asm80 keeps its own bookkeeping (_PC, __PRAGMAS) and a NAME$ entry for each symbol alongside the labels
+    if (name.startsWith('_') || name.endsWith('$') || (typeof symbols[name] !== 'number'))
+      return
+
+    labels[name.toLowerCase()] = symbols[name]
+  })
+  return labels
+}
+
+/**
+ * collect the memory map declared with .pragma directives, as regions for ProcessorZ80.setMemoryMap():
+ *
+ *   .pragma rom, <start>, <end>           writes to start-end are ignored
+ *   .pragma rom, <start>, <end>, fault    writes to start-end fault the cpu
+ *   .pragma ram, <start>, <end>           start-end is writable, even inside an earlier rom region
+ *
+ * start and end are expressions, so they may use labels and equates. other pragmas are left to asm80.
+ * returns {error, regions}, where error is null or an object shaped like asm80's errors.
+ *
+ * @param array   parserData  asm80's build data from ASM.compile(data)[1][0]
+ * @param Object  symbols     asm80's symbol table from ASM.compile(data)[1][1]
+ * @return Object
+ */
+const translatePragmasIntoMemoryMap = (parserData, symbols) => {
+  let regions = []
+  for (const parsedItem of parserData) {
+    if ((parsedItem.opcode !== '.PRAGMA') || parsedItem.ifskip)
+      continue
+
+    const [type, start, end, fault] = parsedItem.params.map((param) => param.trim())
+    if (!['rom', 'ram'].includes(type.toLowerCase()))
+      continue
+
+    const region = {start: null, end: null, type: type.toLowerCase(), fault: false}
+    try {
+      region.start = AsmParser.Parser.evaluate(start, symbols)
+      region.end = AsmParser.Parser.evaluate(end, symbols)
+    } catch (e) {
+      return {error: {msg: `Invalid ${region.type} region: ${e.message}`, s: parsedItem}, regions: []}
+    }
+
+    if (!Number.isInteger(region.start) || !Number.isInteger(region.end) || (region.start < 0) ||
+      (region.end > 0xffff) || (region.end < region.start))
+      return {error: {msg: `Invalid ${region.type} region: addresses must be between 0 and $ffff, with the end after the start`, s: parsedItem}, regions: []}
+
+    if (typeof fault !== 'undefined') {
+      if ((region.type !== 'rom') || (fault.toLowerCase() !== 'fault') || (parsedItem.params.length > 4))
+        return {error: {msg: `Invalid ${region.type} region: unexpected '${parsedItem.params.slice(3).join(', ')}'`, s: parsedItem}, regions: []}
+
+      region.fault = true
+    }
+
+    regions.push(region)
+  }
+
+  return {error: null, regions}
+}
+
+/**
+ * collect the banked memory declared with .pragma directives, for ProcessorZ80.setBanks() and addBankPort():
+ *
+ *   .pragma banks, <count>            count 16KB banks, which can be paged into the four 16KB slots of memory
+ *   .pragma bankport, <port>, <slot>  writing n to the i/o port pages bank n into the slot (0-3)
+ *
+ * as with the memory map, the parameters are expressions. returns {error, banks}, where banks is null when
+ * none are declared or {count, size, ports} with ports holding a {port, slot} for each bankport.
+ *
+ * @param array   parserData  asm80's build data from ASM.compile(data)[1][0]
+ * @param Object  symbols     asm80's symbol table from ASM.compile(data)[1][1]
+ * @return Object
+ */
+const translatePragmasIntoBanks = (parserData, symbols) => {
+  const bankSize = 0x4000
+  let banks = null
+  let ports = []
+  let firstPort = null
+  for (const parsedItem of parserData) {
+    if ((parsedItem.opcode !== '.PRAGMA') || parsedItem.ifskip)
+      continue
+
+    const [type, ...params] = parsedItem.params.map((param) => param.trim())
+    const [name, limits] = {
+      banks: ['bank count', [[1, 256]]],
+      bankport: ['bank port', [[0, 0xff], [0, (0x10000 / bankSize) - 1]]]
+    }[type.toLowerCase()] ?? [null, null]
+    if (name === null)
+      continue
+
+    if (params.length !== limits.length)
+      return {error: {msg: `Invalid ${name}: expected ${limits.length} parameter(s)`, s: parsedItem}, banks: null}
+
+    let values
+    try {
+      values = params.map((param) => AsmParser.Parser.evaluate(param, symbols))
+    } catch (e) {
+      return {error: {msg: `Invalid ${name}: ${e.message}`, s: parsedItem}, banks: null}
+    }
+
+    const outOfRange = values.findIndex((value, index) => !Number.isInteger(value) || (value < limits[index][0]) || (value > limits[index][1]))
+    if (outOfRange !== -1)
+      return {error: {msg: `Invalid ${name}: '${params[outOfRange]}' must be between ${limits[outOfRange][0]} and ${limits[outOfRange][1]}`, s: parsedItem}, banks: null}
+
+    if (type.toLowerCase() === 'banks')
+      banks = {count: values[0], size: bankSize, ports}
+    else {
+      ports.push({port: values[0], slot: values[1]})
+      firstPort = firstPort ?? parsedItem
+    }
+  }
+
+  if ((banks === null) && (firstPort !== null))
+    return {error: {msg: 'Invalid bank port: no banks have been declared with .pragma banks', s: firstPort}, banks: null}
+
+  return {error: null, banks}
+}
+
+/**
+ * find the memory mapped text display declared with a .pragma directive, for cpu/display.js:
+ *
+ *   .pragma display, <address>, <columns>, <rows>   a screen of columns x rows characters, one byte each and
+ *                                                   row by row, from address
+ *
+ * as with the memory map, the parameters are expressions. returns {error, display}, where display is null when
+ * none is declared or {address, columns, rows}.
+ *
+ * @param array   parserData  asm80's build data from ASM.compile(data)[1][0]
+ * @param Object  symbols     asm80's symbol table from ASM.compile(data)[1][1]
+ * @return Object
+ */
+const translatePragmaIntoDisplay = (parserData, symbols) => {
+  let display = null
+  for (const parsedItem of parserData) {
+    if ((parsedItem.opcode !== '.PRAGMA') || parsedItem.ifskip)
+      continue
+
+    const [type, ...params] = parsedItem.params.map((param) => param.trim())
+    if (type.toLowerCase() !== 'display')
+      continue
+
+    if (display !== null)
+      return {error: {msg: 'Invalid display: only one display can be declared', s: parsedItem}, display: null}
+
+    if (params.length !== 3)
+      return {error: {msg: 'Invalid display: expected an address, columns and rows', s: parsedItem}, display: null}
+
+    let address, columns, rows
+    try {
+      [address, columns, rows] = params.map((param) => AsmParser.Parser.evaluate(param, symbols))
+    } catch (e) {
+      return {error: {msg: `Invalid display: ${e.message}`, s: parsedItem}, display: null}
+    }
+
+    if (![address, columns, rows].every(Number.isInteger) || (address < 0) || (columns < 1) || (columns > 255) ||
+      (rows < 1) || (rows > 255) || (address + (columns * rows) > 0x10000))
+      return {error: {msg: 'Invalid display: columns and rows must be between 1 and 255, and the screen must fit in memory', s: parsedItem}, display: null}
+
+    display = {address, columns, rows}
+  }
+
+  return {error: null, display}
+}
+
+/**
+ * collect the peripherals declared with .pragma directives, for cpu/peripherals/index.js:
+ *
+ *   .pragma peripheral, <type>[, <parameter>...]   attach a peripheral of the type (leds, segments, switches,
+ *                                                  ctc, pio, sio)
+ *
+ * the type is a name, and the parameters are expressions. each declaration is checked by creating the
+ * peripheral, so that a mistake is reported against its line. returns {error, peripherals}, where peripherals
+ * holds a {type, params} for each declaration, in order.
+ *
+ * @param array   parserData  asm80's build data from ASM.compile(data)[1][0]
+ * @param Object  symbols     asm80's symbol table from ASM.compile(data)[1][1]
+ * @return Object
+ */
+const translatePragmasIntoPeripherals = (parserData, symbols) => {
+  const peripherals = []
+  for (const parsedItem of parserData) {
+    if ((parsedItem.opcode !== '.PRAGMA') || parsedItem.ifskip)
+      continue
+
+    const [type, ...params] = parsedItem.params.map((param) => param.trim())
+    if (type.toLowerCase() !== 'peripheral')
+      continue
+
+    if (params.length === 0)
+      return {error: {msg: 'Invalid peripheral: expected a type', s: parsedItem}, peripherals: []}
+
+    let peripheral
+    try {
+      peripheral = {type: params[0].toLowerCase(), params: params.slice(1).map((param) => AsmParser.Parser.evaluate(param, symbols))}
+      createPeripheral(peripheral)
+    } catch (e) {
+      return {error: {msg: `Invalid peripheral: ${e.message}`, s: parsedItem}, peripherals: []}
+    }
+
+    peripherals.push(peripheral)
+  }
+
+  return {error: null, peripherals}
+}
+
+/**
+ * create a contiguous memory block, 64KB in size, for the cpu to run.
+ * accepts an intel hex format file as input.
+ *
+ * @param string  intelHex  Intel hex format assembled code
+ * @return Uint8Array
+ */
+const createContiguousMemoryBlock = (intelHex) => {
+  const compiledBinary = MemoryMap.fromHex(intelHex)
+  return compiledBinary.slicePad(0, Math.pow(2, 16), 0)
+}
+
+/**
+ * assemble source code. returns {error, ram, lineMap, ranges, symbols, memoryMap, banks, display, peripherals}:
+ * on success error is null, ram is the 64KB memory image, lineMap maps addresses to source line numbers, ranges
+ * lists the parts of memory the program assembles to (see translateParserDataIntoRanges()), symbols maps
+ * (lowercase) label names to their values, memoryMap holds the rom and ram regions declared with .pragma (see
+ * translatePragmasIntoMemoryMap()), banks the banked memory (see translatePragmasIntoBanks()), display the
+ * text display (see translatePragmaIntoDisplay()) and peripherals the peripherals to attach (see
+ * translatePragmasIntoPeripherals()); on failure error is asm80's error object (with msg and s.numline/s.line
+ * describing the failure) and ram is null.
+ *
+ * @param string  source  The source code to assemble
+ * @return Object
+ */
+const assemble = (source) => {
+  let [error, build] = ASM.compile(source, Monolith.Z80)
+  const failed = (error) => ({error, ram: null, lineMap: [], ranges: [], symbols: {}, memoryMap: [], banks: null, display: null,
+    peripherals: []})
+  if (error !== null)
+    return failed(error)
+
+  const memoryMap = translatePragmasIntoMemoryMap(build[0], build[1])
+  if (memoryMap.error !== null)
+    return failed(memoryMap.error)
+
+  const banks = translatePragmasIntoBanks(build[0], build[1])
+  if (banks.error !== null)
+    return failed(banks.error)
+
+  const display = translatePragmaIntoDisplay(build[0], build[1])
+  if (display.error !== null)
+    return failed(display.error)
+
+  const peripherals = translatePragmasIntoPeripherals(build[0], build[1])
+  if (peripherals.error !== null)
+    return failed(peripherals.error)
+
+  return {
+    error: null,
+    ram: createContiguousMemoryBlock(ASM.hex(build[0])),
+    lineMap: translateParserDataIntoLineMap(build[0]),
+    ranges: translateParserDataIntoRanges(build[0]),
+    symbols: translateSymbols(build[1]),
+    memoryMap: memoryMap.regions,
+    banks: banks.banks,
+    display: display.display,
+    peripherals: peripherals.peripherals
+  }
+}
+
+export { assemble }
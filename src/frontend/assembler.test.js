@@ -0,0 +1,132 @@
+/**
+ * tests for the assembler pipeline
+ *
+ * rob andrews <rob@aphlor.org>
+ */
+
+import { assemble } from './assembler.js'
+
+test('It assembles source into a 64KB memory image with a line map', () => {
+  const {error, ram, lineMap} = assemble(
+    '\t.org $0100\n' +
+    'start:\n' +
+    '\tld a, $41\n' +
+    '\tjp start\n'
+  )
+
+  expect(error).toBeNull()
+  expect(ram.length).toBe(Math.pow(2, 16))
+  expect(Array.from(ram.slice(0x0100, 0x0105))).toStrictEqual([0x3e, 0x41, 0xc3, 0x00, 0x01])
+  expect(lineMap[0x0100]).toBe(3)
+  expect(lineMap[0x0102]).toBe(4)
+})
+
+test('It lists the parts of memory the program assembles to', () => {
+  const {ranges} = assemble(
+    '\t.org $8000\n' +
+    '\tld a, 1\n' +
+    '\tret\n' +
+    '\t.db "hi", 0\n' +
+    '\t.res 4\n' +
+    '\tnop\n' +
+    '\t.org $0038\n' +
+    '\treti\n'
+  )
+
+  expect(ranges).toStrictEqual([{start: 0x0038, end: 0x0039}, {start: 0x8000, end: 0x8005}, {start: 0x800a, end: 0x800a}])
+})
+
+test('It returns the values of labels and equates', () => {
+  const {symbols} = assemble(
+    'bdos\t.equ $0005\n' +
+    '\t.org $0100\n' +
+    'start:\n' +
+    '\tcall bdos\n' +
+    'end:\n'
+  )
+
+  expect(symbols).toStrictEqual({bdos: 0x0005, start: 0x0100, end: 0x0103})
+})
+
+test('It reports assembly errors', () => {
+  const {error, ram} = assemble('\tld a,\n')
+  expect(error.s.numline).toBe(1)
+  expect(ram).toBeNull()
+})
+
+test('It collects rom and ram regions declared with .pragma', () => {
+  const {error, memoryMap} = assemble(
+    'romend\t.equ $3fff\n' +
+    '\t.pragma rom, 0, romend\n' +
+    '\t.pragma ram, $2000, $2fff\n' +
+    '\t.pragma rom, $c000, $ffff, fault\n' +
+    '\t.pragma hexlen, 32\n' +
+    '\tnop\n'
+  )
+
+  expect(error).toBeNull()
+  expect(memoryMap).toStrictEqual([
+    {start: 0x0000, end: 0x3fff, type: 'rom', fault: false},
+    {start: 0x2000, end: 0x2fff, type: 'ram', fault: false},
+    {start: 0xc000, end: 0xffff, type: 'rom', fault: true}
+  ])
+})
+
+test('It reports invalid memory regions', () => {
+  expect(assemble('\tnop\n\t.pragma rom, $4000, $3fff\n').error.s.numline).toBe(2)
+  expect(assemble('\t.pragma rom, 0, nowhere\n').error.msg).toMatch(/^Invalid rom region: /)
+  expect(assemble('\t.pragma ram, 0, $ff, fault\n').error.s.numline).toBe(1)
+})
+
+test('It collects banked memory declared with .pragma', () => {
+  expect(assemble('\tnop\n').banks).toBeNull()
+
+  const {error, banks} = assemble(
+    'pageport\t.equ $fe\n' +
+    '\t.pragma banks, 8\n' +
+    '\t.pragma bankport, pageport, 3\n' +
+    '\t.pragma bankport, pageport - 1, 2\n'
+  )
+  expect(error).toBeNull()
+  expect(banks).toStrictEqual({count: 8, size: 0x4000, ports: [{port: 0xfe, slot: 3}, {port: 0xfd, slot: 2}]})
+
+  expect(assemble('\t.pragma bankport, $fe, 3\n').error.msg).toBe('Invalid bank port: no banks have been declared with .pragma banks')
+  expect(assemble('\t.pragma banks, 4\n\t.pragma bankport, $fe, 4\n').error.s.numline).toBe(2)
+  expect(assemble('\t.pragma banks\n').error.msg).toBe('Invalid bank count: expected 1 parameter(s)')
+})
+
+test('It finds a text display declared with .pragma', () => {
+  expect(assemble('\tnop\n').display).toBeNull()
+
+  const {error, display} = assemble(
+    'screen\t.equ $f000\n' +
+    '\t.pragma display, screen, 40, 25\n'
+  )
+  expect(error).toBeNull()
+  expect(display).toStrictEqual({address: 0xf000, columns: 40, rows: 25})
+
+  expect(assemble('\t.pragma display, $f000, 40\n').error.msg).toBe('Invalid display: expected an address, columns and rows')
+  expect(assemble('\t.pragma display, $fe00, 40, 25\n').error.s.numline).toBe(1)
+  expect(assemble('\t.pragma display, 0, 40, 25\n\t.pragma display, 0, 80, 25\n').error.s.numline).toBe(2)
+})
+
+test('It collects the peripherals declared with .pragma', () => {
+  expect(assemble('\tnop\n').peripherals).toStrictEqual([])
+
+  const {error, peripherals} = assemble(
+    'digits\t.equ $f800\n' +
+    '\t.pragma peripheral, LEDs, $10\n' +
+    '\t.pragma peripheral, segments, digits, 2\n' +
+    '\t.pragma peripheral, switches, $20, $ff\n'
+  )
+  expect(error).toBeNull()
+  expect(peripherals).toStrictEqual([
+    {type: 'leds', params: [0x10]},
+    {type: 'segments', params: [0xf800, 2]},
+    {type: 'switches', params: [0x20, 0xff]}
+  ])
+
+  expect(assemble('\t.pragma peripheral\n').error.msg).toBe('Invalid peripheral: expected a type')
+  expect(assemble('\t.pragma peripheral, lcd\n').error.msg).toMatch(/^Invalid peripheral: unknown peripheral: lcd/)
+  expect(assemble('\tnop\n\t.pragma peripheral, segments, $fffe\n').error.s.numline).toBe(2)
+})
@@ -0,0 +1,125 @@
+'use strict'
+
+// status port bit set whilst a key is waiting
+const KEY_WAITING = 0x01
+
+/**
+ * a terminal style console attached to a ProcessorZ80's i/o ports. bytes the program writes to the data port
+ * are passed on as output; keys typed at the console are buffered until the program reads them back from the
+ * same port, and a status port tells the program whether a key is waiting.
+ *
+ *   data port (default 0x0a)    write: output a character   read: take the next key (0x00 if none is waiting)
+ *   status port (default 0x0b)  read: bit 0 is set whilst a key is waiting
+ *
+ * optionally, a waiting key raises a maskable interrupt (see requestInterrupt()), so that a program can sleep
+ * in a halt until something is typed.
+ *
+ * rob andrews <rob@aphlor.org>
+ */
+class ConsoleDevice
+{
+  #cpu
+  #output
+  #interrupts
+  #keys = []
+
+  /**
+   * Constructor; attaches the console to the cpu's i/o ports
+   *
+   * @param ProcessorZ80  cpu     Cpu to attach to
+   * @param function      output  Called with each byte the program writes to the data port
+   * @param Object        options {dataPort, statusPort, interrupts}; interrupts is true for a waiting key to
+   *                              raise an interrupt
+   */
+  constructor(cpu, output, {dataPort = 0x0a, statusPort = 0x0b, interrupts = false} = {})
+  {
+    this.#cpu = cpu
+    this.#output = output
+    this.#interrupts = interrupts
+
+    cpu.addIoHandler(dataPort, (mode, data) => {
+      if (mode === 'r')
+        return this.#keys.shift() ?? 0x00
+
+      this.#output(data)
+    })
+    cpu.addIoHandler(statusPort, (mode) => {
+      if (mode === 'r')
+        return (this.#keys.length > 0) ? KEY_WAITING : 0x00
+    })
+  }
+
+  /**
+   * Buffer keys for the program to read; each character becomes one byte (characters which don't fit in a
+   * byte become '?')
+   *
+   * @param string  text  Keys typed
+   * @return void
+   */
+  type(text)
+  {
+    Array.from(text).forEach((character) => {
+      const code = character.codePointAt(0)
+      this.#keys.push((code > 0xff) ? 0x3f : code)
+    })
+  }
+
+  /**
+   * Take the next key, as the program does when it reads the data port
+   *
+   * @return number|null  The key, or null when none is waiting
+   */
+  read()
+  {
+    return this.#keys.shift() ?? null
+  }
+
+  /**
+   * Output a byte, as the program does when it writes to the data port
+   *
+   * @param number  data  Byte to output
+   * @return void
+   */
+  write(data)
+  {
+    this.#output(data)
+  }
+
+  /**
+   * Get the number of keys waiting to be read
+   *
+   * @return number
+   */
+  keysWaiting()
+  {
+    return this.#keys.length
+  }
+
+  /**
+   * Check whether typing a key would interrupt the cpu; that is, key interrupts are turned on and the program
+   * has enabled interrupts
+   *
+   * @return boolean
+   */
+  canWake()
+  {
+    return this.#interrupts && this.#cpu.getInterruptState()
+  }
+
+  /**
+   * Raise a maskable interrupt if interrupts are turned on and a key is waiting; like the /INT line of a
+   * real keyboard controller, the request stands until the program reads the key, so call this whenever the
+   * cpu could take an interrupt (between runs, and after keys are typed)
+   *
+   * @return boolean  true if the cpu accepted an interrupt
+   */
+  requestInterrupt()
+  {
+    if (!this.#interrupts || (this.#keys.length === 0))
+      return false
+
+    return this.#cpu.requestInterrupt()
+  }
+}
+
+export default ConsoleDevice
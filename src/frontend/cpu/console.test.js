@@ -0,0 +1,98 @@
+/**
+ * tests for the ConsoleDevice class
+ *
+ * rob andrews <rob@aphlor.org>
+ */
+
+import ProcessorZ80 from './z80.js'
+import ConsoleDevice from './console.js'
+
+test('It writes output and serves typed keys through its ports', () => {
+  let program = new Uint8Array(Math.pow(2, 16))
+  program.set([
+    0xdb, 0x0b,       // in a,($0b)
+    0x47,             // ld b,a
+    0xdb, 0x0a,       // in a,($0a)
+    0xd3, 0x0a,       // out ($0a),a
+    0xdb, 0x0b,       // in a,($0b)
+    0x4f,             // ld c,a
+    0xdb, 0x0a,       // in a,($0a)
+    0x57,             // ld d,a
+    0xdb, 0x0b,       // in a,($0b)
+    0x5f,             // ld e,a
+    0xdb, 0x0a,       // in a,($0a)
+    0x76              // halt
+  ])
+  const cpu = new ProcessorZ80(program)
+  const output = []
+  const device = new ConsoleDevice(cpu, (data) => output.push(data))
+
+  device.type('hé')
+  expect(device.keysWaiting()).toBe(2)
+
+  expect(cpu.run(4).reason).toBe('budget')
+  expect(output).toStrictEqual([0x68])
+  expect(device.keysWaiting()).toBe(1)
+
+  // the status port goes clear once the buffer is empty, and the data port then reads 0x00
+  expect(cpu.run().reason).toBe('halt')
+  expect(cpu.getRegisters()).toMatchObject({bc: 0x0101, de: 0xe900})
+  expect(cpu.getRegisters().af >> 8).toBe(0x00)
+  expect(device.keysWaiting()).toBe(0)
+})
+
+test('It uses the ports it is given, and buffers characters beyond a byte as ?', () => {
+  let program = new Uint8Array(Math.pow(2, 16))
+  program.set([
+    0xdb, 0x11,       // in a,($11)
+    0x47,             // ld b,a
+    0xdb, 0x10,       // in a,($10)
+    0x76              // halt
+  ])
+  const cpu = new ProcessorZ80(program)
+  const device = new ConsoleDevice(cpu, () => {}, {dataPort: 0x10, statusPort: 0x11})
+
+  device.type('→')
+  cpu.run()
+  expect(cpu.getRegisters().bc >> 8).toBe(0x01)
+  expect(cpu.getRegisters().af >> 8).toBe(0x3f)
+})
+
+test('It raises an interrupt whilst a key is waiting, when interrupts are turned on', () => {
+  let program = new Uint8Array(Math.pow(2, 16))
+  program.set([
+    0x31, 0x00, 0x00, // ld sp,0
+    0xed, 0x56,       // im 1
+    0xfb,             // ei
+    0x76,             // halt
+    0xf3,             // di
+    0x76              // halt
+  ])
+  program.set([
+    0xdb, 0x0a,       // in a,($0a)
+    0xfb,             // ei
+    0xc9              // ret
+  ], 0x0038)
+  const cpu = new ProcessorZ80(program)
+  const quiet = new ConsoleDevice(new ProcessorZ80(program.slice()), () => {})
+  const device = new ConsoleDevice(cpu, () => {}, {interrupts: true})
+
+  quiet.type('x')
+  expect(quiet.canWake()).toBe(false)
+  expect(quiet.requestInterrupt()).toBe(false)
+
+  expect(cpu.run().reason).toBe('halt')
+  expect(device.canWake()).toBe(true)
+  expect(device.requestInterrupt()).toBe(false)
+
+  device.type('x')
+  expect(device.requestInterrupt()).toBe(true)
+  expect(cpu.isHalted()).toBe(false)
+  expect(cpu.getRegisters().pc).toBe(0x0038)
+
+  // returning from the interrupt resumes after the halt
+  expect(cpu.run().reason).toBe('halt')
+  expect(cpu.getRegisters().af >> 8).toBe(0x78)
+  expect(device.keysWaiting()).toBe(0)
+  expect(device.canWake()).toBe(false)
+})
@@ -0,0 +1,686 @@
+'use strict'
+
+import { CpuFault, UnsupportedBdosFault, UnterminatedStringFault } from './faults.js'
+
+// page zero: the warm boot jump, the bdos jump, the default fcb and the default dma buffer (which also holds
+// the command tail); programs are loaded at the start of the tpa
+const WARM_BOOT = 0x0000
+const BDOS = 0x0005
+const DEFAULT_FCB = 0x005c
+const DEFAULT_DMA = 0x0080
+const TPA = 0x0100
+
+// the system area at the top of memory, which programs find from the bdos address at $0006; it holds nothing
+// but the entry points, which are trapped, and is read-only
+const SYSTEM = 0xfe00
+const BDOS_ENTRY = 0xfe06
+const BIOS_ENTRY = 0xff00
+
+// records are 128 bytes, and an fcb counts them in extents of 128 records, with 32 extents to a module
+const RECORD_SIZE = 128
+const EXTENT_RECORDS = 128
+const MODULE_EXTENTS = 32
+const END_OF_FILE = 0x1a
+
+/**
+ * turn a file name into the 11 characters of an fcb's name and type, space padded
+ *
+ * @param string  name  File name, as 'NAME.TYP'
+ * @return string
+ */
+const fcbName = (name) => {
+  const [base, type = ''] = name.split('.')
+  return `${base.padEnd(8)}${type.padEnd(3)}`
+}
+
+/**
+ * turn the name of a file on the host into a cp/m file name: upper case, with at most eight characters, a dot
+ * and three more
+ *
+ * @param string  name  File name
+ * @return string|null  The cp/m file name, or null when the name doesn't fit
+ */
+const toCpmFileName = (name) => {
+  const upper = name.toUpperCase()
+  return upper.match(/^[A-Z0-9!#$%&'()@^_{}~-]{1,8}(\.[A-Z0-9!#$%&'()@^_{}~-]{1,3})?$/) ? upper : null
+}
+
+/**
+ * a cp/m 2.2 machine built around ProcessorZ80, enough to run the console and file handling programs of
+ * textbooks and magazines: programs are loaded at $0100 and call the bdos at $0005 with the function number in
+ * c and a parameter in e or de. calls to the bdos (and the warm boot jump at $0000) are trapped and carried out
+ * by the simulator rather than by z80 code, and a warm boot ends the run.
+ *
+ * the console is a ConsoleDevice, so cp/m programs share the console of the generic machine. there is one
+ * drive, a:, holding files from a Map of names ('NAME.TYP') to their contents; files are read and written a
+ * 128-byte record at a time, with the last record of a file padded with ^Z ($1a) when it is read.
+ *
+ * supported bdos functions:
+ *   0 system reset, 1 console input, 2 console output, 6 direct console i/o, 9 print string, 10 read console
+ *   buffer, 11 console status, 12 version number, 13 reset disks, 14 select disk, 15 open file, 16 close file,
+ *   17 search for first, 18 search for next, 19 delete file, 20 read sequential, 21 write sequential, 22 make
+ *   file, 23 rename file, 24 login vector, 25 current disk, 26 set dma address, 32 user code, 33 read random,
+ *   34 write random, 35 compute file size, 36 set random record and 40 write random with zero fill.
+ * any other function faults with an UnsupportedBdosFault, and printing a string which no $ ends faults with an
+ * UnterminatedStringFault.
+ *
+ * rob andrews <rob@aphlor.org>
+ */
+class CpmMachine
+{
+  #cpu
+  #console
+  #files
+  #filesChanged = false
+  #dma = DEFAULT_DMA
+  #search = []
+  #line = null
+
+  /**
+   * Constructor; makes the system area at the top of memory read-only
+   *
+   * @param ProcessorZ80    cpu     Cpu to build the machine around
+   * @param ConsoleDevice   console Console for the bdos console functions
+   * @param Map             files   Files on drive a:, by name ('NAME.TYP'); changed in place as the program
+   *                                writes them
+   */
+  constructor(cpu, console, files = new Map())
+  {
+    this.#cpu = cpu
+    this.#console = console
+    this.#files = files
+    cpu.setMemoryMap([...this.getMemoryMap(), ...cpu.getMemoryMap()])
+  }
+
+  /**
+   * Get the regions of the memory map the machine needs (the system area); ProcessorZ80.setMemoryMap()
+   * replaces the whole map, so these should be put ahead of any others
+   *
+   * @return array
+   */
+  getMemoryMap()
+  {
+    return [{start: SYSTEM, end: 0xffff, type: 'rom', fault: false}]
+  }
+
+  /**
+   * Load an assembled program into the tpa, set up page zero and set the cpu to run it from $0100, with a
+   * return address of $0000 on the stack so that a ret at the end of the program warm boots
+   *
+   * @param Uint8Array  image   64KB memory image the program was assembled into
+   * @param array       ranges  Parts of the image the program assembles to, as {start, end}
+   * @throws RangeError when the program is empty, or reaches outside the tpa
+   * @return void
+   */
+  load(image, ranges)
+  {
+    if (ranges.length === 0)
+      throw new RangeError('the program is empty')
+
+    const start = Math.min(...ranges.map(({start}) => start))
+    const end = Math.max(...ranges.map(({end}) => end))
+    if (start < TPA)
+      throw new RangeError(`a cp/m program starts at 0x0100, but this one assembles to 0x${start.toString(16).padStart(4, '0')}`)
+    if (end >= SYSTEM)
+      throw new RangeError(`the program overlaps the cp/m system area at 0x${SYSTEM.toString(16)}`)
+
+    const ram = this.#cpu.getRam()
+    ranges.forEach(({start, end}) => ram.set(image.subarray(start, end + 1), start))
+
+    // jumps to the bios warm boot and the bdos, an empty default fcb and an empty command tail
+    ram.set([0xc3, (BIOS_ENTRY + 3) & 0xff, (BIOS_ENTRY + 3) >> 8, 0x00, 0x00], WARM_BOOT)
+    ram.set([0xc3, BDOS_ENTRY & 0xff, BDOS_ENTRY >> 8], BDOS)
+    ram.fill(0x00, DEFAULT_FCB, DEFAULT_DMA + RECORD_SIZE)
+    ram.fill(0x20, DEFAULT_FCB + 1, DEFAULT_FCB + 12)
+    ram.fill(0x20, DEFAULT_FCB + 17, DEFAULT_FCB + 28)
+    ram.fill(0x00, SYSTEM, 0x10000)
+    ram.set([0xc9], BDOS_ENTRY)
+    ram.set([0xc3, WARM_BOOT & 0xff, WARM_BOOT >> 8], BIOS_ENTRY + 3)
+
+    const stack = SYSTEM - 2
+    ram[stack] = ram[stack + 1] = 0x00
+    this.#cpu.setRegisters({pc: TPA, sp: stack})
+    this.#cpu.clearHistory()
+    this.#dma = DEFAULT_DMA
+    this.#search = []
+    this.#line = null
+  }
+
+  /**
+   * Run the program, carrying out bdos calls as they are made. Returns the result of ProcessorZ80.runUntil()
+   * for the whole run, with the reason 'exit' when the program warm boots and 'input' when a bdos console
+   * function is waiting for a key; running again once a key has been typed carries on with the call.
+   *
+   * The bdos reads and writes memory as the program's instructions do (see ProcessorZ80.trap()), so a bdos
+   * call stops the run when it hits a watchpoint, and stepping back over the call undoes what it wrote.
+   *
+   * @param number    maxInstructions Most instructions to execute before giving up
+   * @param function  predicate       Called with the cpu after each instruction; return true to stop
+   * @return Object
+   */
+  run(maxInstructions = Infinity, predicate = () => false)
+  {
+    let [instructions, cycles] = [0, 0]
+    const finish = (reason, fault = null, watchpoint = null) => ({reason, instructions, cycles, fault, watchpoint})
+
+    for (;;) {
+      const pc = this.#cpu.getRegisters().pc
+      if (pc === WARM_BOOT)
+        return finish('exit')
+
+      if ((pc === BDOS) || (pc === BDOS_ENTRY)) {
+        const func = this.#cpu.getRegisters().bc & 0xff
+        const call = this.#functions[func]
+        if (typeof call === 'undefined')
+          return finish('fault', new UnsupportedBdosFault(pc, '', {...this.#cpu.getRegisters()}, func))
+
+        let trapped
+        try {
+          trapped = this.#cpu.trap(() => {
+            const value = call(this.#cpu.getRegisters().de)
+            if ((value !== null) && (this.#cpu.getRegisters().pc === pc))
+              this.#return(value)
+            return value
+          })
+        } catch (e) {
+          if (!(e instanceof CpuFault))
+            throw e
+          return finish('fault', e)
+        }
+
+        if (trapped.value === null)
+          return finish('input')
+        if (trapped.watchpoint !== null)
+          return finish('watchpoint', null, trapped.watchpoint)
+        continue
+      }
+
+      if (instructions >= maxInstructions)
+        return finish('budget')
+
+      const result = this.#cpu.runUntil((cpu) => this.#trapped(cpu) || predicate(cpu), maxInstructions - instructions)
+      instructions += result.instructions
+      cycles += result.cycles
+      if ((result.reason !== 'condition') || !this.#trapped(this.#cpu))
+        return {...result, instructions, cycles}
+    }
+  }
+
+  /**
+   * Get the files if the program has created, written, renamed or deleted any since the last call
+   *
+   * @return Map|null
+   */
+  takeChangedFiles()
+  {
+    if (!this.#filesChanged)
+      return null
+
+    this.#filesChanged = false
+    return new Map(this.#files)
+  }
+
+  /**
+   * Check whether the cpu has reached one of the trapped entry points
+   *
+   * @param ProcessorZ80  cpu Cpu being run
+   * @return boolean
+   */
+  #trapped = (cpu) => {
+    const pc = cpu.getRegisters().pc
+    return (pc === WARM_BOOT) || (pc === BDOS) || (pc === BDOS_ENTRY)
+  }
+
+  /**
+   * Return from a bdos call, with a byte result in a and l, or a word result in hl (and a = l, b = h)
+   *
+   * @param number  value Result of the call
+   * @return void
+   */
+  #return = (value) => {
+    const {af, bc, sp} = this.#cpu.getRegisters()
+    const [low, high] = this.#read(sp, 2)
+    this.#cpu.setRegisters({
+      pc: low | (high << 8),
+      sp: (sp + 2) & 0xffff,
+      hl: value,
+      af: ((value & 0xff) << 8) | (af & 0xff),
+      bc: (value & 0xff00) | (bc & 0xff)
+    })
+  }
+
+  /**
+   * Read bytes of memory through the cpu, as an instruction would
+   *
+   * @param number  address Address of the first byte (wraps around at 64KB)
+   * @param number  length  Number of bytes
+   * @return array
+   */
+  #read = (address, length) => Array.from({length}, (_, offset) => this.#cpu.readMemory(address + offset))
+
+  /**
+   * Write bytes of memory through the cpu, as an instruction would
+   *
+   * @param number  address Address of the first byte (wraps around at 64KB)
+   * @param array   bytes   Bytes to write
+   * @throws WriteProtectFault  when the bytes reach rom which faults on writes
+   * @return void
+   */
+  #write = (address, bytes) => bytes.forEach((byte, offset) => this.#cpu.writeMemory(address + offset, byte))
+
+  /**
+   * Take the next key from the console, echoing it
+   *
+   * @return number|null  The key, or null when none is waiting
+   */
+  #readEcho = () => {
+    const key = this.#console.read()
+    if (key !== null)
+      this.#console.write(key)
+    return key
+  }
+
+  /**
+   * Read the name (with any ? wildcards) from an fcb
+   *
+   * @param number  fcb Address of the fcb
+   * @return string 11 characters of name and type, space padded
+   */
+  #fcbPattern = (fcb) => {
+    return String.fromCharCode(...this.#read(fcb + 1, 11).map((byte) => byte & 0x7f)).toUpperCase()
+  }
+
+  /**
+   * Find the files on the drive an fcb names, which may use ? as a wildcard
+   *
+   * @param number  fcb Address of the fcb
+   * @return array  Names of the matching files, in order
+   */
+  #matchFiles = (fcb) => {
+    const drive = this.#cpu.readMemory(fcb)
+    if ((drive > 1) && (drive !== 0x3f))
+      return []
+
+    const pattern = this.#fcbPattern(fcb)
+    return Array.from(this.#files.keys()).sort().filter((name) => Array.from(fcbName(name))
+      .every((character, index) => (pattern[index] === '?') || (pattern[index] === character)))
+  }
+
+  /**
+   * Get the file an fcb names, without wildcards
+   *
+   * @param number  fcb Address of the fcb
+   * @return string|null  Name of the file, or null when it doesn't name one (whether or not it exists)
+   */
+  #fileName = (fcb) => {
+    const drive = this.#cpu.readMemory(fcb)
+    const pattern = this.#fcbPattern(fcb)
+    if ((drive > 1) || pattern.includes('?'))
+      return null
+
+    const type = pattern.slice(8).trimEnd()
+    const name = `${pattern.slice(0, 8).trimEnd()}${(type === '') ? '' : `.${type}`}`
+    return (toCpmFileName(name) === name) ? name : null
+  }
+
+  /**
+   * Get the record of a file an fcb's sequential position points to
+   *
+   * @param number  fcb Address of the fcb
+   * @return number
+   */
+  #sequentialRecord = (fcb) => {
+    const [extent, module, record] = [12, 14, 32].map((offset) => this.#cpu.readMemory(fcb + offset))
+    return record + ((extent & 0x1f) * EXTENT_RECORDS) + ((module & 0x3f) * EXTENT_RECORDS * MODULE_EXTENTS)
+  }
+
+  /**
+   * Set an fcb's sequential position to a record, with the record count of the extent it falls in
+   *
+   * @param number  fcb     Address of the fcb
+   * @param string  name    Name of the file
+   * @param number  record  Record to point to
+   * @return void
+   */
+  #seek = (fcb, name, record) => {
+    const extent = Math.floor(record / EXTENT_RECORDS)
+    const records = Math.ceil(this.#files.get(name).length / RECORD_SIZE) - (extent * EXTENT_RECORDS)
+    this.#cpu.writeMemory(fcb + 12, extent % MODULE_EXTENTS)
+    this.#cpu.writeMemory(fcb + 14, Math.floor(extent / MODULE_EXTENTS))
+    this.#cpu.writeMemory(fcb + 15, Math.min(Math.max(records, 0), EXTENT_RECORDS))
+    this.#cpu.writeMemory(fcb + 32, record % EXTENT_RECORDS)
+  }
+
+  /**
+   * Get the record an fcb's random record field points to
+   *
+   * @param number  fcb Address of the fcb
+   * @return number|null  The record, or null when it is beyond the largest file
+   */
+  #randomRecord = (fcb) => {
+    const [low, high, overflow] = this.#read(fcb + 33, 3)
+    return (overflow === 0) ? low | (high << 8) : null
+  }
+
+  /**
+   * Set an fcb's random record field
+   *
+   * @param number  fcb     Address of the fcb
+   * @param number  record  Record number
+   * @return void
+   */
+  #setRandomRecord = (fcb, record) => {
+    this.#write(fcb + 33, [record & 0xff, (record >> 8) & 0xff, record >> 16])
+  }
+
+  /**
+   * Read a record of a file into the dma buffer
+   *
+   * @param string  name    Name of the file
+   * @param number  record  Record to read
+   * @return number 0, or 1 when the record is beyond the end of the file
+   */
+  #readRecord = (name, record) => {
+    const data = this.#files.get(name)
+    if (record * RECORD_SIZE >= data.length)
+      return 1
+
+    const bytes = Array.from({length: RECORD_SIZE}, (_, offset) => data[(record * RECORD_SIZE) + offset] ?? END_OF_FILE)
+    this.#write(this.#dma, bytes)
+    return 0
+  }
+
+  /**
+   * Write the dma buffer to a record of a file, filling any gap before it with zeroes
+   *
+   * @param string  name    Name of the file
+   * @param number  record  Record to write
+   * @return number 0
+   */
+  #writeRecord = (name, record) => {
+    let data = this.#files.get(name)
+    const end = (record + 1) * RECORD_SIZE
+    if (data.length < end) {
+      const grown = new Uint8Array(end)
+      grown.set(data)
+      data = grown
+    }
+
+    data.set(this.#read(this.#dma, RECORD_SIZE), record * RECORD_SIZE)
+    this.#files.set(name, data)
+    this.#filesChanged = true
+    return 0
+  }
+
+  /**
+   * Write the next directory entry of a search into the dma buffer
+   *
+   * @return number 0, or 0xff when the search has found every file
+   */
+  #searchNext = () => {
+    const name = this.#search.shift()
+    if (typeof name === 'undefined')
+      return 0xff
+
+    const records = Math.ceil(this.#files.get(name).length / RECORD_SIZE)
+    const entry = new Uint8Array(32)
+    entry.set(Array.from(fcbName(name), (character) => character.charCodeAt(0)), 1)
+    entry[12] = Math.min(Math.floor(records / EXTENT_RECORDS), MODULE_EXTENTS - 1)
+    entry[15] = Math.min(records - (entry[12] * EXTENT_RECORDS), EXTENT_RECORDS)
+    this.#write(this.#dma, entry)
+    return 0
+  }
+
+  // the bdos functions, by number; each is called with de and returns the result (null when it is waiting
+  // for a key)
+  #functions = {
+    // system reset
+    0: () => {
+      this.#cpu.setRegister('pc', WARM_BOOT)
+      return 0
+    },
+
+    // console input
+    1: () => this.#readEcho(),
+
+    // console output
+    2: (de) => {
+      this.#console.write(de & 0xff)
+      return 0
+    },
+
+    // direct console i/o: e is $ff to take a key without waiting (0 if none), $fe for the console status, $fd
+    // to wait for a key, and otherwise a character to output
+    6: (de) => {
+      switch (de & 0xff) {
+        case 0xff:
+          return this.#console.read() ?? 0x00
+
+        case 0xfe:
+          return (this.#console.keysWaiting() > 0) ? 0xff : 0x00
+
+        case 0xfd:
+          return this.#console.read()
+
+        default:
+          this.#console.write(de & 0xff)
+          return 0
+      }
+    },
+
+    // print string, up to a $; a string which no $ ends would print forever, so it faults instead
+    9: (de) => {
+      const text = []
+      for (let byte = this.#cpu.readMemory(de); byte !== 0x24; byte = this.#cpu.readMemory(de + text.length)) {
+        text.push(byte)
+        if (text.length === 0x10000)
+          throw new UnterminatedStringFault(this.#cpu.getRegisters().pc, '', {...this.#cpu.getRegisters()}, de)
+      }
+
+      text.forEach((byte) => this.#console.write(byte))
+      return 0
+    },
+
+    // read console buffer: de points to the buffer's size, followed by the length read and the line itself;
+    // the line is edited with backspace (or delete) and ends with return, or when the buffer is full
+    10: (de) => {
+      const size = this.#cpu.readMemory(de)
+      if (this.#line === null)
+        this.#line = []
+
+      for (;;) {
+        if (this.#line.length >= size)
+          break
+
+        const key = this.#console.read()
+        if (key === null)
+          return null
+        if ((key === 0x0d) || (key === 0x0a)) {
+          this.#console.write(0x0d)
+          break
+        }
+
+        if ((key === 0x08) || (key === 0x7f)) {
+          if (this.#line.length > 0) {
+            this.#line.pop()
+            for (const byte of [0x08, 0x20, 0x08])
+              this.#console.write(byte)
+          }
+          continue
+        }
+
+        this.#line.push(key)
+        this.#console.write(key)
+      }
+
+      this.#write(de + 1, [this.#line.length, ...this.#line])
+      this.#line = null
+      return 0
+    },
+
+    // console status
+    11: () => (this.#console.keysWaiting() > 0) ? 0xff : 0x00,
+
+    // version number: cp/m 2.2
+    12: () => 0x0022,
+
+    // reset disks
+    13: () => {
+      this.#dma = DEFAULT_DMA
+      return 0
+    },
+
+    // select disk; there is only a:
+    14: (de) => ((de & 0xff) === 0) ? 0 : 0xff,
+
+    // open file, filling in the name of the file found when the fcb has wildcards
+    15: (de) => {
+      const name = this.#matchFiles(de)[0]
+      if (typeof name === 'undefined')
+        return 0xff
+
+      this.#write(de + 1, Array.from(fcbName(name), (character) => character.charCodeAt(0)))
+      this.#seek(de, name, (this.#cpu.readMemory(de + 12) & 0x1f) * EXTENT_RECORDS)
+      return 0
+    },
+
+    // close file; files are written as the program goes, so there is nothing to do but check it exists
+    16: (de) => (this.#matchFiles(de).length > 0) ? 0 : 0xff,
+
+    // search for first, writing each match to the dma buffer as a directory entry
+    17: (de) => {
+      this.#search = this.#matchFiles(de)
+      return this.#searchNext()
+    },
+
+    // search for next
+    18: () => this.#searchNext(),
+
+    // delete file
+    19: (de) => {
+      const names = this.#matchFiles(de)
+      names.forEach((name) => this.#files.delete(name))
+      if (names.length > 0)
+        this.#filesChanged = true
+      return (names.length > 0) ? 0 : 0xff
+    },
+
+    // read sequential
+    20: (de) => {
+      const name = this.#matchFiles(de)[0]
+      if (typeof name === 'undefined')
+        return 0xff
+
+      const record = this.#sequentialRecord(de)
+      if (this.#readRecord(name, record) !== 0)
+        return 1
+
+      this.#seek(de, name, record + 1)
+      return 0
+    },
+
+    // write sequential
+    21: (de) => {
+      const name = this.#fileName(de)
+      if ((name === null) || !this.#files.has(name))
+        return 0xff
+
+      const record = this.#sequentialRecord(de)
+      this.#writeRecord(name, record)
+      this.#seek(de, name, record + 1)
+      return 0
+    },
+
+    // make file, replacing any file of the same name
+    22: (de) => {
+      const name = this.#fileName(de)
+      if (name === null)
+        return 0xff
+
+      this.#files.set(name, new Uint8Array(0))
+      this.#filesChanged = true
+      this.#seek(de, name, 0)
+      return 0
+    },
+
+    // rename file, to the name in the second half of the fcb
+    23: (de) => {
+      const [from, to] = [this.#fileName(de), this.#fileName(de + 16)]
+      if ((from === null) || (to === null) || !this.#files.has(from) || this.#files.has(to))
+        return 0xff
+
+      this.#files.set(to, this.#files.get(from))
+      this.#files.delete(from)
+      this.#filesChanged = true
+      return 0
+    },
+
+    // login vector: only a:
+    24: () => 0x0001,
+
+    // current disk
+    25: () => 0,
+
+    // set dma address
+    26: (de) => {
+      this.#dma = de
+      return 0
+    },
+
+    // get or set user code; there is only user 0
+    32: () => 0,
+
+    // read random
+    33: (de) => {
+      const name = this.#matchFiles(de)[0]
+      if (typeof name === 'undefined')
+        return 0xff
+
+      const record = this.#randomRecord(de)
+      if (record === null)
+        return 6
+      if (this.#readRecord(name, record) !== 0)
+        return 1
+
+      this.#seek(de, name, record)
+      return 0
+    },
+
+    // write random
+    34: (de) => {
+      const name = this.#fileName(de)
+      if ((name === null) || !this.#files.has(name))
+        return 0xff
+
+      const record = this.#randomRecord(de)
+      if (record === null)
+        return 6
+
+      this.#writeRecord(name, record)
+      this.#seek(de, name, record)
+      return 0
+    },
+
+    // compute file size, in records, into the random record field
+    35: (de) => {
+      const name = this.#matchFiles(de)[0]
+      if (typeof name === 'undefined')
+        return 0xff
+
+      this.#setRandomRecord(de, Math.ceil(this.#files.get(name).length / RECORD_SIZE))
+      return 0
+    },
+
+    // set random record from the sequential position
+    36: (de) => {
+      this.#setRandomRecord(de, this.#sequentialRecord(de))
+      return 0
+    },
+
+    // write random with zero fill; gaps are always filled with zeroes
+    40: (de) => this.#functions[34](de)
+  }
+}
+
+export default CpmMachine
+export { toCpmFileName }
@@ -0,0 +1,262 @@
+/**
+ * tests for the CpmMachine class
+ *
+ * rob andrews <rob@aphlor.org>
+ */
+
+import ProcessorZ80 from './z80.js'
+import ConsoleDevice from './console.js'
+import CpmMachine, { toCpmFileName } from './cpm.js'
+
+/**
+ * assemble a bdos call which stores the result
+ *
+ * @param number  func    Bdos function
+ * @param number  de      Parameter
+ * @param number  result  Where to store a afterwards
+ * @return array
+ */
+const bdos = (func, de, result) => [
+  0x0e, func,                     // ld c,func
+  0x11, de & 0xff, de >> 8,       // ld de,de
+  0xcd, 0x05, 0x00,               // call 5
+  0x32, result & 0xff, result >> 8 // ld (result),a
+]
+
+/**
+ * build a cp/m machine around a fresh cpu, with output collected as a string
+ *
+ * @param Map files Files on drive a:
+ * @return array  [cpu, machine, console, output], where output() returns what has been written
+ */
+const machine = (files = new Map()) => {
+  const cpu = new ProcessorZ80
+  let output = ''
+  const console = new ConsoleDevice(cpu, (data) => output += String.fromCharCode(data))
+  return [cpu, new CpmMachine(cpu, console, files), console, () => output]
+}
+
+const characters = (text) => Array.from(text, (character) => character.charCodeAt(0))
+
+test('It loads a program at $0100 with page zero set up, and a ret warm boots', () => {
+  const [cpu, cpm, , output] = machine()
+  const image = new Uint8Array(Math.pow(2, 16))
+  image.set([
+    ...bdos(9, 0x0200, 0x0300),   // print string
+    0x0e, 0x02,                   // ld c,2
+    0x1e, 0x21,                   // ld e,'!'
+    0xcd, 0x05, 0x00,             // call 5
+    ...bdos(12, 0x0000, 0x0301),  // version number
+    0xc9                          // ret
+  ], 0x0100)
+  image.set(characters('hello$'), 0x0200)
+  cpm.load(image, [{start: 0x0100, end: 0x011d}, {start: 0x0200, end: 0x0205}])
+
+  const ram = cpu.getRam()
+  expect(Array.from(ram.slice(0x0005, 0x0008))).toStrictEqual([0xc3, 0x06, 0xfe])
+  expect(cpu.getRegisters()).toMatchObject({pc: 0x0100, sp: 0xfdfe})
+  expect(cpu.getMemoryMap()).toStrictEqual([{start: 0xfe00, end: 0xffff, type: 'rom', fault: false}])
+
+  const result = cpm.run()
+  expect(result.reason).toBe('exit')
+  expect(result.instructions).toBe(12)
+  expect(output()).toBe('hello!')
+  expect(cpu.getRegisters()).toMatchObject({pc: 0x0000, hl: 0x0022})
+  expect(ram[0x0301]).toBe(0x22)
+
+  // a predicate stops the run as it does ProcessorZ80.runUntil()
+  image.set([0x00, 0x00, 0xc9], 0x0100)
+  cpm.load(image, [{start: 0x0100, end: 0x0102}])
+  expect(cpm.run(Infinity, (cpu) => cpu.getRegisters().pc === 0x0102)).toMatchObject({reason: 'condition', instructions: 2})
+
+  expect(() => cpm.load(image, [{start: 0x0000, end: 0x0000}])).toThrow('a cp/m program starts at 0x0100')
+  expect(() => cpm.load(image, [{start: 0x0100, end: 0x0100}, {start: 0xfe00, end: 0xfe00}])).toThrow(RangeError)
+})
+
+test('It faults on a string to print which no $ ends, rather than printing forever', () => {
+  const [, cpm, , output] = machine()
+  const image = new Uint8Array(Math.pow(2, 16))
+  image.set([
+    0x11, 0x00, 0x02,             // ld de,$0200
+    0x0e, 0x09,                   // ld c,9
+    0xcd, 0x05, 0x00,             // call 5
+    0xc9                          // ret
+  ], 0x0100)
+  image.set(characters('hi'), 0x0200)
+  cpm.load(image, [{start: 0x0100, end: 0x0108}, {start: 0x0200, end: 0x0201}])
+
+  const result = cpm.run()
+  expect(result.reason).toBe('fault')
+  expect(result.fault.name).toBe('UnterminatedStringFault')
+  expect(result.fault.message).toBe('CPU FAULT: no $ ends the string at 0x0200 given to cp/m bdos function 9')
+  expect(result.fault.pc).toBe(0x0005)
+  expect(output()).toBe('')
+})
+
+test('It waits for keys for console input, and edits a line read into a buffer', () => {
+  const [cpu, cpm, console, output] = machine()
+  const image = new Uint8Array(Math.pow(2, 16))
+  image.set([
+    ...bdos(1, 0x0000, 0x0300),   // console input
+    ...bdos(11, 0x0000, 0x0301),  // console status
+    ...bdos(10, 0x0400, 0x0302),  // read console buffer
+    ...bdos(6, 0x00ff, 0x0303),   // direct console input
+    ...bdos(6, 0x00fd, 0x0305),   // direct console input, waiting
+    ...bdos(0, 0x0000, 0x0304)    // system reset
+  ], 0x0100)
+  image[0x0400] = 4
+  cpm.load(image, [{start: 0x0100, end: 0x0141}, {start: 0x0400, end: 0x0400}])
+
+  expect(cpm.run().reason).toBe('input')
+  expect(cpm.run().reason).toBe('input')
+  console.type('xab\bcdef\r')
+  expect(cpm.run().reason).toBe('exit')
+
+  const ram = cpu.getRam()
+  expect(ram[0x0300]).toBe(0x78)
+  expect(ram[0x0301]).toBe(0xff)
+  expect(Array.from(ram.slice(0x0400, 0x0406))).toStrictEqual([4, 4, ...characters('acde')])
+  expect(ram[0x0303]).toBe(0x66)
+  expect(ram[0x0305]).toBe(0x0d)
+  expect(console.keysWaiting()).toBe(0)
+  expect(output()).toBe('xab\b \bcde')
+
+  // a line ended with return echoes it
+  image.set([...bdos(10, 0x0400, 0x0302), 0xc9], 0x0100)
+  cpm.load(image, [{start: 0x0100, end: 0x010b}, {start: 0x0400, end: 0x0400}])
+  console.type('z\r')
+  expect(cpm.run().reason).toBe('exit')
+  expect(Array.from(ram.slice(0x0400, 0x0403))).toStrictEqual([4, 1, 0x7a])
+  expect(output()).toBe('xab\b \bcdez\r')
+})
+
+test('It reads, writes, finds, renames and deletes files a record at a time', () => {
+  const files = new Map([['DATA.TXT', new Uint8Array(characters('hello'))]])
+  const [cpu, cpm] = machine(files)
+  const fcb = (name) => [0x00, ...characters(name), ...new Array(24).fill(0)]
+  const image = new Uint8Array(Math.pow(2, 16))
+  image.set([
+    ...bdos(26, 0x0500, 0x0600),  // set dma address
+    ...bdos(15, 0x0400, 0x0601),  // open file
+    ...bdos(20, 0x0400, 0x0602),  // read sequential
+    ...bdos(20, 0x0400, 0x0603),  // read sequential, at the end of the file
+    ...bdos(35, 0x0400, 0x0604),  // compute file size
+    ...bdos(22, 0x0440, 0x0605),  // make file
+    ...bdos(21, 0x0440, 0x0606),  // write sequential
+    ...bdos(21, 0x0440, 0x0607),  // write sequential
+    ...bdos(16, 0x0440, 0x0608),  // close file
+    ...bdos(26, 0x0700, 0x0609),  // set dma address
+    ...bdos(17, 0x0480, 0x060a),  // search for first
+    ...bdos(18, 0x0480, 0x060b),  // search for next
+    ...bdos(18, 0x0480, 0x060c),  // search for next, having found both files
+    ...bdos(23, 0x04c0, 0x060d),  // rename file
+    ...bdos(19, 0x0400, 0x060e),  // delete file
+    ...bdos(15, 0x0400, 0x060f),  // open file, which has gone
+    ...bdos(99, 0x0000, 0x0610)   // unsupported
+  ], 0x0100)
+  image.set(fcb('DATA    TXT'), 0x0400)
+  image.set(fcb('OUT     TXT'), 0x0440)
+  image.set(fcb('????????TXT'), 0x0480)
+  image.set([...fcb('OUT     TXT').slice(0, 16), ...fcb('NEW     TXT').slice(0, 16)], 0x04c0)
+  cpm.load(image, [{start: 0x0100, end: 0x01ba}, {start: 0x0400, end: 0x04df}])
+
+  const result = cpm.run()
+  expect(result.reason).toBe('fault')
+  expect(result.fault.name).toBe('UnsupportedBdosFault')
+  expect(result.fault.func).toBe(99)
+  expect(result.fault.pc).toBe(0x0005)
+
+  const ram = cpu.getRam()
+  expect(Array.from(ram.slice(0x0600, 0x0610))).toStrictEqual([
+    0x00, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0xff, 0x00, 0x00, 0xff
+  ])
+  expect(Array.from(ram.slice(0x0500, 0x0507))).toStrictEqual([...characters('hello'), 0x1a, 0x1a])
+  expect(ram[0x0421]).toBe(1)
+  expect(ram[0x0440 + 32]).toBe(2)
+  expect(Array.from(ram.slice(0x0701, 0x070c))).toStrictEqual(characters('OUT     TXT'))
+  expect(ram[0x070f]).toBe(2)
+
+  const changed = cpm.takeChangedFiles()
+  expect(Array.from(changed.keys())).toStrictEqual(['NEW.TXT'])
+  expect(changed.get('NEW.TXT').length).toBe(256)
+  expect(Array.from(changed.get('NEW.TXT').slice(0, 6))).toStrictEqual([...characters('hello'), 0x1a])
+  expect(files.has('DATA.TXT')).toBe(false)
+  expect(cpm.takeChangedFiles()).toBe(null)
+})
+
+test('It reads and writes records at random', () => {
+  const files = new Map([['RAND.DAT', new Uint8Array(0)]])
+  const [cpu, cpm] = machine(files)
+  const fcb = [0x00, ...characters('RAND    DAT'), ...new Array(21).fill(0), 0x03, 0x00, 0x00]
+  const image = new Uint8Array(Math.pow(2, 16))
+  image.set([
+    ...bdos(26, 0x0500, 0x0600),  // set dma address
+    ...bdos(15, 0x0400, 0x0601),  // open file
+    ...bdos(34, 0x0400, 0x0602),  // write random, to record 3
+    ...bdos(20, 0x0400, 0x0603),  // read sequential, from record 3
+    ...bdos(36, 0x0400, 0x0604),  // set random record, from the sequential position
+    0x3a, 0x21, 0x04,             // ld a,($0421)
+    0x32, 0x05, 0x06,             // ld ($0605),a
+    ...bdos(20, 0x0400, 0x0606),  // read sequential, at the end of the file
+    0x21, 0x00, 0x00,             // ld hl,0
+    0x22, 0x21, 0x04,             // ld ($0421),hl
+    ...bdos(33, 0x0400, 0x0607),  // read random, from record 0
+    0xc9                          // ret
+  ], 0x0100)
+  image.set(fcb, 0x0400)
+  image[0x0500] = 0x55
+  cpm.load(image, [{start: 0x0100, end: 0x0159}, {start: 0x0400, end: 0x0500}])
+
+  expect(cpm.run().reason).toBe('exit')
+  const ram = cpu.getRam()
+  expect(Array.from(ram.slice(0x0600, 0x0608))).toStrictEqual([0x00, 0x00, 0x00, 0x00, 0x00, 0x04, 0x01, 0x00])
+  expect(files.get('RAND.DAT').length).toBe(512)
+  expect(files.get('RAND.DAT')[384]).toBe(0x55)
+  expect(ram[0x0500]).toBe(0x00)
+})
+
+test('It reads and writes memory for bdos calls as instructions do, for watchpoints, rom and stepping back', () => {
+  const files = new Map([['DATA.TXT', new Uint8Array(characters('hello'))]])
+  const [cpu, cpm] = machine(files)
+  const image = new Uint8Array(Math.pow(2, 16))
+  image.set([
+    ...bdos(26, 0x0500, 0x0600),  // set dma address
+    ...bdos(15, 0x0400, 0x0601),  // open file
+    ...bdos(20, 0x0400, 0x0602),  // read sequential
+    0xc9                          // ret
+  ], 0x0100)
+  image.set([0x00, ...characters('DATA    TXT'), ...new Array(24).fill(0)], 0x0400)
+  cpm.load(image, [{start: 0x0100, end: 0x0121}, {start: 0x0400, end: 0x0423}])
+  cpu.setHistoryLimit(100)
+  const watchpoint = cpu.addWatchpoint(0x0500, 0x057f, 'w')
+
+  // the record read into the dma buffer stops the run once the call has returned
+  const result = cpm.run()
+  expect(result.reason).toBe('watchpoint')
+  expect(result.watchpoint).toStrictEqual({id: watchpoint, address: 0x0500, access: 'w', value: 0x68, pc: 0x011b})
+  expect(cpu.getRegisters().pc).toBe(0x011e)
+  const ram = cpu.getRam()
+  expect(Array.from(ram.slice(0x0500, 0x0506))).toStrictEqual([...characters('hello'), 0x1a])
+  expect(ram[0x0420]).toBe(1)
+
+  // stepping back over the call undoes what the bdos wrote along with the call itself
+  expect(cpu.stepBack(1)).toBe(1)
+  expect(cpu.getRegisters().pc).toBe(0x011b)
+  expect(Array.from(ram.slice(0x0500, 0x0506))).toStrictEqual([0, 0, 0, 0, 0, 0])
+  expect(ram[0x0420]).toBe(0)
+
+  // and the bdos can't write to rom
+  cpu.removeWatchpoint(watchpoint)
+  cpu.setMemoryMap([...cpm.getMemoryMap(), {start: 0x0500, end: 0x057f, type: 'rom', fault: true}])
+  const fault = cpm.run()
+  expect(fault.reason).toBe('fault')
+  expect(fault.fault).toMatchObject({name: 'WriteProtectFault', pc: 0x011b, address: 0x0500, value: 0x68})
+})
+
+test('It turns host file names into cp/m file names', () => {
+  expect(toCpmFileName('readme.txt')).toBe('README.TXT')
+  expect(toCpmFileName('PROGRAM')).toBe('PROGRAM')
+  expect(toCpmFileName('toolongname.txt')).toBe(null)
+  expect(toCpmFileName('data.text')).toBe(null)
+  expect(toCpmFileName('my file.txt')).toBe(null)
+})
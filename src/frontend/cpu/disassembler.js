@@ -0,0 +1,1383 @@
+'use strict'
+
+/**
+ * Z80 disassembler for javascript
+ *
+ * decodes instructions from memory using mnemonics generated from the same opcode tables as ProcessorZ80, so
+ * anything the cpu can execute can be disassembled. bytes which aren't an instruction are shown as db.
+ *
+ * rob andrews <rob@aphlor.org>
+ */
+class DisassemblerZ80
+{
+  // mnemonic table, with the same layout as ProcessorZ80's opcode table. operands are left as placeholders:
+  // nn (byte), nnnn (word), dd (signed index displacement) and offset (relative jump)
+  #mnemonics = []
+
+  /**
+   * Constructor
+   */
+  constructor()
+  {
+    this.#initMnemonics()
+  }
+
+  /**
+   * Format a number as assembler-style hex
+   *
+   * @param number  value   Number to format
+   * @param number  digits  Number of hex digits to pad to
+   * @return string
+   */
+  #hex = (value, digits) => `$${value.toString(16).padStart(digits, '0')}`
+
+  /**
+   * Disassemble the instruction at an address. Returns {address, bytes, length, text}, where bytes holds
+   * the instruction bytes and text is the instruction in assembler syntax.
+   *
+   * @param Uint8Array  memory  Memory to read the instruction from (usually ProcessorZ80.getRam())
+   * @param number      address Address of the instruction
+   * @return Object
+   */
+  disassemble(memory, address)
+  {
+    const bytes = []
+    const next = () => {
+      const byte = memory[(address + bytes.length) & 0xffff]
+      bytes.push(byte)
+      return byte
+    }
+
+    // walk the tables as ProcessorZ80.fetch() does, including the ddcb/fdcb displacement before the opcode
+    let [scope, displacement] = [this.#mnemonics, null]
+    while (typeof scope !== 'string') {
+      if ((bytes.length === 2) && [0xdd, 0xfd].includes(bytes[0]) && (bytes[1] === 0xcb))
+        displacement = next()
+
+      scope = scope[next()]
+      if (typeof scope === 'undefined')
+        return {address, bytes: [bytes[0]], length: 1, text: `db ${this.#hex(bytes[0], 2)}`}
+    }
+
+    // fill in the operands from the bytes which follow the opcode, in the order they appear
+    const text = scope.replace(/\+dd\b|\b(nnnn|nn|offset)\b/g, (operand) => {
+      switch (operand) {
+        case 'nnnn': {
+          const lo = next()
+          return this.#hex((next() << 8) | lo, 4)
+        }
+
+        case 'nn':
+          return this.#hex(next(), 2)
+
+        case '+dd': {
+          const value = (displacement === null) ? next() : displacement
+          return (value & 0x80) ? `-${this.#hex(0x100 - value, 2)}` : `+${this.#hex(value, 2)}`
+        }
+
+        case 'offset': {
+          // relative to the instruction which follows, and offset is always the last byte
+          const value = next()
+          return this.#hex((address + bytes.length + value - ((value & 0x80) ? 0x100 : 0)) & 0xffff, 4)
+        }
+      }
+    })
+
+    return {address, bytes, length: bytes.length, text}
+  }
+
+  /**
+   * Disassemble a run of consecutive instructions
+   *
+   * @param Uint8Array  memory  Memory to read the instructions from
+   * @param number      address Address of the first instruction
+   * @param number      count   Number of instructions to disassemble
+   * @return array
+   */
+  disassembleRange(memory, address, count)
+  {
+    const instructions = []
+    for (let i = 0; i < count; i++) {
+      const instruction = this.disassemble(memory, address)
+      instructions.push(instruction)
+      address = (address + instruction.length) & 0xffff
+    }
+
+    return instructions
+  }
+
+  /**
+   * Initialise the mnemonic table
+   *
+   * @return void
+   */
+  #initMnemonics = () => {
+    // START: this block is AUTOMATICALLY GENERATED SEE /z80_tables/*
+    this.#mnemonics[0x00] = 'nop'
+    this.#mnemonics[0x01] = 'ld bc,nnnn'
+    this.#mnemonics[0x02] = 'ld (bc),a'
+    this.#mnemonics[0x03] = 'inc bc'
+    this.#mnemonics[0x04] = 'inc b'
+    this.#mnemonics[0x05] = 'dec b'
+    this.#mnemonics[0x06] = 'ld b,nn'
+    this.#mnemonics[0x07] = 'rlca'
+    this.#mnemonics[0x08] = 'ex af,af\''
+    this.#mnemonics[0x09] = 'add hl,bc'
+    this.#mnemonics[0x0a] = 'ld a,(bc)'
+    this.#mnemonics[0x0b] = 'dec bc'
+    this.#mnemonics[0x0c] = 'inc c'
+    this.#mnemonics[0x0d] = 'dec c'
+    this.#mnemonics[0x0e] = 'ld c,nn'
+    this.#mnemonics[0x0f] = 'rrca'
+    this.#mnemonics[0x10] = 'djnz offset'
+    this.#mnemonics[0x11] = 'ld de,nnnn'
+    this.#mnemonics[0x12] = 'ld (de),a'
+    this.#mnemonics[0x13] = 'inc de'
+    this.#mnemonics[0x14] = 'inc d'
+    this.#mnemonics[0x15] = 'dec d'
+    this.#mnemonics[0x16] = 'ld d,nn'
+    this.#mnemonics[0x17] = 'rla'
+    this.#mnemonics[0x18] = 'jr offset'
+    this.#mnemonics[0x19] = 'add hl,de'
+    this.#mnemonics[0x1a] = 'ld a,(de)'
+    this.#mnemonics[0x1b] = 'dec de'
+    this.#mnemonics[0x1c] = 'inc e'
+    this.#mnemonics[0x1d] = 'dec e'
+    this.#mnemonics[0x1e] = 'ld e,nn'
+    this.#mnemonics[0x1f] = 'rra'
+    this.#mnemonics[0x20] = 'jr nz,offset'
+    this.#mnemonics[0x21] = 'ld hl,nnnn'
+    this.#mnemonics[0x22] = 'ld (nnnn),hl'
+    this.#mnemonics[0x23] = 'inc hl'
+    this.#mnemonics[0x24] = 'inc h'
+    this.#mnemonics[0x25] = 'dec h'
+    this.#mnemonics[0x26] = 'ld h,nn'
+    this.#mnemonics[0x27] = 'daa'
+    this.#mnemonics[0x28] = 'jr z,offset'
+    this.#mnemonics[0x29] = 'add hl,hl'
+    this.#mnemonics[0x2a] = 'ld hl,(nnnn)'
+    this.#mnemonics[0x2b] = 'dec hl'
+    this.#mnemonics[0x2c] = 'inc l'
+    this.#mnemonics[0x2d] = 'dec l'
+    this.#mnemonics[0x2e] = 'ld l,nn'
+    this.#mnemonics[0x2f] = 'cpl'
+    this.#mnemonics[0x30] = 'jr nc,offset'
+    this.#mnemonics[0x31] = 'ld sp,nnnn'
+    this.#mnemonics[0x32] = 'ld (nnnn),a'
+    this.#mnemonics[0x33] = 'inc sp'
+    this.#mnemonics[0x34] = 'inc (hl)'
+    this.#mnemonics[0x35] = 'dec (hl)'
+    this.#mnemonics[0x36] = 'ld (hl),nn'
+    this.#mnemonics[0x37] = 'scf'
+    this.#mnemonics[0x38] = 'jr c,offset'
+    this.#mnemonics[0x39] = 'add hl,sp'
+    this.#mnemonics[0x3a] = 'ld a,(nnnn)'
+    this.#mnemonics[0x3b] = 'dec sp'
+    this.#mnemonics[0x3c] = 'inc a'
+    this.#mnemonics[0x3d] = 'dec a'
+    this.#mnemonics[0x3e] = 'ld a,nn'
+    this.#mnemonics[0x3f] = 'ccf'
+    this.#mnemonics[0x40] = 'ld b,b'
+    this.#mnemonics[0x41] = 'ld b,c'
+    this.#mnemonics[0x42] = 'ld b,d'
+    this.#mnemonics[0x43] = 'ld b,e'
+    this.#mnemonics[0x44] = 'ld b,h'
+    this.#mnemonics[0x45] = 'ld b,l'
+    this.#mnemonics[0x46] = 'ld b,(hl)'
+    this.#mnemonics[0x47] = 'ld b,a'
+    this.#mnemonics[0x48] = 'ld c,b'
+    this.#mnemonics[0x49] = 'ld c,c'
+    this.#mnemonics[0x4a] = 'ld c,d'
+    this.#mnemonics[0x4b] = 'ld c,e'
+    this.#mnemonics[0x4c] = 'ld c,h'
+    this.#mnemonics[0x4d] = 'ld c,l'
+    this.#mnemonics[0x4e] = 'ld c,(hl)'
+    this.#mnemonics[0x4f] = 'ld c,a'
+    this.#mnemonics[0x50] = 'ld d,b'
+    this.#mnemonics[0x51] = 'ld d,c'
+    this.#mnemonics[0x52] = 'ld d,d'
+    this.#mnemonics[0x53] = 'ld d,e'
+    this.#mnemonics[0x54] = 'ld d,h'
+    this.#mnemonics[0x55] = 'ld d,l'
+    this.#mnemonics[0x56] = 'ld d,(hl)'
+    this.#mnemonics[0x57] = 'ld d,a'
+    this.#mnemonics[0x58] = 'ld e,b'
+    this.#mnemonics[0x59] = 'ld e,c'
+    this.#mnemonics[0x5a] = 'ld e,d'
+    this.#mnemonics[0x5b] = 'ld e,e'
+    this.#mnemonics[0x5c] = 'ld e,h'
+    this.#mnemonics[0x5d] = 'ld e,l'
+    this.#mnemonics[0x5e] = 'ld e,(hl)'
+    this.#mnemonics[0x5f] = 'ld e,a'
+    this.#mnemonics[0x60] = 'ld h,b'
+    this.#mnemonics[0x61] = 'ld h,c'
+    this.#mnemonics[0x62] = 'ld h,d'
+    this.#mnemonics[0x63] = 'ld h,e'
+    this.#mnemonics[0x64] = 'ld h,h'
+    this.#mnemonics[0x65] = 'ld h,l'
+    this.#mnemonics[0x66] = 'ld h,(hl)'
+    this.#mnemonics[0x67] = 'ld h,a'
+    this.#mnemonics[0x68] = 'ld l,b'
+    this.#mnemonics[0x69] = 'ld l,c'
+    this.#mnemonics[0x6a] = 'ld l,d'
+    this.#mnemonics[0x6b] = 'ld l,e'
+    this.#mnemonics[0x6c] = 'ld l,h'
+    this.#mnemonics[0x6d] = 'ld l,l'
+    this.#mnemonics[0x6e] = 'ld l,(hl)'
+    this.#mnemonics[0x6f] = 'ld l,a'
+    this.#mnemonics[0x70] = 'ld (hl),b'
+    this.#mnemonics[0x71] = 'ld (hl),c'
+    this.#mnemonics[0x72] = 'ld (hl),d'
+    this.#mnemonics[0x73] = 'ld (hl),e'
+    this.#mnemonics[0x74] = 'ld (hl),h'
+    this.#mnemonics[0x75] = 'ld (hl),l'
+    this.#mnemonics[0x76] = 'halt'
+    this.#mnemonics[0x77] = 'ld (hl),a'
+    this.#mnemonics[0x78] = 'ld a,b'
+    this.#mnemonics[0x79] = 'ld a,c'
+    this.#mnemonics[0x7a] = 'ld a,d'
+    this.#mnemonics[0x7b] = 'ld a,e'
+    this.#mnemonics[0x7c] = 'ld a,h'
+    this.#mnemonics[0x7d] = 'ld a,l'
+    this.#mnemonics[0x7e] = 'ld a,(hl)'
+    this.#mnemonics[0x7f] = 'ld a,a'
+    this.#mnemonics[0x80] = 'add a,b'
+    this.#mnemonics[0x81] = 'add a,c'
+    this.#mnemonics[0x82] = 'add a,d'
+    this.#mnemonics[0x83] = 'add a,e'
+    this.#mnemonics[0x84] = 'add a,h'
+    this.#mnemonics[0x85] = 'add a,l'
+    this.#mnemonics[0x86] = 'add a,(hl)'
+    this.#mnemonics[0x87] = 'add a,a'
+    this.#mnemonics[0x88] = 'adc a,b'
+    this.#mnemonics[0x89] = 'adc a,c'
+    this.#mnemonics[0x8a] = 'adc a,d'
+    this.#mnemonics[0x8b] = 'adc a,e'
+    this.#mnemonics[0x8c] = 'adc a,h'
+    this.#mnemonics[0x8d] = 'adc a,l'
+    this.#mnemonics[0x8e] = 'adc a,(hl)'
+    this.#mnemonics[0x8f] = 'adc a,a'
+    this.#mnemonics[0x90] = 'sub a,b'
+    this.#mnemonics[0x91] = 'sub a,c'
+    this.#mnemonics[0x92] = 'sub a,d'
+    this.#mnemonics[0x93] = 'sub a,e'
+    this.#mnemonics[0x94] = 'sub a,h'
+    this.#mnemonics[0x95] = 'sub a,l'
+    this.#mnemonics[0x96] = 'sub a,(hl)'
+    this.#mnemonics[0x97] = 'sub a,a'
+    this.#mnemonics[0x98] = 'sbc a,b'
+    this.#mnemonics[0x99] = 'sbc a,c'
+    this.#mnemonics[0x9a] = 'sbc a,d'
+    this.#mnemonics[0x9b] = 'sbc a,e'
+    this.#mnemonics[0x9c] = 'sbc a,h'
+    this.#mnemonics[0x9d] = 'sbc a,l'
+    this.#mnemonics[0x9e] = 'sbc a,(hl)'
+    this.#mnemonics[0x9f] = 'sbc a,a'
+    this.#mnemonics[0xa0] = 'and a,b'
+    this.#mnemonics[0xa1] = 'and a,c'
+    this.#mnemonics[0xa2] = 'and a,d'
+    this.#mnemonics[0xa3] = 'and a,e'
+    this.#mnemonics[0xa4] = 'and a,h'
+    this.#mnemonics[0xa5] = 'and a,l'
+    this.#mnemonics[0xa6] = 'and a,(hl)'
+    this.#mnemonics[0xa7] = 'and a,a'
+    this.#mnemonics[0xa8] = 'xor a,b'
+    this.#mnemonics[0xa9] = 'xor a,c'
+    this.#mnemonics[0xaa] = 'xor a,d'
+    this.#mnemonics[0xab] = 'xor a,e'
+    this.#mnemonics[0xac] = 'xor a,h'
+    this.#mnemonics[0xad] = 'xor a,l'
+    this.#mnemonics[0xae] = 'xor a,(hl)'
+    this.#mnemonics[0xaf] = 'xor a,a'
+    this.#mnemonics[0xb0] = 'or a,b'
+    this.#mnemonics[0xb1] = 'or a,c'
+    this.#mnemonics[0xb2] = 'or a,d'
+    this.#mnemonics[0xb3] = 'or a,e'
+    this.#mnemonics[0xb4] = 'or a,h'
+    this.#mnemonics[0xb5] = 'or a,l'
+    this.#mnemonics[0xb6] = 'or a,(hl)'
+    this.#mnemonics[0xb7] = 'or a,a'
+    this.#mnemonics[0xb8] = 'cp b'
+    this.#mnemonics[0xb9] = 'cp c'
+    this.#mnemonics[0xba] = 'cp d'
+    this.#mnemonics[0xbb] = 'cp e'
+    this.#mnemonics[0xbc] = 'cp h'
+    this.#mnemonics[0xbd] = 'cp l'
+    this.#mnemonics[0xbe] = 'cp (hl)'
+    this.#mnemonics[0xbf] = 'cp a'
+    this.#mnemonics[0xc0] = 'ret nz'
+    this.#mnemonics[0xc1] = 'pop bc'
+    this.#mnemonics[0xc2] = 'jp nz,nnnn'
+    this.#mnemonics[0xc3] = 'jp nnnn'
+    this.#mnemonics[0xc4] = 'call nz,nnnn'
+    this.#mnemonics[0xc5] = 'push bc'
+    this.#mnemonics[0xc6] = 'add a,nn'
+    this.#mnemonics[0xc7] = 'rst $00'
+    this.#mnemonics[0xc8] = 'ret z'
+    this.#mnemonics[0xc9] = 'ret'
+    this.#mnemonics[0xca] = 'jp z,nnnn'
+    this.#mnemonics[0xcb] = []
+    this.#mnemonics[0xcc] = 'call z,nnnn'
+    this.#mnemonics[0xcd] = 'call nnnn'
+    this.#mnemonics[0xce] = 'adc a,nn'
+    this.#mnemonics[0xcf] = 'rst $08'
+    this.#mnemonics[0xd0] = 'ret nc'
+    this.#mnemonics[0xd1] = 'pop de'
+    this.#mnemonics[0xd2] = 'jp nc,nnnn'
+    this.#mnemonics[0xd3] = 'out (nn),a'
+    this.#mnemonics[0xd4] = 'call nc,nnnn'
+    this.#mnemonics[0xd5] = 'push de'
+    this.#mnemonics[0xd6] = 'sub nn'
+    this.#mnemonics[0xd7] = 'rst $10'
+    this.#mnemonics[0xd8] = 'ret c'
+    this.#mnemonics[0xd9] = 'exx'
+    this.#mnemonics[0xda] = 'jp c,nnnn'
+    this.#mnemonics[0xdb] = 'in a,(nn)'
+    this.#mnemonics[0xdc] = 'call c,nnnn'
+    this.#mnemonics[0xdd] = []
+    this.#mnemonics[0xde] = 'sbc a,nn'
+    this.#mnemonics[0xdf] = 'rst $18'
+    this.#mnemonics[0xe0] = 'ret po'
+    this.#mnemonics[0xe1] = 'pop hl'
+    this.#mnemonics[0xe2] = 'jp po,nnnn'
+    this.#mnemonics[0xe3] = 'ex (sp),hl'
+    this.#mnemonics[0xe4] = 'call po,nnnn'
+    this.#mnemonics[0xe5] = 'push hl'
+    this.#mnemonics[0xe6] = 'and nn'
+    this.#mnemonics[0xe7] = 'rst $20'
+    this.#mnemonics[0xe8] = 'ret pe'
+    this.#mnemonics[0xe9] = 'jp hl'
+    this.#mnemonics[0xea] = 'jp pe,nnnn'
+    this.#mnemonics[0xeb] = 'ex de,hl'
+    this.#mnemonics[0xec] = 'call pe,nnnn'
+    this.#mnemonics[0xed] = []
+    this.#mnemonics[0xee] = 'xor a,nn'
+    this.#mnemonics[0xef] = 'rst $28'
+    this.#mnemonics[0xf0] = 'ret p'
+    this.#mnemonics[0xf1] = 'pop af'
+    this.#mnemonics[0xf2] = 'jp p,nnnn'
+    this.#mnemonics[0xf3] = 'di'
+    this.#mnemonics[0xf4] = 'call p,nnnn'
+    this.#mnemonics[0xf5] = 'push af'
+    this.#mnemonics[0xf6] = 'or nn'
+    this.#mnemonics[0xf7] = 'rst $30'
+    this.#mnemonics[0xf8] = 'ret m'
+    this.#mnemonics[0xf9] = 'ld sp,hl'
+    this.#mnemonics[0xfa] = 'jp m,nnnn'
+    this.#mnemonics[0xfb] = 'ei'
+    this.#mnemonics[0xfc] = 'call m,nnnn'
+    this.#mnemonics[0xfd] = []
+    this.#mnemonics[0xfe] = 'cp nn'
+    this.#mnemonics[0xff] = 'rst $38'
+    this.#mnemonics[0xcb][0x00] = 'rlc b'
+    this.#mnemonics[0xcb][0x01] = 'rlc c'
+    this.#mnemonics[0xcb][0x02] = 'rlc d'
+    this.#mnemonics[0xcb][0x03] = 'rlc e'
+    this.#mnemonics[0xcb][0x04] = 'rlc h'
+    this.#mnemonics[0xcb][0x05] = 'rlc l'
+    this.#mnemonics[0xcb][0x06] = 'rlc (hl)'
+    this.#mnemonics[0xcb][0x07] = 'rlc a'
+    this.#mnemonics[0xcb][0x08] = 'rrc b'
+    this.#mnemonics[0xcb][0x09] = 'rrc c'
+    this.#mnemonics[0xcb][0x0a] = 'rrc d'
+    this.#mnemonics[0xcb][0x0b] = 'rrc e'
+    this.#mnemonics[0xcb][0x0c] = 'rrc h'
+    this.#mnemonics[0xcb][0x0d] = 'rrc l'
+    this.#mnemonics[0xcb][0x0e] = 'rrc (hl)'
+    this.#mnemonics[0xcb][0x0f] = 'rrc a'
+    this.#mnemonics[0xcb][0x10] = 'rl b'
+    this.#mnemonics[0xcb][0x11] = 'rl c'
+    this.#mnemonics[0xcb][0x12] = 'rl d'
+    this.#mnemonics[0xcb][0x13] = 'rl e'
+    this.#mnemonics[0xcb][0x14] = 'rl h'
+    this.#mnemonics[0xcb][0x15] = 'rl l'
+    this.#mnemonics[0xcb][0x16] = 'rl (hl)'
+    this.#mnemonics[0xcb][0x17] = 'rl a'
+    this.#mnemonics[0xcb][0x18] = 'rr b'
+    this.#mnemonics[0xcb][0x19] = 'rr c'
+    this.#mnemonics[0xcb][0x1a] = 'rr d'
+    this.#mnemonics[0xcb][0x1b] = 'rr e'
+    this.#mnemonics[0xcb][0x1c] = 'rr h'
+    this.#mnemonics[0xcb][0x1d] = 'rr l'
+    this.#mnemonics[0xcb][0x1e] = 'rr (hl)'
+    this.#mnemonics[0xcb][0x1f] = 'rr a'
+    this.#mnemonics[0xcb][0x20] = 'sla b'
+    this.#mnemonics[0xcb][0x21] = 'sla c'
+    this.#mnemonics[0xcb][0x22] = 'sla d'
+    this.#mnemonics[0xcb][0x23] = 'sla e'
+    this.#mnemonics[0xcb][0x24] = 'sla h'
+    this.#mnemonics[0xcb][0x25] = 'sla l'
+    this.#mnemonics[0xcb][0x26] = 'sla (hl)'
+    this.#mnemonics[0xcb][0x27] = 'sla a'
+    this.#mnemonics[0xcb][0x28] = 'sra b'
+    this.#mnemonics[0xcb][0x29] = 'sra c'
+    this.#mnemonics[0xcb][0x2a] = 'sra d'
+    this.#mnemonics[0xcb][0x2b] = 'sra e'
+    this.#mnemonics[0xcb][0x2c] = 'sra h'
+    this.#mnemonics[0xcb][0x2d] = 'sra l'
+    this.#mnemonics[0xcb][0x2e] = 'sra (hl)'
+    this.#mnemonics[0xcb][0x2f] = 'sra a'
+    this.#mnemonics[0xcb][0x30] = 'sll b'
+    this.#mnemonics[0xcb][0x31] = 'sll c'
+    this.#mnemonics[0xcb][0x32] = 'sll d'
+    this.#mnemonics[0xcb][0x33] = 'sll e'
+    this.#mnemonics[0xcb][0x34] = 'sll h'
+    this.#mnemonics[0xcb][0x35] = 'sll l'
+    this.#mnemonics[0xcb][0x36] = 'sll (hl)'
+    this.#mnemonics[0xcb][0x37] = 'sll a'
+    this.#mnemonics[0xcb][0x38] = 'srl b'
+    this.#mnemonics[0xcb][0x39] = 'srl c'
+    this.#mnemonics[0xcb][0x3a] = 'srl d'
+    this.#mnemonics[0xcb][0x3b] = 'srl e'
+    this.#mnemonics[0xcb][0x3c] = 'srl h'
+    this.#mnemonics[0xcb][0x3d] = 'srl l'
+    this.#mnemonics[0xcb][0x3e] = 'srl (hl)'
+    this.#mnemonics[0xcb][0x3f] = 'srl a'
+    this.#mnemonics[0xcb][0x40] = 'bit 0,b'
+    this.#mnemonics[0xcb][0x41] = 'bit 0,c'
+    this.#mnemonics[0xcb][0x42] = 'bit 0,d'
+    this.#mnemonics[0xcb][0x43] = 'bit 0,e'
+    this.#mnemonics[0xcb][0x44] = 'bit 0,h'
+    this.#mnemonics[0xcb][0x45] = 'bit 0,l'
+    this.#mnemonics[0xcb][0x46] = 'bit 0,(hl)'
+    this.#mnemonics[0xcb][0x47] = 'bit 0,a'
+    this.#mnemonics[0xcb][0x48] = 'bit 1,b'
+    this.#mnemonics[0xcb][0x49] = 'bit 1,c'
+    this.#mnemonics[0xcb][0x4a] = 'bit 1,d'
+    this.#mnemonics[0xcb][0x4b] = 'bit 1,e'
+    this.#mnemonics[0xcb][0x4c] = 'bit 1,h'
+    this.#mnemonics[0xcb][0x4d] = 'bit 1,l'
+    this.#mnemonics[0xcb][0x4e] = 'bit 1,(hl)'
+    this.#mnemonics[0xcb][0x4f] = 'bit 1,a'
+    this.#mnemonics[0xcb][0x50] = 'bit 2,b'
+    this.#mnemonics[0xcb][0x51] = 'bit 2,c'
+    this.#mnemonics[0xcb][0x52] = 'bit 2,d'
+    this.#mnemonics[0xcb][0x53] = 'bit 2,e'
+    this.#mnemonics[0xcb][0x54] = 'bit 2,h'
+    this.#mnemonics[0xcb][0x55] = 'bit 2,l'
+    this.#mnemonics[0xcb][0x56] = 'bit 2,(hl)'
+    this.#mnemonics[0xcb][0x57] = 'bit 2,a'
+    this.#mnemonics[0xcb][0x58] = 'bit 3,b'
+    this.#mnemonics[0xcb][0x59] = 'bit 3,c'
+    this.#mnemonics[0xcb][0x5a] = 'bit 3,d'
+    this.#mnemonics[0xcb][0x5b] = 'bit 3,e'
+    this.#mnemonics[0xcb][0x5c] = 'bit 3,h'
+    this.#mnemonics[0xcb][0x5d] = 'bit 3,l'
+    this.#mnemonics[0xcb][0x5e] = 'bit 3,(hl)'
+    this.#mnemonics[0xcb][0x5f] = 'bit 3,a'
+    this.#mnemonics[0xcb][0x60] = 'bit 4,b'
+    this.#mnemonics[0xcb][0x61] = 'bit 4,c'
+    this.#mnemonics[0xcb][0x62] = 'bit 4,d'
+    this.#mnemonics[0xcb][0x63] = 'bit 4,e'
+    this.#mnemonics[0xcb][0x64] = 'bit 4,h'
+    this.#mnemonics[0xcb][0x65] = 'bit 4,l'
+    this.#mnemonics[0xcb][0x66] = 'bit 4,(hl)'
+    this.#mnemonics[0xcb][0x67] = 'bit 4,a'
+    this.#mnemonics[0xcb][0x68] = 'bit 5,b'
+    this.#mnemonics[0xcb][0x69] = 'bit 5,c'
+    this.#mnemonics[0xcb][0x6a] = 'bit 5,d'
+    this.#mnemonics[0xcb][0x6b] = 'bit 5,e'
+    this.#mnemonics[0xcb][0x6c] = 'bit 5,h'
+    this.#mnemonics[0xcb][0x6d] = 'bit 5,l'
+    this.#mnemonics[0xcb][0x6e] = 'bit 5,(hl)'
+    this.#mnemonics[0xcb][0x6f] = 'bit 5,a'
+    this.#mnemonics[0xcb][0x70] = 'bit 6,b'
+    this.#mnemonics[0xcb][0x71] = 'bit 6,c'
+    this.#mnemonics[0xcb][0x72] = 'bit 6,d'
+    this.#mnemonics[0xcb][0x73] = 'bit 6,e'
+    this.#mnemonics[0xcb][0x74] = 'bit 6,h'
+    this.#mnemonics[0xcb][0x75] = 'bit 6,l'
+    this.#mnemonics[0xcb][0x76] = 'bit 6,(hl)'
+    this.#mnemonics[0xcb][0x77] = 'bit 6,a'
+    this.#mnemonics[0xcb][0x78] = 'bit 7,b'
+    this.#mnemonics[0xcb][0x79] = 'bit 7,c'
+    this.#mnemonics[0xcb][0x7a] = 'bit 7,d'
+    this.#mnemonics[0xcb][0x7b] = 'bit 7,e'
+    this.#mnemonics[0xcb][0x7c] = 'bit 7,h'
+    this.#mnemonics[0xcb][0x7d] = 'bit 7,l'
+    this.#mnemonics[0xcb][0x7e] = 'bit 7,(hl)'
+    this.#mnemonics[0xcb][0x7f] = 'bit 7,a'
+    this.#mnemonics[0xcb][0x80] = 'res 0,b'
+    this.#mnemonics[0xcb][0x81] = 'res 0,c'
+    this.#mnemonics[0xcb][0x82] = 'res 0,d'
+    this.#mnemonics[0xcb][0x83] = 'res 0,e'
+    this.#mnemonics[0xcb][0x84] = 'res 0,h'
+    this.#mnemonics[0xcb][0x85] = 'res 0,l'
+    this.#mnemonics[0xcb][0x86] = 'res 0,(hl)'
+    this.#mnemonics[0xcb][0x87] = 'res 0,a'
+    this.#mnemonics[0xcb][0x88] = 'res 1,b'
+    this.#mnemonics[0xcb][0x89] = 'res 1,c'
+    this.#mnemonics[0xcb][0x8a] = 'res 1,d'
+    this.#mnemonics[0xcb][0x8b] = 'res 1,e'
+    this.#mnemonics[0xcb][0x8c] = 'res 1,h'
+    this.#mnemonics[0xcb][0x8d] = 'res 1,l'
+    this.#mnemonics[0xcb][0x8e] = 'res 1,(hl)'
+    this.#mnemonics[0xcb][0x8f] = 'res 1,a'
+    this.#mnemonics[0xcb][0x90] = 'res 2,b'
+    this.#mnemonics[0xcb][0x91] = 'res 2,c'
+    this.#mnemonics[0xcb][0x92] = 'res 2,d'
+    this.#mnemonics[0xcb][0x93] = 'res 2,e'
+    this.#mnemonics[0xcb][0x94] = 'res 2,h'
+    this.#mnemonics[0xcb][0x95] = 'res 2,l'
+    this.#mnemonics[0xcb][0x96] = 'res 2,(hl)'
+    this.#mnemonics[0xcb][0x97] = 'res 2,a'
+    this.#mnemonics[0xcb][0x98] = 'res 3,b'
+    this.#mnemonics[0xcb][0x99] = 'res 3,c'
+    this.#mnemonics[0xcb][0x9a] = 'res 3,d'
+    this.#mnemonics[0xcb][0x9b] = 'res 3,e'
+    this.#mnemonics[0xcb][0x9c] = 'res 3,h'
+    this.#mnemonics[0xcb][0x9d] = 'res 3,l'
+    this.#mnemonics[0xcb][0x9e] = 'res 3,(hl)'
+    this.#mnemonics[0xcb][0x9f] = 'res 3,a'
+    this.#mnemonics[0xcb][0xa0] = 'res 4,b'
+    this.#mnemonics[0xcb][0xa1] = 'res 4,c'
+    this.#mnemonics[0xcb][0xa2] = 'res 4,d'
+    this.#mnemonics[0xcb][0xa3] = 'res 4,e'
+    this.#mnemonics[0xcb][0xa4] = 'res 4,h'
+    this.#mnemonics[0xcb][0xa5] = 'res 4,l'
+    this.#mnemonics[0xcb][0xa6] = 'res 4,(hl)'
+    this.#mnemonics[0xcb][0xa7] = 'res 4,a'
+    this.#mnemonics[0xcb][0xa8] = 'res 5,b'
+    this.#mnemonics[0xcb][0xa9] = 'res 5,c'
+    this.#mnemonics[0xcb][0xaa] = 'res 5,d'
+    this.#mnemonics[0xcb][0xab] = 'res 5,e'
+    this.#mnemonics[0xcb][0xac] = 'res 5,h'
+    this.#mnemonics[0xcb][0xad] = 'res 5,l'
+    this.#mnemonics[0xcb][0xae] = 'res 5,(hl)'
+    this.#mnemonics[0xcb][0xaf] = 'res 5,a'
+    this.#mnemonics[0xcb][0xb0] = 'res 6,b'
+    this.#mnemonics[0xcb][0xb1] = 'res 6,c'
+    this.#mnemonics[0xcb][0xb2] = 'res 6,d'
+    this.#mnemonics[0xcb][0xb3] = 'res 6,e'
+    this.#mnemonics[0xcb][0xb4] = 'res 6,h'
+    this.#mnemonics[0xcb][0xb5] = 'res 6,l'
+    this.#mnemonics[0xcb][0xb6] = 'res 6,(hl)'
+    this.#mnemonics[0xcb][0xb7] = 'res 6,a'
+    this.#mnemonics[0xcb][0xb8] = 'res 7,b'
+    this.#mnemonics[0xcb][0xb9] = 'res 7,c'
+    this.#mnemonics[0xcb][0xba] = 'res 7,d'
+    this.#mnemonics[0xcb][0xbb] = 'res 7,e'
+    this.#mnemonics[0xcb][0xbc] = 'res 7,h'
+    this.#mnemonics[0xcb][0xbd] = 'res 7,l'
+    this.#mnemonics[0xcb][0xbe] = 'res 7,(hl)'
+    this.#mnemonics[0xcb][0xbf] = 'res 7,a'
+    this.#mnemonics[0xcb][0xc0] = 'set 0,b'
+    this.#mnemonics[0xcb][0xc1] = 'set 0,c'
+    this.#mnemonics[0xcb][0xc2] = 'set 0,d'
+    this.#mnemonics[0xcb][0xc3] = 'set 0,e'
+    this.#mnemonics[0xcb][0xc4] = 'set 0,h'
+    this.#mnemonics[0xcb][0xc5] = 'set 0,l'
+    this.#mnemonics[0xcb][0xc6] = 'set 0,(hl)'
+    this.#mnemonics[0xcb][0xc7] = 'set 0,a'
+    this.#mnemonics[0xcb][0xc8] = 'set 1,b'
+    this.#mnemonics[0xcb][0xc9] = 'set 1,c'
+    this.#mnemonics[0xcb][0xca] = 'set 1,d'
+    this.#mnemonics[0xcb][0xcb] = 'set 1,e'
+    this.#mnemonics[0xcb][0xcc] = 'set 1,h'
+    this.#mnemonics[0xcb][0xcd] = 'set 1,l'
+    this.#mnemonics[0xcb][0xce] = 'set 1,(hl)'
+    this.#mnemonics[0xcb][0xcf] = 'set 1,a'
+    this.#mnemonics[0xcb][0xd0] = 'set 2,b'
+    this.#mnemonics[0xcb][0xd1] = 'set 2,c'
+    this.#mnemonics[0xcb][0xd2] = 'set 2,d'
+    this.#mnemonics[0xcb][0xd3] = 'set 2,e'
+    this.#mnemonics[0xcb][0xd4] = 'set 2,h'
+    this.#mnemonics[0xcb][0xd5] = 'set 2,l'
+    this.#mnemonics[0xcb][0xd6] = 'set 2,(hl)'
+    this.#mnemonics[0xcb][0xd7] = 'set 2,a'
+    this.#mnemonics[0xcb][0xd8] = 'set 3,b'
+    this.#mnemonics[0xcb][0xd9] = 'set 3,c'
+    this.#mnemonics[0xcb][0xda] = 'set 3,d'
+    this.#mnemonics[0xcb][0xdb] = 'set 3,e'
+    this.#mnemonics[0xcb][0xdc] = 'set 3,h'
+    this.#mnemonics[0xcb][0xdd] = 'set 3,l'
+    this.#mnemonics[0xcb][0xde] = 'set 3,(hl)'
+    this.#mnemonics[0xcb][0xdf] = 'set 3,a'
+    this.#mnemonics[0xcb][0xe0] = 'set 4,b'
+    this.#mnemonics[0xcb][0xe1] = 'set 4,c'
+    this.#mnemonics[0xcb][0xe2] = 'set 4,d'
+    this.#mnemonics[0xcb][0xe3] = 'set 4,e'
+    this.#mnemonics[0xcb][0xe4] = 'set 4,h'
+    this.#mnemonics[0xcb][0xe5] = 'set 4,l'
+    this.#mnemonics[0xcb][0xe6] = 'set 4,(hl)'
+    this.#mnemonics[0xcb][0xe7] = 'set 4,a'
+    this.#mnemonics[0xcb][0xe8] = 'set 5,b'
+    this.#mnemonics[0xcb][0xe9] = 'set 5,c'
+    this.#mnemonics[0xcb][0xea] = 'set 5,d'
+    this.#mnemonics[0xcb][0xeb] = 'set 5,e'
+    this.#mnemonics[0xcb][0xec] = 'set 5,h'
+    this.#mnemonics[0xcb][0xed] = 'set 5,l'
+    this.#mnemonics[0xcb][0xee] = 'set 5,(hl)'
+    this.#mnemonics[0xcb][0xef] = 'set 5,a'
+    this.#mnemonics[0xcb][0xf0] = 'set 6,b'
+    this.#mnemonics[0xcb][0xf1] = 'set 6,c'
+    this.#mnemonics[0xcb][0xf2] = 'set 6,d'
+    this.#mnemonics[0xcb][0xf3] = 'set 6,e'
+    this.#mnemonics[0xcb][0xf4] = 'set 6,h'
+    this.#mnemonics[0xcb][0xf5] = 'set 6,l'
+    this.#mnemonics[0xcb][0xf6] = 'set 6,(hl)'
+    this.#mnemonics[0xcb][0xf7] = 'set 6,a'
+    this.#mnemonics[0xcb][0xf8] = 'set 7,b'
+    this.#mnemonics[0xcb][0xf9] = 'set 7,c'
+    this.#mnemonics[0xcb][0xfa] = 'set 7,d'
+    this.#mnemonics[0xcb][0xfb] = 'set 7,e'
+    this.#mnemonics[0xcb][0xfc] = 'set 7,h'
+    this.#mnemonics[0xcb][0xfd] = 'set 7,l'
+    this.#mnemonics[0xcb][0xfe] = 'set 7,(hl)'
+    this.#mnemonics[0xcb][0xff] = 'set 7,a'
+    this.#mnemonics[0xdd][0x09] = 'add ix,bc'
+    this.#mnemonics[0xdd][0x19] = 'add ix,de'
+    this.#mnemonics[0xdd][0x21] = 'ld ix,nnnn'
+    this.#mnemonics[0xdd][0x22] = 'ld (nnnn),ix'
+    this.#mnemonics[0xdd][0x23] = 'inc ix'
+    this.#mnemonics[0xdd][0x24] = 'inc ixh'
+    this.#mnemonics[0xdd][0x25] = 'dec ixh'
+    this.#mnemonics[0xdd][0x26] = 'ld ixh,nn'
+    this.#mnemonics[0xdd][0x29] = 'add ix,ix'
+    this.#mnemonics[0xdd][0x2a] = 'ld ix,(nnnn)'
+    this.#mnemonics[0xdd][0x2b] = 'dec ix'
+    this.#mnemonics[0xdd][0x2c] = 'inc ixl'
+    this.#mnemonics[0xdd][0x2d] = 'dec ixl'
+    this.#mnemonics[0xdd][0x2e] = 'ld ixl,nn'
+    this.#mnemonics[0xdd][0x34] = 'inc (ix+dd)'
+    this.#mnemonics[0xdd][0x35] = 'dec (ix+dd)'
+    this.#mnemonics[0xdd][0x36] = 'ld (ix+dd),nn'
+    this.#mnemonics[0xdd][0x39] = 'add ix,sp'
+    this.#mnemonics[0xdd][0x44] = 'ld b,ixh'
+    this.#mnemonics[0xdd][0x45] = 'ld b,ixl'
+    this.#mnemonics[0xdd][0x46] = 'ld b,(ix+dd)'
+    this.#mnemonics[0xdd][0x4c] = 'ld c,ixh'
+    this.#mnemonics[0xdd][0x4d] = 'ld c,ixl'
+    this.#mnemonics[0xdd][0x4e] = 'ld c,(ix+dd)'
+    this.#mnemonics[0xdd][0x54] = 'ld d,ixh'
+    this.#mnemonics[0xdd][0x55] = 'ld d,ixl'
+    this.#mnemonics[0xdd][0x56] = 'ld d,(ix+dd)'
+    this.#mnemonics[0xdd][0x5c] = 'ld e,ixh'
+    this.#mnemonics[0xdd][0x5d] = 'ld e,ixl'
+    this.#mnemonics[0xdd][0x5e] = 'ld e,(ix+dd)'
+    this.#mnemonics[0xdd][0x60] = 'ld ixh,b'
+    this.#mnemonics[0xdd][0x61] = 'ld ixh,c'
+    this.#mnemonics[0xdd][0x62] = 'ld ixh,d'
+    this.#mnemonics[0xdd][0x63] = 'ld ixh,e'
+    this.#mnemonics[0xdd][0x64] = 'ld ixh,ixh'
+    this.#mnemonics[0xdd][0x65] = 'ld ixh,ixl'
+    this.#mnemonics[0xdd][0x66] = 'ld h,(ix+dd)'
+    this.#mnemonics[0xdd][0x67] = 'ld ixh,a'
+    this.#mnemonics[0xdd][0x68] = 'ld ixl,b'
+    this.#mnemonics[0xdd][0x69] = 'ld ixl,c'
+    this.#mnemonics[0xdd][0x6a] = 'ld ixl,d'
+    this.#mnemonics[0xdd][0x6b] = 'ld ixl,e'
+    this.#mnemonics[0xdd][0x6c] = 'ld ixl,ixh'
+    this.#mnemonics[0xdd][0x6d] = 'ld ixl,ixl'
+    this.#mnemonics[0xdd][0x6e] = 'ld l,(ix+dd)'
+    this.#mnemonics[0xdd][0x6f] = 'ld ixl,a'
+    this.#mnemonics[0xdd][0x70] = 'ld (ix+dd),b'
+    this.#mnemonics[0xdd][0x71] = 'ld (ix+dd),c'
+    this.#mnemonics[0xdd][0x72] = 'ld (ix+dd),d'
+    this.#mnemonics[0xdd][0x73] = 'ld (ix+dd),e'
+    this.#mnemonics[0xdd][0x74] = 'ld (ix+dd),h'
+    this.#mnemonics[0xdd][0x75] = 'ld (ix+dd),l'
+    this.#mnemonics[0xdd][0x77] = 'ld (ix+dd),a'
+    this.#mnemonics[0xdd][0x7c] = 'ld a,ixh'
+    this.#mnemonics[0xdd][0x7d] = 'ld a,ixl'
+    this.#mnemonics[0xdd][0x7e] = 'ld a,(ix+dd)'
+    this.#mnemonics[0xdd][0x84] = 'add a,ixh'
+    this.#mnemonics[0xdd][0x85] = 'add a,ixl'
+    this.#mnemonics[0xdd][0x86] = 'add a,(ix+dd)'
+    this.#mnemonics[0xdd][0x8c] = 'adc a,ixh'
+    this.#mnemonics[0xdd][0x8d] = 'adc a,ixl'
+    this.#mnemonics[0xdd][0x8e] = 'adc a,(ix+dd)'
+    this.#mnemonics[0xdd][0x94] = 'sub a,ixh'
+    this.#mnemonics[0xdd][0x95] = 'sub a,ixl'
+    this.#mnemonics[0xdd][0x96] = 'sub a,(ix+dd)'
+    this.#mnemonics[0xdd][0x9c] = 'sbc a,ixh'
+    this.#mnemonics[0xdd][0x9d] = 'sbc a,ixl'
+    this.#mnemonics[0xdd][0x9e] = 'sbc a,(ix+dd)'
+    this.#mnemonics[0xdd][0xa4] = 'and a,ixh'
+    this.#mnemonics[0xdd][0xa5] = 'and a,ixl'
+    this.#mnemonics[0xdd][0xa6] = 'and a,(ix+dd)'
+    this.#mnemonics[0xdd][0xac] = 'xor a,ixh'
+    this.#mnemonics[0xdd][0xad] = 'xor a,ixl'
+    this.#mnemonics[0xdd][0xae] = 'xor a,(ix+dd)'
+    this.#mnemonics[0xdd][0xb4] = 'or a,ixh'
+    this.#mnemonics[0xdd][0xb5] = 'or a,ixl'
+    this.#mnemonics[0xdd][0xb6] = 'or a,(ix+dd)'
+    this.#mnemonics[0xdd][0xbc] = 'cp a,ixh'
+    this.#mnemonics[0xdd][0xbd] = 'cp a,ixl'
+    this.#mnemonics[0xdd][0xbe] = 'cp a,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb] = []
+    this.#mnemonics[0xdd][0xe1] = 'pop ix'
+    this.#mnemonics[0xdd][0xe3] = 'ex (sp),ix'
+    this.#mnemonics[0xdd][0xe5] = 'push ix'
+    this.#mnemonics[0xdd][0xe9] = 'jp ix'
+    this.#mnemonics[0xdd][0xf9] = 'ld sp,ix'
+    this.#mnemonics[0xed][0x40] = 'in b,(c)'
+    this.#mnemonics[0xed][0x41] = 'out (c),b'
+    this.#mnemonics[0xed][0x42] = 'sbc hl,bc'
+    this.#mnemonics[0xed][0x43] = 'ld (nnnn),bc'
+    this.#mnemonics[0xed][0x7c] = 'neg'
+    this.#mnemonics[0xed][0x7d] = 'retn'
+    this.#mnemonics[0xed][0x6e] = 'im 0'
+    this.#mnemonics[0xed][0x47] = 'ld i,a'
+    this.#mnemonics[0xed][0x48] = 'in c,(c)'
+    this.#mnemonics[0xed][0x49] = 'out (c),c'
+    this.#mnemonics[0xed][0x4a] = 'adc hl,bc'
+    this.#mnemonics[0xed][0x4b] = 'ld bc,(nnnn)'
+    this.#mnemonics[0xed][0x4f] = 'ld r,a'
+    this.#mnemonics[0xed][0x50] = 'in d,(c)'
+    this.#mnemonics[0xed][0x51] = 'out (c),d'
+    this.#mnemonics[0xed][0x52] = 'sbc hl,de'
+    this.#mnemonics[0xed][0x53] = 'ld (nnnn),de'
+    this.#mnemonics[0xed][0x76] = 'im 1'
+    this.#mnemonics[0xed][0x57] = 'ld a,i'
+    this.#mnemonics[0xed][0x58] = 'in e,(c)'
+    this.#mnemonics[0xed][0x59] = 'out (c),e'
+    this.#mnemonics[0xed][0x5a] = 'adc hl,de'
+    this.#mnemonics[0xed][0x5b] = 'ld de,(nnnn)'
+    this.#mnemonics[0xed][0x7e] = 'im 2'
+    this.#mnemonics[0xed][0x5f] = 'ld a,r'
+    this.#mnemonics[0xed][0x60] = 'in h,(c)'
+    this.#mnemonics[0xed][0x61] = 'out (c),h'
+    this.#mnemonics[0xed][0x62] = 'sbc hl,hl'
+    this.#mnemonics[0xed][0x63] = 'ld (nnnn),hl'
+    this.#mnemonics[0xed][0x67] = 'rrd'
+    this.#mnemonics[0xed][0x68] = 'in l,(c)'
+    this.#mnemonics[0xed][0x69] = 'out (c),l'
+    this.#mnemonics[0xed][0x6a] = 'adc hl,hl'
+    this.#mnemonics[0xed][0x6b] = 'ld hl,(nnnn)'
+    this.#mnemonics[0xed][0x6f] = 'rld'
+    this.#mnemonics[0xed][0x70] = 'in f,(c)'
+    this.#mnemonics[0xed][0x71] = 'out (c),0'
+    this.#mnemonics[0xed][0x72] = 'sbc hl,sp'
+    this.#mnemonics[0xed][0x73] = 'ld (nnnn),sp'
+    this.#mnemonics[0xed][0x78] = 'in a,(c)'
+    this.#mnemonics[0xed][0x79] = 'out (c),a'
+    this.#mnemonics[0xed][0x7a] = 'adc hl,sp'
+    this.#mnemonics[0xed][0x7b] = 'ld sp,(nnnn)'
+    this.#mnemonics[0xed][0xa0] = 'ldi'
+    this.#mnemonics[0xed][0xa1] = 'cpi'
+    this.#mnemonics[0xed][0xa2] = 'ini'
+    this.#mnemonics[0xed][0xa3] = 'outi'
+    this.#mnemonics[0xed][0xa8] = 'ldd'
+    this.#mnemonics[0xed][0xa9] = 'cpd'
+    this.#mnemonics[0xed][0xaa] = 'ind'
+    this.#mnemonics[0xed][0xab] = 'outd'
+    this.#mnemonics[0xed][0xb0] = 'ldir'
+    this.#mnemonics[0xed][0xb1] = 'cpir'
+    this.#mnemonics[0xed][0xb2] = 'inir'
+    this.#mnemonics[0xed][0xb3] = 'otir'
+    this.#mnemonics[0xed][0xb8] = 'lddr'
+    this.#mnemonics[0xed][0xb9] = 'cpdr'
+    this.#mnemonics[0xed][0xba] = 'indr'
+    this.#mnemonics[0xed][0xbb] = 'otdr'
+    this.#mnemonics[0xed][0x46] = 'im 0'
+    this.#mnemonics[0xed][0x66] = 'im 0'
+    this.#mnemonics[0xed][0x56] = 'im 1'
+    this.#mnemonics[0xed][0x5e] = 'im 2'
+    this.#mnemonics[0xed][0x7e] = 'im 2'
+    this.#mnemonics[0xed][0x45] = 'retn'
+    this.#mnemonics[0xed][0x4d] = 'reti'
+    this.#mnemonics[0xed][0x44] = 'neg'
+    this.#mnemonics[0xfd][0x09] = 'add iy,bc'
+    this.#mnemonics[0xfd][0x19] = 'add iy,de'
+    this.#mnemonics[0xfd][0x21] = 'ld iy,nnnn'
+    this.#mnemonics[0xfd][0x22] = 'ld (nnnn),iy'
+    this.#mnemonics[0xfd][0x23] = 'inc iy'
+    this.#mnemonics[0xfd][0x24] = 'inc iyh'
+    this.#mnemonics[0xfd][0x25] = 'dec iyh'
+    this.#mnemonics[0xfd][0x26] = 'ld iyh,nn'
+    this.#mnemonics[0xfd][0x29] = 'add iy,iy'
+    this.#mnemonics[0xfd][0x2a] = 'ld iy,(nnnn)'
+    this.#mnemonics[0xfd][0x2b] = 'dec iy'
+    this.#mnemonics[0xfd][0x2c] = 'inc iyl'
+    this.#mnemonics[0xfd][0x2d] = 'dec iyl'
+    this.#mnemonics[0xfd][0x2e] = 'ld iyl,nn'
+    this.#mnemonics[0xfd][0x34] = 'inc (iy+dd)'
+    this.#mnemonics[0xfd][0x35] = 'dec (iy+dd)'
+    this.#mnemonics[0xfd][0x36] = 'ld (iy+dd),nn'
+    this.#mnemonics[0xfd][0x39] = 'add iy,sp'
+    this.#mnemonics[0xfd][0x44] = 'ld b,iyh'
+    this.#mnemonics[0xfd][0x45] = 'ld b,iyl'
+    this.#mnemonics[0xfd][0x46] = 'ld b,(iy+dd)'
+    this.#mnemonics[0xfd][0x4c] = 'ld c,iyh'
+    this.#mnemonics[0xfd][0x4d] = 'ld c,iyl'
+    this.#mnemonics[0xfd][0x4e] = 'ld c,(iy+dd)'
+    this.#mnemonics[0xfd][0x54] = 'ld d,iyh'
+    this.#mnemonics[0xfd][0x55] = 'ld d,iyl'
+    this.#mnemonics[0xfd][0x56] = 'ld d,(iy+dd)'
+    this.#mnemonics[0xfd][0x5c] = 'ld e,iyh'
+    this.#mnemonics[0xfd][0x5d] = 'ld e,iyl'
+    this.#mnemonics[0xfd][0x5e] = 'ld e,(iy+dd)'
+    this.#mnemonics[0xfd][0x60] = 'ld iyh,b'
+    this.#mnemonics[0xfd][0x61] = 'ld iyh,c'
+    this.#mnemonics[0xfd][0x62] = 'ld iyh,d'
+    this.#mnemonics[0xfd][0x63] = 'ld iyh,e'
+    this.#mnemonics[0xfd][0x64] = 'ld iyh,iyh'
+    this.#mnemonics[0xfd][0x65] = 'ld iyh,iyl'
+    this.#mnemonics[0xfd][0x66] = 'ld h,(iy+dd)'
+    this.#mnemonics[0xfd][0x67] = 'ld iyh,a'
+    this.#mnemonics[0xfd][0x68] = 'ld iyl,b'
+    this.#mnemonics[0xfd][0x69] = 'ld iyl,c'
+    this.#mnemonics[0xfd][0x6a] = 'ld iyl,d'
+    this.#mnemonics[0xfd][0x6b] = 'ld iyl,e'
+    this.#mnemonics[0xfd][0x6c] = 'ld iyl,iyh'
+    this.#mnemonics[0xfd][0x6d] = 'ld iyl,iyl'
+    this.#mnemonics[0xfd][0x6e] = 'ld l,(iy+dd)'
+    this.#mnemonics[0xfd][0x6f] = 'ld iyl,a'
+    this.#mnemonics[0xfd][0x70] = 'ld (iy+dd),b'
+    this.#mnemonics[0xfd][0x71] = 'ld (iy+dd),c'
+    this.#mnemonics[0xfd][0x72] = 'ld (iy+dd),d'
+    this.#mnemonics[0xfd][0x73] = 'ld (iy+dd),e'
+    this.#mnemonics[0xfd][0x74] = 'ld (iy+dd),h'
+    this.#mnemonics[0xfd][0x75] = 'ld (iy+dd),l'
+    this.#mnemonics[0xfd][0x77] = 'ld (iy+dd),a'
+    this.#mnemonics[0xfd][0x7c] = 'ld a,iyh'
+    this.#mnemonics[0xfd][0x7d] = 'ld a,iyl'
+    this.#mnemonics[0xfd][0x7e] = 'ld a,(iy+dd)'
+    this.#mnemonics[0xfd][0x84] = 'add a,iyh'
+    this.#mnemonics[0xfd][0x85] = 'add a,iyl'
+    this.#mnemonics[0xfd][0x86] = 'add a,(iy+dd)'
+    this.#mnemonics[0xfd][0x8c] = 'adc a,iyh'
+    this.#mnemonics[0xfd][0x8d] = 'adc a,iyl'
+    this.#mnemonics[0xfd][0x8e] = 'adc a,(iy+dd)'
+    this.#mnemonics[0xfd][0x94] = 'sub a,iyh'
+    this.#mnemonics[0xfd][0x95] = 'sub a,iyl'
+    this.#mnemonics[0xfd][0x96] = 'sub a,(iy+dd)'
+    this.#mnemonics[0xfd][0x9c] = 'sbc a,iyh'
+    this.#mnemonics[0xfd][0x9d] = 'sbc a,iyl'
+    this.#mnemonics[0xfd][0x9e] = 'sbc a,(iy+dd)'
+    this.#mnemonics[0xfd][0xa4] = 'and a,iyh'
+    this.#mnemonics[0xfd][0xa5] = 'and a,iyl'
+    this.#mnemonics[0xfd][0xa6] = 'and a,(iy+dd)'
+    this.#mnemonics[0xfd][0xac] = 'xor a,iyh'
+    this.#mnemonics[0xfd][0xad] = 'xor a,iyl'
+    this.#mnemonics[0xfd][0xae] = 'xor a,(iy+dd)'
+    this.#mnemonics[0xfd][0xb4] = 'or a,iyh'
+    this.#mnemonics[0xfd][0xb5] = 'or a,iyl'
+    this.#mnemonics[0xfd][0xb6] = 'or a,(iy+dd)'
+    this.#mnemonics[0xfd][0xbc] = 'cp a,iyh'
+    this.#mnemonics[0xfd][0xbd] = 'cp a,iyl'
+    this.#mnemonics[0xfd][0xbe] = 'cp a,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb] = []
+    this.#mnemonics[0xfd][0xe1] = 'pop iy'
+    this.#mnemonics[0xfd][0xe3] = 'ex (sp),iy'
+    this.#mnemonics[0xfd][0xe5] = 'push iy'
+    this.#mnemonics[0xfd][0xe9] = 'jp iy'
+    this.#mnemonics[0xfd][0xf9] = 'ld sp,iy'
+    this.#mnemonics[0xdd][0xcb][0x00] = 'rlc (ix+dd),b'
+    this.#mnemonics[0xdd][0xcb][0x01] = 'rlc (ix+dd),c'
+    this.#mnemonics[0xdd][0xcb][0x02] = 'rlc (ix+dd),d'
+    this.#mnemonics[0xdd][0xcb][0x03] = 'rlc (ix+dd),e'
+    this.#mnemonics[0xdd][0xcb][0x04] = 'rlc (ix+dd),h'
+    this.#mnemonics[0xdd][0xcb][0x05] = 'rlc (ix+dd),l'
+    this.#mnemonics[0xdd][0xcb][0x06] = 'rlc (ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x07] = 'rlc (ix+dd),a'
+    this.#mnemonics[0xdd][0xcb][0x08] = 'rrc (ix+dd),b'
+    this.#mnemonics[0xdd][0xcb][0x09] = 'rrc (ix+dd),c'
+    this.#mnemonics[0xdd][0xcb][0x0a] = 'rrc (ix+dd),d'
+    this.#mnemonics[0xdd][0xcb][0x0b] = 'rrc (ix+dd),e'
+    this.#mnemonics[0xdd][0xcb][0x0c] = 'rrc (ix+dd),h'
+    this.#mnemonics[0xdd][0xcb][0x0d] = 'rrc (ix+dd),l'
+    this.#mnemonics[0xdd][0xcb][0x0e] = 'rrc (ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x0f] = 'rrc (ix+dd),a'
+    this.#mnemonics[0xdd][0xcb][0x10] = 'rl (ix+dd),b'
+    this.#mnemonics[0xdd][0xcb][0x11] = 'rl (ix+dd),c'
+    this.#mnemonics[0xdd][0xcb][0x12] = 'rl (ix+dd),d'
+    this.#mnemonics[0xdd][0xcb][0x13] = 'rl (ix+dd),e'
+    this.#mnemonics[0xdd][0xcb][0x14] = 'rl (ix+dd),h'
+    this.#mnemonics[0xdd][0xcb][0x15] = 'rl (ix+dd),l'
+    this.#mnemonics[0xdd][0xcb][0x16] = 'rl (ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x17] = 'rl (ix+dd),a'
+    this.#mnemonics[0xdd][0xcb][0x18] = 'rr (ix+dd),b'
+    this.#mnemonics[0xdd][0xcb][0x19] = 'rr (ix+dd),c'
+    this.#mnemonics[0xdd][0xcb][0x1a] = 'rr (ix+dd),d'
+    this.#mnemonics[0xdd][0xcb][0x1b] = 'rr (ix+dd),e'
+    this.#mnemonics[0xdd][0xcb][0x1c] = 'rr (ix+dd),h'
+    this.#mnemonics[0xdd][0xcb][0x1d] = 'rr (ix+dd),l'
+    this.#mnemonics[0xdd][0xcb][0x1e] = 'rr (ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x1f] = 'rr (ix+dd),a'
+    this.#mnemonics[0xdd][0xcb][0x20] = 'sla (ix+dd),b'
+    this.#mnemonics[0xdd][0xcb][0x21] = 'sla (ix+dd),c'
+    this.#mnemonics[0xdd][0xcb][0x22] = 'sla (ix+dd),d'
+    this.#mnemonics[0xdd][0xcb][0x23] = 'sla (ix+dd),e'
+    this.#mnemonics[0xdd][0xcb][0x24] = 'sla (ix+dd),h'
+    this.#mnemonics[0xdd][0xcb][0x25] = 'sla (ix+dd),l'
+    this.#mnemonics[0xdd][0xcb][0x26] = 'sla (ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x27] = 'sla (ix+dd),a'
+    this.#mnemonics[0xdd][0xcb][0x28] = 'sra (ix+dd),b'
+    this.#mnemonics[0xdd][0xcb][0x29] = 'sra (ix+dd),c'
+    this.#mnemonics[0xdd][0xcb][0x2a] = 'sra (ix+dd),d'
+    this.#mnemonics[0xdd][0xcb][0x2b] = 'sra (ix+dd),e'
+    this.#mnemonics[0xdd][0xcb][0x2c] = 'sra (ix+dd),h'
+    this.#mnemonics[0xdd][0xcb][0x2d] = 'sra (ix+dd),l'
+    this.#mnemonics[0xdd][0xcb][0x2e] = 'sra (ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x2f] = 'sra (ix+dd),a'
+    this.#mnemonics[0xdd][0xcb][0x30] = 'sll (ix+dd),b'
+    this.#mnemonics[0xdd][0xcb][0x31] = 'sll (ix+dd),c'
+    this.#mnemonics[0xdd][0xcb][0x32] = 'sll (ix+dd),d'
+    this.#mnemonics[0xdd][0xcb][0x33] = 'sll (ix+dd),e'
+    this.#mnemonics[0xdd][0xcb][0x34] = 'sll (ix+dd),h'
+    this.#mnemonics[0xdd][0xcb][0x35] = 'sll (ix+dd),l'
+    this.#mnemonics[0xdd][0xcb][0x36] = 'sll (ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x37] = 'sll (ix+dd),a'
+    this.#mnemonics[0xdd][0xcb][0x38] = 'srl (ix+dd),b'
+    this.#mnemonics[0xdd][0xcb][0x39] = 'srl (ix+dd),c'
+    this.#mnemonics[0xdd][0xcb][0x3a] = 'srl (ix+dd),d'
+    this.#mnemonics[0xdd][0xcb][0x3b] = 'srl (ix+dd),e'
+    this.#mnemonics[0xdd][0xcb][0x3c] = 'srl (ix+dd),h'
+    this.#mnemonics[0xdd][0xcb][0x3d] = 'srl (ix+dd),l'
+    this.#mnemonics[0xdd][0xcb][0x3e] = 'srl (ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x3f] = 'srl (ix+dd),a'
+    this.#mnemonics[0xdd][0xcb][0x40] = 'bit 0,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x41] = 'bit 0,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x42] = 'bit 0,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x43] = 'bit 0,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x44] = 'bit 0,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x45] = 'bit 0,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x46] = 'bit 0,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x47] = 'bit 0,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x48] = 'bit 1,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x49] = 'bit 1,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x4a] = 'bit 1,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x4b] = 'bit 1,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x4c] = 'bit 1,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x4d] = 'bit 1,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x4e] = 'bit 1,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x4f] = 'bit 1,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x50] = 'bit 2,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x51] = 'bit 2,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x52] = 'bit 2,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x53] = 'bit 2,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x54] = 'bit 2,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x55] = 'bit 2,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x56] = 'bit 2,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x57] = 'bit 2,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x58] = 'bit 3,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x59] = 'bit 3,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x5a] = 'bit 3,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x5b] = 'bit 3,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x5c] = 'bit 3,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x5d] = 'bit 3,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x5e] = 'bit 3,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x5f] = 'bit 3,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x60] = 'bit 4,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x61] = 'bit 4,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x62] = 'bit 4,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x63] = 'bit 4,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x64] = 'bit 4,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x65] = 'bit 4,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x66] = 'bit 4,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x67] = 'bit 4,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x68] = 'bit 5,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x69] = 'bit 5,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x6a] = 'bit 5,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x6b] = 'bit 5,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x6c] = 'bit 5,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x6d] = 'bit 5,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x6e] = 'bit 5,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x6f] = 'bit 5,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x70] = 'bit 6,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x71] = 'bit 6,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x72] = 'bit 6,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x73] = 'bit 6,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x74] = 'bit 6,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x75] = 'bit 6,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x76] = 'bit 6,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x77] = 'bit 6,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x78] = 'bit 7,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x79] = 'bit 7,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x7a] = 'bit 7,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x7b] = 'bit 7,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x7c] = 'bit 7,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x7d] = 'bit 7,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x7e] = 'bit 7,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x7f] = 'bit 7,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x80] = 'res 0,(ix+dd),b'
+    this.#mnemonics[0xdd][0xcb][0x81] = 'res 0,(ix+dd),c'
+    this.#mnemonics[0xdd][0xcb][0x82] = 'res 0,(ix+dd),d'
+    this.#mnemonics[0xdd][0xcb][0x83] = 'res 0,(ix+dd),e'
+    this.#mnemonics[0xdd][0xcb][0x84] = 'res 0,(ix+dd),h'
+    this.#mnemonics[0xdd][0xcb][0x85] = 'res 0,(ix+dd),l'
+    this.#mnemonics[0xdd][0xcb][0x86] = 'res 0,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x87] = 'res 0,(ix+dd),a'
+    this.#mnemonics[0xdd][0xcb][0x88] = 'res 1,(ix+dd),b'
+    this.#mnemonics[0xdd][0xcb][0x89] = 'res 1,(ix+dd),c'
+    this.#mnemonics[0xdd][0xcb][0x8a] = 'res 1,(ix+dd),d'
+    this.#mnemonics[0xdd][0xcb][0x8b] = 'res 1,(ix+dd),e'
+    this.#mnemonics[0xdd][0xcb][0x8c] = 'res 1,(ix+dd),h'
+    this.#mnemonics[0xdd][0xcb][0x8d] = 'res 1,(ix+dd),l'
+    this.#mnemonics[0xdd][0xcb][0x8e] = 'res 1,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x8f] = 'res 1,(ix+dd),a'
+    this.#mnemonics[0xdd][0xcb][0x90] = 'res 2,(ix+dd),b'
+    this.#mnemonics[0xdd][0xcb][0x91] = 'res 2,(ix+dd),c'
+    this.#mnemonics[0xdd][0xcb][0x92] = 'res 2,(ix+dd),d'
+    this.#mnemonics[0xdd][0xcb][0x93] = 'res 2,(ix+dd),e'
+    this.#mnemonics[0xdd][0xcb][0x94] = 'res 2,(ix+dd),h'
+    this.#mnemonics[0xdd][0xcb][0x95] = 'res 2,(ix+dd),l'
+    this.#mnemonics[0xdd][0xcb][0x96] = 'res 2,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x97] = 'res 2,(ix+dd),a'
+    this.#mnemonics[0xdd][0xcb][0x98] = 'res 3,(ix+dd),b'
+    this.#mnemonics[0xdd][0xcb][0x99] = 'res 3,(ix+dd),c'
+    this.#mnemonics[0xdd][0xcb][0x9a] = 'res 3,(ix+dd),d'
+    this.#mnemonics[0xdd][0xcb][0x9b] = 'res 3,(ix+dd),e'
+    this.#mnemonics[0xdd][0xcb][0x9c] = 'res 3,(ix+dd),h'
+    this.#mnemonics[0xdd][0xcb][0x9d] = 'res 3,(ix+dd),l'
+    this.#mnemonics[0xdd][0xcb][0x9e] = 'res 3,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0x9f] = 'res 3,(ix+dd),a'
+    this.#mnemonics[0xdd][0xcb][0xa0] = 'res 4,(ix+dd),b'
+    this.#mnemonics[0xdd][0xcb][0xa1] = 'res 4,(ix+dd),c'
+    this.#mnemonics[0xdd][0xcb][0xa2] = 'res 4,(ix+dd),d'
+    this.#mnemonics[0xdd][0xcb][0xa3] = 'res 4,(ix+dd),e'
+    this.#mnemonics[0xdd][0xcb][0xa4] = 'res 4,(ix+dd),h'
+    this.#mnemonics[0xdd][0xcb][0xa5] = 'res 4,(ix+dd),l'
+    this.#mnemonics[0xdd][0xcb][0xa6] = 'res 4,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0xa7] = 'res 4,(ix+dd),a'
+    this.#mnemonics[0xdd][0xcb][0xa8] = 'res 5,(ix+dd),b'
+    this.#mnemonics[0xdd][0xcb][0xa9] = 'res 5,(ix+dd),c'
+    this.#mnemonics[0xdd][0xcb][0xaa] = 'res 5,(ix+dd),d'
+    this.#mnemonics[0xdd][0xcb][0xab] = 'res 5,(ix+dd),e'
+    this.#mnemonics[0xdd][0xcb][0xac] = 'res 5,(ix+dd),h'
+    this.#mnemonics[0xdd][0xcb][0xad] = 'res 5,(ix+dd),l'
+    this.#mnemonics[0xdd][0xcb][0xae] = 'res 5,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0xaf] = 'res 5,(ix+dd),a'
+    this.#mnemonics[0xdd][0xcb][0xb0] = 'res 6,(ix+dd),b'
+    this.#mnemonics[0xdd][0xcb][0xb1] = 'res 6,(ix+dd),c'
+    this.#mnemonics[0xdd][0xcb][0xb2] = 'res 6,(ix+dd),d'
+    this.#mnemonics[0xdd][0xcb][0xb3] = 'res 6,(ix+dd),e'
+    this.#mnemonics[0xdd][0xcb][0xb4] = 'res 6,(ix+dd),h'
+    this.#mnemonics[0xdd][0xcb][0xb5] = 'res 6,(ix+dd),l'
+    this.#mnemonics[0xdd][0xcb][0xb6] = 'res 6,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0xb7] = 'res 6,(ix+dd),a'
+    this.#mnemonics[0xdd][0xcb][0xb8] = 'res 7,(ix+dd),b'
+    this.#mnemonics[0xdd][0xcb][0xb9] = 'res 7,(ix+dd),c'
+    this.#mnemonics[0xdd][0xcb][0xba] = 'res 7,(ix+dd),d'
+    this.#mnemonics[0xdd][0xcb][0xbb] = 'res 7,(ix+dd),e'
+    this.#mnemonics[0xdd][0xcb][0xbc] = 'res 7,(ix+dd),h'
+    this.#mnemonics[0xdd][0xcb][0xbd] = 'res 7,(ix+dd),l'
+    this.#mnemonics[0xdd][0xcb][0xbe] = 'res 7,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0xbf] = 'res 7,(ix+dd),a'
+    this.#mnemonics[0xdd][0xcb][0xc0] = 'set 0,(ix+dd),b'
+    this.#mnemonics[0xdd][0xcb][0xc1] = 'set 0,(ix+dd),c'
+    this.#mnemonics[0xdd][0xcb][0xc2] = 'set 0,(ix+dd),d'
+    this.#mnemonics[0xdd][0xcb][0xc3] = 'set 0,(ix+dd),e'
+    this.#mnemonics[0xdd][0xcb][0xc4] = 'set 0,(ix+dd),h'
+    this.#mnemonics[0xdd][0xcb][0xc5] = 'set 0,(ix+dd),l'
+    this.#mnemonics[0xdd][0xcb][0xc6] = 'set 0,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0xc7] = 'set 0,(ix+dd),a'
+    this.#mnemonics[0xdd][0xcb][0xc8] = 'set 1,(ix+dd),b'
+    this.#mnemonics[0xdd][0xcb][0xc9] = 'set 1,(ix+dd),c'
+    this.#mnemonics[0xdd][0xcb][0xca] = 'set 1,(ix+dd),d'
+    this.#mnemonics[0xdd][0xcb][0xcb] = 'set 1,(ix+dd),e'
+    this.#mnemonics[0xdd][0xcb][0xcc] = 'set 1,(ix+dd),h'
+    this.#mnemonics[0xdd][0xcb][0xcd] = 'set 1,(ix+dd),l'
+    this.#mnemonics[0xdd][0xcb][0xce] = 'set 1,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0xcf] = 'set 1,(ix+dd),a'
+    this.#mnemonics[0xdd][0xcb][0xd0] = 'set 2,(ix+dd),b'
+    this.#mnemonics[0xdd][0xcb][0xd1] = 'set 2,(ix+dd),c'
+    this.#mnemonics[0xdd][0xcb][0xd2] = 'set 2,(ix+dd),d'
+    this.#mnemonics[0xdd][0xcb][0xd3] = 'set 2,(ix+dd),e'
+    this.#mnemonics[0xdd][0xcb][0xd4] = 'set 2,(ix+dd),h'
+    this.#mnemonics[0xdd][0xcb][0xd5] = 'set 2,(ix+dd),l'
+    this.#mnemonics[0xdd][0xcb][0xd6] = 'set 2,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0xd7] = 'set 2,(ix+dd),a'
+    this.#mnemonics[0xdd][0xcb][0xd8] = 'set 3,(ix+dd),b'
+    this.#mnemonics[0xdd][0xcb][0xd9] = 'set 3,(ix+dd),c'
+    this.#mnemonics[0xdd][0xcb][0xda] = 'set 3,(ix+dd),d'
+    this.#mnemonics[0xdd][0xcb][0xdb] = 'set 3,(ix+dd),e'
+    this.#mnemonics[0xdd][0xcb][0xdc] = 'set 3,(ix+dd),h'
+    this.#mnemonics[0xdd][0xcb][0xdd] = 'set 3,(ix+dd),l'
+    this.#mnemonics[0xdd][0xcb][0xde] = 'set 3,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0xdf] = 'set 3,(ix+dd),a'
+    this.#mnemonics[0xdd][0xcb][0xe0] = 'set 4,(ix+dd),b'
+    this.#mnemonics[0xdd][0xcb][0xe1] = 'set 4,(ix+dd),c'
+    this.#mnemonics[0xdd][0xcb][0xe2] = 'set 4,(ix+dd),d'
+    this.#mnemonics[0xdd][0xcb][0xe3] = 'set 4,(ix+dd),e'
+    this.#mnemonics[0xdd][0xcb][0xe4] = 'set 4,(ix+dd),h'
+    this.#mnemonics[0xdd][0xcb][0xe5] = 'set 4,(ix+dd),l'
+    this.#mnemonics[0xdd][0xcb][0xe6] = 'set 4,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0xe7] = 'set 4,(ix+dd),a'
+    this.#mnemonics[0xdd][0xcb][0xe8] = 'set 5,(ix+dd),b'
+    this.#mnemonics[0xdd][0xcb][0xe9] = 'set 5,(ix+dd),c'
+    this.#mnemonics[0xdd][0xcb][0xea] = 'set 5,(ix+dd),d'
+    this.#mnemonics[0xdd][0xcb][0xeb] = 'set 5,(ix+dd),e'
+    this.#mnemonics[0xdd][0xcb][0xec] = 'set 5,(ix+dd),h'
+    this.#mnemonics[0xdd][0xcb][0xed] = 'set 5,(ix+dd),l'
+    this.#mnemonics[0xdd][0xcb][0xee] = 'set 5,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0xef] = 'set 5,(ix+dd),a'
+    this.#mnemonics[0xdd][0xcb][0xf0] = 'set 6,(ix+dd),b'
+    this.#mnemonics[0xdd][0xcb][0xf1] = 'set 6,(ix+dd),c'
+    this.#mnemonics[0xdd][0xcb][0xf2] = 'set 6,(ix+dd),d'
+    this.#mnemonics[0xdd][0xcb][0xf3] = 'set 6,(ix+dd),e'
+    this.#mnemonics[0xdd][0xcb][0xf4] = 'set 6,(ix+dd),h'
+    this.#mnemonics[0xdd][0xcb][0xf5] = 'set 6,(ix+dd),l'
+    this.#mnemonics[0xdd][0xcb][0xf6] = 'set 6,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0xf7] = 'set 6,(ix+dd),a'
+    this.#mnemonics[0xdd][0xcb][0xf8] = 'set 7,(ix+dd),b'
+    this.#mnemonics[0xdd][0xcb][0xf9] = 'set 7,(ix+dd),c'
+    this.#mnemonics[0xdd][0xcb][0xfa] = 'set 7,(ix+dd),d'
+    this.#mnemonics[0xdd][0xcb][0xfb] = 'set 7,(ix+dd),e'
+    this.#mnemonics[0xdd][0xcb][0xfc] = 'set 7,(ix+dd),h'
+    this.#mnemonics[0xdd][0xcb][0xfd] = 'set 7,(ix+dd),l'
+    this.#mnemonics[0xdd][0xcb][0xfe] = 'set 7,(ix+dd)'
+    this.#mnemonics[0xdd][0xcb][0xff] = 'set 7,(ix+dd),a'
+    this.#mnemonics[0xfd][0xcb][0x00] = 'rlc (iy+dd),b'
+    this.#mnemonics[0xfd][0xcb][0x01] = 'rlc (iy+dd),c'
+    this.#mnemonics[0xfd][0xcb][0x02] = 'rlc (iy+dd),d'
+    this.#mnemonics[0xfd][0xcb][0x03] = 'rlc (iy+dd),e'
+    this.#mnemonics[0xfd][0xcb][0x04] = 'rlc (iy+dd),h'
+    this.#mnemonics[0xfd][0xcb][0x05] = 'rlc (iy+dd),l'
+    this.#mnemonics[0xfd][0xcb][0x06] = 'rlc (iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x07] = 'rlc (iy+dd),a'
+    this.#mnemonics[0xfd][0xcb][0x08] = 'rrc (iy+dd),b'
+    this.#mnemonics[0xfd][0xcb][0x09] = 'rrc (iy+dd),c'
+    this.#mnemonics[0xfd][0xcb][0x0a] = 'rrc (iy+dd),d'
+    this.#mnemonics[0xfd][0xcb][0x0b] = 'rrc (iy+dd),e'
+    this.#mnemonics[0xfd][0xcb][0x0c] = 'rrc (iy+dd),h'
+    this.#mnemonics[0xfd][0xcb][0x0d] = 'rrc (iy+dd),l'
+    this.#mnemonics[0xfd][0xcb][0x0e] = 'rrc (iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x0f] = 'rrc (iy+dd),a'
+    this.#mnemonics[0xfd][0xcb][0x10] = 'rl (iy+dd),b'
+    this.#mnemonics[0xfd][0xcb][0x11] = 'rl (iy+dd),c'
+    this.#mnemonics[0xfd][0xcb][0x12] = 'rl (iy+dd),d'
+    this.#mnemonics[0xfd][0xcb][0x13] = 'rl (iy+dd),e'
+    this.#mnemonics[0xfd][0xcb][0x14] = 'rl (iy+dd),h'
+    this.#mnemonics[0xfd][0xcb][0x15] = 'rl (iy+dd),l'
+    this.#mnemonics[0xfd][0xcb][0x16] = 'rl (iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x17] = 'rl (iy+dd),a'
+    this.#mnemonics[0xfd][0xcb][0x18] = 'rr (iy+dd),b'
+    this.#mnemonics[0xfd][0xcb][0x19] = 'rr (iy+dd),c'
+    this.#mnemonics[0xfd][0xcb][0x1a] = 'rr (iy+dd),d'
+    this.#mnemonics[0xfd][0xcb][0x1b] = 'rr (iy+dd),e'
+    this.#mnemonics[0xfd][0xcb][0x1c] = 'rr (iy+dd),h'
+    this.#mnemonics[0xfd][0xcb][0x1d] = 'rr (iy+dd),l'
+    this.#mnemonics[0xfd][0xcb][0x1e] = 'rr (iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x1f] = 'rr (iy+dd),a'
+    this.#mnemonics[0xfd][0xcb][0x20] = 'sla (iy+dd),b'
+    this.#mnemonics[0xfd][0xcb][0x21] = 'sla (iy+dd),c'
+    this.#mnemonics[0xfd][0xcb][0x22] = 'sla (iy+dd),d'
+    this.#mnemonics[0xfd][0xcb][0x23] = 'sla (iy+dd),e'
+    this.#mnemonics[0xfd][0xcb][0x24] = 'sla (iy+dd),h'
+    this.#mnemonics[0xfd][0xcb][0x25] = 'sla (iy+dd),l'
+    this.#mnemonics[0xfd][0xcb][0x26] = 'sla (iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x27] = 'sla (iy+dd),a'
+    this.#mnemonics[0xfd][0xcb][0x28] = 'sra (iy+dd),b'
+    this.#mnemonics[0xfd][0xcb][0x29] = 'sra (iy+dd),c'
+    this.#mnemonics[0xfd][0xcb][0x2a] = 'sra (iy+dd),d'
+    this.#mnemonics[0xfd][0xcb][0x2b] = 'sra (iy+dd),e'
+    this.#mnemonics[0xfd][0xcb][0x2c] = 'sra (iy+dd),h'
+    this.#mnemonics[0xfd][0xcb][0x2d] = 'sra (iy+dd),l'
+    this.#mnemonics[0xfd][0xcb][0x2e] = 'sra (iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x2f] = 'sra (iy+dd),a'
+    this.#mnemonics[0xfd][0xcb][0x30] = 'sll (iy+dd),b'
+    this.#mnemonics[0xfd][0xcb][0x31] = 'sll (iy+dd),c'
+    this.#mnemonics[0xfd][0xcb][0x32] = 'sll (iy+dd),d'
+    this.#mnemonics[0xfd][0xcb][0x33] = 'sll (iy+dd),e'
+    this.#mnemonics[0xfd][0xcb][0x34] = 'sll (iy+dd),h'
+    this.#mnemonics[0xfd][0xcb][0x35] = 'sll (iy+dd),l'
+    this.#mnemonics[0xfd][0xcb][0x36] = 'sll (iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x37] = 'sll (iy+dd),a'
+    this.#mnemonics[0xfd][0xcb][0x38] = 'srl (iy+dd),b'
+    this.#mnemonics[0xfd][0xcb][0x39] = 'srl (iy+dd),c'
+    this.#mnemonics[0xfd][0xcb][0x3a] = 'srl (iy+dd),d'
+    this.#mnemonics[0xfd][0xcb][0x3b] = 'srl (iy+dd),e'
+    this.#mnemonics[0xfd][0xcb][0x3c] = 'srl (iy+dd),h'
+    this.#mnemonics[0xfd][0xcb][0x3d] = 'srl (iy+dd),l'
+    this.#mnemonics[0xfd][0xcb][0x3e] = 'srl (iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x3f] = 'srl (iy+dd),a'
+    this.#mnemonics[0xfd][0xcb][0x40] = 'bit 0,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x41] = 'bit 0,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x42] = 'bit 0,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x43] = 'bit 0,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x44] = 'bit 0,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x45] = 'bit 0,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x46] = 'bit 0,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x47] = 'bit 0,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x48] = 'bit 1,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x49] = 'bit 1,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x4a] = 'bit 1,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x4b] = 'bit 1,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x4c] = 'bit 1,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x4d] = 'bit 1,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x4e] = 'bit 1,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x4f] = 'bit 1,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x50] = 'bit 2,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x51] = 'bit 2,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x52] = 'bit 2,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x53] = 'bit 2,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x54] = 'bit 2,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x55] = 'bit 2,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x56] = 'bit 2,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x57] = 'bit 2,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x58] = 'bit 3,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x59] = 'bit 3,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x5a] = 'bit 3,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x5b] = 'bit 3,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x5c] = 'bit 3,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x5d] = 'bit 3,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x5e] = 'bit 3,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x5f] = 'bit 3,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x60] = 'bit 4,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x61] = 'bit 4,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x62] = 'bit 4,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x63] = 'bit 4,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x64] = 'bit 4,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x65] = 'bit 4,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x66] = 'bit 4,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x67] = 'bit 4,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x68] = 'bit 5,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x69] = 'bit 5,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x6a] = 'bit 5,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x6b] = 'bit 5,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x6c] = 'bit 5,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x6d] = 'bit 5,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x6e] = 'bit 5,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x6f] = 'bit 5,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x70] = 'bit 6,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x71] = 'bit 6,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x72] = 'bit 6,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x73] = 'bit 6,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x74] = 'bit 6,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x75] = 'bit 6,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x76] = 'bit 6,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x77] = 'bit 6,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x78] = 'bit 7,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x79] = 'bit 7,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x7a] = 'bit 7,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x7b] = 'bit 7,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x7c] = 'bit 7,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x7d] = 'bit 7,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x7e] = 'bit 7,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x7f] = 'bit 7,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x80] = 'res 0,(iy+dd),b'
+    this.#mnemonics[0xfd][0xcb][0x81] = 'res 0,(iy+dd),c'
+    this.#mnemonics[0xfd][0xcb][0x82] = 'res 0,(iy+dd),d'
+    this.#mnemonics[0xfd][0xcb][0x83] = 'res 0,(iy+dd),e'
+    this.#mnemonics[0xfd][0xcb][0x84] = 'res 0,(iy+dd),h'
+    this.#mnemonics[0xfd][0xcb][0x85] = 'res 0,(iy+dd),l'
+    this.#mnemonics[0xfd][0xcb][0x86] = 'res 0,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x87] = 'res 0,(iy+dd),a'
+    this.#mnemonics[0xfd][0xcb][0x88] = 'res 1,(iy+dd),b'
+    this.#mnemonics[0xfd][0xcb][0x89] = 'res 1,(iy+dd),c'
+    this.#mnemonics[0xfd][0xcb][0x8a] = 'res 1,(iy+dd),d'
+    this.#mnemonics[0xfd][0xcb][0x8b] = 'res 1,(iy+dd),e'
+    this.#mnemonics[0xfd][0xcb][0x8c] = 'res 1,(iy+dd),h'
+    this.#mnemonics[0xfd][0xcb][0x8d] = 'res 1,(iy+dd),l'
+    this.#mnemonics[0xfd][0xcb][0x8e] = 'res 1,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x8f] = 'res 1,(iy+dd),a'
+    this.#mnemonics[0xfd][0xcb][0x90] = 'res 2,(iy+dd),b'
+    this.#mnemonics[0xfd][0xcb][0x91] = 'res 2,(iy+dd),c'
+    this.#mnemonics[0xfd][0xcb][0x92] = 'res 2,(iy+dd),d'
+    this.#mnemonics[0xfd][0xcb][0x93] = 'res 2,(iy+dd),e'
+    this.#mnemonics[0xfd][0xcb][0x94] = 'res 2,(iy+dd),h'
+    this.#mnemonics[0xfd][0xcb][0x95] = 'res 2,(iy+dd),l'
+    this.#mnemonics[0xfd][0xcb][0x96] = 'res 2,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x97] = 'res 2,(iy+dd),a'
+    this.#mnemonics[0xfd][0xcb][0x98] = 'res 3,(iy+dd),b'
+    this.#mnemonics[0xfd][0xcb][0x99] = 'res 3,(iy+dd),c'
+    this.#mnemonics[0xfd][0xcb][0x9a] = 'res 3,(iy+dd),d'
+    this.#mnemonics[0xfd][0xcb][0x9b] = 'res 3,(iy+dd),e'
+    this.#mnemonics[0xfd][0xcb][0x9c] = 'res 3,(iy+dd),h'
+    this.#mnemonics[0xfd][0xcb][0x9d] = 'res 3,(iy+dd),l'
+    this.#mnemonics[0xfd][0xcb][0x9e] = 'res 3,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0x9f] = 'res 3,(iy+dd),a'
+    this.#mnemonics[0xfd][0xcb][0xa0] = 'res 4,(iy+dd),b'
+    this.#mnemonics[0xfd][0xcb][0xa1] = 'res 4,(iy+dd),c'
+    this.#mnemonics[0xfd][0xcb][0xa2] = 'res 4,(iy+dd),d'
+    this.#mnemonics[0xfd][0xcb][0xa3] = 'res 4,(iy+dd),e'
+    this.#mnemonics[0xfd][0xcb][0xa4] = 'res 4,(iy+dd),h'
+    this.#mnemonics[0xfd][0xcb][0xa5] = 'res 4,(iy+dd),l'
+    this.#mnemonics[0xfd][0xcb][0xa6] = 'res 4,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0xa7] = 'res 4,(iy+dd),a'
+    this.#mnemonics[0xfd][0xcb][0xa8] = 'res 5,(iy+dd),b'
+    this.#mnemonics[0xfd][0xcb][0xa9] = 'res 5,(iy+dd),c'
+    this.#mnemonics[0xfd][0xcb][0xaa] = 'res 5,(iy+dd),d'
+    this.#mnemonics[0xfd][0xcb][0xab] = 'res 5,(iy+dd),e'
+    this.#mnemonics[0xfd][0xcb][0xac] = 'res 5,(iy+dd),h'
+    this.#mnemonics[0xfd][0xcb][0xad] = 'res 5,(iy+dd),l'
+    this.#mnemonics[0xfd][0xcb][0xae] = 'res 5,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0xaf] = 'res 5,(iy+dd),a'
+    this.#mnemonics[0xfd][0xcb][0xb0] = 'res 6,(iy+dd),b'
+    this.#mnemonics[0xfd][0xcb][0xb1] = 'res 6,(iy+dd),c'
+    this.#mnemonics[0xfd][0xcb][0xb2] = 'res 6,(iy+dd),d'
+    this.#mnemonics[0xfd][0xcb][0xb3] = 'res 6,(iy+dd),e'
+    this.#mnemonics[0xfd][0xcb][0xb4] = 'res 6,(iy+dd),h'
+    this.#mnemonics[0xfd][0xcb][0xb5] = 'res 6,(iy+dd),l'
+    this.#mnemonics[0xfd][0xcb][0xb6] = 'res 6,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0xb7] = 'res 6,(iy+dd),a'
+    this.#mnemonics[0xfd][0xcb][0xb8] = 'res 7,(iy+dd),b'
+    this.#mnemonics[0xfd][0xcb][0xb9] = 'res 7,(iy+dd),c'
+    this.#mnemonics[0xfd][0xcb][0xba] = 'res 7,(iy+dd),d'
+    this.#mnemonics[0xfd][0xcb][0xbb] = 'res 7,(iy+dd),e'
+    this.#mnemonics[0xfd][0xcb][0xbc] = 'res 7,(iy+dd),h'
+    this.#mnemonics[0xfd][0xcb][0xbd] = 'res 7,(iy+dd),l'
+    this.#mnemonics[0xfd][0xcb][0xbe] = 'res 7,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0xbf] = 'res 7,(iy+dd),a'
+    this.#mnemonics[0xfd][0xcb][0xc0] = 'set 0,(iy+dd),b'
+    this.#mnemonics[0xfd][0xcb][0xc1] = 'set 0,(iy+dd),c'
+    this.#mnemonics[0xfd][0xcb][0xc2] = 'set 0,(iy+dd),d'
+    this.#mnemonics[0xfd][0xcb][0xc3] = 'set 0,(iy+dd),e'
+    this.#mnemonics[0xfd][0xcb][0xc4] = 'set 0,(iy+dd),h'
+    this.#mnemonics[0xfd][0xcb][0xc5] = 'set 0,(iy+dd),l'
+    this.#mnemonics[0xfd][0xcb][0xc6] = 'set 0,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0xc7] = 'set 0,(iy+dd),a'
+    this.#mnemonics[0xfd][0xcb][0xc8] = 'set 1,(iy+dd),b'
+    this.#mnemonics[0xfd][0xcb][0xc9] = 'set 1,(iy+dd),c'
+    this.#mnemonics[0xfd][0xcb][0xca] = 'set 1,(iy+dd),d'
+    this.#mnemonics[0xfd][0xcb][0xcb] = 'set 1,(iy+dd),e'
+    this.#mnemonics[0xfd][0xcb][0xcc] = 'set 1,(iy+dd),h'
+    this.#mnemonics[0xfd][0xcb][0xcd] = 'set 1,(iy+dd),l'
+    this.#mnemonics[0xfd][0xcb][0xce] = 'set 1,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0xcf] = 'set 1,(iy+dd),a'
+    this.#mnemonics[0xfd][0xcb][0xd0] = 'set 2,(iy+dd),b'
+    this.#mnemonics[0xfd][0xcb][0xd1] = 'set 2,(iy+dd),c'
+    this.#mnemonics[0xfd][0xcb][0xd2] = 'set 2,(iy+dd),d'
+    this.#mnemonics[0xfd][0xcb][0xd3] = 'set 2,(iy+dd),e'
+    this.#mnemonics[0xfd][0xcb][0xd4] = 'set 2,(iy+dd),h'
+    this.#mnemonics[0xfd][0xcb][0xd5] = 'set 2,(iy+dd),l'
+    this.#mnemonics[0xfd][0xcb][0xd6] = 'set 2,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0xd7] = 'set 2,(iy+dd),a'
+    this.#mnemonics[0xfd][0xcb][0xd8] = 'set 3,(iy+dd),b'
+    this.#mnemonics[0xfd][0xcb][0xd9] = 'set 3,(iy+dd),c'
+    this.#mnemonics[0xfd][0xcb][0xda] = 'set 3,(iy+dd),d'
+    this.#mnemonics[0xfd][0xcb][0xdb] = 'set 3,(iy+dd),e'
+    this.#mnemonics[0xfd][0xcb][0xdc] = 'set 3,(iy+dd),h'
+    this.#mnemonics[0xfd][0xcb][0xdd] = 'set 3,(iy+dd),l'
+    this.#mnemonics[0xfd][0xcb][0xde] = 'set 3,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0xdf] = 'set 3,(iy+dd),a'
+    this.#mnemonics[0xfd][0xcb][0xe0] = 'set 4,(iy+dd),b'
+    this.#mnemonics[0xfd][0xcb][0xe1] = 'set 4,(iy+dd),c'
+    this.#mnemonics[0xfd][0xcb][0xe2] = 'set 4,(iy+dd),d'
+    this.#mnemonics[0xfd][0xcb][0xe3] = 'set 4,(iy+dd),e'
+    this.#mnemonics[0xfd][0xcb][0xe4] = 'set 4,(iy+dd),h'
+    this.#mnemonics[0xfd][0xcb][0xe5] = 'set 4,(iy+dd),l'
+    this.#mnemonics[0xfd][0xcb][0xe6] = 'set 4,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0xe7] = 'set 4,(iy+dd),a'
+    this.#mnemonics[0xfd][0xcb][0xe8] = 'set 5,(iy+dd),b'
+    this.#mnemonics[0xfd][0xcb][0xe9] = 'set 5,(iy+dd),c'
+    this.#mnemonics[0xfd][0xcb][0xea] = 'set 5,(iy+dd),d'
+    this.#mnemonics[0xfd][0xcb][0xeb] = 'set 5,(iy+dd),e'
+    this.#mnemonics[0xfd][0xcb][0xec] = 'set 5,(iy+dd),h'
+    this.#mnemonics[0xfd][0xcb][0xed] = 'set 5,(iy+dd),l'
+    this.#mnemonics[0xfd][0xcb][0xee] = 'set 5,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0xef] = 'set 5,(iy+dd),a'
+    this.#mnemonics[0xfd][0xcb][0xf0] = 'set 6,(iy+dd),b'
+    this.#mnemonics[0xfd][0xcb][0xf1] = 'set 6,(iy+dd),c'
+    this.#mnemonics[0xfd][0xcb][0xf2] = 'set 6,(iy+dd),d'
+    this.#mnemonics[0xfd][0xcb][0xf3] = 'set 6,(iy+dd),e'
+    this.#mnemonics[0xfd][0xcb][0xf4] = 'set 6,(iy+dd),h'
+    this.#mnemonics[0xfd][0xcb][0xf5] = 'set 6,(iy+dd),l'
+    this.#mnemonics[0xfd][0xcb][0xf6] = 'set 6,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0xf7] = 'set 6,(iy+dd),a'
+    this.#mnemonics[0xfd][0xcb][0xf8] = 'set 7,(iy+dd),b'
+    this.#mnemonics[0xfd][0xcb][0xf9] = 'set 7,(iy+dd),c'
+    this.#mnemonics[0xfd][0xcb][0xfa] = 'set 7,(iy+dd),d'
+    this.#mnemonics[0xfd][0xcb][0xfb] = 'set 7,(iy+dd),e'
+    this.#mnemonics[0xfd][0xcb][0xfc] = 'set 7,(iy+dd),h'
+    this.#mnemonics[0xfd][0xcb][0xfd] = 'set 7,(iy+dd),l'
+    this.#mnemonics[0xfd][0xcb][0xfe] = 'set 7,(iy+dd)'
+    this.#mnemonics[0xfd][0xcb][0xff] = 'set 7,(iy+dd),a'
+// END: this block is AUTOMATICALLY GENERATED SEE /z80_tables/*
+  }
+}
+
+export default DisassemblerZ80
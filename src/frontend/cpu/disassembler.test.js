@@ -0,0 +1,72 @@
+/**
+ * tests for the DisassemblerZ80 class
+ *
+ * rob andrews <rob@aphlor.org>
+ */
+
+import DisassemblerZ80 from './disassembler.js'
+
+test('It disassembles instructions with their operands', () => {
+  let program = new Uint8Array(Math.pow(2, 16))
+  program.set([
+    0x00,             // nop
+    0x21, 0x34, 0x12, // ld hl,$1234
+    0x3e, 0x0a,       // ld a,$0a
+    0xd3, 0x0a,       // out ($0a),a
+    0xff,             // rst $38
+    0x08              // ex af,af'
+  ])
+  const disassembler = new DisassemblerZ80
+
+  expect(disassembler.disassemble(program, 0x0001)).toStrictEqual(
+    {address: 0x0001, bytes: [0x21, 0x34, 0x12], length: 3, text: 'ld hl,$1234'}
+  )
+  expect(disassembler.disassembleRange(program, 0x0000, 6).map((instruction) => instruction.text)).toStrictEqual([
+    'nop', 'ld hl,$1234', 'ld a,$0a', 'out ($0a),a', 'rst $38', 'ex af,af\''
+  ])
+})
+
+test('It disassembles relative jumps to their target address', () => {
+  let program = new Uint8Array(Math.pow(2, 16))
+  program.set([
+    0x18, 0xfe,       // jr $0100 (jump to self)
+    0x10, 0x02        // djnz $0106
+  ], 0x0100)
+  const disassembler = new DisassemblerZ80
+
+  expect(disassembler.disassemble(program, 0x0100).text).toBe('jr $0100')
+  expect(disassembler.disassemble(program, 0x0102).text).toBe('djnz $0106')
+})
+
+test('It disassembles prefixed and indexed instructions', () => {
+  let program = new Uint8Array(Math.pow(2, 16))
+  program.set([
+    0xcb, 0x7e,             // bit 7,(hl)
+    0xed, 0xb0,             // ldir
+    0xdd, 0x36, 0xfe, 0x55, // ld (ix-$02),$55
+    0xfd, 0x7e, 0x05,       // ld a,(iy+$05)
+    0xdd, 0xcb, 0x03, 0xc6, // set 0,(ix+$03)
+    0xfd, 0xcb, 0x80, 0x00  // rlc (iy-$80),b
+  ])
+  const disassembler = new DisassemblerZ80
+
+  const instructions = disassembler.disassembleRange(program, 0x0000, 6)
+  expect(instructions.map((instruction) => instruction.text)).toStrictEqual([
+    'bit 7,(hl)', 'ldir', 'ld (ix-$02),$55', 'ld a,(iy+$05)', 'set 0,(ix+$03)', 'rlc (iy-$80),b'
+  ])
+  expect(instructions.map((instruction) => instruction.length)).toStrictEqual([2, 2, 4, 3, 4, 4])
+})
+
+test('It shows bytes which are not instructions as data', () => {
+  let program = new Uint8Array(Math.pow(2, 16))
+  program.set([
+    0xed, 0x00,       // not an instruction
+    0xc3, 0x00, 0x00  // jp $0000
+  ])
+  program[0xffff] = 0xc3 // jp $00ed, wrapping around memory
+  const disassembler = new DisassemblerZ80
+
+  expect(disassembler.disassemble(program, 0x0000)).toStrictEqual({address: 0x0000, bytes: [0xed], length: 1, text: 'db $ed'})
+  expect(disassembler.disassemble(program, 0x0002).text).toBe('jp $0000')
+  expect(disassembler.disassemble(program, 0xffff).text).toBe('jp $00ed')
+})
@@ -0,0 +1,64 @@
+'use strict'
+
+/**
+ * a memory mapped character display: a window of memory holding one byte per character cell, row by row, as
+ * the text screens of many home computers and terminals do. nothing is attached to the cpu; the display is
+ * drawn from the memory the program writes to, so it can be rendered wherever a copy of memory is to hand.
+ *
+ * printable ascii ($20-$7e) is shown as it is, and any other byte as a blank cell.
+ *
+ * rob andrews <rob@aphlor.org>
+ */
+class TextDisplay
+{
+  #address
+  #columns
+  #rows
+
+  /**
+   * Constructor
+   *
+   * @param Object  geometry  {address, columns, rows}: where the screen starts in memory, and its size
+   * @throws RangeError when the screen does not fit in memory
+   */
+  constructor({address, columns, rows})
+  {
+    if (!Number.isInteger(address) || (address < 0) || (address > 0xffff))
+      throw new RangeError(`invalid display address: ${address}`)
+
+    if (!Number.isInteger(columns) || !Number.isInteger(rows) || (columns < 1) || (rows < 1) ||
+      (address + (columns * rows) > 0x10000))
+      throw new RangeError(`invalid display size: ${columns}x${rows} does not fit in memory at ${address}`)
+
+    this.#address = address
+    this.#columns = columns
+    this.#rows = rows
+  }
+
+  /**
+   * Get where the screen is in memory, and its size
+   *
+   * @return Object {address, columns, rows}
+   */
+  getGeometry()
+  {
+    return {address: this.#address, columns: this.#columns, rows: this.#rows}
+  }
+
+  /**
+   * Draw the screen from a copy of memory
+   *
+   * @param Uint8Array  ram 64KB address space holding the screen
+   * @return array  One string for each row
+   */
+  render(ram)
+  {
+    return Array.from({length: this.#rows}, (value, row) => {
+      const start = this.#address + (row * this.#columns)
+      return String.fromCharCode(...Array.from(ram.subarray(start, start + this.#columns),
+        (byte) => ((byte >= 0x20) && (byte <= 0x7e)) ? byte : 0x20))
+    })
+  }
+}
+
+export default TextDisplay
@@ -0,0 +1,25 @@
+/**
+ * tests for the TextDisplay class
+ *
+ * rob andrews <rob@aphlor.org>
+ */
+
+import TextDisplay from './display.js'
+
+test('It draws the screen row by row from memory', () => {
+  const ram = new Uint8Array(Math.pow(2, 16))
+  ram.set(Array.from('Hi!', (character) => character.charCodeAt(0)), 0xf000)
+  ram.set([0x00, 0x41, 0x7f, 0xc1], 0xf004)
+  ram[0xf008] = 0x5a
+
+  const display = new TextDisplay({address: 0xf000, columns: 4, rows: 2})
+  expect(display.getGeometry()).toStrictEqual({address: 0xf000, columns: 4, rows: 2})
+  expect(display.render(ram)).toStrictEqual(['Hi! ', ' A  '])
+})
+
+test('It refuses a screen which does not fit in memory', () => {
+  expect(() => new TextDisplay({address: 0xfe00, columns: 40, rows: 25})).toThrow(RangeError)
+  expect(() => new TextDisplay({address: 0x10000, columns: 1, rows: 1})).toThrow(RangeError)
+  expect(() => new TextDisplay({address: 0, columns: 0, rows: 25})).toThrow(RangeError)
+  expect(new TextDisplay({address: 0xfc18, columns: 40, rows: 25}).render(new Uint8Array(0x10000)).length).toBe(25)
+})
@@ -0,0 +1,254 @@
+/**
+ * zexdoc-style instruction exerciser for ProcessorZ80: runs exerciser/exerciser.z80 as a cp/m program, which
+ * folds the results of each group of instructions into a crc and reports the groups that don't match the crc
+ * worked out by the reference model in exerciser/reference.js.
+ *
+ * rob andrews <rob@aphlor.org>
+ */
+
+import { memop, exercise } from './exerciser/harness.js'
+
+// operand values which cover the interesting carries, overflows and signs
+const bytes = [0x00, 0x01, 0x0f, 0x10, 0x3c, 0x7f, 0x80, 0x81, 0x99, 0xa5, 0xfe, 0xff]
+const fewBytes = [0x00, 0x01, 0x7f, 0x80, 0xa5, 0xff]
+const words = [0x0000, 0x0001, 0x0fff, 0x1000, 0x7fff, 0x8000, 0x8fff, 0xa55a, 0xffff]
+
+// flags: carry clear and set, and every flag clear and set
+const carry = [0x00, 0x01]
+const allFlags = [0x00, 0xff]
+
+// alu operations in opcode order, and the registers as they're encoded in opcodes
+const aluOps = ['add', 'adc', 'sub', 'sbc', 'and', 'xor', 'or', 'cp']
+const registers = '<b,c,d,e,h,l,(hl),a>'
+
+/**
+ * every combination of the values given for parts of the machine state; other parts keep their defaults, which
+ * point hl and ix+1/iy+1 at the memory operand
+ *
+ * @param Object  values  Lists of values, keyed by part of the state: memop, iy, ix, hl, de, bc, a, f, af
+ * @return array
+ */
+const states = (values) => {
+  const defaults = {memop: 0x0000, iy: memop - 1, ix: memop - 1, hl: memop, de: 0x0000, bc: 0x0000, a: 0x00, f: 0x00}
+  return Object.keys(values)
+    .reduce((combinations, part) => combinations.flatMap((state) => values[part].map((value) => ({...state, [part]: value}))), [defaults])
+    .map(({a, f, ...state}) => ({...state, af: (state.af ?? ((a << 8) | f))}))
+}
+
+/**
+ * the same byte in both halves of a word
+ *
+ * @param number  value Byte to repeat
+ * @return number
+ */
+const twice = (value) => (value << 8) | value
+
+/**
+ * 0 to count-1
+ *
+ * @param number  count Number of values
+ * @return array
+ */
+const range = (count) => Array.from({length: count}, (value, index) => index)
+
+// bytes for the operand the alu, inc/dec and cb groups work on; see everywhere()
+const operands = (values) => values.map(twice)
+
+/**
+ * copy the operand in bc into de, a and the memory operand, so that every register encoding sees the same value
+ *
+ * @param Object  state Machine state
+ * @return Object
+ */
+const everywhere = (state) => ({...state, de: state.bc, memop: state.bc, af: (state.bc & 0xff00) | (state.af & 0xff)})
+
+const groups = [
+  ...aluOps.map((op, index) => ({
+    name: `${op} a,${registers}`,
+    instructions: range(8).map((register) => [0x80 | (index << 3) | register]),
+    states: states({a: bytes, f: carry, bc: operands(bytes)}).map((state) => ({...state, de: state.bc, memop: state.bc}))
+  })),
+  {
+    name: '<add,adc,sub,sbc,and,xor,or,cp> a,nn',
+    instructions: aluOps.flatMap((op, index) => bytes.map((value) => [0xc6 | (index << 3), value])),
+    states: states({a: bytes, f: carry})
+  },
+  {
+    name: 'aluop a,<ixh,ixl,iyh,iyl>',
+    instructions: aluOps.flatMap((op, index) => [0xdd, 0xfd].flatMap((prefix) => [[prefix, 0x84 | (index << 3)], [prefix, 0x85 | (index << 3)]])),
+    states: states({a: fewBytes, f: carry, ix: [0x7f80, 0x01ff, 0xa500], iy: [0x0a5a]})
+  },
+  {
+    name: 'aluop a,(<ix,iy>+1)',
+    instructions: aluOps.flatMap((op, index) => [[0xdd, 0x86 | (index << 3), 0x01], [0xfd, 0x86 | (index << 3), 0x01]]),
+    states: states({a: bytes, f: carry, memop: fewBytes})
+  },
+  {
+    name: `<inc,dec> ${registers}`,
+    instructions: range(8).flatMap((register) => [[0x04 | (register << 3)], [0x05 | (register << 3)]]),
+    states: states({f: allFlags, bc: operands(bytes)}).map(everywhere)
+  },
+  {
+    name: '<inc,dec> <ixh,ixl,iyh,iyl,(ix+1),(iy+1)>',
+    instructions: [0xdd, 0xfd].flatMap((prefix) => [[prefix, 0x24], [prefix, 0x25], [prefix, 0x2c], [prefix, 0x2d], [prefix, 0x34, 0x01], [prefix, 0x35, 0x01]]),
+    states: states({f: allFlags, memop: bytes})
+  },
+  {
+    name: '<inc,dec> <bc,de,hl,ix,iy>',
+    instructions: [[0x03], [0x0b], [0x13], [0x1b], [0x23], [0x2b], [0xdd, 0x23], [0xdd, 0x2b], [0xfd, 0x23], [0xfd, 0x2b]],
+    states: states({f: allFlags, bc: words}).map((state) => ({...state, de: state.bc ^ 0xffff, hl: state.bc, ix: state.bc, iy: state.bc ^ 0x8000}))
+  },
+  {
+    name: 'add <hl,ix,iy>,<bc,de,hl,ix,iy>',
+    instructions: [[0x09], [0x19], [0x29], [0xdd, 0x09], [0xdd, 0x19], [0xdd, 0x29], [0xfd, 0x09], [0xfd, 0x19], [0xfd, 0x29]],
+    states: states({f: allFlags, hl: words, bc: words}).map((state) => ({...state, de: state.bc ^ 0x0f0f, ix: state.hl, iy: state.hl ^ 0xffff}))
+  },
+  {
+    name: '<adc,sbc> hl,<bc,de,hl>',
+    instructions: [[0xed, 0x4a], [0xed, 0x5a], [0xed, 0x6a], [0xed, 0x42], [0xed, 0x52], [0xed, 0x62]],
+    states: states({f: carry, hl: words, bc: words}).map((state) => ({...state, de: state.bc ^ 0x0f0f}))
+  },
+  {
+    name: `ld ${registers},${registers}`,
+    instructions: range(64).filter((opcode) => opcode !== 0x36).map((opcode) => [0x40 | opcode]),
+    states: states({bc: [0x0123], de: [0x4567], a: [0x89, 0xab], memop: [0xcdef]})
+  },
+  {
+    name: `ld ${registers},nn`,
+    instructions: range(8).map((register) => [0x06 | (register << 3), 0xa5]),
+    states: states({memop: [0x1234]})
+  },
+  {
+    name: 'ld <b,c,d,e,h,l,a>,(<ix,iy>+1)',
+    instructions: [0xdd, 0xfd].flatMap((prefix) => [0, 1, 2, 3, 4, 5, 7].map((register) => [prefix, 0x46 | (register << 3), 0x01])),
+    states: states({memop: [0x5aa5, 0x0180]})
+  },
+  {
+    name: 'ld (<ix,iy>+1),<b,c,d,e,h,l,a,nn>',
+    instructions: [0xdd, 0xfd].flatMap((prefix) => [
+      ...[0, 1, 2, 3, 4, 5, 7].map((register) => [prefix, 0x70 | register, 0x01]),
+      [prefix, 0x36, 0x01, 0x99]
+    ]),
+    states: states({bc: [0x0123], de: [0x4567], a: [0x89]})
+  },
+  {
+    name: 'ld <ixh,ixl,iyh,iyl>,<b,c,d,e,ixh,ixl,a,nn>',
+    instructions: [0xdd, 0xfd].flatMap((prefix) => [4, 5].flatMap((half) => [
+      ...[0, 1, 2, 3, 4, 5, 7].map((register) => [prefix, 0x40 | (half << 3) | register]),
+      [prefix, 0x06 | (half << 3), 0x5a]
+    ])),
+    states: states({bc: [0x0123], de: [0x4567], a: [0x89], ix: [0xabcd], iy: [0xef01]})
+  },
+  {
+    name: 'ld <(bc),(de),(nnnn)>,<a,hl,bc,de,ix,iy>',
+    instructions: [
+      [0x02], [0x12], [0x32, memop & 0xff, memop >> 8], [0x22, memop & 0xff, memop >> 8],
+      [0xed, 0x43, memop & 0xff, memop >> 8], [0xed, 0x53, memop & 0xff, memop >> 8],
+      [0xdd, 0x22, memop & 0xff, memop >> 8], [0xfd, 0x22, memop & 0xff, memop >> 8]
+    ],
+    states: states({bc: [memop], de: [memop], hl: [0x1234], a: [0x56], ix: [0x789a], iy: [0xbcde]})
+  },
+  {
+    name: 'ld <a,hl,bc,de,ix,iy>,<(bc),(de),(nnnn)>',
+    instructions: [
+      [0x0a], [0x1a], [0x3a, memop & 0xff, memop >> 8], [0x2a, memop & 0xff, memop >> 8],
+      [0xed, 0x4b, memop & 0xff, memop >> 8], [0xed, 0x5b, memop & 0xff, memop >> 8],
+      [0xdd, 0x2a, memop & 0xff, memop >> 8], [0xfd, 0x2a, memop & 0xff, memop >> 8]
+    ],
+    states: states({bc: [memop], de: [memop], memop: [0x1234, 0xfedc]})
+  },
+  {
+    name: 'ld <bc,de,hl,ix,iy>,nnnn',
+    instructions: [[0x01, 0x34, 0x12], [0x11, 0x78, 0x56], [0x21, 0xbc, 0x9a], [0xdd, 0x21, 0xf0, 0xde], [0xfd, 0x21, 0x0f, 0xed]],
+    states: states({})
+  },
+  {
+    name: '<rlca,rrca,rla,rra>',
+    instructions: [[0x07], [0x0f], [0x17], [0x1f]],
+    states: states({a: bytes, f: allFlags})
+  },
+  {
+    name: 'daa',
+    instructions: [[0x27]],
+    // every accumulator value with each combination of carry, half carry and subtract
+    states: states({a: range(256), f: [0x00, 0x01, 0x02, 0x03, 0x10, 0x11, 0x12, 0x13]})
+  },
+  {
+    name: '<cpl,scf,ccf>',
+    instructions: [[0x2f], [0x37], [0x3f]],
+    states: states({a: bytes, f: [0x00, 0x01, 0xfe, 0xff]})
+  },
+  {
+    name: 'neg',
+    instructions: [[0xed, 0x44]],
+    states: states({a: range(256), f: carry})
+  },
+  {
+    name: '<rrd,rld>',
+    instructions: [[0xed, 0x67], [0xed, 0x6f]],
+    states: states({a: bytes, f: carry, memop: fewBytes})
+  },
+  {
+    name: `<rlc,rrc,rl,rr,sla,sra,sll,srl> ${registers}`,
+    instructions: range(64).map((opcode) => [0xcb, opcode]),
+    states: states({f: carry, bc: operands(bytes)}).map(everywhere)
+  },
+  {
+    name: '<rlc,rrc,rl,rr,sla,sra,sll,srl> (<ix,iy>+1)',
+    instructions: range(8).flatMap((op) => [[0xdd, 0xcb, 0x01, 0x06 | (op << 3)], [0xfd, 0xcb, 0x01, 0x06 | (op << 3)]]),
+    states: states({f: carry, memop: bytes})
+  },
+  {
+    name: `bit n,${registers}`,
+    instructions: range(64).map((opcode) => [0xcb, 0x40 | opcode]),
+    states: states({f: carry, bc: operands(bytes)}).map(everywhere)
+  },
+  {
+    name: 'bit n,(<ix,iy>+1)',
+    instructions: range(8).flatMap((bit) => [[0xdd, 0xcb, 0x01, 0x46 | (bit << 3)], [0xfd, 0xcb, 0x01, 0x46 | (bit << 3)]]),
+    states: states({f: carry, memop: bytes})
+  },
+  {
+    name: `<res,set> n,${registers}`,
+    instructions: range(128).map((opcode) => [0xcb, 0x80 | opcode]),
+    states: states({f: [0xd7], bc: operands([0x00, 0xff, 0x5a])}).map(everywhere)
+  },
+  {
+    name: '<res,set> n,(<ix,iy>+1)',
+    instructions: range(16).flatMap((op) => [[0xdd, 0xcb, 0x01, 0x86 | (op << 3)], [0xfd, 0xcb, 0x01, 0x86 | (op << 3)]]),
+    states: states({memop: [0x0000, 0xffff, 0x5a5a]})
+  },
+  {
+    name: '<ldi,ldd,cpi,cpd>',
+    instructions: [[0xed, 0xa0], [0xed, 0xa8], [0xed, 0xa1], [0xed, 0xa9]],
+    states: states({a: [0x00, 0x12, 0x34, 0xff], f: allFlags, bc: [0x0000, 0x0001, 0x0002], memop: [0x1234, 0x3412, 0xff00]})
+      .map((state) => ({...state, de: memop + 1}))
+  },
+  {
+    name: '<ldir,lddr,cpir,cpdr>',
+    instructions: [[0xed, 0xb0], [0xed, 0xb8], [0xed, 0xb1], [0xed, 0xb9]],
+    states: states({a: [0x00, 0x12, 0x34, 0xff], f: allFlags, bc: [0x0001], memop: [0x1234, 0x3412, 0xff00]})
+      .map((state) => ({...state, de: memop + 1}))
+  },
+  {
+    // each jump skips over an inc l when it's taken
+    name: '<jr,jr nz,jr z,jr nc,jr c,djnz> +1',
+    instructions: [0x18, 0x20, 0x28, 0x30, 0x38, 0x10].map((opcode) => [opcode, 0x01, 0x2c]),
+    states: states({f: [0x00, 0x01, 0x40, 0x41, 0xff], bc: [0x0000, 0x0100, 0x0200]})
+  }
+]
+
+// the bigger groups run around a million instructions, which can take longer than jest's default 5 seconds
+const groupTimeout = 30000
+
+test.each(groups.map((group) => [group.name, group]))('It exercises %s', (name, group) => {
+  const report = exercise([group]).split(/\r\n/)
+  expect(report[0]).toBe('z80 instruction exerciser')
+  expect(report[1]).toBe(`${name} `.padEnd(32, '.') + '  OK')
+  expect(report[2]).toBe('Tests complete')
+}, groupTimeout)
+
+test('It reports groups whose crc does not match', () => {
+  const group = {name: 'add a,b', instructions: [[0x80]], states: states({a: [0x01], bc: [0x0100]}), crc: 0x12345678}
+  expect(exercise([group])).toMatch(/^add a,b \.+  ERROR \*\*\*\* crc expected:12345678 found:[0-9a-f]{8}\r$/m)
+})
@@ -0,0 +1,165 @@
+'use strict'
+
+/**
+ * builds and runs exerciser.z80 as a cp/m program on ProcessorZ80. the groups of instructions to exercise are
+ * written into the program's memory, each with the crc the reference model (reference.js) expects it to produce,
+ * and the program reports every group whose crc differs through the bdos console.
+ *
+ * rob andrews <rob@aphlor.org>
+ */
+
+import fs from 'fs'
+import { assemble } from '../../assembler.js'
+import ProcessorZ80 from '../z80.js'
+import { execute } from './reference.js'
+
+// cp/m entry points: a jump to 0 is a warm boot (the program has finished), a call to 5 is a bdos call
+const [WARM_BOOT, BDOS] = [0x0000, 0x0005]
+
+// bdos functions the exerciser uses: write the character in e, write the $-terminated string at de
+const [CONSOLE_OUTPUT, PRINT_STRING] = [2, 9]
+
+// undocumented flags f3 and f5 are masked off before each state is added to the crc (as zexdoc does)
+const FLAG_MASK = 0xd7
+
+// width the group names are padded to in the report
+const NAME_WIDTH = 32
+
+const program = assemble(fs.readFileSync(new URL('./exerciser.z80', import.meta.url)).toString())
+if (program.error !== null)
+  throw new Error(`exerciser.z80 failed to assemble: ${program.error.msg} (at line ${program.error.s.numline})`)
+
+// address of the memory operand instructions under test can use
+const memop = program.symbols.memop
+
+// crc-32 (as used by zip, ethernet, etc.), one entry per byte value
+const crcTable = Array.from({length: 256}, (value, index) => {
+  let crc = index
+  for (let bit = 0; bit < 8; bit++)
+    crc = (crc & 1) ? ((crc >>> 1) ^ 0xedb88320) : (crc >>> 1)
+  return crc >>> 0
+})
+
+/**
+ * the bytes of a machine state, in the order the exerciser keeps them
+ *
+ * @param Object  state {memop, iy, ix, hl, de, bc, af}
+ * @return array
+ */
+const stateBytes = (state) => ['memop', 'iy', 'ix', 'hl', 'de', 'bc', 'af']
+  .flatMap((word) => [state[word] & 0xff, state[word] >> 8])
+
+/**
+ * work out the crc a group should produce by running it through the reference model
+ *
+ * @param Object  group {name, instructions, states}
+ * @return number
+ */
+const expectedCrc = (group) => {
+  let crc = 0xffffffff
+  group.instructions.forEach((instruction) => {
+    group.states.forEach((state) => {
+      const result = execute(instruction, state, memop)
+      result.af &= 0xff00 | FLAG_MASK
+      stateBytes(result).forEach((byte) => {
+        crc = (crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8)) >>> 0
+      })
+    })
+  })
+  return ~crc >>> 0
+}
+
+/**
+ * create the exerciser's memory image for a list of groups. each group is {name, instructions, states, crc}:
+ * instructions is a list of byte arrays (at most 4 bytes each), states a list of {memop, iy, ix, hl, de, bc,
+ * af} words and crc, which is optional, the crc to expect in place of the reference model's.
+ *
+ * @param array groups  Groups of instructions to exercise
+ * @return Uint8Array
+ */
+const buildExerciser = (groups) => {
+  const ram = program.ram.slice()
+  ram.set(crcTable.flatMap((crc) => [crc & 0xff, (crc >> 8) & 0xff, (crc >> 16) & 0xff, crc >>> 24]), program.symbols.crctab)
+
+  // descriptors first (with an empty one to end the list), then the data they point to
+  let [descriptor, data] = [program.symbols.groups, program.symbols.groups + ((groups.length + 1) * 14)]
+  const place = (bytes) => {
+    if (data + bytes.length > 0x10000)
+      throw new RangeError('exerciser groups do not fit in memory')
+    ram.set(bytes, data)
+    data += bytes.length
+    return data - bytes.length
+  }
+  const word = (value) => [value & 0xff, value >> 8]
+
+  groups.forEach((group) => {
+    const name = place(Array.from(`${group.name} `.padEnd(NAME_WIDTH, '.') + '$', (character) => character.charCodeAt(0)))
+    const instructions = place(group.instructions.flatMap((instruction) => [...instruction, 0, 0, 0, 0].slice(0, 4)))
+    const states = place(group.states.flatMap(stateBytes))
+    const crc = group.crc ?? expectedCrc(group)
+
+    ram.set([
+      ...word(name), ...word(instructions), ...word(group.instructions.length), ...word(states),
+      ...word(group.states.length), crc & 0xff, (crc >> 8) & 0xff, (crc >> 16) & 0xff, crc >>> 24
+    ], descriptor)
+    descriptor += 14
+  })
+
+  return ram
+}
+
+/**
+ * run a cp/m .com program with just enough of the bdos for console output, returning what it printed.
+ * bdos calls are caught with a breakpoint (memory at 5 holds a ret to return from them).
+ *
+ * @param Uint8Array  ram             64KB memory image with the program at $0100
+ * @param number      maxInstructions Most instructions to run before giving up
+ * @throws Error  when the program stops other than by warm booting, or calls an unsupported bdos function
+ * @return string
+ */
+const runCpm = (ram, maxInstructions = Infinity) => {
+  ram[BDOS] = 0xc9
+  const cpu = new ProcessorZ80(ram)
+  cpu.setRegister('pc', 0x0100)
+  cpu.addBreakpoint(WARM_BOOT)
+  cpu.addBreakpoint(BDOS)
+
+  let [output, remaining] = ['', maxInstructions]
+  for (;;) {
+    const result = cpu.run(remaining)
+    remaining -= result.instructions
+    if (result.reason !== 'breakpoint') {
+      const detail = result.fault ? `: ${result.fault.message}` : ''
+      throw new Error(`cp/m program stopped (${result.reason}${detail}); output so far:\n${output}`)
+    }
+
+    const registers = cpu.getRegisters()
+    if (registers.pc === WARM_BOOT)
+      return output
+
+    switch (registers.bc & 0xff) {
+      case CONSOLE_OUTPUT:
+        output += String.fromCharCode(registers.de & 0xff)
+        break
+
+      case PRINT_STRING:
+        for (let address = registers.de; ram[address] !== 0x24; address = (address + 1) & 0xffff)
+          output += String.fromCharCode(ram[address])
+        break
+
+      default:
+        throw new Error(`unsupported bdos function ${registers.bc & 0xff}`)
+    }
+  }
+}
+
+/**
+ * exercise groups of instructions, returning the exerciser's report
+ *
+ * @param array   groups          Groups of instructions to exercise (see buildExerciser())
+ * @param number  maxInstructions Most instructions to run before giving up
+ * @return string
+ */
+const exercise = (groups, maxInstructions = Infinity) => runCpm(buildExerciser(groups), maxInstructions)
+
+export { memop, buildExerciser, runCpm, exercise }
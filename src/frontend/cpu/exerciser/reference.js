@@ -0,0 +1,484 @@
+'use strict'
+
+/**
+ * reference model of the instructions exercised by exerciser.z80; works out the crc each group of instructions
+ * is expected to produce. it's written from the zilog documentation and deliberately shares nothing with
+ * ProcessorZ80 or the generated opcode tables (flags are worked out arithmetically rather than from lookup
+ * tables), so that a mistake in one can't hide the same mistake in the other.
+ *
+ * instructions run from a 4 byte slot padded with nops; they may only read and write the two byte memory
+ * operand, mustn't touch sp and mustn't jump out of the slot.
+ *
+ * rob andrews <rob@aphlor.org>
+ */
+
+const [FLAG_C, FLAG_N, FLAG_PV, FLAG_3, FLAG_H, FLAG_5, FLAG_Z, FLAG_S] = [0x01, 0x02, 0x04, 0x08, 0x10, 0x20, 0x40, 0x80]
+
+/**
+ * sign, zero and the undocumented f3/f5 flags for an 8-bit result
+ *
+ * @param number  value 8-bit result
+ * @return number
+ */
+const sz53 = (value) => (value & (FLAG_S | FLAG_5 | FLAG_3)) | (value ? 0 : FLAG_Z)
+
+/**
+ * parity flag for an 8-bit result; set when an even number of bits are set
+ *
+ * @param number  value 8-bit result
+ * @return number
+ */
+const parity = (value) => {
+  let bits = 0
+  for (let bit = 0; bit < 8; bit++)
+    bits += (value >> bit) & 1
+
+  return (bits & 1) ? 0 : FLAG_PV
+}
+
+/**
+ * signed value of a displacement byte
+ *
+ * @param number  value Byte to convert
+ * @return number
+ */
+const signed = (value) => (value & 0x80) ? value - 0x100 : value
+
+/**
+ * run the instructions in a slot against a machine state
+ *
+ * @param array   slot    The 4 instruction bytes
+ * @param Object  state   Machine state: {memop, iy, ix, hl, de, bc, af}, all words
+ * @param number  address Address of the memory operand
+ * @throws Error  when an instruction isn't modelled or strays outside the memory operand or slot
+ * @return Object  The state after the instructions have run
+ */
+const execute = (slot, state, address) => {
+  const m = {
+    a: state.af >> 8, f: state.af & 0xff, b: state.bc >> 8, c: state.bc & 0xff, d: state.de >> 8,
+    e: state.de & 0xff, h: state.hl >> 8, l: state.hl & 0xff, ix: state.ix, iy: state.iy,
+    memory: [state.memop & 0xff, state.memop >> 8]
+  }
+  let pc = 0
+
+  const fetch = () => slot[pc++]
+  const memoryIndex = (location) => {
+    const index = (location - address) & 0xffff
+    if (index > 1)
+      throw new Error(`reference model: access to $${location.toString(16)} is outside the memory operand`)
+    return index
+  }
+  const read = (location) => m.memory[memoryIndex(location)]
+  const write = (location, value) => { m.memory[memoryIndex(location)] = value & 0xff }
+
+  const getPair = (pair) => (pair === 'ix' || pair === 'iy') ? m[pair] : ((m[pair[0]] << 8) | m[pair[1]])
+  const setPair = (pair, value) => {
+    if (pair === 'ix' || pair === 'iy') {
+      m[pair] = value & 0xffff
+      return
+    }
+    m[pair[0]] = (value >> 8) & 0xff
+    m[pair[1]] = value & 0xff
+  }
+
+  // 8-bit operands as encoded in opcodes (b, c, d, e, h, l, (hl), a); with an index prefix h and l become the
+  // index register halves, unless the instruction also uses (ix+dd), and (hl) becomes (ix+dd)
+  const registerNames = ['b', 'c', 'd', 'e', 'h', 'l', null, 'a']
+  const getOperand = (code, index, location, halves) => {
+    if (code === 6)
+      return read(location)
+    if (halves && index && (code === 4 || code === 5))
+      return (code === 4) ? (m[index] >> 8) : (m[index] & 0xff)
+    return m[registerNames[code]]
+  }
+  const setOperand = (code, index, location, halves, value) => {
+    value &= 0xff
+    if (code === 6)
+      write(location, value)
+    else if (halves && index && (code === 4))
+      m[index] = (value << 8) | (m[index] & 0xff)
+    else if (halves && index && (code === 5))
+      m[index] = (m[index] & 0xff00) | value
+    else
+      m[registerNames[code]] = value
+  }
+
+  const add8 = (value, carry) => {
+    const result = m.a + value + carry
+    const overflow = (~(m.a ^ value) & (m.a ^ result) & 0x80) ? FLAG_PV : 0
+    const half = (((m.a & 0x0f) + (value & 0x0f) + carry) & 0x10) ? FLAG_H : 0
+    m.f = sz53(result & 0xff) | half | overflow | ((result > 0xff) ? FLAG_C : 0)
+    return result & 0xff
+  }
+
+  const sub8 = (value, carry) => {
+    const result = m.a - value - carry
+    const overflow = ((m.a ^ value) & (m.a ^ result) & 0x80) ? FLAG_PV : 0
+    const half = (((m.a & 0x0f) - (value & 0x0f) - carry) & 0x10) ? FLAG_H : 0
+    m.f = sz53(result & 0xff) | half | overflow | FLAG_N | ((result < 0) ? FLAG_C : 0)
+    return result & 0xff
+  }
+
+  const alu = (operation, value) => {
+    const carry = m.f & FLAG_C
+    switch (operation) {
+      case 0: m.a = add8(value, 0); break
+      case 1: m.a = add8(value, carry); break
+      case 2: m.a = sub8(value, 0); break
+      case 3: m.a = sub8(value, carry); break
+      case 4: m.a &= value; m.f = sz53(m.a) | parity(m.a) | FLAG_H; break
+      case 5: m.a ^= value; m.f = sz53(m.a) | parity(m.a); break
+      case 6: m.a |= value; m.f = sz53(m.a) | parity(m.a); break
+      case 7:
+        // compare is a subtraction which throws away the result; f3 and f5 come from the operand
+        sub8(value, 0)
+        m.f = (m.f & ~(FLAG_3 | FLAG_5)) | (value & (FLAG_3 | FLAG_5))
+        break
+    }
+  }
+
+  const inc8 = (value) => {
+    const result = (value + 1) & 0xff
+    m.f = (m.f & FLAG_C) | sz53(result) | (((value & 0x0f) === 0x0f) ? FLAG_H : 0) | ((value === 0x7f) ? FLAG_PV : 0)
+    return result
+  }
+
+  const dec8 = (value) => {
+    const result = (value - 1) & 0xff
+    m.f = (m.f & FLAG_C) | sz53(result) | FLAG_N | (((value & 0x0f) === 0) ? FLAG_H : 0) | ((value === 0x80) ? FLAG_PV : 0)
+    return result
+  }
+
+  const add16 = (target, value, carry, allFlags) => {
+    const original = getPair(target)
+    const result = original + value + carry
+    const half = (((original & 0x0fff) + (value & 0x0fff) + carry) & 0x1000) ? FLAG_H : 0
+    setPair(target, result)
+    const word = result & 0xffff
+    if (allFlags) {
+      m.f = ((word >> 8) & (FLAG_S | FLAG_5 | FLAG_3)) | (word ? 0 : FLAG_Z) | half | ((result > 0xffff) ? FLAG_C : 0)
+        | ((~(original ^ value) & (original ^ result) & 0x8000) ? FLAG_PV : 0)
+    } else {
+      m.f = (m.f & (FLAG_S | FLAG_Z | FLAG_PV)) | ((word >> 8) & (FLAG_5 | FLAG_3)) | half | ((result > 0xffff) ? FLAG_C : 0)
+    }
+  }
+
+  const sbc16 = (value) => {
+    const original = getPair('hl')
+    const carry = m.f & FLAG_C
+    const result = original - value - carry
+    const word = result & 0xffff
+    setPair('hl', result)
+    m.f = ((word >> 8) & (FLAG_S | FLAG_5 | FLAG_3)) | (word ? 0 : FLAG_Z) | FLAG_N
+      | ((((original & 0x0fff) - (value & 0x0fff) - carry) & 0x1000) ? FLAG_H : 0)
+      | (((original ^ value) & (original ^ result) & 0x8000) ? FLAG_PV : 0)
+      | ((result < 0) ? FLAG_C : 0)
+  }
+
+  // rotates and shifts from the cb table: rlc, rrc, rl, rr, sla, sra, sll, srl
+  const rotate = (operation, value) => {
+    let [result, carry] = [0, 0]
+    switch (operation) {
+      case 0: carry = value >> 7; result = (value << 1) | carry; break
+      case 1: carry = value & 1; result = (value >> 1) | (carry << 7); break
+      case 2: carry = value >> 7; result = (value << 1) | (m.f & FLAG_C); break
+      case 3: carry = value & 1; result = (value >> 1) | ((m.f & FLAG_C) << 7); break
+      case 4: carry = value >> 7; result = value << 1; break
+      case 5: carry = value & 1; result = (value >> 1) | (value & 0x80); break
+      case 6: carry = value >> 7; result = (value << 1) | 1; break
+      case 7: carry = value & 1; result = value >> 1; break
+    }
+    result &= 0xff
+    m.f = sz53(result) | parity(result) | (carry ? FLAG_C : 0)
+    return result
+  }
+
+  const bit = (number, value) => {
+    const set = value & (1 << number)
+    m.f = (m.f & FLAG_C) | FLAG_H | (value & (FLAG_5 | FLAG_3)) | (set ? 0 : (FLAG_Z | FLAG_PV))
+      | (((number === 7) && set) ? FLAG_S : 0)
+  }
+
+  const jumpRelative = (condition) => {
+    const offset = signed(fetch())
+    if (condition)
+      pc += offset
+  }
+
+  const conditions = [
+    () => !(m.f & FLAG_Z), () => m.f & FLAG_Z, () => !(m.f & FLAG_C), () => m.f & FLAG_C
+  ]
+  const pairs = (index) => ['bc', 'de', index || 'hl', 'sp']
+
+  const cbPrefix = (index) => {
+    // with an index prefix the displacement comes before the opcode
+    const location = index ? (m[index] + signed(fetch())) & 0xffff : getPair('hl')
+    const opcode = fetch()
+    const [x, y, z] = [opcode >> 6, (opcode >> 3) & 7, opcode & 7]
+    if (index && (z !== 6))
+      throw new Error(`reference model: undocumented indexed cb opcode $${opcode.toString(16)}`)
+
+    const value = getOperand(z, null, location, false)
+    switch (x) {
+      case 0: setOperand(z, null, location, false, rotate(y, value)); break
+      case 1: bit(y, value); break
+      case 2: setOperand(z, null, location, false, value & ~(1 << y)); break
+      case 3: setOperand(z, null, location, false, value | (1 << y)); break
+    }
+  }
+
+  const edPrefix = () => {
+    const opcode = fetch()
+    const [x, y, z] = [opcode >> 6, (opcode >> 3) & 7, opcode & 7]
+
+    if ((x === 1) && (z === 2)) {
+      if ((y >> 1) === 3)
+        throw new Error('reference model: sp is off limits')
+
+      const value = getPair(pairs()[y >> 1])
+      if (y & 1)
+        add16('hl', value, m.f & FLAG_C, true)
+      else
+        sbc16(value)
+      return
+    }
+
+    if ((x === 1) && (z === 3)) {
+      // ld (nnnn),rr and ld rr,(nnnn)
+      if ((y >> 1) === 3)
+        throw new Error('reference model: sp is off limits')
+
+      const location = fetch() | (fetch() << 8)
+      const pair = pairs()[y >> 1]
+      if (y & 1) {
+        setPair(pair, read(location) | (read(location + 1) << 8))
+      } else {
+        write(location, getPair(pair))
+        write(location + 1, getPair(pair) >> 8)
+      }
+      return
+    }
+
+    if ((x === 1) && (z === 4)) {
+      // neg
+      const value = m.a
+      m.a = 0
+      m.a = sub8(value, 0)
+      return
+    }
+
+    if ((x === 1) && (z === 7) && (y === 4 || y === 5)) {
+      const hl = getPair('hl')
+      const value = read(hl)
+      if (y === 4) {
+        // rrd
+        write(hl, (m.a << 4) | (value >> 4))
+        m.a = (m.a & 0xf0) | (value & 0x0f)
+      } else {
+        // rld
+        write(hl, (value << 4) | (m.a & 0x0f))
+        m.a = (m.a & 0xf0) | (value >> 4)
+      }
+      m.f = (m.f & FLAG_C) | sz53(m.a) | parity(m.a)
+      return
+    }
+
+    if ((x === 2) && (y >= 4) && (z <= 1)) {
+      // ldi, ldd, ldir, lddr, cpi, cpd, cpir, cpdr
+      const step = (y & 1) ? -1 : 1
+      const repeat = y >= 6
+      do {
+        const value = read(getPair('hl'))
+        setPair('hl', getPair('hl') + step)
+        setPair('bc', getPair('bc') - 1)
+        if (z === 0) {
+          write(getPair('de'), value)
+          setPair('de', getPair('de') + step)
+          const leak = (value + m.a) & 0xff
+          m.f = (m.f & (FLAG_S | FLAG_Z | FLAG_C)) | (getPair('bc') ? FLAG_PV : 0) | (leak & FLAG_3) | ((leak & 0x02) ? FLAG_5 : 0)
+        } else {
+          const result = (m.a - value) & 0xff
+          const half = (((m.a & 0x0f) - (value & 0x0f)) & 0x10) ? FLAG_H : 0
+          const leak = (result - (half ? 1 : 0)) & 0xff
+          m.f = (m.f & FLAG_C) | FLAG_N | (result & FLAG_S) | (result ? 0 : FLAG_Z) | half
+            | (getPair('bc') ? FLAG_PV : 0) | (leak & FLAG_3) | ((leak & 0x02) ? FLAG_5 : 0)
+        }
+      } while (repeat && getPair('bc') && !((z === 1) && (m.f & FLAG_Z)))
+      return
+    }
+
+    throw new Error(`reference model: ed opcode $${opcode.toString(16)} isn't modelled`)
+  }
+
+  const step = () => {
+    let opcode = fetch()
+    let index = null
+    if (opcode === 0xdd || opcode === 0xfd) {
+      index = (opcode === 0xdd) ? 'ix' : 'iy'
+      opcode = fetch()
+    }
+
+    if (opcode === 0xcb)
+      return cbPrefix(index)
+    if (opcode === 0xed)
+      return edPrefix()
+
+    const [x, y, z] = [opcode >> 6, (opcode >> 3) & 7, opcode & 7]
+    const hl = index || 'hl'
+
+    // the memory operand's address, fetching the displacement for indexed instructions which use it
+    const usesMemory = ((x === 0) && (y === 6) && (z >= 4 && z <= 6)) || ((x === 1) && (y === 6 || z === 6)) || ((x === 2) && (z === 6))
+    const location = usesMemory
+      ? (index ? (m[index] + signed(fetch())) & 0xffff : getPair('hl'))
+      : null
+    const halves = !usesMemory
+
+    switch (x) {
+      case 0:
+        switch (z) {
+          case 0:
+            if (y === 0)
+              return
+            if (y === 2) {
+              // djnz doesn't affect the flags
+              m.b = (m.b - 1) & 0xff
+              return jumpRelative(m.b !== 0)
+            }
+            if (y === 3)
+              return jumpRelative(true)
+            if (y >= 4)
+              return jumpRelative(conditions[y - 4]())
+            break
+
+          case 1:
+            if (y & 1) {
+              if ((y >> 1) === 3)
+                break
+              return add16(hl, getPair(pairs(index)[y >> 1]), 0, false)
+            }
+            if ((y >> 1) === 3)
+              break
+            return setPair(pairs(index)[y >> 1], fetch() | (fetch() << 8))
+
+          case 2: {
+            // loads through bc, de or an address: ld (bc),a, ld a,(de), ld (nnnn),hl, ld a,(nnnn), etc.
+            const [p, q] = [y >> 1, y & 1]
+            const location = (p < 2) ? getPair(pairs()[p]) : (fetch() | (fetch() << 8))
+            if ((p === 2) && q) {
+              setPair(hl, read(location) | (read(location + 1) << 8))
+            } else if (p === 2) {
+              write(location, getPair(hl))
+              write(location + 1, getPair(hl) >> 8)
+            } else if (q) {
+              m.a = read(location)
+            } else {
+              write(location, m.a)
+            }
+            return
+          }
+
+          case 3:
+            if ((y >> 1) === 3)
+              break
+            return setPair(pairs(index)[y >> 1], getPair(pairs(index)[y >> 1]) + ((y & 1) ? -1 : 1))
+
+          case 4:
+            return setOperand(y, index, location, halves, inc8(getOperand(y, index, location, halves)))
+
+          case 5:
+            return setOperand(y, index, location, halves, dec8(getOperand(y, index, location, halves)))
+
+          case 6:
+            return setOperand(y, index, location, halves, fetch())
+
+          case 7:
+            switch (y) {
+              case 0:
+                m.f = (m.f & (FLAG_S | FLAG_Z | FLAG_PV)) | (m.a >> 7)
+                m.a = ((m.a << 1) | (m.a >> 7)) & 0xff
+                break
+              case 1:
+                m.f = (m.f & (FLAG_S | FLAG_Z | FLAG_PV)) | (m.a & 1)
+                m.a = (m.a >> 1) | ((m.a & 1) << 7)
+                break
+              case 2: {
+                const carry = m.a >> 7
+                m.a = ((m.a << 1) | (m.f & FLAG_C)) & 0xff
+                m.f = (m.f & (FLAG_S | FLAG_Z | FLAG_PV)) | carry
+                break
+              }
+              case 3: {
+                const carry = m.a & 1
+                m.a = (m.a >> 1) | ((m.f & FLAG_C) << 7)
+                m.f = (m.f & (FLAG_S | FLAG_Z | FLAG_PV)) | carry
+                break
+              }
+              case 4: {
+                // daa
+                let [correction, carry] = [0, m.f & FLAG_C]
+                if ((m.f & FLAG_H) || ((m.a & 0x0f) > 9))
+                  correction |= 0x06
+                if (carry || (m.a > 0x99)) {
+                  correction |= 0x60
+                  carry = FLAG_C
+                }
+                const half = (m.f & FLAG_N)
+                  ? ((m.f & FLAG_H) && ((m.a & 0x0f) < 6))
+                  : ((m.a & 0x0f) > 9)
+                m.a = ((m.f & FLAG_N) ? (m.a - correction) : (m.a + correction)) & 0xff
+                m.f = sz53(m.a) | parity(m.a) | (m.f & FLAG_N) | (half ? FLAG_H : 0) | carry
+                break
+              }
+              case 5:
+                m.a ^= 0xff
+                m.f = (m.f & (FLAG_S | FLAG_Z | FLAG_PV | FLAG_C)) | FLAG_H | FLAG_N
+                break
+              case 6:
+                m.f = (m.f & (FLAG_S | FLAG_Z | FLAG_PV)) | FLAG_C
+                break
+              case 7:
+                m.f = (m.f & (FLAG_S | FLAG_Z | FLAG_PV)) | ((m.f & FLAG_C) ? FLAG_H : FLAG_C)
+                break
+            }
+            // f3 and f5 follow the accumulator for all of these
+            if (y !== 4)
+              m.f = (m.f & ~(FLAG_5 | FLAG_3)) | (m.a & (FLAG_5 | FLAG_3))
+            return
+        }
+        break
+
+      case 1:
+        if ((y === 6) && (z === 6))
+          break
+        return setOperand(y, index, location, halves, getOperand(z, index, location, halves))
+
+      case 2:
+        return alu(y, getOperand(z, index, location, halves))
+
+      case 3:
+        if (z === 6)
+          return alu(y, fetch())
+        break
+    }
+
+    throw new Error(`reference model: opcode $${opcode.toString(16)} isn't modelled`)
+  }
+
+  while (pc < slot.length) {
+    step()
+    if ((pc < 0) || (pc > slot.length))
+      throw new Error('reference model: jumped out of the instruction slot')
+  }
+
+  return {
+    memop: (m.memory[1] << 8) | m.memory[0],
+    iy: m.iy,
+    ix: m.ix,
+    hl: getPair('hl'),
+    de: getPair('de'),
+    bc: getPair('bc'),
+    af: (m.a << 8) | m.f
+  }
+}
+
+export { execute }
@@ -0,0 +1,157 @@
+'use strict'
+
+/**
+ * error classes thrown by ProcessorZ80 when the simulated cpu cannot carry on.
+ *
+ * each fault carries the state of the cpu when it happened, so the ide (or anything else driving the cpu)
+ * can react to the fault without picking apart the message.
+ *
+ * rob andrews <rob@aphlor.org>
+ */
+
+/**
+ * Base class for all cpu faults
+ */
+class CpuFault extends Error
+{
+  /**
+   * Constructor
+   *
+   * @param string  message   Description of the fault
+   * @param number  pc        Address of the instruction which faulted
+   * @param string  callChain Instruction bytes fetched so far, as hex (see ProcessorZ80.callChainToHex())
+   * @param Object  registers Copy of the cpu registers at the time of the fault
+   */
+  constructor(message, pc, callChain, registers)
+  {
+    super(message)
+    this.name = 'CpuFault'
+    this.pc = pc
+    this.callChain = callChain
+    this.registers = registers
+  }
+}
+
+/**
+ * The fetched bytes don't decode to an instruction the cpu knows about
+ */
+class InvalidOpcodeFault extends CpuFault
+{
+  /**
+   * Constructor
+   *
+   * @param number  pc        Address of the instruction which faulted
+   * @param string  callChain Instruction bytes fetched so far, as hex
+   * @param Object  registers Copy of the cpu registers at the time of the fault
+   */
+  constructor(pc, callChain, registers)
+  {
+    super(`CPU FAULT: invalid instruction opcode ${callChain}`, pc, callChain, registers)
+    this.name = 'InvalidOpcodeFault'
+  }
+}
+
+/**
+ * The opcode table holds something other than an instruction or a subtable; this is a bug in the simulator
+ */
+class OpcodeTableFault extends CpuFault
+{
+  /**
+   * Constructor
+   *
+   * @param number  pc        Address of the instruction which faulted
+   * @param string  callChain Instruction bytes fetched so far, as hex
+   * @param Object  registers Copy of the cpu registers at the time of the fault
+   */
+  constructor(pc, callChain, registers)
+  {
+    super(`vCPU FAULT: error in opcode table, examine callchain ${callChain}`, pc, callChain, registers)
+    this.name = 'OpcodeTableFault'
+  }
+}
+
+/**
+ * execute() was called without an instruction having been fetched
+ */
+class ExecuteWithoutFetchFault extends CpuFault
+{
+  /**
+   * Constructor
+   *
+   * @param number  pc        Value of the program counter
+   * @param string  callChain Instruction bytes fetched so far, as hex
+   * @param Object  registers Copy of the cpu registers at the time of the fault
+   */
+  constructor(pc, callChain, registers)
+  {
+    super('vCPU FAULT: execute() called without fetch() or major fault', pc, callChain, registers)
+    this.name = 'ExecuteWithoutFetchFault'
+  }
+}
+
+/**
+ * An instruction wrote to read-only memory which is set to fault on writes (see ProcessorZ80.setMemoryMap())
+ */
+class WriteProtectFault extends CpuFault
+{
+  /**
+   * Constructor
+   *
+   * @param number  pc        Address of the instruction which faulted
+   * @param string  callChain Instruction bytes fetched so far, as hex
+   * @param Object  registers Copy of the cpu registers at the time of the fault
+   * @param number  address   Address the instruction tried to write
+   * @param number  value     Byte the instruction tried to write
+   */
+  constructor(pc, callChain, registers, address, value)
+  {
+    super(`CPU FAULT: write of 0x${value.toString(16).padStart(2, '0')} to read-only memory at 0x${address.toString(16).padStart(4, '0')}`, pc, callChain, registers)
+    this.name = 'WriteProtectFault'
+    this.address = address
+    this.value = value
+  }
+}
+
+/**
+ * A cp/m program called a bdos function which the simulator doesn't provide (see cpm.js)
+ */
+class UnsupportedBdosFault extends CpuFault
+{
+  /**
+   * Constructor
+   *
+   * @param number  pc        Address of the bdos entry point the program called
+   * @param string  callChain Instruction bytes fetched so far, as hex (none; the bdos isn't executed)
+   * @param Object  registers Copy of the cpu registers at the time of the fault
+   * @param number  func      Number of the bdos function, from register c
+   */
+  constructor(pc, callChain, registers, func)
+  {
+    super(`CPU FAULT: unsupported cp/m bdos function ${func}`, pc, callChain, registers)
+    this.name = 'UnsupportedBdosFault'
+    this.func = func
+  }
+}
+
+/**
+ * A cp/m program asked the bdos to print a string which no $ ends anywhere in memory (see cpm.js)
+ */
+class UnterminatedStringFault extends CpuFault
+{
+  /**
+   * Constructor
+   *
+   * @param number  pc        Address of the bdos entry point the program called
+   * @param string  callChain Instruction bytes fetched so far, as hex (none; the bdos isn't executed)
+   * @param Object  registers Copy of the cpu registers at the time of the fault
+   * @param number  address   Address of the string
+   */
+  constructor(pc, callChain, registers, address)
+  {
+    super(`CPU FAULT: no $ ends the string at 0x${address.toString(16).padStart(4, '0')} given to cp/m bdos function 9`, pc, callChain, registers)
+    this.name = 'UnterminatedStringFault'
+    this.address = address
+  }
+}
+
+export { CpuFault, InvalidOpcodeFault, OpcodeTableFault, ExecuteWithoutFetchFault, WriteProtectFault, UnsupportedBdosFault, UnterminatedStringFault }
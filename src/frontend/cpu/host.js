@@ -0,0 +1,489 @@
+'use strict'
+
+import ProcessorZ80 from './z80.js'
+import ConsoleDevice from './console.js'
+import SpectrumMachine from './spectrum.js'
+import CpmMachine from './cpm.js'
+import { createPeripheral, PeripheralBus } from './peripherals/index.js'
+import TraceRecorder from './trace.js'
+
+/**
+ * hosts a ProcessorZ80 behind a message protocol, so that the cpu can run away from the ui thread (see
+ * worker.js). commands arrive through handleMessage() and everything goes back through the post function.
+ *
+ * incoming messages, by type:
+ *   load         {ram, breakpoints, watchpoints, historyLimit,  create a cpu running the 64KB ram image, with
+ *                memoryMap, banks, keyInterrupts, machine,      banks as {count, size, ports} (ports holding
+ *                ranges, peripherals, trace}                    {port, slot}) for banked memory; keyInterrupts
+ *                                                               is true for console keys to raise interrupts.
+ *                                                               machine is null, {type: 'spectrum', rom} to
+ *                                                               load the program (the parts of the image listed
+ *                                                               in ranges) into a spectrum (see spectrum.js) or
+ *                                                               {type: 'cpm', files} to load it into cp/m (see
+ *                                                               cpm.js), with files as an object of names to
+ *                                                               Uint8Arrays. peripherals lists the peripherals
+ *                                                               to attach, as {type, params} (see
+ *                                                               peripherals/index.js) and trace, when not
+ *                                                               null, how to trace execution ({mode, limit},
+ *                                                               see trace.js)
+ *   step                                                        execute one instruction
+ *   run                                                         run until paused or something stops the cpu
+ *   pause                                                       stop running
+ *   stepBack     {count}                                        undo instructions
+ *   breakpoints  {addresses}                                    replace the execution breakpoints
+ *   watchpoints  {watchpoints}                                  replace the watchpoints ({start, end, access})
+ *   memoryMap    {regions}                                      replace the memory map ({start, end, type, fault})
+ *   viewBank     {bank}                                         send a bank's contents with each state (null to stop)
+ *   input        {text}                                         type keys at the console
+ *   key          {key, pressed}                                 press or release a key of the spectrum keyboard
+ *   releaseKeys                                                 release every key of the spectrum keyboard
+ *   peripheral   {index, input}                                 pass input from its panel to a peripheral
+ *   setRegister  {name, value}                                  change a register
+ *   setFlag      {flag, set}                                    change a flag
+ *   trace        {settings}                                     start a fresh trace ({mode, limit}), or stop
+ *                                                               tracing (null)
+ *   traceEntries {filter, count}                                ask for the newest count entries of the trace
+ *                                                               matching filter ({start, end, text})
+ *   exportTrace  {format}                                       ask for the whole trace in one of TRACE_FORMATS
+ *   state                                                       ask for the cpu state
+ *
+ * outgoing messages, by type:
+ *   state  {state, output, stop}  state of the cpu ({registers, interrupts, halted, cycles, historyLength,
+ *                                 running, awaitingInput, keysWaiting, ram, banks, bank, peripherals, trace},
+ *                                 where ram is the address space as the cpu sees it, banks is {count,
+ *                                 mapping}, bank is the viewed bank as {number, ram} or null, peripherals is
+ *                                 the state of each peripheral as {type, state} and trace is {mode, limit,
+ *                                 length, dropped} whilst tracing, null otherwise), anything written to the
+ *                                 output port since the last message and, when the cpu has just stopped, why
+ *                                 ({reason, fault, watchpoint} as returned by ProcessorZ80.runUntil(), with
+ *                                 fault reduced to {name, message, pc})
+ *   frame  {screen, border, frame}  the spectrum's screen memory, border colour and frame number, sent for
+ *                                 each frame whilst running and with each state message
+ *   files  {files}                cp/m's files, as an object of names to Uint8Arrays, sent with the next state
+ *                                 message after the program changes them
+ *   trace  {entries, length, dropped}  entries of the trace asked for with traceEntries (as
+ *                                 TraceRecorder.getEntries() returns them), and the size of the whole trace
+ *   traceExport  {format, data}   the trace asked for with exportTrace, as text
+ *   error  {message}              a command could not be carried out
+ *
+ * whilst running, state messages are throttled to one per stateInterval milliseconds.
+ *
+ * the program talks to the console (see console.js) through the output port and the status port next to it.
+ * when key interrupts are on, a cpu which halts with interrupts enabled is left running, awaiting input: it
+ * carries on from the interrupt once a key is typed. cp/m uses the console too, awaiting input whilst a bdos
+ * call waits for a key, and stops when the program warm boots (with the reason 'exit'). a spectrum has no
+ * console; it runs a frame at a time, kept to 50 frames a second.
+ *
+ * peripherals are clocked after each instruction, whatever the machine, and their interrupts wake a halted cpu
+ * as keys do. a cpu halted with interrupts enabled whilst a peripheral is timing (a ctc's timer, say) is left
+ * running until the peripheral interrupts it.
+ *
+ * rob andrews <rob@aphlor.org>
+ */
+class SimulatorHost
+{
+  // number of instructions to run before yielding to check for messages
+  #instructionsPerSlice = 20000
+
+  // least time between state messages whilst running, in milliseconds
+  #stateInterval = 100
+
+  // time between the spectrum's frames, in milliseconds, and how far behind it can fall before giving up on
+  // catching up
+  #frameInterval = 20
+  #frameSlack = 100
+
+  // i/o ports of the console: characters are written to (and keys read from) the output port, and the status
+  // port says whether a key is waiting
+  #outputPort = 0x0a
+  #statusPort = 0x0b
+
+  #post
+  #cpu = null
+  #console = null
+  #machine = null
+  #bus = null
+  #trace = null
+  #frameDue = 0
+  #running = false
+  #awaitingInput = false
+  #output = ''
+  #lastState = 0
+  #viewedBank = null
+
+  /**
+   * Constructor
+   *
+   * @param function  post  Called with (message, transferables) to send a message back to the ui
+   */
+  constructor(post)
+  {
+    this.#post = post
+  }
+
+  /**
+   * Carry out a command from the ui
+   *
+   * @param Object  message Command message; see the protocol above
+   * @return void
+   */
+  handleMessage(message)
+  {
+    if ((message.type !== 'load') && (this.#cpu === null)) {
+      this.#post({type: 'error', message: 'Cannot run program until it has been built: Please click "Assemble"'})
+      return
+    }
+
+    try {
+      switch (message.type) {
+        case 'load':
+          this.#load(message)
+          break
+
+        case 'step':
+          this.#running = this.#awaitingInput = false
+          this.#console?.requestInterrupt()
+          this.#bus.clock(this.#cpu)
+          this.#postState(this.#run(1))
+          break
+
+        case 'run':
+          if (this.#running)
+            return
+
+          this.#running = true
+          this.#frameDue = Date.now()
+          this.#postState()
+          setTimeout(this.#runSlice, 0)
+          break
+
+        case 'pause':
+          if (!this.#running)
+            return
+
+          this.#running = this.#awaitingInput = false
+          this.#postState({reason: 'paused', fault: null, watchpoint: null})
+          break
+
+        case 'stepBack':
+          this.#running = this.#awaitingInput = false
+          this.#cpu.stepBack(message.count)
+          this.#postState()
+          break
+
+        case 'breakpoints':
+          this.#cpu.clearBreakpoints()
+          message.addresses.forEach((address) => this.#cpu.addBreakpoint(address))
+          break
+
+        case 'watchpoints':
+          this.#cpu.clearWatchpoints()
+          message.watchpoints.forEach((watchpoint) => this.#cpu.addWatchpoint(watchpoint.start, watchpoint.end, watchpoint.access))
+          break
+
+        case 'memoryMap':
+          this.#cpu.setMemoryMap([...(this.#machine?.getMemoryMap() ?? []), ...message.regions])
+          break
+
+        case 'viewBank':
+          // getBank() checks the bank exists before it is shown
+          if (message.bank !== null)
+            this.#cpu.getBank(message.bank)
+
+          this.#viewedBank = message.bank
+          this.#postState()
+          break
+
+        case 'input':
+          this.#console?.type(message.text)
+          if (this.#awaitingInput) {
+            this.#awaitingInput = false
+            setTimeout(this.#runSlice, 0)
+          }
+          break
+
+        case 'key':
+          if (this.#machine instanceof SpectrumMachine)
+            this.#machine.setKey(message.key, message.pressed)
+          break
+
+        case 'releaseKeys':
+          if (this.#machine instanceof SpectrumMachine)
+            this.#machine.releaseKeys()
+          break
+
+        case 'peripheral':
+          this.#bus.input(message.index, message.input)
+          if (this.#awaitingInput) {
+            this.#awaitingInput = false
+            setTimeout(this.#runSlice, 0)
+          }
+          if (!this.#running)
+            this.#postState()
+          break
+
+        case 'setRegister':
+          this.#cpu.setRegister(message.name, message.value)
+          this.#postState()
+          break
+
+        case 'setFlag':
+          this.#cpu.setFlag(message.flag, message.set)
+          this.#postState()
+          break
+
+        case 'state':
+          this.#postState()
+          break
+
+        case 'trace':
+          this.#startTrace(message.settings)
+          this.#postState()
+          break
+
+        case 'traceEntries':
+          this.#post({
+            type: 'trace',
+            entries: this.#trace?.getEntries(message.filter, message.count) ?? [],
+            length: this.#trace?.getLength() ?? 0,
+            dropped: this.#trace?.getDropped() ?? 0
+          })
+          break
+
+        case 'exportTrace':
+          if (this.#trace === null)
+            throw new Error('execution is not being traced')
+
+          this.#post({type: 'traceExport', format: message.format, data: this.#trace.export(message.format)})
+          break
+
+        default:
+          this.#post({type: 'error', message: `Unknown simulator command: ${message.type}`})
+      }
+    } catch (e) {
+      this.#running = this.#awaitingInput = false
+      this.#post({type: 'error', message: `${message.type} failed: ${e.message}`})
+    }
+  }
+
+  /**
+   * Create a cpu for a freshly assembled program
+   *
+   * @param Object  message Load message
+   * @return void
+   */
+  #load = (message) => {
+    this.#running = this.#awaitingInput = false
+    this.#output = ''
+    this.#cpu = this.#machine = this.#console = this.#bus = null
+
+    // machines load the program themselves (a spectrum boots its rom first), so breakpoints and watchpoints
+    // are added after
+    const cpu = new ProcessorZ80(message.machine ? null : message.ram)
+    cpu.setMemoryMap(message.memoryMap ?? [])
+    if (message.banks) {
+      cpu.setBanks(message.banks.count, message.banks.size)
+      message.banks.ports.forEach(({port, slot}) => cpu.addBankPort(port, slot))
+    }
+    if (message.machine?.type === 'spectrum') {
+      const machine = new SpectrumMachine(cpu, message.machine.rom ?? null)
+      machine.load(message.ram, message.ranges)
+      this.#machine = machine
+    } else {
+      this.#console = new ConsoleDevice(cpu, (data) => this.#output += String.fromCharCode(data), {
+        dataPort: this.#outputPort,
+        statusPort: this.#statusPort,
+        interrupts: Boolean(message.keyInterrupts)
+      })
+    }
+    if (message.machine?.type === 'cpm') {
+      const machine = new CpmMachine(cpu, this.#console, new Map(Object.entries(message.machine.files ?? {})))
+      machine.load(message.ram, message.ranges)
+      this.#machine = machine
+    }
+    const bus = new PeripheralBus(cpu)
+    message.peripherals?.forEach((declaration) => bus.add(createPeripheral(declaration)))
+    this.#bus = bus
+    this.#cpu = cpu
+    this.#cpu.setHistoryLimit(message.historyLimit ?? 0)
+    this.#startTrace(message.trace ?? null)
+    this.#viewedBank = null
+    message.breakpoints?.forEach((address) => this.#cpu.addBreakpoint(address))
+    message.watchpoints?.forEach((watchpoint) => this.#cpu.addWatchpoint(watchpoint.start, watchpoint.end, watchpoint.access))
+    this.#postState()
+  }
+
+  /**
+   * Start a fresh trace of the cpu's execution, or stop tracing
+   *
+   * @param Object|null settings  {mode, limit} for the trace (see trace.js), or null for none
+   * @return void
+   */
+  #startTrace = (settings) => {
+    this.#trace?.detach()
+    this.#trace = null
+    if (settings === null)
+      return
+
+    this.#trace = new TraceRecorder(settings)
+    this.#trace.attach(this.#cpu)
+  }
+
+  /**
+   * Run the machine, or the bare cpu, with the peripherals clocked after each instruction
+   *
+   * @param number  maxInstructions Most instructions to execute
+   * @return Object Result of ProcessorZ80.runUntil()
+   */
+  #run = (maxInstructions) => this.#machine
+    ? this.#machine.run(maxInstructions, this.#bus.clock)
+    : this.#cpu.runUntil(this.#bus.clock, maxInstructions)
+
+  /**
+   * Run a slice of instructions; schedules the next slice until something stops the cpu
+   *
+   * @return void
+   */
+  #runSlice = () => {
+    if (!this.#running)
+      return
+
+    if (this.#machine instanceof SpectrumMachine) {
+      this.#runFrame()
+      return
+    }
+
+    let result
+    try {
+      // a waiting key holds the interrupt line, so it is taken as soon as the program enables interrupts
+      this.#console.requestInterrupt()
+      this.#bus.requestInterrupt()
+      result = this.#run(this.#instructionsPerSlice)
+      if ((result.reason === 'halt') && this.#cpu.getInterruptState() && this.#bus.isTiming()) {
+        const waited = this.#bus.waitForInterrupt(this.#instructionsPerSlice)
+        result = (waited.reason === 'interrupt') ? {...waited, reason: 'budget'} : waited
+      }
+    } catch (e) {
+      // cpu faults are returned by run(); anything else is a bug in the simulator
+      this.#running = false
+      this.#post({type: 'error', message: `run failed: ${e.message}`})
+      return
+    }
+
+    // a program halted with interrupts enabled, or in a cp/m console call, is waiting for a key or for input to
+    // a peripheral, which the input and peripheral messages will deliver
+    if (((result.reason === 'halt') && (this.#console.canWake() || this.#bus.canWake())) || (result.reason === 'input')) {
+      if ((this.#console.keysWaiting() > 0) || this.#bus.interruptPending()) {
+        setTimeout(this.#runSlice, 0)
+        return
+      }
+
+      this.#awaitingInput = true
+      this.#postState()
+      return
+    }
+
+    if (result.reason !== 'budget') {
+      this.#running = false
+      this.#postState(result)
+      return
+    }
+
+    if ((Date.now() - this.#lastState) >= this.#stateInterval)
+      this.#postState()
+    setTimeout(this.#runSlice, 0)
+  }
+
+  /**
+   * Run a frame of the spectrum; schedules the next frame, 50 times a second, until something stops the cpu
+   *
+   * @return void
+   */
+  #runFrame = () => {
+    let result
+    try {
+      result = this.#run(Infinity)
+    } catch (e) {
+      this.#running = false
+      this.#post({type: 'error', message: `run failed: ${e.message}`})
+      return
+    }
+
+    if (result.reason !== 'frame') {
+      this.#running = false
+      this.#postState(result)
+      return
+    }
+
+    this.#postFrame()
+    if ((Date.now() - this.#lastState) >= this.#stateInterval)
+      this.#postState()
+
+    // a simulator which has fallen too far behind starts keeping time again from now, rather than rushing
+    this.#frameDue = Math.max(this.#frameDue + this.#frameInterval, Date.now() - this.#frameSlack)
+    setTimeout(this.#runSlice, Math.max(this.#frameDue - Date.now(), 0))
+  }
+
+  /**
+   * Send the spectrum's screen
+   *
+   * @return void
+   */
+  #postFrame = () => {
+    const screen = this.#machine.getScreen()
+    this.#post({type: 'frame', screen, border: this.#machine.getBorder(), frame: this.#machine.getFrame()}, [screen.buffer])
+  }
+
+  /**
+   * Send the cpu state, along with any output and the reason the cpu stopped
+   *
+   * @param Object|null result  Result of ProcessorZ80.runUntil() when the cpu has stopped
+   * @return void
+   */
+  #postState = (result = null) => {
+    const ram = this.#cpu.getAddressSpace()
+    const bank = (this.#viewedBank === null) ? null : {number: this.#viewedBank, ram: this.#cpu.getBank(this.#viewedBank).slice()}
+    const stop = ((result === null) || (result.reason === 'budget') || (result.reason === 'frame'))
+      ? null
+      : {
+        reason: result.reason,
+        fault: result.fault && {name: result.fault.name, message: result.fault.message, pc: result.fault.pc},
+        watchpoint: result.watchpoint
+      }
+
+    this.#post({
+      type: 'state',
+      state: {
+        registers: this.#cpu.getRegisters(),
+        interrupts: this.#cpu.getInterruptState(),
+        halted: this.#cpu.isHalted(),
+        cycles: this.#cpu.getCycles(),
+        historyLength: this.#cpu.getHistoryLength(),
+        running: this.#running,
+        awaitingInput: this.#awaitingInput,
+        keysWaiting: this.#console?.keysWaiting() ?? 0,
+        ram,
+        banks: {count: this.#cpu.getBankCount(), mapping: this.#cpu.getBankMapping()},
+        bank,
+        peripherals: this.#bus.getStates(),
+        trace: (this.#trace === null)
+          ? null
+          : {...this.#trace.getSettings(), length: this.#trace.getLength(), dropped: this.#trace.getDropped()}
+      },
+      output: this.#output,
+      stop
+    }, (bank === null) ? [ram.buffer] : [ram.buffer, bank.ram.buffer])
+
+    this.#output = ''
+    this.#lastState = Date.now()
+
+    if (this.#machine instanceof SpectrumMachine)
+      this.#postFrame()
+
+    const files = (this.#machine instanceof CpmMachine) ? this.#machine.takeChangedFiles() : null
+    if (files !== null)
+      this.#post({type: 'files', files: Object.fromEntries(files)})
+  }
+}
+
+export default SimulatorHost
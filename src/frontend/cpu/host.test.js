@@ -0,0 +1,389 @@
+/**
+ * tests for the SimulatorHost class
+ *
+ * rob andrews <rob@aphlor.org>
+ */
+
+import SimulatorHost from './host.js'
+
+/**
+ * create a host which collects the messages it sends
+ *
+ * @return array  [host, messages]
+ */
+const createHost = () => {
+  const messages = []
+  return [new SimulatorHost((message) => messages.push(message)), messages]
+}
+
+/**
+ * wait until the host sends a message which reports the cpu stopping
+ *
+ * @param array messages  Messages collected from the host
+ * @return Promise
+ */
+const waitForStop = (messages) => new Promise((resolve) => {
+  const check = () => {
+    const stopped = messages.find((message) => message.stop)
+    if (stopped)
+      return resolve(stopped)
+    setTimeout(check, 10)
+  }
+  check()
+})
+
+test('It refuses commands until a program is loaded', () => {
+  const [host, messages] = createHost()
+  host.handleMessage({type: 'step'})
+  expect(messages).toStrictEqual([
+    {type: 'error', message: 'Cannot run program until it has been built: Please click "Assemble"'}
+  ])
+})
+
+test('It loads and steps a program, sending its state and output', () => {
+  let program = new Uint8Array(Math.pow(2, 16))
+  program.set([
+    0x3e, 0x41,       // ld a,$41
+    0xd3, 0x0a,       // out ($0a),a
+    0x76              // halt
+  ])
+  const [host, messages] = createHost()
+  host.handleMessage({type: 'load', ram: program, breakpoints: [], watchpoints: [], historyLimit: 10})
+  expect(messages[0].type).toBe('state')
+  expect(messages[0].state.registers.pc).toBe(0x0000)
+  expect(messages[0].state.ram[1]).toBe(0x41)
+
+  host.handleMessage({type: 'step'})
+  host.handleMessage({type: 'step'})
+  expect(messages[2].state.registers.pc).toBe(0x0004)
+  expect(messages[2].output).toBe('A')
+  expect(messages[2].state.historyLength).toBe(2)
+
+  host.handleMessage({type: 'step'})
+  expect(messages[3].stop).toStrictEqual({reason: 'halt', fault: null, watchpoint: null})
+
+  host.handleMessage({type: 'stepBack', count: 3})
+  expect(messages[4].state.registers.pc).toBe(0x0000)
+})
+
+test('It runs until a breakpoint, reporting why it stopped', async () => {
+  let program = new Uint8Array(Math.pow(2, 16))
+  program.set([
+    0x3c,             // loop: inc a
+    0xc3, 0x00, 0x00, // jp loop
+    0xed, 0x00        // not an instruction
+  ])
+  const [host, messages] = createHost()
+  host.handleMessage({type: 'load', ram: program, breakpoints: [0x0001], historyLimit: 0})
+  host.handleMessage({type: 'run'})
+  expect(messages[1].state.running).toBe(true)
+
+  const stopped = await waitForStop(messages)
+  expect(stopped.stop.reason).toBe('breakpoint')
+  expect(stopped.state.running).toBe(false)
+  expect(stopped.state.registers.pc).toBe(0x0001)
+
+  // faults are sent without the cpu state they carry
+  messages.length = 0
+  host.handleMessage({type: 'setRegister', name: 'pc', value: 0x0004})
+  host.handleMessage({type: 'run'})
+  const faulted = await waitForStop(messages)
+  expect(faulted.stop.fault).toStrictEqual({name: 'InvalidOpcodeFault', message: 'CPU FAULT: invalid instruction opcode 0xED00', pc: 0x0004})
+})
+
+test('It pauses a running program, and reports bad commands', async () => {
+  let program = new Uint8Array(Math.pow(2, 16))
+  program.set([
+    0xc3, 0x00, 0x00  // loop: jp loop
+  ])
+  const [host, messages] = createHost()
+  host.handleMessage({type: 'load', ram: program})
+  host.handleMessage({type: 'run'})
+  setTimeout(() => host.handleMessage({type: 'pause'}), 50)
+
+  expect((await waitForStop(messages)).stop.reason).toBe('paused')
+  host.handleMessage({type: 'setRegister', name: 'a', value: 0x100})
+  expect(messages.pop()).toStrictEqual({type: 'error', message: 'setRegister failed: value for register a must be between 0 and 255, got 256'})
+})
+
+test('It loads a memory map with the program, and replaces it on request', () => {
+  let program = new Uint8Array(Math.pow(2, 16))
+  program.set([
+    0x32, 0x00, 0x00, // ld ($0000),a
+    0xc3, 0x00, 0x00  // jp $0000
+  ])
+  const [host, messages] = createHost()
+  host.handleMessage({type: 'load', ram: program, memoryMap: [{start: 0x0000, end: 0x00ff, type: 'rom', fault: true}]})
+  host.handleMessage({type: 'step'})
+  expect(messages[1].stop.fault).toStrictEqual({name: 'WriteProtectFault', message: 'CPU FAULT: write of 0xff to read-only memory at 0x0000', pc: 0x0000})
+
+  host.handleMessage({type: 'memoryMap', regions: [{start: 0x0000, end: 0x00ff, type: 'rom'}]})
+  host.handleMessage({type: 'setRegister', name: 'pc', value: 0x0000})
+  host.handleMessage({type: 'step'})
+  expect(messages[3].stop).toBeNull()
+  expect(messages[3].state.registers.pc).toBe(0x0003)
+  expect(messages[3].state.ram[0x0000]).toBe(0x32)
+
+  host.handleMessage({type: 'memoryMap', regions: [{start: 0x0000, end: 0x00ff, type: 'flash'}]})
+  expect(messages[4]).toStrictEqual({type: 'error', message: 'memoryMap failed: invalid memory region type: flash'})
+})
+
+test('It pages banks through a port, and sends the contents of a bank on request', () => {
+  let program = new Uint8Array(Math.pow(2, 16))
+  program.set([
+    0x3e, 0x02,       // ld a,2
+    0xd3, 0xfe,       // out ($fe),a
+    0x32, 0x00, 0xc0  // ld ($c000),a
+  ])
+  const [host, messages] = createHost()
+  host.handleMessage({type: 'load', ram: program, banks: {count: 4, size: 0x4000, ports: [{port: 0xfe, slot: 3}]}})
+  expect(messages[0].state.banks).toStrictEqual({count: 4, mapping: [null, null, null, null]})
+  expect(messages[0].state.bank).toBeNull()
+
+  host.handleMessage({type: 'step'})
+  host.handleMessage({type: 'step'})
+  host.handleMessage({type: 'step'})
+  expect(messages[3].state.banks.mapping).toStrictEqual([null, null, null, 2])
+  expect(messages[3].state.ram[0xc000]).toBe(0x02)
+  expect(program[0xc000]).toBe(0x00)
+
+  host.handleMessage({type: 'viewBank', bank: 2})
+  expect(messages[4].state.bank.number).toBe(2)
+  expect(messages[4].state.bank.ram[0x0000]).toBe(0x02)
+
+  host.handleMessage({type: 'viewBank', bank: 4})
+  expect(messages[5]).toStrictEqual({type: 'error', message: 'viewBank failed: invalid memory bank: 4'})
+})
+
+test('It passes typed keys to the program through the console ports', () => {
+  let program = new Uint8Array(Math.pow(2, 16))
+  program.set([
+    0xdb, 0x0b,       // in a,($0b)
+    0xdb, 0x0a,       // in a,($0a)
+    0xd3, 0x0a        // out ($0a),a
+  ])
+  const [host, messages] = createHost()
+  host.handleMessage({type: 'load', ram: program})
+  host.handleMessage({type: 'input', text: 'ok'})
+  host.handleMessage({type: 'step'})
+  expect(messages[1].state.registers.af >> 8).toBe(0x01)
+  expect(messages[1].state.keysWaiting).toBe(2)
+
+  host.handleMessage({type: 'step'})
+  host.handleMessage({type: 'step'})
+  expect(messages[3].output).toBe('o')
+  expect(messages[3].state.keysWaiting).toBe(1)
+})
+
+test('It waits for input when a program halts with key interrupts on', async () => {
+  let program = new Uint8Array(Math.pow(2, 16))
+  program.set([
+    0x31, 0x00, 0x00, // ld sp,0
+    0xed, 0x56,       // im 1
+    0xfb,             // loop: ei
+    0x76,             // halt
+    0xd3, 0x0a,       // out ($0a),a
+    0xfe, 0x0d,       // cp $0d
+    0x20, 0xf8,       // jr nz,loop
+    0xf3,             // di
+    0x76              // halt
+  ])
+  program.set([
+    0xdb, 0x0a,       // in a,($0a)
+    0xc9              // ret
+  ], 0x0038)
+  const [host, messages] = createHost()
+  host.handleMessage({type: 'load', ram: program, keyInterrupts: true})
+  host.handleMessage({type: 'run'})
+  await new Promise((resolve) => setTimeout(resolve, 50))
+  expect(messages[messages.length - 1].state).toMatchObject({running: true, awaitingInput: true, halted: true})
+  expect(messages.some((message) => message.stop)).toBe(false)
+
+  host.handleMessage({type: 'input', text: 'hi\r'})
+  const stopped = await waitForStop(messages)
+  expect(stopped.stop.reason).toBe('halt')
+  expect(stopped.state.awaitingInput).toBe(false)
+  expect(messages.map((message) => message.output).join('')).toBe('hi\r')
+})
+
+test('It runs a spectrum a frame at a time, sending its screen and reading its keyboard', async () => {
+  let program = new Uint8Array(Math.pow(2, 16))
+  program.set([
+    0x3e, 0x03,       // ld a,3
+    0xd3, 0xfe,       // out ($fe),a
+    0xfb,             // loop: ei
+    0x76,             // halt
+    0x3e, 0xfd,       // ld a,$fd
+    0xdb, 0xfe,       // in a,($fe)
+    0x32, 0x00, 0x40, // ld ($4000),a
+    0x1f,             // rra
+    0x38, 0xf4,       // jr c,loop
+    0xf3,             // di
+    0x76              // halt
+  ], 0x8000)
+  const [host, messages] = createHost()
+  host.handleMessage({type: 'load', ram: program, ranges: [{start: 0x8000, end: 0x8011}], machine: {type: 'spectrum', rom: null}})
+  expect(messages[0].state.registers.pc).toBe(0x8000)
+  expect(messages[1].type).toBe('frame')
+  expect(messages[1].screen.length).toBe(6912)
+
+  host.handleMessage({type: 'run'})
+  await new Promise((resolve) => setTimeout(resolve, 100))
+  const frames = messages.filter((message) => message.type === 'frame')
+  expect(frames[frames.length - 1].border).toBe(3)
+  expect(frames[frames.length - 1].frame).toBeGreaterThan(1)
+  expect(frames[frames.length - 1].screen[0]).toBe(0xff)
+
+  host.handleMessage({type: 'key', key: 'a', pressed: true})
+  const stopped = await waitForStop(messages)
+  expect(stopped.stop.reason).toBe('halt')
+  expect(stopped.state.ram[0x4000]).toBe(0xfe)
+
+  host.handleMessage({type: 'load', ram: program, ranges: [], machine: {type: 'spectrum', rom: null}})
+  expect(messages[messages.length - 1]).toStrictEqual({type: 'error', message: 'load failed: the program is empty'})
+})
+
+test('It runs a cp/m program, waiting for console input and sending the files it writes', async () => {
+  let program = new Uint8Array(Math.pow(2, 16))
+  program.set([
+    0x0e, 0x01,       // ld c,1
+    0xcd, 0x05, 0x00, // call 5
+    0x32, 0x80, 0x00, // ld ($0080),a
+    0x0e, 0x16,       // ld c,22
+    0x11, 0x00, 0x02, // ld de,$0200
+    0xcd, 0x05, 0x00, // call 5
+    0x0e, 0x15,       // ld c,21
+    0x11, 0x00, 0x02, // ld de,$0200
+    0xcd, 0x05, 0x00, // call 5
+    0xc9              // ret
+  ], 0x0100)
+  program.set([0x00, ...Array.from('KEY     TXT', (character) => character.charCodeAt(0))], 0x0200)
+  const [host, messages] = createHost()
+  const ranges = [{start: 0x0100, end: 0x0118}, {start: 0x0200, end: 0x0223}]
+  host.handleMessage({type: 'load', ram: program, ranges, machine: {type: 'cpm', files: {'OLD.TXT': new Uint8Array(1)}}})
+  expect(messages[0].state.registers.pc).toBe(0x0100)
+
+  host.handleMessage({type: 'run'})
+  await new Promise((resolve) => setTimeout(resolve, 50))
+  expect(messages[messages.length - 1].state).toMatchObject({running: true, awaitingInput: true})
+
+  host.handleMessage({type: 'input', text: 'k'})
+  const stopped = await waitForStop(messages)
+  expect(stopped.stop.reason).toBe('exit')
+  expect(stopped.output).toBe('k')
+
+  const files = messages[messages.length - 1]
+  expect(files.type).toBe('files')
+  expect(Object.keys(files.files).sort()).toStrictEqual(['KEY.TXT', 'OLD.TXT'])
+  expect(files.files['KEY.TXT'][0]).toBe(0x6b)
+})
+
+test('It attaches peripherals, whose input wakes a program halted for their interrupts', async () => {
+  let program = new Uint8Array(Math.pow(2, 16))
+  program.set([
+    0x31, 0x00, 0x00, // ld sp,0
+    0xed, 0x56,       // im 1
+    0xfb,             // loop: ei
+    0x76,             // halt
+    0xfe, 0x81,       // cp $81
+    0x20, 0xfa,       // jr nz,loop
+    0xf3,             // di
+    0x76              // halt
+  ])
+  program.set([
+    0xdb, 0x20,       // in a,($20)
+    0xd3, 0x21,       // out ($21),a
+    0xc9              // ret
+  ], 0x0038)
+  const [host, messages] = createHost()
+  host.handleMessage({type: 'load', ram: program, peripherals: [
+    {type: 'switches', params: [0x20, 0xff]},
+    {type: 'leds', params: [0x21]}
+  ]})
+  expect(messages[messages.length - 1].state.peripherals.map(({type}) => type)).toStrictEqual(['switches', 'leds'])
+
+  host.handleMessage({type: 'run'})
+  await new Promise((resolve) => setTimeout(resolve, 50))
+  expect(messages[messages.length - 1].state).toMatchObject({running: true, awaitingInput: true, halted: true})
+
+  host.handleMessage({type: 'peripheral', index: 0, input: {bit: 7}})
+  await new Promise((resolve) => setTimeout(resolve, 50))
+  expect(messages[messages.length - 1].state.awaitingInput).toBe(true)
+  expect(messages[messages.length - 1].state.peripherals[1].state.value).toBe(0x80)
+
+  host.handleMessage({type: 'peripheral', index: 0, input: {bit: 0}})
+  const stopped = await waitForStop(messages)
+  expect(stopped.stop.reason).toBe('halt')
+  expect(stopped.state.peripherals[0].state.value).toBe(0x81)
+  expect(stopped.state.peripherals[1].state.value).toBe(0x81)
+
+  host.handleMessage({type: 'peripheral', index: 2, input: {bit: 0}})
+  expect(messages[messages.length - 1]).toStrictEqual({type: 'error', message: 'peripheral failed: invalid peripheral: 2'})
+})
+
+test('It keeps a program halted for a timer running until the timer interrupts', async () => {
+  let program = new Uint8Array(Math.pow(2, 16))
+  program.set([
+    0x31, 0x00, 0x00, // ld sp,0
+    0xed, 0x56,       // im 1
+    0x3e, 0xa7,       // ld a,$a7
+    0xd3, 0x40,       // out ($40),a: ctc channel 0 times, prescaled by 256, with interrupts
+    0x3e, 0x00,       // ld a,0
+    0xd3, 0x40,       // out ($40),a: every 65536 t-states
+    0xfb,             // loop: ei
+    0x76,             // halt
+    0x18, 0xfc        // jr loop
+  ])
+  program.set([
+    0x2a, 0x00, 0x80, // ld hl,($8000)
+    0x23,             // inc hl
+    0x22, 0x00, 0x80, // ld ($8000),hl
+    0xfb,             // ei
+    0xed, 0x4d        // reti
+  ], 0x0038)
+  const [host, messages] = createHost()
+  host.handleMessage({type: 'load', ram: program, peripherals: [{type: 'ctc', params: [0x40]}]})
+  host.handleMessage({type: 'run'})
+  await new Promise((resolve) => setTimeout(resolve, 200))
+  host.handleMessage({type: 'pause'})
+
+  const {state} = messages[messages.length - 1]
+  expect(state).toMatchObject({running: false, awaitingInput: false})
+  const interrupts = state.ram[0x8000] | (state.ram[0x8001] << 8)
+  expect(interrupts).toBeGreaterThan(0)
+  expect(interrupts).toBeLessThanOrEqual(Math.floor(state.cycles / 65536))
+})
+
+test('It traces execution on request, sending filtered entries and exports of the trace', () => {
+  let program = new Uint8Array(Math.pow(2, 16))
+  program.set([
+    0x3e, 0x41,       // ld a,$41
+    0xd3, 0x0a,       // out ($0a),a
+    0x3c,             // inc a
+    0x76              // halt
+  ])
+  const [host, messages] = createHost()
+  host.handleMessage({type: 'load', ram: program, trace: {mode: 'ring', limit: 2}})
+  expect(messages[0].state.trace).toStrictEqual({mode: 'ring', limit: 2, length: 0, dropped: 0})
+
+  host.handleMessage({type: 'step'})
+  host.handleMessage({type: 'step'})
+  host.handleMessage({type: 'step'})
+  expect(messages[3].state.trace).toMatchObject({length: 2, dropped: 1})
+
+  host.handleMessage({type: 'traceEntries', filter: {text: 'out'}, count: 10})
+  expect(messages[4]).toMatchObject({type: 'trace', length: 2, dropped: 1})
+  expect(messages[4].entries.map(({pc, text}) => [pc, text])).toStrictEqual([[0x0002, 'out ($0a),a']])
+
+  host.handleMessage({type: 'exportTrace', format: 'csv'})
+  expect(messages[5]).toMatchObject({type: 'traceExport', format: 'csv'})
+  expect(messages[5].data.split('\n').map((line) => line.slice(0, 4))).toStrictEqual(['pc,b', '0002', '0004', ''])
+
+  // a fresh trace starts empty, and stopping it leaves nothing to export
+  host.handleMessage({type: 'trace', settings: {mode: 'full', limit: 100}})
+  expect(messages[6].state.trace).toStrictEqual({mode: 'full', limit: 100, length: 0, dropped: 0})
+  host.handleMessage({type: 'trace', settings: null})
+  expect(messages[7].state.trace).toBeNull()
+  host.handleMessage({type: 'exportTrace', format: 'text'})
+  expect(messages[8]).toStrictEqual({type: 'error', message: 'exportTrace failed: execution is not being traced'})
+})
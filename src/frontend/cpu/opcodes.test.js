@@ -0,0 +1,1416 @@
+/**
+ * per-opcode test vectors for ProcessorZ80, taken from the fuse emulator's z80 test suite (z80_tables/tests.in
+ * and z80_tables/tests.expected). each vector is [name, mnemonic, state, memory, flags, expected]: the state
+ * and memory the test starts from, the bits of f which are compared and what fuse expects afterwards (the
+ * registers, the memory which changed, the port writes and the t-states).
+ *
+ * THIS FILE IS AUTOMATICALLY GENERATED by z80_tables/generate_opcode_tests.js (npm run generate:opcode-tests)
+ */
+
+import ProcessorZ80 from './z80.js'
+
+const filler = [0xde, 0xad, 0xbe, 0xef]
+
+const createRunner = () => {
+  const filled = new Uint8Array(0x10000).map((value, address) => filler[address & 0x03])
+  const ram = new Uint8Array(0x10000)
+  const cpu = new ProcessorZ80(ram)
+  const reset = cpu.saveState()
+
+  // as in fuse's test harness, every port reads back the upper half of its address; writes are logged with the
+  // full port address
+  let io = []
+  cpu.setDefaultIoHandler((mode, data, port) => {
+    if (mode === 'r')
+      return port >> 8
+    io.push([port, data])
+  })
+
+  return (state, memory, flags) => {
+    const {i, r, im, iff1, iff2, halted, cycles, ...registers} = state
+
+    // the interrupt flip-flops and halt have no setters, so they go in through a saved state
+    cpu.loadState({...reset, interrupts: {...reset.interrupts, iff1, iff2}, halted, cycles: 0})
+    ram.set(filled)
+    memory.forEach(([address, bytes]) => ram.set(bytes, address))
+    const initial = ram.slice()
+    io = []
+    cpu.setRegisters({...registers, i, r, im})
+
+    // like fuse, run whole instructions until the t-states are used up
+    while (cpu.getCycles() < cycles) {
+      cpu.fetch()
+      cpu.execute()
+    }
+
+    const after = cpu.getRegisters()
+    const {iff1: iff1After, iff2: iff2After} = cpu.getInterruptFlipFlops()
+    const changed = {
+      registers: {
+        af: after.af & (0xff00 | flags), bc: after.bc, de: after.de, hl: after.hl, "af'": after.af2,
+        "bc'": after.bc2, "de'": after.de2, "hl'": after.hl2, ix: after.ix, iy: after.iy, sp: after.sp,
+        pc: after.pc, i: after.i, im: after.im, iff1: iff1After, iff2: iff2After, halted: cpu.isHalted()
+      },
+      memory: {},
+      io,
+      cycles: cpu.getCycles()
+    }
+    for (let address = 0; address < ram.length; address++) {
+      if (ram[address] !== initial[address])
+        changed.memory[address] = ram[address]
+    }
+
+    return changed
+  }
+}
+
+const runVector = createRunner()
+
+const vectors = [
+  ['00', 'nop', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x00]]], 0xff, {registers: {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['01', 'ld bc,nnnn', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x01, 0x12, 0x34]]], 0xff, {registers: {af: 0x00, bc: 0x3412, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0a}],
+  ['02', 'ld (bc),a', {af: 0x5600, bc: 0x01, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x02]]], 0xff, {registers: {af: 0x5600, bc: 0x01, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x01: 0x56}, io: [], cycles: 0x07}],
+  ['02_1', 'ld (bc),a', {af: 0x1300, bc: 0x6b65, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x02]]], 0xff, {registers: {af: 0x1300, bc: 0x6b65, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x6b65: 0x13}, io: [], cycles: 0x07}],
+  ['03', 'inc bc', {af: 0x00, bc: 0x789a, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x03]]], 0xff, {registers: {af: 0x00, bc: 0x789b, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x06}],
+  ['04', 'inc b', {af: 0x00, bc: 0xff00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x04]]], 0xff, {registers: {af: 0x50, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['05', 'dec b', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x05]]], 0xff, {registers: {af: 0xba, bc: 0xff00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['06', 'ld b,nn', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x06, 0xbc]]], 0xff, {registers: {af: 0x00, bc: 0xbc00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x07}],
+  ['07', 'rlca', {af: 0x8800, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x07]]], 0xff, {registers: {af: 0x1101, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['08', 'ex af,af\'', {af: 0xdef0, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x1234, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x08]]], 0xff, {registers: {af: 0x1234, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0xdef0, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['09', 'add hl,bc', {af: 0x00, bc: 0x5678, de: 0x00, hl: 0x9abc, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x09]]], 0xff, {registers: {af: 0x30, bc: 0x5678, de: 0x00, hl: 0xf134, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0b}],
+  ['0a', 'ld a,(bc)', {af: 0x00, bc: 0x01, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x0a, 0xde]]], 0xff, {registers: {af: 0xde00, bc: 0x01, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x07}],
+  ['0a_1', 'ld a,(bc)', {af: 0x00, bc: 0x1234, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x0a]], [0x1234, [0x56]]], 0xff, {registers: {af: 0x5600, bc: 0x1234, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x07}],
+  ['0b', 'dec bc', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x0b]]], 0xff, {registers: {af: 0x00, bc: 0xffff, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x06}],
+  ['0c', 'inc c', {af: 0x00, bc: 0x7f, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x0c]]], 0xff, {registers: {af: 0x94, bc: 0x80, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['0d', 'dec c', {af: 0x00, bc: 0x80, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x0d]]], 0xff, {registers: {af: 0x3e, bc: 0x7f, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['0e', 'ld c,nn', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x0e, 0xf0]]], 0xff, {registers: {af: 0x00, bc: 0xf0, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x07}],
+  ['0f', 'rrca', {af: 0x4100, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x0f]]], 0xff, {registers: {af: 0xa021, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['10', 'djnz offset', {af: 0x00, bc: 0x0800, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x84}, [[0x00, [0x00, 0x10, 0xfd, 0x0c]]], 0xff, {registers: {af: 0x00, bc: 0x01, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x87}],
+  ['11', 'ld de,nnnn', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x11, 0x9a, 0xbc]]], 0xff, {registers: {af: 0x00, bc: 0x00, de: 0xbc9a, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0a}],
+  ['12', 'ld (de),a', {af: 0x5600, bc: 0x00, de: 0x8000, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x12]]], 0xff, {registers: {af: 0x5600, bc: 0x00, de: 0x8000, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x8000: 0x56}, io: [], cycles: 0x07}],
+  ['13', 'inc de', {af: 0x00, bc: 0x00, de: 0xdef0, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x13]]], 0xff, {registers: {af: 0x00, bc: 0x00, de: 0xdef1, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x06}],
+  ['14', 'inc d', {af: 0x00, bc: 0x00, de: 0x2700, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x14]]], 0xff, {registers: {af: 0x28, bc: 0x00, de: 0x2800, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['15', 'dec d', {af: 0x00, bc: 0x00, de: 0x1000, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x15]]], 0xff, {registers: {af: 0x1a, bc: 0x00, de: 0x0f00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['16', 'ld d,nn', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x16, 0x12]]], 0xff, {registers: {af: 0x00, bc: 0x00, de: 0x1200, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x07}],
+  ['17', 'rla', {af: 0x0801, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x17]]], 0xff, {registers: {af: 0x1100, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['18', 'jr offset', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x18, 0x40]]], 0xff, {registers: {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x42, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0c}],
+  ['19', 'add hl,de', {af: 0x00, bc: 0x00, de: 0x3456, hl: 0x789a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x19]]], 0xff, {registers: {af: 0x28, bc: 0x00, de: 0x3456, hl: 0xacf0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0b}],
+  ['1a', 'ld a,(de)', {af: 0x00, bc: 0x00, de: 0x8000, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x1a]], [0x8000, [0x13]]], 0xff, {registers: {af: 0x1300, bc: 0x00, de: 0x8000, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x07}],
+  ['1b', 'dec de', {af: 0x00, bc: 0x00, de: 0xe5d4, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x1b]]], 0xff, {registers: {af: 0x00, bc: 0x00, de: 0xe5d3, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x06}],
+  ['1c', 'inc e', {af: 0x00, bc: 0x00, de: 0xaa, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x1c]]], 0xff, {registers: {af: 0xa8, bc: 0x00, de: 0xab, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['1d', 'dec e', {af: 0x00, bc: 0x00, de: 0xaa, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x1d]]], 0xff, {registers: {af: 0xaa, bc: 0x00, de: 0xa9, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['1e', 'ld e,nn', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x1e, 0xef]]], 0xff, {registers: {af: 0x00, bc: 0x00, de: 0xef, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x07}],
+  ['1f', 'rra', {af: 0x01c4, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x1f]]], 0xff, {registers: {af: 0xc5, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['20_1', 'jr nz,offset', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x20, 0x40]]], 0xff, {registers: {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x42, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0c}],
+  ['20_2', 'jr nz,offset', {af: 0x40, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x20, 0x40]]], 0xff, {registers: {af: 0x40, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x07}],
+  ['21', 'ld hl,nnnn', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x21, 0x28, 0xed]]], 0xff, {registers: {af: 0x00, bc: 0x00, de: 0x00, hl: 0xed28, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0a}],
+  ['22', 'ld (nnnn),hl', {af: 0x00, bc: 0x00, de: 0x00, hl: 0xc64c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x22, 0xb0, 0xc3]]], 0xff, {registers: {af: 0x00, bc: 0x00, de: 0x00, hl: 0xc64c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xc3b0: 0x4c, 0xc3b1: 0xc6}, io: [], cycles: 0x10}],
+  ['23', 'inc hl', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x9c4e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x23]]], 0xff, {registers: {af: 0x00, bc: 0x00, de: 0x00, hl: 0x9c4f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x06}],
+  ['24', 'inc h', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x7200, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x24]]], 0xff, {registers: {af: 0x20, bc: 0x00, de: 0x00, hl: 0x7300, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['25', 'dec h', {af: 0x00, bc: 0x00, de: 0x00, hl: 0xa500, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x25]]], 0xff, {registers: {af: 0xa2, bc: 0x00, de: 0x00, hl: 0xa400, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['26', 'ld h,nn', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x26, 0x3a]]], 0xff, {registers: {af: 0x00, bc: 0x00, de: 0x00, hl: 0x3a00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x07}],
+  ['27_1', 'daa', {af: 0x9a02, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x27]]], 0xff, {registers: {af: 0x3423, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['27', 'daa', {af: 0x1f00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x27]]], 0xff, {registers: {af: 0x2530, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['28_1', 'jr z,offset', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x28, 0x8e]]], 0xff, {registers: {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x07}],
+  ['28_2', 'jr z,offset', {af: 0x40, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x28, 0x8e]]], 0xff, {registers: {af: 0x40, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0xff90, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0c}],
+  ['29', 'add hl,hl', {af: 0x00, bc: 0x00, de: 0x00, hl: 0xcdfa, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x29]]], 0xff, {registers: {af: 0x19, bc: 0x00, de: 0x00, hl: 0x9bf4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0b}],
+  ['2a', 'ld hl,(nnnn)', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x2a, 0x45, 0xac]], [0xac45, [0xc4, 0xde]]], 0xff, {registers: {af: 0x00, bc: 0x00, de: 0x00, hl: 0xdec4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x10}],
+  ['2b', 'dec hl', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x9e66, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x2b]]], 0xff, {registers: {af: 0x00, bc: 0x00, de: 0x00, hl: 0x9e65, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x06}],
+  ['2c', 'inc l', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x26, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x2c]]], 0xff, {registers: {af: 0x20, bc: 0x00, de: 0x00, hl: 0x27, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['2d', 'dec l', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x32, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x2d]]], 0xff, {registers: {af: 0x22, bc: 0x00, de: 0x00, hl: 0x31, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['2e', 'ld l,nn', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x2e, 0x18]]], 0xff, {registers: {af: 0x00, bc: 0x00, de: 0x00, hl: 0x18, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x07}],
+  ['2f', 'cpl', {af: 0x8900, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x2f]]], 0xff, {registers: {af: 0x7632, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['30_1', 'jr nc,offset', {af: 0x36, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x30, 0x50]]], 0xff, {registers: {af: 0x36, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x52, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0c}],
+  ['30_2', 'jr nc,offset', {af: 0x37, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x30, 0x50]]], 0xff, {registers: {af: 0x37, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x07}],
+  ['31', 'ld sp,nnnn', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x31, 0xd4, 0x61]]], 0xff, {registers: {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x61d4, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0a}],
+  ['32', 'ld (nnnn),a', {af: 0x0e00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x32, 0xac, 0xad]]], 0xff, {registers: {af: 0x0e00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xadac: 0x0e}, io: [], cycles: 0x0d}],
+  ['32_1', 'ld (nnnn),a', {af: 0x5600, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x32, 0x34, 0x12]]], 0xff, {registers: {af: 0x5600, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x1234: 0x56}, io: [], cycles: 0x0d}],
+  ['33', 'inc sp', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0xa55a, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x33]]], 0xff, {registers: {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0xa55b, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x06}],
+  ['34', 'inc (hl)', {af: 0x00, bc: 0x00, de: 0x00, hl: 0xfe1d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x34]], [0xfe1d, [0xfd]]], 0xff, {registers: {af: 0xa8, bc: 0x00, de: 0x00, hl: 0xfe1d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xfe1d: 0xfe}, io: [], cycles: 0x0b}],
+  ['35', 'dec (hl)', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x470c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x35]], [0x470c, [0x82]]], 0xff, {registers: {af: 0x82, bc: 0x00, de: 0x00, hl: 0x470c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x470c: 0x81}, io: [], cycles: 0x0b}],
+  ['36', 'ld (hl),nn', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x7d29, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x36, 0x7c]]], 0xff, {registers: {af: 0x00, bc: 0x00, de: 0x00, hl: 0x7d29, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x7d29: 0x7c}, io: [], cycles: 0x0a}],
+  ['37_1', 'scf', {af: 0xff, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x37]]], 0xff, {registers: {af: 0xc5, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['37_2', 'scf', {af: 0xff00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x37]]], 0xff, {registers: {af: 0xff29, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['37_3', 'scf', {af: 0xffff, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x37]]], 0xff, {registers: {af: 0xffed, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['37', 'scf', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x37]]], 0xff, {registers: {af: 0x01, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['38_1', 'jr c,offset', {af: 0xb2, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x38, 0x66]]], 0xff, {registers: {af: 0xb2, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x07}],
+  ['38_2', 'jr c,offset', {af: 0xb3, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x38, 0x66]]], 0xff, {registers: {af: 0xb3, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x68, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0c}],
+  ['39', 'add hl,sp', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x1aef, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0xc534, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x39]]], 0xff, {registers: {af: 0x30, bc: 0x00, de: 0x00, hl: 0xe023, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0xc534, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0b}],
+  ['3a', 'ld a,(nnnn)', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x3a, 0x52, 0x99]], [0x9952, [0x28]]], 0xff, {registers: {af: 0x2800, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0d}],
+  ['3b', 'dec sp', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x9d36, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x3b]]], 0xff, {registers: {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x9d35, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x06}],
+  ['3c', 'inc a', {af: 0xcf00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x3c]]], 0xff, {registers: {af: 0xd090, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['3d', 'dec a', {af: 0xea00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x3d]]], 0xff, {registers: {af: 0xe9aa, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['3e', 'ld a,nn', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x3e, 0xd6]]], 0xff, {registers: {af: 0xd600, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x07}],
+  ['3f', 'ccf', {af: 0x5b, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x3f]]], 0xff, {registers: {af: 0x50, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['40', 'ld b,b', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x40]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['41', 'ld b,c', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x41]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0x9898, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['42', 'ld b,d', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x42]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0x9098, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['43', 'ld b,e', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x43]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xd898, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['44', 'ld b,h', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x44]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xa198, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['45', 'ld b,l', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x45]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0x6998, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['46', 'ld b,(hl)', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x46]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0x5098, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x07}],
+  ['47', 'ld b,a', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x47]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0x0298, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['48', 'ld c,b', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x48]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcfcf, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['49', 'ld c,c', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x49]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['4a', 'ld c,d', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x4a]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf90, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['4b', 'ld c,e', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x4b]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcfd8, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['4c', 'ld c,h', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x4c]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcfa1, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['4d', 'ld c,l', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x4d]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf69, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['4e', 'ld c,(hl)', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x4e]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf50, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x07}],
+  ['4f', 'ld c,a', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x4f]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf02, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['50', 'ld d,b', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x50]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf98, de: 0xcfd8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['51', 'ld d,c', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x51]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf98, de: 0x98d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['52', 'ld d,d', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x52]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['53', 'ld d,e', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x53]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf98, de: 0xd8d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['54', 'ld d,h', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x54]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf98, de: 0xa1d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['55', 'ld d,l', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x55]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf98, de: 0x69d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['56', 'ld d,(hl)', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x56]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf98, de: 0x50d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x07}],
+  ['57', 'ld d,a', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x57]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf98, de: 0x02d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['58', 'ld e,b', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x58]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf98, de: 0x90cf, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['59', 'ld e,c', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x59]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf98, de: 0x9098, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['5a', 'ld e,d', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x5a]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf98, de: 0x9090, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['5b', 'ld e,e', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x5b]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['5c', 'ld e,h', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x5c]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf98, de: 0x90a1, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['5d', 'ld e,l', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x5d]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf98, de: 0x9069, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['5e', 'ld e,(hl)', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x5e]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf98, de: 0x9050, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x07}],
+  ['5f', 'ld e,a', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x5f]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf98, de: 0x9002, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['60', 'ld h,b', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x60]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xcf69, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['61', 'ld h,c', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x61]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0x9869, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['62', 'ld h,d', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x62]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0x9069, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['63', 'ld h,e', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x63]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xd869, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['64', 'ld h,h', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x64]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['65', 'ld h,l', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x65]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0x6969, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['66', 'ld h,(hl)', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x66]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0x5069, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x07}],
+  ['67', 'ld h,a', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x67]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0x0269, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['68', 'ld l,b', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x68]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa1cf, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['69', 'ld l,c', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x69]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa198, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['6a', 'ld l,d', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x6a]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa190, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['6b', 'ld l,e', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x6b]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa1d8, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['6c', 'ld l,h', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x6c]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa1a1, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['6d', 'ld l,l', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x6d]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['6e', 'ld l,(hl)', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x6e]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa150, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x07}],
+  ['6f', 'ld l,a', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x6f]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa102, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['70', 'ld (hl),b', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x70]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xa169: 0xcf}, io: [], cycles: 0x07}],
+  ['71', 'ld (hl),c', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x71]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xa169: 0x98}, io: [], cycles: 0x07}],
+  ['72', 'ld (hl),d', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x72]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xa169: 0x90}, io: [], cycles: 0x07}],
+  ['73', 'ld (hl),e', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x73]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xa169: 0xd8}, io: [], cycles: 0x07}],
+  ['74', 'ld (hl),h', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x74]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xa169: 0xa1}, io: [], cycles: 0x07}],
+  ['75', 'ld (hl),l', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x75]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xa169: 0x69}, io: [], cycles: 0x07}],
+  ['76', 'halt', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x76]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, im: 0x00, iff1: false, iff2: false, halted: true, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['77', 'ld (hl),a', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x77]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xa169: 0x02}, io: [], cycles: 0x07}],
+  ['78', 'ld a,b', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x78]], [0xa169, [0x50]]], 0xff, {registers: {af: 0xcf00, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['79', 'ld a,c', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x79]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x9800, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['7a', 'ld a,d', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x7a]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x9000, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['7b', 'ld a,e', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x7b]], [0xa169, [0x50]]], 0xff, {registers: {af: 0xd800, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['7c', 'ld a,h', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x7c]], [0xa169, [0x50]]], 0xff, {registers: {af: 0xa100, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['7d', 'ld a,l', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x7d]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x6900, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['7e', 'ld a,(hl)', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x7e]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x5000, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x07}],
+  ['7f', 'ld a,a', {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x7f]], [0xa169, [0x50]]], 0xff, {registers: {af: 0x0200, bc: 0xcf98, de: 0x90d8, hl: 0xa169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['80', 'add a,b', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x80]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0x0411, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['81', 'add a,c', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x81]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0x3031, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['82', 'add a,d', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x82]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0x1501, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['83', 'add a,e', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x83]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0x0211, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['84', 'add a,h', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x84]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0xd191, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['85', 'add a,l', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x85]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0x9b89, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['86', 'add a,(hl)', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x86]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0x3e29, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x07}],
+  ['87', 'add a,a', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x87]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0xeaa9, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['88', 'adc a,b', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x88]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0x0411, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['89', 'adc a,c', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x89]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0x3031, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['8a', 'adc a,d', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x8a]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0x1501, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['8b', 'adc a,e', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x8b]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0x0211, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['8c', 'adc a,h', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x8c]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0xd191, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['8d', 'adc a,l', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x8d]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0x9b89, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['8e', 'adc a,(hl)', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x8e]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0x3e29, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x07}],
+  ['8f', 'adc a,a', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x8f]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0xeaa9, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['90', 'sub a,b', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x90]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0xe6b2, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['91', 'sub a,c', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x91]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0xbaba, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['92', 'sub a,d', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x92]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0xd582, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['93', 'sub a,e', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x93]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0xe8ba, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['94', 'sub a,h', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x94]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0x191a, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['95', 'sub a,l', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x95]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0x4f1a, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['96', 'sub a,(hl)', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x96]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0xacba, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x07}],
+  ['97', 'sub a,a', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x97]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0x42, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['98', 'sbc a,b', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x98]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0xe6b2, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['99', 'sbc a,c', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x99]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0xbaba, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['9a', 'sbc a,d', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x9a]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0xd582, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['9b', 'sbc a,e', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x9b]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0xe8ba, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['9c', 'sbc a,h', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x9c]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0x191a, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['9d', 'sbc a,l', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x9d]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0x4f1a, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['9e', 'sbc a,(hl)', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x9e]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0xacba, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x07}],
+  ['9f', 'sbc a,a', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0x9f]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0x42, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['a0', 'and a,b', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xa0]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0x0514, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['a1', 'and a,c', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xa1]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0x3130, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['a2', 'and a,d', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xa2]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0x2030, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['a3', 'and a,e', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xa3]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0x0514, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['a4', 'and a,h', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xa4]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0xd494, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['a5', 'and a,l', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xa5]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0xa4b0, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['a6', 'and a,(hl)', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xa6]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0x4114, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x07}],
+  ['a7', 'and a,a', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xa7]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0xf5b4, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['a8', 'xor a,b', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xa8]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0xfaac, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['a9', 'xor a,c', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xa9]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0xce88, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['aa', 'xor a,d', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xaa]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0xd580, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['ab', 'xor a,e', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xab]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0xf8a8, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['ac', 'xor a,h', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xac]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0x2928, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['ad', 'xor a,l', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xad]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0x5304, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['ae', 'xor a,(hl)', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xae]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0xbca8, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x07}],
+  ['af', 'xor a,a', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xaf]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0x44, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['b0', 'or a,b', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xb0]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0xffac, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['b1', 'or a,c', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xb1]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0xffac, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['b2', 'or a,d', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xb2]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0xf5a4, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['b3', 'or a,e', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xb3]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0xfda8, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['b4', 'or a,h', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xb4]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0xfda8, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['b5', 'or a,l', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xb5]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0xf7a0, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['b6', 'or a,(hl)', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xb6]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0xfda8, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x07}],
+  ['b7', 'or a,a', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xb7]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0xf5a4, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['b8', 'cp b', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xb8]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0xf59a, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['b9', 'cp c', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xb9]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0xf5ba, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['ba', 'cp d', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xba]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0xf5a2, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['bb', 'cp e', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xbb]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0xf59a, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['bc', 'cp h', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xbc]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0xf51a, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['bd', 'cp l', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xbd]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0xf532, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['be', 'cp (hl)', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xbe]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0xf59a, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x07}],
+  ['bf', 'cp a', {af: 0xf500, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xbf]], [0xdca6, [0x49]]], 0xff, {registers: {af: 0xf562, bc: 0x0f3b, de: 0x200d, hl: 0xdca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['c0_1', 'ret nz', {af: 0x98, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x43f7, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xc0]], [0x43f7, [0xe9, 0xaf]]], 0xff, {registers: {af: 0x98, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x43f9, pc: 0xafe9, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0b}],
+  ['c0_2', 'ret nz', {af: 0xd8, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x43f7, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xc0]], [0x43f7, [0xe9, 0xaf]]], 0xff, {registers: {af: 0xd8, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x43f7, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x05}],
+  ['c1', 'pop bc', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x4143, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xc1]], [0x4143, [0xce, 0xe8]]], 0xff, {registers: {af: 0x00, bc: 0xe8ce, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x4145, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0a}],
+  ['c2_1', 'jp nz,nnnn', {af: 0x87, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xc2, 0x1b, 0xe1]]], 0xff, {registers: {af: 0x87, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0xe11b, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0a}],
+  ['c2_2', 'jp nz,nnnn', {af: 0xc7, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xc2, 0x1b, 0xe1]]], 0xff, {registers: {af: 0xc7, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0a}],
+  ['c3', 'jp nnnn', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xc3, 0xed, 0x7c]]], 0xff, {registers: {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x7ced, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0a}],
+  ['c4_1', 'call nz,nnnn', {af: 0x0e, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5698, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xc4, 0x61, 0x9c]]], 0xff, {registers: {af: 0x0e, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5696, pc: 0x9c61, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x5696: 0x03, 0x5697: 0x00}, io: [], cycles: 0x11}],
+  ['c4_2', 'call nz,nnnn', {af: 0x4e, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5698, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xc4, 0x61, 0x9c]]], 0xff, {registers: {af: 0x4e, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5698, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0a}],
+  ['c5', 'push bc', {af: 0x53e3, bc: 0x1459, de: 0x775f, hl: 0x1a2f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0xec12, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xc5]]], 0xff, {registers: {af: 0x53e3, bc: 0x1459, de: 0x775f, hl: 0x1a2f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0xec10, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xec10: 0x59, 0xec11: 0x14}, io: [], cycles: 0x0b}],
+  ['c6', 'add a,nn', {af: 0xca00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xc6, 0x6f]]], 0xff, {registers: {af: 0x3939, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x07}],
+  ['c7', 'rst 00', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5507, pc: 0x6d33, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x6d33, [0xc7]]], 0xff, {registers: {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5505, pc: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x5505: 0x34, 0x5506: 0x6d}, io: [], cycles: 0x0b}],
+  ['c8_1', 'ret z', {af: 0x98, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x43f7, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xc8]], [0x43f7, [0xe9, 0xaf]]], 0xff, {registers: {af: 0x98, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x43f7, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x05}],
+  ['c8_2', 'ret z', {af: 0xd8, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x43f7, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xc8]], [0x43f7, [0xe9, 0xaf]]], 0xff, {registers: {af: 0xd8, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x43f9, pc: 0xafe9, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0b}],
+  ['c9', 'ret', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x887e, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xc9]], [0x887e, [0x36, 0x11]]], 0xff, {registers: {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x8880, pc: 0x1136, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0a}],
+  ['ca_1', 'jp z,nnnn', {af: 0x87, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xca, 0x1b, 0xe1]]], 0xff, {registers: {af: 0x87, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0a}],
+  ['ca_2', 'jp z,nnnn', {af: 0xc7, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xca, 0x1b, 0xe1]]], 0xff, {registers: {af: 0xc7, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0xe11b, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0a}],
+  ['cb00', 'rlc b', {af: 0xda00, bc: 0xe479, de: 0x552e, hl: 0xa806, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x00]], [0xa806, [0x76]]], 0xff, {registers: {af: 0xda8d, bc: 0xc979, de: 0x552e, hl: 0xa806, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb01', 'rlc c', {af: 0x1000, bc: 0xb379, de: 0xb480, hl: 0xef65, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x01]], [0xef65, [0xfb]]], 0xff, {registers: {af: 0x10a0, bc: 0xb3f2, de: 0xb480, hl: 0xef65, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb02', 'rlc d', {af: 0x2e00, bc: 0x9adf, de: 0xae6e, hl: 0xa7f2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x02]], [0xa7f2, [0x4a]]], 0xff, {registers: {af: 0x2e09, bc: 0x9adf, de: 0x5d6e, hl: 0xa7f2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb03', 'rlc e', {af: 0x6800, bc: 0x9995, de: 0xde3f, hl: 0xca71, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x03]], [0xca71, [0xe7]]], 0xff, {registers: {af: 0x682c, bc: 0x9995, de: 0xde7e, hl: 0xca71, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb04', 'rlc h', {af: 0x8c00, bc: 0xbeea, de: 0x0ce4, hl: 0x67b0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x04]], [0x67b0, [0xcd]]], 0xff, {registers: {af: 0x8c88, bc: 0xbeea, de: 0x0ce4, hl: 0xceb0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb05', 'rlc l', {af: 0x3600, bc: 0xe19f, de: 0x78c9, hl: 0xcb32, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x05]], [0xcb32, [0x1b]]], 0xff, {registers: {af: 0x3620, bc: 0xe19f, de: 0x78c9, hl: 0xcb64, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb06', 'rlc (hl)', {af: 0x8a00, bc: 0xdb02, de: 0x8fb1, hl: 0x5b04, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x06]], [0x5b04, [0xd4]]], 0xff, {registers: {af: 0x8aad, bc: 0xdb02, de: 0x8fb1, hl: 0x5b04, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x5b04: 0xa9}, io: [], cycles: 0x0f}],
+  ['cb07', 'rlc a', {af: 0x6d00, bc: 0x19cf, de: 0x7259, hl: 0xdcaa, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x07]], [0xdcaa, [0x8d]]], 0xff, {registers: {af: 0xda88, bc: 0x19cf, de: 0x7259, hl: 0xdcaa, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb08', 'rrc b', {af: 0x8000, bc: 0xcdb5, de: 0x818e, hl: 0x2ee2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x08]], [0x2ee2, [0x53]]], 0xff, {registers: {af: 0x80a1, bc: 0xe6b5, de: 0x818e, hl: 0x2ee2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb09', 'rrc c', {af: 0x1800, bc: 0x125c, de: 0xdd97, hl: 0x59c6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x09]], [0x59c6, [0x9e]]], 0xff, {registers: {af: 0x182c, bc: 0x122e, de: 0xdd97, hl: 0x59c6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb0a', 'rrc d', {af: 0x1200, bc: 0x3ba1, de: 0x7724, hl: 0x63ad, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x0a]], [0x63ad, [0x96]]], 0xff, {registers: {af: 0x12ad, bc: 0x3ba1, de: 0xbb24, hl: 0x63ad, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb0b', 'rrc e', {af: 0x7600, bc: 0x2abf, de: 0xb626, hl: 0x0289, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x0b]], [0x0289, [0x37]]], 0xff, {registers: {af: 0x7600, bc: 0x2abf, de: 0xb613, hl: 0x0289, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb0c', 'rrc h', {af: 0x0e00, bc: 0x6fc5, de: 0x2f12, hl: 0x34d9, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x0c]], [0x34d9, [0x50]]], 0xff, {registers: {af: 0x0e08, bc: 0x6fc5, de: 0x2f12, hl: 0x1ad9, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb0d', 'rrc l', {af: 0x6300, bc: 0x95a3, de: 0xfcd2, hl: 0x519a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x0d]], [0x519a, [0x7a]]], 0xff, {registers: {af: 0x630c, bc: 0x95a3, de: 0xfcd2, hl: 0x514d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb0e', 'rrc (hl)', {af: 0xfc00, bc: 0xadf9, de: 0x4925, hl: 0x543e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x0e]], [0x543e, [0xd2]]], 0xff, {registers: {af: 0xfc2c, bc: 0xadf9, de: 0x4925, hl: 0x543e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x543e: 0x69}, io: [], cycles: 0x0f}],
+  ['cb0f', 'rrc a', {af: 0xc300, bc: 0x18f3, de: 0x41b8, hl: 0x070b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x0f]], [0x070b, [0x86]]], 0xff, {registers: {af: 0xe1a5, bc: 0x18f3, de: 0x41b8, hl: 0x070b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb10', 'rl b', {af: 0xf800, bc: 0xdc25, de: 0x33b3, hl: 0x0d74, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x10]], [0x0d74, [0x3d]]], 0xff, {registers: {af: 0xf8ad, bc: 0xb825, de: 0x33b3, hl: 0x0d74, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb11', 'rl c', {af: 0x6500, bc: 0xe25c, de: 0x4b8a, hl: 0xed42, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x11]], [0xed42, [0xb7]]], 0xff, {registers: {af: 0x65ac, bc: 0xe2b8, de: 0x4b8a, hl: 0xed42, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb12', 'rl d', {af: 0x7700, bc: 0x1384, de: 0x0f50, hl: 0x29c6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x12]], [0x29c6, [0x88]]], 0xff, {registers: {af: 0x770c, bc: 0x1384, de: 0x1e50, hl: 0x29c6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb13', 'rl e', {af: 0xce00, bc: 0x9f17, de: 0xe128, hl: 0x3ed7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x13]], [0x3ed7, [0xea]]], 0xff, {registers: {af: 0xce04, bc: 0x9f17, de: 0xe150, hl: 0x3ed7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb14', 'rl h', {af: 0xb200, bc: 0x541a, de: 0x60c7, hl: 0x7c9a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x14]], [0x7c9a, [0x0f]]], 0xff, {registers: {af: 0xb2a8, bc: 0x541a, de: 0x60c7, hl: 0xf89a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb15', 'rl l', {af: 0x2d00, bc: 0xc1df, de: 0x6eab, hl: 0x03e2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x15]], [0x03e2, [0xbc]]], 0xff, {registers: {af: 0x2d81, bc: 0xc1df, de: 0x6eab, hl: 0x03c4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb16', 'rl (hl)', {af: 0x3600, bc: 0x3b53, de: 0x1a4a, hl: 0x684e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x16]], [0x684e, [0xc3]]], 0xff, {registers: {af: 0x3681, bc: 0x3b53, de: 0x1a4a, hl: 0x684e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x684e: 0x86}, io: [], cycles: 0x0f}],
+  ['cb17', 'rl a', {af: 0x5400, bc: 0xd090, de: 0xf60d, hl: 0x0fa2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x17]], [0x0fa2, [0x23]]], 0xff, {registers: {af: 0xa8a8, bc: 0xd090, de: 0xf60d, hl: 0x0fa2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb18', 'rr b', {af: 0x8600, bc: 0xc658, de: 0x755f, hl: 0x9596, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x18]], [0x9596, [0xb6]]], 0xff, {registers: {af: 0x8624, bc: 0x6358, de: 0x755f, hl: 0x9596, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb19', 'rr c', {af: 0x9600, bc: 0xbeb3, de: 0x7c22, hl: 0x71c8, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x19]], [0x71c8, [0x85]]], 0xff, {registers: {af: 0x960d, bc: 0xbe59, de: 0x7c22, hl: 0x71c8, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb1a', 'rr d', {af: 0x3900, bc: 0x882f, de: 0x543b, hl: 0x5279, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x1a]], [0x5279, [0x26]]], 0xff, {registers: {af: 0x3928, bc: 0x882f, de: 0x2a3b, hl: 0x5279, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb1b', 'rr e', {af: 0x9e00, bc: 0xb338, de: 0x876c, hl: 0xe8b4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x1b]], [0xe8b4, [0xb9]]], 0xff, {registers: {af: 0x9e24, bc: 0xb338, de: 0x8736, hl: 0xe8b4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb1c', 'rr h', {af: 0x4b00, bc: 0xb555, de: 0x238f, hl: 0x311d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x1c]], [0x311d, [0x11]]], 0xff, {registers: {af: 0x4b0d, bc: 0xb555, de: 0x238f, hl: 0x181d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb1d', 'rr l', {af: 0x2100, bc: 0x3d7e, de: 0x5e39, hl: 0xe451, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x1d]], [0xe451, [0x47]]], 0xff, {registers: {af: 0x212d, bc: 0x3d7e, de: 0x5e39, hl: 0xe428, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb1e', 'rr (hl)', {af: 0x5e00, bc: 0x66b9, de: 0x80dc, hl: 0xef, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x1e]], [0xef, [0x91]]], 0xff, {registers: {af: 0x5e0d, bc: 0x66b9, de: 0x80dc, hl: 0xef, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xef: 0x48}, io: [], cycles: 0x0f}],
+  ['cb1f', 'rr a', {af: 0xed00, bc: 0xb838, de: 0x8e18, hl: 0xace7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x1f]], [0xace7, [0x82]]], 0xff, {registers: {af: 0x7621, bc: 0xb838, de: 0x8e18, hl: 0xace7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb20', 'sla b', {af: 0xc700, bc: 0x0497, de: 0xd72b, hl: 0xccb6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x20]], [0xccb6, [0x1a]]], 0xff, {registers: {af: 0xc708, bc: 0x0897, de: 0xd72b, hl: 0xccb6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb21', 'sla c', {af: 0x2200, bc: 0x5cf4, de: 0x938e, hl: 0x37a8, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x21]], [0x37a8, [0xdd]]], 0xff, {registers: {af: 0x22ad, bc: 0x5ce8, de: 0x938e, hl: 0x37a8, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb22', 'sla d', {af: 0x8500, bc: 0x0950, de: 0xe7e8, hl: 0x0641, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x22]], [0x0641, [0x4d]]], 0xff, {registers: {af: 0x8589, bc: 0x0950, de: 0xcee8, hl: 0x0641, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb23', 'sla e', {af: 0x2100, bc: 0x2a7c, de: 0x37d0, hl: 0xaa59, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x23]], [0xaa59, [0xc1]]], 0xff, {registers: {af: 0x21a5, bc: 0x2a7c, de: 0x37a0, hl: 0xaa59, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb24', 'sla h', {af: 0xfb00, bc: 0xb9de, de: 0x7014, hl: 0x84b6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x24]], [0x84b6, [0x80]]], 0xff, {registers: {af: 0xfb09, bc: 0xb9de, de: 0x7014, hl: 0x08b6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb25', 'sla l', {af: 0x1500, bc: 0x6bbc, de: 0x894e, hl: 0x85bc, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x25]], [0x85bc, [0xef]]], 0xff, {registers: {af: 0x152d, bc: 0x6bbc, de: 0x894e, hl: 0x8578, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb26', 'sla (hl)', {af: 0x0a00, bc: 0x372e, de: 0xe315, hl: 0x283a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x26]], [0x283a, [0xee]]], 0xff, {registers: {af: 0x0a89, bc: 0x372e, de: 0xe315, hl: 0x283a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x283a: 0xdc}, io: [], cycles: 0x0f}],
+  ['cb27', 'sla a', {af: 0xbf00, bc: 0xbdba, de: 0x67ab, hl: 0x5ea2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x27]], [0x5ea2, [0xbd]]], 0xff, {registers: {af: 0x7e2d, bc: 0xbdba, de: 0x67ab, hl: 0x5ea2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb28', 'sra b', {af: 0xc000, bc: 0x0435, de: 0x3e0f, hl: 0x021b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x28]], [0x021b, [0x90]]], 0xff, {registers: {af: 0xc000, bc: 0x0235, de: 0x3e0f, hl: 0x021b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb29', 'sra c', {af: 0x0600, bc: 0xf142, de: 0x6ada, hl: 0xc306, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x29]], [0xc306, [0x5c]]], 0xff, {registers: {af: 0x0624, bc: 0xf121, de: 0x6ada, hl: 0xc306, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb2a', 'sra d', {af: 0x3000, bc: 0xec3a, de: 0x7f7d, hl: 0x3473, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x2a]], [0x3473, [0x34]]], 0xff, {registers: {af: 0x302d, bc: 0xec3a, de: 0x3f7d, hl: 0x3473, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb2b', 'sra e', {af: 0xe000, bc: 0xccf0, de: 0xbbda, hl: 0xb78a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x2b]], [0xb78a, [0xab]]], 0xff, {registers: {af: 0xe0ac, bc: 0xccf0, de: 0xbbed, hl: 0xb78a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb2c', 'sra h', {af: 0x5b00, bc: 0x25c0, de: 0x996d, hl: 0x1e7b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x2c]], [0x1e7b, [0x2c]]], 0xff, {registers: {af: 0x5b0c, bc: 0x25c0, de: 0x996d, hl: 0x0f7b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb2d', 'sra l', {af: 0x5e00, bc: 0xc51b, de: 0x58e3, hl: 0x78ea, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x2d]], [0x78ea, [0x85]]], 0xff, {registers: {af: 0x5ea4, bc: 0xc51b, de: 0x58e3, hl: 0x78f5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb2e', 'sra (hl)', {af: 0x3900, bc: 0xa2cd, de: 0x0629, hl: 0x24bf, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x2e]], [0x24bf, [0xb5]]], 0xff, {registers: {af: 0x3989, bc: 0xa2cd, de: 0x0629, hl: 0x24bf, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x24bf: 0xda}, io: [], cycles: 0x0f}],
+  ['cb2f', 'sra a', {af: 0xaa00, bc: 0xa194, de: 0xd0e3, hl: 0x5c65, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x2f]], [0x5c65, [0xc9]]], 0xff, {registers: {af: 0xd580, bc: 0xa194, de: 0xd0e3, hl: 0x5c65, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb30', 'sll b', {af: 0xcd00, bc: 0x7a81, de: 0xd67b, hl: 0x656b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x30]], [0x656b, [0x32]]], 0xff, {registers: {af: 0xcda4, bc: 0xf581, de: 0xd67b, hl: 0x656b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb31', 'sll c', {af: 0x2800, bc: 0xe7fa, de: 0x6d8c, hl: 0x75a4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x31]], [0x75a4, [0x0c]]], 0xff, {registers: {af: 0x28a5, bc: 0xe7f5, de: 0x6d8c, hl: 0x75a4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb32', 'sll d', {af: 0x1300, bc: 0x3f36, de: 0xf608, hl: 0x5e56, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x32]], [0x5e56, [0x8d]]], 0xff, {registers: {af: 0x13ad, bc: 0x3f36, de: 0xed08, hl: 0x5e56, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb33', 'sll e', {af: 0xd500, bc: 0x9720, de: 0x7644, hl: 0x038f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x33]], [0x038f, [0xba]]], 0xff, {registers: {af: 0xd588, bc: 0x9720, de: 0x7689, hl: 0x038f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb34', 'sll h', {af: 0x1200, bc: 0x77f6, de: 0x0206, hl: 0xfb38, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x34]], [0xfb38, [0x07]]], 0xff, {registers: {af: 0x12a1, bc: 0x77f6, de: 0x0206, hl: 0xf738, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb35', 'sll l', {af: 0x3c00, bc: 0xfd68, de: 0xea91, hl: 0x7861, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x35]], [0x7861, [0x72]]], 0xff, {registers: {af: 0x3c84, bc: 0xfd68, de: 0xea91, hl: 0x78c3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb36', 'sll (hl)', {af: 0x8a00, bc: 0x1185, de: 0x1dde, hl: 0x6d38, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x36]], [0x6d38, [0xf1]]], 0xff, {registers: {af: 0x8aa1, bc: 0x1185, de: 0x1dde, hl: 0x6d38, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x6d38: 0xe3}, io: [], cycles: 0x0f}],
+  ['cb37', 'sll a', {af: 0x4300, bc: 0xd7bc, de: 0x9133, hl: 0x6e56, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x37]], [0x6e56, [0xf8]]], 0xff, {registers: {af: 0x8784, bc: 0xd7bc, de: 0x9133, hl: 0x6e56, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb38', 'srl b', {af: 0xdf00, bc: 0x7c1b, de: 0x9f9f, hl: 0x4ff2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x38]], [0x4ff2, [0xaa]]], 0xff, {registers: {af: 0xdf28, bc: 0x3e1b, de: 0x9f9f, hl: 0x4ff2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb39', 'srl c', {af: 0x6600, bc: 0xb702, de: 0x14f5, hl: 0x3c17, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x39]], [0x3c17, [0x61]]], 0xff, {registers: {af: 0x6600, bc: 0xb701, de: 0x14f5, hl: 0x3c17, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb3a', 'srl d', {af: 0xd100, bc: 0x5c5f, de: 0xe42e, hl: 0xf1b1, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x3a]], [0xf1b1, [0x6e]]], 0xff, {registers: {af: 0xd124, bc: 0x5c5f, de: 0x722e, hl: 0xf1b1, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb3b', 'srl e', {af: 0xb200, bc: 0x38c8, de: 0xa560, hl: 0x7419, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x3b]], [0x7419, [0x11]]], 0xff, {registers: {af: 0xb224, bc: 0x38c8, de: 0xa530, hl: 0x7419, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb3c', 'srl h', {af: 0x7800, bc: 0xcfae, de: 0x66d8, hl: 0x2ad8, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x3c]], [0x2ad8, [0x8d]]], 0xff, {registers: {af: 0x7800, bc: 0xcfae, de: 0x66d8, hl: 0x15d8, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb3d', 'srl l', {af: 0xe600, bc: 0xdcda, de: 0x06aa, hl: 0x46cd, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x3d]], [0x46cd, [0xf9]]], 0xff, {registers: {af: 0xe625, bc: 0xdcda, de: 0x06aa, hl: 0x4666, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb3e', 'srl (hl)', {af: 0xa900, bc: 0x6a34, de: 0xe8d0, hl: 0xa96c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x3e]], [0xa96c, [0xa0]]], 0xff, {registers: {af: 0xa904, bc: 0x6a34, de: 0xe8d0, hl: 0xa96c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xa96c: 0x50}, io: [], cycles: 0x0f}],
+  ['cb3f', 'srl a', {af: 0xf100, bc: 0xceea, de: 0x721e, hl: 0x77f0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x3f]], [0x77f0, [0x7c]]], 0xff, {registers: {af: 0x782d, bc: 0xceea, de: 0x721e, hl: 0x77f0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb40', 'bit 0,b', {af: 0x9e00, bc: 0xbcb2, de: 0xefaa, hl: 0x505f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x40]], [0x505f, [0x59]]], 0xff, {registers: {af: 0x9e7c, bc: 0xbcb2, de: 0xefaa, hl: 0x505f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb41', 'bit 0,c', {af: 0x9e00, bc: 0x1b43, de: 0x954e, hl: 0x7be9, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x41]], [0x7be9, [0xf7]]], 0xff, {registers: {af: 0x9e10, bc: 0x1b43, de: 0x954e, hl: 0x7be9, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb42', 'bit 0,d', {af: 0xf200, bc: 0xdd12, de: 0x7d4f, hl: 0x551f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x42]], [0x551f, [0xc9]]], 0xff, {registers: {af: 0xf238, bc: 0xdd12, de: 0x7d4f, hl: 0x551f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb43', 'bit 0,e', {af: 0xad00, bc: 0xc3b3, de: 0xf1d0, hl: 0xbab4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x43]], [0xbab4, [0x76]]], 0xff, {registers: {af: 0xad54, bc: 0xc3b3, de: 0xf1d0, hl: 0xbab4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb44', 'bit 0,h', {af: 0xb700, bc: 0xc829, de: 0x27e3, hl: 0x5b92, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x44]], [0x5b92, [0x78]]], 0xff, {registers: {af: 0xb718, bc: 0xc829, de: 0x27e3, hl: 0x5b92, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb45', 'bit 0,l', {af: 0x7700, bc: 0x68ee, de: 0x0c77, hl: 0x409b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x45]], [0x409b, [0x64]]], 0xff, {registers: {af: 0x7718, bc: 0x68ee, de: 0x0c77, hl: 0x409b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb46', 'bit 0,(hl)', {af: 0x7200, bc: 0x7ae3, de: 0xa11e, hl: 0x6131, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x46]], [0x6131, [0xd5]]], 0xd7, {registers: {af: 0x7210, bc: 0x7ae3, de: 0xa11e, hl: 0x6131, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0c}],
+  ['cb46_1', 'bit 0,(hl)', {af: 0x7200, bc: 0x7ae3, de: 0xa11e, hl: 0x6131, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x46]], [0x6131, [0xd5]]], 0xd7, {registers: {af: 0x7210, bc: 0x7ae3, de: 0xa11e, hl: 0x6131, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0c}],
+  ['cb46_2', 'bit 0,(hl)', {af: 0x7200, bc: 0x7ae3, de: 0xa11e, hl: 0x6131, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x46]], [0x6131, [0xd5]]], 0xd7, {registers: {af: 0x7210, bc: 0x7ae3, de: 0xa11e, hl: 0x6131, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0c}],
+  ['cb46_3', 'bit 0,(hl)', {af: 0x7200, bc: 0x7ae3, de: 0xa11e, hl: 0x6131, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x46]], [0x6131, [0xd5]]], 0xd7, {registers: {af: 0x7210, bc: 0x7ae3, de: 0xa11e, hl: 0x6131, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0c}],
+  ['cb46_4', 'bit 0,(hl)', {af: 0x7200, bc: 0x7ae3, de: 0xa11e, hl: 0x6131, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x46]], [0x6131, [0xd5]]], 0xd7, {registers: {af: 0x7210, bc: 0x7ae3, de: 0xa11e, hl: 0x6131, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0c}],
+  ['cb46_5', 'bit 0,(hl)', {af: 0x7200, bc: 0x7ae3, de: 0xa11e, hl: 0x6131, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x46]], [0x6131, [0xd5]]], 0xd7, {registers: {af: 0x7210, bc: 0x7ae3, de: 0xa11e, hl: 0x6131, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0c}],
+  ['cb47_1', 'bit 0,a', {af: 0xff00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x47]]], 0xff, {registers: {af: 0xff38, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb47', 'bit 0,a', {af: 0x1000, bc: 0xd8ca, de: 0xe2c4, hl: 0x8a8c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x47]], [0x8a8c, [0x0e]]], 0xff, {registers: {af: 0x1054, bc: 0xd8ca, de: 0xe2c4, hl: 0x8a8c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb48', 'bit 1,b', {af: 0xa900, bc: 0x6264, de: 0xe833, hl: 0x6de0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x48]], [0x6de0, [0x8c]]], 0xff, {registers: {af: 0xa930, bc: 0x6264, de: 0xe833, hl: 0x6de0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb49', 'bit 1,c', {af: 0x6c00, bc: 0xd0f7, de: 0x1db7, hl: 0xa040, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x49]], [0xa040, [0x5f]]], 0xff, {registers: {af: 0x6c30, bc: 0xd0f7, de: 0x1db7, hl: 0xa040, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb4a', 'bit 1,d', {af: 0x4f00, bc: 0xf04c, de: 0x5b29, hl: 0x77a4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x4a]], [0x77a4, [0x96]]], 0xff, {registers: {af: 0x4f18, bc: 0xf04c, de: 0x5b29, hl: 0x77a4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb4b', 'bit 1,e', {af: 0x5500, bc: 0x9848, de: 0x095f, hl: 0x40ca, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x4b]], [0x40ca, [0x8a]]], 0xff, {registers: {af: 0x5518, bc: 0x9848, de: 0x095f, hl: 0x40ca, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb4c', 'bit 1,h', {af: 0x8800, bc: 0x0521, de: 0xbf31, hl: 0x6d5d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x4c]], [0x6d5d, [0xe7]]], 0xff, {registers: {af: 0x887c, bc: 0x0521, de: 0xbf31, hl: 0x6d5d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb4d', 'bit 1,l', {af: 0xf900, bc: 0x27d0, de: 0x0f7e, hl: 0x158d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x4d]], [0x158d, [0xe0]]], 0xff, {registers: {af: 0xf95c, bc: 0x27d0, de: 0x0f7e, hl: 0x158d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb4e', 'bit 1,(hl)', {af: 0x2600, bc: 0x9207, de: 0x459a, hl: 0xada3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x4e]], [0xada3, [0x5b]]], 0xd7, {registers: {af: 0x2610, bc: 0x9207, de: 0x459a, hl: 0xada3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0c}],
+  ['cb4f_1', 'bit 1,a', {af: 0xff00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x4f]]], 0xff, {registers: {af: 0xff38, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb4f', 'bit 1,a', {af: 0x1700, bc: 0x2dc1, de: 0xaca2, hl: 0x0bcc, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x4f]], [0x0bcc, [0xa3]]], 0xff, {registers: {af: 0x1710, bc: 0x2dc1, de: 0xaca2, hl: 0x0bcc, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb50', 'bit 2,b', {af: 0x2300, bc: 0x2749, de: 0x1012, hl: 0x84d2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x50]], [0x84d2, [0x6a]]], 0xff, {registers: {af: 0x2330, bc: 0x2749, de: 0x1012, hl: 0x84d2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb51', 'bit 2,c', {af: 0x2200, bc: 0xb7db, de: 0xe19d, hl: 0xaafc, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x51]], [0xaafc, [0xa6]]], 0xff, {registers: {af: 0x225c, bc: 0xb7db, de: 0xe19d, hl: 0xaafc, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb52', 'bit 2,d', {af: 0x8b00, bc: 0xff7a, de: 0xb0ff, hl: 0xac44, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x52]], [0xac44, [0x00]]], 0xff, {registers: {af: 0x8b74, bc: 0xff7a, de: 0xb0ff, hl: 0xac44, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb53', 'bit 2,e', {af: 0x6000, bc: 0x31a1, de: 0xa4f4, hl: 0x7c75, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x53]], [0x7c75, [0xab]]], 0xff, {registers: {af: 0x6030, bc: 0x31a1, de: 0xa4f4, hl: 0x7c75, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb54', 'bit 2,h', {af: 0x3800, bc: 0x7ccc, de: 0x89cc, hl: 0x1999, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x54]], [0x1999, [0x98]]], 0xff, {registers: {af: 0x385c, bc: 0x7ccc, de: 0x89cc, hl: 0x1999, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb55', 'bit 2,l', {af: 0xf900, bc: 0x1f79, de: 0x19cd, hl: 0xfb4b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x55]], [0xfb4b, [0x0b]]], 0xff, {registers: {af: 0xf95c, bc: 0x1f79, de: 0x19cd, hl: 0xfb4b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb56', 'bit 2,(hl)', {af: 0x1500, bc: 0x2bfe, de: 0xe3b5, hl: 0xbbf9, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x56]], [0xbbf9, [0x10]]], 0xd7, {registers: {af: 0x1554, bc: 0x2bfe, de: 0xe3b5, hl: 0xbbf9, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0c}],
+  ['cb57_1', 'bit 2,a', {af: 0xff00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x57]]], 0xff, {registers: {af: 0xff38, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb57', 'bit 2,a', {af: 0x6600, bc: 0xaf32, de: 0x532a, hl: 0xda50, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x57]], [0xda50, [0x30]]], 0xff, {registers: {af: 0x6630, bc: 0xaf32, de: 0x532a, hl: 0xda50, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb58', 'bit 3,b', {af: 0x5000, bc: 0x1aee, de: 0x2e47, hl: 0x1479, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x58]], [0x1479, [0xa0]]], 0xff, {registers: {af: 0x5018, bc: 0x1aee, de: 0x2e47, hl: 0x1479, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb59', 'bit 3,c', {af: 0x7200, bc: 0x5e68, de: 0xff28, hl: 0x2075, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x59]], [0x2075, [0xc1]]], 0xff, {registers: {af: 0x7238, bc: 0x5e68, de: 0xff28, hl: 0x2075, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb5a', 'bit 3,d', {af: 0xeb00, bc: 0xfea7, de: 0x17d1, hl: 0xd99b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x5a]], [0xd99b, [0xe8]]], 0xff, {registers: {af: 0xeb54, bc: 0xfea7, de: 0x17d1, hl: 0xd99b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb5b', 'bit 3,e', {af: 0x6b00, bc: 0x6f2c, de: 0x3fe3, hl: 0x1691, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x5b]], [0x1691, [0xc7]]], 0xff, {registers: {af: 0x6b74, bc: 0x6f2c, de: 0x3fe3, hl: 0x1691, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb5c', 'bit 3,h', {af: 0x3300, bc: 0xa7e7, de: 0x2077, hl: 0x13e9, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x5c]], [0x13e9, [0xae]]], 0xff, {registers: {af: 0x3354, bc: 0xa7e7, de: 0x2077, hl: 0x13e9, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb5d', 'bit 3,l', {af: 0xc100, bc: 0xafcc, de: 0xc8b1, hl: 0xee49, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x5d]], [0xee49, [0xa6]]], 0xff, {registers: {af: 0xc118, bc: 0xafcc, de: 0xc8b1, hl: 0xee49, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb5e', 'bit 3,(hl)', {af: 0x3000, bc: 0xad43, de: 0x16c1, hl: 0x349a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x5e]], [0x349a, [0x3c]]], 0xd7, {registers: {af: 0x3010, bc: 0xad43, de: 0x16c1, hl: 0x349a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0c}],
+  ['cb5f_1', 'bit 3,a', {af: 0xff00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x5f]]], 0xff, {registers: {af: 0xff38, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb5f', 'bit 3,a', {af: 0x8c00, bc: 0x1b67, de: 0x2314, hl: 0x6133, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x5f]], [0x6133, [0x90]]], 0xff, {registers: {af: 0x8c18, bc: 0x1b67, de: 0x2314, hl: 0x6133, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb60', 'bit 4,b', {af: 0x9900, bc: 0x34b5, de: 0x0fd8, hl: 0x5273, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x60]], [0x5273, [0x0a]]], 0xff, {registers: {af: 0x9930, bc: 0x34b5, de: 0x0fd8, hl: 0x5273, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb61', 'bit 4,c', {af: 0xd100, bc: 0x219f, de: 0x3bb4, hl: 0x7c44, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x61]], [0x7c44, [0x77]]], 0xff, {registers: {af: 0xd118, bc: 0x219f, de: 0x3bb4, hl: 0x7c44, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb62', 'bit 4,d', {af: 0xaf00, bc: 0xbdf8, de: 0xc536, hl: 0x8cc5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x62]], [0x8cc5, [0xaf]]], 0xff, {registers: {af: 0xaf54, bc: 0xbdf8, de: 0xc536, hl: 0x8cc5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb63', 'bit 4,e', {af: 0x2a00, bc: 0x5e16, de: 0xf627, hl: 0x84ca, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x63]], [0x84ca, [0xe6]]], 0xff, {registers: {af: 0x2a74, bc: 0x5e16, de: 0xf627, hl: 0x84ca, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb64', 'bit 4,h', {af: 0xa900, bc: 0xa365, de: 0xc00b, hl: 0xea94, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x64]], [0xea94, [0x0c]]], 0xff, {registers: {af: 0xa97c, bc: 0xa365, de: 0xc00b, hl: 0xea94, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb65', 'bit 4,l', {af: 0x1800, bc: 0x8d58, de: 0x4256, hl: 0x427a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x65]], [0x427a, [0xee]]], 0xff, {registers: {af: 0x1838, bc: 0x8d58, de: 0x4256, hl: 0x427a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb66', 'bit 4,(hl)', {af: 0x4c00, bc: 0x3ef7, de: 0xe544, hl: 0xa44f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x66]], [0xa44f, [0xd2]]], 0xd7, {registers: {af: 0x4c10, bc: 0x3ef7, de: 0xe544, hl: 0xa44f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0c}],
+  ['cb67_1', 'bit 4,a', {af: 0xff00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x67]]], 0xff, {registers: {af: 0xff38, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb67', 'bit 4,a', {af: 0x8600, bc: 0x5e92, de: 0x2986, hl: 0x394d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x67]], [0x394d, [0x10]]], 0xff, {registers: {af: 0x8654, bc: 0x5e92, de: 0x2986, hl: 0x394d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb68', 'bit 5,b', {af: 0xd700, bc: 0x0f6a, de: 0x18a6, hl: 0xddd2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x68]], [0xddd2, [0x16]]], 0xff, {registers: {af: 0xd75c, bc: 0x0f6a, de: 0x18a6, hl: 0xddd2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb69', 'bit 5,c', {af: 0xda00, bc: 0x691b, de: 0x7c79, hl: 0x1dba, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x69]], [0x1dba, [0x8a]]], 0xff, {registers: {af: 0xda5c, bc: 0x691b, de: 0x7c79, hl: 0x1dba, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb6a', 'bit 5,d', {af: 0x2200, bc: 0x13e8, de: 0x86d4, hl: 0x4e09, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x6a]], [0x4e09, [0xd5]]], 0xff, {registers: {af: 0x2254, bc: 0x13e8, de: 0x86d4, hl: 0x4e09, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb6b', 'bit 5,e', {af: 0xaf00, bc: 0x5123, de: 0x7635, hl: 0x1ca9, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x6b]], [0x1ca9, [0x86]]], 0xff, {registers: {af: 0xaf30, bc: 0x5123, de: 0x7635, hl: 0x1ca9, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb6c', 'bit 5,h', {af: 0x4300, bc: 0xfaa6, de: 0xabc2, hl: 0x5605, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x6c]], [0x5605, [0x2b]]], 0xff, {registers: {af: 0x4354, bc: 0xfaa6, de: 0xabc2, hl: 0x5605, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb6d', 'bit 5,l', {af: 0x7f00, bc: 0xf099, de: 0xd435, hl: 0xd9ad, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x6d]], [0xd9ad, [0x4e]]], 0xff, {registers: {af: 0x7f38, bc: 0xf099, de: 0xd435, hl: 0xd9ad, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb6e', 'bit 5,(hl)', {af: 0x4a00, bc: 0x08c9, de: 0x8177, hl: 0xd8ba, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x6e]], [0xd8ba, [0x31]]], 0xd7, {registers: {af: 0x4a10, bc: 0x08c9, de: 0x8177, hl: 0xd8ba, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0c}],
+  ['cb6f_1', 'bit 5,a', {af: 0xff00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x6f]]], 0xff, {registers: {af: 0xff38, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb6f', 'bit 5,a', {af: 0xa100, bc: 0x8c80, de: 0x4678, hl: 0x4d34, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x6f]], [0x4d34, [0x78]]], 0xff, {registers: {af: 0xa130, bc: 0x8c80, de: 0x4678, hl: 0x4d34, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb70', 'bit 6,b', {af: 0x1900, bc: 0x958a, de: 0x5dab, hl: 0xf913, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x70]], [0xf913, [0xcf]]], 0xff, {registers: {af: 0x1954, bc: 0x958a, de: 0x5dab, hl: 0xf913, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb71', 'bit 6,c', {af: 0x3d00, bc: 0x095e, de: 0xd6df, hl: 0x42fe, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x71]], [0x42fe, [0x24]]], 0xff, {registers: {af: 0x3d18, bc: 0x095e, de: 0xd6df, hl: 0x42fe, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb72', 'bit 6,d', {af: 0xa500, bc: 0xc0bf, de: 0x4c8d, hl: 0xad11, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x72]], [0xad11, [0x3b]]], 0xff, {registers: {af: 0xa518, bc: 0xc0bf, de: 0x4c8d, hl: 0xad11, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb73', 'bit 6,e', {af: 0xf200, bc: 0x49a6, de: 0xb279, hl: 0x2ecc, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x73]], [0x2ecc, [0xe0]]], 0xff, {registers: {af: 0xf238, bc: 0x49a6, de: 0xb279, hl: 0x2ecc, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb74', 'bit 6,h', {af: 0x0500, bc: 0x445e, de: 0x05e9, hl: 0x983d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x74]], [0x983d, [0xfa]]], 0xff, {registers: {af: 0x055c, bc: 0x445e, de: 0x05e9, hl: 0x983d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb75', 'bit 6,l', {af: 0x6b00, bc: 0x83c6, de: 0x635a, hl: 0xd18d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x75]], [0xd18d, [0x11]]], 0xff, {registers: {af: 0x6b5c, bc: 0x83c6, de: 0x635a, hl: 0xd18d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb76', 'bit 6,(hl)', {af: 0xf800, bc: 0x3057, de: 0x3629, hl: 0xbc71, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x76]], [0xbc71, [0x18]]], 0xd7, {registers: {af: 0xf854, bc: 0x3057, de: 0x3629, hl: 0xbc71, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0c}],
+  ['cb77_1', 'bit 6,a', {af: 0xff00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x77]]], 0xff, {registers: {af: 0xff38, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb77', 'bit 6,a', {af: 0x9200, bc: 0xd6f8, de: 0x5100, hl: 0x736d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x77]], [0x736d, [0x36]]], 0xff, {registers: {af: 0x9254, bc: 0xd6f8, de: 0x5100, hl: 0x736d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb78', 'bit 7,b', {af: 0x7200, bc: 0x1cf8, de: 0x8d2b, hl: 0xc76a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x78]], [0xc76a, [0x1f]]], 0xff, {registers: {af: 0x725c, bc: 0x1cf8, de: 0x8d2b, hl: 0xc76a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb79', 'bit 7,c', {af: 0xa800, bc: 0x809e, de: 0x1124, hl: 0x39e8, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x79]], [0x39e8, [0x98]]], 0xff, {registers: {af: 0xa898, bc: 0x809e, de: 0x1124, hl: 0x39e8, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb7a', 'bit 7,d', {af: 0x5800, bc: 0x7d24, de: 0x63e1, hl: 0xd9af, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x7a]], [0xd9af, [0xed]]], 0xff, {registers: {af: 0x5874, bc: 0x7d24, de: 0x63e1, hl: 0xd9af, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb7b', 'bit 7,e', {af: 0x0300, bc: 0x50ab, de: 0x05bd, hl: 0x6bd0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x7b]], [0x6bd0, [0xa5]]], 0xff, {registers: {af: 0x03b8, bc: 0x50ab, de: 0x05bd, hl: 0x6bd0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb7c', 'bit 7,h', {af: 0xad00, bc: 0xf77b, de: 0x55ae, hl: 0x063b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x7c]], [0x063b, [0x34]]], 0xff, {registers: {af: 0xad54, bc: 0xf77b, de: 0x55ae, hl: 0x063b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb7d', 'bit 7,l', {af: 0x8200, bc: 0xb792, de: 0x38cb, hl: 0x5f9b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x7d]], [0x5f9b, [0x97]]], 0xff, {registers: {af: 0x8298, bc: 0xb792, de: 0x38cb, hl: 0x5f9b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb7e', 'bit 7,(hl)', {af: 0x4200, bc: 0x3b91, de: 0xf59c, hl: 0xa25e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x7e]], [0xa25e, [0xd7]]], 0xd7, {registers: {af: 0x4290, bc: 0x3b91, de: 0xf59c, hl: 0xa25e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0c}],
+  ['cb7f_1', 'bit 7,a', {af: 0xff00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x7f]]], 0xff, {registers: {af: 0xffb8, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb7f', 'bit 7,a', {af: 0x6a00, bc: 0x84ec, de: 0xcf4e, hl: 0x185b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x7f]], [0x185b, [0xf1]]], 0xff, {registers: {af: 0x6a7c, bc: 0x84ec, de: 0xcf4e, hl: 0x185b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb80', 'res 0,b', {af: 0x8f00, bc: 0x702f, de: 0x17bd, hl: 0xa706, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x80]], [0xa706, [0x0a]]], 0xff, {registers: {af: 0x8f00, bc: 0x702f, de: 0x17bd, hl: 0xa706, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb81', 'res 0,c', {af: 0xae00, bc: 0x947f, de: 0x7153, hl: 0x6616, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x81]], [0x6616, [0x74]]], 0xff, {registers: {af: 0xae00, bc: 0x947e, de: 0x7153, hl: 0x6616, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb82', 'res 0,d', {af: 0x8100, bc: 0xbed2, de: 0xc719, hl: 0x4572, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x82]], [0x4572, [0x2f]]], 0xff, {registers: {af: 0x8100, bc: 0xbed2, de: 0xc619, hl: 0x4572, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb83', 'res 0,e', {af: 0xe600, bc: 0x63a2, de: 0xccf7, hl: 0xae9a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x83]], [0xae9a, [0x16]]], 0xff, {registers: {af: 0xe600, bc: 0x63a2, de: 0xccf6, hl: 0xae9a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb84', 'res 0,h', {af: 0xce00, bc: 0xe0cc, de: 0xd305, hl: 0xd6c0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x84]], [0xd6c0, [0x72]]], 0xff, {registers: {af: 0xce00, bc: 0xe0cc, de: 0xd305, hl: 0xd6c0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb85', 'res 0,l', {af: 0xf300, bc: 0xed79, de: 0x9db7, hl: 0xdda0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x85]], [0xdda0, [0x8a]]], 0xff, {registers: {af: 0xf300, bc: 0xed79, de: 0x9db7, hl: 0xdda0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb86', 'res 0,(hl)', {af: 0x2a00, bc: 0xb0b9, de: 0x9426, hl: 0x1b48, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x86]], [0x1b48, [0x62]]], 0xff, {registers: {af: 0x2a00, bc: 0xb0b9, de: 0x9426, hl: 0x1b48, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0f}],
+  ['cb87', 'res 0,a', {af: 0x1100, bc: 0x86dc, de: 0x1798, hl: 0xdfc5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x87]], [0xdfc5, [0xde]]], 0xff, {registers: {af: 0x1000, bc: 0x86dc, de: 0x1798, hl: 0xdfc5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb88', 'res 1,b', {af: 0xe300, bc: 0x8a21, de: 0xe33e, hl: 0x674d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x88]], [0x674d, [0x5f]]], 0xff, {registers: {af: 0xe300, bc: 0x8821, de: 0xe33e, hl: 0x674d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb89', 'res 1,c', {af: 0x6000, bc: 0xd186, de: 0xc5b6, hl: 0x1bd7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x89]], [0x1bd7, [0xf2]]], 0xff, {registers: {af: 0x6000, bc: 0xd184, de: 0xc5b6, hl: 0x1bd7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb8a', 'res 1,d', {af: 0x3e00, bc: 0x5fcd, de: 0x0b38, hl: 0xb98e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x8a]], [0xb98e, [0x2f]]], 0xff, {registers: {af: 0x3e00, bc: 0x5fcd, de: 0x0938, hl: 0xb98e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb8b', 'res 1,e', {af: 0x6500, bc: 0x040e, de: 0x103f, hl: 0x4a07, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x8b]], [0x4a07, [0x3f]]], 0xff, {registers: {af: 0x6500, bc: 0x040e, de: 0x103d, hl: 0x4a07, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb8c', 'res 1,h', {af: 0xf800, bc: 0x6d27, de: 0x9bdf, hl: 0xdaef, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x8c]], [0xdaef, [0x0c]]], 0xff, {registers: {af: 0xf800, bc: 0x6d27, de: 0x9bdf, hl: 0xd8ef, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb8d', 'res 1,l', {af: 0x3e00, bc: 0x5469, de: 0x2c28, hl: 0xbd72, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x8d]], [0xbd72, [0x13]]], 0xff, {registers: {af: 0x3e00, bc: 0x5469, de: 0x2c28, hl: 0xbd70, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb8e', 'res 1,(hl)', {af: 0x1f00, bc: 0x140b, de: 0xb492, hl: 0x63a7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x8e]], [0x63a7, [0xd4]]], 0xff, {registers: {af: 0x1f00, bc: 0x140b, de: 0xb492, hl: 0x63a7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0f}],
+  ['cb8f', 'res 1,a', {af: 0x2500, bc: 0xc522, de: 0xca46, hl: 0x1c1a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x8f]], [0x1c1a, [0x37]]], 0xff, {registers: {af: 0x2500, bc: 0xc522, de: 0xca46, hl: 0x1c1a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb90', 'res 2,b', {af: 0x5700, bc: 0x595c, de: 0x4f0a, hl: 0xc73c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x90]], [0xc73c, [0xa2]]], 0xff, {registers: {af: 0x5700, bc: 0x595c, de: 0x4f0a, hl: 0xc73c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb91', 'res 2,c', {af: 0x5e00, bc: 0x8f26, de: 0xa735, hl: 0x97e0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x91]], [0x97e0, [0x5e]]], 0xff, {registers: {af: 0x5e00, bc: 0x8f22, de: 0xa735, hl: 0x97e0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb92', 'res 2,d', {af: 0x3300, bc: 0x7d9f, de: 0x87d0, hl: 0x83d0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x92]], [0x83d0, [0x2b]]], 0xff, {registers: {af: 0x3300, bc: 0x7d9f, de: 0x83d0, hl: 0x83d0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb93', 'res 2,e', {af: 0xc200, bc: 0x4e05, de: 0xb3f8, hl: 0x2234, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x93]], [0x2234, [0xa0]]], 0xff, {registers: {af: 0xc200, bc: 0x4e05, de: 0xb3f8, hl: 0x2234, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb94', 'res 2,h', {af: 0xee00, bc: 0x8f4b, de: 0x2831, hl: 0xd6a6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x94]], [0xd6a6, [0xd0]]], 0xff, {registers: {af: 0xee00, bc: 0x8f4b, de: 0x2831, hl: 0xd2a6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb95', 'res 2,l', {af: 0x3c00, bc: 0x6af2, de: 0xb25d, hl: 0x36ff, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x95]], [0x36ff, [0xcd]]], 0xff, {registers: {af: 0x3c00, bc: 0x6af2, de: 0xb25d, hl: 0x36fb, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb96', 'res 2,(hl)', {af: 0x7600, bc: 0xb027, de: 0xd0a5, hl: 0x3324, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x96]], [0x3324, [0x21]]], 0xff, {registers: {af: 0x7600, bc: 0xb027, de: 0xd0a5, hl: 0x3324, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0f}],
+  ['cb97', 'res 2,a', {af: 0x1600, bc: 0xad09, de: 0x7902, hl: 0x97bc, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x97]], [0x97bc, [0x75]]], 0xff, {registers: {af: 0x1200, bc: 0xad09, de: 0x7902, hl: 0x97bc, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb98', 'res 3,b', {af: 0x3400, bc: 0xb61c, de: 0x771d, hl: 0x5d5e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x98]], [0x5d5e, [0xa4]]], 0xff, {registers: {af: 0x3400, bc: 0xb61c, de: 0x771d, hl: 0x5d5e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb99', 'res 3,c', {af: 0x5100, bc: 0x65be, de: 0x1359, hl: 0x8bec, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x99]], [0x8bec, [0x0b]]], 0xff, {registers: {af: 0x5100, bc: 0x65b6, de: 0x1359, hl: 0x8bec, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb9a', 'res 3,d', {af: 0x6400, bc: 0x976d, de: 0x4c25, hl: 0xdcb2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x9a]], [0xdcb2, [0x09]]], 0xff, {registers: {af: 0x6400, bc: 0x976d, de: 0x4425, hl: 0xdcb2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb9b', 'res 3,e', {af: 0xa100, bc: 0xb58a, de: 0xd264, hl: 0x2bd6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x9b]], [0x2bd6, [0xd3]]], 0xff, {registers: {af: 0xa100, bc: 0xb58a, de: 0xd264, hl: 0x2bd6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb9c', 'res 3,h', {af: 0xd800, bc: 0x63d6, de: 0xac7b, hl: 0xc7a0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x9c]], [0xc7a0, [0x75]]], 0xff, {registers: {af: 0xd800, bc: 0x63d6, de: 0xac7b, hl: 0xc7a0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb9d', 'res 3,l', {af: 0x0d00, bc: 0xd840, de: 0x0810, hl: 0x0800, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x9d]], [0x0800, [0xcd]]], 0xff, {registers: {af: 0x0d00, bc: 0xd840, de: 0x0810, hl: 0x0800, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cb9e', 'res 3,(hl)', {af: 0x3b00, bc: 0xebbf, de: 0x9434, hl: 0x3a65, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x9e]], [0x3a65, [0x2a]]], 0xff, {registers: {af: 0x3b00, bc: 0xebbf, de: 0x9434, hl: 0x3a65, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x3a65: 0x22}, io: [], cycles: 0x0f}],
+  ['cb9f', 'res 3,a', {af: 0xb200, bc: 0xd1de, de: 0xf991, hl: 0x72f6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0x9f]], [0x72f6, [0x72]]], 0xff, {registers: {af: 0xb200, bc: 0xd1de, de: 0xf991, hl: 0x72f6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cba0', 'res 4,b', {af: 0xfa00, bc: 0xd669, de: 0x71e1, hl: 0xc80d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xa0]], [0xc80d, [0xc0]]], 0xff, {registers: {af: 0xfa00, bc: 0xc669, de: 0x71e1, hl: 0xc80d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cba1', 'res 4,c', {af: 0x8200, bc: 0x75e4, de: 0xa0de, hl: 0xd0ba, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xa1]], [0xd0ba, [0xbd]]], 0xff, {registers: {af: 0x8200, bc: 0x75e4, de: 0xa0de, hl: 0xd0ba, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cba2', 'res 4,d', {af: 0xdd00, bc: 0x2b0d, de: 0x5554, hl: 0x6fc0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xa2]], [0x6fc0, [0x61]]], 0xff, {registers: {af: 0xdd00, bc: 0x2b0d, de: 0x4554, hl: 0x6fc0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cba3', 'res 4,e', {af: 0x2200, bc: 0x2f0d, de: 0x4d2c, hl: 0x6666, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xa3]], [0x6666, [0x8e]]], 0xff, {registers: {af: 0x2200, bc: 0x2f0d, de: 0x4d2c, hl: 0x6666, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cba4', 'res 4,h', {af: 0xd600, bc: 0xd8ed, de: 0x9cd4, hl: 0x8bb1, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xa4]], [0x8bb1, [0xbb]]], 0xff, {registers: {af: 0xd600, bc: 0xd8ed, de: 0x9cd4, hl: 0x8bb1, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cba5', 'res 4,l', {af: 0xb400, bc: 0xb393, de: 0x3e42, hl: 0x88ca, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xa5]], [0x88ca, [0x4f]]], 0xff, {registers: {af: 0xb400, bc: 0xb393, de: 0x3e42, hl: 0x88ca, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cba6', 'res 4,(hl)', {af: 0x0a00, bc: 0x4c34, de: 0xf5a7, hl: 0xe70d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xa6]], [0xe70d, [0x27]]], 0xff, {registers: {af: 0x0a00, bc: 0x4c34, de: 0xf5a7, hl: 0xe70d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0f}],
+  ['cba7', 'res 4,a', {af: 0x4500, bc: 0xaf61, de: 0x569a, hl: 0xc77b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xa7]], [0xc77b, [0xff]]], 0xff, {registers: {af: 0x4500, bc: 0xaf61, de: 0x569a, hl: 0xc77b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cba8', 'res 5,b', {af: 0x6400, bc: 0xf269, de: 0xbae4, hl: 0xc9e7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xa8]], [0xc9e7, [0x46]]], 0xff, {registers: {af: 0x6400, bc: 0xd269, de: 0xbae4, hl: 0xc9e7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cba9', 'res 5,c', {af: 0xe400, bc: 0x7ad4, de: 0xbf0a, hl: 0xce0b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xa9]], [0xce0b, [0x39]]], 0xff, {registers: {af: 0xe400, bc: 0x7ad4, de: 0xbf0a, hl: 0xce0b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbaa', 'res 5,d', {af: 0xcd00, bc: 0xd249, de: 0x4159, hl: 0xfed5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xaa]], [0xfed5, [0xb0]]], 0xff, {registers: {af: 0xcd00, bc: 0xd249, de: 0x4159, hl: 0xfed5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbab', 'res 5,e', {af: 0xac00, bc: 0x939a, de: 0x5d9b, hl: 0x0812, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xab]], [0x0812, [0xf2]]], 0xff, {registers: {af: 0xac00, bc: 0x939a, de: 0x5d9b, hl: 0x0812, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbac', 'res 5,h', {af: 0x2400, bc: 0x8a7d, de: 0x2cac, hl: 0xffaa, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xac]], [0xffaa, [0x09]]], 0xff, {registers: {af: 0x2400, bc: 0x8a7d, de: 0x2cac, hl: 0xdfaa, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbad', 'res 5,l', {af: 0x6f00, bc: 0x5ffb, de: 0x2360, hl: 0xae15, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xad]], [0xae15, [0x30]]], 0xff, {registers: {af: 0x6f00, bc: 0x5ffb, de: 0x2360, hl: 0xae15, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbae', 'res 5,(hl)', {af: 0x5a00, bc: 0xaa17, de: 0x12f3, hl: 0x190e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xae]], [0x190e, [0x66]]], 0xff, {registers: {af: 0x5a00, bc: 0xaa17, de: 0x12f3, hl: 0x190e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x190e: 0x46}, io: [], cycles: 0x0f}],
+  ['cbaf', 'res 5,a', {af: 0xfc00, bc: 0xbb3f, de: 0x8bb6, hl: 0x5877, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xaf]], [0x5877, [0x62]]], 0xff, {registers: {af: 0xdc00, bc: 0xbb3f, de: 0x8bb6, hl: 0x5877, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbb0', 'res 6,b', {af: 0xb900, bc: 0x7a79, de: 0x1aaa, hl: 0xc3ba, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xb0]], [0xc3ba, [0x4c]]], 0xff, {registers: {af: 0xb900, bc: 0x3a79, de: 0x1aaa, hl: 0xc3ba, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbb1', 'res 6,c', {af: 0x4900, bc: 0x63e4, de: 0xa544, hl: 0x1190, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xb1]], [0x1190, [0xe3]]], 0xff, {registers: {af: 0x4900, bc: 0x63a4, de: 0xa544, hl: 0x1190, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbb2', 'res 6,d', {af: 0x4d00, bc: 0x2b03, de: 0x6b23, hl: 0x6ff5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xb2]], [0x6ff5, [0x04]]], 0xff, {registers: {af: 0x4d00, bc: 0x2b03, de: 0x2b23, hl: 0x6ff5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbb3', 'res 6,e', {af: 0x8700, bc: 0x857a, de: 0xe98b, hl: 0x5cb1, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xb3]], [0x5cb1, [0x43]]], 0xff, {registers: {af: 0x8700, bc: 0x857a, de: 0xe98b, hl: 0x5cb1, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbb4', 'res 6,h', {af: 0x2b00, bc: 0xb73e, de: 0x79c9, hl: 0xe1bb, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xb4]], [0xe1bb, [0x78]]], 0xff, {registers: {af: 0x2b00, bc: 0xb73e, de: 0x79c9, hl: 0xa1bb, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbb5', 'res 6,l', {af: 0x9b00, bc: 0xd879, de: 0x2ec9, hl: 0x4bba, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xb5]], [0x4bba, [0x70]]], 0xff, {registers: {af: 0x9b00, bc: 0xd879, de: 0x2ec9, hl: 0x4bba, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbb6', 'res 6,(hl)', {af: 0x8600, bc: 0x89bf, de: 0xde4a, hl: 0x4fab, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xb6]], [0x4fab, [0xa5]]], 0xff, {registers: {af: 0x8600, bc: 0x89bf, de: 0xde4a, hl: 0x4fab, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0f}],
+  ['cbb7', 'res 6,a', {af: 0x2200, bc: 0xfb8a, de: 0x3d6e, hl: 0xd4a2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xb7]], [0xd4a2, [0xf2]]], 0xff, {registers: {af: 0x2200, bc: 0xfb8a, de: 0x3d6e, hl: 0xd4a2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbb8', 'res 7,b', {af: 0xd000, bc: 0x37c6, de: 0x225a, hl: 0xd249, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xb8]], [0xd249, [0xc4]]], 0xff, {registers: {af: 0xd000, bc: 0x37c6, de: 0x225a, hl: 0xd249, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbb9', 'res 7,c', {af: 0xa500, bc: 0x1b4a, de: 0xd584, hl: 0x5dee, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xb9]], [0x5dee, [0xcc]]], 0xff, {registers: {af: 0xa500, bc: 0x1b4a, de: 0xd584, hl: 0x5dee, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbba', 'res 7,d', {af: 0x6300, bc: 0xa5fe, de: 0xf42b, hl: 0x34c9, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xba]], [0x34c9, [0xbc]]], 0xff, {registers: {af: 0x6300, bc: 0xa5fe, de: 0x742b, hl: 0x34c9, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbbb', 'res 7,e', {af: 0x1200, bc: 0xf661, de: 0xaa4f, hl: 0xcb30, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xbb]], [0xcb30, [0xf4]]], 0xff, {registers: {af: 0x1200, bc: 0xf661, de: 0xaa4f, hl: 0xcb30, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbbc', 'res 7,h', {af: 0x9800, bc: 0xadc3, de: 0x0b29, hl: 0x7b6e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xbc]], [0x7b6e, [0x45]]], 0xff, {registers: {af: 0x9800, bc: 0xadc3, de: 0x0b29, hl: 0x7b6e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbbd', 'res 7,l', {af: 0xd600, bc: 0xa6e1, de: 0x8813, hl: 0x10b8, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xbd]], [0x10b8, [0x35]]], 0xff, {registers: {af: 0xd600, bc: 0xa6e1, de: 0x8813, hl: 0x1038, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbbe', 'res 7,(hl)', {af: 0xca00, bc: 0xff64, de: 0x1218, hl: 0x77d5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xbe]], [0x77d5, [0xea]]], 0xff, {registers: {af: 0xca00, bc: 0xff64, de: 0x1218, hl: 0x77d5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x77d5: 0x6a}, io: [], cycles: 0x0f}],
+  ['cbbf', 'res 7,a', {af: 0x6800, bc: 0x4845, de: 0x690a, hl: 0x15de, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xbf]], [0x15de, [0x1d]]], 0xff, {registers: {af: 0x6800, bc: 0x4845, de: 0x690a, hl: 0x15de, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbc0', 'set 0,b', {af: 0xe300, bc: 0xef71, de: 0xbffb, hl: 0xb3a1, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xc0]], [0xb3a1, [0x5c]]], 0xff, {registers: {af: 0xe300, bc: 0xef71, de: 0xbffb, hl: 0xb3a1, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbc1', 'set 0,c', {af: 0x3200, bc: 0x32a1, de: 0x59ab, hl: 0x3343, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xc1]], [0x3343, [0xaa]]], 0xff, {registers: {af: 0x3200, bc: 0x32a1, de: 0x59ab, hl: 0x3343, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbc2', 'set 0,d', {af: 0xc700, bc: 0xb159, de: 0xc023, hl: 0xe1f3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xc2]], [0xe1f3, [0x14]]], 0xff, {registers: {af: 0xc700, bc: 0xb159, de: 0xc123, hl: 0xe1f3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbc3', 'set 0,e', {af: 0x0400, bc: 0xb463, de: 0xc211, hl: 0x8f3a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xc3]], [0x8f3a, [0x81]]], 0xff, {registers: {af: 0x0400, bc: 0xb463, de: 0xc211, hl: 0x8f3a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbc4', 'set 0,h', {af: 0x7e00, bc: 0x545a, de: 0x6ecf, hl: 0x5876, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xc4]], [0x5876, [0x9d]]], 0xff, {registers: {af: 0x7e00, bc: 0x545a, de: 0x6ecf, hl: 0x5976, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbc5', 'set 0,l', {af: 0x4000, bc: 0xc617, de: 0x079c, hl: 0x4107, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xc5]], [0x4107, [0xcc]]], 0xff, {registers: {af: 0x4000, bc: 0xc617, de: 0x079c, hl: 0x4107, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbc6', 'set 0,(hl)', {af: 0xb800, bc: 0x0373, de: 0xb807, hl: 0xf0be, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xc6]], [0xf0be, [0x9c]]], 0xff, {registers: {af: 0xb800, bc: 0x0373, de: 0xb807, hl: 0xf0be, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xf0be: 0x9d}, io: [], cycles: 0x0f}],
+  ['cbc7', 'set 0,a', {af: 0x7700, bc: 0x3681, de: 0x9b55, hl: 0x583f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xc7]], [0x583f, [0x58]]], 0xff, {registers: {af: 0x7700, bc: 0x3681, de: 0x9b55, hl: 0x583f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbc8', 'set 1,b', {af: 0x7d00, bc: 0xa772, de: 0x8682, hl: 0x7cf3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xc8]], [0x7cf3, [0x75]]], 0xff, {registers: {af: 0x7d00, bc: 0xa772, de: 0x8682, hl: 0x7cf3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbc9', 'set 1,c', {af: 0x0b00, bc: 0x67ee, de: 0x30e0, hl: 0x72db, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xc9]], [0x72db, [0x87]]], 0xff, {registers: {af: 0x0b00, bc: 0x67ee, de: 0x30e0, hl: 0x72db, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbca', 'set 1,d', {af: 0x9c00, bc: 0x9517, de: 0xcfbb, hl: 0xfbc7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xca]], [0xfbc7, [0x1a]]], 0xff, {registers: {af: 0x9c00, bc: 0x9517, de: 0xcfbb, hl: 0xfbc7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbcb', 'set 1,e', {af: 0xe800, bc: 0x0f3d, de: 0x336f, hl: 0xf70d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xcb]], [0xf70d, [0xa1]]], 0xff, {registers: {af: 0xe800, bc: 0x0f3d, de: 0x336f, hl: 0xf70d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbcc', 'set 1,h', {af: 0xfb00, bc: 0x7981, de: 0x0bbb, hl: 0x18fd, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xcc]], [0x18fd, [0xfe]]], 0xff, {registers: {af: 0xfb00, bc: 0x7981, de: 0x0bbb, hl: 0x1afd, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbcd', 'set 1,l', {af: 0x5500, bc: 0x5e78, de: 0xbf34, hl: 0x2602, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xcd]], [0x2602, [0x2d]]], 0xff, {registers: {af: 0x5500, bc: 0x5e78, de: 0xbf34, hl: 0x2602, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbce', 'set 1,(hl)', {af: 0xd500, bc: 0xa111, de: 0xcb2a, hl: 0x8ec6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xce]], [0x8ec6, [0xbf]]], 0xff, {registers: {af: 0xd500, bc: 0xa111, de: 0xcb2a, hl: 0x8ec6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0f}],
+  ['cbcf', 'set 1,a', {af: 0xa200, bc: 0x6baf, de: 0x98b2, hl: 0x98a0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xcf]], [0x98a0, [0xd4]]], 0xff, {registers: {af: 0xa200, bc: 0x6baf, de: 0x98b2, hl: 0x98a0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbd0', 'set 2,b', {af: 0x2300, bc: 0x7bcb, de: 0x02e7, hl: 0x1724, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xd0]], [0x1724, [0x30]]], 0xff, {registers: {af: 0x2300, bc: 0x7fcb, de: 0x02e7, hl: 0x1724, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbd1', 'set 2,c', {af: 0x5300, bc: 0x581f, de: 0xb775, hl: 0x47f4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xd1]], [0x47f4, [0xc7]]], 0xff, {registers: {af: 0x5300, bc: 0x581f, de: 0xb775, hl: 0x47f4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbd2', 'set 2,d', {af: 0x6900, bc: 0xc147, de: 0xb79c, hl: 0x7528, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xd2]], [0x7528, [0x4f]]], 0xff, {registers: {af: 0x6900, bc: 0xc147, de: 0xb79c, hl: 0x7528, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbd3', 'set 2,e', {af: 0xae00, bc: 0xbbc4, de: 0xce52, hl: 0x5fba, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xd3]], [0x5fba, [0x3a]]], 0xff, {registers: {af: 0xae00, bc: 0xbbc4, de: 0xce56, hl: 0x5fba, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbd4', 'set 2,h', {af: 0xd800, bc: 0x6e1e, de: 0xaf6f, hl: 0xbf2e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xd4]], [0xbf2e, [0x71]]], 0xff, {registers: {af: 0xd800, bc: 0x6e1e, de: 0xaf6f, hl: 0xbf2e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbd5', 'set 2,l', {af: 0x8400, bc: 0xa19a, de: 0xd2fd, hl: 0x8a77, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xd5]], [0x8a77, [0x52]]], 0xff, {registers: {af: 0x8400, bc: 0xa19a, de: 0xd2fd, hl: 0x8a77, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbd6', 'set 2,(hl)', {af: 0xa900, bc: 0xf5f3, de: 0x2180, hl: 0x6029, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xd6]], [0x6029, [0xb7]]], 0xff, {registers: {af: 0xa900, bc: 0xf5f3, de: 0x2180, hl: 0x6029, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0f}],
+  ['cbd7', 'set 2,a', {af: 0xb100, bc: 0xc008, de: 0x8425, hl: 0x290a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xd7]], [0x290a, [0x42]]], 0xff, {registers: {af: 0xb500, bc: 0xc008, de: 0x8425, hl: 0x290a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbd8', 'set 3,b', {af: 0x8b00, bc: 0x09c4, de: 0xddf3, hl: 0x6d7e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xd8]], [0x6d7e, [0x6e]]], 0xff, {registers: {af: 0x8b00, bc: 0x09c4, de: 0xddf3, hl: 0x6d7e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbd9', 'set 3,c', {af: 0x3e00, bc: 0x3e36, de: 0x30ec, hl: 0xefc6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xd9]], [0xefc6, [0x5b]]], 0xff, {registers: {af: 0x3e00, bc: 0x3e3e, de: 0x30ec, hl: 0xefc6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbda', 'set 3,d', {af: 0xd000, bc: 0x3e8f, de: 0x28fe, hl: 0x1c87, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xda]], [0x1c87, [0xb9]]], 0xff, {registers: {af: 0xd000, bc: 0x3e8f, de: 0x28fe, hl: 0x1c87, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbdb', 'set 3,e', {af: 0x1200, bc: 0x977a, de: 0x8c49, hl: 0xbc48, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xdb]], [0xbc48, [0xef]]], 0xff, {registers: {af: 0x1200, bc: 0x977a, de: 0x8c49, hl: 0xbc48, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbdc', 'set 3,h', {af: 0x8d00, bc: 0x05de, de: 0xf8d3, hl: 0xb125, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xdc]], [0xb125, [0x0e]]], 0xff, {registers: {af: 0x8d00, bc: 0x05de, de: 0xf8d3, hl: 0xb925, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbdd', 'set 3,l', {af: 0xc300, bc: 0x08a9, de: 0x2bc8, hl: 0x5b9f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xdd]], [0x5b9f, [0x94]]], 0xff, {registers: {af: 0xc300, bc: 0x08a9, de: 0x2bc8, hl: 0x5b9f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbde', 'set 3,(hl)', {af: 0x1900, bc: 0x900f, de: 0xd572, hl: 0xba03, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xde]], [0xba03, [0x93]]], 0xff, {registers: {af: 0x1900, bc: 0x900f, de: 0xd572, hl: 0xba03, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xba03: 0x9b}, io: [], cycles: 0x0f}],
+  ['cbdf', 'set 3,a', {af: 0x6700, bc: 0x2745, de: 0x7e3d, hl: 0x0fa1, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xdf]], [0x0fa1, [0xc5]]], 0xff, {registers: {af: 0x6f00, bc: 0x2745, de: 0x7e3d, hl: 0x0fa1, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbe0', 'set 4,b', {af: 0x3e00, bc: 0xd633, de: 0x9897, hl: 0x3744, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xe0]], [0x3744, [0x54]]], 0xff, {registers: {af: 0x3e00, bc: 0xd633, de: 0x9897, hl: 0x3744, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbe1', 'set 4,c', {af: 0x7d00, bc: 0x50a6, de: 0x0136, hl: 0x5334, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xe1]], [0x5334, [0x85]]], 0xff, {registers: {af: 0x7d00, bc: 0x50b6, de: 0x0136, hl: 0x5334, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbe2', 'set 4,d', {af: 0xd400, bc: 0x6b45, de: 0xa192, hl: 0x3a4c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xe2]], [0x3a4c, [0x47]]], 0xff, {registers: {af: 0xd400, bc: 0x6b45, de: 0xb192, hl: 0x3a4c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbe3', 'set 4,e', {af: 0x3b00, bc: 0xd29c, de: 0x05e0, hl: 0x2e78, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xe3]], [0x2e78, [0x48]]], 0xff, {registers: {af: 0x3b00, bc: 0xd29c, de: 0x05f0, hl: 0x2e78, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbe4', 'set 4,h', {af: 0x1e00, bc: 0x7d5e, de: 0x846d, hl: 0x0978, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xe4]], [0x0978, [0x84]]], 0xff, {registers: {af: 0x1e00, bc: 0x7d5e, de: 0x846d, hl: 0x1978, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbe5', 'set 4,l', {af: 0xca00, bc: 0xdf0d, de: 0xd588, hl: 0xb48f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xe5]], [0xb48f, [0xcf]]], 0xff, {registers: {af: 0xca00, bc: 0xdf0d, de: 0xd588, hl: 0xb49f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbe6', 'set 4,(hl)', {af: 0xb300, bc: 0x52c2, de: 0xdbfe, hl: 0x9f9b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xe6]], [0x9f9b, [0xf6]]], 0xff, {registers: {af: 0xb300, bc: 0x52c2, de: 0xdbfe, hl: 0x9f9b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0f}],
+  ['cbe7', 'set 4,a', {af: 0x8e00, bc: 0xcf02, de: 0x67ef, hl: 0xf2e0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xe7]], [0xf2e0, [0xcf]]], 0xff, {registers: {af: 0x9e00, bc: 0xcf02, de: 0x67ef, hl: 0xf2e0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbe8', 'set 5,b', {af: 0x7100, bc: 0xbb18, de: 0x66ec, hl: 0x4a05, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xe8]], [0x4a05, [0xe6]]], 0xff, {registers: {af: 0x7100, bc: 0xbb18, de: 0x66ec, hl: 0x4a05, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbe9', 'set 5,c', {af: 0x5700, bc: 0x2897, de: 0x8f2f, hl: 0xa4d0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xe9]], [0xa4d0, [0xb2]]], 0xff, {registers: {af: 0x5700, bc: 0x28b7, de: 0x8f2f, hl: 0xa4d0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbea', 'set 5,d', {af: 0xec00, bc: 0x304a, de: 0x60a1, hl: 0xf32a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xea]], [0xf32a, [0x9c]]], 0xff, {registers: {af: 0xec00, bc: 0x304a, de: 0x60a1, hl: 0xf32a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbeb', 'set 5,e', {af: 0xf000, bc: 0x532b, de: 0xa1be, hl: 0x1a1a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xeb]], [0x1a1a, [0x21]]], 0xff, {registers: {af: 0xf000, bc: 0x532b, de: 0xa1be, hl: 0x1a1a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbec', 'set 5,h', {af: 0xf200, bc: 0xf0f3, de: 0xa816, hl: 0xba08, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xec]], [0xba08, [0x82]]], 0xff, {registers: {af: 0xf200, bc: 0xf0f3, de: 0xa816, hl: 0xba08, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbed', 'set 5,l', {af: 0x1300, bc: 0x5127, de: 0xadab, hl: 0x2dec, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xed]], [0x2dec, [0xcb]]], 0xff, {registers: {af: 0x1300, bc: 0x5127, de: 0xadab, hl: 0x2dec, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbee', 'set 5,(hl)', {af: 0x9000, bc: 0xb273, de: 0x50ae, hl: 0xe90d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xee]], [0xe90d, [0xf1]]], 0xff, {registers: {af: 0x9000, bc: 0xb273, de: 0x50ae, hl: 0xe90d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0f}],
+  ['cbef', 'set 5,a', {af: 0x2500, bc: 0x4281, de: 0xf0d4, hl: 0x2c39, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xef]], [0x2c39, [0xc8]]], 0xff, {registers: {af: 0x2500, bc: 0x4281, de: 0xf0d4, hl: 0x2c39, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbf0', 'set 6,b', {af: 0xfb00, bc: 0x5802, de: 0x0c27, hl: 0x6ff5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xf0]], [0x6ff5, [0xf6]]], 0xff, {registers: {af: 0xfb00, bc: 0x5802, de: 0x0c27, hl: 0x6ff5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbf1', 'set 6,c', {af: 0x5500, bc: 0xa103, de: 0x3ff5, hl: 0x5e1c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xf1]], [0x5e1c, [0x37]]], 0xff, {registers: {af: 0x5500, bc: 0xa143, de: 0x3ff5, hl: 0x5e1c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbf2', 'set 6,d', {af: 0xf000, bc: 0x625a, de: 0xaf82, hl: 0x9819, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xf2]], [0x9819, [0xe4]]], 0xff, {registers: {af: 0xf000, bc: 0x625a, de: 0xef82, hl: 0x9819, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbf3', 'set 6,e', {af: 0x8600, bc: 0xd7bd, de: 0x5d86, hl: 0x263f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xf3]], [0x263f, [0xa1]]], 0xff, {registers: {af: 0x8600, bc: 0xd7bd, de: 0x5dc6, hl: 0x263f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbf4', 'set 6,h', {af: 0x9400, bc: 0x0243, de: 0x9ec1, hl: 0x75d9, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xf4]], [0x75d9, [0x3f]]], 0xff, {registers: {af: 0x9400, bc: 0x0243, de: 0x9ec1, hl: 0x75d9, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbf5', 'set 6,l', {af: 0xce00, bc: 0x2d42, de: 0x5e6a, hl: 0x47e6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xf5]], [0x47e6, [0xce]]], 0xff, {registers: {af: 0xce00, bc: 0x2d42, de: 0x5e6a, hl: 0x47e6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbf6', 'set 6,(hl)', {af: 0x7b00, bc: 0xc2d7, de: 0x4492, hl: 0xa9bc, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xf6]], [0xa9bc, [0xb1]]], 0xff, {registers: {af: 0x7b00, bc: 0xc2d7, de: 0x4492, hl: 0xa9bc, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xa9bc: 0xf1}, io: [], cycles: 0x0f}],
+  ['cbf7', 'set 6,a', {af: 0x6d00, bc: 0xabaf, de: 0x5b5d, hl: 0x188c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xf7]], [0x188c, [0x6c]]], 0xff, {registers: {af: 0x6d00, bc: 0xabaf, de: 0x5b5d, hl: 0x188c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbf8', 'set 7,b', {af: 0xc600, bc: 0xb812, de: 0xa037, hl: 0xd2b0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xf8]], [0xd2b0, [0xcb]]], 0xff, {registers: {af: 0xc600, bc: 0xb812, de: 0xa037, hl: 0xd2b0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbf9', 'set 7,c', {af: 0xef00, bc: 0xc5f2, de: 0x77a8, hl: 0x0730, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xf9]], [0x0730, [0xae]]], 0xff, {registers: {af: 0xef00, bc: 0xc5f2, de: 0x77a8, hl: 0x0730, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbfa', 'set 7,d', {af: 0x8700, bc: 0x1581, de: 0x63e3, hl: 0xed03, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xfa]], [0xed03, [0x27]]], 0xff, {registers: {af: 0x8700, bc: 0x1581, de: 0xe3e3, hl: 0xed03, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbfb', 'set 7,e', {af: 0xa300, bc: 0x7d27, de: 0x97c3, hl: 0xd1ae, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xfb]], [0xd1ae, [0xf2]]], 0xff, {registers: {af: 0xa300, bc: 0x7d27, de: 0x97c3, hl: 0xd1ae, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbfc', 'set 7,h', {af: 0xec00, bc: 0x060a, de: 0x3ef6, hl: 0x500f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xfc]], [0x500f, [0x94]]], 0xff, {registers: {af: 0xec00, bc: 0x060a, de: 0x3ef6, hl: 0xd00f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbfd', 'set 7,l', {af: 0x1100, bc: 0x231a, de: 0x8563, hl: 0x28c5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xfd]], [0x28c5, [0xab]]], 0xff, {registers: {af: 0x1100, bc: 0x231a, de: 0x8563, hl: 0x28c5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cbfe', 'set 7,(hl)', {af: 0x5300, bc: 0x4948, de: 0x89dd, hl: 0x3a24, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xfe]], [0x3a24, [0xc3]]], 0xff, {registers: {af: 0x5300, bc: 0x4948, de: 0x89dd, hl: 0x3a24, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0f}],
+  ['cbff', 'set 7,a', {af: 0x7900, bc: 0x799b, de: 0x6cf7, hl: 0xe3f2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcb, 0xff]], [0xe3f2, [0x25]]], 0xff, {registers: {af: 0xf900, bc: 0x799b, de: 0x6cf7, hl: 0xe3f2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['cc_1', 'call z,nnnn', {af: 0x4e, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5698, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcc, 0x61, 0x9c]]], 0xff, {registers: {af: 0x4e, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5696, pc: 0x9c61, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x5696: 0x03, 0x5697: 0x00}, io: [], cycles: 0x11}],
+  ['cc_2', 'call z,nnnn', {af: 0x0e, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5698, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcc, 0x61, 0x9c]]], 0xff, {registers: {af: 0x0e, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5698, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0a}],
+  ['cd', 'call nnnn', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0xb07d, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xcd, 0x5d, 0x3a]]], 0xff, {registers: {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0xb07b, pc: 0x3a5d, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xb07b: 0x03, 0xb07c: 0x00}, io: [], cycles: 0x11}],
+  ['ce', 'adc a,nn', {af: 0x60f5, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xce, 0xb2]]], 0xff, {registers: {af: 0x1301, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x07}],
+  ['cf', 'rst 8', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5507, pc: 0x6d33, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x6d33, [0xcf]]], 0xff, {registers: {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5505, pc: 0x08, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x5505: 0x34, 0x5506: 0x6d}, io: [], cycles: 0x0b}],
+  ['d0_1', 'ret nc', {af: 0x98, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x43f7, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xd0]], [0x43f7, [0xe9, 0xaf]]], 0xff, {registers: {af: 0x98, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x43f9, pc: 0xafe9, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0b}],
+  ['d0_2', 'ret nc', {af: 0x99, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x43f7, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xd0]], [0x43f7, [0xe9, 0xaf]]], 0xff, {registers: {af: 0x99, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x43f7, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x05}],
+  ['d1', 'pop de', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x4143, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xd1]], [0x4143, [0xce, 0xe8]]], 0xff, {registers: {af: 0x00, bc: 0x00, de: 0xe8ce, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x4145, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0a}],
+  ['d2_1', 'jp nc,nnnn', {af: 0x86, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xd2, 0x1b, 0xe1]]], 0xff, {registers: {af: 0x86, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0xe11b, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0a}],
+  ['d2_2', 'jp nc,nnnn', {af: 0x87, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xd2, 0x1b, 0xe1]]], 0xff, {registers: {af: 0x87, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0a}],
+  ['d3_1', 'out (nn),a', {af: 0xa200, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xd3, 0xed]]], 0xff, {registers: {af: 0xa200, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [[0xa2ed, 0xa2]], cycles: 0x0b}],
+  ['d3_2', 'out (nn),a', {af: 0x4200, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xd3, 0xec]]], 0xff, {registers: {af: 0x4200, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [[0x42ec, 0x42]], cycles: 0x0b}],
+  ['d3_3', 'out (nn),a', {af: 0x4200, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xd3, 0xed]]], 0xff, {registers: {af: 0x4200, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [[0x42ed, 0x42]], cycles: 0x0b}],
+  ['d3_4', 'out (nn),a', {af: 0xa200, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xd3, 0xff]]], 0xff, {registers: {af: 0xa200, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [[0xa2ff, 0xa2]], cycles: 0x0b}],
+  ['d3', 'out (nn),a', {af: 0xa200, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xd3, 0xec]]], 0xff, {registers: {af: 0xa200, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [[0xa2ec, 0xa2]], cycles: 0x0b}],
+  ['d4_1', 'call nc,nnnn', {af: 0x0e, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5698, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xd4, 0x61, 0x9c]]], 0xff, {registers: {af: 0x0e, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5696, pc: 0x9c61, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x5696: 0x03, 0x5697: 0x00}, io: [], cycles: 0x11}],
+  ['d4_2', 'call nc,nnnn', {af: 0x0f, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5698, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xd4, 0x61, 0x9c]]], 0xff, {registers: {af: 0x0f, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5698, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0a}],
+  ['d5', 'push de', {af: 0x53e3, bc: 0x1459, de: 0x775f, hl: 0x1a2f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0xec12, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xd5]]], 0xff, {registers: {af: 0x53e3, bc: 0x1459, de: 0x775f, hl: 0x1a2f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0xec10, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xec10: 0x5f, 0xec11: 0x77}, io: [], cycles: 0x0b}],
+  ['d6', 'sub nn', {af: 0x3900, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xd6, 0xdf]]], 0xff, {registers: {af: 0x5a1b, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x07}],
+  ['d7', 'rst 10', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5507, pc: 0x6d33, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x6d33, [0xd7]]], 0xff, {registers: {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5505, pc: 0x10, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x5505: 0x34, 0x5506: 0x6d}, io: [], cycles: 0x0b}],
+  ['d8_1', 'ret c', {af: 0x98, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x43f7, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xd8]], [0x43f7, [0xe9, 0xaf]]], 0xff, {registers: {af: 0x98, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x43f7, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x05}],
+  ['d8_2', 'ret c', {af: 0x99, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x43f7, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xd8]], [0x43f7, [0xe9, 0xaf]]], 0xff, {registers: {af: 0x99, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x43f9, pc: 0xafe9, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0b}],
+  ['d9', 'exx', {af: 0x4d94, bc: 0xe07a, de: 0xe35b, hl: 0x9d64, "af'": 0x1a64, "bc'": 0xc930, "de'": 0x3d01, "hl'": 0x7d02, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xd9]]], 0xff, {registers: {af: 0x4d94, bc: 0xc930, de: 0x3d01, hl: 0x7d02, "af'": 0x1a64, "bc'": 0xe07a, "de'": 0xe35b, "hl'": 0x9d64, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['da_1', 'jp c,nnnn', {af: 0x87, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xda, 0x1b, 0xe1]]], 0xff, {registers: {af: 0x87, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0xe11b, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0a}],
+  ['da_2', 'jp c,nnnn', {af: 0x86, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xda, 0x1b, 0xe1]]], 0xff, {registers: {af: 0x86, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0a}],
+  ['db_1', 'in a,(nn)', {af: 0xc100, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdb, 0xe3]]], 0xff, {registers: {af: 0xc100, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0b}],
+  ['db_2', 'in a,(nn)', {af: 0x7100, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdb, 0xe2]]], 0xff, {registers: {af: 0x7100, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0b}],
+  ['db_3', 'in a,(nn)', {af: 0x7100, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdb, 0xe3]]], 0xff, {registers: {af: 0x7100, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0b}],
+  ['db', 'in a,(nn)', {af: 0xc100, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdb, 0xe2]]], 0xff, {registers: {af: 0xc100, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0b}],
+  ['dc_1', 'call c,nnnn', {af: 0x0f, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5698, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdc, 0x61, 0x9c]]], 0xff, {registers: {af: 0x0f, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5696, pc: 0x9c61, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x5696: 0x03, 0x5697: 0x00}, io: [], cycles: 0x11}],
+  ['dc_2', 'call c,nnnn', {af: 0x0e, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5698, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdc, 0x61, 0x9c]]], 0xff, {registers: {af: 0x0e, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5698, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0a}],
+  ['dd09', 'add ix,bc', {af: 0x0d05, bc: 0x1426, de: 0x53ce, hl: 0x41e3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9ec0, iy: 0x5c89, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x09]]], 0xff, {registers: {af: 0x0d34, bc: 0x1426, de: 0x53ce, hl: 0x41e3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb2e6, iy: 0x5c89, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0f}],
+  ['dd19', 'add ix,de', {af: 0x1911, bc: 0x0e0b, de: 0x2724, hl: 0xbe62, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x824f, iy: 0x760b, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x19]]], 0xff, {registers: {af: 0x1928, bc: 0x0e0b, de: 0x2724, hl: 0xbe62, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa973, iy: 0x760b, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0f}],
+  ['dd21', 'ld ix,nnnn', {af: 0xc935, bc: 0x4353, de: 0xbd22, hl: 0x94d5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xdade, iy: 0xaad6, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x21, 0xf2, 0x7c]]], 0xff, {registers: {af: 0xc935, bc: 0x4353, de: 0xbd22, hl: 0x94d5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7cf2, iy: 0xaad6, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0e}],
+  ['dd22', 'ld (nnnn),ix', {af: 0x5b1d, bc: 0x45a1, de: 0x6de8, hl: 0x39d3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xebe7, iy: 0x05b0, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x22, 0x4f, 0xad]]], 0xff, {registers: {af: 0x5b1d, bc: 0x45a1, de: 0x6de8, hl: 0x39d3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xebe7, iy: 0x05b0, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xad4f: 0xe7, 0xad50: 0xeb}, io: [], cycles: 0x14}],
+  ['dd23', 'inc ix', {af: 0x9095, bc: 0xac3c, de: 0x4d90, hl: 0x379b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd50b, iy: 0xa157, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x23]]], 0xff, {registers: {af: 0x9095, bc: 0xac3c, de: 0x4d90, hl: 0x379b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd50c, iy: 0xa157, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0a}],
+  ['dd24', 'inc ixh', {af: 0x0698, bc: 0xdcd0, de: 0xa31b, hl: 0xd527, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x8cda, iy: 0xb096, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x24]]], 0xff, {registers: {af: 0x0688, bc: 0xdcd0, de: 0xa31b, hl: 0xd527, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x8dda, iy: 0xb096, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['dd25', 'dec ixh', {af: 0x5acc, bc: 0x206b, de: 0xed10, hl: 0x6eab, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xbb3c, iy: 0x5ebd, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x25]]], 0xff, {registers: {af: 0x5aaa, bc: 0x206b, de: 0xed10, hl: 0x6eab, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xba3c, iy: 0x5ebd, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['dd26', 'ld ixh,nn', {af: 0x9522, bc: 0xede0, de: 0xa352, hl: 0xadea, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5f40, iy: 0x82e1, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x26, 0xad]]], 0xff, {registers: {af: 0x9522, bc: 0xede0, de: 0xa352, hl: 0xadea, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xad40, iy: 0x82e1, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0b}],
+  ['dd29', 'add ix,ix', {af: 0xac80, bc: 0x0f0e, de: 0x72c8, hl: 0x1f2a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5195, iy: 0x7d8a, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x29]]], 0xff, {registers: {af: 0xaca0, bc: 0x0f0e, de: 0x72c8, hl: 0x1f2a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa32a, iy: 0x7d8a, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0f}],
+  ['dd2a', 'ld ix,(nnnn)', {af: 0x3d36, bc: 0xb24e, de: 0xbdbc, hl: 0xca4e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xba65, iy: 0xe7ce, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x2a, 0xbc, 0x40]], [0x40bc, [0xb5, 0x30]]], 0xff, {registers: {af: 0x3d36, bc: 0xb24e, de: 0xbdbc, hl: 0xca4e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x30b5, iy: 0xe7ce, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['dd2b', 'dec ix', {af: 0xad4b, bc: 0xd5e6, de: 0x9377, hl: 0xf132, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7a17, iy: 0x2188, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x2b]]], 0xff, {registers: {af: 0xad4b, bc: 0xd5e6, de: 0x9377, hl: 0xf132, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7a16, iy: 0x2188, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0a}],
+  ['dd2c', 'inc ixl', {af: 0x8838, bc: 0xf2f3, de: 0xd277, hl: 0x9153, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc62f, iy: 0xb002, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x2c]]], 0xff, {registers: {af: 0x8830, bc: 0xf2f3, de: 0xd277, hl: 0x9153, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc630, iy: 0xb002, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['dd2d', 'dec ixl', {af: 0x39bc, bc: 0xb23c, de: 0x6e11, hl: 0x5a49, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0267, iy: 0xab03, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x2d]]], 0xff, {registers: {af: 0x3922, bc: 0xb23c, de: 0x6e11, hl: 0x5a49, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0266, iy: 0xab03, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['dd2e', 'ld ixl,nn', {af: 0x9aca, bc: 0xa04a, de: 0xb49f, hl: 0xa4a6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xbd90, iy: 0x38a1, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x2e, 0x1c]]], 0xff, {registers: {af: 0x9aca, bc: 0xa04a, de: 0xb49f, hl: 0xa4a6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xbd1c, iy: 0x38a1, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0b}],
+  ['dd34', 'inc (ix+dd)', {af: 0x8304, bc: 0xd1fc, de: 0xb80b, hl: 0x8082, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xdea9, iy: 0x6fd8, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x34, 0xe6]], [0xde8f, [0x57]]], 0xff, {registers: {af: 0x8308, bc: 0xd1fc, de: 0xb80b, hl: 0x8082, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xdea9, iy: 0x6fd8, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xde8f: 0x58}, io: [], cycles: 0x17}],
+  ['dd35', 'dec (ix+dd)', {af: 0x8681, bc: 0x4641, de: 0x1ef6, hl: 0x10ab, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc733, iy: 0x8ec4, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x35, 0x60]], [0xc793, [0xf7]]], 0xff, {registers: {af: 0x86a3, bc: 0x4641, de: 0x1ef6, hl: 0x10ab, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc733, iy: 0x8ec4, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xc793: 0xf6}, io: [], cycles: 0x17}],
+  ['dd36', 'ld (ix+dd),nn', {af: 0x76dc, bc: 0x2530, de: 0x5158, hl: 0x877d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb5c6, iy: 0x8d3c, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x36, 0x35, 0xb5]]], 0xff, {registers: {af: 0x76dc, bc: 0x2530, de: 0x5158, hl: 0x877d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb5c6, iy: 0x8d3c, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xb5fb: 0xb5}, io: [], cycles: 0x13}],
+  ['dd39', 'add ix,sp', {af: 0x875b, bc: 0xa334, de: 0xd79d, hl: 0x59e4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb11a, iy: 0x4c88, sp: 0xfa4a, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x39]]], 0xff, {registers: {af: 0x8769, bc: 0xa334, de: 0xd79d, hl: 0x59e4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xab64, iy: 0x4c88, sp: 0xfa4a, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0f}],
+  ['dd44', 'ld b,ixh', {af: 0xb37e, bc: 0xcbb0, de: 0x36e8, hl: 0x3f45, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x2702, iy: 0xb3b9, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x44]]], 0xff, {registers: {af: 0xb37e, bc: 0x27b0, de: 0x36e8, hl: 0x3f45, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x2702, iy: 0xb3b9, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['dd45', 'ld b,ixl', {af: 0x4e10, bc: 0x5c6d, de: 0xd11d, hl: 0x1736, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7298, iy: 0x2d10, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x45]]], 0xff, {registers: {af: 0x4e10, bc: 0x986d, de: 0xd11d, hl: 0x1736, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7298, iy: 0x2d10, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['dd46', 'ld b,(ix+dd)', {af: 0xc758, bc: 0xbf29, de: 0x66f2, hl: 0x29ef, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5cc7, iy: 0x407d, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x46, 0x68]], [0x5d2f, [0x8d]]], 0xff, {registers: {af: 0xc758, bc: 0x8d29, de: 0x66f2, hl: 0x29ef, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5cc7, iy: 0x407d, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x13}],
+  ['dd4c', 'ld c,ixh', {af: 0xe15c, bc: 0x75ec, de: 0x7531, hl: 0xae9e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3ed8, iy: 0x03b7, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x4c]]], 0xff, {registers: {af: 0xe15c, bc: 0x753e, de: 0x7531, hl: 0xae9e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3ed8, iy: 0x03b7, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['dd4d', 'ld c,ixl', {af: 0x469e, bc: 0x7864, de: 0x6a5a, hl: 0xe2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa1aa, iy: 0x0d6f, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x4d]]], 0xff, {registers: {af: 0x469e, bc: 0x78aa, de: 0x6a5a, hl: 0xe2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa1aa, iy: 0x0d6f, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['dd4e', 'ld c,(ix+dd)', {af: 0x7bf7, bc: 0x6605, de: 0x8d55, hl: 0xdef2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd94b, iy: 0x17fb, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x4e, 0x2e]], [0xd979, [0x76]]], 0xff, {registers: {af: 0x7bf7, bc: 0x6676, de: 0x8d55, hl: 0xdef2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd94b, iy: 0x17fb, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x13}],
+  ['dd54', 'ld d,ixh', {af: 0x8376, bc: 0x0d13, de: 0xc767, hl: 0x3119, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x4b6d, iy: 0x030b, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x54]]], 0xff, {registers: {af: 0x8376, bc: 0x0d13, de: 0x4b67, hl: 0x3119, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x4b6d, iy: 0x030b, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['dd55', 'ld d,ixl', {af: 0xff78, bc: 0x85e3, de: 0x566b, hl: 0x8f3a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd7d7, iy: 0x4e0b, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x55]]], 0xff, {registers: {af: 0xff78, bc: 0x85e3, de: 0xd76b, hl: 0x8f3a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd7d7, iy: 0x4e0b, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['dd56', 'ld d,(ix+dd)', {af: 0x97b3, bc: 0xb617, de: 0xbb50, hl: 0x81d1, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa306, iy: 0x7a49, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x56, 0xf4]], [0xa2fa, [0xde]]], 0xff, {registers: {af: 0x97b3, bc: 0xb617, de: 0xde50, hl: 0x81d1, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa306, iy: 0x7a49, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x13}],
+  ['dd5c', 'ld e,ixh', {af: 0xaf82, bc: 0x24bf, de: 0x2793, hl: 0xf925, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xf9a3, iy: 0x0b82, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x5c]]], 0xff, {registers: {af: 0xaf82, bc: 0x24bf, de: 0x27f9, hl: 0xf925, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xf9a3, iy: 0x0b82, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['dd5d', 'ld e,ixl', {af: 0x36cb, bc: 0x97a9, de: 0x400d, hl: 0x30fe, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3340, iy: 0xb3ed, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x5d]]], 0xff, {registers: {af: 0x36cb, bc: 0x97a9, de: 0x4040, hl: 0x30fe, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3340, iy: 0xb3ed, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['dd5e', 'ld e,(ix+dd)', {af: 0xa220, bc: 0x389d, de: 0x2ff8, hl: 0x368c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x8d32, iy: 0x3512, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x5e, 0x8f]], [0x8cc1, [0xce]]], 0xff, {registers: {af: 0xa220, bc: 0x389d, de: 0x2fce, hl: 0x368c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x8d32, iy: 0x3512, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x13}],
+  ['dd60', 'ld ixh,b', {af: 0x2392, bc: 0x7f6a, de: 0x3dc0, hl: 0xcefb, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x44a0, iy: 0xc424, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x60]]], 0xff, {registers: {af: 0x2392, bc: 0x7f6a, de: 0x3dc0, hl: 0xcefb, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7fa0, iy: 0xc424, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['dd61', 'ld ixh,c', {af: 0x76ed, bc: 0x268c, de: 0xd5c8, hl: 0xbab0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb650, iy: 0x0a93, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x61]]], 0xff, {registers: {af: 0x76ed, bc: 0x268c, de: 0xd5c8, hl: 0xbab0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x8c50, iy: 0x0a93, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['dd62', 'ld ixh,d', {af: 0x4c6f, bc: 0xb482, de: 0xfef4, hl: 0x62e7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6e25, iy: 0x9655, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x62]]], 0xff, {registers: {af: 0x4c6f, bc: 0xb482, de: 0xfef4, hl: 0x62e7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xfe25, iy: 0x9655, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['dd63', 'ld ixh,e', {af: 0x6e9a, bc: 0x5499, de: 0x3c8f, hl: 0x1f64, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xbf35, iy: 0x0df7, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x63]]], 0xff, {registers: {af: 0x6e9a, bc: 0x5499, de: 0x3c8f, hl: 0x1f64, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x8f35, iy: 0x0df7, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['dd64', 'ld ixh,ixh', {af: 0x47f6, bc: 0x1b7a, de: 0xa55e, hl: 0x2fc2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xefc7, iy: 0xaca0, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x64]]], 0xff, {registers: {af: 0x47f6, bc: 0x1b7a, de: 0xa55e, hl: 0x2fc2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xefc7, iy: 0xaca0, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['dd65', 'ld ixh,ixl', {af: 0xd786, bc: 0x7d1d, de: 0xb659, hl: 0x77e8, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x58fa, iy: 0x6d, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x65]]], 0xff, {registers: {af: 0xd786, bc: 0x7d1d, de: 0xb659, hl: 0x77e8, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xfafa, iy: 0x6d, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['dd66', 'ld h,(ix+dd)', {af: 0x84c2, bc: 0x79b1, de: 0xca4a, hl: 0xaaa0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xce5d, iy: 0xdd2d, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x66, 0xb5]], [0xce12, [0x03]]], 0xff, {registers: {af: 0x84c2, bc: 0x79b1, de: 0xca4a, hl: 0x03a0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xce5d, iy: 0xdd2d, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x13}],
+  ['dd67', 'ld ixh,a', {af: 0x967c, bc: 0x511e, de: 0x336d, hl: 0x40f6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x66e7, iy: 0x5be2, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x67]]], 0xff, {registers: {af: 0x967c, bc: 0x511e, de: 0x336d, hl: 0x40f6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x96e7, iy: 0x5be2, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['dd68', 'ld ixl,b', {af: 0x4a9d, bc: 0xefa8, de: 0xfebd, hl: 0x07e4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5fd8, iy: 0xb23f, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x68]]], 0xff, {registers: {af: 0x4a9d, bc: 0xefa8, de: 0xfebd, hl: 0x07e4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5fef, iy: 0xb23f, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['dd69', 'ld ixl,c', {af: 0x6466, bc: 0x2142, de: 0x2523, hl: 0x82b3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6479, iy: 0x04a7, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x69]]], 0xff, {registers: {af: 0x6466, bc: 0x2142, de: 0x2523, hl: 0x82b3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6442, iy: 0x04a7, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['dd6a', 'ld ixl,d', {af: 0x401f, bc: 0x61f1, de: 0x4b08, hl: 0xfa88, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc37f, iy: 0xd8f6, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x6a]]], 0xff, {registers: {af: 0x401f, bc: 0x61f1, de: 0x4b08, hl: 0xfa88, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc34b, iy: 0xd8f6, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['dd6b', 'ld ixl,e', {af: 0x6dc7, bc: 0xe2ae, de: 0x40bd, hl: 0xf3c0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x2290, iy: 0x2749, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x6b]]], 0xff, {registers: {af: 0x6dc7, bc: 0xe2ae, de: 0x40bd, hl: 0xf3c0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x22bd, iy: 0x2749, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['dd6c', 'ld ixl,ixh', {af: 0x3939, bc: 0x90da, de: 0x62dc, hl: 0x7c31, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x412f, iy: 0x7211, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x6c]]], 0xff, {registers: {af: 0x3939, bc: 0x90da, de: 0x62dc, hl: 0x7c31, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x4141, iy: 0x7211, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['dd6d', 'ld ixl,ixl', {af: 0x3964, bc: 0xff3f, de: 0x23d4, hl: 0xc7c7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9b70, iy: 0x20c6, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x6d]]], 0xff, {registers: {af: 0x3964, bc: 0xff3f, de: 0x23d4, hl: 0xc7c7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9b70, iy: 0x20c6, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['dd6e', 'ld l,(ix+dd)', {af: 0x223f, bc: 0xf661, de: 0xb61c, hl: 0x0f53, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc648, iy: 0xfae8, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x6e, 0x2c]], [0xc674, [0x6b]]], 0xff, {registers: {af: 0x223f, bc: 0xf661, de: 0xb61c, hl: 0x0f6b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc648, iy: 0xfae8, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x13}],
+  ['dd6f', 'ld ixl,a', {af: 0x6e84, bc: 0x9cd4, de: 0xa293, hl: 0x647d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0d0b, iy: 0x4a56, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x6f]]], 0xff, {registers: {af: 0x6e84, bc: 0x9cd4, de: 0xa293, hl: 0x647d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0d6e, iy: 0x4a56, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['dd70', 'ld (ix+dd),b', {af: 0xd09f, bc: 0xfe00, de: 0x231e, hl: 0x31ec, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x05fa, iy: 0xea92, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x70, 0xf6]]], 0xff, {registers: {af: 0xd09f, bc: 0xfe00, de: 0x231e, hl: 0x31ec, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x05fa, iy: 0xea92, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x05f0: 0xfe}, io: [], cycles: 0x13}],
+  ['dd71', 'ld (ix+dd),c', {af: 0xebee, bc: 0x151c, de: 0x05c7, hl: 0xee08, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3722, iy: 0x2ec6, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x71, 0x23]]], 0xff, {registers: {af: 0xebee, bc: 0x151c, de: 0x05c7, hl: 0xee08, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3722, iy: 0x2ec6, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x3745: 0x1c}, io: [], cycles: 0x13}],
+  ['dd72', 'ld (ix+dd),d', {af: 0x80c9, bc: 0xac1e, de: 0x63bd, hl: 0x828b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x8dff, iy: 0x94ef, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x72, 0x93]]], 0xff, {registers: {af: 0x80c9, bc: 0xac1e, de: 0x63bd, hl: 0x828b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x8dff, iy: 0x94ef, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x8d92: 0x63}, io: [], cycles: 0x13}],
+  ['dd73', 'ld (ix+dd),e', {af: 0x8f3e, bc: 0xb5a3, de: 0x07de, hl: 0x0b0c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x79c6, iy: 0xae79, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x73, 0x57]]], 0xff, {registers: {af: 0x8f3e, bc: 0xb5a3, de: 0x07de, hl: 0x0b0c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x79c6, iy: 0xae79, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x7a1d: 0xde}, io: [], cycles: 0x13}],
+  ['dd74', 'ld (ix+dd),h', {af: 0x4ae0, bc: 0x49c5, de: 0x3deb, hl: 0x0125, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5910, iy: 0x429a, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x74, 0xb9]]], 0xff, {registers: {af: 0x4ae0, bc: 0x49c5, de: 0x3deb, hl: 0x0125, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5910, iy: 0x429a, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x58c9: 0x01}, io: [], cycles: 0x13}],
+  ['dd75', 'ld (ix+dd),l', {af: 0x5772, bc: 0xe833, de: 0xb63e, hl: 0x734f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xae4c, iy: 0xe8c2, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x75, 0x30]]], 0xff, {registers: {af: 0x5772, bc: 0xe833, de: 0xb63e, hl: 0x734f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xae4c, iy: 0xe8c2, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xae7c: 0x4f}, io: [], cycles: 0x13}],
+  ['dd77', 'ld (ix+dd),a', {af: 0xdc56, bc: 0xd893, de: 0x4116, hl: 0xf2d2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa181, iy: 0x3157, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x77, 0x8c]]], 0xff, {registers: {af: 0xdc56, bc: 0xd893, de: 0x4116, hl: 0xf2d2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa181, iy: 0x3157, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xa10d: 0xdc}, io: [], cycles: 0x13}],
+  ['dd7c', 'ld a,ixh', {af: 0x7558, bc: 0x7705, de: 0xac92, hl: 0xa6a1, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x8cde, iy: 0x7507, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x7c]]], 0xff, {registers: {af: 0x8c58, bc: 0x7705, de: 0xac92, hl: 0xa6a1, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x8cde, iy: 0x7507, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['dd7d', 'ld a,ixl', {af: 0x6c18, bc: 0x93fb, de: 0x6bdd, hl: 0x3a10, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd7cb, iy: 0xc0f6, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x7d]]], 0xff, {registers: {af: 0xcb18, bc: 0x93fb, de: 0x6bdd, hl: 0x3a10, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd7cb, iy: 0xc0f6, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['dd7e', 'ld a,(ix+dd)', {af: 0x6a66, bc: 0x1f77, de: 0x6220, hl: 0x0c40, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1cf4, iy: 0x1a1f, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x7e, 0xbc]], [0x1cb0, [0x57]]], 0xff, {registers: {af: 0x5766, bc: 0x1f77, de: 0x6220, hl: 0x0c40, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1cf4, iy: 0x1a1f, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x13}],
+  ['dd84', 'add a,ixh', {af: 0x2e47, bc: 0x1de8, de: 0xb8b9, hl: 0x78a6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9f1d, iy: 0xb11f, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x84]]], 0xff, {registers: {af: 0xcd98, bc: 0x1de8, de: 0xb8b9, hl: 0x78a6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9f1d, iy: 0xb11f, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['dd85', 'add a,ixl', {af: 0xb27a, bc: 0xb1ff, de: 0x8d7b, hl: 0x40c0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb513, iy: 0x0688, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x85]]], 0xff, {registers: {af: 0xc580, bc: 0xb1ff, de: 0x8d7b, hl: 0x40c0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb513, iy: 0x0688, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['dd86', 'add a,(ix+dd)', {af: 0x4efa, bc: 0xd085, de: 0x5bac, hl: 0xe364, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb5b5, iy: 0xfe3a, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x86, 0xc1]], [0xb576, [0x5b]]], 0xff, {registers: {af: 0xa9bc, bc: 0xd085, de: 0x5bac, hl: 0xe364, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb5b5, iy: 0xfe3a, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x13}],
+  ['dd8c', 'adc a,ixh', {af: 0xbc63, bc: 0x8fdc, de: 0xea8f, hl: 0x9734, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0eb3, iy: 0x1b54, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x8c]]], 0xff, {registers: {af: 0xcb98, bc: 0x8fdc, de: 0xea8f, hl: 0x9734, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0eb3, iy: 0x1b54, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['dd8d', 'adc a,ixl', {af: 0xb61f, bc: 0x1c81, de: 0xb6fb, hl: 0xd6e5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x09be, iy: 0xa736, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x8d]]], 0xff, {registers: {af: 0x7535, bc: 0x1c81, de: 0xb6fb, hl: 0xd6e5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x09be, iy: 0xa736, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['dd8e', 'adc a,(ix+dd)', {af: 0x4ed4, bc: 0x182d, de: 0xab17, hl: 0x94ae, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xbb97, iy: 0x87da, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x8e, 0x25]], [0xbbbc, [0x32]]], 0xff, {registers: {af: 0x8094, bc: 0x182d, de: 0xab17, hl: 0x94ae, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xbb97, iy: 0x87da, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x13}],
+  ['dd94', 'sub a,ixh', {af: 0x7ef1, bc: 0x9efe, de: 0x6ea1, hl: 0xfc55, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0a09, iy: 0x89c5, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x94]]], 0xff, {registers: {af: 0x7422, bc: 0x9efe, de: 0x6ea1, hl: 0xfc55, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0a09, iy: 0x89c5, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['dd95', 'sub a,ixl', {af: 0x2920, bc: 0x59ab, de: 0x428c, hl: 0x3a94, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x44fd, iy: 0xf243, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x95]]], 0xff, {registers: {af: 0x2c3b, bc: 0x59ab, de: 0x428c, hl: 0x3a94, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x44fd, iy: 0xf243, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['dd96', 'sub a,(ix+dd)', {af: 0x9b76, bc: 0x461f, de: 0xced7, hl: 0xdb3f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x2c66, iy: 0x9dbf, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x96, 0x5f]], [0x2cc5, [0x49]]], 0xff, {registers: {af: 0x5206, bc: 0x461f, de: 0xced7, hl: 0xdb3f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x2c66, iy: 0x9dbf, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x13}],
+  ['dd9c', 'sbc a,ixh', {af: 0xfaf4, bc: 0x670e, de: 0xafcc, hl: 0x8b34, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x285f, iy: 0x1caa, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x9c]]], 0xff, {registers: {af: 0xd282, bc: 0x670e, de: 0xafcc, hl: 0x8b34, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x285f, iy: 0x1caa, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['dd9d', 'sbc a,ixl', {af: 0xf827, bc: 0x0cdb, de: 0xdf32, hl: 0xd0e4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9b12, iy: 0x7d07, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x9d]]], 0xff, {registers: {af: 0xe5a2, bc: 0x0cdb, de: 0xdf32, hl: 0xd0e4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9b12, iy: 0x7d07, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['dd9e', 'sbc a,(ix+dd)', {af: 0x938e, bc: 0xf9c5, de: 0xcbc4, hl: 0xca21, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb4cc, iy: 0x46fa, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0x9e, 0x14]], [0xb4e0, [0xb5]]], 0xff, {registers: {af: 0xde9b, bc: 0xf9c5, de: 0xcbc4, hl: 0xca21, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb4cc, iy: 0x46fa, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x13}],
+  ['dda4', 'and a,ixh', {af: 0x52f5, bc: 0xba53, de: 0xacfc, hl: 0x9481, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x2f8b, iy: 0xedf6, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xa4]]], 0xff, {registers: {af: 0x0210, bc: 0xba53, de: 0xacfc, hl: 0x9481, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x2f8b, iy: 0xedf6, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['dda5', 'and a,ixl', {af: 0xbaaf, bc: 0xa675, de: 0xd757, hl: 0xf1db, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xfdef, iy: 0xd8ce, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xa5]]], 0xff, {registers: {af: 0xaabc, bc: 0xa675, de: 0xd757, hl: 0xf1db, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xfdef, iy: 0xd8ce, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['dda6', 'and a,(ix+dd)', {af: 0x1da4, bc: 0x20c4, de: 0xebc3, hl: 0xda8d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7e95, iy: 0x5e8a, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xa6, 0x41]], [0x7ed6, [0xc7]]], 0xff, {registers: {af: 0x0514, bc: 0x20c4, de: 0xebc3, hl: 0xda8d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7e95, iy: 0x5e8a, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x13}],
+  ['ddac', 'xor a,ixh', {af: 0xef15, bc: 0x2a7c, de: 0x17e5, hl: 0x3f6e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xaffa, iy: 0xa0b5, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xac]]], 0xff, {registers: {af: 0x4000, bc: 0x2a7c, de: 0x17e5, hl: 0x3f6e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xaffa, iy: 0xa0b5, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['ddad', 'xor a,ixl', {af: 0xba2e, bc: 0x6ba1, de: 0xef1b, hl: 0x5713, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xba38, iy: 0xa708, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xad]]], 0xff, {registers: {af: 0x8284, bc: 0x6ba1, de: 0xef1b, hl: 0x5713, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xba38, iy: 0xa708, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['ddae', 'xor a,(ix+dd)', {af: 0x8009, bc: 0x3ad6, de: 0xa721, hl: 0x2100, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe909, iy: 0x87b4, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xae, 0x72]], [0xe97b, [0xc3]]], 0xff, {registers: {af: 0x4300, bc: 0x3ad6, de: 0xa721, hl: 0x2100, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe909, iy: 0x87b4, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x13}],
+  ['ddb4', 'or a,ixh', {af: 0x1ccd, bc: 0x29aa, de: 0x2e82, hl: 0x4dc8, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9c04, iy: 0x8be3, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xb4]]], 0xff, {registers: {af: 0x9c8c, bc: 0x29aa, de: 0x2e82, hl: 0x4dc8, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9c04, iy: 0x8be3, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['ddb5', 'or a,ixl', {af: 0x46b4, bc: 0xfc93, de: 0x7a06, hl: 0x0518, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0ac5, iy: 0x4150, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xb5]]], 0xff, {registers: {af: 0xc780, bc: 0xfc93, de: 0x7a06, hl: 0x0518, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0ac5, iy: 0x4150, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['ddb6', 'or a,(ix+dd)', {af: 0x5017, bc: 0xab81, de: 0x4287, hl: 0x5ee1, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc66f, iy: 0xd6cc, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xb6, 0x31]], [0xc6a0, [0x1c]]], 0xff, {registers: {af: 0x5c0c, bc: 0xab81, de: 0x4287, hl: 0x5ee1, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc66f, iy: 0xd6cc, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x13}],
+  ['ddbc', 'cp a,ixh', {af: 0x53e0, bc: 0xaa98, de: 0xf7d7, hl: 0xfa0c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xbe7a, iy: 0xa41f, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xbc]]], 0xff, {registers: {af: 0x53bf, bc: 0xaa98, de: 0xf7d7, hl: 0xfa0c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xbe7a, iy: 0xa41f, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['ddbd', 'cp a,ixl', {af: 0xdc83, bc: 0x80ce, de: 0x5d2f, hl: 0xe999, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xbb41, iy: 0xa24f, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xbd]]], 0xff, {registers: {af: 0xdc82, bc: 0x80ce, de: 0x5d2f, hl: 0xe999, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xbb41, iy: 0xa24f, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['ddbe', 'cp a,(ix+dd)', {af: 0x9838, bc: 0xbfd5, de: 0xa299, hl: 0xd34b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9332, iy: 0xb1d5, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xbe, 0x48]], [0x937a, [0x5b]]], 0xff, {registers: {af: 0x981e, bc: 0xbfd5, de: 0xa299, hl: 0xd34b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9332, iy: 0xb1d5, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x13}],
+  ['ddcb00', 'ld b,rlc (ix+dd)', {af: 0x3c65, bc: 0xf0e4, de: 0x09d1, hl: 0x646b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1da1, iy: 0xf08f, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x0d, 0x00]], [0x1dae, [0xa1]]], 0xff, {registers: {af: 0x3c01, bc: 0x43e4, de: 0x09d1, hl: 0x646b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1da1, iy: 0xf08f, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x1dae: 0x43}, io: [], cycles: 0x17}],
+  ['ddcb01', 'ld c,rlc (ix+dd)', {af: 0xf68f, bc: 0xe33b, de: 0x2d4a, hl: 0x7725, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x28fd, iy: 0xf31b, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xb7, 0x01]], [0x28b4, [0xe3]]], 0xff, {registers: {af: 0xf681, bc: 0xe3c7, de: 0x2d4a, hl: 0x7725, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x28fd, iy: 0xf31b, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x28b4: 0xc7}, io: [], cycles: 0x17}],
+  ['ddcb02', 'ld d,rlc (ix+dd)', {af: 0xe20c, bc: 0x836e, de: 0x513a, hl: 0xf840, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc796, iy: 0xae9b, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x91, 0x02]], [0xc727, [0x8d]]], 0xff, {registers: {af: 0xe20d, bc: 0x836e, de: 0x1b3a, hl: 0xf840, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc796, iy: 0xae9b, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xc727: 0x1b}, io: [], cycles: 0x17}],
+  ['ddcb03', 'ld e,rlc (ix+dd)', {af: 0x6224, bc: 0x3571, de: 0xc519, hl: 0x48dc, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x041e, iy: 0xc07b, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x48, 0x03]], [0x0466, [0x78]]], 0xff, {registers: {af: 0x62a4, bc: 0x3571, de: 0xc5f0, hl: 0x48dc, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x041e, iy: 0xc07b, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x0466: 0xf0}, io: [], cycles: 0x17}],
+  ['ddcb04', 'ld h,rlc (ix+dd)', {af: 0xb310, bc: 0xbfc4, de: 0x64af, hl: 0xd622, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5949, iy: 0xa989, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x48, 0x04]], [0x5991, [0x68]]], 0xff, {registers: {af: 0xb380, bc: 0xbfc4, de: 0x64af, hl: 0xd022, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5949, iy: 0xa989, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x5991: 0xd0}, io: [], cycles: 0x17}],
+  ['ddcb05', 'ld l,rlc (ix+dd)', {af: 0x4954, bc: 0xbb04, de: 0x56ec, hl: 0x9d58, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x77, iy: 0x1349, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xff, 0x05]], [0x76, [0x95]]], 0xff, {registers: {af: 0x492d, bc: 0xbb04, de: 0x56ec, hl: 0x9d2b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x77, iy: 0x1349, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x76: 0x2b}, io: [], cycles: 0x17}],
+  ['ddcb06', 'rlc (ix+dd)', {af: 0x0cf4, bc: 0xf636, de: 0x90a6, hl: 0x6117, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5421, iy: 0x90ee, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x07, 0x06]], [0x5428, [0x97]]], 0xff, {registers: {af: 0x0c29, bc: 0xf636, de: 0x90a6, hl: 0x6117, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5421, iy: 0x90ee, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x5428: 0x2f}, io: [], cycles: 0x17}],
+  ['ddcb07', 'ld a,rlc (ix+dd)', {af: 0x6f4d, bc: 0x9ca3, de: 0xbdf6, hl: 0xed50, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9803, iy: 0x55f9, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x42, 0x07]], [0x9845, [0xae]]], 0xff, {registers: {af: 0x5d09, bc: 0x9ca3, de: 0xbdf6, hl: 0xed50, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9803, iy: 0x55f9, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x9845: 0x5d}, io: [], cycles: 0x17}],
+  ['ddcb08', 'ld b,rrc (ix+dd)', {af: 0x02f4, bc: 0x1c66, de: 0x6023, hl: 0xae06, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xef40, iy: 0xb006, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x0a, 0x08]], [0xef4a, [0xda]]], 0xff, {registers: {af: 0x0228, bc: 0x6d66, de: 0x6023, hl: 0xae06, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xef40, iy: 0xb006, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xef4a: 0x6d}, io: [], cycles: 0x17}],
+  ['ddcb09', 'ld c,rrc (ix+dd)', {af: 0x9825, bc: 0x9258, de: 0x54d5, hl: 0x5e1e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9d0b, iy: 0x6e58, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x3b, 0x09]], [0x9d46, [0x6f]]], 0xff, {registers: {af: 0x98a5, bc: 0x92b7, de: 0x54d5, hl: 0x5e1e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9d0b, iy: 0x6e58, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x9d46: 0xb7}, io: [], cycles: 0x17}],
+  ['ddcb0a', 'ld d,rrc (ix+dd)', {af: 0xd2dd, bc: 0x6aac, de: 0xe789, hl: 0x9293, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1fb4, iy: 0x2498, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x83, 0x0a]], [0x1f37, [0x78]]], 0xff, {registers: {af: 0xd22c, bc: 0x6aac, de: 0x3c89, hl: 0x9293, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1fb4, iy: 0x2498, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x1f37: 0x3c}, io: [], cycles: 0x17}],
+  ['ddcb0b', 'ld e,rrc (ix+dd)', {af: 0xb82c, bc: 0xb284, de: 0x23f8, hl: 0x7e7d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xcd09, iy: 0x6a03, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xfa, 0x0b]], [0xcd03, [0x92]]], 0xff, {registers: {af: 0xb808, bc: 0xb284, de: 0x2349, hl: 0x7e7d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xcd09, iy: 0x6a03, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xcd03: 0x49}, io: [], cycles: 0x17}],
+  ['ddcb0c', 'ld h,rrc (ix+dd)', {af: 0xdf8b, bc: 0xb6cc, de: 0xee8d, hl: 0x855a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xbf6b, iy: 0x9b7d, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x79, 0x0c]], [0xbfe4, [0x0d]]], 0xff, {registers: {af: 0xdf81, bc: 0xb6cc, de: 0xee8d, hl: 0x865a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xbf6b, iy: 0x9b7d, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xbfe4: 0x86}, io: [], cycles: 0x17}],
+  ['ddcb0d', 'ld l,rrc (ix+dd)', {af: 0xbae3, bc: 0xceec, de: 0xbbaa, hl: 0xb65e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x88bd, iy: 0x503e, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xe4, 0x0d]], [0x88a1, [0x1f]]], 0xff, {registers: {af: 0xba89, bc: 0xceec, de: 0xbbaa, hl: 0xb68f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x88bd, iy: 0x503e, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x88a1: 0x8f}, io: [], cycles: 0x17}],
+  ['ddcb0e', 'rrc (ix+dd)', {af: 0x1c36, bc: 0x890b, de: 0x7830, hl: 0x060c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xfd49, iy: 0x5d07, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xc6, 0x0e]], [0xfd0f, [0xad]]], 0xff, {registers: {af: 0x1c81, bc: 0x890b, de: 0x7830, hl: 0x060c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xfd49, iy: 0x5d07, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xfd0f: 0xd6}, io: [], cycles: 0x17}],
+  ['ddcb0f', 'ld a,rrc (ix+dd)', {af: 0xf5a7, bc: 0xfad4, de: 0xfa4b, hl: 0x9c53, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7447, iy: 0x2267, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x57, 0x0f]], [0x749e, [0xf8]]], 0xff, {registers: {af: 0x7c28, bc: 0xfad4, de: 0xfa4b, hl: 0x9c53, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7447, iy: 0x2267, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x749e: 0x7c}, io: [], cycles: 0x17}],
+  ['ddcb10', 'ld b,rl (ix+dd)', {af: 0xf3af, bc: 0xba1f, de: 0x5387, hl: 0x926e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xbba2, iy: 0xca47, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x4f, 0x10]], [0xbbf1, [0x45]]], 0xff, {registers: {af: 0xf38c, bc: 0x8b1f, de: 0x5387, hl: 0x926e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xbba2, iy: 0xca47, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xbbf1: 0x8b}, io: [], cycles: 0x17}],
+  ['ddcb11', 'ld c,rl (ix+dd)', {af: 0x2a69, bc: 0xd604, de: 0xa9aa, hl: 0x5b52, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1809, iy: 0xd275, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xeb, 0x11]], [0x17f4, [0xd9]]], 0xff, {registers: {af: 0x2aa1, bc: 0xd6b3, de: 0xa9aa, hl: 0x5b52, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1809, iy: 0xd275, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x17f4: 0xb3}, io: [], cycles: 0x17}],
+  ['ddcb12', 'ld d,rl (ix+dd)', {af: 0x9287, bc: 0xc479, de: 0x26d1, hl: 0x10ce, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc0fb, iy: 0x2777, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xa6, 0x12]], [0xc0a1, [0xe2]]], 0xff, {registers: {af: 0x9285, bc: 0xc479, de: 0xc5d1, hl: 0x10ce, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc0fb, iy: 0x2777, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xc0a1: 0xc5}, io: [], cycles: 0x17}],
+  ['ddcb13', 'ld e,rl (ix+dd)', {af: 0xa507, bc: 0x580a, de: 0xa48f, hl: 0x11cd, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5ac4, iy: 0xccc7, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xff, 0x13]], [0x5ac3, [0xa7]]], 0xff, {registers: {af: 0xa509, bc: 0x580a, de: 0xa44f, hl: 0x11cd, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5ac4, iy: 0xccc7, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x5ac3: 0x4f}, io: [], cycles: 0x17}],
+  ['ddcb14', 'ld h,rl (ix+dd)', {af: 0x294b, bc: 0x5b89, de: 0x8467, hl: 0x0430, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0977, iy: 0xc4e8, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xdd, 0x14]], [0x0954, [0x85]]], 0xff, {registers: {af: 0x2909, bc: 0x5b89, de: 0x8467, hl: 0x0b30, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0977, iy: 0xc4e8, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x0954: 0x0b}, io: [], cycles: 0x17}],
+  ['ddcb15', 'ld l,rl (ix+dd)', {af: 0x1fd1, bc: 0x6d53, de: 0x5b7c, hl: 0xa134, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xede9, iy: 0xa85c, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x07, 0x15]], [0xedf0, [0x0e]]], 0xff, {registers: {af: 0x1f0c, bc: 0x6d53, de: 0x5b7c, hl: 0xa11d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xede9, iy: 0xa85c, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xedf0: 0x1d}, io: [], cycles: 0x17}],
+  ['ddcb16', 'rl (ix+dd)', {af: 0xda70, bc: 0xa1e4, de: 0xb0, hl: 0x92c8, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x16be, iy: 0x2c95, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x45, 0x16]], [0x1703, [0x5b]]], 0xff, {registers: {af: 0xdaa0, bc: 0xa1e4, de: 0xb0, hl: 0x92c8, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x16be, iy: 0x2c95, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x1703: 0xb6}, io: [], cycles: 0x17}],
+  ['ddcb17', 'ld a,rl (ix+dd)', {af: 0x3300, bc: 0xcbd1, de: 0x4e1a, hl: 0xcd27, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb8c9, iy: 0xe6d4, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x1c, 0x17]], [0xb8e5, [0x7e]]], 0xff, {registers: {af: 0xfcac, bc: 0xcbd1, de: 0x4e1a, hl: 0xcd27, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb8c9, iy: 0xe6d4, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xb8e5: 0xfc}, io: [], cycles: 0x17}],
+  ['ddcb18', 'ld b,rr (ix+dd)', {af: 0xd980, bc: 0x4eb5, de: 0x9cf9, hl: 0xb9f1, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa189, iy: 0xbd7c, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x0e, 0x18]], [0xa197, [0x90]]], 0xff, {registers: {af: 0xd90c, bc: 0x48b5, de: 0x9cf9, hl: 0xb9f1, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa189, iy: 0xbd7c, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xa197: 0x48}, io: [], cycles: 0x17}],
+  ['ddcb19', 'ld c,rr (ix+dd)', {af: 0x23b7, bc: 0x595a, de: 0xa756, hl: 0xcf2e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xf0e7, iy: 0x26e4, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xa3, 0x19]], [0xf08a, [0x37]]], 0xff, {registers: {af: 0x2389, bc: 0x599b, de: 0xa756, hl: 0xcf2e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xf0e7, iy: 0x26e4, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xf08a: 0x9b}, io: [], cycles: 0x17}],
+  ['ddcb1a', 'ld d,rr (ix+dd)', {af: 0x8b52, bc: 0x7e45, de: 0xbd0f, hl: 0x37a6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xde61, iy: 0x9cd9, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xac, 0x1a]], [0xde0d, [0xcc]]], 0xff, {registers: {af: 0x8b24, bc: 0x7e45, de: 0x660f, hl: 0x37a6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xde61, iy: 0x9cd9, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xde0d: 0x66}, io: [], cycles: 0x17}],
+  ['ddcb1b', 'ld e,rr (ix+dd)', {af: 0x5c79, bc: 0x1414, de: 0x811c, hl: 0x5881, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb7c3, iy: 0xd14f, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x05, 0x1b]], [0xb7c8, [0x91]]], 0xff, {registers: {af: 0x5c89, bc: 0x1414, de: 0x81c8, hl: 0x5881, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb7c3, iy: 0xd14f, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xb7c8: 0xc8}, io: [], cycles: 0x17}],
+  ['ddcb1c', 'ld h,rr (ix+dd)', {af: 0xfafc, bc: 0x6277, de: 0x8b67, hl: 0xd423, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xfef9, iy: 0x4a66, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xff, 0x1c]], [0xfef8, [0x61]]], 0xff, {registers: {af: 0xfa25, bc: 0x6277, de: 0x8b67, hl: 0x3023, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xfef9, iy: 0x4a66, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xfef8: 0x30}, io: [], cycles: 0x17}],
+  ['ddcb1d', 'ld l,rr (ix+dd)', {af: 0x76a5, bc: 0x324e, de: 0xe641, hl: 0x58f9, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5b63, iy: 0xe18b, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x3a, 0x1d]], [0x5b9d, [0xf3]]], 0xff, {registers: {af: 0x76ad, bc: 0x324e, de: 0xe641, hl: 0x58f9, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5b63, iy: 0xe18b, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x5b9d: 0xf9}, io: [], cycles: 0x17}],
+  ['ddcb1e', 'rr (ix+dd)', {af: 0xc5d9, bc: 0xcd58, de: 0x8967, hl: 0xf074, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x75b4, iy: 0x693a, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xce, 0x1e]], [0x7582, [0x91]]], 0xff, {registers: {af: 0xc589, bc: 0xcd58, de: 0x8967, hl: 0xf074, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x75b4, iy: 0x693a, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x7582: 0xc8}, io: [], cycles: 0x17}],
+  ['ddcb1f', 'ld a,rr (ix+dd)', {af: 0xd28f, bc: 0x7f6d, de: 0x2058, hl: 0x63e3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1d9b, iy: 0xbaba, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xa8, 0x1f]], [0x1d43, [0xb4]]], 0xff, {registers: {af: 0xda88, bc: 0x7f6d, de: 0x2058, hl: 0x63e3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1d9b, iy: 0xbaba, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x1d43: 0xda}, io: [], cycles: 0x17}],
+  ['ddcb20', 'ld b,sla (ix+dd)', {af: 0x4ce5, bc: 0x739e, de: 0xdc6c, hl: 0x18f4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xdc39, iy: 0x8b0c, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xe8, 0x20]], [0xdc21, [0x0e]]], 0xff, {registers: {af: 0x4c08, bc: 0x1c9e, de: 0xdc6c, hl: 0x18f4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xdc39, iy: 0x8b0c, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xdc21: 0x1c}, io: [], cycles: 0x17}],
+  ['ddcb21', 'ld c,sla (ix+dd)', {af: 0xd29d, bc: 0x66dd, de: 0x23ef, hl: 0x9096, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3494, iy: 0xb6c3, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x9e, 0x21]], [0x3432, [0xf7]]], 0xff, {registers: {af: 0xd2ad, bc: 0x66ee, de: 0x23ef, hl: 0x9096, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3494, iy: 0xb6c3, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x3432: 0xee}, io: [], cycles: 0x17}],
+  ['ddcb22', 'ld d,sla (ix+dd)', {af: 0xfb5d, bc: 0xe0d0, de: 0x7c02, hl: 0xb4b7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xbd3f, iy: 0x385b, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x43, 0x22]], [0xbd82, [0x9f]]], 0xff, {registers: {af: 0xfb29, bc: 0xe0d0, de: 0x3e02, hl: 0xb4b7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xbd3f, iy: 0x385b, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xbd82: 0x3e}, io: [], cycles: 0x17}],
+  ['ddcb23', 'ld e,sla (ix+dd)', {af: 0xc359, bc: 0x68b6, de: 0xda84, hl: 0xb990, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x22dd, iy: 0xbd27, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xc1, 0x23]], [0x229e, [0xe0]]], 0xff, {registers: {af: 0xc385, bc: 0x68b6, de: 0xdac0, hl: 0xb990, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x22dd, iy: 0xbd27, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x229e: 0xc0}, io: [], cycles: 0x17}],
+  ['ddcb24', 'ld h,sla (ix+dd)', {af: 0xbaf5, bc: 0x7b0b, de: 0x560b, hl: 0x7c33, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x31f1, iy: 0xddbd, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xe8, 0x24]], [0x31d9, [0xc3]]], 0xff, {registers: {af: 0xba81, bc: 0x7b0b, de: 0x560b, hl: 0x8633, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x31f1, iy: 0xddbd, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x31d9: 0x86}, io: [], cycles: 0x17}],
+  ['ddcb25', 'ld l,sla (ix+dd)', {af: 0x43bb, bc: 0xa21b, de: 0x2347, hl: 0xae4a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xcc63, iy: 0xfc94, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xc1, 0x25]], [0xcc24, [0xeb]]], 0xff, {registers: {af: 0x4381, bc: 0xa21b, de: 0x2347, hl: 0xaed6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xcc63, iy: 0xfc94, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xcc24: 0xd6}, io: [], cycles: 0x17}],
+  ['ddcb26', 'sla (ix+dd)', {af: 0x2065, bc: 0xff37, de: 0xe41f, hl: 0x70e7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6528, iy: 0xa0d5, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xf7, 0x26]], [0x651f, [0x89]]], 0xff, {registers: {af: 0x2005, bc: 0xff37, de: 0xe41f, hl: 0x70e7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6528, iy: 0xa0d5, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x651f: 0x12}, io: [], cycles: 0x17}],
+  ['ddcb27', 'ld a,sla (ix+dd)', {af: 0xa806, bc: 0x5669, de: 0x1bee, hl: 0xf62c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1f69, iy: 0x3418, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xc3, 0x27]], [0x1f2c, [0xac]]], 0xff, {registers: {af: 0x5809, bc: 0x5669, de: 0x1bee, hl: 0xf62c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1f69, iy: 0x3418, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x1f2c: 0x58}, io: [], cycles: 0x17}],
+  ['ddcb28', 'ld b,sra (ix+dd)', {af: 0x7afd, bc: 0x64b8, de: 0x51f7, hl: 0x7164, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x999b, iy: 0x8857, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xb6, 0x28]], [0x9951, [0x24]]], 0xff, {registers: {af: 0x7a04, bc: 0x12b8, de: 0x51f7, hl: 0x7164, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x999b, iy: 0x8857, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x9951: 0x12}, io: [], cycles: 0x17}],
+  ['ddcb29', 'ld c,sra (ix+dd)', {af: 0x0404, bc: 0xb794, de: 0x323f, hl: 0xfd34, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x20e7, iy: 0xc753, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x9c, 0x29]], [0x2083, [0x82]]], 0xff, {registers: {af: 0x0480, bc: 0xb7c1, de: 0x323f, hl: 0xfd34, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x20e7, iy: 0xc753, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x2083: 0xc1}, io: [], cycles: 0x17}],
+  ['ddcb2a', 'ld d,sra (ix+dd)', {af: 0x4524, bc: 0xafde, de: 0x0c08, hl: 0x75d7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9505, iy: 0xb624, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xd8, 0x2a]], [0x94dd, [0x7c]]], 0xff, {registers: {af: 0x4528, bc: 0xafde, de: 0x3e08, hl: 0x75d7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9505, iy: 0xb624, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x94dd: 0x3e}, io: [], cycles: 0x17}],
+  ['ddcb2b', 'ld e,sra (ix+dd)', {af: 0x8324, bc: 0xe290, de: 0x26be, hl: 0x7ddd, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb484, iy: 0x571c, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xbd, 0x2b]], [0xb441, [0x44]]], 0xff, {registers: {af: 0x8324, bc: 0xe290, de: 0x2622, hl: 0x7ddd, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb484, iy: 0x571c, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xb441: 0x22}, io: [], cycles: 0x17}],
+  ['ddcb2c', 'ld h,sra (ix+dd)', {af: 0xc688, bc: 0x0c94, de: 0x6e4b, hl: 0x7dc7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xfe28, iy: 0xdc80, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x2c, 0x2c]], [0xfe54, [0x81]]], 0xff, {registers: {af: 0xc685, bc: 0x0c94, de: 0x6e4b, hl: 0xc0c7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xfe28, iy: 0xdc80, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xfe54: 0xc0}, io: [], cycles: 0x17}],
+  ['ddcb2d', 'ld l,sra (ix+dd)', {af: 0xce28, bc: 0xd2ae, de: 0xc9be, hl: 0x4236, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb4ed, iy: 0x6de3, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x9b, 0x2d]], [0xb488, [0x44]]], 0xff, {registers: {af: 0xce24, bc: 0xd2ae, de: 0xc9be, hl: 0x4222, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb4ed, iy: 0x6de3, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xb488: 0x22}, io: [], cycles: 0x17}],
+  ['ddcb2e', 'sra (ix+dd)', {af: 0x50b0, bc: 0xde74, de: 0xeca8, hl: 0x83ff, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x69d8, iy: 0x75c7, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x3d, 0x2e]], [0x6a15, [0x05]]], 0xff, {registers: {af: 0x5001, bc: 0xde74, de: 0xeca8, hl: 0x83ff, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x69d8, iy: 0x75c7, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x6a15: 0x02}, io: [], cycles: 0x17}],
+  ['ddcb2f', 'ld a,sra (ix+dd)', {af: 0xaec6, bc: 0x759b, de: 0x3059, hl: 0x01b9, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7a30, iy: 0xdd56, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xd3, 0x2f]], [0x7a03, [0xf2]]], 0xff, {registers: {af: 0xf9ac, bc: 0x759b, de: 0x3059, hl: 0x01b9, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7a30, iy: 0xdd56, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x7a03: 0xf9}, io: [], cycles: 0x17}],
+  ['ddcb30', 'ld b,sll (ix+dd)', {af: 0x3c89, bc: 0x96ad, de: 0x9cc7, hl: 0xa68c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xeee8, iy: 0x5a80, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xdf, 0x30]], [0xeec7, [0x32]]], 0xff, {registers: {af: 0x3c24, bc: 0x65ad, de: 0x9cc7, hl: 0xa68c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xeee8, iy: 0x5a80, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xeec7: 0x65}, io: [], cycles: 0x17}],
+  ['ddcb31', 'ld c,sll (ix+dd)', {af: 0xebf5, bc: 0x41e9, de: 0x929b, hl: 0x7d47, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xf22d, iy: 0x8943, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x49, 0x31]], [0xf276, [0xcd]]], 0xff, {registers: {af: 0xeb89, bc: 0x419b, de: 0x929b, hl: 0x7d47, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xf22d, iy: 0x8943, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xf276: 0x9b}, io: [], cycles: 0x17}],
+  ['ddcb32', 'ld d,sll (ix+dd)', {af: 0x9a1b, bc: 0xaa64, de: 0x4209, hl: 0x01ad, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x579f, iy: 0xec4c, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xe0, 0x32]], [0x577f, [0xe2]]], 0xff, {registers: {af: 0x9a85, bc: 0xaa64, de: 0xc509, hl: 0x01ad, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x579f, iy: 0xec4c, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x577f: 0xc5}, io: [], cycles: 0x17}],
+  ['ddcb33', 'ld e,sll (ix+dd)', {af: 0xb8b1, bc: 0xb854, de: 0x524f, hl: 0x9599, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xefac, iy: 0xd9ec, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xc9, 0x33]], [0xef75, [0x0b]]], 0xff, {registers: {af: 0xb804, bc: 0xb854, de: 0x5217, hl: 0x9599, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xefac, iy: 0xd9ec, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xef75: 0x17}, io: [], cycles: 0x17}],
+  ['ddcb34', 'ld h,sll (ix+dd)', {af: 0xcd3c, bc: 0x4432, de: 0x20d4, hl: 0x0b3e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xab48, iy: 0xc95f, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x49, 0x34]], [0xab91, [0xef]]], 0xff, {registers: {af: 0xcd89, bc: 0x4432, de: 0x20d4, hl: 0xdf3e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xab48, iy: 0xc95f, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xab91: 0xdf}, io: [], cycles: 0x17}],
+  ['ddcb35', 'ld l,sll (ix+dd)', {af: 0xdeb1, bc: 0xc6fc, de: 0x696d, hl: 0x150d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xeb1a, iy: 0x4a12, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xb9, 0x35]], [0xead3, [0x8f]]], 0xff, {registers: {af: 0xde09, bc: 0xc6fc, de: 0x696d, hl: 0x151f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xeb1a, iy: 0x4a12, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xead3: 0x1f}, io: [], cycles: 0x17}],
+  ['ddcb36', 'sll (ix+dd)', {af: 0x3d81, bc: 0x443b, de: 0xff21, hl: 0x63e3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x132e, iy: 0xfb39, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xb4, 0x36]], [0x12e2, [0x02]]], 0xff, {registers: {af: 0x3d04, bc: 0x443b, de: 0xff21, hl: 0x63e3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x132e, iy: 0xfb39, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x12e2: 0x05}, io: [], cycles: 0x17}],
+  ['ddcb37', 'ld a,sll (ix+dd)', {af: 0x72d9, bc: 0xbfc9, de: 0xa69a, hl: 0xec0b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5077, iy: 0x4e3e, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xc6, 0x37]], [0x503d, [0x3d]]], 0xff, {registers: {af: 0x7b2c, bc: 0xbfc9, de: 0xa69a, hl: 0xec0b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5077, iy: 0x4e3e, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x503d: 0x7b}, io: [], cycles: 0x17}],
+  ['ddcb38', 'ld b,srl (ix+dd)', {af: 0x3c64, bc: 0xb1ee, de: 0x38e1, hl: 0xae9f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xf695, iy: 0x44b3, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x8e, 0x38]], [0xf623, [0x5e]]], 0xff, {registers: {af: 0x3c28, bc: 0x2fee, de: 0x38e1, hl: 0xae9f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xf695, iy: 0x44b3, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xf623: 0x2f}, io: [], cycles: 0x17}],
+  ['ddcb39', 'ld c,srl (ix+dd)', {af: 0x05d6, bc: 0x9aad, de: 0xa2db, hl: 0xdf75, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa895, iy: 0xe243, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xdc, 0x39]], [0xa871, [0x83]]], 0xff, {registers: {af: 0x0505, bc: 0x9a41, de: 0xa2db, hl: 0xdf75, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa895, iy: 0xe243, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xa871: 0x41}, io: [], cycles: 0x17}],
+  ['ddcb3a', 'ld d,srl (ix+dd)', {af: 0x0e22, bc: 0x0b9f, de: 0x873b, hl: 0xc01d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x2591, iy: 0x49c3, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x0d, 0x3a]], [0x259e, [0x89]]], 0xff, {registers: {af: 0x0e05, bc: 0x0b9f, de: 0x443b, hl: 0xc01d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x2591, iy: 0x49c3, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x259e: 0x44}, io: [], cycles: 0x17}],
+  ['ddcb3b', 'ld e,srl (ix+dd)', {af: 0x1bd9, bc: 0xc795, de: 0xd8ae, hl: 0x7ccf, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6fed, iy: 0x09dc, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x20, 0x3b]], [0x700d, [0xa9]]], 0xff, {registers: {af: 0x1b01, bc: 0xc795, de: 0xd854, hl: 0x7ccf, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6fed, iy: 0x09dc, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x700d: 0x54}, io: [], cycles: 0x17}],
+  ['ddcb3c', 'ld h,srl (ix+dd)', {af: 0xb651, bc: 0xbdf7, de: 0xfca3, hl: 0x7529, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xf53b, iy: 0x018b, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xe1, 0x3c]], [0xf51c, [0xd0]]], 0xff, {registers: {af: 0xb628, bc: 0xbdf7, de: 0xfca3, hl: 0x6829, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xf53b, iy: 0x018b, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xf51c: 0x68}, io: [], cycles: 0x17}],
+  ['ddcb3d', 'ld l,srl (ix+dd)', {af: 0x2a2d, bc: 0x6e6e, de: 0xcfbd, hl: 0x1db5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0320, iy: 0x6ab0, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xbe, 0x3d]], [0x02de, [0x58]]], 0xff, {registers: {af: 0x2a28, bc: 0x6e6e, de: 0xcfbd, hl: 0x1d2c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0320, iy: 0x6ab0, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x02de: 0x2c}, io: [], cycles: 0x17}],
+  ['ddcb3e', 'srl (ix+dd)', {af: 0x39b8, bc: 0xb26e, de: 0xb670, hl: 0xb8a2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x784a, iy: 0x7840, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x0a, 0x3e]], [0x7854, [0x5d]]], 0xff, {registers: {af: 0x392d, bc: 0xb26e, de: 0xb670, hl: 0xb8a2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x784a, iy: 0x7840, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x7854: 0x2e}, io: [], cycles: 0x17}],
+  ['ddcb3f', 'ld a,srl (ix+dd)', {af: 0x2a17, bc: 0x429d, de: 0xd8c0, hl: 0xe069, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3488, iy: 0x7150, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x31, 0x3f]], [0x34b9, [0x04]]], 0xff, {registers: {af: 0x0200, bc: 0x429d, de: 0xd8c0, hl: 0xe069, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3488, iy: 0x7150, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x34b9: 0x02}, io: [], cycles: 0x17}],
+  ['ddcb40', 'bit 0,(ix+dd)', {af: 0x119b, bc: 0xf6ba, de: 0x079e, hl: 0x0e41, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x8c01, iy: 0xcd21, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xbd, 0x40]], [0x8bbe, [0xe7]]], 0xd7, {registers: {af: 0x1111, bc: 0xf6ba, de: 0x079e, hl: 0x0e41, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x8c01, iy: 0xcd21, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb41', 'bit 0,(ix+dd)', {af: 0x22b3, bc: 0xc4b0, de: 0x575b, hl: 0x66b4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xcdcf, iy: 0xa25c, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x52, 0x41]], [0xce21, [0x75]]], 0xd7, {registers: {af: 0x2211, bc: 0xc4b0, de: 0x575b, hl: 0x66b4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xcdcf, iy: 0xa25c, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb42', 'bit 0,(ix+dd)', {af: 0xaf5e, bc: 0x7720, de: 0xaa95, hl: 0x3b0a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xf03a, iy: 0x856a, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x1e, 0x42]], [0xf058, [0x90]]], 0xd7, {registers: {af: 0xaf54, bc: 0x7720, de: 0xaa95, hl: 0x3b0a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xf03a, iy: 0x856a, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb43', 'bit 0,(ix+dd)', {af: 0x7fa6, bc: 0xb699, de: 0x5e71, hl: 0x1827, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe8b6, iy: 0x96a8, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xbc, 0x43]], [0xe872, [0x6b]]], 0xd7, {registers: {af: 0x7f10, bc: 0xb699, de: 0x5e71, hl: 0x1827, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe8b6, iy: 0x96a8, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb44', 'bit 0,(ix+dd)', {af: 0x5faa, bc: 0xde05, de: 0x12fd, hl: 0xf73b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xee0a, iy: 0x6634, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xe8, 0x44]], [0xedf2, [0x62]]], 0xd7, {registers: {af: 0x5f54, bc: 0xde05, de: 0x12fd, hl: 0xf73b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xee0a, iy: 0x6634, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb45', 'bit 0,(ix+dd)', {af: 0xeac7, bc: 0x699c, de: 0x47d3, hl: 0x89c3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa2be, iy: 0xd81e, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x02, 0x45]], [0xa2c0, [0x55]]], 0xd7, {registers: {af: 0xea11, bc: 0x699c, de: 0x47d3, hl: 0x89c3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa2be, iy: 0xd81e, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb46', 'bit 0,(ix+dd)', {af: 0x60de, bc: 0xac1d, de: 0x4173, hl: 0xf92a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa39f, iy: 0x12e5, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xe2, 0x46]], [0xa381, [0xd5]]], 0xd7, {registers: {af: 0x6010, bc: 0xac1d, de: 0x4173, hl: 0xf92a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa39f, iy: 0x12e5, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb47', 'bit 0,(ix+dd)', {af: 0x1b1a, bc: 0xf7c0, de: 0x22f6, hl: 0x5253, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5227, iy: 0x919d, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x7a, 0x47]], [0x52a1, [0x6a]]], 0xd7, {registers: {af: 0x1b54, bc: 0xf7c0, de: 0x22f6, hl: 0x5253, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5227, iy: 0x919d, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb48', 'bit 1,(ix+dd)', {af: 0x721a, bc: 0x4509, de: 0xd68f, hl: 0x3b3d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x2746, iy: 0x7f97, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x13, 0x48]], [0x2759, [0xa8]]], 0xd7, {registers: {af: 0x7254, bc: 0x4509, de: 0xd68f, hl: 0x3b3d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x2746, iy: 0x7f97, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb49', 'bit 1,(ix+dd)', {af: 0x7fe9, bc: 0xda22, de: 0xea9c, hl: 0xf480, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x41c6, iy: 0x75a9, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x94, 0x49]], [0x415a, [0x26]]], 0xd7, {registers: {af: 0x7f11, bc: 0xda22, de: 0xea9c, hl: 0xf480, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x41c6, iy: 0x75a9, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb4a', 'bit 1,(ix+dd)', {af: 0xf16d, bc: 0xe6c3, de: 0x5a42, hl: 0x8b21, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xbfeb, iy: 0xe383, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x3b, 0x4a]], [0xc026, [0xb5]]], 0xd7, {registers: {af: 0xf155, bc: 0xe6c3, de: 0x5a42, hl: 0x8b21, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xbfeb, iy: 0xe383, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb4b', 'bit 1,(ix+dd)', {af: 0x1050, bc: 0x880a, de: 0x52b2, hl: 0xfb1b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc239, iy: 0x6b40, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xb0, 0x4b]], [0xc1e9, [0x18]]], 0xd7, {registers: {af: 0x1054, bc: 0x880a, de: 0x52b2, hl: 0xfb1b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc239, iy: 0x6b40, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb4c', 'bit 1,(ix+dd)', {af: 0x0538, bc: 0xbc63, de: 0xf081, hl: 0x0a55, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x874c, iy: 0x80a3, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x97, 0x4c]], [0x86e3, [0x63]]], 0xd7, {registers: {af: 0x0510, bc: 0xbc63, de: 0xf081, hl: 0x0a55, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x874c, iy: 0x80a3, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb4d', 'bit 1,(ix+dd)', {af: 0x7f8c, bc: 0x32b4, de: 0x03d5, hl: 0xef66, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7d2a, iy: 0x03bc, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x15, 0x4d]], [0x7d3f, [0x60]]], 0xd7, {registers: {af: 0x7f54, bc: 0x32b4, de: 0x03d5, hl: 0xef66, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7d2a, iy: 0x03bc, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb4e', 'bit 1,(ix+dd)', {af: 0x7c67, bc: 0xfa92, de: 0xb4d0, hl: 0x9f23, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xeade, iy: 0x1785, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xb0, 0x4e]], [0xea8e, [0x3b]]], 0xd7, {registers: {af: 0x7c11, bc: 0xfa92, de: 0xb4d0, hl: 0x9f23, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xeade, iy: 0x1785, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb4f', 'bit 1,(ix+dd)', {af: 0x725c, bc: 0x257b, de: 0xdb73, hl: 0x2478, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x88c0, iy: 0xf151, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x8b, 0x4f]], [0x884b, [0x4c]]], 0xd7, {registers: {af: 0x7254, bc: 0x257b, de: 0xdb73, hl: 0x2478, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x88c0, iy: 0xf151, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb50', 'bit 2,(ix+dd)', {af: 0x35f4, bc: 0x8e51, de: 0x406c, hl: 0x2e3c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xdaf2, iy: 0x413c, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x12, 0x50]], [0xdb04, [0x00]]], 0xd7, {registers: {af: 0x3554, bc: 0x8e51, de: 0x406c, hl: 0x2e3c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xdaf2, iy: 0x413c, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb51', 'bit 2,(ix+dd)', {af: 0xa630, bc: 0xba85, de: 0xc88c, hl: 0xe86c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x84b2, iy: 0xcd8e, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x18, 0x51]], [0x84ca, [0x1c]]], 0xd7, {registers: {af: 0xa610, bc: 0xba85, de: 0xc88c, hl: 0xe86c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x84b2, iy: 0xcd8e, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb52', 'bit 2,(ix+dd)', {af: 0xcb88, bc: 0x1220, de: 0x1103, hl: 0xa868, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6156, iy: 0xcfac, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x42, 0x52]], [0x6198, [0x53]]], 0xd7, {registers: {af: 0xcb54, bc: 0x1220, de: 0x1103, hl: 0xa868, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6156, iy: 0xcfac, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb53', 'bit 2,(ix+dd)', {af: 0x5eb3, bc: 0x569e, de: 0xf76d, hl: 0x88c6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xae45, iy: 0x623e, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xe3, 0x53]], [0xae28, [0xd6]]], 0xd7, {registers: {af: 0x5e11, bc: 0x569e, de: 0xf76d, hl: 0x88c6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xae45, iy: 0x623e, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb54', 'bit 2,(ix+dd)', {af: 0xc3c9, bc: 0x76fe, de: 0xf1ff, hl: 0x416e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xefd5, iy: 0x7576, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x7d, 0x54]], [0xf052, [0x5d]]], 0xd7, {registers: {af: 0xc311, bc: 0x76fe, de: 0xf1ff, hl: 0x416e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xefd5, iy: 0x7576, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb55', 'bit 2,(ix+dd)', {af: 0x7068, bc: 0xdcd0, de: 0x8345, hl: 0xd498, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xf352, iy: 0xa88b, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x88, 0x55]], [0xf2da, [0x03]]], 0xd7, {registers: {af: 0x7054, bc: 0xdcd0, de: 0x8345, hl: 0xd498, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xf352, iy: 0xa88b, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb56', 'bit 2,(ix+dd)', {af: 0x9128, bc: 0x2cb8, de: 0x571c, hl: 0xf4fd, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6d30, iy: 0xaec2, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x57, 0x56]], [0x6d87, [0x61]]], 0xd7, {registers: {af: 0x9154, bc: 0x2cb8, de: 0x571c, hl: 0xf4fd, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6d30, iy: 0xaec2, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb57', 'bit 2,(ix+dd)', {af: 0x3ca7, bc: 0x541a, de: 0x027c, hl: 0xc0b4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5833, iy: 0x160a, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x06, 0x57]], [0x5839, [0x1d]]], 0xd7, {registers: {af: 0x3c11, bc: 0x541a, de: 0x027c, hl: 0xc0b4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5833, iy: 0x160a, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb58', 'bit 3,(ix+dd)', {af: 0xc650, bc: 0xe1a8, de: 0x9d6c, hl: 0xbec3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6a46, iy: 0xb66c, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x83, 0x58]], [0x69c9, [0x0f]]], 0xd7, {registers: {af: 0xc610, bc: 0xe1a8, de: 0x9d6c, hl: 0xbec3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6a46, iy: 0xb66c, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb59', 'bit 3,(ix+dd)', {af: 0xad07, bc: 0x9bda, de: 0xb7ee, hl: 0x63c4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9195, iy: 0x9703, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xdb, 0x59]], [0x9170, [0x10]]], 0xd7, {registers: {af: 0xad55, bc: 0x9bda, de: 0xb7ee, hl: 0x63c4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9195, iy: 0x9703, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb5a', 'bit 3,(ix+dd)', {af: 0x80c0, bc: 0x5105, de: 0x36b0, hl: 0xa37c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0de0, iy: 0xce7f, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xd1, 0x5a]], [0x0db1, [0xbe]]], 0xd7, {registers: {af: 0x8010, bc: 0x5105, de: 0x36b0, hl: 0xa37c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0de0, iy: 0xce7f, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb5b', 'bit 3,(ix+dd)', {af: 0x2a8d, bc: 0x083d, de: 0x1409, hl: 0x06ba, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x62ad, iy: 0xbaff, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xd5, 0x5b]], [0x6282, [0x67]]], 0xd7, {registers: {af: 0x2a55, bc: 0x083d, de: 0x1409, hl: 0x06ba, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x62ad, iy: 0xbaff, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb5c', 'bit 3,(ix+dd)', {af: 0x4ca4, bc: 0xe502, de: 0xd23c, hl: 0x6da8, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9dc6, iy: 0x6f04, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x5c, 0x5c]], [0x9e22, [0xc9]]], 0xd7, {registers: {af: 0x4c10, bc: 0xe502, de: 0xd23c, hl: 0x6da8, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9dc6, iy: 0x6f04, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb5d', 'bit 3,(ix+dd)', {af: 0x7e39, bc: 0x511b, de: 0x3cfa, hl: 0x60d3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd193, iy: 0x3fe9, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xff, 0x5d]], [0xd192, [0x0d]]], 0xd7, {registers: {af: 0x7e11, bc: 0x511b, de: 0x3cfa, hl: 0x60d3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd193, iy: 0x3fe9, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb5e', 'bit 3,(ix+dd)', {af: 0xcef1, bc: 0x0235, de: 0xe2b1, hl: 0x7a4c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xed14, iy: 0xd0d6, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x62, 0x5e]], [0xed76, [0xa7]]], 0xd7, {registers: {af: 0xce55, bc: 0x0235, de: 0xe2b1, hl: 0x7a4c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xed14, iy: 0xd0d6, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb5f', 'bit 3,(ix+dd)', {af: 0x094f, bc: 0x20a8, de: 0x52e1, hl: 0xd783, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xdf46, iy: 0xda41, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x3f, 0x5f]], [0xdf85, [0x9e]]], 0xd7, {registers: {af: 0x0911, bc: 0x20a8, de: 0x52e1, hl: 0xd783, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xdf46, iy: 0xda41, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb60', 'bit 4,(ix+dd)', {af: 0x42ce, bc: 0x0713, de: 0xdc90, hl: 0x2c89, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x32a2, iy: 0xc4d4, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x65, 0x60]], [0x3307, [0x2e]]], 0xd7, {registers: {af: 0x4254, bc: 0x0713, de: 0xdc90, hl: 0x2c89, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x32a2, iy: 0xc4d4, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb61', 'bit 4,(ix+dd)', {af: 0x1b36, bc: 0x1403, de: 0x8b9b, hl: 0xc221, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x36cb, iy: 0x93d4, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xa8, 0x61]], [0x3673, [0xbc]]], 0xd7, {registers: {af: 0x1b10, bc: 0x1403, de: 0x8b9b, hl: 0xc221, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x36cb, iy: 0x93d4, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb62', 'bit 4,(ix+dd)', {af: 0x361b, bc: 0x4055, de: 0x650a, hl: 0x3f98, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0acc, iy: 0xa102, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xd9, 0x62]], [0x0aa5, [0xea]]], 0xd7, {registers: {af: 0x3655, bc: 0x4055, de: 0x650a, hl: 0x3f98, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0acc, iy: 0xa102, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb63', 'bit 4,(ix+dd)', {af: 0x6548, bc: 0x08df, de: 0x3ceb, hl: 0x6d24, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe679, iy: 0xf98e, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x79, 0x63]], [0xe6f2, [0x83]]], 0xd7, {registers: {af: 0x6554, bc: 0x08df, de: 0x3ceb, hl: 0x6d24, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe679, iy: 0xf98e, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb64', 'bit 4,(ix+dd)', {af: 0x3c22, bc: 0xe2a7, de: 0x6da9, hl: 0xc346, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xecfb, iy: 0x85b6, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x71, 0x64]], [0xed6c, [0x52]]], 0xd7, {registers: {af: 0x3c10, bc: 0xe2a7, de: 0x6da9, hl: 0xc346, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xecfb, iy: 0x85b6, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb65', 'bit 4,(ix+dd)', {af: 0x09bd, bc: 0x0abb, de: 0x3afa, hl: 0x91f5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7779, iy: 0xaef5, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x67, 0x65]], [0x77e0, [0xf5]]], 0xd7, {registers: {af: 0x0911, bc: 0x0abb, de: 0x3afa, hl: 0x91f5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7779, iy: 0xaef5, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb66', 'bit 4,(ix+dd)', {af: 0xccbc, bc: 0xd301, de: 0x9b66, hl: 0x40fb, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xee15, iy: 0x0d23, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x63, 0x66]], [0xee78, [0x70]]], 0xd7, {registers: {af: 0xcc10, bc: 0xd301, de: 0x9b66, hl: 0x40fb, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xee15, iy: 0x0d23, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb67', 'bit 4,(ix+dd)', {af: 0xeccb, bc: 0x342f, de: 0xbe3e, hl: 0xa79b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xeea1, iy: 0xdfae, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xd7, 0x67]], [0xee78, [0x06]]], 0xd7, {registers: {af: 0xec55, bc: 0x342f, de: 0xbe3e, hl: 0xa79b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xeea1, iy: 0xdfae, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb68', 'bit 5,(ix+dd)', {af: 0x8e51, bc: 0x63, de: 0x49ad, hl: 0xb7d4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe968, iy: 0x864e, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xb1, 0x68]], [0xe919, [0x20]]], 0xd7, {registers: {af: 0x8e11, bc: 0x63, de: 0x49ad, hl: 0xb7d4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe968, iy: 0x864e, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb69', 'bit 5,(ix+dd)', {af: 0x9f11, bc: 0x42b5, de: 0x74fe, hl: 0x1116, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x33f4, iy: 0x46c2, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xe8, 0x69]], [0x33dc, [0x4f]]], 0xd7, {registers: {af: 0x9f55, bc: 0x42b5, de: 0x74fe, hl: 0x1116, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x33f4, iy: 0x46c2, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb6a', 'bit 5,(ix+dd)', {af: 0x4632, bc: 0x0bd8, de: 0x18, hl: 0x1ac3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x86b6, iy: 0x1dd2, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x33, 0x6a]], [0x86e9, [0x1c]]], 0xd7, {registers: {af: 0x4654, bc: 0x0bd8, de: 0x18, hl: 0x1ac3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x86b6, iy: 0x1dd2, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb6b', 'bit 5,(ix+dd)', {af: 0x7a76, bc: 0xf79f, de: 0xa78e, hl: 0xf867, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x187b, iy: 0x23, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x11, 0x6b]], [0x188c, [0xbc]]], 0xd7, {registers: {af: 0x7a10, bc: 0xf79f, de: 0xa78e, hl: 0xf867, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x187b, iy: 0x23, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb6c', 'bit 5,(ix+dd)', {af: 0xdd91, bc: 0x1f1e, de: 0xc1e1, hl: 0x0ea7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3e21, iy: 0xf544, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x5e, 0x6c]], [0x3e7f, [0x2a]]], 0xd7, {registers: {af: 0xdd11, bc: 0x1f1e, de: 0xc1e1, hl: 0x0ea7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3e21, iy: 0xf544, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb6d', 'bit 5,(ix+dd)', {af: 0xdebf, bc: 0x9ae4, de: 0xfd24, hl: 0xb3c2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe314, iy: 0xad84, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xdd, 0x6d]], [0xe2f1, [0x41]]], 0xd7, {registers: {af: 0xde55, bc: 0x9ae4, de: 0xfd24, hl: 0xb3c2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe314, iy: 0xad84, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb6e', 'bit 5,(ix+dd)', {af: 0xca75, bc: 0x9f16, de: 0xc700, hl: 0x1dce, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3086, iy: 0xd68e, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xb2, 0x6e]], [0x3038, [0x3f]]], 0xd7, {registers: {af: 0xca11, bc: 0x9f16, de: 0xc700, hl: 0x1dce, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3086, iy: 0xd68e, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb6f', 'bit 5,(ix+dd)', {af: 0xd4cd, bc: 0x0b39, de: 0x3e2e, hl: 0xc06e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xfc1b, iy: 0xd592, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xbe, 0x6f]], [0xfbd9, [0x56]]], 0xd7, {registers: {af: 0xd455, bc: 0x0b39, de: 0x3e2e, hl: 0xc06e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xfc1b, iy: 0xd592, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb70', 'bit 6,(ix+dd)', {af: 0xf901, bc: 0x09b8, de: 0x43f8, hl: 0x2a76, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x042c, iy: 0x7f2d, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xb5, 0x70]], [0x03e1, [0x74]]], 0xd7, {registers: {af: 0xf911, bc: 0x09b8, de: 0x43f8, hl: 0x2a76, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x042c, iy: 0x7f2d, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb71', 'bit 6,(ix+dd)', {af: 0xac78, bc: 0x36ad, de: 0x34cb, hl: 0xf950, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1b33, iy: 0xaa23, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xf7, 0x71]], [0x1b2a, [0x08]]], 0xd7, {registers: {af: 0xac54, bc: 0x36ad, de: 0x34cb, hl: 0xf950, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1b33, iy: 0xaa23, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb72', 'bit 6,(ix+dd)', {af: 0xb1b3, bc: 0xf1e4, de: 0x9984, hl: 0xc7fb, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xce25, iy: 0xc5b6, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x22, 0x72]], [0xce47, [0x08]]], 0xd7, {registers: {af: 0xb155, bc: 0xf1e4, de: 0x9984, hl: 0xc7fb, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xce25, iy: 0xc5b6, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb73', 'bit 6,(ix+dd)', {af: 0x21ba, bc: 0x592d, de: 0xf406, hl: 0xe21f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6442, iy: 0xcf58, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x12, 0x73]], [0x6454, [0x3c]]], 0xd7, {registers: {af: 0x2154, bc: 0x592d, de: 0xf406, hl: 0xe21f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6442, iy: 0xcf58, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb74', 'bit 6,(ix+dd)', {af: 0x6642, bc: 0x64c1, de: 0xdbe5, hl: 0xeb48, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7dc1, iy: 0xc1fb, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x08, 0x74]], [0x7dc9, [0xbe]]], 0xd7, {registers: {af: 0x6654, bc: 0x64c1, de: 0xdbe5, hl: 0xeb48, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7dc1, iy: 0xc1fb, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb75', 'bit 6,(ix+dd)', {af: 0x8778, bc: 0x580e, de: 0xdd, hl: 0xf4c6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x60ad, iy: 0x9b60, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x5b, 0x75]], [0x6108, [0xcf]]], 0xd7, {registers: {af: 0x8710, bc: 0x580e, de: 0xdd, hl: 0xf4c6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x60ad, iy: 0x9b60, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb76', 'bit 6,(ix+dd)', {af: 0x65b8, bc: 0x5cc2, de: 0x3058, hl: 0xe258, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7e8a, iy: 0xb296, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x73, 0x76]], [0x7efd, [0x1e]]], 0xd7, {registers: {af: 0x6554, bc: 0x5cc2, de: 0x3058, hl: 0xe258, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7e8a, iy: 0xb296, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb77', 'bit 6,(ix+dd)', {af: 0xe3a8, bc: 0x47a0, de: 0xc510, hl: 0xcf0a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0537, iy: 0xb242, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x7f, 0x77]], [0x05b6, [0x97]]], 0xd7, {registers: {af: 0xe354, bc: 0x47a0, de: 0xc510, hl: 0xcf0a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0537, iy: 0xb242, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb78', 'bit 7,(ix+dd)', {af: 0x424f, bc: 0x24f6, de: 0x1632, hl: 0x8a4f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9397, iy: 0x846c, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x70, 0x78]], [0x9407, [0x76]]], 0xd7, {registers: {af: 0x4255, bc: 0x24f6, de: 0x1632, hl: 0x8a4f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9397, iy: 0x846c, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb79', 'bit 7,(ix+dd)', {af: 0xe6a0, bc: 0xeeaa, de: 0x41f7, hl: 0x5da2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x41de, iy: 0x4189, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xc3, 0x79]], [0x41a1, [0xb8]]], 0xd7, {registers: {af: 0xe690, bc: 0xeeaa, de: 0x41f7, hl: 0x5da2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x41de, iy: 0x4189, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb7a', 'bit 7,(ix+dd)', {af: 0xcabf, bc: 0x56aa, de: 0x6a06, hl: 0x6cd7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0aa9, iy: 0x9812, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x3f, 0x7a]], [0x0ae8, [0xeb]]], 0xd7, {registers: {af: 0xca91, bc: 0x56aa, de: 0x6a06, hl: 0x6cd7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0aa9, iy: 0x9812, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb7b', 'bit 7,(ix+dd)', {af: 0xae3f, bc: 0x0227, de: 0x721f, hl: 0x52a1, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5040, iy: 0xb98a, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x88, 0x7b]], [0x4fc8, [0x22]]], 0xd7, {registers: {af: 0xae55, bc: 0x0227, de: 0x721f, hl: 0x52a1, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5040, iy: 0xb98a, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb7c', 'bit 7,(ix+dd)', {af: 0x8a80, bc: 0xa2f1, de: 0x239a, hl: 0xd5cc, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6883, iy: 0xb050, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x9e, 0x7c]], [0x6821, [0x3a]]], 0xd7, {registers: {af: 0x8a54, bc: 0xa2f1, de: 0x239a, hl: 0xd5cc, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6883, iy: 0xb050, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb7d', 'bit 7,(ix+dd)', {af: 0xc37f, bc: 0xcf33, de: 0x1010, hl: 0x98e6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb021, iy: 0x0356, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x29, 0x7d]], [0xb04a, [0x2c]]], 0xd7, {registers: {af: 0xc355, bc: 0xcf33, de: 0x1010, hl: 0x98e6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb021, iy: 0x0356, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb7e', 'bit 7,(ix+dd)', {af: 0x9a25, bc: 0x2f6e, de: 0x0d0d, hl: 0xa83f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xcef0, iy: 0x8c15, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x4f, 0x7e]], [0xcf3f, [0xf2]]], 0xd7, {registers: {af: 0x9a91, bc: 0x2f6e, de: 0x0d0d, hl: 0xa83f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xcef0, iy: 0x8c15, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb7f', 'bit 7,(ix+dd)', {af: 0x53b9, bc: 0x1f4e, de: 0x4837, hl: 0x21b6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5ec2, iy: 0x80c3, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x75, 0x7f]], [0x5f37, [0xa2]]], 0xd7, {registers: {af: 0x5391, bc: 0x1f4e, de: 0x4837, hl: 0x21b6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5ec2, iy: 0x80c3, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ddcb80', 'ld b,res 0,(ix+dd)', {af: 0x6319, bc: 0xbaf9, de: 0xc84b, hl: 0xbcf2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xacc5, iy: 0xa4ed, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x70, 0x80]], [0xad35, [0x30]]], 0xff, {registers: {af: 0x6319, bc: 0x30f9, de: 0xc84b, hl: 0xbcf2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xacc5, iy: 0xa4ed, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcb81', 'ld c,res 0,(ix+dd)', {af: 0xfae1, bc: 0x5ae5, de: 0x9502, hl: 0xdc9b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xbdd3, iy: 0x1a52, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x2a, 0x81]], [0xbdfd, [0x24]]], 0xff, {registers: {af: 0xfae1, bc: 0x5a24, de: 0x9502, hl: 0xdc9b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xbdd3, iy: 0x1a52, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcb82', 'ld d,res 0,(ix+dd)', {af: 0xdaf6, bc: 0x3260, de: 0xf1ac, hl: 0x1d47, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5e74, iy: 0x35e2, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x9a, 0x82]], [0x5e0e, [0x51]]], 0xff, {registers: {af: 0xdaf6, bc: 0x3260, de: 0x50ac, hl: 0x1d47, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5e74, iy: 0x35e2, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x5e0e: 0x50}, io: [], cycles: 0x17}],
+  ['ddcb83', 'ld e,res 0,(ix+dd)', {af: 0x8e7c, bc: 0x5586, de: 0x8c92, hl: 0xfb00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3441, iy: 0xd365, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x0e, 0x83]], [0x344f, [0x01]]], 0xff, {registers: {af: 0x8e7c, bc: 0x5586, de: 0x8c00, hl: 0xfb00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3441, iy: 0xd365, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x344f: 0x00}, io: [], cycles: 0x17}],
+  ['ddcb84', 'ld h,res 0,(ix+dd)', {af: 0xc1b3, bc: 0x4874, de: 0xc535, hl: 0x0e1c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0123, iy: 0xdd28, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x47, 0x84]], [0x016a, [0xb0]]], 0xff, {registers: {af: 0xc1b3, bc: 0x4874, de: 0xc535, hl: 0xb01c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0123, iy: 0xdd28, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcb85', 'ld l,res 0,(ix+dd)', {af: 0x0928, bc: 0xb0db, de: 0x4e07, hl: 0xa7b7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0ba3, iy: 0xc61c, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x6c, 0x85]], [0x0c0f, [0xde]]], 0xff, {registers: {af: 0x0928, bc: 0xb0db, de: 0x4e07, hl: 0xa7de, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0ba3, iy: 0xc61c, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcb86', 'res 0,(ix+dd)', {af: 0x4515, bc: 0xde09, de: 0x3ce7, hl: 0x1fde, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x10c5, iy: 0x33ed, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x5c, 0x86]], [0x1121, [0x7c]]], 0xff, {registers: {af: 0x4515, bc: 0xde09, de: 0x3ce7, hl: 0x1fde, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x10c5, iy: 0x33ed, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcb87', 'ld a,res 0,(ix+dd)', {af: 0xd05e, bc: 0xa733, de: 0xd1dd, hl: 0x1603, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xede6, iy: 0xe5fb, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x02, 0x87]], [0xede8, [0xc4]]], 0xff, {registers: {af: 0xc45e, bc: 0xa733, de: 0xd1dd, hl: 0x1603, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xede6, iy: 0xe5fb, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcb88', 'ld b,res 1,(ix+dd)', {af: 0xe4fa, bc: 0x3325, de: 0xc266, hl: 0x1b13, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x878e, iy: 0xe695, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x9b, 0x88]], [0x8729, [0x7c]]], 0xff, {registers: {af: 0xe4fa, bc: 0x7c25, de: 0xc266, hl: 0x1b13, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x878e, iy: 0xe695, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcb89', 'ld c,res 1,(ix+dd)', {af: 0x933b, bc: 0x6fdd, de: 0xa3a8, hl: 0x2634, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x8f3e, iy: 0x7727, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x2b, 0x89]], [0x8f69, [0xcf]]], 0xff, {registers: {af: 0x933b, bc: 0x6fcd, de: 0xa3a8, hl: 0x2634, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x8f3e, iy: 0x7727, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x8f69: 0xcd}, io: [], cycles: 0x17}],
+  ['ddcb8a', 'ld d,res 1,(ix+dd)', {af: 0x6759, bc: 0xad1e, de: 0x5d71, hl: 0xce52, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x39a9, iy: 0x38a0, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x0a, 0x8a]], [0x39b3, [0xea]]], 0xff, {registers: {af: 0x6759, bc: 0xad1e, de: 0xe871, hl: 0xce52, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x39a9, iy: 0x38a0, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x39b3: 0xe8}, io: [], cycles: 0x17}],
+  ['ddcb8b', 'ld e,res 1,(ix+dd)', {af: 0x3da2, bc: 0x1833, de: 0x03c1, hl: 0x07e9, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1685, iy: 0xd790, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x62, 0x8b]], [0x16e7, [0x8a]]], 0xff, {registers: {af: 0x3da2, bc: 0x1833, de: 0x0388, hl: 0x07e9, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1685, iy: 0xd790, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x16e7: 0x88}, io: [], cycles: 0x17}],
+  ['ddcb8c', 'ld h,res 1,(ix+dd)', {af: 0xa625, bc: 0xed31, de: 0x3946, hl: 0x32dc, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc6a2, iy: 0x7ad6, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xe8, 0x8c]], [0xc68a, [0x3e]]], 0xff, {registers: {af: 0xa625, bc: 0xed31, de: 0x3946, hl: 0x3cdc, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc6a2, iy: 0x7ad6, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xc68a: 0x3c}, io: [], cycles: 0x17}],
+  ['ddcb8d', 'ld l,res 1,(ix+dd)', {af: 0x016b, bc: 0x5802, de: 0xa683, hl: 0x2549, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x22e6, iy: 0x33bb, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xcc, 0x8d]], [0x22b2, [0x9e]]], 0xff, {registers: {af: 0x016b, bc: 0x5802, de: 0xa683, hl: 0x259c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x22e6, iy: 0x33bb, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x22b2: 0x9c}, io: [], cycles: 0x17}],
+  ['ddcb8e', 'res 1,(ix+dd)', {af: 0xf4f4, bc: 0xf3a8, de: 0x2843, hl: 0x82cb, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd2e8, iy: 0xd367, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x0a, 0x8e]], [0xd2f2, [0x03]]], 0xff, {registers: {af: 0xf4f4, bc: 0xf3a8, de: 0x2843, hl: 0x82cb, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd2e8, iy: 0xd367, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xd2f2: 0x01}, io: [], cycles: 0x17}],
+  ['ddcb8f', 'ld a,res 1,(ix+dd)', {af: 0x6b1a, bc: 0x8ae2, de: 0x269b, hl: 0xcb2f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3ffe, iy: 0x75dd, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x7b, 0x8f]], [0x4079, [0x96]]], 0xff, {registers: {af: 0x941a, bc: 0x8ae2, de: 0x269b, hl: 0xcb2f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3ffe, iy: 0x75dd, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x4079: 0x94}, io: [], cycles: 0x17}],
+  ['ddcb90', 'ld b,res 2,(ix+dd)', {af: 0xc167, bc: 0x3dfc, de: 0x42e7, hl: 0x9e14, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb501, iy: 0x84fe, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x04, 0x90]], [0xb505, [0x46]]], 0xff, {registers: {af: 0xc167, bc: 0x42fc, de: 0x42e7, hl: 0x9e14, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb501, iy: 0x84fe, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xb505: 0x42}, io: [], cycles: 0x17}],
+  ['ddcb91', 'ld c,res 2,(ix+dd)', {af: 0xe85e, bc: 0xcc89, de: 0xd249, hl: 0xea3b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc987, iy: 0xc4d1, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x11, 0x91]], [0xc998, [0x83]]], 0xff, {registers: {af: 0xe85e, bc: 0xcc83, de: 0xd249, hl: 0xea3b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc987, iy: 0xc4d1, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcb92', 'ld d,res 2,(ix+dd)', {af: 0x28a3, bc: 0x85ff, de: 0xab28, hl: 0x47a5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9166, iy: 0xe755, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x4b, 0x92]], [0x91b1, [0xaa]]], 0xff, {registers: {af: 0x28a3, bc: 0x85ff, de: 0xaa28, hl: 0x47a5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9166, iy: 0xe755, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcb93', 'ld e,res 2,(ix+dd)', {af: 0x58ac, bc: 0xc88b, de: 0x6d24, hl: 0xdbdd, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xac2e, iy: 0x5199, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x03, 0x93]], [0xac31, [0x93]]], 0xff, {registers: {af: 0x58ac, bc: 0xc88b, de: 0x6d93, hl: 0xdbdd, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xac2e, iy: 0x5199, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcb94', 'ld h,res 2,(ix+dd)', {af: 0xe38d, bc: 0x35a5, de: 0x8d07, hl: 0xbfb8, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5e84, iy: 0x5f24, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x11, 0x94]], [0x5e95, [0xb7]]], 0xff, {registers: {af: 0xe38d, bc: 0x35a5, de: 0x8d07, hl: 0xb3b8, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5e84, iy: 0x5f24, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x5e95: 0xb3}, io: [], cycles: 0x17}],
+  ['ddcb95', 'ld l,res 2,(ix+dd)', {af: 0x41f4, bc: 0x9536, de: 0xdd7d, hl: 0x4948, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xfb74, iy: 0xf17d, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xe6, 0x95]], [0xfb5a, [0xc6]]], 0xff, {registers: {af: 0x41f4, bc: 0x9536, de: 0xdd7d, hl: 0x49c2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xfb74, iy: 0xf17d, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xfb5a: 0xc2}, io: [], cycles: 0x17}],
+  ['ddcb96', 'res 2,(ix+dd)', {af: 0x4a9e, bc: 0x42ef, de: 0x32d7, hl: 0x18cf, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7a81, iy: 0xbb1d, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xd5, 0x96]], [0x7a56, [0xae]]], 0xff, {registers: {af: 0x4a9e, bc: 0x42ef, de: 0x32d7, hl: 0x18cf, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7a81, iy: 0xbb1d, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x7a56: 0xaa}, io: [], cycles: 0x17}],
+  ['ddcb97', 'ld a,res 2,(ix+dd)', {af: 0x9ad3, bc: 0x89f0, de: 0x73c7, hl: 0x0b1a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x847c, iy: 0x4b86, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x92, 0x97]], [0x840e, [0x23]]], 0xff, {registers: {af: 0x23d3, bc: 0x89f0, de: 0x73c7, hl: 0x0b1a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x847c, iy: 0x4b86, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcb98', 'ld b,res 3,(ix+dd)', {af: 0x6e22, bc: 0xb9fd, de: 0x9fdc, hl: 0x3aed, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x041e, iy: 0xfd79, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xdc, 0x98]], [0x03fa, [0x58]]], 0xff, {registers: {af: 0x6e22, bc: 0x50fd, de: 0x9fdc, hl: 0x3aed, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x041e, iy: 0xfd79, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x03fa: 0x50}, io: [], cycles: 0x17}],
+  ['ddcb99', 'ld c,res 3,(ix+dd)', {af: 0xa132, bc: 0x3891, de: 0x1515, hl: 0x2830, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x09fd, iy: 0x0473, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x6d, 0x99]], [0x0a6a, [0xce]]], 0xff, {registers: {af: 0xa132, bc: 0x38c6, de: 0x1515, hl: 0x2830, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x09fd, iy: 0x0473, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x0a6a: 0xc6}, io: [], cycles: 0x17}],
+  ['ddcb9a', 'ld d,res 3,(ix+dd)', {af: 0x783d, bc: 0x8f69, de: 0x91c4, hl: 0xe38f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x68a8, iy: 0x391d, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x8a, 0x9a]], [0x6832, [0xa8]]], 0xff, {registers: {af: 0x783d, bc: 0x8f69, de: 0xa0c4, hl: 0xe38f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x68a8, iy: 0x391d, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x6832: 0xa0}, io: [], cycles: 0x17}],
+  ['ddcb9b', 'ld e,res 3,(ix+dd)', {af: 0x955a, bc: 0xc7b0, de: 0x53b3, hl: 0xaec6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x06ef, iy: 0xe991, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x97, 0x9b]], [0x0686, [0x62]]], 0xff, {registers: {af: 0x955a, bc: 0xc7b0, de: 0x5362, hl: 0xaec6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x06ef, iy: 0xe991, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcb9c', 'ld h,res 3,(ix+dd)', {af: 0xaf69, bc: 0xf896, de: 0xe791, hl: 0xa2ee, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x847b, iy: 0x59ed, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x54, 0x9c]], [0x84cf, [0x1b]]], 0xff, {registers: {af: 0xaf69, bc: 0xf896, de: 0xe791, hl: 0x13ee, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x847b, iy: 0x59ed, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x84cf: 0x13}, io: [], cycles: 0x17}],
+  ['ddcb9d', 'ld l,res 3,(ix+dd)', {af: 0x7d1e, bc: 0x5009, de: 0x1248, hl: 0x380c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe920, iy: 0x4fe6, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x0f, 0x9d]], [0xe92f, [0xe8]]], 0xff, {registers: {af: 0x7d1e, bc: 0x5009, de: 0x1248, hl: 0x38e0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe920, iy: 0x4fe6, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xe92f: 0xe0}, io: [], cycles: 0x17}],
+  ['ddcb9e', 'res 3,(ix+dd)', {af: 0xc207, bc: 0xb47c, de: 0x0e16, hl: 0xe17f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd8bb, iy: 0xbb99, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xb5, 0x9e]], [0xd870, [0xee]]], 0xff, {registers: {af: 0xc207, bc: 0xb47c, de: 0x0e16, hl: 0xe17f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd8bb, iy: 0xbb99, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xd870: 0xe6}, io: [], cycles: 0x17}],
+  ['ddcb9f', 'ld a,res 3,(ix+dd)', {af: 0xc26b, bc: 0x7537, de: 0x46bb, hl: 0x13c0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe63c, iy: 0x1d98, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xb8, 0x9f]], [0xe5f4, [0xa6]]], 0xff, {registers: {af: 0xa66b, bc: 0x7537, de: 0x46bb, hl: 0x13c0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe63c, iy: 0x1d98, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcba0', 'ld b,res 4,(ix+dd)', {af: 0x0bbe, bc: 0x8500, de: 0x8609, hl: 0x5352, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa2f0, iy: 0xda02, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x02, 0xa0]], [0xa2f2, [0x39]]], 0xff, {registers: {af: 0x0bbe, bc: 0x2900, de: 0x8609, hl: 0x5352, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa2f0, iy: 0xda02, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xa2f2: 0x29}, io: [], cycles: 0x17}],
+  ['ddcba1', 'ld c,res 4,(ix+dd)', {af: 0xad0a, bc: 0xaa76, de: 0x0f2d, hl: 0x832c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x45bb, iy: 0xa22d, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xf5, 0xa1]], [0x45b0, [0xd2]]], 0xff, {registers: {af: 0xad0a, bc: 0xaac2, de: 0x0f2d, hl: 0x832c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x45bb, iy: 0xa22d, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x45b0: 0xc2}, io: [], cycles: 0x17}],
+  ['ddcba2', 'ld d,res 4,(ix+dd)', {af: 0xf586, bc: 0x4a7d, de: 0xa5ab, hl: 0x26fc, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x628b, iy: 0x6c4d, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x0e, 0xa2]], [0x6299, [0xa1]]], 0xff, {registers: {af: 0xf586, bc: 0x4a7d, de: 0xa1ab, hl: 0x26fc, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x628b, iy: 0x6c4d, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcba3', 'ld e,res 4,(ix+dd)', {af: 0xde5b, bc: 0xa284, de: 0xd40e, hl: 0xc92d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x040d, iy: 0x12c0, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x2e, 0xa3]], [0x043b, [0x04]]], 0xff, {registers: {af: 0xde5b, bc: 0xa284, de: 0xd404, hl: 0xc92d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x040d, iy: 0x12c0, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcba4', 'ld h,res 4,(ix+dd)', {af: 0xdfaa, bc: 0xae40, de: 0x02c3, hl: 0xe0b5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xfe4d, iy: 0xfaa3, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x03, 0xa4]], [0xfe50, [0x27]]], 0xff, {registers: {af: 0xdfaa, bc: 0xae40, de: 0x02c3, hl: 0x27b5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xfe4d, iy: 0xfaa3, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcba5', 'ld l,res 4,(ix+dd)', {af: 0x1a15, bc: 0x04cb, de: 0x4352, hl: 0xee39, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7b27, iy: 0x38a0, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xf6, 0xa5]], [0x7b1d, [0x6b]]], 0xff, {registers: {af: 0x1a15, bc: 0x04cb, de: 0x4352, hl: 0xee6b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7b27, iy: 0x38a0, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcba6', 'res 4,(ix+dd)', {af: 0x5e46, bc: 0xb98a, de: 0xb822, hl: 0x04ca, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xae1b, iy: 0x8730, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x27, 0xa6]], [0xae42, [0x8f]]], 0xff, {registers: {af: 0x5e46, bc: 0xb98a, de: 0xb822, hl: 0x04ca, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xae1b, iy: 0x8730, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcba7', 'ld a,res 4,(ix+dd)', {af: 0x0eed, bc: 0x7b11, de: 0x8cb0, hl: 0xeb3d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5ec8, iy: 0x97cf, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xf2, 0xa7]], [0x5eba, [0x87]]], 0xff, {registers: {af: 0x87ed, bc: 0x7b11, de: 0x8cb0, hl: 0xeb3d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5ec8, iy: 0x97cf, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcba8', 'ld b,res 5,(ix+dd)', {af: 0x5173, bc: 0x3089, de: 0x070d, hl: 0xe8f9, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe84f, iy: 0x55f0, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xd0, 0xa8]], [0xe81f, [0x7e]]], 0xff, {registers: {af: 0x5173, bc: 0x5e89, de: 0x070d, hl: 0xe8f9, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe84f, iy: 0x55f0, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xe81f: 0x5e}, io: [], cycles: 0x17}],
+  ['ddcba9', 'ld c,res 5,(ix+dd)', {af: 0x4fb8, bc: 0xccb5, de: 0x3e9a, hl: 0x2673, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0fdd, iy: 0xaef2, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x9d, 0xa9]], [0x0f7a, [0x1f]]], 0xff, {registers: {af: 0x4fb8, bc: 0xcc1f, de: 0x3e9a, hl: 0x2673, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0fdd, iy: 0xaef2, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcbaa', 'ld d,res 5,(ix+dd)', {af: 0xfe76, bc: 0x6f96, de: 0x3feb, hl: 0x0b21, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6747, iy: 0x07ba, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x9f, 0xaa]], [0x66e6, [0x50]]], 0xff, {registers: {af: 0xfe76, bc: 0x6f96, de: 0x50eb, hl: 0x0b21, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6747, iy: 0x07ba, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcbab', 'ld e,res 5,(ix+dd)', {af: 0x2eb4, bc: 0x36f1, de: 0x8f44, hl: 0x36af, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6682, iy: 0x9d60, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x16, 0xab]], [0x6698, [0xeb]]], 0xff, {registers: {af: 0x2eb4, bc: 0x36f1, de: 0x8fcb, hl: 0x36af, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6682, iy: 0x9d60, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x6698: 0xcb}, io: [], cycles: 0x17}],
+  ['ddcbac', 'ld h,res 5,(ix+dd)', {af: 0xaf32, bc: 0x8ca8, de: 0x6558, hl: 0x06d9, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa4dd, iy: 0xcd1f, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xc4, 0xac]], [0xa4a1, [0x44]]], 0xff, {registers: {af: 0xaf32, bc: 0x8ca8, de: 0x6558, hl: 0x44d9, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa4dd, iy: 0xcd1f, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcbad', 'ld l,res 5,(ix+dd)', {af: 0xfcc9, bc: 0x69a7, de: 0x0eed, hl: 0xeab5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xeef5, iy: 0x3ed2, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x49, 0xad]], [0xef3e, [0x76]]], 0xff, {registers: {af: 0xfcc9, bc: 0x69a7, de: 0x0eed, hl: 0xea56, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xeef5, iy: 0x3ed2, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xef3e: 0x56}, io: [], cycles: 0x17}],
+  ['ddcbae', 'res 5,(ix+dd)', {af: 0x5f7a, bc: 0x9c20, de: 0xf013, hl: 0xc4b7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb306, iy: 0x15dd, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x6e, 0xae]], [0xb374, [0x5a]]], 0xff, {registers: {af: 0x5f7a, bc: 0x9c20, de: 0xf013, hl: 0xc4b7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb306, iy: 0x15dd, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcbaf', 'ld a,res 5,(ix+dd)', {af: 0xb11e, bc: 0x2583, de: 0x51fa, hl: 0xd427, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3619, iy: 0x9cef, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xc2, 0xaf]], [0x35db, [0x15]]], 0xff, {registers: {af: 0x151e, bc: 0x2583, de: 0x51fa, hl: 0xd427, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3619, iy: 0x9cef, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcbb0', 'ld b,res 6,(ix+dd)', {af: 0xf43e, bc: 0xce57, de: 0x3bf3, hl: 0x0933, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x58d7, iy: 0xd89f, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x47, 0xb0]], [0x591e, [0x1e]]], 0xff, {registers: {af: 0xf43e, bc: 0x1e57, de: 0x3bf3, hl: 0x0933, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x58d7, iy: 0xd89f, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcbb1', 'ld c,res 6,(ix+dd)', {af: 0x35ef, bc: 0xbbbc, de: 0xdb46, hl: 0x046c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xadd2, iy: 0x2b6e, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x86, 0xb1]], [0xad58, [0x46]]], 0xff, {registers: {af: 0x35ef, bc: 0xbb06, de: 0xdb46, hl: 0x046c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xadd2, iy: 0x2b6e, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xad58: 0x06}, io: [], cycles: 0x17}],
+  ['ddcbb2', 'ld d,res 6,(ix+dd)', {af: 0xc26c, bc: 0xfd32, de: 0x9b7f, hl: 0xab6c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe7d0, iy: 0x501f, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x70, 0xb2]], [0xe840, [0x48]]], 0xff, {registers: {af: 0xc26c, bc: 0xfd32, de: 0x087f, hl: 0xab6c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe7d0, iy: 0x501f, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xe840: 0x08}, io: [], cycles: 0x17}],
+  ['ddcbb3', 'ld e,res 6,(ix+dd)', {af: 0x36ca, bc: 0xb434, de: 0xe212, hl: 0xf805, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x53fb, iy: 0xb191, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xde, 0xb3]], [0x53d9, [0x06]]], 0xff, {registers: {af: 0x36ca, bc: 0xb434, de: 0xe206, hl: 0xf805, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x53fb, iy: 0xb191, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcbb4', 'ld h,res 6,(ix+dd)', {af: 0x0a1c, bc: 0xab67, de: 0x9ca1, hl: 0x2f98, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5066, iy: 0x320c, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x6b, 0xb4]], [0x50d1, [0xdd]]], 0xff, {registers: {af: 0x0a1c, bc: 0xab67, de: 0x9ca1, hl: 0x9d98, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5066, iy: 0x320c, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x50d1: 0x9d}, io: [], cycles: 0x17}],
+  ['ddcbb5', 'ld l,res 6,(ix+dd)', {af: 0xfd6d, bc: 0x51c9, de: 0x16d6, hl: 0x1373, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x146e, iy: 0x2148, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xec, 0xb5]], [0x145a, [0xd6]]], 0xff, {registers: {af: 0xfd6d, bc: 0x51c9, de: 0x16d6, hl: 0x1396, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x146e, iy: 0x2148, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x145a: 0x96}, io: [], cycles: 0x17}],
+  ['ddcbb6', 'res 6,(ix+dd)', {af: 0x1d0b, bc: 0x04e8, de: 0x109e, hl: 0x1dde, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x8772, iy: 0x8661, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x15, 0xb6]], [0x8787, [0x8c]]], 0xff, {registers: {af: 0x1d0b, bc: 0x04e8, de: 0x109e, hl: 0x1dde, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x8772, iy: 0x8661, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcbb7', 'ld a,res 6,(ix+dd)', {af: 0xf012, bc: 0xb87e, de: 0x65ba, hl: 0xa5c8, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6120, iy: 0x789d, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xd3, 0xb7]], [0x60f3, [0x54]]], 0xff, {registers: {af: 0x1412, bc: 0xb87e, de: 0x65ba, hl: 0xa5c8, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6120, iy: 0x789d, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x60f3: 0x14}, io: [], cycles: 0x17}],
+  ['ddcbb8', 'ld b,res 7,(ix+dd)', {af: 0x8eae, bc: 0x4a53, de: 0xbfa1, hl: 0x5e7e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0bf6, iy: 0x1e35, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x13, 0xb8]], [0x0c09, [0x87]]], 0xff, {registers: {af: 0x8eae, bc: 0x0753, de: 0xbfa1, hl: 0x5e7e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0bf6, iy: 0x1e35, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x0c09: 0x07}, io: [], cycles: 0x17}],
+  ['ddcbb9', 'ld c,res 7,(ix+dd)', {af: 0x5fb7, bc: 0xa81e, de: 0xe2d2, hl: 0x4117, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0564, iy: 0x48a1, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x56, 0xb9]], [0x05ba, [0xc8]]], 0xff, {registers: {af: 0x5fb7, bc: 0xa848, de: 0xe2d2, hl: 0x4117, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0564, iy: 0x48a1, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x05ba: 0x48}, io: [], cycles: 0x17}],
+  ['ddcbba', 'ld d,res 7,(ix+dd)', {af: 0x7f6a, bc: 0x47fe, de: 0xce45, hl: 0x75de, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xf5e0, iy: 0x032c, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x86, 0xba]], [0xf566, [0x30]]], 0xff, {registers: {af: 0x7f6a, bc: 0x47fe, de: 0x3045, hl: 0x75de, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xf5e0, iy: 0x032c, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcbbb', 'ld e,res 7,(ix+dd)', {af: 0xc7e3, bc: 0xe49e, de: 0x9ec5, hl: 0x07e7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xbd31, iy: 0x9d5f, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xef, 0xbb]], [0xbd20, [0xc9]]], 0xff, {registers: {af: 0xc7e3, bc: 0xe49e, de: 0x9e49, hl: 0x07e7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xbd31, iy: 0x9d5f, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xbd20: 0x49}, io: [], cycles: 0x17}],
+  ['ddcbbc', 'ld h,res 7,(ix+dd)', {af: 0xb430, bc: 0x7ac7, de: 0xb45f, hl: 0xfbf7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x638e, iy: 0x3173, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xc0, 0xbc]], [0x634e, [0x28]]], 0xff, {registers: {af: 0xb430, bc: 0x7ac7, de: 0xb45f, hl: 0x28f7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x638e, iy: 0x3173, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcbbd', 'ld l,res 7,(ix+dd)', {af: 0x4e71, bc: 0x6ffa, de: 0xa3f9, hl: 0xa2e5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe3c4, iy: 0x02d4, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xb9, 0xbd]], [0xe37d, [0xdd]]], 0xff, {registers: {af: 0x4e71, bc: 0x6ffa, de: 0xa3f9, hl: 0xa25d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe3c4, iy: 0x02d4, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xe37d: 0x5d}, io: [], cycles: 0x17}],
+  ['ddcbbe', 'res 7,(ix+dd)', {af: 0x4af8, bc: 0x99a5, de: 0xd6fd, hl: 0x7a16, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x58d3, iy: 0xce54, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x4d, 0xbe]], [0x5920, [0xe8]]], 0xff, {registers: {af: 0x4af8, bc: 0x99a5, de: 0xd6fd, hl: 0x7a16, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x58d3, iy: 0xce54, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x5920: 0x68}, io: [], cycles: 0x17}],
+  ['ddcbbf', 'ld a,res 7,(ix+dd)', {af: 0x6e31, bc: 0x0320, de: 0x134b, hl: 0x77c3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1734, iy: 0xbc2d, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x26, 0xbf]], [0x175a, [0xe2]]], 0xff, {registers: {af: 0x6231, bc: 0x0320, de: 0x134b, hl: 0x77c3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1734, iy: 0xbc2d, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x175a: 0x62}, io: [], cycles: 0x17}],
+  ['ddcbc0', 'ld b,set 0,(ix+dd)', {af: 0x75be, bc: 0x2b93, de: 0x093d, hl: 0x1128, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x792e, iy: 0x31f7, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x00, 0xc0]], [0x792e, [0x92]]], 0xff, {registers: {af: 0x75be, bc: 0x9393, de: 0x093d, hl: 0x1128, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x792e, iy: 0x31f7, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x792e: 0x93}, io: [], cycles: 0x17}],
+  ['ddcbc1', 'ld c,set 0,(ix+dd)', {af: 0x313f, bc: 0x8223, de: 0x5fcc, hl: 0x42c8, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xdccc, iy: 0xd87b, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xf7, 0xc1]], [0xdcc3, [0x1c]]], 0xff, {registers: {af: 0x313f, bc: 0x821d, de: 0x5fcc, hl: 0x42c8, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xdccc, iy: 0xd87b, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xdcc3: 0x1d}, io: [], cycles: 0x17}],
+  ['ddcbc2', 'ld d,set 0,(ix+dd)', {af: 0xa7e3, bc: 0xbf55, de: 0xd27b, hl: 0x0a9d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0cfa, iy: 0xea4e, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x85, 0xc2]], [0x0c7f, [0x30]]], 0xff, {registers: {af: 0xa7e3, bc: 0xbf55, de: 0x317b, hl: 0x0a9d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0cfa, iy: 0xea4e, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x0c7f: 0x31}, io: [], cycles: 0x17}],
+  ['ddcbc3', 'ld e,set 0,(ix+dd)', {af: 0xe076, bc: 0x2760, de: 0x1eec, hl: 0x9968, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5426, iy: 0xa1a0, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x32, 0xc3]], [0x5458, [0xdd]]], 0xff, {registers: {af: 0xe076, bc: 0x2760, de: 0x1edd, hl: 0x9968, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5426, iy: 0xa1a0, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcbc4', 'ld h,set 0,(ix+dd)', {af: 0xa679, bc: 0xcc05, de: 0x3f4d, hl: 0xc899, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7acd, iy: 0x48d7, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xae, 0xc4]], [0x7a7b, [0x27]]], 0xff, {registers: {af: 0xa679, bc: 0xcc05, de: 0x3f4d, hl: 0x2799, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7acd, iy: 0x48d7, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcbc5', 'ld l,set 0,(ix+dd)', {af: 0xddfd, bc: 0x64d4, de: 0x2671, hl: 0x35e7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xba99, iy: 0xbd98, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x9c, 0xc5]], [0xba35, [0x20]]], 0xff, {registers: {af: 0xddfd, bc: 0x64d4, de: 0x2671, hl: 0x3521, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xba99, iy: 0xbd98, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xba35: 0x21}, io: [], cycles: 0x17}],
+  ['ddcbc6', 'set 0,(ix+dd)', {af: 0xb324, bc: 0xdc0c, de: 0x1e35, hl: 0x8cd5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xab2c, iy: 0xb6f3, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xc4, 0xc6]], [0xaaf0, [0xb8]]], 0xff, {registers: {af: 0xb324, bc: 0xdc0c, de: 0x1e35, hl: 0x8cd5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xab2c, iy: 0xb6f3, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xaaf0: 0xb9}, io: [], cycles: 0x17}],
+  ['ddcbc7', 'ld a,set 0,(ix+dd)', {af: 0xa254, bc: 0x9e56, de: 0x6828, hl: 0x3189, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x64cb, iy: 0xdfad, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xf8, 0xc7]], [0x64c3, [0x94]]], 0xff, {registers: {af: 0x9554, bc: 0x9e56, de: 0x6828, hl: 0x3189, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x64cb, iy: 0xdfad, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x64c3: 0x95}, io: [], cycles: 0x17}],
+  ['ddcbc8', 'ld b,set 1,(ix+dd)', {af: 0x8aca, bc: 0x139e, de: 0xe652, hl: 0x248b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6e7a, iy: 0x189a, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x65, 0xc8]], [0x6edf, [0x8f]]], 0xff, {registers: {af: 0x8aca, bc: 0x8f9e, de: 0xe652, hl: 0x248b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6e7a, iy: 0x189a, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcbc9', 'ld c,set 1,(ix+dd)', {af: 0xf15f, bc: 0x856e, de: 0xa21f, hl: 0x8a59, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb670, iy: 0x4f79, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xfb, 0xc9]], [0xb66b, [0xb9]]], 0xff, {registers: {af: 0xf15f, bc: 0x85bb, de: 0xa21f, hl: 0x8a59, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb670, iy: 0x4f79, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xb66b: 0xbb}, io: [], cycles: 0x17}],
+  ['ddcbca', 'ld d,set 1,(ix+dd)', {af: 0xdfab, bc: 0xa031, de: 0x1d78, hl: 0xad3a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa887, iy: 0x7334, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x8a, 0xca]], [0xa811, [0x7e]]], 0xff, {registers: {af: 0xdfab, bc: 0xa031, de: 0x7e78, hl: 0xad3a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa887, iy: 0x7334, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcbcb', 'ld e,set 1,(ix+dd)', {af: 0xebd6, bc: 0x376e, de: 0xc346, hl: 0xb10c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa447, iy: 0x31d6, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xa4, 0xcb]], [0xa3eb, [0x73]]], 0xff, {registers: {af: 0xebd6, bc: 0x376e, de: 0xc373, hl: 0xb10c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa447, iy: 0x31d6, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcbcc', 'ld h,set 1,(ix+dd)', {af: 0x0212, bc: 0xdc46, de: 0x8f41, hl: 0x854e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1f5a, iy: 0x07ca, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x65, 0xcc]], [0x1fbf, [0x72]]], 0xff, {registers: {af: 0x0212, bc: 0xdc46, de: 0x8f41, hl: 0x724e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1f5a, iy: 0x07ca, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcbcd', 'ld l,set 1,(ix+dd)', {af: 0x3344, bc: 0xd73c, de: 0xd6b8, hl: 0x929d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5376, iy: 0x6d3a, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xe9, 0xcd]], [0x535f, [0x1c]]], 0xff, {registers: {af: 0x3344, bc: 0xd73c, de: 0xd6b8, hl: 0x921e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5376, iy: 0x6d3a, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x535f: 0x1e}, io: [], cycles: 0x17}],
+  ['ddcbce', 'set 1,(ix+dd)', {af: 0x9e47, bc: 0xfc93, de: 0x9ffc, hl: 0xaace, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0313, iy: 0x7f66, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x85, 0xce]], [0x0298, [0x10]]], 0xff, {registers: {af: 0x9e47, bc: 0xfc93, de: 0x9ffc, hl: 0xaace, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0313, iy: 0x7f66, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x0298: 0x12}, io: [], cycles: 0x17}],
+  ['ddcbcf', 'ld a,set 1,(ix+dd)', {af: 0x53e8, bc: 0xd379, de: 0x87d5, hl: 0x10b0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc5d0, iy: 0x4f7f, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xe2, 0xcf]], [0xc5b2, [0xb5]]], 0xff, {registers: {af: 0xb7e8, bc: 0xd379, de: 0x87d5, hl: 0x10b0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc5d0, iy: 0x4f7f, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xc5b2: 0xb7}, io: [], cycles: 0x17}],
+  ['ddcbd0', 'ld b,set 2,(ix+dd)', {af: 0x3278, bc: 0x6114, de: 0xd25d, hl: 0x1cf8, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xad43, iy: 0x99fc, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x7f, 0xd0]], [0xadc2, [0x51]]], 0xff, {registers: {af: 0x3278, bc: 0x5514, de: 0xd25d, hl: 0x1cf8, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xad43, iy: 0x99fc, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xadc2: 0x55}, io: [], cycles: 0x17}],
+  ['ddcbd1', 'ld c,set 2,(ix+dd)', {af: 0xc0b8, bc: 0x371a, de: 0x6472, hl: 0xd92d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x10b2, iy: 0x3074, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xa6, 0xd1]], [0x1058, [0x2c]]], 0xff, {registers: {af: 0xc0b8, bc: 0x372c, de: 0x6472, hl: 0xd92d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x10b2, iy: 0x3074, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcbd2', 'ld d,set 2,(ix+dd)', {af: 0x5bb6, bc: 0xcaa8, de: 0xe0db, hl: 0xaf84, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb9a1, iy: 0x7b5f, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x9c, 0xd2]], [0xb93d, [0x9c]]], 0xff, {registers: {af: 0x5bb6, bc: 0xcaa8, de: 0x9cdb, hl: 0xaf84, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb9a1, iy: 0x7b5f, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcbd3', 'ld e,set 2,(ix+dd)', {af: 0xdb6a, bc: 0x4fe2, de: 0x9e52, hl: 0xa034, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xda36, iy: 0x88a0, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xbd, 0xd3]], [0xd9f3, [0x60]]], 0xff, {registers: {af: 0xdb6a, bc: 0x4fe2, de: 0x9e64, hl: 0xa034, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xda36, iy: 0x88a0, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xd9f3: 0x64}, io: [], cycles: 0x17}],
+  ['ddcbd4', 'ld h,set 2,(ix+dd)', {af: 0xcc1c, bc: 0xb884, de: 0x6ad2, hl: 0x1621, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xef26, iy: 0x41de, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x58, 0xd4]], [0xef7e, [0x5e]]], 0xff, {registers: {af: 0xcc1c, bc: 0xb884, de: 0x6ad2, hl: 0x5e21, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xef26, iy: 0x41de, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcbd5', 'ld l,set 2,(ix+dd)', {af: 0xc41d, bc: 0xc8b0, de: 0xcacb, hl: 0x7687, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x8dbc, iy: 0xcc25, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x41, 0xd5]], [0x8dfd, [0x71]]], 0xff, {registers: {af: 0xc41d, bc: 0xc8b0, de: 0xcacb, hl: 0x7675, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x8dbc, iy: 0xcc25, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x8dfd: 0x75}, io: [], cycles: 0x17}],
+  ['ddcbd6', 'set 2,(ix+dd)', {af: 0x09eb, bc: 0x769d, de: 0x7e07, hl: 0x51f9, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5f03, iy: 0x6280, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xea, 0xd6]], [0x5eed, [0x73]]], 0xff, {registers: {af: 0x09eb, bc: 0x769d, de: 0x7e07, hl: 0x51f9, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5f03, iy: 0x6280, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x5eed: 0x77}, io: [], cycles: 0x17}],
+  ['ddcbd7', 'ld a,set 2,(ix+dd)', {af: 0x241b, bc: 0xee10, de: 0xc152, hl: 0x2f6d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe725, iy: 0xc0d7, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x80, 0xd7]], [0xe6a5, [0x60]]], 0xff, {registers: {af: 0x641b, bc: 0xee10, de: 0xc152, hl: 0x2f6d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe725, iy: 0xc0d7, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xe6a5: 0x64}, io: [], cycles: 0x17}],
+  ['ddcbd8', 'ld b,set 3,(ix+dd)', {af: 0xe3dc, bc: 0x1981, de: 0xc97b, hl: 0xcb42, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb30f, iy: 0xb32a, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x4c, 0xd8]], [0xb35b, [0x96]]], 0xff, {registers: {af: 0xe3dc, bc: 0x9e81, de: 0xc97b, hl: 0xcb42, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb30f, iy: 0xb32a, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xb35b: 0x9e}, io: [], cycles: 0x17}],
+  ['ddcbd9', 'ld c,set 3,(ix+dd)', {af: 0xe9a0, bc: 0xa7c7, de: 0xa476, hl: 0x6057, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x2642, iy: 0x58a0, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x52, 0xd9]], [0x2694, [0xef]]], 0xff, {registers: {af: 0xe9a0, bc: 0xa7ef, de: 0xa476, hl: 0x6057, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x2642, iy: 0x58a0, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcbda', 'ld d,set 3,(ix+dd)', {af: 0x6787, bc: 0x26a7, de: 0xa194, hl: 0x11d3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x2d76, iy: 0x7f80, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xea, 0xda]], [0x2d60, [0x82]]], 0xff, {registers: {af: 0x6787, bc: 0x26a7, de: 0x8a94, hl: 0x11d3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x2d76, iy: 0x7f80, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x2d60: 0x8a}, io: [], cycles: 0x17}],
+  ['ddcbdb', 'ld e,set 3,(ix+dd)', {af: 0xf986, bc: 0x6a4b, de: 0x6588, hl: 0xd2c8, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x2b7d, iy: 0x5847, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x4d, 0xdb]], [0x2bca, [0x10]]], 0xff, {registers: {af: 0xf986, bc: 0x6a4b, de: 0x6518, hl: 0xd2c8, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x2b7d, iy: 0x5847, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x2bca: 0x18}, io: [], cycles: 0x17}],
+  ['ddcbdc', 'ld h,set 3,(ix+dd)', {af: 0x4c9e, bc: 0xd94d, de: 0x9760, hl: 0xb707, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7ed4, iy: 0x5cc5, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xd3, 0xdc]], [0x7ea7, [0x45]]], 0xff, {registers: {af: 0x4c9e, bc: 0xd94d, de: 0x9760, hl: 0x4d07, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7ed4, iy: 0x5cc5, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x7ea7: 0x4d}, io: [], cycles: 0x17}],
+  ['ddcbdd', 'ld l,set 3,(ix+dd)', {af: 0x4b3b, bc: 0xd351, de: 0x9be9, hl: 0x2310, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x58c1, iy: 0xe430, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x6f, 0xdd]], [0x5930, [0x20]]], 0xff, {registers: {af: 0x4b3b, bc: 0xd351, de: 0x9be9, hl: 0x2328, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x58c1, iy: 0xe430, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x5930: 0x28}, io: [], cycles: 0x17}],
+  ['ddcbde', 'set 3,(ix+dd)', {af: 0x3b62, bc: 0xca1e, de: 0xa41a, hl: 0x227a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x89d2, iy: 0x7011, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x14, 0xde]], [0x89e6, [0x5e]]], 0xff, {registers: {af: 0x3b62, bc: 0xca1e, de: 0xa41a, hl: 0x227a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x89d2, iy: 0x7011, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcbdf', 'ld a,set 3,(ix+dd)', {af: 0x4c8a, bc: 0x5b42, de: 0x50dd, hl: 0x4be0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd227, iy: 0x4913, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xef, 0xdf]], [0xd216, [0x72]]], 0xff, {registers: {af: 0x7a8a, bc: 0x5b42, de: 0x50dd, hl: 0x4be0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd227, iy: 0x4913, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xd216: 0x7a}, io: [], cycles: 0x17}],
+  ['ddcbe0', 'ld b,set 4,(ix+dd)', {af: 0x440a, bc: 0x713d, de: 0xacfc, hl: 0xf762, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1c4b, iy: 0xb6ba, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x62, 0xe0]], [0x1cad, [0x46]]], 0xff, {registers: {af: 0x440a, bc: 0x563d, de: 0xacfc, hl: 0xf762, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1c4b, iy: 0xb6ba, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x1cad: 0x56}, io: [], cycles: 0x17}],
+  ['ddcbe1', 'ld c,set 4,(ix+dd)', {af: 0xc219, bc: 0xaa6b, de: 0xdfbf, hl: 0x6f10, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb931, iy: 0xd3d6, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x2e, 0xe1]], [0xb95f, [0x75]]], 0xff, {registers: {af: 0xc219, bc: 0xaa75, de: 0xdfbf, hl: 0x6f10, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb931, iy: 0xd3d6, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcbe2', 'ld d,set 4,(ix+dd)', {af: 0x66d7, bc: 0xabd0, de: 0xcb48, hl: 0x8054, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xef50, iy: 0x9997, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x85, 0xe2]], [0xeed5, [0x72]]], 0xff, {registers: {af: 0x66d7, bc: 0xabd0, de: 0x7248, hl: 0x8054, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xef50, iy: 0x9997, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcbe3', 'ld e,set 4,(ix+dd)', {af: 0x7013, bc: 0xe7ed, de: 0x7e1c, hl: 0x57fb, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7ec6, iy: 0x75eb, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xf4, 0xe3]], [0x7eba, [0x34]]], 0xff, {registers: {af: 0x7013, bc: 0xe7ed, de: 0x7e34, hl: 0x57fb, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7ec6, iy: 0x75eb, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcbe4', 'ld h,set 4,(ix+dd)', {af: 0x1108, bc: 0x6e70, de: 0xf0af, hl: 0x2f0c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x95c7, iy: 0x6501, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xbf, 0xe4]], [0x9586, [0x34]]], 0xff, {registers: {af: 0x1108, bc: 0x6e70, de: 0xf0af, hl: 0x340c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x95c7, iy: 0x6501, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcbe5', 'ld l,set 4,(ix+dd)', {af: 0x57cc, bc: 0x5511, de: 0x2696, hl: 0xb83d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6ab0, iy: 0x0e90, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xf2, 0xe5]], [0x6aa2, [0x2e]]], 0xff, {registers: {af: 0x57cc, bc: 0x5511, de: 0x2696, hl: 0xb83e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6ab0, iy: 0x0e90, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x6aa2: 0x3e}, io: [], cycles: 0x17}],
+  ['ddcbe6', 'set 4,(ix+dd)', {af: 0x207a, bc: 0xa441, de: 0x1e03, hl: 0xac60, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd866, iy: 0x5fdc, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x25, 0xe6]], [0xd88b, [0x4c]]], 0xff, {registers: {af: 0x207a, bc: 0xa441, de: 0x1e03, hl: 0xac60, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd866, iy: 0x5fdc, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xd88b: 0x5c}, io: [], cycles: 0x17}],
+  ['ddcbe7', 'ld a,set 4,(ix+dd)', {af: 0xc3c5, bc: 0x7fa9, de: 0x4e07, hl: 0xe02d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x2a1b, iy: 0x55b7, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xf3, 0xe7]], [0x2a0e, [0xeb]]], 0xff, {registers: {af: 0xfbc5, bc: 0x7fa9, de: 0x4e07, hl: 0xe02d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x2a1b, iy: 0x55b7, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x2a0e: 0xfb}, io: [], cycles: 0x17}],
+  ['ddcbe8', 'ld b,set 5,(ix+dd)', {af: 0x6d1c, bc: 0xa0c4, de: 0x93f0, hl: 0xa0b4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x4bda, iy: 0x7761, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xf2, 0xe8]], [0x4bcc, [0xba]]], 0xff, {registers: {af: 0x6d1c, bc: 0xbac4, de: 0x93f0, hl: 0xa0b4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x4bda, iy: 0x7761, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcbe9', 'ld c,set 5,(ix+dd)', {af: 0xebe5, bc: 0x0c2c, de: 0x1a2a, hl: 0x2720, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x72dd, iy: 0xa354, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x8a, 0xe9]], [0x7267, [0x0a]]], 0xff, {registers: {af: 0xebe5, bc: 0x0c2a, de: 0x1a2a, hl: 0x2720, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x72dd, iy: 0xa354, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x7267: 0x2a}, io: [], cycles: 0x17}],
+  ['ddcbea', 'ld d,set 5,(ix+dd)', {af: 0x42d2, bc: 0xda7a, de: 0x757f, hl: 0x6da6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa7e9, iy: 0xb933, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x04, 0xea]], [0xa7ed, [0x5f]]], 0xff, {registers: {af: 0x42d2, bc: 0xda7a, de: 0x7f7f, hl: 0x6da6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa7e9, iy: 0xb933, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xa7ed: 0x7f}, io: [], cycles: 0x17}],
+  ['ddcbeb', 'ld e,set 5,(ix+dd)', {af: 0xe945, bc: 0x10aa, de: 0xf5f8, hl: 0x7647, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x16df, iy: 0x93fb, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x24, 0xeb]], [0x1703, [0xf3]]], 0xff, {registers: {af: 0xe945, bc: 0x10aa, de: 0xf5f3, hl: 0x7647, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x16df, iy: 0x93fb, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcbec', 'ld h,set 5,(ix+dd)', {af: 0x7180, bc: 0xbc85, de: 0x7dd3, hl: 0xf467, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xdd88, iy: 0x6a41, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x60, 0xec]], [0xdde8, [0x00]]], 0xff, {registers: {af: 0x7180, bc: 0xbc85, de: 0x7dd3, hl: 0x2067, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xdd88, iy: 0x6a41, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xdde8: 0x20}, io: [], cycles: 0x17}],
+  ['ddcbed', 'ld l,set 5,(ix+dd)', {af: 0x6b2f, bc: 0x9762, de: 0x1f0a, hl: 0xdb61, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xf772, iy: 0x33e3, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xbe, 0xed]], [0xf730, [0x6b]]], 0xff, {registers: {af: 0x6b2f, bc: 0x9762, de: 0x1f0a, hl: 0xdb6b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xf772, iy: 0x33e3, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcbee', 'set 5,(ix+dd)', {af: 0x79ea, bc: 0xdc8a, de: 0x7887, hl: 0x3baa, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6c28, iy: 0xabbc, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xde, 0xee]], [0x6c06, [0xbd]]], 0xff, {registers: {af: 0x79ea, bc: 0xdc8a, de: 0x7887, hl: 0x3baa, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6c28, iy: 0xabbc, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcbef', 'ld a,set 5,(ix+dd)', {af: 0x46c3, bc: 0x2fc2, de: 0x8690, hl: 0xa836, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xcc68, iy: 0xa8ce, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x30, 0xef]], [0xcc98, [0x11]]], 0xff, {registers: {af: 0x31c3, bc: 0x2fc2, de: 0x8690, hl: 0xa836, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xcc68, iy: 0xa8ce, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xcc98: 0x31}, io: [], cycles: 0x17}],
+  ['ddcbf0', 'ld b,set 6,(ix+dd)', {af: 0xb330, bc: 0x4469, de: 0x362b, hl: 0xb515, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x13c0, iy: 0x6479, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x2f, 0xf0]], [0x13ef, [0xad]]], 0xff, {registers: {af: 0xb330, bc: 0xed69, de: 0x362b, hl: 0xb515, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x13c0, iy: 0x6479, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x13ef: 0xed}, io: [], cycles: 0x17}],
+  ['ddcbf1', 'ld c,set 6,(ix+dd)', {af: 0x94c0, bc: 0x9ab0, de: 0xa0fd, hl: 0x7c1d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x47ba, iy: 0x8c81, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x40, 0xf1]], [0x47fa, [0x78]]], 0xff, {registers: {af: 0x94c0, bc: 0x9a78, de: 0xa0fd, hl: 0x7c1d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x47ba, iy: 0x8c81, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcbf2', 'ld d,set 6,(ix+dd)', {af: 0x5302, bc: 0x9204, de: 0x20ec, hl: 0xd640, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc947, iy: 0x4ef1, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x0f, 0xf2]], [0xc956, [0x21]]], 0xff, {registers: {af: 0x5302, bc: 0x9204, de: 0x61ec, hl: 0xd640, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc947, iy: 0x4ef1, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xc956: 0x61}, io: [], cycles: 0x17}],
+  ['ddcbf3', 'ld e,set 6,(ix+dd)', {af: 0x9950, bc: 0xa3d2, de: 0x5058, hl: 0x5ccc, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1d96, iy: 0x7c75, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x06, 0xf3]], [0x1d9c, [0xe4]]], 0xff, {registers: {af: 0x9950, bc: 0xa3d2, de: 0x50e4, hl: 0x5ccc, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1d96, iy: 0x7c75, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcbf4', 'ld h,set 6,(ix+dd)', {af: 0x3712, bc: 0x1f99, de: 0x4863, hl: 0x47de, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1702, iy: 0xc042, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x3b, 0xf4]], [0x173d, [0xe1]]], 0xff, {registers: {af: 0x3712, bc: 0x1f99, de: 0x4863, hl: 0xe1de, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1702, iy: 0xc042, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcbf5', 'ld l,set 6,(ix+dd)', {af: 0xd83f, bc: 0x1ec9, de: 0xd0da, hl: 0x4173, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xeb3f, iy: 0x1ead, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x64, 0xf5]], [0xeba3, [0xc5]]], 0xff, {registers: {af: 0xd83f, bc: 0x1ec9, de: 0xd0da, hl: 0x41c5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xeb3f, iy: 0x1ead, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcbf6', 'set 6,(ix+dd)', {af: 0x4d6c, bc: 0x93ac, de: 0x810d, hl: 0xcfe1, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xdc5a, iy: 0xc33c, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x7b, 0xf6]], [0xdcd5, [0xa2]]], 0xff, {registers: {af: 0x4d6c, bc: 0x93ac, de: 0x810d, hl: 0xcfe1, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xdc5a, iy: 0xc33c, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xdcd5: 0xe2}, io: [], cycles: 0x17}],
+  ['ddcbf7', 'ld a,set 6,(ix+dd)', {af: 0xfe40, bc: 0x7887, de: 0xb9de, hl: 0xc013, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x301e, iy: 0x9710, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xc3, 0xf7]], [0x2fe1, [0xa9]]], 0xff, {registers: {af: 0xe940, bc: 0x7887, de: 0xb9de, hl: 0xc013, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x301e, iy: 0x9710, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x2fe1: 0xe9}, io: [], cycles: 0x17}],
+  ['ddcbf8', 'ld b,set 7,(ix+dd)', {af: 0x8278, bc: 0x21a4, de: 0x1e5c, hl: 0x4952, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x427f, iy: 0x41e1, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x59, 0xf8]], [0x42d8, [0x28]]], 0xff, {registers: {af: 0x8278, bc: 0xa8a4, de: 0x1e5c, hl: 0x4952, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x427f, iy: 0x41e1, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x42d8: 0xa8}, io: [], cycles: 0x17}],
+  ['ddcbf9', 'ld c,set 7,(ix+dd)', {af: 0xb2df, bc: 0xe9b8, de: 0x56c3, hl: 0x16ff, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd88f, iy: 0x0bab, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x55, 0xf9]], [0xd8e4, [0x14]]], 0xff, {registers: {af: 0xb2df, bc: 0xe994, de: 0x56c3, hl: 0x16ff, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd88f, iy: 0x0bab, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xd8e4: 0x94}, io: [], cycles: 0x17}],
+  ['ddcbfa', 'ld d,set 7,(ix+dd)', {af: 0x01f1, bc: 0xbc0d, de: 0xd476, hl: 0x1510, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9420, iy: 0x93a3, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x74, 0xfa]], [0x9494, [0xfe]]], 0xff, {registers: {af: 0x01f1, bc: 0xbc0d, de: 0xfe76, hl: 0x1510, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9420, iy: 0x93a3, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcbfb', 'ld e,set 7,(ix+dd)', {af: 0x709b, bc: 0x14eb, de: 0xec1c, hl: 0xb844, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3453, iy: 0xf2b0, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xaf, 0xfb]], [0x3402, [0x02]]], 0xff, {registers: {af: 0x709b, bc: 0x14eb, de: 0xec82, hl: 0xb844, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3453, iy: 0xf2b0, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x3402: 0x82}, io: [], cycles: 0x17}],
+  ['ddcbfc', 'ld h,set 7,(ix+dd)', {af: 0x6c89, bc: 0xa96e, de: 0xd27b, hl: 0xd6a7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6139, iy: 0xb4c1, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xa1, 0xfc]], [0x60da, [0x10]]], 0xff, {registers: {af: 0x6c89, bc: 0xa96e, de: 0xd27b, hl: 0x90a7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6139, iy: 0xb4c1, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x60da: 0x90}, io: [], cycles: 0x17}],
+  ['ddcbfd', 'ld l,set 7,(ix+dd)', {af: 0xfb3f, bc: 0x83f6, de: 0x2094, hl: 0x3349, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3ed0, iy: 0x6f0e, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0x28, 0xfd]], [0x3ef8, [0xc2]]], 0xff, {registers: {af: 0xfb3f, bc: 0x83f6, de: 0x2094, hl: 0x33c2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3ed0, iy: 0x6f0e, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcbfe', 'set 7,(ix+dd)', {af: 0xfc42, bc: 0x50b7, de: 0xe98d, hl: 0x3e45, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x41b5, iy: 0x3410, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xec, 0xfe]], [0x41a1, [0xa1]]], 0xff, {registers: {af: 0xfc42, bc: 0x50b7, de: 0xe98d, hl: 0x3e45, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x41b5, iy: 0x3410, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['ddcbff', 'ld a,set 7,(ix+dd)', {af: 0xe666, bc: 0x94d2, de: 0xac90, hl: 0x8f45, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0655, iy: 0xba29, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xcb, 0xd3, 0xff]], [0x0628, [0x2b]]], 0xff, {registers: {af: 0xab66, bc: 0x94d2, de: 0xac90, hl: 0x8f45, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0655, iy: 0xba29, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x0628: 0xab}, io: [], cycles: 0x17}],
+  ['dde1', 'pop ix', {af: 0x8a15, bc: 0x6bf0, de: 0x0106, hl: 0x3dd0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5da4, iy: 0x8716, sp: 0x595f, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xe1]], [0x595f, [0x9a, 0x09]]], 0xff, {registers: {af: 0x8a15, bc: 0x6bf0, de: 0x0106, hl: 0x3dd0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x099a, iy: 0x8716, sp: 0x5961, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0e}],
+  ['dde3', 'ex (sp),ix', {af: 0x068e, bc: 0x58e6, de: 0x2713, hl: 0x500f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xbe05, iy: 0x4308, sp: 0x57bd, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xe3]], [0x57bd, [0x15, 0x3f]]], 0xff, {registers: {af: 0x068e, bc: 0x58e6, de: 0x2713, hl: 0x500f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3f15, iy: 0x4308, sp: 0x57bd, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x57bd: 0x05, 0x57be: 0xbe}, io: [], cycles: 0x17}],
+  ['dde5', 'push ix', {af: 0x7462, bc: 0x9b6c, de: 0xbfe5, hl: 0x0330, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb282, iy: 0xe272, sp: 0x0761, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xe5]]], 0xff, {registers: {af: 0x7462, bc: 0x9b6c, de: 0xbfe5, hl: 0x0330, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb282, iy: 0xe272, sp: 0x075f, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x075f: 0x82, 0x0760: 0xb2}, io: [], cycles: 0x0f}],
+  ['dde9', 'jp ix', {af: 0x75a7, bc: 0x139b, de: 0xf9a3, hl: 0x94bb, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x64f0, iy: 0x3433, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xe9]]], 0xff, {registers: {af: 0x75a7, bc: 0x139b, de: 0xf9a3, hl: 0x94bb, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x64f0, iy: 0x3433, sp: 0x00, pc: 0x64f0, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['ddf9', 'ld sp,ix', {af: 0x8709, bc: 0x15dd, de: 0x7fa6, hl: 0x3c5c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd3a7, iy: 0x1d7b, sp: 0xf67c, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xdd, 0xf9]]], 0xff, {registers: {af: 0x8709, bc: 0x15dd, de: 0x7fa6, hl: 0x3c5c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd3a7, iy: 0x1d7b, sp: 0xd3a7, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0a}],
+  ['de', 'sbc a,nn', {af: 0xe78d, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xde, 0xa1]]], 0xff, {registers: {af: 0x4502, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x07}],
+  ['df', 'rst 18', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5507, pc: 0x6d33, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x6d33, [0xdf]]], 0xff, {registers: {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5505, pc: 0x18, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x5505: 0x34, 0x5506: 0x6d}, io: [], cycles: 0x0b}],
+  ['e0_1', 'ret po', {af: 0x98, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x43f7, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xe0]], [0x43f7, [0xe9, 0xaf]]], 0xff, {registers: {af: 0x98, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x43f9, pc: 0xafe9, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0b}],
+  ['e0_2', 'ret po', {af: 0x9c, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x43f7, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xe0]], [0x43f7, [0xe9, 0xaf]]], 0xff, {registers: {af: 0x9c, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x43f7, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x05}],
+  ['e1', 'pop hl', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x4143, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xe1]], [0x4143, [0xce, 0xe8]]], 0xff, {registers: {af: 0x00, bc: 0x00, de: 0x00, hl: 0xe8ce, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x4145, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0a}],
+  ['e2_1', 'jp po,nnnn', {af: 0x83, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xe2, 0x1b, 0xe1]]], 0xff, {registers: {af: 0x83, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0xe11b, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0a}],
+  ['e2_2', 'jp po,nnnn', {af: 0x87, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xe2, 0x1b, 0xe1]]], 0xff, {registers: {af: 0x87, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0a}],
+  ['e3', 'ex (sp),hl', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x4d22, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x0373, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xe3]], [0x0373, [0x8e, 0xe1]]], 0xff, {registers: {af: 0x00, bc: 0x00, de: 0x00, hl: 0xe18e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x0373, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x0373: 0x22, 0x0374: 0x4d}, io: [], cycles: 0x13}],
+  ['e4_1', 'call po,nnnn', {af: 0x0a, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5698, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xe4, 0x61, 0x9c]]], 0xff, {registers: {af: 0x0a, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5696, pc: 0x9c61, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x5696: 0x03, 0x5697: 0x00}, io: [], cycles: 0x11}],
+  ['e4_2', 'call po,nnnn', {af: 0x0e, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5698, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xe4, 0x61, 0x9c]]], 0xff, {registers: {af: 0x0e, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5698, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0a}],
+  ['e5', 'push hl', {af: 0x53e3, bc: 0x1459, de: 0x775f, hl: 0x1a2f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0xec12, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xe5]]], 0xff, {registers: {af: 0x53e3, bc: 0x1459, de: 0x775f, hl: 0x1a2f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0xec10, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xec10: 0x2f, 0xec11: 0x1a}, io: [], cycles: 0x0b}],
+  ['e6', 'and nn', {af: 0x7500, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xe6, 0x49]]], 0xff, {registers: {af: 0x4114, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x07}],
+  ['e7', 'rst 20', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5507, pc: 0x6d33, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x6d33, [0xe7]]], 0xff, {registers: {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5505, pc: 0x20, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x5505: 0x34, 0x5506: 0x6d}, io: [], cycles: 0x0b}],
+  ['e8_1', 'ret pe', {af: 0x98, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x43f7, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xe8]], [0x43f7, [0xe9, 0xaf]]], 0xff, {registers: {af: 0x98, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x43f7, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x05}],
+  ['e8_2', 'ret pe', {af: 0x9c, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x43f7, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xe8]], [0x43f7, [0xe9, 0xaf]]], 0xff, {registers: {af: 0x9c, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x43f9, pc: 0xafe9, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0b}],
+  ['e9', 'jp hl', {af: 0x00, bc: 0x00, de: 0x00, hl: 0xcaba, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xe9]]], 0xff, {registers: {af: 0x00, bc: 0x00, de: 0x00, hl: 0xcaba, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0xcaba, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['ea_1', 'jp pe,nnnn', {af: 0x87, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xea, 0x1b, 0xe1]]], 0xff, {registers: {af: 0x87, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0xe11b, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0a}],
+  ['ea_2', 'jp pe,nnnn', {af: 0x83, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xea, 0x1b, 0xe1]]], 0xff, {registers: {af: 0x83, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0a}],
+  ['eb', 'ex de,hl', {af: 0x00, bc: 0x00, de: 0xb879, hl: 0x942e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xeb]]], 0xff, {registers: {af: 0x00, bc: 0x00, de: 0x942e, hl: 0xb879, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['ec_1', 'call pe,nnnn', {af: 0x0e, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5698, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xec, 0x61, 0x9c]]], 0xff, {registers: {af: 0x0e, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5696, pc: 0x9c61, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x5696: 0x03, 0x5697: 0x00}, io: [], cycles: 0x11}],
+  ['ec_2', 'call pe,nnnn', {af: 0x0a, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5698, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xec, 0x61, 0x9c]]], 0xff, {registers: {af: 0x0a, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5698, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0a}],
+  ['ed40', 'in b,(c)', {af: 0x83f9, bc: 0x296b, de: 0x7034, hl: 0x1f2f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x40]]], 0xff, {registers: {af: 0x8329, bc: 0x296b, de: 0x7034, hl: 0x1f2f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0c}],
+  ['ed41', 'out (c),b', {af: 0x29a2, bc: 0x0881, de: 0xd7dd, hl: 0xff4e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x41]]], 0xff, {registers: {af: 0x29a2, bc: 0x0881, de: 0xd7dd, hl: 0xff4e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [[0x0881, 0x08]], cycles: 0x0c}],
+  ['ed42', 'sbc hl,bc', {af: 0xcbd3, bc: 0x1c8f, de: 0xd456, hl: 0x315e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x42]]], 0xff, {registers: {af: 0xcb12, bc: 0x1c8f, de: 0xd456, hl: 0x14ce, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0f}],
+  ['ed43', 'ld (nnnn),bc', {af: 0xda36, bc: 0x2732, de: 0x91cc, hl: 0x9798, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5f73, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x43, 0xc6, 0x54]]], 0xff, {registers: {af: 0xda36, bc: 0x2732, de: 0x91cc, hl: 0x9798, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5f73, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x54c6: 0x32, 0x54c7: 0x27}, io: [], cycles: 0x14}],
+  ['ed44', 'neg', {af: 0xfe2b, bc: 0x040f, de: 0xdeb6, hl: 0xafc3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5ca8, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x44]]], 0xff, {registers: {af: 0x0213, bc: 0x040f, de: 0xdeb6, hl: 0xafc3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5ca8, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['ed45', 'retn', {af: 0x1d, bc: 0x5b63, de: 0xa586, hl: 0x1451, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x3100, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: true, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x45]], [0x3100, [0x1f, 0x22]]], 0xff, {registers: {af: 0x1d, bc: 0x5b63, de: 0xa586, hl: 0x1451, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x3102, pc: 0x221f, im: 0x00, iff1: true, iff2: true, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0e}],
+  ['ed46', 'im 0', {af: 0xb6ec, bc: 0x8afb, de: 0xce09, hl: 0x70a1, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x8dea, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x46]]], 0xff, {registers: {af: 0xb6ec, bc: 0x8afb, de: 0xce09, hl: 0x70a1, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x8dea, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['ed47', 'ld i,a', {af: 0x9a99, bc: 0x9e5a, de: 0x9913, hl: 0xcacc, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x47]]], 0xff, {registers: {af: 0x9a99, bc: 0x9e5a, de: 0x9913, hl: 0xcacc, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x9a}, memory: {}, io: [], cycles: 0x09}],
+  ['ed48', 'in c,(c)', {af: 0xdbdd, bc: 0x7d1b, de: 0x141d, hl: 0x5fb4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x48]]], 0xff, {registers: {af: 0xdb2d, bc: 0x7d7d, de: 0x141d, hl: 0x5fb4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0c}],
+  ['ed49', 'out (c),c', {af: 0x07a5, bc: 0x59ec, de: 0xf459, hl: 0x4316, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x49]]], 0xff, {registers: {af: 0x07a5, bc: 0x59ec, de: 0xf459, hl: 0x4316, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [[0x59ec, 0xec]], cycles: 0x0c}],
+  ['ed4a', 'adc hl,bc', {af: 0x5741, bc: 0x24b5, de: 0x83d2, hl: 0x9ac8, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x4a]]], 0xff, {registers: {af: 0x57a8, bc: 0x24b5, de: 0x83d2, hl: 0xbf7e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0f}],
+  ['ed4b', 'ld bc,(nnnn)', {af: 0x650c, bc: 0xd74d, de: 0x0448, hl: 0xa3b9, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0xb554, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x4b, 0x1a, 0xa4]], [0xa41a, [0xf3, 0xd4]]], 0xff, {registers: {af: 0x650c, bc: 0xd4f3, de: 0x0448, hl: 0xa3b9, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0xb554, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ed4d', 'reti', {af: 0x1bed, bc: 0xc358, de: 0x5fd5, hl: 0x6093, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x680e, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x4d]], [0x680e, [0x03, 0x7c]]], 0xff, {registers: {af: 0x1bed, bc: 0xc358, de: 0x5fd5, hl: 0x6093, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x6810, pc: 0x7c03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0e}],
+  ['ed4f', 'ld r,a', {af: 0x2ae3, bc: 0xc115, de: 0xeff8, hl: 0x9f6d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x4f]]], 0xff, {registers: {af: 0x2ae3, bc: 0xc115, de: 0xeff8, hl: 0x9f6d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x09}],
+  ['ed50', 'in d,(c)', {af: 0x85ae, bc: 0xbbcc, de: 0xe2a8, hl: 0xf219, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x50]]], 0xff, {registers: {af: 0x85ac, bc: 0xbbcc, de: 0xbba8, hl: 0xf219, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0c}],
+  ['ed51', 'out (c),d', {af: 0x2c4c, bc: 0xc0a4, de: 0x5303, hl: 0xbc25, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x51]]], 0xff, {registers: {af: 0x2c4c, bc: 0xc0a4, de: 0x5303, hl: 0xbc25, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [[0xc0a4, 0x53]], cycles: 0x0c}],
+  ['ed52', 'sbc hl,de', {af: 0xfc57, bc: 0x1fc8, de: 0x47b6, hl: 0xda7c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x52]]], 0xff, {registers: {af: 0xfc82, bc: 0x1fc8, de: 0x47b6, hl: 0x92c5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0f}],
+  ['ed53', 'ld (nnnn),de', {af: 0x1f88, bc: 0x4692, de: 0x5cb2, hl: 0x4915, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x7d8c, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x53, 0xff, 0x21]]], 0xff, {registers: {af: 0x1f88, bc: 0x4692, de: 0x5cb2, hl: 0x4915, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x7d8c, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x21ff: 0xb2, 0x2200: 0x5c}, io: [], cycles: 0x14}],
+  ['ed56', 'im 1', {af: 0x5cc0, bc: 0x9100, de: 0x356b, hl: 0x4bfd, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x2c93, pc: 0x00, i: 0x00, r: 0x00, im: 0x01, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x56]]], 0xff, {registers: {af: 0x5cc0, bc: 0x9100, de: 0x356b, hl: 0x4bfd, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x2c93, pc: 0x02, im: 0x01, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['ed57', 'ld a,i', {af: 0xbcfe, bc: 0xdfc7, de: 0xa621, hl: 0x1022, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x1e, r: 0x17, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x57]]], 0xff, {registers: {af: 0x1e08, bc: 0xdfc7, de: 0xa621, hl: 0x1022, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x1e}, memory: {}, io: [], cycles: 0x09}],
+  ['ed58', 'in e,(c)', {af: 0xc9ee, bc: 0x4091, de: 0x9e46, hl: 0x873a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x58]]], 0xff, {registers: {af: 0xc900, bc: 0x4091, de: 0x9e40, hl: 0x873a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0c}],
+  ['ed59', 'out (c),e', {af: 0x388a, bc: 0xd512, de: 0xecc5, hl: 0x93af, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x59]]], 0xff, {registers: {af: 0x388a, bc: 0xd512, de: 0xecc5, hl: 0x93af, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [[0xd512, 0xc5]], cycles: 0x0c}],
+  ['ed5a', 'adc hl,de', {af: 0xa41f, bc: 0x751c, de: 0x19ce, hl: 0x0493, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x5a]]], 0xff, {registers: {af: 0xa408, bc: 0x751c, de: 0x19ce, hl: 0x1e62, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0f}],
+  ['ed5b', 'ld de,(nnnn)', {af: 0x5df1, bc: 0x982e, de: 0x2f, hl: 0xadb9, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0xf398, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x5b, 0x04, 0x9f]], [0x9f04, [0x84, 0x4d]]], 0xff, {registers: {af: 0x5df1, bc: 0x982e, de: 0x4d84, hl: 0xadb9, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0xf398, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ed5e', 'im 2', {af: 0x611a, bc: 0xc8cf, de: 0xf215, hl: 0xd92b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x4d86, pc: 0x00, i: 0x00, r: 0x00, im: 0x01, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x5e]]], 0xff, {registers: {af: 0x611a, bc: 0xc8cf, de: 0xf215, hl: 0xd92b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x4d86, pc: 0x02, im: 0x02, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['ed60', 'in h,(c)', {af: 0x2c9c, bc: 0x0dae, de: 0x621e, hl: 0x2f66, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x60]]], 0xff, {registers: {af: 0x2c08, bc: 0x0dae, de: 0x621e, hl: 0x0d66, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0c}],
+  ['ed61', 'out (c),h', {af: 0xffa8, bc: 0x90ca, de: 0x0340, hl: 0xd847, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x61]]], 0xff, {registers: {af: 0xffa8, bc: 0x90ca, de: 0x0340, hl: 0xd847, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [[0x90ca, 0xd8]], cycles: 0x0c}],
+  ['ed62', 'sbc hl,hl', {af: 0xa60b, bc: 0xd9aa, de: 0x6623, hl: 0x0b1a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x62]]], 0xff, {registers: {af: 0xa6bb, bc: 0xd9aa, de: 0x6623, hl: 0xffff, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0f}],
+  ['ed63', 'ld (nnnn),hl', {af: 0x5222, bc: 0x88f9, de: 0x9d9a, hl: 0xe4d3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0xa2f0, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x63, 0x67, 0x65]]], 0xff, {registers: {af: 0x5222, bc: 0x88f9, de: 0x9d9a, hl: 0xe4d3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0xa2f0, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x6567: 0xd3, 0x6568: 0xe4}, io: [], cycles: 0x14}],
+  ['ed66', 'im 0', {af: 0x4088, bc: 0xa7e1, de: 0x3ffd, hl: 0x919b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0xd193, pc: 0x00, i: 0x00, r: 0x00, im: 0x01, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x66]]], 0xff, {registers: {af: 0x4088, bc: 0xa7e1, de: 0x3ffd, hl: 0x919b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0xd193, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['ed67', 'rrd', {af: 0x3624, bc: 0xb16a, de: 0xa4db, hl: 0xb9de, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x67]], [0xb9de, [0x93]]], 0xff, {registers: {af: 0x3324, bc: 0xb16a, de: 0xa4db, hl: 0xb9de, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xb9de: 0x69}, io: [], cycles: 0x12}],
+  ['ed68', 'in l,(c)', {af: 0x5316, bc: 0x624b, de: 0x7311, hl: 0x3106, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x68]]], 0xff, {registers: {af: 0x5320, bc: 0x624b, de: 0x7311, hl: 0x3162, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0c}],
+  ['ed69', 'out (c),l', {af: 0xabd8, bc: 0x8d2f, de: 0x89c7, hl: 0xc3d6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x69]]], 0xff, {registers: {af: 0xabd8, bc: 0x8d2f, de: 0x89c7, hl: 0xc3d6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [[0x8d2f, 0xd6]], cycles: 0x0c}],
+  ['ed6a', 'adc hl,hl', {af: 0xbb5a, bc: 0x6fed, de: 0x59bb, hl: 0x4e40, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x6a]]], 0xff, {registers: {af: 0xbb9c, bc: 0x6fed, de: 0x59bb, hl: 0x9c80, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0f}],
+  ['ed6b', 'ld hl,(nnnn)', {af: 0x9e35, bc: 0xd240, de: 0x1998, hl: 0xab19, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x9275, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x6b, 0x98, 0x61]], [0x6198, [0x3f, 0xbe]]], 0xff, {registers: {af: 0x9e35, bc: 0xd240, de: 0x1998, hl: 0xbe3f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x9275, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ed6e', 'im 0', {af: 0x7752, bc: 0xbec3, de: 0x0457, hl: 0x8c95, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0xa787, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x6e]]], 0xff, {registers: {af: 0x7752, bc: 0xbec3, de: 0x0457, hl: 0x8c95, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0xa787, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['ed6f', 'rld', {af: 0x658b, bc: 0x7a7a, de: 0xecf0, hl: 0x403c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x6f]], [0x403c, [0xc4]]], 0xff, {registers: {af: 0x6c2d, bc: 0x7a7a, de: 0xecf0, hl: 0x403c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x403c: 0x45}, io: [], cycles: 0x12}],
+  ['ed70', 'in f,(c)', {af: 0xc6a1, bc: 0xf7d6, de: 0xa3cb, hl: 0x288d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x70]]], 0xff, {registers: {af: 0xc6a1, bc: 0xf7d6, de: 0xa3cb, hl: 0x288d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0c}],
+  ['ed71', 'out (c),0', {af: 0xafa0, bc: 0x20b3, de: 0x7b33, hl: 0x4ac1, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x71]]], 0xff, {registers: {af: 0xafa0, bc: 0x20b3, de: 0x7b33, hl: 0x4ac1, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [[0x20b3, 0x00]], cycles: 0x0c}],
+  ['ed72', 'sbc hl,sp', {af: 0x5fd9, bc: 0x05cb, de: 0x0c6c, hl: 0xd18b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x53db, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x72]]], 0xff, {registers: {af: 0x5f3e, bc: 0x05cb, de: 0x0c6c, hl: 0x7daf, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x53db, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0f}],
+  ['ed73', 'ld (nnnn),sp', {af: 0x41c4, bc: 0x763a, de: 0xecb0, hl: 0xee62, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0xaed5, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x73, 0x2a, 0x79]]], 0xff, {registers: {af: 0x41c4, bc: 0x763a, de: 0xecb0, hl: 0xee62, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0xaed5, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x792a: 0xd5, 0x792b: 0xae}, io: [], cycles: 0x14}],
+  ['ed76', 'im 1', {af: 0xcabf, bc: 0xff9a, de: 0xb98c, hl: 0xa8e6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0xfe8e, pc: 0x00, i: 0x00, r: 0x00, im: 0x02, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x76]]], 0xff, {registers: {af: 0xcabf, bc: 0xff9a, de: 0xb98c, hl: 0xa8e6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0xfe8e, pc: 0x02, im: 0x01, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['ed78', 'in a,(c)', {af: 0x58dd, bc: 0xf206, de: 0x2d6a, hl: 0xaf16, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x78]]], 0xff, {registers: {af: 0xf2a1, bc: 0xf206, de: 0x2d6a, hl: 0xaf16, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0c}],
+  ['ed79', 'out (c),a', {af: 0xe000, bc: 0x4243, de: 0x8f7f, hl: 0xed90, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x79]]], 0xff, {registers: {af: 0xe000, bc: 0x4243, de: 0x8f7f, hl: 0xed90, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [[0x4243, 0xe0]], cycles: 0x0c}],
+  ['ed7a', 'adc hl,sp', {af: 0x32fd, bc: 0xd819, de: 0xd873, hl: 0x8dcf, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5d22, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x7a]]], 0xff, {registers: {af: 0x32b8, bc: 0xd819, de: 0xd873, hl: 0xeaf2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5d22, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0f}],
+  ['ed7b', 'ld sp,(nnnn)', {af: 0x4f97, bc: 0x24b7, de: 0xe105, hl: 0x1bf2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5e17, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x7b, 0x50, 0x8c]], [0x8c50, [0xd8, 0x48]]], 0xff, {registers: {af: 0x4f97, bc: 0x24b7, de: 0xe105, hl: 0x1bf2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x48d8, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['ed7c', 'neg', {af: 0xd333, bc: 0x29ca, de: 0x9622, hl: 0xb452, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x0be6, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x7c]]], 0xff, {registers: {af: 0x2d3b, bc: 0x29ca, de: 0x9622, hl: 0xb452, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x0be6, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['ed7d', 'retn', {af: 0xecb6, bc: 0x073e, de: 0xdc1e, hl: 0x38d9, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x66f0, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: true, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x7d]], [0x66f0, [0x4f, 0xfb]]], 0xff, {registers: {af: 0xecb6, bc: 0x073e, de: 0xdc1e, hl: 0x38d9, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x66f2, pc: 0xfb4f, im: 0x00, iff1: true, iff2: true, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0e}],
+  ['ed7e', 'im 2', {af: 0xb246, bc: 0x1a1a, de: 0x933a, hl: 0x4b8b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x2242, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0x7e]]], 0xff, {registers: {af: 0xb246, bc: 0x1a1a, de: 0x933a, hl: 0x4b8b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x2242, pc: 0x02, im: 0x02, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['eda0', 'ldi', {af: 0x1bc9, bc: 0x3d11, de: 0x95c1, hl: 0xd097, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0xa0]], [0xd097, [0xb7]]], 0xff, {registers: {af: 0x1be5, bc: 0x3d10, de: 0x95c2, hl: 0xd098, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x95c1: 0xb7}, io: [], cycles: 0x10}],
+  ['eda1', 'cpi', {af: 0xecdb, bc: 0x7666, de: 0x537f, hl: 0x3bc3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0xa1]], [0x3bc3, [0xb4]]], 0xff, {registers: {af: 0xec0f, bc: 0x7665, de: 0x537f, hl: 0x3bc4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x10}],
+  ['eda2', 'ini', {af: 0x0121, bc: 0x9a82, de: 0x5bbd, hl: 0x2666, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0xa2]]], 0xff, {registers: {af: 0x019f, bc: 0x9982, de: 0x5bbd, hl: 0x2667, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x2666: 0x9a}, io: [], cycles: 0x10}],
+  ['eda2_01', 'ini', {af: 0x00, bc: 0x0200, de: 0x00, hl: 0x8000, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0xa2]]], 0xff, {registers: {af: 0x00, bc: 0x0100, de: 0x00, hl: 0x8001, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x8000: 0x02}, io: [], cycles: 0x10}],
+  ['eda2_02', 'ini', {af: 0x00, bc: 0x569a, de: 0x00, hl: 0x8000, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0xa2]]], 0xff, {registers: {af: 0x00, bc: 0x559a, de: 0x00, hl: 0x8001, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x8000: 0x56}, io: [], cycles: 0x10}],
+  ['eda2_03', 'ini', {af: 0x00, bc: 0xabcc, de: 0x00, hl: 0x8000, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0xa2]]], 0xff, {registers: {af: 0xbf, bc: 0xaacc, de: 0x00, hl: 0x8001, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x8000: 0xab}, io: [], cycles: 0x10}],
+  ['eda3', 'outi', {af: 0x42c5, bc: 0x6334, de: 0x1e28, hl: 0x32fa, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0xa3]], [0x32fa, [0xb3]]], 0xff, {registers: {af: 0x4233, bc: 0x6234, de: 0x1e28, hl: 0x32fb, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [[0x6234, 0xb3]], cycles: 0x10}],
+  ['eda3_01', 'outi', {af: 0x00, bc: 0x0100, de: 0x00, hl: 0x01ff, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0xa3]], [0x01ff, [0x00]]], 0xff, {registers: {af: 0x44, bc: 0x00, de: 0x00, hl: 0x0200, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [[0x00, 0x00]], cycles: 0x10}],
+  ['eda3_02', 'outi', {af: 0x00, bc: 0x0100, de: 0x00, hl: 0x0100, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0xa3]], [0x0100, [0x00]]], 0xff, {registers: {af: 0x40, bc: 0x00, de: 0x00, hl: 0x0101, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [[0x00, 0x00]], cycles: 0x10}],
+  ['eda3_03', 'outi', {af: 0x00, bc: 0x0100, de: 0x00, hl: 0x0107, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0xa3]], [0x0107, [0x00]]], 0xff, {registers: {af: 0x44, bc: 0x00, de: 0x00, hl: 0x0108, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [[0x00, 0x00]], cycles: 0x10}],
+  ['eda3_04', 'outi', {af: 0x00, bc: 0x0100, de: 0x00, hl: 0x01ff, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0xa3]], [0x01ff, [0x80]]], 0xff, {registers: {af: 0x46, bc: 0x00, de: 0x00, hl: 0x0200, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [[0x00, 0x80]], cycles: 0x10}],
+  ['eda3_05', 'outi', {af: 0x00, bc: 0x0100, de: 0x00, hl: 0x01fd, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0xa3]], [0x01fd, [0x12]]], 0xff, {registers: {af: 0x55, bc: 0x00, de: 0x00, hl: 0x01fe, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [[0x00, 0x12]], cycles: 0x10}],
+  ['eda3_06', 'outi', {af: 0x00, bc: 0x0100, de: 0x00, hl: 0x01fe, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0xa3]], [0x01fe, [0x12]]], 0xff, {registers: {af: 0x51, bc: 0x00, de: 0x00, hl: 0x01ff, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [[0x00, 0x12]], cycles: 0x10}],
+  ['eda3_07', 'outi', {af: 0x00, bc: 0x0200, de: 0x00, hl: 0x01ff, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0xa3]], [0x01ff, [0x00]]], 0xff, {registers: {af: 0x00, bc: 0x0100, de: 0x00, hl: 0x0200, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [[0x0100, 0x00]], cycles: 0x10}],
+  ['eda3_08', 'outi', {af: 0x00, bc: 0x0800, de: 0x00, hl: 0x01fe, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0xa3]], [0x01fe, [0x00]]], 0xff, {registers: {af: 0x04, bc: 0x0700, de: 0x00, hl: 0x01ff, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [[0x0700, 0x00]], cycles: 0x10}],
+  ['eda3_09', 'outi', {af: 0x00, bc: 0x8100, de: 0x00, hl: 0x01ff, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0xa3]], [0x01ff, [0x00]]], 0xff, {registers: {af: 0x80, bc: 0x8000, de: 0x00, hl: 0x0200, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [[0x8000, 0x00]], cycles: 0x10}],
+  ['eda3_10', 'outi', {af: 0x00, bc: 0x8200, de: 0x00, hl: 0x01ff, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0xa3]], [0x01ff, [0x00]]], 0xff, {registers: {af: 0x84, bc: 0x8100, de: 0x00, hl: 0x0200, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [[0x8100, 0x00]], cycles: 0x10}],
+  ['eda3_11', 'outi', {af: 0x00, bc: 0xa900, de: 0x00, hl: 0x01ff, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0xa3]], [0x01ff, [0x00]]], 0xff, {registers: {af: 0xa8, bc: 0xa800, de: 0x00, hl: 0x0200, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [[0xa800, 0x00]], cycles: 0x10}],
+  ['eda8', 'ldd', {af: 0x2a8e, bc: 0x1607, de: 0x5938, hl: 0x12e8, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0xa8]], [0x12e8, [0xd8]]], 0xff, {registers: {af: 0x2aa4, bc: 0x1606, de: 0x5937, hl: 0x12e7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x5938: 0xd8}, io: [], cycles: 0x10}],
+  ['eda9', 'cpd', {af: 0x1495, bc: 0xfb42, de: 0x0466, hl: 0x0dbe, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0xa9]], [0x0dbe, [0x89]]], 0xff, {registers: {af: 0x14bf, bc: 0xfb41, de: 0x0466, hl: 0x0dbd, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x10}],
+  ['edaa', 'ind', {af: 0x2042, bc: 0xd791, de: 0xa912, hl: 0xa533, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0xaa]]], 0xff, {registers: {af: 0x2097, bc: 0xd691, de: 0xa912, hl: 0xa532, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xa533: 0xd7}, io: [], cycles: 0x10}],
+  ['edaa_01', 'ind', {af: 0x00, bc: 0x0101, de: 0x00, hl: 0x8000, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0xaa]]], 0xff, {registers: {af: 0x40, bc: 0x01, de: 0x00, hl: 0x7fff, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x8000: 0x01}, io: [], cycles: 0x10}],
+  ['edaa_02', 'ind', {af: 0x00, bc: 0x56aa, de: 0x00, hl: 0x8000, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0xaa]]], 0xff, {registers: {af: 0x00, bc: 0x55aa, de: 0x00, hl: 0x7fff, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x8000: 0x56}, io: [], cycles: 0x10}],
+  ['edaa_03', 'ind', {af: 0x00, bc: 0xabcc, de: 0x00, hl: 0x8000, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0xaa]]], 0xff, {registers: {af: 0xbf, bc: 0xaacc, de: 0x00, hl: 0x7fff, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x8000: 0xab}, io: [], cycles: 0x10}],
+  ['edab', 'outd', {af: 0x37, bc: 0xf334, de: 0xd3e1, hl: 0x199f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0xab]], [0x199f, [0x49]]], 0xff, {registers: {af: 0xa4, bc: 0xf234, de: 0xd3e1, hl: 0x199e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [[0xf234, 0x49]], cycles: 0x10}],
+  ['edab_01', 'outd', {af: 0x00, bc: 0x5800, de: 0x00, hl: 0x7a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0xab]], [0x7a, [0x7f]]], 0xff, {registers: {af: 0x00, bc: 0x5700, de: 0x00, hl: 0x79, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [[0x5700, 0x7f]], cycles: 0x10}],
+  ['edab_02', 'outd', {af: 0x00, bc: 0xab00, de: 0x00, hl: 0xf1, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xed, 0xab]], [0xf1, [0xcd]]], 0xff, {registers: {af: 0xbf, bc: 0xaa00, de: 0x00, hl: 0xf0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [[0xaa00, 0xcd]], cycles: 0x10}],
+  ['edb0', 'ldir', {af: 0x1045, bc: 0x10, de: 0xaad8, hl: 0x558e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x014b}, [[0x00, [0xed, 0xb0]], [0x558e, [0x53, 0x94, 0x30, 0x05, 0x44, 0x24, 0x22, 0xb9, 0xe9, 0x77, 0x23, 0x71, 0xe2, 0x5c, 0xfb, 0x49]]], 0xff, {registers: {af: 0x1049, bc: 0x00, de: 0xaae8, hl: 0x559e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xaad8: 0x53, 0xaad9: 0x94, 0xaada: 0x30, 0xaadb: 0x05, 0xaadc: 0x44, 0xaadd: 0x24, 0xaade: 0x22, 0xaadf: 0xb9, 0xaae0: 0xe9, 0xaae1: 0x77, 0xaae2: 0x23, 0xaae3: 0x71, 0xaae4: 0xe2, 0xaae5: 0x5c, 0xaae6: 0xfb, 0xaae7: 0x49}, io: [], cycles: 0x014b}],
+  ['edb0_1', 'ldir', {af: 0x00, bc: 0x02, de: 0xc000, hl: 0x8000, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x4000, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x25}, [[0x4000, [0xed, 0xb0]], [0x8000, [0x12, 0x34]]], 0xff, {registers: {af: 0x00, bc: 0x00, de: 0xc002, hl: 0x8002, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x4002, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xc000: 0x12, 0xc001: 0x34}, io: [], cycles: 0x25}],
+  ['edb0_2', 'ldir', {af: 0x00, bc: 0x01, de: 0xc000, hl: 0x8000, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x4000, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x10}, [[0x4000, [0xed, 0xb0]], [0x8000, [0x12, 0x34]]], 0xff, {registers: {af: 0x20, bc: 0x00, de: 0xc001, hl: 0x8001, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x4002, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xc000: 0x12}, io: [], cycles: 0x10}],
+  ['edb1', 'cpir', {af: 0xf4dd, bc: 0x08, de: 0xe4e0, hl: 0x9825, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x4f}, [[0x00, [0xed, 0xb1]], [0x9825, [0x50, 0xe5, 0x41, 0xf4, 0x01, 0x9f, 0x11, 0x85]]], 0xff, {registers: {af: 0xf447, bc: 0x04, de: 0xe4e0, hl: 0x9829, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x4f}],
+  ['edb1_1', 'cpir', {af: 0xf4dd, bc: 0x08, de: 0xe4e0, hl: 0x9825, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x8396, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x4f}, [[0x8396, [0xed, 0xb1]], [0x9825, [0x50, 0xe5, 0x41, 0xf4, 0x01, 0x9f, 0x11, 0x85]]], 0xff, {registers: {af: 0xf447, bc: 0x04, de: 0xe4e0, hl: 0x9829, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x8398, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x4f}],
+  ['edb1_2', 'cpir', {af: 0xf4dd, bc: 0x08, de: 0xe4e0, hl: 0x9825, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x8396, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x15}, [[0x8396, [0xed, 0xb1]], [0x9825, [0x50, 0xe5, 0x41, 0xf4, 0x01, 0x9f, 0x11, 0x85]]], 0xff, {registers: {af: 0xf487, bc: 0x07, de: 0xe4e0, hl: 0x9826, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x8396, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x15}],
+  ['edb2', 'inir', {af: 0x8a34, bc: 0x0a40, de: 0xd98c, hl: 0x37ce, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0xcd}, [[0x00, [0xed, 0xb2]]], 0xff, {registers: {af: 0x8a40, bc: 0x40, de: 0xd98c, hl: 0x37d8, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x37ce: 0x0a, 0x37cf: 0x09, 0x37d0: 0x08, 0x37d1: 0x07, 0x37d2: 0x06, 0x37d3: 0x05, 0x37d4: 0x04, 0x37d5: 0x03, 0x37d6: 0x02, 0x37d7: 0x01}, io: [], cycles: 0xcd}],
+  ['edb2_1', 'inir', {af: 0x8a34, bc: 0x0a40, de: 0xd98c, hl: 0x37ce, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x15}, [[0x00, [0xed, 0xb2]]], 0xff, {registers: {af: 0x8a0c, bc: 0x0940, de: 0xd98c, hl: 0x37cf, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x37ce: 0x0a}, io: [], cycles: 0x15}],
+  ['edb3', 'otir', {af: 0x34ab, bc: 0x03e0, de: 0x41b9, hl: 0x1d7c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x3a}, [[0x00, [0xed, 0xb3]], [0x1d7c, [0x9d, 0x24, 0xaa]]], 0xff, {registers: {af: 0x3453, bc: 0xe0, de: 0x41b9, hl: 0x1d7f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [[0x02e0, 0x9d], [0x01e0, 0x24], [0xe0, 0xaa]], cycles: 0x3a}],
+  ['edb3_1', 'otir', {af: 0x34ab, bc: 0x03e0, de: 0x41b9, hl: 0x1d7c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x15}, [[0x00, [0xed, 0xb3]], [0x1d7c, [0x9d, 0x24, 0xaa]]], 0xff, {registers: {af: 0x3417, bc: 0x02e0, de: 0x41b9, hl: 0x1d7d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [[0x02e0, 0x9d]], cycles: 0x15}],
+  ['edb8', 'lddr', {af: 0xe553, bc: 0x08, de: 0x68e8, hl: 0x4dcf, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0xa3}, [[0x00, [0xed, 0xb8]], [0x4dc8, [0x29, 0x85, 0xa7, 0xc3, 0x55, 0x74, 0x23, 0x0a]]], 0xff, {registers: {af: 0xe569, bc: 0x00, de: 0x68e0, hl: 0x4dc7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x68e1: 0x29, 0x68e2: 0x85, 0x68e3: 0xa7, 0x68e4: 0xc3, 0x68e5: 0x55, 0x68e6: 0x74, 0x68e7: 0x23, 0x68e8: 0x0a}, io: [], cycles: 0xa3}],
+  ['edb8_1', 'lddr', {af: 0x00, bc: 0x02, de: 0xb5d7, hl: 0x6af0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x1ec1, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x25}, [[0x1ec1, [0xed, 0xb8]], [0x6aef, [0xd6, 0x70]]], 0xff, {registers: {af: 0x20, bc: 0x00, de: 0xb5d5, hl: 0x6aee, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x1ec3, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xb5d6: 0xd6, 0xb5d7: 0x70}, io: [], cycles: 0x25}],
+  ['edb8_2', 'lddr', {af: 0x00, bc: 0x01, de: 0xb5d7, hl: 0x6af0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x1ec1, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x10}, [[0x1ec1, [0xed, 0xb8]], [0x6aef, [0xd6, 0x70]]], 0xff, {registers: {af: 0x00, bc: 0x00, de: 0xb5d6, hl: 0x6aef, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x1ec3, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xb5d7: 0x70}, io: [], cycles: 0x10}],
+  ['edb9', 'cpdr', {af: 0xffcd, bc: 0x08, de: 0xa171, hl: 0xc749, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0xa3}, [[0x00, [0xed, 0xb9]], [0xc742, [0xc6, 0x09, 0x85, 0xec, 0x5a, 0x01, 0x4e, 0x6c]]], 0xff, {registers: {af: 0xff0b, bc: 0x00, de: 0xa171, hl: 0xc741, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0xa3}],
+  ['edb9_1', 'cpdr', {af: 0xffcd, bc: 0x08, de: 0xa171, hl: 0xc749, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x7a45, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0xa3}, [[0x7a45, [0xed, 0xb9]], [0xc742, [0xc6, 0x09, 0x85, 0xec, 0x5a, 0x01, 0x4e, 0x6c]]], 0xff, {registers: {af: 0xff0b, bc: 0x00, de: 0xa171, hl: 0xc741, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x7a47, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0xa3}],
+  ['edb9_2', 'cpdr', {af: 0xffcd, bc: 0x08, de: 0xa171, hl: 0xc749, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x7a45, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x15}, [[0x7a45, [0xed, 0xb9]], [0xc742, [0xc6, 0x09, 0x85, 0xec, 0x5a, 0x01, 0x4e, 0x6c]]], 0xff, {registers: {af: 0xffa7, bc: 0x07, de: 0xa171, hl: 0xc748, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x7a45, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x15}],
+  ['edba', 'indr', {af: 0x2567, bc: 0x069f, de: 0xd40d, hl: 0x6b55, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x79}, [[0x00, [0xed, 0xba]]], 0xff, {registers: {af: 0x2540, bc: 0x9f, de: 0xd40d, hl: 0x6b4f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x6b50: 0x01, 0x6b51: 0x02, 0x6b52: 0x03, 0x6b53: 0x04, 0x6b54: 0x05, 0x6b55: 0x06}, io: [], cycles: 0x79}],
+  ['edba_1', 'indr', {af: 0x2567, bc: 0x069f, de: 0xd40d, hl: 0x6b55, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x15}, [[0x00, [0xed, 0xba]]], 0xff, {registers: {af: 0x2500, bc: 0x059f, de: 0xd40d, hl: 0x6b54, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x6b55: 0x06}, io: [], cycles: 0x15}],
+  ['edbb', 'otdr', {af: 0x09c4, bc: 0x043b, de: 0xbe49, hl: 0x1dd0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x4f}, [[0x00, [0xed, 0xbb]], [0x1dcd, [0xf9, 0x71, 0xc5, 0xb6]]], 0xff, {registers: {af: 0x0957, bc: 0x3b, de: 0xbe49, hl: 0x1dcc, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [[0x033b, 0xb6], [0x023b, 0xc5], [0x013b, 0x71], [0x3b, 0xf9]], cycles: 0x4f}],
+  ['edbb_1', 'otdr', {af: 0x09c4, bc: 0x043b, de: 0xbe49, hl: 0x1dd0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x15}, [[0x00, [0xed, 0xbb]], [0x1dcd, [0xf9, 0x71, 0xc5, 0xb6]]], 0xff, {registers: {af: 0x0917, bc: 0x033b, de: 0xbe49, hl: 0x1dcf, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [[0x033b, 0xb6]], cycles: 0x15}],
+  ['ee', 'xor a,nn', {af: 0x3e00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xee, 0xd0]]], 0xff, {registers: {af: 0xeeac, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x07}],
+  ['ef', 'rst 28', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5507, pc: 0x6d33, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x6d33, [0xef]]], 0xff, {registers: {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5505, pc: 0x28, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x5505: 0x34, 0x5506: 0x6d}, io: [], cycles: 0x0b}],
+  ['f0_1', 'ret p', {af: 0x18, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x43f7, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xf0]], [0x43f7, [0xe9, 0xaf]]], 0xff, {registers: {af: 0x18, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x43f9, pc: 0xafe9, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0b}],
+  ['f0_2', 'ret p', {af: 0x98, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x43f7, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xf0]], [0x43f7, [0xe9, 0xaf]]], 0xff, {registers: {af: 0x98, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x43f7, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x05}],
+  ['f1', 'pop af', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x4143, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xf1]], [0x4143, [0xce, 0xe8]]], 0xff, {registers: {af: 0xe8ce, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x4145, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0a}],
+  ['f2_1', 'jp p,nnnn', {af: 0x07, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xf2, 0x1b, 0xe1]]], 0xff, {registers: {af: 0x07, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0xe11b, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0a}],
+  ['f2_2', 'jp p,nnnn', {af: 0x87, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xf2, 0x1b, 0xe1]]], 0xff, {registers: {af: 0x87, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0a}],
+  ['f3', 'di', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: true, iff2: true, halted: false, cycles: 0x01}, [[0x00, [0xf3]]], 0xff, {registers: {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['f4_1', 'call p,nnnn', {af: 0x0e, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5698, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xf4, 0x61, 0x9c]]], 0xff, {registers: {af: 0x0e, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5696, pc: 0x9c61, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x5696: 0x03, 0x5697: 0x00}, io: [], cycles: 0x11}],
+  ['f4_2', 'call p,nnnn', {af: 0x8e, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5698, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xf4, 0x61, 0x9c]]], 0xff, {registers: {af: 0x8e, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5698, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0a}],
+  ['f5', 'push af', {af: 0x53e3, bc: 0x1459, de: 0x775f, hl: 0x1a2f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0xec12, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xf5]]], 0xff, {registers: {af: 0x53e3, bc: 0x1459, de: 0x775f, hl: 0x1a2f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0xec10, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xec10: 0xe3, 0xec11: 0x53}, io: [], cycles: 0x0b}],
+  ['f6', 'or nn', {af: 0x0600, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xf6, 0xa7]]], 0xff, {registers: {af: 0xa7a0, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x07}],
+  ['f7', 'rst 30', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5507, pc: 0x6d33, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x6d33, [0xf7]]], 0xff, {registers: {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5505, pc: 0x30, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x5505: 0x34, 0x5506: 0x6d}, io: [], cycles: 0x0b}],
+  ['f8_1', 'ret m', {af: 0x18, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x43f7, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xf8]], [0x43f7, [0xe9, 0xaf]]], 0xff, {registers: {af: 0x18, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x43f7, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x05}],
+  ['f8_2', 'ret m', {af: 0x98, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x43f7, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xf8]], [0x43f7, [0xe9, 0xaf]]], 0xff, {registers: {af: 0x98, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x43f9, pc: 0xafe9, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0b}],
+  ['f9', 'ld sp,hl', {af: 0x00, bc: 0x00, de: 0x00, hl: 0xce32, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xf9]]], 0xff, {registers: {af: 0x00, bc: 0x00, de: 0x00, hl: 0xce32, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0xce32, pc: 0x01, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x06}],
+  ['fa_1', 'jp m,nnnn', {af: 0x87, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfa, 0x1b, 0xe1]]], 0xff, {registers: {af: 0x87, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0xe11b, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0a}],
+  ['fa_2', 'jp m,nnnn', {af: 0x07, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfa, 0x1b, 0xe1]]], 0xff, {registers: {af: 0x07, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0a}],
+  ['fb', 'ei', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfb]]], 0xff, {registers: {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x01, im: 0x00, iff1: true, iff2: true, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x04}],
+  ['fc_1', 'call m,nnnn', {af: 0x8e, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5698, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfc, 0x61, 0x9c]]], 0xff, {registers: {af: 0x8e, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5696, pc: 0x9c61, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x5696: 0x03, 0x5697: 0x00}, io: [], cycles: 0x11}],
+  ['fc_2', 'call m,nnnn', {af: 0x0e, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5698, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfc, 0x61, 0x9c]]], 0xff, {registers: {af: 0x0e, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5698, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0a}],
+  ['fd09', 'add iy,bc', {af: 0x466a, bc: 0xa623, de: 0xbab2, hl: 0xd788, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc9e8, iy: 0xf698, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x09]]], 0xff, {registers: {af: 0x4649, bc: 0xa623, de: 0xbab2, hl: 0xd788, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc9e8, iy: 0x9cbb, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0f}],
+  ['fd19', 'add iy,de', {af: 0xb3e5, bc: 0x5336, de: 0x76cb, hl: 0x54e2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb9ce, iy: 0x8624, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x19]]], 0xff, {registers: {af: 0xb3ec, bc: 0x5336, de: 0x76cb, hl: 0x54e2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb9ce, iy: 0xfcef, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0f}],
+  ['fd21', 'ld iy,nnnn', {af: 0xc924, bc: 0x5c83, de: 0xe0e2, hl: 0xeddb, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6e9f, iy: 0xba55, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x21, 0x46, 0x47]]], 0xff, {registers: {af: 0xc924, bc: 0x5c83, de: 0xe0e2, hl: 0xeddb, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6e9f, iy: 0x4746, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0e}],
+  ['fd22', 'ld (nnnn),iy', {af: 0x1235, bc: 0xf0b6, de: 0xb74c, hl: 0xcc9f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x8b00, iy: 0x81e4, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x22, 0x9a, 0xe2]]], 0xff, {registers: {af: 0x1235, bc: 0xf0b6, de: 0xb74c, hl: 0xcc9f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x8b00, iy: 0x81e4, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xe29a: 0xe4, 0xe29b: 0x81}, io: [], cycles: 0x14}],
+  ['fd23', 'inc iy', {af: 0x69f2, bc: 0xc1d3, de: 0x0f6f, hl: 0x2169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe39e, iy: 0x2605, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x23]]], 0xff, {registers: {af: 0x69f2, bc: 0xc1d3, de: 0x0f6f, hl: 0x2169, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe39e, iy: 0x2606, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0a}],
+  ['fd24', 'inc iyh', {af: 0x5554, bc: 0x9684, de: 0xd36a, hl: 0xdac3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7803, iy: 0x6434, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x24]]], 0xff, {registers: {af: 0x5520, bc: 0x9684, de: 0xd36a, hl: 0xdac3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7803, iy: 0x6534, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['fd25', 'dec iyh', {af: 0xcd0b, bc: 0xb5e4, de: 0xa754, hl: 0x9526, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3dcb, iy: 0x03b2, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x25]]], 0xff, {registers: {af: 0xcd03, bc: 0xb5e4, de: 0xa754, hl: 0x9526, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3dcb, iy: 0x02b2, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['fd26', 'ld iyh,nn', {af: 0x2452, bc: 0x300b, de: 0xb4a1, hl: 0x929d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc259, iy: 0x3f30, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x26, 0x77]]], 0xff, {registers: {af: 0x2452, bc: 0x300b, de: 0xb4a1, hl: 0x929d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc259, iy: 0x7730, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0b}],
+  ['fd29', 'add iy,iy', {af: 0x5812, bc: 0x49d0, de: 0xec95, hl: 0x011c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xec6c, iy: 0x594c, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x29]]], 0xff, {registers: {af: 0x5830, bc: 0x49d0, de: 0xec95, hl: 0x011c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xec6c, iy: 0xb298, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0f}],
+  ['fd2a', 'ld iy,(nnnn)', {af: 0x0f82, bc: 0x3198, de: 0x87e3, hl: 0x7c1c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1bb4, iy: 0xeb1a, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x2a, 0x91, 0xf9]], [0xf991, [0x92, 0xbf]]], 0xff, {registers: {af: 0x0f82, bc: 0x3198, de: 0x87e3, hl: 0x7c1c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1bb4, iy: 0xbf92, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fd2b', 'dec iy', {af: 0xab27, bc: 0x942f, de: 0x82fa, hl: 0x6f2f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9438, iy: 0xebbc, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x2b]]], 0xff, {registers: {af: 0xab27, bc: 0x942f, de: 0x82fa, hl: 0x6f2f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9438, iy: 0xebbb, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0a}],
+  ['fd2c', 'inc iyl', {af: 0x665d, bc: 0x0ab1, de: 0x5656, hl: 0xe5a9, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5fb9, iy: 0x4df7, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x2c]]], 0xff, {registers: {af: 0x66a9, bc: 0x0ab1, de: 0x5656, hl: 0xe5a9, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5fb9, iy: 0x4df8, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['fd2d', 'dec iyl', {af: 0x32fb, bc: 0xf78a, de: 0xb906, hl: 0x31d0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc72a, iy: 0xe91c, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x2d]]], 0xff, {registers: {af: 0x320b, bc: 0xf78a, de: 0xb906, hl: 0x31d0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc72a, iy: 0xe91b, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['fd2e', 'ld iyl,nn', {af: 0x2114, bc: 0x4923, de: 0x6e65, hl: 0x6c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xda39, iy: 0xc0cb, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x2e, 0x49]]], 0xff, {registers: {af: 0x2114, bc: 0x4923, de: 0x6e65, hl: 0x6c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xda39, iy: 0xc049, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0b}],
+  ['fd34', 'inc (iy+dd)', {af: 0xd56a, bc: 0x6f24, de: 0x7df7, hl: 0x74f0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x365a, iy: 0xefc4, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x34, 0xb8]], [0xef7c, [0xe0]]], 0xff, {registers: {af: 0xd5a0, bc: 0x6f24, de: 0x7df7, hl: 0x74f0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x365a, iy: 0xefc4, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xef7c: 0xe1}, io: [], cycles: 0x17}],
+  ['fd35', 'dec (iy+dd)', {af: 0x8cda, bc: 0x35d8, de: 0x7c1a, hl: 0x1c0a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x62bb, iy: 0xaec6, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x35, 0xab]], [0xae71, [0xa6]]], 0xff, {registers: {af: 0x8ca2, bc: 0x35d8, de: 0x7c1a, hl: 0x1c0a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x62bb, iy: 0xaec6, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xae71: 0xa5}, io: [], cycles: 0x17}],
+  ['fd36', 'ld (iy+dd),nn', {af: 0xe0f9, bc: 0xae1f, de: 0x4aef, hl: 0xc9d5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc0db, iy: 0xbdd4, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x36, 0x81, 0xc5]]], 0xff, {registers: {af: 0xe0f9, bc: 0xae1f, de: 0x4aef, hl: 0xc9d5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc0db, iy: 0xbdd4, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xbd55: 0xc5}, io: [], cycles: 0x13}],
+  ['fd39', 'add iy,sp', {af: 0x2603, bc: 0x726f, de: 0x9c7f, hl: 0xcd46, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xdc45, iy: 0x54d5, sp: 0xdc57, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x39]]], 0xff, {registers: {af: 0x2631, bc: 0x726f, de: 0x9c7f, hl: 0xcd46, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xdc45, iy: 0x312c, sp: 0xdc57, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0f}],
+  ['fd44', 'ld b,iyh', {af: 0x0e58, bc: 0x7192, de: 0x3580, hl: 0x9be4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1b79, iy: 0x685e, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x44]]], 0xff, {registers: {af: 0x0e58, bc: 0x6892, de: 0x3580, hl: 0x9be4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1b79, iy: 0x685e, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['fd45', 'ld b,iyl', {af: 0x6555, bc: 0xa488, de: 0x5ae8, hl: 0xc948, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd7b8, iy: 0xa177, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x45]]], 0xff, {registers: {af: 0x6555, bc: 0x7788, de: 0x5ae8, hl: 0xc948, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd7b8, iy: 0xa177, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['fd46', 'ld b,(iy+dd)', {af: 0x87f3, bc: 0x17d5, de: 0x5eea, hl: 0x830b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xdcee, iy: 0x3afc, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x46, 0x4d]], [0x3b49, [0xc9]]], 0xff, {registers: {af: 0x87f3, bc: 0xc9d5, de: 0x5eea, hl: 0x830b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xdcee, iy: 0x3afc, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x13}],
+  ['fd4c', 'ld c,iyh', {af: 0x7e6b, bc: 0xbd4b, de: 0x24b6, hl: 0xff94, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x862d, iy: 0x01d0, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x4c]]], 0xff, {registers: {af: 0x7e6b, bc: 0xbd01, de: 0x24b6, hl: 0xff94, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x862d, iy: 0x01d0, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['fd4d', 'ld c,iyl', {af: 0x50cf, bc: 0xe3fe, de: 0x998e, hl: 0xdba2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc4f5, iy: 0xc7c9, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x4d]]], 0xff, {registers: {af: 0x50cf, bc: 0xe3c9, de: 0x998e, hl: 0xdba2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc4f5, iy: 0xc7c9, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['fd4e', 'ld c,(iy+dd)', {af: 0x2c0f, bc: 0x69d7, de: 0x748a, hl: 0x9290, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x904f, iy: 0xbb9a, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x4e, 0x67]], [0xbc01, [0x9d]]], 0xff, {registers: {af: 0x2c0f, bc: 0x699d, de: 0x748a, hl: 0x9290, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x904f, iy: 0xbb9a, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x13}],
+  ['fd54', 'ld d,iyh', {af: 0xd7f9, bc: 0xf65b, de: 0xb001, hl: 0xd4c4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x4b8e, iy: 0xd437, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x54]]], 0xff, {registers: {af: 0xd7f9, bc: 0xf65b, de: 0xd401, hl: 0xd4c4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x4b8e, iy: 0xd437, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['fd55', 'ld d,iyl', {af: 0xab98, bc: 0xfdab, de: 0x254a, hl: 0x010e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x126b, iy: 0x13a9, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x55]]], 0xff, {registers: {af: 0xab98, bc: 0xfdab, de: 0xa94a, hl: 0x010e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x126b, iy: 0x13a9, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['fd56', 'ld d,(iy+dd)', {af: 0xd3e8, bc: 0xdf10, de: 0x5442, hl: 0xb641, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa5a0, iy: 0xfda2, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x56, 0xce]], [0xfd70, [0x78]]], 0xff, {registers: {af: 0xd3e8, bc: 0xdf10, de: 0x7842, hl: 0xb641, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa5a0, iy: 0xfda2, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x13}],
+  ['fd5c', 'ld e,iyh', {af: 0x11d5, bc: 0xc489, de: 0xe220, hl: 0x434e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3244, iy: 0xd8bb, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x5c]]], 0xff, {registers: {af: 0x11d5, bc: 0xc489, de: 0xe2d8, hl: 0x434e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3244, iy: 0xd8bb, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['fd5d', 'ld e,iyl', {af: 0xe945, bc: 0xdbae, de: 0x32ea, hl: 0x4f7e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xfa56, iy: 0x074e, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x5d]]], 0xff, {registers: {af: 0xe945, bc: 0xdbae, de: 0x324e, hl: 0x4f7e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xfa56, iy: 0x074e, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['fd5e', 'ld e,(iy+dd)', {af: 0x6f3b, bc: 0xe9dc, de: 0x7a06, hl: 0x14f3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xec76, iy: 0x8aaa, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x5e, 0xc6]], [0x8a70, [0x8c]]], 0xff, {registers: {af: 0x6f3b, bc: 0xe9dc, de: 0x7a8c, hl: 0x14f3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xec76, iy: 0x8aaa, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x13}],
+  ['fd60', 'ld iyh,b', {af: 0x8579, bc: 0x5d, de: 0xd9ee, hl: 0xfaee, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x382d, iy: 0x2f95, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x60]]], 0xff, {registers: {af: 0x8579, bc: 0x5d, de: 0xd9ee, hl: 0xfaee, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x382d, iy: 0x95, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['fd61', 'ld iyh,c', {af: 0x5682, bc: 0xdbc3, de: 0xb495, hl: 0x9799, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x85b2, iy: 0x3c1e, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x61]]], 0xff, {registers: {af: 0x5682, bc: 0xdbc3, de: 0xb495, hl: 0x9799, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x85b2, iy: 0xc31e, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['fd62', 'ld iyh,d', {af: 0x906b, bc: 0xf52e, de: 0xf3d8, hl: 0x1e8c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xddba, iy: 0x9a02, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x62]]], 0xff, {registers: {af: 0x906b, bc: 0xf52e, de: 0xf3d8, hl: 0x1e8c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xddba, iy: 0xf302, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['fd63', 'ld iyh,e', {af: 0x9d59, bc: 0xbeb9, de: 0xd826, hl: 0x0eaa, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x4290, iy: 0xa4b9, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x63]]], 0xff, {registers: {af: 0x9d59, bc: 0xbeb9, de: 0xd826, hl: 0x0eaa, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x4290, iy: 0x26b9, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['fd64', 'ld iyh,iyh', {af: 0x7b0e, bc: 0xe394, de: 0x8a25, hl: 0xcddf, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9784, iy: 0x2116, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x64]]], 0xff, {registers: {af: 0x7b0e, bc: 0xe394, de: 0x8a25, hl: 0xcddf, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9784, iy: 0x2116, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['fd65', 'ld iyh,iyl', {af: 0xb827, bc: 0xeb4f, de: 0xf666, hl: 0xc52a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6206, iy: 0x831f, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x65]]], 0xff, {registers: {af: 0xb827, bc: 0xeb4f, de: 0xf666, hl: 0xc52a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6206, iy: 0x1f1f, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['fd66', 'ld h,(iy+dd)', {af: 0x9129, bc: 0xe4ee, de: 0xe3a3, hl: 0x86ca, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x4d93, iy: 0x5b24, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x66, 0x80]], [0x5aa4, [0x77]]], 0xff, {registers: {af: 0x9129, bc: 0xe4ee, de: 0xe3a3, hl: 0x77ca, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x4d93, iy: 0x5b24, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x13}],
+  ['fd67', 'ld iyh,a', {af: 0xdb7a, bc: 0xb40b, de: 0x7b58, hl: 0x49fd, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x266f, iy: 0x9e7b, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x67]]], 0xff, {registers: {af: 0xdb7a, bc: 0xb40b, de: 0x7b58, hl: 0x49fd, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x266f, iy: 0xdb7b, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['fd68', 'ld iyl,b', {af: 0x4d1d, bc: 0x4fd9, de: 0x783e, hl: 0x0745, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0c3d, iy: 0x82b5, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x68]]], 0xff, {registers: {af: 0x4d1d, bc: 0x4fd9, de: 0x783e, hl: 0x0745, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0c3d, iy: 0x824f, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['fd69', 'ld iyl,c', {af: 0x1589, bc: 0x5ceb, de: 0xb5db, hl: 0x922a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3c3a, iy: 0xdc98, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x69]]], 0xff, {registers: {af: 0x1589, bc: 0x5ceb, de: 0xb5db, hl: 0x922a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3c3a, iy: 0xdceb, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['fd6a', 'ld iyl,d', {af: 0x607a, bc: 0xe035, de: 0x5bb9, hl: 0xdac0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xfc04, iy: 0xb5b7, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x6a]]], 0xff, {registers: {af: 0x607a, bc: 0xe035, de: 0x5bb9, hl: 0xdac0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xfc04, iy: 0xb55b, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['fd6b', 'ld iyl,e', {af: 0xdb2a, bc: 0xe244, de: 0x1182, hl: 0x096f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x198e, iy: 0x91a6, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x6b]]], 0xff, {registers: {af: 0xdb2a, bc: 0xe244, de: 0x1182, hl: 0x096f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x198e, iy: 0x9182, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['fd6c', 'ld iyl,iyh', {af: 0xa0be, bc: 0x34ef, de: 0x8fcd, hl: 0x40a7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x4481, iy: 0xc215, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x6c]]], 0xff, {registers: {af: 0xa0be, bc: 0x34ef, de: 0x8fcd, hl: 0x40a7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x4481, iy: 0xc2c2, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['fd6d', 'ld iyl,iyl', {af: 0xfdfc, bc: 0x727a, de: 0xb839, hl: 0x50a6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe782, iy: 0x02e5, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x6d]]], 0xff, {registers: {af: 0xfdfc, bc: 0x727a, de: 0xb839, hl: 0x50a6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe782, iy: 0x02e5, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['fd6e', 'ld l,(iy+dd)', {af: 0xcfd4, bc: 0x6ef1, de: 0xc07d, hl: 0xeb96, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb0f9, iy: 0xb0a3, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x6e, 0x78]], [0xb11b, [0xf8]]], 0xff, {registers: {af: 0xcfd4, bc: 0x6ef1, de: 0xc07d, hl: 0xebf8, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb0f9, iy: 0xb0a3, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x13}],
+  ['fd6f', 'ld iyl,a', {af: 0x8e1d, bc: 0xa138, de: 0xf20a, hl: 0x298e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb600, iy: 0x0cf7, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x6f]]], 0xff, {registers: {af: 0x8e1d, bc: 0xa138, de: 0xf20a, hl: 0x298e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb600, iy: 0x0c8e, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['fd70', 'ld (iy+dd),b', {af: 0x2677, bc: 0x33c5, de: 0xc0dc, hl: 0x262f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd3dc, iy: 0x23a1, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x70, 0x53]]], 0xff, {registers: {af: 0x2677, bc: 0x33c5, de: 0xc0dc, hl: 0x262f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd3dc, iy: 0x23a1, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x23f4: 0x33}, io: [], cycles: 0x13}],
+  ['fd71', 'ld (iy+dd),c', {af: 0x892e, bc: 0x04ae, de: 0xd67f, hl: 0x81ec, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7757, iy: 0xbfab, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x71, 0xb4]]], 0xff, {registers: {af: 0x892e, bc: 0x04ae, de: 0xd67f, hl: 0x81ec, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7757, iy: 0xbfab, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xbf5f: 0xae}, io: [], cycles: 0x13}],
+  ['fd72', 'ld (iy+dd),d', {af: 0xd2dc, bc: 0xc23c, de: 0xdd54, hl: 0x6559, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb32b, iy: 0x7c80, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x72, 0xe3]]], 0xff, {registers: {af: 0xd2dc, bc: 0xc23c, de: 0xdd54, hl: 0x6559, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb32b, iy: 0x7c80, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x7c63: 0xdd}, io: [], cycles: 0x13}],
+  ['fd73', 'ld (iy+dd),e', {af: 0x49ef, bc: 0xbff2, de: 0x8409, hl: 0x02dd, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xaf95, iy: 0x8762, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x73, 0x17]]], 0xff, {registers: {af: 0x49ef, bc: 0xbff2, de: 0x8409, hl: 0x02dd, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xaf95, iy: 0x8762, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x8779: 0x09}, io: [], cycles: 0x13}],
+  ['fd74', 'ld (iy+dd),h', {af: 0x9479, bc: 0x9817, de: 0xfa2e, hl: 0x1fe0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa395, iy: 0x92db, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x74, 0xf6]]], 0xff, {registers: {af: 0x9479, bc: 0x9817, de: 0xfa2e, hl: 0x1fe0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa395, iy: 0x92db, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x92d1: 0x1f}, io: [], cycles: 0x13}],
+  ['fd75', 'ld (iy+dd),l', {af: 0xc8d6, bc: 0x6aa4, de: 0x180e, hl: 0xe37b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x02cf, iy: 0x1724, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x75, 0xab]]], 0xff, {registers: {af: 0xc8d6, bc: 0x6aa4, de: 0x180e, hl: 0xe37b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x02cf, iy: 0x1724, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x16cf: 0x7b}, io: [], cycles: 0x13}],
+  ['fd77', 'ld (iy+dd),a', {af: 0x6f9e, bc: 0x7475, de: 0x78ad, hl: 0x2b8c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc6b7, iy: 0x6b4d, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x77, 0xf7]]], 0xff, {registers: {af: 0x6f9e, bc: 0x7475, de: 0x78ad, hl: 0x2b8c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc6b7, iy: 0x6b4d, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x6b44: 0x6f}, io: [], cycles: 0x13}],
+  ['fd7c', 'ld a,iyh', {af: 0xf228, bc: 0x93fc, de: 0xa3d4, hl: 0xdc9e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x21ac, iy: 0xc617, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x7c]]], 0xff, {registers: {af: 0xc628, bc: 0x93fc, de: 0xa3d4, hl: 0xdc9e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x21ac, iy: 0xc617, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['fd7d', 'ld a,iyl', {af: 0x93e5, bc: 0x3cbe, de: 0x02c3, hl: 0x26c2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xca81, iy: 0x92b9, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x7d]]], 0xff, {registers: {af: 0xb9e5, bc: 0x3cbe, de: 0x02c3, hl: 0x26c2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xca81, iy: 0x92b9, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['fd7e', 'ld a,(iy+dd)', {af: 0x1596, bc: 0xdaba, de: 0x147b, hl: 0xf362, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7110, iy: 0xd45f, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x7e, 0xe4]], [0xd443, [0xaa]]], 0xff, {registers: {af: 0xaa96, bc: 0xdaba, de: 0x147b, hl: 0xf362, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7110, iy: 0xd45f, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x13}],
+  ['fd84', 'add a,iyh', {af: 0xbfba, bc: 0x7cae, de: 0xc4da, hl: 0x7aee, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x43ee, iy: 0xc08e, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x84]]], 0xff, {registers: {af: 0x7f2d, bc: 0x7cae, de: 0xc4da, hl: 0x7aee, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x43ee, iy: 0xc08e, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['fd85', 'add a,iyl', {af: 0x52dd, bc: 0x1dea, de: 0x324f, hl: 0x84e7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe7a8, iy: 0xf799, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x85]]], 0xff, {registers: {af: 0xeba8, bc: 0x1dea, de: 0x324f, hl: 0x84e7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe7a8, iy: 0xf799, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['fd86', 'add a,(iy+dd)', {af: 0xfc9c, bc: 0xb882, de: 0x43f9, hl: 0x3e15, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9781, iy: 0x8b33, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x86, 0xce]], [0x8b01, [0xe1]]], 0xff, {registers: {af: 0xdd89, bc: 0xb882, de: 0x43f9, hl: 0x3e15, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9781, iy: 0x8b33, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x13}],
+  ['fd8c', 'adc a,iyh', {af: 0xfd9c, bc: 0x42b1, de: 0x5e8a, hl: 0x081c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xcb58, iy: 0x3b4e, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x8c]]], 0xff, {registers: {af: 0x3839, bc: 0x42b1, de: 0x5e8a, hl: 0x081c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xcb58, iy: 0x3b4e, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['fd8d', 'adc a,iyl', {af: 0x9301, bc: 0x7750, de: 0x8ad6, hl: 0x295c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x695c, iy: 0x99fb, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x8d]]], 0xff, {registers: {af: 0x8f89, bc: 0x7750, de: 0x8ad6, hl: 0x295c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x695c, iy: 0x99fb, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['fd8e', 'adc a,(iy+dd)', {af: 0x41ee, bc: 0x398f, de: 0xf6dc, hl: 0x06f3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xf34a, iy: 0x1aa2, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x8e, 0x78]], [0x1b1a, [0xc0]]], 0xff, {registers: {af: 0x0101, bc: 0x398f, de: 0xf6dc, hl: 0x06f3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xf34a, iy: 0x1aa2, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x13}],
+  ['fd94', 'sub a,iyh', {af: 0x0431, bc: 0xd255, de: 0xb9d6, hl: 0x20bb, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1e6a, iy: 0xd5ef, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x94]]], 0xff, {registers: {af: 0x2f3b, bc: 0xd255, de: 0xb9d6, hl: 0x20bb, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1e6a, iy: 0xd5ef, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['fd95', 'sub a,iyl', {af: 0x8b5d, bc: 0xb455, de: 0x2388, hl: 0xec1e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7637, iy: 0xcb97, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x95]]], 0xff, {registers: {af: 0xf4a3, bc: 0xb455, de: 0x2388, hl: 0xec1e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7637, iy: 0xcb97, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['fd96', 'sub a,(iy+dd)', {af: 0xa0c6, bc: 0x22ac, de: 0x0413, hl: 0x4b13, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb44e, iy: 0xc08b, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x96, 0x55]], [0xc0e0, [0x7b]]], 0xff, {registers: {af: 0x2536, bc: 0x22ac, de: 0x0413, hl: 0x4b13, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb44e, iy: 0xc08b, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x13}],
+  ['fd9c', 'sbc a,iyh', {af: 0xa44a, bc: 0x3ecf, de: 0xced3, hl: 0x66ec, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x4bff, iy: 0xb133, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x9c]]], 0xff, {registers: {af: 0xf3a3, bc: 0x3ecf, de: 0xced3, hl: 0x66ec, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x4bff, iy: 0xb133, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['fd9d', 'sbc a,iyl', {af: 0x06c0, bc: 0x8bd0, de: 0x131b, hl: 0x3094, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xafc3, iy: 0x7409, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x9d]]], 0xff, {registers: {af: 0xfdbb, bc: 0x8bd0, de: 0x131b, hl: 0x3094, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xafc3, iy: 0x7409, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['fd9e', 'sbc a,(iy+dd)', {af: 0xb983, bc: 0x981f, de: 0xbb8e, hl: 0xd6d5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5c3b, iy: 0xf66c, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0x9e, 0xf9]], [0xf665, [0xf3]]], 0xff, {registers: {af: 0xc583, bc: 0x981f, de: 0xbb8e, hl: 0xd6d5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5c3b, iy: 0xf66c, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x13}],
+  ['fda4', 'and a,iyh', {af: 0xb079, bc: 0x79c0, de: 0x2c7c, hl: 0x3e06, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7399, iy: 0x037a, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xa4]]], 0xff, {registers: {af: 0x54, bc: 0x79c0, de: 0x2c7c, hl: 0x3e06, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7399, iy: 0x037a, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['fda5', 'and a,iyl', {af: 0x01d2, bc: 0x654d, de: 0x9653, hl: 0x2b33, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x61a4, iy: 0x8f88, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xa5]]], 0xff, {registers: {af: 0x54, bc: 0x654d, de: 0x9653, hl: 0x2b33, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x61a4, iy: 0x8f88, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['fda6', 'and a,(iy+dd)', {af: 0xddb8, bc: 0x40bb, de: 0x3742, hl: 0x6ff1, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xad28, iy: 0x659b, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xa6, 0x53]], [0x65ee, [0x95]]], 0xff, {registers: {af: 0x9594, bc: 0x40bb, de: 0x3742, hl: 0x6ff1, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xad28, iy: 0x659b, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x13}],
+  ['fdac', 'xor a,iyh', {af: 0x7a43, bc: 0x72e3, de: 0xdd4d, hl: 0x1b62, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x4753, iy: 0x5d63, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xac]]], 0xff, {registers: {af: 0x2724, bc: 0x72e3, de: 0xdd4d, hl: 0x1b62, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x4753, iy: 0x5d63, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['fdad', 'xor a,iyl', {af: 0x7d8e, bc: 0x2573, de: 0x19cc, hl: 0x78fb, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5248, iy: 0x8391, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xad]]], 0xff, {registers: {af: 0xeca8, bc: 0x2573, de: 0x19cc, hl: 0x78fb, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5248, iy: 0x8391, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['fdae', 'xor a,(iy+dd)', {af: 0xa0da, bc: 0xbc27, de: 0x257b, hl: 0x5489, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xfa59, iy: 0x81f8, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xae, 0x09]], [0x8201, [0xcb]]], 0xff, {registers: {af: 0x6b28, bc: 0xbc27, de: 0x257b, hl: 0x5489, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xfa59, iy: 0x81f8, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x13}],
+  ['fdb4', 'or a,iyh', {af: 0x4f95, bc: 0x3461, de: 0xf173, hl: 0x8ad3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc1a2, iy: 0x8265, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xb4]]], 0xff, {registers: {af: 0xcf8c, bc: 0x3461, de: 0xf173, hl: 0x8ad3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc1a2, iy: 0x8265, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['fdb5', 'or a,iyl', {af: 0x17f6, bc: 0xe6ea, de: 0xf919, hl: 0x327c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x4299, iy: 0x9733, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xb5]]], 0xff, {registers: {af: 0x3720, bc: 0xe6ea, de: 0xf919, hl: 0x327c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x4299, iy: 0x9733, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['fdb6', 'or a,(iy+dd)', {af: 0xdb37, bc: 0x3509, de: 0xd6ca, hl: 0xb16a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa099, iy: 0xdf6d, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xb6, 0x4b]], [0xdfb8, [0x64]]], 0xff, {registers: {af: 0xffac, bc: 0x3509, de: 0xd6ca, hl: 0xb16a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa099, iy: 0xdf6d, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x13}],
+  ['fdbc', 'cp a,iyh', {af: 0xb4fc, bc: 0x9302, de: 0xe35d, hl: 0x31bc, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5c12, iy: 0x1c92, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xbc]]], 0xff, {registers: {af: 0xb49a, bc: 0x9302, de: 0xe35d, hl: 0x31bc, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5c12, iy: 0x1c92, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['fdbd', 'cp a,iyl', {af: 0x391c, bc: 0x7b82, de: 0xdfeb, hl: 0x03ee, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xbe7b, iy: 0xb30f, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xbd]]], 0xff, {registers: {af: 0x391a, bc: 0x7b82, de: 0xdfeb, hl: 0x03ee, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xbe7b, iy: 0xb30f, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['fdbe', 'cp a,(iy+dd)', {af: 0x0970, bc: 0x0b31, de: 0xf4ad, hl: 0x9d4c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb95a, iy: 0xa96b, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xbe, 0x6b]], [0xa9d6, [0xc0]]], 0xff, {registers: {af: 0x0903, bc: 0x0b31, de: 0xf4ad, hl: 0x9d4c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb95a, iy: 0xa96b, sp: 0x00, pc: 0x03, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x13}],
+  ['fdcb00', 'ld b,rlc (iy+dd)', {af: 0x85ac, bc: 0x46d0, de: 0xa135, hl: 0x20c5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb8de, iy: 0x2776, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x0b, 0x00]], [0x2781, [0x50]]], 0xff, {registers: {af: 0x85a4, bc: 0xa0d0, de: 0xa135, hl: 0x20c5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb8de, iy: 0x2776, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x2781: 0xa0}, io: [], cycles: 0x17}],
+  ['fdcb01', 'ld c,rlc (iy+dd)', {af: 0x577c, bc: 0x2b76, de: 0x3576, hl: 0x280a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xae22, iy: 0x5c35, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xc8, 0x01]], [0x5bfd, [0xcb]]], 0xff, {registers: {af: 0x5781, bc: 0x2b97, de: 0x3576, hl: 0x280a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xae22, iy: 0x5c35, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x5bfd: 0x97}, io: [], cycles: 0x17}],
+  ['fdcb02', 'ld d,rlc (iy+dd)', {af: 0xdc23, bc: 0x2b37, de: 0x83c8, hl: 0x5dd9, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb2d2, iy: 0x3df2, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x14, 0x02]], [0x3e06, [0x58]]], 0xff, {registers: {af: 0xdca0, bc: 0x2b37, de: 0xb0c8, hl: 0x5dd9, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb2d2, iy: 0x3df2, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x3e06: 0xb0}, io: [], cycles: 0x17}],
+  ['fdcb03', 'ld e,rlc (iy+dd)', {af: 0x57ee, bc: 0xc179, de: 0xb2b6, hl: 0x7058, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3f2e, iy: 0x57e7, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x3a, 0x03]], [0x5821, [0x1a]]], 0xff, {registers: {af: 0x5720, bc: 0xc179, de: 0xb234, hl: 0x7058, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3f2e, iy: 0x57e7, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x5821: 0x34}, io: [], cycles: 0x17}],
+  ['fdcb04', 'ld h,rlc (iy+dd)', {af: 0xed18, bc: 0x3f03, de: 0x3327, hl: 0xf35a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xcbf2, iy: 0x5071, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x67, 0x04]], [0x50d8, [0x92]]], 0xff, {registers: {af: 0xed21, bc: 0x3f03, de: 0x3327, hl: 0x255a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xcbf2, iy: 0x5071, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x50d8: 0x25}, io: [], cycles: 0x17}],
+  ['fdcb05', 'ld l,rlc (iy+dd)', {af: 0x7a39, bc: 0x0858, de: 0xdb6c, hl: 0xdbe0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x157a, iy: 0xb25b, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x1e, 0x05]], [0xb279, [0x66]]], 0xff, {registers: {af: 0x7a8c, bc: 0x0858, de: 0xdb6c, hl: 0xdbcc, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x157a, iy: 0xb25b, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xb279: 0xcc}, io: [], cycles: 0x17}],
+  ['fdcb06', 'rlc (iy+dd)', {af: 0xf285, bc: 0x89a2, de: 0xe78f, hl: 0xef74, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x140d, iy: 0xff27, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x72, 0x06]], [0xff99, [0xf1]]], 0xff, {registers: {af: 0xf2a1, bc: 0x89a2, de: 0xe78f, hl: 0xef74, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x140d, iy: 0xff27, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xff99: 0xe3}, io: [], cycles: 0x17}],
+  ['fdcb07', 'ld a,rlc (iy+dd)', {af: 0x8cce, bc: 0xf3a7, de: 0x3a6e, hl: 0x8f0a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x8423, iy: 0x07eb, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x24, 0x07]], [0x080f, [0xae]]], 0xff, {registers: {af: 0x5d09, bc: 0xf3a7, de: 0x3a6e, hl: 0x8f0a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x8423, iy: 0x07eb, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x080f: 0x5d}, io: [], cycles: 0x17}],
+  ['fdcb08', 'ld b,rrc (iy+dd)', {af: 0xa611, bc: 0xe8ec, de: 0xc958, hl: 0x7bda, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x194d, iy: 0x6137, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x25, 0x08]], [0x615c, [0x83]]], 0xff, {registers: {af: 0xa681, bc: 0xc1ec, de: 0xc958, hl: 0x7bda, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x194d, iy: 0x6137, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x615c: 0xc1}, io: [], cycles: 0x17}],
+  ['fdcb09', 'ld c,rrc (iy+dd)', {af: 0x54b1, bc: 0xfa1a, de: 0x84e8, hl: 0x4fa5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1ad3, iy: 0x19da, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xa0, 0x09]], [0x197a, [0x27]]], 0xff, {registers: {af: 0x5485, bc: 0xfa93, de: 0x84e8, hl: 0x4fa5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1ad3, iy: 0x19da, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x197a: 0x93}, io: [], cycles: 0x17}],
+  ['fdcb0a', 'ld d,rrc (iy+dd)', {af: 0xb3ef, bc: 0xa2bb, de: 0xe5d6, hl: 0x9617, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xf946, iy: 0xeef6, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xe1, 0x0a]], [0xeed7, [0x19]]], 0xff, {registers: {af: 0xb389, bc: 0xa2bb, de: 0x8cd6, hl: 0x9617, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xf946, iy: 0xeef6, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xeed7: 0x8c}, io: [], cycles: 0x17}],
+  ['fdcb0b', 'ld e,rrc (iy+dd)', {af: 0xae10, bc: 0x8c4e, de: 0xe159, hl: 0x1c54, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe108, iy: 0xc68f, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x0c, 0x0b]], [0xc69b, [0xf2]]], 0xff, {registers: {af: 0xae28, bc: 0x8c4e, de: 0xe179, hl: 0x1c54, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe108, iy: 0xc68f, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xc69b: 0x79}, io: [], cycles: 0x17}],
+  ['fdcb0c', 'ld h,rrc (iy+dd)', {af: 0x8719, bc: 0x6b16, de: 0x4c3b, hl: 0x180a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x175a, iy: 0x8c9d, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xd7, 0x0c]], [0x8c74, [0xae]]], 0xff, {registers: {af: 0x8700, bc: 0x6b16, de: 0x4c3b, hl: 0x570a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x175a, iy: 0x8c9d, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x8c74: 0x57}, io: [], cycles: 0x17}],
+  ['fdcb0d', 'ld l,rrc (iy+dd)', {af: 0x1204, bc: 0xe0cb, de: 0x3ab1, hl: 0x2416, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1de4, iy: 0xfe2d, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x11, 0x0d]], [0xfe3e, [0x1b]]], 0xff, {registers: {af: 0x128d, bc: 0xe0cb, de: 0x3ab1, hl: 0x248d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1de4, iy: 0xfe2d, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xfe3e: 0x8d}, io: [], cycles: 0x17}],
+  ['fdcb0e', 'rrc (iy+dd)', {af: 0x8da4, bc: 0x8f91, de: 0xfc5a, hl: 0x5e2c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb2f2, iy: 0xf223, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x0c, 0x0e]], [0xf22f, [0xf7]]], 0xff, {registers: {af: 0x8da9, bc: 0x8f91, de: 0xfc5a, hl: 0x5e2c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb2f2, iy: 0xf223, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xf22f: 0xfb}, io: [], cycles: 0x17}],
+  ['fdcb0f', 'ld a,rrc (iy+dd)', {af: 0xfbb0, bc: 0x2ac9, de: 0xec6b, hl: 0x6511, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc93a, iy: 0xce38, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x15, 0x0f]], [0xce4d, [0x44]]], 0xff, {registers: {af: 0x2224, bc: 0x2ac9, de: 0xec6b, hl: 0x6511, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc93a, iy: 0xce38, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xce4d: 0x22}, io: [], cycles: 0x17}],
+  ['fdcb10', 'ld b,rl (iy+dd)', {af: 0x259d, bc: 0x3852, de: 0x590d, hl: 0xac66, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x144f, iy: 0x42a2, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x7a, 0x10]], [0x431c, [0x1c]]], 0xff, {registers: {af: 0x252c, bc: 0x3952, de: 0x590d, hl: 0xac66, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x144f, iy: 0x42a2, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x431c: 0x39}, io: [], cycles: 0x17}],
+  ['fdcb11', 'ld c,rl (iy+dd)', {af: 0xbc60, bc: 0x61c1, de: 0xf5f8, hl: 0xaf24, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x4019, iy: 0x9c90, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x7b, 0x11]], [0x9d0b, [0x5e]]], 0xff, {registers: {af: 0xbca8, bc: 0x61bc, de: 0xf5f8, hl: 0xaf24, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x4019, iy: 0x9c90, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x9d0b: 0xbc}, io: [], cycles: 0x17}],
+  ['fdcb12', 'ld d,rl (iy+dd)', {af: 0x4e45, bc: 0x3a25, de: 0x3417, hl: 0xbcc7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0d7e, iy: 0x8537, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x61, 0x12]], [0x8598, [0xa7]]], 0xff, {registers: {af: 0x4e09, bc: 0x3a25, de: 0x4f17, hl: 0xbcc7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0d7e, iy: 0x8537, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x8598: 0x4f}, io: [], cycles: 0x17}],
+  ['fdcb13', 'ld e,rl (iy+dd)', {af: 0xb224, bc: 0xb79b, de: 0x84f1, hl: 0xff7d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x414c, iy: 0xe798, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xb3, 0x13]], [0xe74b, [0xb3]]], 0xff, {registers: {af: 0xb225, bc: 0xb79b, de: 0x8466, hl: 0xff7d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x414c, iy: 0xe798, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xe74b: 0x66}, io: [], cycles: 0x17}],
+  ['fdcb14', 'ld h,rl (iy+dd)', {af: 0xabbb, bc: 0x451a, de: 0xfc65, hl: 0x14a1, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0f4d, iy: 0xd93c, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xc4, 0x14]], [0xd900, [0x06]]], 0xff, {registers: {af: 0xab08, bc: 0x451a, de: 0xfc65, hl: 0x0da1, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0f4d, iy: 0xd93c, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xd900: 0x0d}, io: [], cycles: 0x17}],
+  ['fdcb15', 'ld l,rl (iy+dd)', {af: 0x2864, bc: 0x9532, de: 0x8631, hl: 0x751c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe327, iy: 0x2d7b, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x17, 0x15]], [0x2d92, [0x12]]], 0xff, {registers: {af: 0x2824, bc: 0x9532, de: 0x8631, hl: 0x7524, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe327, iy: 0x2d7b, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x2d92: 0x24}, io: [], cycles: 0x17}],
+  ['fdcb16', 'rl (iy+dd)', {af: 0x0c3c, bc: 0xdcd7, de: 0xadcc, hl: 0x196d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x87e2, iy: 0xf0b4, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x23, 0x16]], [0xf0d7, [0x89]]], 0xff, {registers: {af: 0x0c05, bc: 0xdcd7, de: 0xadcc, hl: 0x196d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x87e2, iy: 0xf0b4, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xf0d7: 0x12}, io: [], cycles: 0x17}],
+  ['fdcb17', 'ld a,rl (iy+dd)', {af: 0xaf5b, bc: 0xd016, de: 0x066e, hl: 0x6638, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5e92, iy: 0x2013, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x8a, 0x17]], [0x1f9d, [0xb8]]], 0xff, {registers: {af: 0x7125, bc: 0xd016, de: 0x066e, hl: 0x6638, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5e92, iy: 0x2013, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x1f9d: 0x71}, io: [], cycles: 0x17}],
+  ['fdcb18', 'ld b,rr (iy+dd)', {af: 0x23f3, bc: 0x4517, de: 0x16e0, hl: 0x6894, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb908, iy: 0x3216, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xc0, 0x18]], [0x31d6, [0xfa]]], 0xff, {registers: {af: 0x23a8, bc: 0xfd17, de: 0x16e0, hl: 0x6894, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb908, iy: 0x3216, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x31d6: 0xfd}, io: [], cycles: 0x17}],
+  ['fdcb19', 'ld c,rr (iy+dd)', {af: 0x11ed, bc: 0xc2b8, de: 0xa9f3, hl: 0x2014, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6db0, iy: 0x4d2e, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xa2, 0x19]], [0x4cd0, [0x4b]]], 0xff, {registers: {af: 0x11a5, bc: 0xc2a5, de: 0xa9f3, hl: 0x2014, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6db0, iy: 0x4d2e, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x4cd0: 0xa5}, io: [], cycles: 0x17}],
+  ['fdcb1a', 'ld d,rr (iy+dd)', {af: 0xbc5c, bc: 0x6168, de: 0xe541, hl: 0xb630, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0207, iy: 0x40d3, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x78, 0x1a]], [0x414b, [0x44]]], 0xff, {registers: {af: 0xbc24, bc: 0x6168, de: 0x2241, hl: 0xb630, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0207, iy: 0x40d3, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x414b: 0x22}, io: [], cycles: 0x17}],
+  ['fdcb1b', 'ld e,rr (iy+dd)', {af: 0x7a28, bc: 0x1286, de: 0xfe50, hl: 0xc42d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe290, iy: 0x71b0, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x16, 0x1b]], [0x71c6, [0xb8]]], 0xff, {registers: {af: 0x7a0c, bc: 0x1286, de: 0xfe5c, hl: 0xc42d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe290, iy: 0x71b0, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x71c6: 0x5c}, io: [], cycles: 0x17}],
+  ['fdcb1c', 'ld h,rr (iy+dd)', {af: 0x932b, bc: 0x097b, de: 0x6928, hl: 0x83a3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xff2d, iy: 0xdf62, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x86, 0x1c]], [0xdee8, [0x8f]]], 0xff, {registers: {af: 0x9381, bc: 0x097b, de: 0x6928, hl: 0xc7a3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xff2d, iy: 0xdf62, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xdee8: 0xc7}, io: [], cycles: 0x17}],
+  ['fdcb1d', 'ld l,rr (iy+dd)', {af: 0x97b1, bc: 0x2b30, de: 0x2645, hl: 0x04ef, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x186a, iy: 0xd667, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x27, 0x1d]], [0xd68e, [0xb7]]], 0xff, {registers: {af: 0x978d, bc: 0x2b30, de: 0x2645, hl: 0x04db, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x186a, iy: 0xd667, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xd68e: 0xdb}, io: [], cycles: 0x17}],
+  ['fdcb1e', 'rr (iy+dd)', {af: 0x2f39, bc: 0x2470, de: 0xb521, hl: 0x6ca3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1066, iy: 0xda38, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x3a, 0x1e]], [0xda72, [0x25]]], 0xff, {registers: {af: 0x2f81, bc: 0x2470, de: 0xb521, hl: 0x6ca3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1066, iy: 0xda38, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xda72: 0x92}, io: [], cycles: 0x17}],
+  ['fdcb1f', 'ld a,rr (iy+dd)', {af: 0x4cdd, bc: 0x49a3, de: 0xda18, hl: 0x3afd, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa4f1, iy: 0x2095, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x7b, 0x1f]], [0x2110, [0x04]]], 0xff, {registers: {af: 0x8284, bc: 0x49a3, de: 0xda18, hl: 0x3afd, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa4f1, iy: 0x2095, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x2110: 0x82}, io: [], cycles: 0x17}],
+  ['fdcb20', 'ld b,sla (iy+dd)', {af: 0x3d74, bc: 0x3a8f, de: 0x206f, hl: 0x8894, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xddab, iy: 0xda25, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x7a, 0x20]], [0xda9f, [0x89]]], 0xff, {registers: {af: 0x3d05, bc: 0x128f, de: 0x206f, hl: 0x8894, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xddab, iy: 0xda25, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xda9f: 0x12}, io: [], cycles: 0x17}],
+  ['fdcb21', 'ld c,sla (iy+dd)', {af: 0x1674, bc: 0x6025, de: 0x641a, hl: 0x6598, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x473b, iy: 0xde36, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x7b, 0x21]], [0xdeb1, [0x23]]], 0xff, {registers: {af: 0x1600, bc: 0x6046, de: 0x641a, hl: 0x6598, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x473b, iy: 0xde36, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xdeb1: 0x46}, io: [], cycles: 0x17}],
+  ['fdcb22', 'ld d,sla (iy+dd)', {af: 0xada9, bc: 0xefb2, de: 0x6f03, hl: 0xe732, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc11d, iy: 0x8926, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x9a, 0x22]], [0x88c0, [0xd4]]], 0xff, {registers: {af: 0xada9, bc: 0xefb2, de: 0xa803, hl: 0xe732, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc11d, iy: 0x8926, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x88c0: 0xa8}, io: [], cycles: 0x17}],
+  ['fdcb23', 'ld e,sla (iy+dd)', {af: 0x21e9, bc: 0xd678, de: 0xa71b, hl: 0x25d7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x4ca8, iy: 0x5255, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xf5, 0x23]], [0x524a, [0x65]]], 0xff, {registers: {af: 0x218c, bc: 0xd678, de: 0xa7ca, hl: 0x25d7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x4ca8, iy: 0x5255, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x524a: 0xca}, io: [], cycles: 0x17}],
+  ['fdcb24', 'ld h,sla (iy+dd)', {af: 0x1c51, bc: 0xda3e, de: 0xcc7c, hl: 0xcb19, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x572c, iy: 0xaffe, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xb4, 0x24]], [0xafb2, [0x7e]]], 0xff, {registers: {af: 0x1cac, bc: 0xda3e, de: 0xcc7c, hl: 0xfc19, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x572c, iy: 0xaffe, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xafb2: 0xfc}, io: [], cycles: 0x17}],
+  ['fdcb25', 'ld l,sla (iy+dd)', {af: 0x954e, bc: 0x097c, de: 0xa341, hl: 0x89e0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x435d, iy: 0x23e9, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xa6, 0x25]], [0x238f, [0x26]]], 0xff, {registers: {af: 0x9508, bc: 0x097c, de: 0xa341, hl: 0x894c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x435d, iy: 0x23e9, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x238f: 0x4c}, io: [], cycles: 0x17}],
+  ['fdcb26', 'sla (iy+dd)', {af: 0x5844, bc: 0x0e19, de: 0xd277, hl: 0xbf7f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6504, iy: 0xd4e4, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xbd, 0x26]], [0xd4a1, [0xbf]]], 0xff, {registers: {af: 0x582d, bc: 0x0e19, de: 0xd277, hl: 0xbf7f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6504, iy: 0xd4e4, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xd4a1: 0x7e}, io: [], cycles: 0x17}],
+  ['fdcb27', 'ld a,sla (iy+dd)', {af: 0x8e0d, bc: 0x8c06, de: 0x2c4c, hl: 0xd7c8, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9239, iy: 0x8d42, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x59, 0x27]], [0x8d9b, [0xa7]]], 0xff, {registers: {af: 0x4e0d, bc: 0x8c06, de: 0x2c4c, hl: 0xd7c8, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9239, iy: 0x8d42, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x8d9b: 0x4e}, io: [], cycles: 0x17}],
+  ['fdcb28', 'ld b,sra (iy+dd)', {af: 0x4122, bc: 0xaf9b, de: 0x7745, hl: 0x76f5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa1bb, iy: 0xab43, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x83, 0x28]], [0xaac6, [0x5d]]], 0xff, {registers: {af: 0x412d, bc: 0x2e9b, de: 0x7745, hl: 0x76f5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa1bb, iy: 0xab43, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xaac6: 0x2e}, io: [], cycles: 0x17}],
+  ['fdcb29', 'ld c,sra (iy+dd)', {af: 0x0b21, bc: 0xaffd, de: 0xfea6, hl: 0x9478, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x32bb, iy: 0x0343, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x7d, 0x29]], [0x03c0, [0x84]]], 0xff, {registers: {af: 0x0b80, bc: 0xafc2, de: 0xfea6, hl: 0x9478, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x32bb, iy: 0x0343, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x03c0: 0xc2}, io: [], cycles: 0x17}],
+  ['fdcb2a', 'ld d,sra (iy+dd)', {af: 0xf236, bc: 0x8c31, de: 0x5932, hl: 0x7feb, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7db7, iy: 0xabe7, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xf9, 0x2a]], [0xabe0, [0xdd]]], 0xff, {registers: {af: 0xf2ad, bc: 0x8c31, de: 0xee32, hl: 0x7feb, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7db7, iy: 0xabe7, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xabe0: 0xee}, io: [], cycles: 0x17}],
+  ['fdcb2b', 'ld e,sra (iy+dd)', {af: 0x2450, bc: 0x6945, de: 0xdcfc, hl: 0xd643, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5be1, iy: 0x4a94, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x4b, 0x2b]], [0x4adf, [0x49]]], 0xff, {registers: {af: 0x2425, bc: 0x6945, de: 0xdc24, hl: 0xd643, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5be1, iy: 0x4a94, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x4adf: 0x24}, io: [], cycles: 0x17}],
+  ['fdcb2c', 'ld h,sra (iy+dd)', {af: 0x117f, bc: 0xb32b, de: 0xe530, hl: 0x255a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x2416, iy: 0xccd1, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xe6, 0x2c]], [0xccb7, [0x3c]]], 0xff, {registers: {af: 0x110c, bc: 0xb32b, de: 0xe530, hl: 0x1e5a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x2416, iy: 0xccd1, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xccb7: 0x1e}, io: [], cycles: 0x17}],
+  ['fdcb2d', 'ld l,sra (iy+dd)', {af: 0xd0c3, bc: 0x344b, de: 0x1bb0, hl: 0x3eab, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xfe11, iy: 0xe4e6, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x5f, 0x2d]], [0xe545, [0x78]]], 0xff, {registers: {af: 0xd02c, bc: 0x344b, de: 0x1bb0, hl: 0x3e3c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xfe11, iy: 0xe4e6, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xe545: 0x3c}, io: [], cycles: 0x17}],
+  ['fdcb2e', 'sra (iy+dd)', {af: 0xf4ee, bc: 0xb832, de: 0x4b7f, hl: 0xe2b7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9386, iy: 0x42fd, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x06, 0x2e]], [0x4303, [0xad]]], 0xff, {registers: {af: 0xf481, bc: 0xb832, de: 0x4b7f, hl: 0xe2b7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9386, iy: 0x42fd, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x4303: 0xd6}, io: [], cycles: 0x17}],
+  ['fdcb2f', 'ld a,sra (iy+dd)', {af: 0xff86, bc: 0xf2c2, de: 0x9f2f, hl: 0xc946, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5fe0, iy: 0x16b8, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x29, 0x2f]], [0x16e1, [0x18]]], 0xff, {registers: {af: 0x0c0c, bc: 0xf2c2, de: 0x9f2f, hl: 0xc946, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5fe0, iy: 0x16b8, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x16e1: 0x0c}, io: [], cycles: 0x17}],
+  ['fdcb30', 'ld b,sll (iy+dd)', {af: 0xacf6, bc: 0xe832, de: 0xf9ed, hl: 0xcabc, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xfabd, iy: 0xd646, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x1b, 0x30]], [0xd661, [0xa5]]], 0xff, {registers: {af: 0xac0d, bc: 0x4b32, de: 0xf9ed, hl: 0xcabc, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xfabd, iy: 0xd646, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xd661: 0x4b}, io: [], cycles: 0x17}],
+  ['fdcb31', 'ld c,sll (iy+dd)', {af: 0x2b96, bc: 0x5134, de: 0x83a7, hl: 0x7eee, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7750, iy: 0xbfe0, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xf0, 0x31]], [0xbfd0, [0xf1]]], 0xff, {registers: {af: 0x2ba1, bc: 0x51e3, de: 0x83a7, hl: 0x7eee, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7750, iy: 0xbfe0, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xbfd0: 0xe3}, io: [], cycles: 0x17}],
+  ['fdcb32', 'ld d,sll (iy+dd)', {af: 0xb2bc, bc: 0xa4b1, de: 0xb685, hl: 0xf66e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa9a1, iy: 0x5ade, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xc5, 0x32]], [0x5aa3, [0x59]]], 0xff, {registers: {af: 0xb2a0, bc: 0xa4b1, de: 0xb385, hl: 0xf66e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa9a1, iy: 0x5ade, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x5aa3: 0xb3}, io: [], cycles: 0x17}],
+  ['fdcb33', 'ld e,sll (iy+dd)', {af: 0x9c6d, bc: 0x2c90, de: 0xd0a9, hl: 0x2be3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x2691, iy: 0x1964, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x7f, 0x33]], [0x19e3, [0xda]]], 0xff, {registers: {af: 0x9ca1, bc: 0x2c90, de: 0xd0b5, hl: 0x2be3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x2691, iy: 0x1964, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x19e3: 0xb5}, io: [], cycles: 0x17}],
+  ['fdcb34', 'ld h,sll (iy+dd)', {af: 0x6029, bc: 0xfbcd, de: 0x5348, hl: 0xf947, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5338, iy: 0x5696, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xd2, 0x34]], [0x5668, [0xd4]]], 0xff, {registers: {af: 0x60ad, bc: 0xfbcd, de: 0x5348, hl: 0xa947, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5338, iy: 0x5696, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x5668: 0xa9}, io: [], cycles: 0x17}],
+  ['fdcb35', 'ld l,sll (iy+dd)', {af: 0x96a9, bc: 0x21c6, de: 0x4cb6, hl: 0xb40b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x673a, iy: 0xf8, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x71, 0x35]], [0x0169, [0x0b]]], 0xff, {registers: {af: 0x9604, bc: 0x21c6, de: 0x4cb6, hl: 0xb417, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x673a, iy: 0xf8, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x0169: 0x17}, io: [], cycles: 0x17}],
+  ['fdcb36', 'sll (iy+dd)', {af: 0xdc6f, bc: 0x0892, de: 0x3cc7, hl: 0x1494, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x8598, iy: 0x1ade, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xda, 0x36]], [0x1ab8, [0x3c]]], 0xff, {registers: {af: 0xdc28, bc: 0x0892, de: 0x3cc7, hl: 0x1494, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x8598, iy: 0x1ade, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x1ab8: 0x79}, io: [], cycles: 0x17}],
+  ['fdcb37', 'ld a,sll (iy+dd)', {af: 0xd2b3, bc: 0x4524, de: 0x208f, hl: 0x076f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xad10, iy: 0xe7ec, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xcb, 0x37]], [0xe7b7, [0x9f]]], 0xff, {registers: {af: 0x3f2d, bc: 0x4524, de: 0x208f, hl: 0x076f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xad10, iy: 0xe7ec, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xe7b7: 0x3f}, io: [], cycles: 0x17}],
+  ['fdcb38', 'ld b,srl (iy+dd)', {af: 0x4f07, bc: 0x50, de: 0x40c6, hl: 0x4fb7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xf37e, iy: 0xd096, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x8e, 0x38]], [0xd024, [0x0d]]], 0xff, {registers: {af: 0x4f05, bc: 0x0650, de: 0x40c6, hl: 0x4fb7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xf37e, iy: 0xd096, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xd024: 0x06}, io: [], cycles: 0x17}],
+  ['fdcb39', 'ld c,srl (iy+dd)', {af: 0xbcc2, bc: 0xf5b5, de: 0x8dee, hl: 0xe514, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x48bc, iy: 0xf433, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x7f, 0x39]], [0xf4b2, [0xf5]]], 0xff, {registers: {af: 0xbc29, bc: 0xf57a, de: 0x8dee, hl: 0xe514, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x48bc, iy: 0xf433, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xf4b2: 0x7a}, io: [], cycles: 0x17}],
+  ['fdcb3a', 'ld d,srl (iy+dd)', {af: 0xd012, bc: 0x2ef5, de: 0x2910, hl: 0x9ca5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb155, iy: 0xcb03, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x1d, 0x3a]], [0xcb20, [0xa8]]], 0xff, {registers: {af: 0xd000, bc: 0x2ef5, de: 0x5410, hl: 0x9ca5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb155, iy: 0xcb03, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xcb20: 0x54}, io: [], cycles: 0x17}],
+  ['fdcb3b', 'ld e,srl (iy+dd)', {af: 0x503d, bc: 0xa85b, de: 0xcfbb, hl: 0xde8c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9c5b, iy: 0xd263, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x05, 0x3b]], [0xd268, [0xb2]]], 0xff, {registers: {af: 0x500c, bc: 0xa85b, de: 0xcf59, hl: 0xde8c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9c5b, iy: 0xd263, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xd268: 0x59}, io: [], cycles: 0x17}],
+  ['fdcb3c', 'ld h,srl (iy+dd)', {af: 0x97f0, bc: 0x4456, de: 0x0b52, hl: 0xfdad, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6d2a, iy: 0xa80f, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xae, 0x3c]], [0xa7bd, [0x96]]], 0xff, {registers: {af: 0x970c, bc: 0x4456, de: 0x0b52, hl: 0x4bad, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6d2a, iy: 0xa80f, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xa7bd: 0x4b}, io: [], cycles: 0x17}],
+  ['fdcb3d', 'ld l,srl (iy+dd)', {af: 0x7d44, bc: 0x9303, de: 0xe12b, hl: 0xbff6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x4c0f, iy: 0xe52a, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x13, 0x3d]], [0xe53d, [0xfb]]], 0xff, {registers: {af: 0x7d2d, bc: 0x9303, de: 0xe12b, hl: 0xbf7d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x4c0f, iy: 0xe52a, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xe53d: 0x7d}, io: [], cycles: 0x17}],
+  ['fdcb3e', 'srl (iy+dd)', {af: 0x0d95, bc: 0x3e02, de: 0x8f74, hl: 0x0f82, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x85df, iy: 0xb2d1, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x2e, 0x3e]], [0xb2ff, [0x50]]], 0xff, {registers: {af: 0x0d2c, bc: 0x3e02, de: 0x8f74, hl: 0x0f82, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x85df, iy: 0xb2d1, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xb2ff: 0x28}, io: [], cycles: 0x17}],
+  ['fdcb3f', 'ld a,srl (iy+dd)', {af: 0x89e3, bc: 0x12f6, de: 0x426c, hl: 0x52d4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd9f7, iy: 0xc1ac, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x21, 0x3f]], [0xc1cd, [0x78]]], 0xff, {registers: {af: 0x3c2c, bc: 0x12f6, de: 0x426c, hl: 0x52d4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd9f7, iy: 0xc1ac, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xc1cd: 0x3c}, io: [], cycles: 0x17}],
+  ['fdcb40', 'bit 0,(iy+dd)', {af: 0x5408, bc: 0x2c34, de: 0x6784, hl: 0xb376, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x8ff9, iy: 0x4195, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x3b, 0x40]], [0x41d0, [0x0d]]], 0xd7, {registers: {af: 0x5410, bc: 0x2c34, de: 0x6784, hl: 0xb376, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x8ff9, iy: 0x4195, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb41', 'bit 0,(iy+dd)', {af: 0x8c35, bc: 0x5a58, de: 0xb71c, hl: 0x6777, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xdeca, iy: 0x03cb, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xcc, 0x41]], [0x0397, [0xe9]]], 0xd7, {registers: {af: 0x8c11, bc: 0x5a58, de: 0xb71c, hl: 0x6777, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xdeca, iy: 0x03cb, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb42', 'bit 0,(iy+dd)', {af: 0x5535, bc: 0x9c29, de: 0x2feb, hl: 0x97ff, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7f17, iy: 0x9f56, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x01, 0x42]], [0x9f57, [0xa8]]], 0xd7, {registers: {af: 0x5555, bc: 0x9c29, de: 0x2feb, hl: 0x97ff, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7f17, iy: 0x9f56, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb43', 'bit 0,(iy+dd)', {af: 0xb404, bc: 0xe58c, de: 0xe62e, hl: 0x2a32, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7130, iy: 0x1fd1, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x08, 0x43]], [0x1fd9, [0xaa]]], 0xd7, {registers: {af: 0xb454, bc: 0xe58c, de: 0xe62e, hl: 0x2a32, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7130, iy: 0x1fd1, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb44', 'bit 0,(iy+dd)', {af: 0xa954, bc: 0x68f4, de: 0x9fa4, hl: 0x7f66, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0209, iy: 0xf4f3, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x03, 0x44]], [0xf4f6, [0x89]]], 0xd7, {registers: {af: 0xa910, bc: 0x68f4, de: 0x9fa4, hl: 0x7f66, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0209, iy: 0xf4f3, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb45', 'bit 0,(iy+dd)', {af: 0x73e5, bc: 0x8dde, de: 0x5e4f, hl: 0x84a7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x4e24, iy: 0x93ed, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x8d, 0x45]], [0x937a, [0x8d]]], 0xd7, {registers: {af: 0x7311, bc: 0x8dde, de: 0x5e4f, hl: 0x84a7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x4e24, iy: 0x93ed, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb46', 'bit 0,(iy+dd)', {af: 0x0e5a, bc: 0xb1f9, de: 0x475f, hl: 0xebfc, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7765, iy: 0x63b1, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x8c, 0x46]], [0x633d, [0xfe]]], 0xd7, {registers: {af: 0x0e54, bc: 0xb1f9, de: 0x475f, hl: 0xebfc, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7765, iy: 0x63b1, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb47', 'bit 0,(iy+dd)', {af: 0x9b3d, bc: 0x7f38, de: 0x0753, hl: 0xd5e7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb9c3, iy: 0x6e0e, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x96, 0x47]], [0x6da4, [0xd6]]], 0xd7, {registers: {af: 0x9b55, bc: 0x7f38, de: 0x0753, hl: 0xd5e7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb9c3, iy: 0x6e0e, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb48', 'bit 1,(iy+dd)', {af: 0x7d94, bc: 0x50a9, de: 0x2511, hl: 0x8f9f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb612, iy: 0xaba9, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x44, 0x48]], [0xabed, [0xb0]]], 0xd7, {registers: {af: 0x7d54, bc: 0x50a9, de: 0x2511, hl: 0x8f9f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb612, iy: 0xaba9, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb49', 'bit 1,(iy+dd)', {af: 0x691e, bc: 0x3a39, de: 0xb834, hl: 0x74b6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0eb7, iy: 0x3e21, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x4e, 0x49]], [0x3e6f, [0xa9]]], 0xd7, {registers: {af: 0x6954, bc: 0x3a39, de: 0xb834, hl: 0x74b6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0eb7, iy: 0x3e21, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb4a', 'bit 1,(iy+dd)', {af: 0x31e3, bc: 0x68e0, de: 0xfe2f, hl: 0xa2c4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xac96, iy: 0xe7db, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x52, 0x4a]], [0xe82d, [0xda]]], 0xd7, {registers: {af: 0x3111, bc: 0x68e0, de: 0xfe2f, hl: 0xa2c4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xac96, iy: 0xe7db, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb4b', 'bit 1,(iy+dd)', {af: 0x09a1, bc: 0x2453, de: 0x9186, hl: 0xa32a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x71af, iy: 0x883f, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xea, 0x4b]], [0x8829, [0x4e]]], 0xd7, {registers: {af: 0x0911, bc: 0x2453, de: 0x9186, hl: 0xa32a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x71af, iy: 0x883f, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb4c', 'bit 1,(iy+dd)', {af: 0x4a52, bc: 0x1e5b, de: 0xbe2e, hl: 0x3ee4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xaf79, iy: 0x7f22, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xee, 0x4c]], [0x7f10, [0x70]]], 0xd7, {registers: {af: 0x4a54, bc: 0x1e5b, de: 0xbe2e, hl: 0x3ee4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xaf79, iy: 0x7f22, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb4d', 'bit 1,(iy+dd)', {af: 0x9f87, bc: 0x6c8f, de: 0x34f4, hl: 0x5a79, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd3cc, iy: 0xa770, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x29, 0x4d]], [0xa799, [0x78]]], 0xd7, {registers: {af: 0x9f55, bc: 0x6c8f, de: 0x34f4, hl: 0x5a79, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd3cc, iy: 0xa770, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb4e', 'bit 1,(iy+dd)', {af: 0x30cb, bc: 0x5626, de: 0x52bc, hl: 0x5503, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x303b, iy: 0xe1c8, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x20, 0x4e]], [0xe1e8, [0xaa]]], 0xd7, {registers: {af: 0x3011, bc: 0x5626, de: 0x52bc, hl: 0x5503, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x303b, iy: 0xe1c8, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb4f', 'bit 1,(iy+dd)', {af: 0x6088, bc: 0xe079, de: 0x7152, hl: 0x671f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x8c22, iy: 0x1cf8, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x9d, 0x4f]], [0x1c95, [0x18]]], 0xd7, {registers: {af: 0x6054, bc: 0xe079, de: 0x7152, hl: 0x671f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x8c22, iy: 0x1cf8, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb50', 'bit 2,(iy+dd)', {af: 0x8cde, bc: 0x1409, de: 0x6d69, hl: 0xe5b2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x4a0c, iy: 0xc75f, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x6b, 0x50]], [0xc7ca, [0xfe]]], 0xd7, {registers: {af: 0x8c10, bc: 0x1409, de: 0x6d69, hl: 0xe5b2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x4a0c, iy: 0xc75f, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb51', 'bit 2,(iy+dd)', {af: 0x8f59, bc: 0x40cb, de: 0x9543, hl: 0x9b3a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1942, iy: 0x3495, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x86, 0x51]], [0x341b, [0x13]]], 0xd7, {registers: {af: 0x8f55, bc: 0x40cb, de: 0x9543, hl: 0x9b3a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1942, iy: 0x3495, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb52', 'bit 2,(iy+dd)', {af: 0x8905, bc: 0x3e41, de: 0x7ab4, hl: 0x37f6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xf82d, iy: 0x8b0d, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xe6, 0x52]], [0x8af3, [0x87]]], 0xd7, {registers: {af: 0x8911, bc: 0x3e41, de: 0x7ab4, hl: 0x37f6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xf82d, iy: 0x8b0d, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb53', 'bit 2,(iy+dd)', {af: 0xefde, bc: 0xe345, de: 0x09a3, hl: 0xf0b2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc378, iy: 0x7ee1, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xd1, 0x53]], [0x7eb2, [0xe4]]], 0xd7, {registers: {af: 0xef10, bc: 0xe345, de: 0x09a3, hl: 0xf0b2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc378, iy: 0x7ee1, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb54', 'bit 2,(iy+dd)', {af: 0x72a6, bc: 0xcb82, de: 0xd966, hl: 0x2fc6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3c00, iy: 0x5b6b, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x08, 0x54]], [0x5b73, [0x07]]], 0xd7, {registers: {af: 0x7210, bc: 0xcb82, de: 0xd966, hl: 0x2fc6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3c00, iy: 0x5b6b, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb55', 'bit 2,(iy+dd)', {af: 0x855c, bc: 0xc23b, de: 0x6aab, hl: 0x9b00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xfe93, iy: 0xb4b2, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x54, 0x55]], [0xb506, [0x46]]], 0xd7, {registers: {af: 0x8510, bc: 0xc23b, de: 0x6aab, hl: 0x9b00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xfe93, iy: 0xb4b2, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb56', 'bit 2,(iy+dd)', {af: 0xf5ad, bc: 0xf9f6, de: 0x1e8c, hl: 0x9e08, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x716a, iy: 0x6932, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x6f, 0x56]], [0x69a1, [0xdf]]], 0xd7, {registers: {af: 0xf511, bc: 0xf9f6, de: 0x1e8c, hl: 0x9e08, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x716a, iy: 0x6932, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb57', 'bit 2,(iy+dd)', {af: 0x37d7, bc: 0xb7dc, de: 0xbe1c, hl: 0x38ea, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5e82, iy: 0xa3bb, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x3c, 0x57]], [0xa3f7, [0x6c]]], 0xd7, {registers: {af: 0x3711, bc: 0xb7dc, de: 0xbe1c, hl: 0x38ea, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5e82, iy: 0xa3bb, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb58', 'bit 3,(iy+dd)', {af: 0x752c, bc: 0x7296, de: 0x3ea5, hl: 0x1143, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd7cc, iy: 0x1e94, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x4e, 0x58]], [0x1ee2, [0xf6]]], 0xd7, {registers: {af: 0x7554, bc: 0x7296, de: 0x3ea5, hl: 0x1143, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd7cc, iy: 0x1e94, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb59', 'bit 3,(iy+dd)', {af: 0x8056, bc: 0xbf2a, de: 0x1809, hl: 0xed31, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xfe2b, iy: 0xfad3, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x2e, 0x59]], [0xfb01, [0x6f]]], 0xd7, {registers: {af: 0x8010, bc: 0xbf2a, de: 0x1809, hl: 0xed31, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xfe2b, iy: 0xfad3, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb5a', 'bit 3,(iy+dd)', {af: 0xcc74, bc: 0xa108, de: 0x65d4, hl: 0x6f66, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x08, iy: 0x7bb8, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x88, 0x5a]], [0x7b40, [0x6e]]], 0xd7, {registers: {af: 0xcc10, bc: 0xa108, de: 0x65d4, hl: 0x6f66, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x08, iy: 0x7bb8, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb5b', 'bit 3,(iy+dd)', {af: 0x5cf1, bc: 0xb3bd, de: 0x25bd, hl: 0x98cf, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x2ba1, iy: 0x315c, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xe7, 0x5b]], [0x3143, [0xb1]]], 0xd7, {registers: {af: 0x5c55, bc: 0xb3bd, de: 0x25bd, hl: 0x98cf, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x2ba1, iy: 0x315c, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb5c', 'bit 3,(iy+dd)', {af: 0xb3e0, bc: 0xd43d, de: 0xd9c0, hl: 0xb04d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x21a9, iy: 0x543e, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x74, 0x5c]], [0x54b2, [0xe3]]], 0xd7, {registers: {af: 0xb354, bc: 0xd43d, de: 0xd9c0, hl: 0xb04d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x21a9, iy: 0x543e, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb5d', 'bit 3,(iy+dd)', {af: 0x9f49, bc: 0x43dd, de: 0xccb3, hl: 0x085a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xf130, iy: 0x3b84, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xdc, 0x5d]], [0x3b60, [0xef]]], 0xd7, {registers: {af: 0x9f11, bc: 0x43dd, de: 0xccb3, hl: 0x085a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xf130, iy: 0x3b84, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb5e', 'bit 3,(iy+dd)', {af: 0x6f89, bc: 0xeff5, de: 0x993b, hl: 0x22b5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0f30, iy: 0xe165, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xe2, 0x5e]], [0xe147, [0x17]]], 0xd7, {registers: {af: 0x6f55, bc: 0xeff5, de: 0x993b, hl: 0x22b5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0f30, iy: 0xe165, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb5f', 'bit 3,(iy+dd)', {af: 0xd72a, bc: 0xa57a, de: 0xaca6, hl: 0x667e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5c33, iy: 0xf81b, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xab, 0x5f]], [0xf7c6, [0xe2]]], 0xd7, {registers: {af: 0xd754, bc: 0xa57a, de: 0xaca6, hl: 0x667e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5c33, iy: 0xf81b, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb60', 'bit 4,(iy+dd)', {af: 0x15e9, bc: 0x8d30, de: 0x43f4, hl: 0xc65e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1e34, iy: 0x8c44, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x85, 0x60]], [0x8bc9, [0xb9]]], 0xd7, {registers: {af: 0x1511, bc: 0x8d30, de: 0x43f4, hl: 0xc65e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1e34, iy: 0x8c44, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb61', 'bit 4,(iy+dd)', {af: 0x7bd1, bc: 0xd421, de: 0x5570, hl: 0xcb85, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x32ec, iy: 0x92e4, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xbe, 0x61]], [0x92a2, [0x28]]], 0xd7, {registers: {af: 0x7b55, bc: 0xd421, de: 0x5570, hl: 0xcb85, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x32ec, iy: 0x92e4, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb62', 'bit 4,(iy+dd)', {af: 0xba2f, bc: 0x4fbb, de: 0x67a7, hl: 0xc5db, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x470b, iy: 0x7eb1, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x9d, 0x62]], [0x7e4e, [0x1a]]], 0xd7, {registers: {af: 0xba11, bc: 0x4fbb, de: 0x67a7, hl: 0xc5db, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x470b, iy: 0x7eb1, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb63', 'bit 4,(iy+dd)', {af: 0xc0a1, bc: 0x2cc2, de: 0xce12, hl: 0xe77c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x71c5, iy: 0x1713, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xf4, 0x63]], [0x1707, [0x3b]]], 0xd7, {registers: {af: 0xc011, bc: 0x2cc2, de: 0xce12, hl: 0xe77c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x71c5, iy: 0x1713, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb64', 'bit 4,(iy+dd)', {af: 0x0c1f, bc: 0x7847, de: 0x2494, hl: 0x71eb, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x315c, iy: 0xb336, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x35, 0x64]], [0xb36b, [0x8c]]], 0xd7, {registers: {af: 0x0c55, bc: 0x7847, de: 0x2494, hl: 0x71eb, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x315c, iy: 0xb336, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb65', 'bit 4,(iy+dd)', {af: 0x5245, bc: 0xa82d, de: 0x1112, hl: 0x8f09, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x672a, iy: 0x89f4, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x37, 0x65]], [0x8a2b, [0x08]]], 0xd7, {registers: {af: 0x5255, bc: 0xa82d, de: 0x1112, hl: 0x8f09, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x672a, iy: 0x89f4, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb66', 'bit 4,(iy+dd)', {af: 0x583f, bc: 0xc13e, de: 0xb136, hl: 0x6bc5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3ef9, iy: 0x6948, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x9d, 0x66]], [0x68e5, [0x90]]], 0xd7, {registers: {af: 0x5811, bc: 0xc13e, de: 0xb136, hl: 0x6bc5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3ef9, iy: 0x6948, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb67', 'bit 4,(iy+dd)', {af: 0x31b6, bc: 0x0f7d, de: 0x48b5, hl: 0xcc5f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x2103, iy: 0x6572, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xcb, 0x67]], [0x653d, [0x15]]], 0xd7, {registers: {af: 0x3110, bc: 0x0f7d, de: 0x48b5, hl: 0xcc5f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x2103, iy: 0x6572, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb68', 'bit 5,(iy+dd)', {af: 0xe330, bc: 0x39fb, de: 0xa03a, hl: 0x59bc, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe04a, iy: 0x03be, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xca, 0x68]], [0x0388, [0x83]]], 0xd7, {registers: {af: 0xe354, bc: 0x39fb, de: 0xa03a, hl: 0x59bc, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe04a, iy: 0x03be, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb69', 'bit 5,(iy+dd)', {af: 0x1896, bc: 0x5bc2, de: 0xd4d9, hl: 0x4e8a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3716, iy: 0xa603, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xe2, 0x69]], [0xa5e5, [0x01]]], 0xd7, {registers: {af: 0x1854, bc: 0x5bc2, de: 0xd4d9, hl: 0x4e8a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3716, iy: 0xa603, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb6a', 'bit 5,(iy+dd)', {af: 0x5bc9, bc: 0x99, de: 0x34f8, hl: 0x3e96, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xf251, iy: 0x93be, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xae, 0x6a]], [0x936c, [0x33]]], 0xd7, {registers: {af: 0x5b11, bc: 0x99, de: 0x34f8, hl: 0x3e96, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xf251, iy: 0x93be, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb6b', 'bit 5,(iy+dd)', {af: 0xbbe5, bc: 0x9e6c, de: 0xabd1, hl: 0x515f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x73db, iy: 0xaa2f, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x1f, 0x6b]], [0xaa4e, [0x7c]]], 0xd7, {registers: {af: 0xbb11, bc: 0x9e6c, de: 0xabd1, hl: 0x515f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x73db, iy: 0xaa2f, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb6c', 'bit 5,(iy+dd)', {af: 0x144b, bc: 0x3af2, de: 0x8f80, hl: 0x7be5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc379, iy: 0x86ba, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x0d, 0x6c]], [0x86c7, [0x25]]], 0xd7, {registers: {af: 0x1411, bc: 0x3af2, de: 0x8f80, hl: 0x7be5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc379, iy: 0x86ba, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb6d', 'bit 5,(iy+dd)', {af: 0x6392, bc: 0xd077, de: 0x668d, hl: 0x6e4a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb0a8, iy: 0x62c8, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xf0, 0x6d]], [0x62b8, [0xe3]]], 0xd7, {registers: {af: 0x6310, bc: 0xd077, de: 0x668d, hl: 0x6e4a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb0a8, iy: 0x62c8, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb6e', 'bit 5,(iy+dd)', {af: 0x2da0, bc: 0xf872, de: 0x692d, hl: 0x92c4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x36b5, iy: 0x4210, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x93, 0x6e]], [0x41a3, [0x1e]]], 0xd7, {registers: {af: 0x2d54, bc: 0xf872, de: 0x692d, hl: 0x92c4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x36b5, iy: 0x4210, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb6f', 'bit 5,(iy+dd)', {af: 0xdf7b, bc: 0xc7aa, de: 0x9002, hl: 0x86b8, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1347, iy: 0x4e, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x20, 0x6f]], [0x6e, [0x37]]], 0xd7, {registers: {af: 0xdf11, bc: 0xc7aa, de: 0x9002, hl: 0x86b8, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1347, iy: 0x4e, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb70', 'bit 6,(iy+dd)', {af: 0x6ea9, bc: 0x018d, de: 0x5075, hl: 0xcf4e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xcd2b, iy: 0x3e68, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xd9, 0x70]], [0x3e41, [0xc9]]], 0xd7, {registers: {af: 0x6e11, bc: 0x018d, de: 0x5075, hl: 0xcf4e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xcd2b, iy: 0x3e68, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb71', 'bit 6,(iy+dd)', {af: 0x1b48, bc: 0xe3af, de: 0x94d5, hl: 0x0996, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xcad5, iy: 0x999a, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x27, 0x71]], [0x99c1, [0x3e]]], 0xd7, {registers: {af: 0x1b54, bc: 0xe3af, de: 0x94d5, hl: 0x0996, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xcad5, iy: 0x999a, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb72', 'bit 6,(iy+dd)', {af: 0xe83b, bc: 0x26b1, de: 0x8608, hl: 0xf3cb, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6323, iy: 0xfd31, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x98, 0x72]], [0xfcc9, [0x4f]]], 0xd7, {registers: {af: 0xe811, bc: 0x26b1, de: 0x8608, hl: 0xf3cb, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6323, iy: 0xfd31, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb73', 'bit 6,(iy+dd)', {af: 0x101b, bc: 0x446c, de: 0xc2f9, hl: 0xb9b1, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0820, iy: 0xf5d8, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x7a, 0x73]], [0xf652, [0x31]]], 0xd7, {registers: {af: 0x1055, bc: 0x446c, de: 0xc2f9, hl: 0xb9b1, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0820, iy: 0xf5d8, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb74', 'bit 6,(iy+dd)', {af: 0x6847, bc: 0x38c2, de: 0x0ea4, hl: 0x0825, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd255, iy: 0x5e4a, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x4b, 0x74]], [0x5e95, [0xfe]]], 0xd7, {registers: {af: 0x6811, bc: 0x38c2, de: 0x0ea4, hl: 0x0825, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd255, iy: 0x5e4a, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb75', 'bit 6,(iy+dd)', {af: 0x56f2, bc: 0xc034, de: 0x6e11, hl: 0xd35e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe702, iy: 0x60be, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x57, 0x75]], [0x6115, [0x21]]], 0xd7, {registers: {af: 0x5654, bc: 0xc034, de: 0x6e11, hl: 0xd35e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe702, iy: 0x60be, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb76', 'bit 6,(iy+dd)', {af: 0x7375, bc: 0xcaff, de: 0xdd80, hl: 0xc8ed, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7e39, iy: 0x6623, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x53, 0x76]], [0x6676, [0x3a]]], 0xd7, {registers: {af: 0x7355, bc: 0xcaff, de: 0xdd80, hl: 0xc8ed, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7e39, iy: 0x6623, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb77', 'bit 6,(iy+dd)', {af: 0xab10, bc: 0x983e, de: 0x0bdc, hl: 0x3b46, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xae51, iy: 0x8841, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x02, 0x77]], [0x8843, [0xd8]]], 0xd7, {registers: {af: 0xab10, bc: 0x983e, de: 0x0bdc, hl: 0x3b46, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xae51, iy: 0x8841, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb78', 'bit 7,(iy+dd)', {af: 0x2765, bc: 0xce2f, de: 0x4824, hl: 0x6930, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xae69, iy: 0xfecb, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x7d, 0x78]], [0xff48, [0xec]]], 0xd7, {registers: {af: 0x2791, bc: 0xce2f, de: 0x4824, hl: 0x6930, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xae69, iy: 0xfecb, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb79', 'bit 7,(iy+dd)', {af: 0xb428, bc: 0x6355, de: 0x7896, hl: 0x8a7c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9090, iy: 0x1cae, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x23, 0x79]], [0x1cd1, [0x87]]], 0xd7, {registers: {af: 0xb490, bc: 0x6355, de: 0x7896, hl: 0x8a7c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9090, iy: 0x1cae, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb7a', 'bit 7,(iy+dd)', {af: 0x59f4, bc: 0xca21, de: 0x1482, hl: 0x3fae, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc6c9, iy: 0xd923, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x42, 0x7a]], [0xd965, [0xb3]]], 0xd7, {registers: {af: 0x5990, bc: 0xca21, de: 0x1482, hl: 0x3fae, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc6c9, iy: 0xd923, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb7b', 'bit 7,(iy+dd)', {af: 0x6314, bc: 0x0240, de: 0x5efa, hl: 0x5e7b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3e50, iy: 0x0a83, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x17, 0x7b]], [0x0a9a, [0xbd]]], 0xd7, {registers: {af: 0x6390, bc: 0x0240, de: 0x5efa, hl: 0x5e7b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3e50, iy: 0x0a83, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb7c', 'bit 7,(iy+dd)', {af: 0x22a6, bc: 0xaff4, de: 0xb89b, hl: 0x4dca, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0ac2, iy: 0xd371, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xf1, 0x7c]], [0xd362, [0x1b]]], 0xd7, {registers: {af: 0x2254, bc: 0xaff4, de: 0xb89b, hl: 0x4dca, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0ac2, iy: 0xd371, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb7d', 'bit 7,(iy+dd)', {af: 0x1c95, bc: 0xd615, de: 0x825a, hl: 0x5e64, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x32fb, iy: 0xac3b, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x9f, 0x7d]], [0xabda, [0x8a]]], 0xd7, {registers: {af: 0x1c91, bc: 0xd615, de: 0x825a, hl: 0x5e64, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x32fb, iy: 0xac3b, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb7e', 'bit 7,(iy+dd)', {af: 0x503c, bc: 0x8dfe, de: 0x1019, hl: 0x6778, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xf7df, iy: 0x9484, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x40, 0x7e]], [0x94c4, [0x9e]]], 0xd7, {registers: {af: 0x5090, bc: 0x8dfe, de: 0x1019, hl: 0x6778, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xf7df, iy: 0x9484, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb7f', 'bit 7,(iy+dd)', {af: 0x1b07, bc: 0x9ec3, de: 0x14be, hl: 0x5ebe, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1178, iy: 0xce69, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xa2, 0x7f]], [0xce0b, [0x47]]], 0xd7, {registers: {af: 0x1b55, bc: 0x9ec3, de: 0x14be, hl: 0x5ebe, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1178, iy: 0xce69, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x14}],
+  ['fdcb80', 'ld b,res 0,(iy+dd)', {af: 0xe196, bc: 0x72ea, de: 0x507e, hl: 0x6457, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xab75, iy: 0x920d, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x8b, 0x80]], [0x9198, [0xa9]]], 0xff, {registers: {af: 0xe196, bc: 0xa8ea, de: 0x507e, hl: 0x6457, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xab75, iy: 0x920d, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x9198: 0xa8}, io: [], cycles: 0x17}],
+  ['fdcb81', 'ld c,res 0,(iy+dd)', {af: 0x3d3d, bc: 0xb255, de: 0x8759, hl: 0x0cb0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe078, iy: 0x82a5, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x55, 0x81]], [0x82fa, [0xfa]]], 0xff, {registers: {af: 0x3d3d, bc: 0xb2fa, de: 0x8759, hl: 0x0cb0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe078, iy: 0x82a5, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcb82', 'ld d,res 0,(iy+dd)', {af: 0x4e10, bc: 0x5d8d, de: 0x27a0, hl: 0xffff, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xee0a, iy: 0x5dd8, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x9c, 0x82]], [0x5d74, [0x9d]]], 0xff, {registers: {af: 0x4e10, bc: 0x5d8d, de: 0x9ca0, hl: 0xffff, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xee0a, iy: 0x5dd8, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x5d74: 0x9c}, io: [], cycles: 0x17}],
+  ['fdcb83', 'ld e,res 0,(iy+dd)', {af: 0x3c7f, bc: 0xfd81, de: 0x47fb, hl: 0x9f12, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xcbf9, iy: 0x374a, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x28, 0x83]], [0x3772, [0xd5]]], 0xff, {registers: {af: 0x3c7f, bc: 0xfd81, de: 0x47d4, hl: 0x9f12, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xcbf9, iy: 0x374a, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x3772: 0xd4}, io: [], cycles: 0x17}],
+  ['fdcb84', 'ld h,res 0,(iy+dd)', {af: 0x6872, bc: 0x81b1, de: 0x1e7a, hl: 0xe37e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9b4c, iy: 0xf1c3, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xaa, 0x84]], [0xf16d, [0xea]]], 0xff, {registers: {af: 0x6872, bc: 0x81b1, de: 0x1e7a, hl: 0xea7e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9b4c, iy: 0xf1c3, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcb85', 'ld l,res 0,(iy+dd)', {af: 0x25b3, bc: 0x5694, de: 0x57cd, hl: 0xf34d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x8ed2, iy: 0x0433, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x6c, 0x85]], [0x049f, [0xe0]]], 0xff, {registers: {af: 0x25b3, bc: 0x5694, de: 0x57cd, hl: 0xf3e0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x8ed2, iy: 0x0433, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcb86', 'res 0,(iy+dd)', {af: 0x152b, bc: 0x8ce1, de: 0x818d, hl: 0x40f2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9b7a, iy: 0x2a50, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x7e, 0x86]], [0x2ace, [0x36]]], 0xff, {registers: {af: 0x152b, bc: 0x8ce1, de: 0x818d, hl: 0x40f2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9b7a, iy: 0x2a50, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcb87', 'ld a,res 0,(iy+dd)', {af: 0xfe1d, bc: 0x5353, de: 0x618d, hl: 0x3266, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1a53, iy: 0x246a, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x59, 0x87]], [0x24c3, [0x65]]], 0xff, {registers: {af: 0x641d, bc: 0x5353, de: 0x618d, hl: 0x3266, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1a53, iy: 0x246a, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x24c3: 0x64}, io: [], cycles: 0x17}],
+  ['fdcb88', 'ld b,res 1,(iy+dd)', {af: 0x7d14, bc: 0xa0ec, de: 0x1e47, hl: 0x76e1, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3871, iy: 0xc60d, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xd4, 0x88]], [0xc5e1, [0xd6]]], 0xff, {registers: {af: 0x7d14, bc: 0xd4ec, de: 0x1e47, hl: 0x76e1, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3871, iy: 0xc60d, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xc5e1: 0xd4}, io: [], cycles: 0x17}],
+  ['fdcb89', 'ld c,res 1,(iy+dd)', {af: 0x86c3, bc: 0x50a6, de: 0x8592, hl: 0xd6ca, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x947b, iy: 0x0a01, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xc3, 0x89]], [0x09c4, [0xb0]]], 0xff, {registers: {af: 0x86c3, bc: 0x50b0, de: 0x8592, hl: 0xd6ca, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x947b, iy: 0x0a01, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcb8a', 'ld d,res 1,(iy+dd)', {af: 0x599c, bc: 0x961a, de: 0x55f9, hl: 0x8470, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd2a5, iy: 0xd4d2, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xf9, 0x8a]], [0xd4cb, [0xd8]]], 0xff, {registers: {af: 0x599c, bc: 0x961a, de: 0xd8f9, hl: 0x8470, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd2a5, iy: 0xd4d2, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcb8b', 'ld e,res 1,(iy+dd)', {af: 0x2715, bc: 0xa209, de: 0xab47, hl: 0x3eac, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xf352, iy: 0xc71e, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xed, 0x8b]], [0xc70b, [0xdc]]], 0xff, {registers: {af: 0x2715, bc: 0xa209, de: 0xabdc, hl: 0x3eac, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xf352, iy: 0xc71e, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcb8c', 'ld h,res 1,(iy+dd)', {af: 0x2818, bc: 0x4259, de: 0xa9b0, hl: 0xe7a0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6471, iy: 0xa202, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x97, 0x8c]], [0xa199, [0x67]]], 0xff, {registers: {af: 0x2818, bc: 0x4259, de: 0xa9b0, hl: 0x65a0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6471, iy: 0xa202, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xa199: 0x65}, io: [], cycles: 0x17}],
+  ['fdcb8d', 'ld l,res 1,(iy+dd)', {af: 0x14e3, bc: 0xc330, de: 0x9aa2, hl: 0x8418, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0d4f, iy: 0x5669, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xc9, 0x8d]], [0x5632, [0x9a]]], 0xff, {registers: {af: 0x14e3, bc: 0xc330, de: 0x9aa2, hl: 0x8498, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0d4f, iy: 0x5669, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x5632: 0x98}, io: [], cycles: 0x17}],
+  ['fdcb8e', 'res 1,(iy+dd)', {af: 0xcb79, bc: 0x0fff, de: 0xb244, hl: 0xc902, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6246, iy: 0x4c81, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xc2, 0x8e]], [0x4c43, [0x7f]]], 0xff, {registers: {af: 0xcb79, bc: 0x0fff, de: 0xb244, hl: 0xc902, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6246, iy: 0x4c81, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x4c43: 0x7d}, io: [], cycles: 0x17}],
+  ['fdcb8f', 'ld a,res 1,(iy+dd)', {af: 0x66b4, bc: 0x5fbb, de: 0x6c9b, hl: 0xd0e3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xac5a, iy: 0x6b51, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xd4, 0x8f]], [0x6b25, [0x59]]], 0xff, {registers: {af: 0x59b4, bc: 0x5fbb, de: 0x6c9b, hl: 0xd0e3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xac5a, iy: 0x6b51, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcb90', 'ld b,res 2,(iy+dd)', {af: 0x1305, bc: 0x1ce1, de: 0xd627, hl: 0x7402, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb470, iy: 0xd7f5, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xfd, 0x90]], [0xd7f2, [0x70]]], 0xff, {registers: {af: 0x1305, bc: 0x70e1, de: 0xd627, hl: 0x7402, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb470, iy: 0xd7f5, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcb91', 'ld c,res 2,(iy+dd)', {af: 0x10df, bc: 0xc48f, de: 0x0213, hl: 0xfc7e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xbfab, iy: 0x47d2, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xbf, 0x91]], [0x4791, [0x0e]]], 0xff, {registers: {af: 0x10df, bc: 0xc40a, de: 0x0213, hl: 0xfc7e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xbfab, iy: 0x47d2, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x4791: 0x0a}, io: [], cycles: 0x17}],
+  ['fdcb92', 'ld d,res 2,(iy+dd)', {af: 0x6a11, bc: 0xf89e, de: 0xf49d, hl: 0xc115, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xbc5d, iy: 0x313a, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x0b, 0x92]], [0x3145, [0xf6]]], 0xff, {registers: {af: 0x6a11, bc: 0xf89e, de: 0xf29d, hl: 0xc115, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xbc5d, iy: 0x313a, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x3145: 0xf2}, io: [], cycles: 0x17}],
+  ['fdcb93', 'ld e,res 2,(iy+dd)', {af: 0x61e5, bc: 0xcc2c, de: 0x959a, hl: 0xb52b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xfa64, iy: 0x2940, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x52, 0x93]], [0x2992, [0x38]]], 0xff, {registers: {af: 0x61e5, bc: 0xcc2c, de: 0x9538, hl: 0xb52b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xfa64, iy: 0x2940, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcb94', 'ld h,res 2,(iy+dd)', {af: 0x31b4, bc: 0x3e5a, de: 0xfb3d, hl: 0xab83, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa801, iy: 0xfe1c, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x95, 0x94]], [0xfdb1, [0x48]]], 0xff, {registers: {af: 0x31b4, bc: 0x3e5a, de: 0xfb3d, hl: 0x4883, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa801, iy: 0xfe1c, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcb95', 'ld l,res 2,(iy+dd)', {af: 0x337e, bc: 0x63a7, de: 0x2918, hl: 0xed6b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb12c, iy: 0xe776, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x90, 0x95]], [0xe706, [0xeb]]], 0xff, {registers: {af: 0x337e, bc: 0x63a7, de: 0x2918, hl: 0xedeb, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb12c, iy: 0xe776, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcb96', 'res 2,(iy+dd)', {af: 0x5d99, bc: 0xd9ec, de: 0xb6d0, hl: 0x5ed5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5d9d, iy: 0xe6cf, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x9e, 0x96]], [0xe66d, [0xfc]]], 0xff, {registers: {af: 0x5d99, bc: 0xd9ec, de: 0xb6d0, hl: 0x5ed5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5d9d, iy: 0xe6cf, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xe66d: 0xf8}, io: [], cycles: 0x17}],
+  ['fdcb97', 'ld a,res 2,(iy+dd)', {af: 0xccb6, bc: 0x8406, de: 0x72c6, hl: 0x1ba7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6dca, iy: 0x187f, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x64, 0x97]], [0x18e3, [0x9d]]], 0xff, {registers: {af: 0x99b6, bc: 0x8406, de: 0x72c6, hl: 0x1ba7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6dca, iy: 0x187f, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x18e3: 0x99}, io: [], cycles: 0x17}],
+  ['fdcb98', 'ld b,res 3,(iy+dd)', {af: 0x0495, bc: 0x312f, de: 0x8000, hl: 0xb749, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe9cb, iy: 0x43b8, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xda, 0x98]], [0x4392, [0x15]]], 0xff, {registers: {af: 0x0495, bc: 0x152f, de: 0x8000, hl: 0xb749, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe9cb, iy: 0x43b8, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcb99', 'ld c,res 3,(iy+dd)', {af: 0x2824, bc: 0xa485, de: 0xa30b, hl: 0xb286, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x10b0, iy: 0xd86c, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x78, 0x99]], [0xd8e4, [0xb5]]], 0xff, {registers: {af: 0x2824, bc: 0xa4b5, de: 0xa30b, hl: 0xb286, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x10b0, iy: 0xd86c, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcb9a', 'ld d,res 3,(iy+dd)', {af: 0xb0cc, bc: 0xc40c, de: 0xdc1a, hl: 0x014a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x2ff9, iy: 0xd717, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x9c, 0x9a]], [0xd6b3, [0x9d]]], 0xff, {registers: {af: 0xb0cc, bc: 0xc40c, de: 0x951a, hl: 0x014a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x2ff9, iy: 0xd717, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xd6b3: 0x95}, io: [], cycles: 0x17}],
+  ['fdcb9b', 'ld e,res 3,(iy+dd)', {af: 0xd092, bc: 0xa6c2, de: 0x7900, hl: 0x5448, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xfab0, iy: 0xcb1e, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x83, 0x9b]], [0xcaa1, [0x95]]], 0xff, {registers: {af: 0xd092, bc: 0xa6c2, de: 0x7995, hl: 0x5448, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xfab0, iy: 0xcb1e, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcb9c', 'ld h,res 3,(iy+dd)', {af: 0xb58d, bc: 0x1ed1, de: 0xe93b, hl: 0x9e0c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5605, iy: 0x03b3, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x1e, 0x9c]], [0x03d1, [0x78]]], 0xff, {registers: {af: 0xb58d, bc: 0x1ed1, de: 0xe93b, hl: 0x700c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5605, iy: 0x03b3, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x03d1: 0x70}, io: [], cycles: 0x17}],
+  ['fdcb9d', 'ld l,res 3,(iy+dd)', {af: 0xc7e9, bc: 0x18d3, de: 0x8eed, hl: 0xbd7d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9a7f, iy: 0xc087, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xe6, 0x9d]], [0xc06d, [0x53]]], 0xff, {registers: {af: 0xc7e9, bc: 0x18d3, de: 0x8eed, hl: 0xbd53, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9a7f, iy: 0xc087, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcb9e', 'res 3,(iy+dd)', {af: 0x81c7, bc: 0x71df, de: 0x45d5, hl: 0x0ca7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x648f, iy: 0x41bd, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xeb, 0x9e]], [0x41a8, [0x61]]], 0xff, {registers: {af: 0x81c7, bc: 0x71df, de: 0x45d5, hl: 0x0ca7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x648f, iy: 0x41bd, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcb9f', 'ld a,res 3,(iy+dd)', {af: 0xebf5, bc: 0xdc9f, de: 0xd490, hl: 0x15be, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0e12, iy: 0x9d49, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x50, 0x9f]], [0x9d99, [0x89]]], 0xff, {registers: {af: 0x81f5, bc: 0xdc9f, de: 0xd490, hl: 0x15be, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0e12, iy: 0x9d49, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x9d99: 0x81}, io: [], cycles: 0x17}],
+  ['fdcba0', 'ld b,res 4,(iy+dd)', {af: 0x8ccb, bc: 0x57, de: 0xbc19, hl: 0xe543, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x8c5d, iy: 0xd68d, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x76, 0xa0]], [0xd703, [0xd4]]], 0xff, {registers: {af: 0x8ccb, bc: 0xc457, de: 0xbc19, hl: 0xe543, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x8c5d, iy: 0xd68d, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xd703: 0xc4}, io: [], cycles: 0x17}],
+  ['fdcba1', 'ld c,res 4,(iy+dd)', {af: 0xeee6, bc: 0x6da4, de: 0x3a20, hl: 0x8bba, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1de7, iy: 0x66c8, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x31, 0xa1]], [0x66f9, [0xec]]], 0xff, {registers: {af: 0xeee6, bc: 0x6dec, de: 0x3a20, hl: 0x8bba, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1de7, iy: 0x66c8, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcba2', 'ld d,res 4,(iy+dd)', {af: 0x3f89, bc: 0x5120, de: 0x0bd1, hl: 0xe669, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x2993, iy: 0x04bf, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x0e, 0xa2]], [0x04cd, [0x47]]], 0xff, {registers: {af: 0x3f89, bc: 0x5120, de: 0x47d1, hl: 0xe669, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x2993, iy: 0x04bf, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcba3', 'ld e,res 4,(iy+dd)', {af: 0x4439, bc: 0x6b8b, de: 0x6178, hl: 0x1246, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x4cdb, iy: 0xad77, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x05, 0xa3]], [0xad7c, [0x59]]], 0xff, {registers: {af: 0x4439, bc: 0x6b8b, de: 0x6149, hl: 0x1246, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x4cdb, iy: 0xad77, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xad7c: 0x49}, io: [], cycles: 0x17}],
+  ['fdcba4', 'ld h,res 4,(iy+dd)', {af: 0x3385, bc: 0x261e, de: 0xa487, hl: 0xb3bd, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x4b8f, iy: 0xc0cd, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x66, 0xa4]], [0xc133, [0xc5]]], 0xff, {registers: {af: 0x3385, bc: 0x261e, de: 0xa487, hl: 0xc5bd, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x4b8f, iy: 0xc0cd, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcba5', 'ld l,res 4,(iy+dd)', {af: 0x6e70, bc: 0xb7ed, de: 0x22cd, hl: 0xaedc, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x46de, iy: 0xf1a1, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xa0, 0xa5]], [0xf141, [0x44]]], 0xff, {registers: {af: 0x6e70, bc: 0xb7ed, de: 0x22cd, hl: 0xae44, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x46de, iy: 0xf1a1, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcba6', 'res 4,(iy+dd)', {af: 0x814b, bc: 0x6408, de: 0x3dcb, hl: 0x971f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5716, iy: 0x93f3, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x76, 0xa6]], [0x9469, [0xbc]]], 0xff, {registers: {af: 0x814b, bc: 0x6408, de: 0x3dcb, hl: 0x971f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5716, iy: 0x93f3, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x9469: 0xac}, io: [], cycles: 0x17}],
+  ['fdcba7', 'ld a,res 4,(iy+dd)', {af: 0xa4c2, bc: 0x679e, de: 0xc313, hl: 0x61df, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x67e6, iy: 0x79c4, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x66, 0xa7]], [0x7a2a, [0x2e]]], 0xff, {registers: {af: 0x2ec2, bc: 0x679e, de: 0xc313, hl: 0x61df, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x67e6, iy: 0x79c4, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcba8', 'ld b,res 5,(iy+dd)', {af: 0x537c, bc: 0x1fed, de: 0x6cbb, hl: 0xbd26, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc638, iy: 0x0d46, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xa9, 0xa8]], [0x0cef, [0xb7]]], 0xff, {registers: {af: 0x537c, bc: 0x97ed, de: 0x6cbb, hl: 0xbd26, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc638, iy: 0x0d46, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x0cef: 0x97}, io: [], cycles: 0x17}],
+  ['fdcba9', 'ld c,res 5,(iy+dd)', {af: 0xba5a, bc: 0x3076, de: 0xcdd7, hl: 0x298d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x59ab, iy: 0x0f54, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x2b, 0xa9]], [0x0f7f, [0x8f]]], 0xff, {registers: {af: 0xba5a, bc: 0x308f, de: 0xcdd7, hl: 0x298d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x59ab, iy: 0x0f54, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcbaa', 'ld d,res 5,(iy+dd)', {af: 0x406a, bc: 0x2ed6, de: 0xfa8c, hl: 0xc633, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x87cb, iy: 0xb3d1, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x0b, 0xaa]], [0xb3dc, [0x3a]]], 0xff, {registers: {af: 0x406a, bc: 0x2ed6, de: 0x1a8c, hl: 0xc633, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x87cb, iy: 0xb3d1, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xb3dc: 0x1a}, io: [], cycles: 0x17}],
+  ['fdcbab', 'ld e,res 5,(iy+dd)', {af: 0xda61, bc: 0x0521, de: 0xa123, hl: 0xc7fa, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb71a, iy: 0x8ece, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xa9, 0xab]], [0x8e77, [0x1f]]], 0xff, {registers: {af: 0xda61, bc: 0x0521, de: 0xa11f, hl: 0xc7fa, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb71a, iy: 0x8ece, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcbac', 'ld h,res 5,(iy+dd)', {af: 0x34a3, bc: 0x81ce, de: 0x07d6, hl: 0xf3a4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x430b, iy: 0x0525, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x23, 0xac]], [0x0548, [0x9c]]], 0xff, {registers: {af: 0x34a3, bc: 0x81ce, de: 0x07d6, hl: 0x9ca4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x430b, iy: 0x0525, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcbad', 'ld l,res 5,(iy+dd)', {af: 0x5010, bc: 0x918e, de: 0xddbc, hl: 0x4f89, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x88c5, iy: 0x948f, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x4e, 0xad]], [0x94dd, [0x37]]], 0xff, {registers: {af: 0x5010, bc: 0x918e, de: 0xddbc, hl: 0x4f17, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x88c5, iy: 0x948f, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x94dd: 0x17}, io: [], cycles: 0x17}],
+  ['fdcbae', 'res 5,(iy+dd)', {af: 0xec0d, bc: 0xb57e, de: 0x18c6, hl: 0x7b01, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xbac6, iy: 0x0c1d, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x0c, 0xae]], [0x0c29, [0xa9]]], 0xff, {registers: {af: 0xec0d, bc: 0xb57e, de: 0x18c6, hl: 0x7b01, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xbac6, iy: 0x0c1d, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x0c29: 0x89}, io: [], cycles: 0x17}],
+  ['fdcbaf', 'ld a,res 5,(iy+dd)', {af: 0xb322, bc: 0x6731, de: 0xdaad, hl: 0x8d38, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xdd8f, iy: 0x26eb, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x0d, 0xaf]], [0x26f8, [0x44]]], 0xff, {registers: {af: 0x4422, bc: 0x6731, de: 0xdaad, hl: 0x8d38, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xdd8f, iy: 0x26eb, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcbb0', 'ld b,res 6,(iy+dd)', {af: 0xb984, bc: 0x796c, de: 0x44b1, hl: 0xfef9, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x4069, iy: 0xa0cb, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x5a, 0xb0]], [0xa125, [0x76]]], 0xff, {registers: {af: 0xb984, bc: 0x366c, de: 0x44b1, hl: 0xfef9, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x4069, iy: 0xa0cb, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xa125: 0x36}, io: [], cycles: 0x17}],
+  ['fdcbb1', 'ld c,res 6,(iy+dd)', {af: 0x59c3, bc: 0xab13, de: 0x42ee, hl: 0xb764, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x8f7f, iy: 0xf398, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x82, 0xb1]], [0xf31a, [0x79]]], 0xff, {registers: {af: 0x59c3, bc: 0xab39, de: 0x42ee, hl: 0xb764, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x8f7f, iy: 0xf398, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xf31a: 0x39}, io: [], cycles: 0x17}],
+  ['fdcbb2', 'ld d,res 6,(iy+dd)', {af: 0xf310, bc: 0xceec, de: 0xbbfb, hl: 0x3569, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x4a6f, iy: 0x33f9, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x23, 0xb2]], [0x341c, [0x7b]]], 0xff, {registers: {af: 0xf310, bc: 0xceec, de: 0x3bfb, hl: 0x3569, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x4a6f, iy: 0x33f9, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x341c: 0x3b}, io: [], cycles: 0x17}],
+  ['fdcbb3', 'ld e,res 6,(iy+dd)', {af: 0x9c05, bc: 0x0f92, de: 0xbd3b, hl: 0x553d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc75e, iy: 0x51d2, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x6c, 0xb3]], [0x523e, [0x37]]], 0xff, {registers: {af: 0x9c05, bc: 0x0f92, de: 0xbd37, hl: 0x553d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc75e, iy: 0x51d2, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcbb4', 'ld h,res 6,(iy+dd)', {af: 0x3e55, bc: 0x1338, de: 0x638d, hl: 0x353c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x44ad, iy: 0x4d17, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xc5, 0xb4]], [0x4cdc, [0xe9]]], 0xff, {registers: {af: 0x3e55, bc: 0x1338, de: 0x638d, hl: 0xa93c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x44ad, iy: 0x4d17, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x4cdc: 0xa9}, io: [], cycles: 0x17}],
+  ['fdcbb5', 'ld l,res 6,(iy+dd)', {af: 0x2f3a, bc: 0xb709, de: 0x4167, hl: 0x57be, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb543, iy: 0x8edd, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x50, 0xb5]], [0x8f2d, [0x0f]]], 0xff, {registers: {af: 0x2f3a, bc: 0xb709, de: 0x4167, hl: 0x570f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb543, iy: 0x8edd, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcbb6', 'res 6,(iy+dd)', {af: 0xa887, bc: 0x519b, de: 0xc91b, hl: 0xcc91, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa416, iy: 0x1e16, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x3a, 0xb6]], [0x1e50, [0x13]]], 0xff, {registers: {af: 0xa887, bc: 0x519b, de: 0xc91b, hl: 0xcc91, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa416, iy: 0x1e16, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcbb7', 'ld a,res 6,(iy+dd)', {af: 0x1335, bc: 0xa599, de: 0x9fbf, hl: 0xc111, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x8bc5, iy: 0xa9, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xc0, 0xb7]], [0x69, [0x38]]], 0xff, {registers: {af: 0x3835, bc: 0xa599, de: 0x9fbf, hl: 0xc111, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x8bc5, iy: 0xa9, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcbb8', 'ld b,res 7,(iy+dd)', {af: 0xd146, bc: 0x1138, de: 0x1a45, hl: 0x8259, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6a03, iy: 0xd087, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x31, 0xb8]], [0xd0b8, [0x17]]], 0xff, {registers: {af: 0xd146, bc: 0x1738, de: 0x1a45, hl: 0x8259, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6a03, iy: 0xd087, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcbb9', 'ld c,res 7,(iy+dd)', {af: 0x757b, bc: 0x0b9e, de: 0x767b, hl: 0x2ad1, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1498, iy: 0xb84e, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x3b, 0xb9]], [0xb889, [0xb4]]], 0xff, {registers: {af: 0x757b, bc: 0x0b34, de: 0x767b, hl: 0x2ad1, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1498, iy: 0xb84e, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xb889: 0x34}, io: [], cycles: 0x17}],
+  ['fdcbba', 'ld d,res 7,(iy+dd)', {af: 0x43ef, bc: 0x1c58, de: 0xdda3, hl: 0x4519, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb67b, iy: 0x383f, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x38, 0xba]], [0x3877, [0xd6]]], 0xff, {registers: {af: 0x43ef, bc: 0x1c58, de: 0x56a3, hl: 0x4519, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xb67b, iy: 0x383f, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x3877: 0x56}, io: [], cycles: 0x17}],
+  ['fdcbbb', 'ld e,res 7,(iy+dd)', {af: 0xdccb, bc: 0x7ab3, de: 0x7615, hl: 0x4161, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x2942, iy: 0xe2fe, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x07, 0xbb]], [0xe305, [0x6e]]], 0xff, {registers: {af: 0xdccb, bc: 0x7ab3, de: 0x766e, hl: 0x4161, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x2942, iy: 0xe2fe, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcbbc', 'ld h,res 7,(iy+dd)', {af: 0x0e07, bc: 0x34f5, de: 0x0995, hl: 0xcc42, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9d42, iy: 0xaf0c, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xf8, 0xbc]], [0xaf04, [0xcf]]], 0xff, {registers: {af: 0x0e07, bc: 0x34f5, de: 0x0995, hl: 0x4f42, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9d42, iy: 0xaf0c, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xaf04: 0x4f}, io: [], cycles: 0x17}],
+  ['fdcbbd', 'ld l,res 7,(iy+dd)', {af: 0x30ef, bc: 0xe60c, de: 0x9bf0, hl: 0xa1bf, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xbd1c, iy: 0xdf0d, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xaa, 0xbd]], [0xdeb7, [0x8d]]], 0xff, {registers: {af: 0x30ef, bc: 0xe60c, de: 0x9bf0, hl: 0xa10d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xbd1c, iy: 0xdf0d, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xdeb7: 0x0d}, io: [], cycles: 0x17}],
+  ['fdcbbe', 'res 7,(iy+dd)', {af: 0x1133, bc: 0xbef6, de: 0x5059, hl: 0x1089, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd558, iy: 0x3d0f, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xc8, 0xbe]], [0x3cd7, [0xa1]]], 0xff, {registers: {af: 0x1133, bc: 0xbef6, de: 0x5059, hl: 0x1089, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd558, iy: 0x3d0f, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x3cd7: 0x21}, io: [], cycles: 0x17}],
+  ['fdcbbf', 'ld a,res 7,(iy+dd)', {af: 0x83d6, bc: 0xc893, de: 0x8db8, hl: 0x716b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0956, iy: 0xbde7, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xfd, 0xbf]], [0xbde4, [0xac]]], 0xff, {registers: {af: 0x2cd6, bc: 0xc893, de: 0x8db8, hl: 0x716b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0956, iy: 0xbde7, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xbde4: 0x2c}, io: [], cycles: 0x17}],
+  ['fdcbc0', 'ld b,set 0,(iy+dd)', {af: 0x3666, bc: 0x676c, de: 0x35e5, hl: 0xdb0a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xea93, iy: 0x2b31, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x0a, 0xc0]], [0x2b3b, [0xec]]], 0xff, {registers: {af: 0x3666, bc: 0xed6c, de: 0x35e5, hl: 0xdb0a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xea93, iy: 0x2b31, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x2b3b: 0xed}, io: [], cycles: 0x17}],
+  ['fdcbc1', 'ld c,set 0,(iy+dd)', {af: 0x3902, bc: 0xd498, de: 0xaf62, hl: 0x9821, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x48b8, iy: 0xbd67, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x87, 0xc1]], [0xbcee, [0xee]]], 0xff, {registers: {af: 0x3902, bc: 0xd4ef, de: 0xaf62, hl: 0x9821, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x48b8, iy: 0xbd67, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xbcee: 0xef}, io: [], cycles: 0x17}],
+  ['fdcbc2', 'ld d,set 0,(iy+dd)', {af: 0xad26, bc: 0x5a6d, de: 0x6762, hl: 0x16c9, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x495a, iy: 0x5b2c, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x8d, 0xc2]], [0x5ab9, [0xc2]]], 0xff, {registers: {af: 0xad26, bc: 0x5a6d, de: 0xc362, hl: 0x16c9, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x495a, iy: 0x5b2c, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x5ab9: 0xc3}, io: [], cycles: 0x17}],
+  ['fdcbc3', 'ld e,set 0,(iy+dd)', {af: 0x3e6c, bc: 0x9a74, de: 0xa2ee, hl: 0x9838, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xeafa, iy: 0xe666, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x5a, 0xc3]], [0xe6c0, [0x4f]]], 0xff, {registers: {af: 0x3e6c, bc: 0x9a74, de: 0xa24f, hl: 0x9838, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xeafa, iy: 0xe666, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcbc4', 'ld h,set 0,(iy+dd)', {af: 0xbf68, bc: 0xd00b, de: 0x5283, hl: 0x51c2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x517c, iy: 0x5d10, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x89, 0xc4]], [0x5c99, [0x61]]], 0xff, {registers: {af: 0xbf68, bc: 0xd00b, de: 0x5283, hl: 0x61c2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x517c, iy: 0x5d10, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcbc5', 'ld l,set 0,(iy+dd)', {af: 0x127b, bc: 0xdb6a, de: 0xb9, hl: 0x5138, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x98f6, iy: 0x02bb, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xa9, 0xc5]], [0x0264, [0xcd]]], 0xff, {registers: {af: 0x127b, bc: 0xdb6a, de: 0xb9, hl: 0x51cd, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x98f6, iy: 0x02bb, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcbc6', 'set 0,(iy+dd)', {af: 0x35da, bc: 0x98c2, de: 0x3f57, hl: 0x44a4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x2771, iy: 0x76c4, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xee, 0xc6]], [0x76b2, [0x82]]], 0xff, {registers: {af: 0x35da, bc: 0x98c2, de: 0x3f57, hl: 0x44a4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x2771, iy: 0x76c4, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x76b2: 0x83}, io: [], cycles: 0x17}],
+  ['fdcbc7', 'ld a,set 0,(iy+dd)', {af: 0x763f, bc: 0xb86f, de: 0x12d3, hl: 0x7e2d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd870, iy: 0xf30b, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x9e, 0xc7]], [0xf2a9, [0xd7]]], 0xff, {registers: {af: 0xd73f, bc: 0xb86f, de: 0x12d3, hl: 0x7e2d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd870, iy: 0xf30b, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcbc8', 'ld b,set 1,(iy+dd)', {af: 0x1f81, bc: 0xc7c0, de: 0x85da, hl: 0x3cdd, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd854, iy: 0xc412, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x10, 0xc8]], [0xc422, [0xe9]]], 0xff, {registers: {af: 0x1f81, bc: 0xebc0, de: 0x85da, hl: 0x3cdd, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd854, iy: 0xc412, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xc422: 0xeb}, io: [], cycles: 0x17}],
+  ['fdcbc9', 'ld c,set 1,(iy+dd)', {af: 0xed19, bc: 0x3f88, de: 0x1370, hl: 0xe084, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x4fdd, iy: 0x8b42, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x61, 0xc9]], [0x8ba3, [0xb7]]], 0xff, {registers: {af: 0xed19, bc: 0x3fb7, de: 0x1370, hl: 0xe084, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x4fdd, iy: 0x8b42, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcbca', 'ld d,set 1,(iy+dd)', {af: 0xc7e5, bc: 0x233b, de: 0x2312, hl: 0xf7f9, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe417, iy: 0x5190, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x1a, 0xca]], [0x51aa, [0x90]]], 0xff, {registers: {af: 0xc7e5, bc: 0x233b, de: 0x9212, hl: 0xf7f9, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe417, iy: 0x5190, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x51aa: 0x92}, io: [], cycles: 0x17}],
+  ['fdcbcb', 'ld e,set 1,(iy+dd)', {af: 0xbdba, bc: 0xa964, de: 0xea38, hl: 0x9422, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xfca3, iy: 0x9a72, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x5e, 0xcb]], [0x9ad0, [0x70]]], 0xff, {registers: {af: 0xbdba, bc: 0xa964, de: 0xea72, hl: 0x9422, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xfca3, iy: 0x9a72, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x9ad0: 0x72}, io: [], cycles: 0x17}],
+  ['fdcbcc', 'ld h,set 1,(iy+dd)', {af: 0x0f4f, bc: 0x0261, de: 0x21b0, hl: 0x2097, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x575d, iy: 0x14f9, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x2d, 0xcc]], [0x1526, [0x4e]]], 0xff, {registers: {af: 0x0f4f, bc: 0x0261, de: 0x21b0, hl: 0x4e97, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x575d, iy: 0x14f9, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcbcd', 'ld l,set 1,(iy+dd)', {af: 0x1b79, bc: 0x8f9f, de: 0x31bf, hl: 0x9ca6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7ecb, iy: 0xbbe9, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xa1, 0xcd]], [0xbb8a, [0x66]]], 0xff, {registers: {af: 0x1b79, bc: 0x8f9f, de: 0x31bf, hl: 0x9c66, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7ecb, iy: 0xbbe9, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcbce', 'set 1,(iy+dd)', {af: 0x8e13, bc: 0x968e, de: 0x1784, hl: 0x0a0a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1e87, iy: 0xb8a2, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x36, 0xce]], [0xb8d8, [0x45]]], 0xff, {registers: {af: 0x8e13, bc: 0x968e, de: 0x1784, hl: 0x0a0a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1e87, iy: 0xb8a2, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xb8d8: 0x47}, io: [], cycles: 0x17}],
+  ['fdcbcf', 'ld a,set 1,(iy+dd)', {af: 0x8d0a, bc: 0xa073, de: 0xc4ba, hl: 0x5b69, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3b47, iy: 0xc29c, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x70, 0xcf]], [0xc30c, [0x7a]]], 0xff, {registers: {af: 0x7a0a, bc: 0xa073, de: 0xc4ba, hl: 0x5b69, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3b47, iy: 0xc29c, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcbd0', 'ld b,set 2,(iy+dd)', {af: 0xe2bb, bc: 0x8635, de: 0x650c, hl: 0x689a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1294, iy: 0x3beb, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xbc, 0xd0]], [0x3ba7, [0x20]]], 0xff, {registers: {af: 0xe2bb, bc: 0x2435, de: 0x650c, hl: 0x689a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1294, iy: 0x3beb, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x3ba7: 0x24}, io: [], cycles: 0x17}],
+  ['fdcbd1', 'ld c,set 2,(iy+dd)', {af: 0x5df8, bc: 0xf701, de: 0x9494, hl: 0x4967, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xad00, iy: 0x8c65, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x11, 0xd1]], [0x8c76, [0xb9]]], 0xff, {registers: {af: 0x5df8, bc: 0xf7bd, de: 0x9494, hl: 0x4967, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xad00, iy: 0x8c65, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x8c76: 0xbd}, io: [], cycles: 0x17}],
+  ['fdcbd2', 'ld d,set 2,(iy+dd)', {af: 0x9876, bc: 0x4bd9, de: 0x3148, hl: 0x665a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7eac, iy: 0xc051, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xfb, 0xd2]], [0xc04c, [0x51]]], 0xff, {registers: {af: 0x9876, bc: 0x4bd9, de: 0x5548, hl: 0x665a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7eac, iy: 0xc051, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xc04c: 0x55}, io: [], cycles: 0x17}],
+  ['fdcbd3', 'ld e,set 2,(iy+dd)', {af: 0x8f90, bc: 0xbacd, de: 0xe87a, hl: 0x538f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xfe5a, iy: 0x0a87, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x3e, 0xd3]], [0x0ac5, [0xe0]]], 0xff, {registers: {af: 0x8f90, bc: 0xbacd, de: 0xe8e4, hl: 0x538f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xfe5a, iy: 0x0a87, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x0ac5: 0xe4}, io: [], cycles: 0x17}],
+  ['fdcbd4', 'ld h,set 2,(iy+dd)', {af: 0x15e2, bc: 0x1820, de: 0x5588, hl: 0xe67f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7193, iy: 0x9478, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x36, 0xd4]], [0x94ae, [0x7d]]], 0xff, {registers: {af: 0x15e2, bc: 0x1820, de: 0x5588, hl: 0x7d7f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x7193, iy: 0x9478, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcbd5', 'ld l,set 2,(iy+dd)', {af: 0x1409, bc: 0x6535, de: 0xc371, hl: 0xabe2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x2e10, iy: 0x8608, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x48, 0xd5]], [0x8650, [0x98]]], 0xff, {registers: {af: 0x1409, bc: 0x6535, de: 0xc371, hl: 0xab9c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x2e10, iy: 0x8608, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x8650: 0x9c}, io: [], cycles: 0x17}],
+  ['fdcbd6', 'set 2,(iy+dd)', {af: 0x7801, bc: 0x78b6, de: 0xd191, hl: 0x054a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x2065, iy: 0x6aa3, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xc9, 0xd6]], [0x6a6c, [0x7c]]], 0xff, {registers: {af: 0x7801, bc: 0x78b6, de: 0xd191, hl: 0x054a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x2065, iy: 0x6aa3, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcbd7', 'ld a,set 2,(iy+dd)', {af: 0x1b6a, bc: 0x266e, de: 0x387f, hl: 0x7fcb, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1941, iy: 0x36ab, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xbe, 0xd7]], [0x3669, [0x95]]], 0xff, {registers: {af: 0x956a, bc: 0x266e, de: 0x387f, hl: 0x7fcb, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1941, iy: 0x36ab, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcbd8', 'ld b,set 3,(iy+dd)', {af: 0x7b1b, bc: 0xa191, de: 0xefee, hl: 0x55b9, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xf789, iy: 0x43f8, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xbc, 0xd8]], [0x43b4, [0xd8]]], 0xff, {registers: {af: 0x7b1b, bc: 0xd891, de: 0xefee, hl: 0x55b9, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xf789, iy: 0x43f8, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcbd9', 'ld c,set 3,(iy+dd)', {af: 0x0faf, bc: 0x4eda, de: 0xc556, hl: 0x6ed3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3fc3, iy: 0x0a66, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x16, 0xd9]], [0x0a7c, [0xf4]]], 0xff, {registers: {af: 0x0faf, bc: 0x4efc, de: 0xc556, hl: 0x6ed3, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x3fc3, iy: 0x0a66, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x0a7c: 0xfc}, io: [], cycles: 0x17}],
+  ['fdcbda', 'ld d,set 3,(iy+dd)', {af: 0x9ea1, bc: 0x8186, de: 0xc045, hl: 0xd6e0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x34d3, iy: 0xd0f0, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xe8, 0xda]], [0xd0d8, [0x6b]]], 0xff, {registers: {af: 0x9ea1, bc: 0x8186, de: 0x6b45, hl: 0xd6e0, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x34d3, iy: 0xd0f0, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcbdb', 'ld e,set 3,(iy+dd)', {af: 0x5ee0, bc: 0xbdea, de: 0xd00e, hl: 0x513f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x690a, iy: 0x8c29, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x7a, 0xdb]], [0x8ca3, [0x15]]], 0xff, {registers: {af: 0x5ee0, bc: 0xbdea, de: 0xd01d, hl: 0x513f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x690a, iy: 0x8c29, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x8ca3: 0x1d}, io: [], cycles: 0x17}],
+  ['fdcbdc', 'ld h,set 3,(iy+dd)', {af: 0x5cfa, bc: 0x2e2b, de: 0x1d17, hl: 0xdbf6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa4f2, iy: 0x593a, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x64, 0xdc]], [0x599e, [0x15]]], 0xff, {registers: {af: 0x5cfa, bc: 0x2e2b, de: 0x1d17, hl: 0x1df6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa4f2, iy: 0x593a, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x599e: 0x1d}, io: [], cycles: 0x17}],
+  ['fdcbdd', 'ld l,set 3,(iy+dd)', {af: 0x8773, bc: 0x70a6, de: 0x83ce, hl: 0x52b8, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x35da, iy: 0x1d94, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x75, 0xdd]], [0x1e09, [0x28]]], 0xff, {registers: {af: 0x8773, bc: 0x70a6, de: 0x83ce, hl: 0x5228, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x35da, iy: 0x1d94, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcbde', 'set 3,(iy+dd)', {af: 0x8310, bc: 0xfa01, de: 0x6c69, hl: 0x252a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5291, iy: 0xc9e0, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x17, 0xde]], [0xc9f7, [0x41]]], 0xff, {registers: {af: 0x8310, bc: 0xfa01, de: 0x6c69, hl: 0x252a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x5291, iy: 0xc9e0, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xc9f7: 0x49}, io: [], cycles: 0x17}],
+  ['fdcbdf', 'ld a,set 3,(iy+dd)', {af: 0x780d, bc: 0xa722, de: 0xe78e, hl: 0x50ba, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9d67, iy: 0xeac3, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x93, 0xdf]], [0xea56, [0xef]]], 0xff, {registers: {af: 0xef0d, bc: 0xa722, de: 0xe78e, hl: 0x50ba, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x9d67, iy: 0xeac3, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcbe0', 'ld b,set 4,(iy+dd)', {af: 0x10ef, bc: 0x4101, de: 0x2ca5, hl: 0xf752, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x4747, iy: 0x1507, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x56, 0xe0]], [0x155d, [0xb9]]], 0xff, {registers: {af: 0x10ef, bc: 0xb901, de: 0x2ca5, hl: 0xf752, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x4747, iy: 0x1507, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcbe1', 'ld c,set 4,(iy+dd)', {af: 0xe4cb, bc: 0x6f72, de: 0x1c11, hl: 0x1426, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x189b, iy: 0x0e0d, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xd1, 0xe1]], [0x0dde, [0x16]]], 0xff, {registers: {af: 0xe4cb, bc: 0x6f16, de: 0x1c11, hl: 0x1426, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x189b, iy: 0x0e0d, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcbe2', 'ld d,set 4,(iy+dd)', {af: 0x11a9, bc: 0xbae8, de: 0x938b, hl: 0xbac4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd8ed, iy: 0xe49c, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x50, 0xe2]], [0xe4ec, [0xc2]]], 0xff, {registers: {af: 0x11a9, bc: 0xbae8, de: 0xd28b, hl: 0xbac4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd8ed, iy: 0xe49c, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xe4ec: 0xd2}, io: [], cycles: 0x17}],
+  ['fdcbe3', 'ld e,set 4,(iy+dd)', {af: 0x8832, bc: 0x952b, de: 0x02b2, hl: 0x26ef, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xfb55, iy: 0xada8, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xca, 0xe3]], [0xad72, [0xba]]], 0xff, {registers: {af: 0x8832, bc: 0x952b, de: 0x02ba, hl: 0x26ef, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xfb55, iy: 0xada8, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcbe4', 'ld h,set 4,(iy+dd)', {af: 0x3989, bc: 0x4142, de: 0x89e2, hl: 0x785b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0bf7, iy: 0x5474, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x62, 0xe4]], [0x54d6, [0x7b]]], 0xff, {registers: {af: 0x3989, bc: 0x4142, de: 0x89e2, hl: 0x7b5b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x0bf7, iy: 0x5474, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcbe5', 'ld l,set 4,(iy+dd)', {af: 0xe5c5, bc: 0xb86d, de: 0x41bb, hl: 0x315e, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1a78, iy: 0xa52d, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xda, 0xe5]], [0xa507, [0x4c]]], 0xff, {registers: {af: 0xe5c5, bc: 0xb86d, de: 0x41bb, hl: 0x315c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x1a78, iy: 0xa52d, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xa507: 0x5c}, io: [], cycles: 0x17}],
+  ['fdcbe6', 'set 4,(iy+dd)', {af: 0xfd89, bc: 0xd888, de: 0x1e2f, hl: 0xddf5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x42f5, iy: 0x8b06, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x76, 0xe6]], [0x8b7c, [0x45]]], 0xff, {registers: {af: 0xfd89, bc: 0xd888, de: 0x1e2f, hl: 0xddf5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x42f5, iy: 0x8b06, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x8b7c: 0x55}, io: [], cycles: 0x17}],
+  ['fdcbe7', 'ld a,set 4,(iy+dd)', {af: 0x2025, bc: 0xd3e9, de: 0xd4b6, hl: 0xaa30, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x88bd, iy: 0xb597, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x11, 0xe7]], [0xb5a8, [0xa6]]], 0xff, {registers: {af: 0xb625, bc: 0xd3e9, de: 0xd4b6, hl: 0xaa30, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x88bd, iy: 0xb597, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xb5a8: 0xb6}, io: [], cycles: 0x17}],
+  ['fdcbe8', 'ld b,set 5,(iy+dd)', {af: 0x514d, bc: 0xc2ab, de: 0x37b5, hl: 0x57de, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa4ec, iy: 0x0a77, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xed, 0xe8]], [0x0a64, [0xd0]]], 0xff, {registers: {af: 0x514d, bc: 0xf0ab, de: 0x37b5, hl: 0x57de, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xa4ec, iy: 0x0a77, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x0a64: 0xf0}, io: [], cycles: 0x17}],
+  ['fdcbe9', 'ld c,set 5,(iy+dd)', {af: 0x974e, bc: 0xd28e, de: 0xd5cb, hl: 0x6bd4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x158a, iy: 0xa84e, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x35, 0xe9]], [0xa883, [0x2f]]], 0xff, {registers: {af: 0x974e, bc: 0xd22f, de: 0xd5cb, hl: 0x6bd4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x158a, iy: 0xa84e, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcbea', 'ld d,set 5,(iy+dd)', {af: 0x3ef4, bc: 0x3fc6, de: 0x4a44, hl: 0xe9a4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc877, iy: 0x7593, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x93, 0xea]], [0x7526, [0x1b]]], 0xff, {registers: {af: 0x3ef4, bc: 0x3fc6, de: 0x3b44, hl: 0xe9a4, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc877, iy: 0x7593, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x7526: 0x3b}, io: [], cycles: 0x17}],
+  ['fdcbeb', 'ld e,set 5,(iy+dd)', {af: 0x798f, bc: 0x5e9b, de: 0x940e, hl: 0x2e52, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd6ad, iy: 0x2411, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xd0, 0xeb]], [0x23e1, [0x47]]], 0xff, {registers: {af: 0x798f, bc: 0x5e9b, de: 0x9467, hl: 0x2e52, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd6ad, iy: 0x2411, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x23e1: 0x67}, io: [], cycles: 0x17}],
+  ['fdcbec', 'ld h,set 5,(iy+dd)', {af: 0x38a4, bc: 0x07c0, de: 0x6cee, hl: 0xe715, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xf160, iy: 0xd2eb, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xf3, 0xec]], [0xd2de, [0x49]]], 0xff, {registers: {af: 0x38a4, bc: 0x07c0, de: 0x6cee, hl: 0x6915, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xf160, iy: 0xd2eb, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xd2de: 0x69}, io: [], cycles: 0x17}],
+  ['fdcbed', 'ld l,set 5,(iy+dd)', {af: 0xe0bc, bc: 0x70c1, de: 0xde35, hl: 0x81c5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd57f, iy: 0x0eab, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x58, 0xed]], [0x0f03, [0x10]]], 0xff, {registers: {af: 0xe0bc, bc: 0x70c1, de: 0xde35, hl: 0x8130, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xd57f, iy: 0x0eab, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x0f03: 0x30}, io: [], cycles: 0x17}],
+  ['fdcbee', 'set 5,(iy+dd)', {af: 0x5fcb, bc: 0x9007, de: 0x1736, hl: 0xaca8, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x4bab, iy: 0x42bc, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x02, 0xee]], [0x42be, [0xd0]]], 0xff, {registers: {af: 0x5fcb, bc: 0x9007, de: 0x1736, hl: 0xaca8, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x4bab, iy: 0x42bc, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x42be: 0xf0}, io: [], cycles: 0x17}],
+  ['fdcbef', 'ld a,set 5,(iy+dd)', {af: 0x4ee3, bc: 0xd344, de: 0xcb5b, hl: 0xaeb5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xde5f, iy: 0x2272, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x58, 0xef]], [0x22ca, [0x09]]], 0xff, {registers: {af: 0x29e3, bc: 0xd344, de: 0xcb5b, hl: 0xaeb5, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xde5f, iy: 0x2272, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x22ca: 0x29}, io: [], cycles: 0x17}],
+  ['fdcbf0', 'ld b,set 6,(iy+dd)', {af: 0x1080, bc: 0xb270, de: 0x1b5b, hl: 0xa9b7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe89d, iy: 0xee9e, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x45, 0xf0]], [0xeee3, [0x2c]]], 0xff, {registers: {af: 0x1080, bc: 0x6c70, de: 0x1b5b, hl: 0xa9b7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe89d, iy: 0xee9e, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xeee3: 0x6c}, io: [], cycles: 0x17}],
+  ['fdcbf1', 'ld c,set 6,(iy+dd)', {af: 0x1702, bc: 0xc43b, de: 0xd138, hl: 0x316f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x8067, iy: 0x4783, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x2f, 0xf1]], [0x47b2, [0xdc]]], 0xff, {registers: {af: 0x1702, bc: 0xc4dc, de: 0xd138, hl: 0x316f, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x8067, iy: 0x4783, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcbf2', 'ld d,set 6,(iy+dd)', {af: 0x732a, bc: 0x4cd1, de: 0x77fe, hl: 0x4814, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x42f1, iy: 0xea97, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x2c, 0xf2]], [0xeac3, [0x5e]]], 0xff, {registers: {af: 0x732a, bc: 0x4cd1, de: 0x5efe, hl: 0x4814, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x42f1, iy: 0xea97, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcbf3', 'ld e,set 6,(iy+dd)', {af: 0x6b97, bc: 0x59d3, de: 0xf546, hl: 0x7530, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6670, iy: 0x7d90, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x38, 0xf3]], [0x7dc8, [0x0c]]], 0xff, {registers: {af: 0x6b97, bc: 0x59d3, de: 0xf54c, hl: 0x7530, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x6670, iy: 0x7d90, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x7dc8: 0x4c}, io: [], cycles: 0x17}],
+  ['fdcbf4', 'ld h,set 6,(iy+dd)', {af: 0x7af0, bc: 0xa81f, de: 0x5d3a, hl: 0x799b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe12b, iy: 0x309c, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xd0, 0xf4]], [0x306c, [0x0e]]], 0xff, {registers: {af: 0x7af0, bc: 0xa81f, de: 0x5d3a, hl: 0x4e9b, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe12b, iy: 0x309c, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x306c: 0x4e}, io: [], cycles: 0x17}],
+  ['fdcbf5', 'ld l,set 6,(iy+dd)', {af: 0x1370, bc: 0xf6b2, de: 0xaaa2, hl: 0x7f0a, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc9f6, iy: 0x6b1f, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x55, 0xf5]], [0x6b74, [0xf8]]], 0xff, {registers: {af: 0x1370, bc: 0xf6b2, de: 0xaaa2, hl: 0x7ff8, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc9f6, iy: 0x6b1f, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcbf6', 'set 6,(iy+dd)', {af: 0x7c43, bc: 0xfcd1, de: 0x34bd, hl: 0xf4ab, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xef33, iy: 0xc61a, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x56, 0xf6]], [0xc670, [0x5d]]], 0xff, {registers: {af: 0x7c43, bc: 0xfcd1, de: 0x34bd, hl: 0xf4ab, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xef33, iy: 0xc61a, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcbf7', 'ld a,set 6,(iy+dd)', {af: 0xe6da, bc: 0x231a, de: 0x7bb1, hl: 0x800d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe37e, iy: 0x5789, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x9e, 0xf7]], [0x5727, [0x66]]], 0xff, {registers: {af: 0x66da, bc: 0x231a, de: 0x7bb1, hl: 0x800d, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe37e, iy: 0x5789, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcbf8', 'ld b,set 7,(iy+dd)', {af: 0xfa29, bc: 0xee74, de: 0xd7c4, hl: 0xafaf, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x512c, iy: 0xde7a, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x54, 0xf8]], [0xdece, [0x7a]]], 0xff, {registers: {af: 0xfa29, bc: 0xfa74, de: 0xd7c4, hl: 0xafaf, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x512c, iy: 0xde7a, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xdece: 0xfa}, io: [], cycles: 0x17}],
+  ['fdcbf9', 'ld c,set 7,(iy+dd)', {af: 0x4662, bc: 0xa71b, de: 0x5065, hl: 0xed06, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x279e, iy: 0x99e3, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x30, 0xf9]], [0x9a13, [0xc6]]], 0xff, {registers: {af: 0x4662, bc: 0xa7c6, de: 0x5065, hl: 0xed06, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x279e, iy: 0x99e3, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcbfa', 'ld d,set 7,(iy+dd)', {af: 0x9426, bc: 0x53ec, de: 0x5016, hl: 0x6c99, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x8b99, iy: 0xbd79, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x09, 0xfa]], [0xbd82, [0xf4]]], 0xff, {registers: {af: 0x9426, bc: 0x53ec, de: 0xf416, hl: 0x6c99, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x8b99, iy: 0xbd79, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcbfb', 'ld e,set 7,(iy+dd)', {af: 0x5343, bc: 0xb212, de: 0x09ca, hl: 0xe3c6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xcd2b, iy: 0xf875, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xba, 0xfb]], [0xf82f, [0xed]]], 0xff, {registers: {af: 0x5343, bc: 0xb212, de: 0x09ed, hl: 0xe3c6, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xcd2b, iy: 0xf875, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fdcbfc', 'ld h,set 7,(iy+dd)', {af: 0x0965, bc: 0x4392, de: 0xca25, hl: 0x2baa, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xf023, iy: 0x6623, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x56, 0xfc]], [0x6679, [0x65]]], 0xff, {registers: {af: 0x0965, bc: 0x4392, de: 0xca25, hl: 0xe5aa, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xf023, iy: 0x6623, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x6679: 0xe5}, io: [], cycles: 0x17}],
+  ['fdcbfd', 'ld l,set 7,(iy+dd)', {af: 0x1751, bc: 0x233c, de: 0x6214, hl: 0xd119, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc415, iy: 0x5d2b, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x25, 0xfd]], [0x5d50, [0x27]]], 0xff, {registers: {af: 0x1751, bc: 0x233c, de: 0x6214, hl: 0xd1a7, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xc415, iy: 0x5d2b, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x5d50: 0xa7}, io: [], cycles: 0x17}],
+  ['fdcbfe', 'set 7,(iy+dd)', {af: 0xb4cf, bc: 0x5639, de: 0x677b, hl: 0x0ca2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xddc5, iy: 0x4e4f, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0x88, 0xfe]], [0x4dd7, [0x4a]]], 0xff, {registers: {af: 0xb4cf, bc: 0x5639, de: 0x677b, hl: 0x0ca2, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xddc5, iy: 0x4e4f, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x4dd7: 0xca}, io: [], cycles: 0x17}],
+  ['fdcbff', 'ld a,set 7,(iy+dd)', {af: 0xf151, bc: 0x13da, de: 0x7c56, hl: 0xf025, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x2b36, iy: 0x2aed, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xcb, 0xe4, 0xff]], [0x2ad1, [0x97]]], 0xff, {registers: {af: 0x9751, bc: 0x13da, de: 0x7c56, hl: 0xf025, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x2b36, iy: 0x2aed, sp: 0x00, pc: 0x04, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x17}],
+  ['fde1', 'pop iy', {af: 0x828e, bc: 0x078b, de: 0x1e35, hl: 0x8f1c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x4827, iy: 0xb742, sp: 0x716e, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xe1]], [0x716e, [0xd5, 0x92]]], 0xff, {registers: {af: 0x828e, bc: 0x078b, de: 0x1e35, hl: 0x8f1c, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x4827, iy: 0x92d5, sp: 0x7170, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0e}],
+  ['fde3', 'ex (sp),iy', {af: 0x4298, bc: 0xc805, de: 0x6030, hl: 0x4292, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x473b, iy: 0x9510, sp: 0x1a38, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xe3]], [0x1a38, [0xe0, 0x0f]]], 0xff, {registers: {af: 0x4298, bc: 0xc805, de: 0x6030, hl: 0x4292, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x473b, iy: 0x0fe0, sp: 0x1a38, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x1a38: 0x10, 0x1a39: 0x95}, io: [], cycles: 0x17}],
+  ['fde5', 'push iy', {af: 0xd139, bc: 0xaa0d, de: 0xbf2b, hl: 0x2a56, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe138, iy: 0xd4da, sp: 0xa8e1, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xe5]]], 0xff, {registers: {af: 0xd139, bc: 0xaa0d, de: 0xbf2b, hl: 0x2a56, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xe138, iy: 0xd4da, sp: 0xa8df, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0xa8df: 0xda, 0xa8e0: 0xd4}, io: [], cycles: 0x0f}],
+  ['fde9', 'jp iy', {af: 0xc14f, bc: 0x2eb6, de: 0xedf0, hl: 0x27cf, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x09ee, iy: 0xa2a4, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xe9]]], 0xff, {registers: {af: 0xc14f, bc: 0x2eb6, de: 0xedf0, hl: 0x27cf, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x09ee, iy: 0xa2a4, sp: 0x00, pc: 0xa2a4, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x08}],
+  ['fdf9', 'ld sp,iy', {af: 0xc260, bc: 0x992e, de: 0xd544, hl: 0x67fb, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xba5e, iy: 0x3596, sp: 0x353f, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfd, 0xf9]]], 0xff, {registers: {af: 0xc260, bc: 0x992e, de: 0xd544, hl: 0x67fb, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0xba5e, iy: 0x3596, sp: 0x3596, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x0a}],
+  ['fe', 'cp nn', {af: 0x6900, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x00, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x00, [0xfe, 0x82]]], 0xff, {registers: {af: 0x6987, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x00, pc: 0x02, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {}, io: [], cycles: 0x07}],
+  ['ff', 'rst 38', {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5507, pc: 0x6d33, i: 0x00, r: 0x00, im: 0x00, iff1: false, iff2: false, halted: false, cycles: 0x01}, [[0x6d33, [0xff]]], 0xff, {registers: {af: 0x00, bc: 0x00, de: 0x00, hl: 0x00, "af'": 0x00, "bc'": 0x00, "de'": 0x00, "hl'": 0x00, ix: 0x00, iy: 0x00, sp: 0x5505, pc: 0x38, im: 0x00, iff1: false, iff2: false, halted: false, i: 0x00}, memory: {0x5505: 0x34, 0x5506: 0x6d}, io: [], cycles: 0x0b}]
+]
+
+// tests are named after fuse's test and the instruction's mnemonic, e.g. "dd36 ld (ix+dd),nn"
+test.each(vectors)('%s %s', (name, mnemonic, state, memory, flags, expected) => {
+  expect(runVector(state, memory, flags)).toEqual(expected)
+})
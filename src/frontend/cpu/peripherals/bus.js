@@ -0,0 +1,204 @@
+'use strict'
+
+import Peripheral from './peripheral.js'
+
+/**
+ * plugs peripherals (see peripheral.js) into a ProcessorZ80. pass clock as the predicate of
+ * ProcessorZ80.runUntil() (or of a machine's run()) to tick the peripherals after each instruction and offer
+ * their interrupts to the cpu; it never stops the cpu itself.
+ *
+ * the peripherals form a daisy chain in the order they were added, as zilog's peripheral chips are wired: the
+ * first has the highest priority, and a peripheral whose interrupt is being serviced holds off the interrupts
+ * of those after it until reti returns from its interrupt routine.
+ *
+ * rob andrews <rob@aphlor.org>
+ */
+class PeripheralBus
+{
+  #cpu
+  #peripherals = []
+  #tickers = []
+  #cycles
+
+  /**
+   * Constructor
+   *
+   * @param ProcessorZ80  cpu Cpu to plug peripherals into
+   */
+  constructor(cpu)
+  {
+    this.#cpu = cpu
+    this.#cycles = cpu.getCycles()
+    cpu.addRetiHandler(() => this.#peripherals.find((peripheral) => peripheral.isInService())?.interruptReturned())
+  }
+
+  /**
+   * Attach a peripheral to the cpu
+   *
+   * @param Peripheral  peripheral  Peripheral to attach
+   * @return void
+   */
+  add(peripheral)
+  {
+    peripheral.attach(this.#cpu)
+    this.#peripherals.push(peripheral)
+    if (peripheral.tick !== Peripheral.prototype.tick)
+      this.#tickers.push(peripheral)
+  }
+
+  /**
+   * Get the peripherals, in the order they were added
+   *
+   * @return array
+   */
+  getPeripherals()
+  {
+    return [...this.#peripherals]
+  }
+
+  /**
+   * Tick the peripherals with the time which has passed, and offer the cpu any interrupt they are raising;
+   * a predicate for ProcessorZ80.runUntil()
+   *
+   * @param ProcessorZ80  cpu Cpu being run
+   * @return boolean  false
+   */
+  clock = (cpu) => {
+    if (this.#tickers.length > 0) {
+      const cycles = cpu.getCycles()
+      const elapsed = cycles - this.#cycles
+      this.#cycles = cycles
+      if (elapsed > 0)
+        this.#tickers.forEach((peripheral) => peripheral.tick(elapsed))
+    }
+
+    if (this.#peripherals.length > 0)
+      this.requestInterrupt()
+    return false
+  }
+
+  /**
+   * Offer the cpu the interrupt of the highest priority peripheral raising one
+   *
+   * @return boolean  true if the cpu accepted an interrupt
+   */
+  requestInterrupt()
+  {
+    const peripheral = this.#interrupting()
+    if ((peripheral === null) || !this.#cpu.requestInterrupt(peripheral.getInterrupt()))
+      return false
+
+    peripheral.interruptAccepted()
+    return true
+  }
+
+  /**
+   * Check whether a peripheral is raising an interrupt which the daisy chain lets through
+   *
+   * @return boolean
+   */
+  interruptPending()
+  {
+    return this.#interrupting() !== null
+  }
+
+  /**
+   * Find the peripheral whose interrupt goes to the cpu: the first raising one, unless a peripheral ahead of
+   * it on the daisy chain is in service
+   *
+   * @return Peripheral|null
+   */
+  #interrupting = () => {
+    for (const peripheral of this.#peripherals) {
+      if (peripheral.getInterrupt() !== null)
+        return peripheral
+
+      if (peripheral.isInService())
+        return null
+    }
+
+    return null
+  }
+
+  /**
+   * Check whether a peripheral is counting towards an interrupt, so that a program halted with interrupts
+   * enabled should wait for it (see waitForInterrupt())
+   *
+   * @return boolean
+   */
+  isTiming()
+  {
+    return this.#peripherals.some((peripheral) => peripheral.isTiming())
+  }
+
+  /**
+   * Let a cpu halted with interrupts enabled wait for a peripheral's interrupt. ProcessorZ80.runUntil() stops
+   * at a halt without calling its predicate, so the halt is run here an instruction at a time, with the
+   * peripherals clocked after each, until one of them interrupts the cpu. Returns a result as
+   * ProcessorZ80.runUntil() does, with the reason 'interrupt' when an interrupt ended the halt.
+   *
+   * @param number    maxInstructions Most instructions to execute before giving up
+   * @param function  predicate       Stops the wait early when it returns true, as for runUntil()
+   * @return Object
+   */
+  waitForInterrupt(maxInstructions = Infinity, predicate = () => false)
+  {
+    let [instructions, cycles] = [0, 0]
+    while (this.#cpu.isHalted()) {
+      if (instructions >= maxInstructions)
+        return {reason: 'budget', instructions, cycles, fault: null, watchpoint: null}
+
+      const result = this.#cpu.run(1)
+      instructions += result.instructions
+      cycles += result.cycles
+      if (result.reason !== 'halt')
+        return {...result, instructions, cycles}
+
+      this.clock(this.#cpu)
+      if (this.#cpu.isHalted() && predicate(this.#cpu))
+        return {reason: 'condition', instructions, cycles, fault: null, watchpoint: null}
+    }
+
+    return {reason: 'interrupt', instructions, cycles, fault: null, watchpoint: null}
+  }
+
+  /**
+   * Check whether input to a peripheral could interrupt the cpu; that is, a peripheral interrupts in response
+   * to input and the program has enabled interrupts
+   *
+   * @return boolean
+   */
+  canWake()
+  {
+    return this.#cpu.getInterruptState() && this.#peripherals.some((peripheral) => peripheral.canInterrupt())
+  }
+
+  /**
+   * Get the state of each peripheral for the ide
+   *
+   * @return array  {type, state} for each peripheral
+   */
+  getStates()
+  {
+    return this.#peripherals.map((peripheral) => ({type: peripheral.constructor.type, state: peripheral.getState()}))
+  }
+
+  /**
+   * Pass input from the ide to a peripheral
+   *
+   * @param number  index Position of the peripheral, in the order they were added
+   * @param any     value Input for the peripheral
+   * @throws RangeError when there is no such peripheral
+   * @return void
+   */
+  input(index, value)
+  {
+    const peripheral = this.#peripherals[index]
+    if (typeof peripheral === 'undefined')
+      throw new RangeError(`invalid peripheral: ${index}`)
+
+    peripheral.input(value)
+  }
+}
+
+export default PeripheralBus
@@ -0,0 +1,255 @@
+'use strict'
+
+import DaisyChainPeripheral from './daisychain.js'
+
+/**
+ * a z80 ctc: four counter/timer channels on four consecutive i/o ports from the one given, channel 0 first.
+ * each channel counts down from its time constant, reloading it when it reaches zero; it counts either the
+ * system clock divided by 16 or 256 (timer mode) or pulses on its clk/trg input (counter mode), which come
+ * from the panel in the ide. reaching zero can raise an interrupt, channel 0 having the highest priority, with
+ * the vector written to channel 0 (bits 3-7) and the channel number in bits 1-2.
+ *
+ * a byte written to a channel is, in turn:
+ *
+ *   - its time constant (1-255, or 0 for 256), when the previous control word said one follows (bit 2)
+ *   - a control word, when bit 0 is set: bit 7 enables interrupts, bit 6 selects counter mode, bit 5 the
+ *     prescaler of 256 rather than 16, bit 3 starts a timer on a clk/trg pulse rather than straight away, bit 2
+ *     says a time constant follows and bit 1 stops the channel (a software reset)
+ *   - the interrupt vector, when bit 0 is clear (channel 0 only)
+ *
+ * bit 4 (the clk/trg edge) is accepted and ignored, as the panel's pulses have no edges. reading a channel
+ * gives its count. given cascade, each of channels 0-2 pulses the clk/trg input of the next when it reaches
+ * zero, as the zc/to outputs are often wired, for intervals too long for one channel.
+ *
+ *   .pragma peripheral, ctc, <port>[, <cascade>]    cascade is 0 (the default) or 1
+ *
+ * rob andrews <rob@aphlor.org>
+ */
+class CounterTimerCircuit extends DaisyChainPeripheral
+{
+  static type = 'ctc'
+  static parameters = ['port', 'cascade']
+
+  static panel = `
+    <h6>Z80 CTC (ports {{ peripheral.state.port | hexify:2 }}-{{ peripheral.state.port + 3 | hexify:2 }}, vector {{ peripheral.state.vector | hexify:2 }})</h6>
+    <div class="row" ng-repeat="channel in peripheral.state.channels track by $index">
+      <div class="col-2"><tt>Ch {{ $index }}</tt></div>
+      <div class="col-4"><tt>{{ channel.running ? (channel.counter ? 'counter' : 'timer /' + channel.prescaler) : 'stopped' }}</tt></div>
+      <div class="col-2"><tt title="Count">{{ channel.count | hexify:2 }}</tt></div>
+      <div class="col-2"><tt>{{ channel.interrupts ? 'int' : '' }}</tt></div>
+      <div class="col-2">
+        <button type="button" class="btn btn-sm btn-outline-secondary" title="Pulse the channel's CLK/TRG input"
+          ng-click="peripheralInput(peripheral, {channel: $index})">Pulse</button>
+      </div>
+    </div>`
+
+  #cascade
+  #vector = 0
+  #channels = Array.from({length: 4}, () => ({
+    control: 0,
+    timeConstant: 256,
+    count: 256,
+    running: false,
+    awaitingTrigger: false,
+    constantFollows: false,
+    cycles: 0
+  }))
+
+  /**
+   * Constructor
+   *
+   * @param number  port    I/O port of channel 0
+   * @param number  cascade 1 for each channel to pulse the next, 0 for none
+   * @throws RangeError when the port or cascade is invalid
+   */
+  constructor(port, cascade = 0)
+  {
+    super(4, port)
+    if ((cascade !== 0) && (cascade !== 1))
+      throw new RangeError(`invalid cascade for a ctc: ${cascade} (expected 0 or 1)`)
+
+    this.#cascade = cascade === 1
+  }
+
+  /**
+   * Read a channel's count, or write to the channel
+   *
+   * @param number  channel Channel (the port, from the first)
+   * @param string  mode    'r' to read, 'w' to write
+   * @param number  data    Byte written
+   * @return number|undefined Count read
+   */
+  portAccess(channel, mode, data)
+  {
+    if (mode === 'r')
+      return this.#channels[channel].count & 0xff
+
+    this.#write(channel, data)
+  }
+
+  /**
+   * Count down the running timers
+   *
+   * @param number  cycles  T-states since the last tick
+   * @return void
+   */
+  tick(cycles)
+  {
+    this.#channels.forEach((channel, index) => {
+      if (!channel.running || (channel.control & 0x40))
+        return
+
+      const prescaler = (channel.control & 0x20) ? 256 : 16
+      channel.cycles += cycles
+      const steps = Math.floor(channel.cycles / prescaler)
+      channel.cycles %= prescaler
+      this.#count(index, steps)
+    })
+  }
+
+  /**
+   * Get the vector for a channel's interrupt
+   *
+   * @param number  source  Channel
+   * @return number
+   */
+  getVector(source)
+  {
+    return (this.#vector & 0xf8) | (source << 1)
+  }
+
+  /**
+   * Get the channels for the panel
+   *
+   * @return Object {port, vector, channels}, with each channel as {running, counter, prescaler, count,
+   *                timeConstant, interrupts}
+   */
+  getState()
+  {
+    return {
+      port: this.getPort(),
+      vector: this.#vector & 0xf8,
+      channels: this.#channels.map((channel) => ({
+        running: channel.running,
+        counter: (channel.control & 0x40) !== 0,
+        prescaler: (channel.control & 0x20) ? 256 : 16,
+        count: channel.count & 0xff,
+        timeConstant: channel.timeConstant & 0xff,
+        interrupts: (channel.control & 0x80) !== 0
+      }))
+    }
+  }
+
+  /**
+   * Pulse a channel's clk/trg input
+   *
+   * @param Object  value {channel}: the channel (0-3)
+   * @throws RangeError when there is no such channel
+   * @return void
+   */
+  input({channel})
+  {
+    if (!Number.isInteger(channel) || (channel < 0) || (channel > 3))
+      throw new RangeError(`invalid ctc channel: ${channel}`)
+
+    this.#trigger(channel)
+  }
+
+  /**
+   * Check whether pulsing a channel could raise an interrupt
+   *
+   * @return boolean
+   */
+  canInterrupt()
+  {
+    return this.#channels.some((channel) => (channel.control & 0x80) !== 0)
+  }
+
+  /**
+   * Check whether a timer is running
+   *
+   * @return boolean
+   */
+  isTiming()
+  {
+    return this.#channels.some((channel) => channel.running && !(channel.control & 0x40))
+  }
+
+  /**
+   * Take a byte written to a channel
+   *
+   * @param number  index Channel
+   * @param number  data  Byte written
+   * @return void
+   */
+  #write = (index, data) => {
+    const channel = this.#channels[index]
+    if (channel.constantFollows) {
+      channel.timeConstant = (data === 0) ? 256 : data
+      channel.constantFollows = false
+      if (!channel.running) {
+        channel.count = channel.timeConstant
+        channel.cycles = 0
+        // a timer started by a clk/trg pulse waits for one; anything else starts now
+        channel.awaitingTrigger = (channel.control & 0x48) === 0x08
+        channel.running = !channel.awaitingTrigger
+      }
+      return
+    }
+
+    if ((data & 0x01) === 0) {
+      if (index === 0)
+        this.#vector = data
+      return
+    }
+
+    channel.control = data
+    channel.constantFollows = (data & 0x04) !== 0
+    if (data & 0x02) {
+      channel.running = channel.awaitingTrigger = false
+      this.resetSource(index)
+    }
+    if (!(data & 0x80))
+      this.cancelSourceInterrupt(index)
+  }
+
+  /**
+   * Pulse a channel's clk/trg input, which counts in counter mode and starts a timer waiting for it
+   *
+   * @param number  index Channel
+   * @return void
+   */
+  #trigger = (index) => {
+    const channel = this.#channels[index]
+    if (channel.awaitingTrigger) {
+      channel.awaitingTrigger = false
+      channel.running = true
+      return
+    }
+
+    if (channel.running && (channel.control & 0x40))
+      this.#count(index, 1)
+  }
+
+  /**
+   * Count a channel down, reloading its time constant and raising its interrupt each time it reaches zero
+   *
+   * @param number  index Channel
+   * @param number  steps Number of counts
+   * @return void
+   */
+  #count = (index, steps) => {
+    const channel = this.#channels[index]
+    while (steps >= channel.count) {
+      steps -= channel.count
+      channel.count = channel.timeConstant
+      if (channel.control & 0x80)
+        this.requestSourceInterrupt(index)
+      if (this.#cascade && (index < 3))
+        this.#trigger(index + 1)
+    }
+    channel.count -= steps
+  }
+}
+
+export default CounterTimerCircuit
@@ -0,0 +1,207 @@
+'use strict'
+
+import Peripheral from './peripheral.js'
+
+/**
+ * the interrupt logic shared by zilog's peripheral chips (the ctc, pio and sio): each chip has several
+ * sources of interrupts, in a fixed order of priority, and supplies a vector for each, for interrupt mode 2.
+ * a source whose interrupt the cpu accepts is in service until reti returns from its interrupt routine;
+ * whilst it is, it holds off the sources after it, in this chip and in the peripherals after the chip on the
+ * daisy chain (see bus.js), whilst those before it can still interrupt the routine if it re-enables
+ * interrupts.
+ *
+ * each chip sits on four consecutive i/o ports. a chip extends this class, handles reads and writes of its
+ * ports in portAccess(), calls requestSourceInterrupt() and cancelSourceInterrupt() as its sources raise and
+ * withdraw interrupts, and gives the vector of each source in getVector().
+ *
+ * rob andrews <rob@aphlor.org>
+ */
+class DaisyChainPeripheral extends Peripheral
+{
+  #port
+  #pending
+  #inService
+
+  /**
+   * Constructor
+   *
+   * @param number  sources Number of sources of interrupts, highest priority first
+   * @param number  port    First of the chip's four i/o ports, or null for a chip without ports
+   * @throws RangeError when the port is invalid
+   */
+  constructor(sources, port = null)
+  {
+    super()
+    // the four ports can't straddle the end of the 8-bit ports
+    const invalid = !Number.isInteger(port) || (port < 0) || (port > 0xfffc) || ((port > 0xfc) && (port <= 0xff))
+    if ((port !== null) && invalid)
+      throw new RangeError(`invalid port for the ${this.constructor.type}: ${port}`)
+
+    this.#port = port
+    this.#pending = new Array(sources).fill(false)
+    this.#inService = new Array(sources).fill(false)
+  }
+
+  /**
+   * Attach the chip to its four ports; 8-bit ports ignore the upper half of the port address
+   *
+   * @param ProcessorZ80  cpu Cpu to attach to
+   * @return void
+   */
+  attach(cpu)
+  {
+    if (this.#port === null)
+      return
+
+    const mask = (this.#port > 0xff) ? 0xffff : 0x00ff
+    cpu.addIoRangeHandler(this.#port, this.#port + 3, (mode, data, port) => {
+      return this.portAccess((port & mask) - this.#port, mode, data)
+    }, mask)
+  }
+
+  /**
+   * Read or write one of the chip's ports; chips override this
+   *
+   * @param number  offset  Port, 0-3 from the first
+   * @param string  mode    'r' to read, 'w' to write
+   * @param number  data    Byte written
+   * @return number|undefined Byte read
+   */
+  portAccess(offset, mode, data)
+  {
+    return (mode === 'r') ? 0xff : undefined
+  }
+
+  /**
+   * Get the first of the chip's ports
+   *
+   * @return number|null
+   */
+  getPort()
+  {
+    return this.#port
+  }
+
+  /**
+   * Get the vector a source of interrupts puts on the data bus; chips override this
+   *
+   * @param number  source  Source of the interrupt
+   * @return number
+   */
+  getVector(source)
+  {
+    return 0xff
+  }
+
+  /**
+   * Raise an interrupt from a source; it stands until the cpu accepts it
+   *
+   * @param number  source  Source of the interrupt
+   * @return void
+   */
+  requestSourceInterrupt(source)
+  {
+    this.#pending[source] = true
+  }
+
+  /**
+   * Withdraw the interrupt of a source which hasn't been accepted
+   *
+   * @param number  source  Source of the interrupt
+   * @return void
+   */
+  cancelSourceInterrupt(source)
+  {
+    this.#pending[source] = false
+  }
+
+  /**
+   * Check whether a source is raising an interrupt
+   *
+   * @param number  source  Source of the interrupt
+   * @return boolean
+   */
+  isSourcePending(source)
+  {
+    return this.#pending[source]
+  }
+
+  /**
+   * Forget the interrupts of a source, as when it is reset; one in service stops holding off the others
+   *
+   * @param number  source  Source of the interrupt
+   * @return void
+   */
+  resetSource(source)
+  {
+    this.#pending[source] = this.#inService[source] = false
+  }
+
+  /**
+   * Get the vector of the interrupt the chip is raising: that of the first source raising one, unless a
+   * source ahead of it is in service
+   *
+   * @return number|null  The vector, or null when the chip isn't raising an interrupt
+   */
+  getInterrupt()
+  {
+    const source = this.#interrupting()
+    return (source === null) ? null : this.getVector(source)
+  }
+
+  /**
+   * Called when the cpu accepts the chip's interrupt; the source raising it goes into service
+   *
+   * @return void
+   */
+  interruptAccepted()
+  {
+    const source = this.#interrupting()
+    if (source === null)
+      return
+
+    this.#pending[source] = false
+    this.#inService[source] = true
+  }
+
+  /**
+   * Check whether the cpu is servicing one of the chip's interrupts
+   *
+   * @return boolean
+   */
+  isInService()
+  {
+    return this.#inService.includes(true)
+  }
+
+  /**
+   * Called when reti returns from one of the chip's interrupt routines; the first source in service leaves it
+   *
+   * @return void
+   */
+  interruptReturned()
+  {
+    const source = this.#inService.indexOf(true)
+    if (source !== -1)
+      this.#inService[source] = false
+  }
+
+  /**
+   * Find the source whose interrupt goes to the cpu
+   *
+   * @return number|null
+   */
+  #interrupting = () => {
+    for (let source = 0; source < this.#pending.length; source++) {
+      if (this.#pending[source])
+        return source
+
+      if (this.#inService[source])
+        return null
+    }
+
+    return null
+  }
+}
+
+export default DaisyChainPeripheral
@@ -0,0 +1,46 @@
+'use strict'
+
+import LedBar from './leds.js'
+import SevenSegmentDisplay from './segments.js'
+import DipSwitches from './switches.js'
+import CounterTimerCircuit from './ctc.js'
+import ParallelIo from './pio.js'
+import SerialIo from './sio.js'
+import PeripheralBus from './bus.js'
+import Peripheral from './peripheral.js'
+import DaisyChainPeripheral from './daisychain.js'
+
+/**
+ * the peripherals projects can declare, by type:
+ *
+ *   .pragma peripheral, <type>[, <parameter>...]
+ *
+ * the parameters are passed to the peripheral's constructor (see each peripheral for its own). to add a kind
+ * of peripheral, extend Peripheral (or DaisyChainPeripheral, for a chip on zilog's interrupt daisy chain) and
+ * list the class here.
+ *
+ * rob andrews <rob@aphlor.org>
+ */
+const PERIPHERAL_TYPES = Object.fromEntries([
+  LedBar, SevenSegmentDisplay, DipSwitches, CounterTimerCircuit, ParallelIo, SerialIo
+].map((type) => [type.type, type]))
+
+/**
+ * create a peripheral from its declaration
+ *
+ * @param Object  declaration {type, params}: the kind of peripheral, and the parameters for its constructor
+ * @throws RangeError when the type is unknown or the parameters are invalid
+ * @return Peripheral
+ */
+const createPeripheral = ({type, params}) => {
+  const PeripheralType = PERIPHERAL_TYPES[type]
+  if (typeof PeripheralType === 'undefined')
+    throw new RangeError(`unknown peripheral: ${type} (expected one of ${Object.keys(PERIPHERAL_TYPES).join(', ')})`)
+
+  if (params.length > PeripheralType.parameters.length)
+    throw new RangeError(`too many parameters for ${type}: expected ${PeripheralType.parameters.join(', ')}`)
+
+  return new PeripheralType(...params)
+}
+
+export { PERIPHERAL_TYPES, createPeripheral, DaisyChainPeripheral, Peripheral, PeripheralBus }
@@ -0,0 +1,95 @@
+'use strict'
+
+import Peripheral from './peripheral.js'
+
+/**
+ * a row of eight leds on an output port: bit 7 is the leftmost led, and a set bit lights it. reading the port
+ * gives back the byte last written.
+ *
+ * as on real hardware, an led switched on and off faster than the eye can follow looks dim; each led's level
+ * is the fraction of the time it was lit since the state was last taken, so multiplexed or pulse width
+ * modulated leds show as they would.
+ *
+ *   .pragma peripheral, leds, <port>
+ *
+ * rob andrews <rob@aphlor.org>
+ */
+class LedBar extends Peripheral
+{
+  static type = 'leds'
+  static parameters = ['port']
+
+  static panel = `
+    <h6>LEDs (port {{ peripheral.state.port | hexify:2 }})</h6>
+    <span class="peripheral-led" ng-repeat="bit in [7, 6, 5, 4, 3, 2, 1, 0]" title="Bit {{ bit }}"
+      ng-style="{opacity: 0.15 + (peripheral.state.levels[bit] * 0.85)}"></span>`
+
+  #port
+  #value = 0
+  #lit = new Array(8).fill(0)
+  #cycles = 0
+
+  /**
+   * Constructor
+   *
+   * @param number  port  I/O port the leds are on
+   * @throws RangeError when the port is invalid
+   */
+  constructor(port)
+  {
+    super()
+    if (!Number.isInteger(port) || (port < 0) || (port > 0xffff))
+      throw new RangeError(`invalid port for leds: ${port}`)
+
+    this.#port = port
+  }
+
+  /**
+   * Attach the leds to their port
+   *
+   * @param ProcessorZ80  cpu Cpu to attach to
+   * @return void
+   */
+  attach(cpu)
+  {
+    cpu.addIoHandler(this.#port, (mode, data) => {
+      if (mode === 'w') {
+        this.#value = data
+        return
+      }
+
+      return this.#value
+    })
+  }
+
+  /**
+   * Count the time each led is lit
+   *
+   * @param number  cycles  T-states since the last tick
+   * @return void
+   */
+  tick(cycles)
+  {
+    this.#cycles += cycles
+    for (let bit = 0; bit < 8; bit++) {
+      if (this.#value & (1 << bit))
+        this.#lit[bit] += cycles
+    }
+  }
+
+  /**
+   * Get the byte last written, and the level of each led (by bit, from 0 for off to 1 for fully lit) since
+   * the state was last taken
+   *
+   * @return Object {port, value, levels}
+   */
+  getState()
+  {
+    const levels = this.#lit.map((lit, bit) => (this.#cycles > 0) ? lit / this.#cycles : (this.#value >> bit) & 1)
+    this.#lit.fill(0)
+    this.#cycles = 0
+    return {port: this.#port, value: this.#value, levels}
+  }
+}
+
+export default LedBar
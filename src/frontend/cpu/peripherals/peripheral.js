@@ -0,0 +1,158 @@
+'use strict'
+
+/**
+ * the base class of virtual hardware which plugs into a ProcessorZ80 through a PeripheralBus (see bus.js). a
+ * peripheral:
+ *
+ *   - attaches itself to the cpu's i/o ports and/or memory in attach(), with ProcessorZ80.addIoHandler(),
+ *     addIoRangeHandler() and addMemoryHandler()
+ *   - is told how many t-states have passed after each instruction, if it overrides tick()
+ *   - raises a maskable interrupt with raiseInterrupt(), which the bus offers to the cpu after each instruction
+ *     until it is accepted
+ *   - can take part in the interrupt daisy chain of zilog's peripheral chips, holding off the interrupts of
+ *     peripherals after it until its interrupt routine returns (see daisychain.js)
+ *   - describes itself to the ide with getState(), and takes input from the ide with input()
+ *   - can contribute a panel to the ide: an angularjs template in the static panel property, which sees the
+ *     peripheral as peripheral ({type, state}) and sends input with peripheralInput(peripheral, value)
+ *
+ * each kind of peripheral has a static type, the name projects declare it by (see index.js).
+ *
+ * rob andrews <rob@aphlor.org>
+ */
+class Peripheral
+{
+  // name of the kind of peripheral, and the names of its constructor's parameters, for .pragma peripheral
+  static type = null
+  static parameters = []
+
+  // angularjs template for the peripheral's panel in the ide, or null for none
+  static panel = null
+
+  #interrupt = null
+
+  /**
+   * Attach the peripheral to the cpu's i/o ports and memory
+   *
+   * @param ProcessorZ80  cpu Cpu to attach to
+   * @return void
+   */
+  attach(cpu)
+  {
+  }
+
+  /**
+   * Let time pass; called after each instruction for peripherals which override it
+   *
+   * @param number  cycles  T-states since the last tick
+   * @return void
+   */
+  tick(cycles)
+  {
+  }
+
+  /**
+   * Get the state of the peripheral for its panel in the ide; a plain object, as it is posted from the worker
+   *
+   * @return Object
+   */
+  getState()
+  {
+    return {}
+  }
+
+  /**
+   * Take input from the peripheral's panel in the ide
+   *
+   * @param any value Input, in whatever form the panel sends
+   * @return void
+   */
+  input(value)
+  {
+  }
+
+  /**
+   * Check whether the peripheral raises interrupts in response to input, so that a program halted with
+   * interrupts enabled could be woken by it
+   *
+   * @return boolean
+   */
+  canInterrupt()
+  {
+    return false
+  }
+
+  /**
+   * Check whether the peripheral is counting towards an interrupt of its own accord, such as a timer, so that
+   * a program halted with interrupts enabled should be left running for it
+   *
+   * @return boolean
+   */
+  isTiming()
+  {
+    return false
+  }
+
+  /**
+   * Raise a maskable interrupt; it stands until the cpu accepts it
+   *
+   * @param number  vector  Byte the peripheral puts on the data bus (see ProcessorZ80.requestInterrupt())
+   * @return void
+   */
+  raiseInterrupt(vector = 0xff)
+  {
+    this.#interrupt = vector
+  }
+
+  /**
+   * Withdraw an interrupt which hasn't been accepted
+   *
+   * @return void
+   */
+  clearInterrupt()
+  {
+    this.#interrupt = null
+  }
+
+  /**
+   * Get the vector of the interrupt the peripheral is raising
+   *
+   * @return number|null  The vector, or null when the peripheral isn't raising an interrupt
+   */
+  getInterrupt()
+  {
+    return this.#interrupt
+  }
+
+  /**
+   * Called when the cpu accepts the peripheral's interrupt; the request is withdrawn
+   *
+   * @return void
+   */
+  interruptAccepted()
+  {
+    this.clearInterrupt()
+  }
+
+  /**
+   * Check whether the cpu is servicing the peripheral's interrupt, which holds off the interrupts of the
+   * peripherals after it on the daisy chain; only peripherals which watch for reti ever are
+   *
+   * @return boolean
+   */
+  isInService()
+  {
+    return false
+  }
+
+  /**
+   * Called when reti returns from the peripheral's interrupt routine; that is, when the peripheral is the
+   * first on the daisy chain to be in service
+   *
+   * @return void
+   */
+  interruptReturned()
+  {
+  }
+}
+
+export default Peripheral
@@ -0,0 +1,138 @@
+/**
+ * tests for the peripheral bus and the peripherals which ship with it
+ *
+ * rob andrews <rob@aphlor.org>
+ */
+
+import ProcessorZ80 from '../z80.js'
+import { createPeripheral, Peripheral, PeripheralBus } from './index.js'
+
+test('It lights leds on a port, dimmed by the time each is lit', () => {
+  const ram = new Uint8Array(Math.pow(2, 16))
+  ram.set([
+    0x3e, 0x81,       // ld a,$81
+    0xd3, 0x10,       // out ($10),a
+    0x3e, 0x01,       // ld a,$01
+    0xd3, 0x10,       // out ($10),a
+    0xdb, 0x10,       // in a,($10)
+    0x76              // halt
+  ])
+  const cpu = new ProcessorZ80(ram)
+  const bus = new PeripheralBus(cpu)
+  const leds = createPeripheral({type: 'leds', params: [0x10]})
+  bus.add(leds)
+  expect(leds.getState()).toStrictEqual({port: 0x10, value: 0, levels: [0, 0, 0, 0, 0, 0, 0, 0]})
+
+  // time is counted an instruction at a time, so a write lights an led for the whole of the out
+  expect(cpu.runUntil(bus.clock).reason).toBe('halt')
+  const {value, levels} = leds.getState()
+  expect(value).toBe(0x01)
+  expect(levels[0]).toBeCloseTo(40 / 47)
+  expect(levels[7]).toBeCloseTo(18 / 47)
+  expect(levels[1]).toBe(0)
+  expect(cpu.getRegisters().af >> 8).toBe(0x01)
+
+  // without time passing, the levels are the leds as they are
+  expect(leds.getState().levels).toStrictEqual([1, 0, 0, 0, 0, 0, 0, 0])
+})
+
+test('It shows the bytes written to a 7-segment display mapped into memory', () => {
+  const ram = new Uint8Array(Math.pow(2, 16))
+  ram.set([
+    0x3e, 0x3f,       // ld a,$3f
+    0x32, 0x01, 0x80, // ld ($8001),a
+    0x76              // halt
+  ])
+  ram[0x8000] = 0x86
+  const cpu = new ProcessorZ80(ram)
+  const bus = new PeripheralBus(cpu)
+  const display = createPeripheral({type: 'segments', params: [0x8000, 2]})
+  bus.add(display)
+  cpu.runUntil(bus.clock)
+
+  expect(display.getState()).toStrictEqual({
+    address: 0x8000,
+    digits: [
+      [false, true, true, false, false, false, false, true],
+      [true, true, true, true, true, true, false, false]
+    ]
+  })
+})
+
+test('It reads dip switches, which interrupt in order of priority when flipped', () => {
+  const ram = new Uint8Array(Math.pow(2, 16))
+  ram.set([
+    0x31, 0x00, 0x00, // ld sp,0
+    0x3e, 0x01,       // ld a,$01
+    0xed, 0x47,       // ld i,a
+    0xed, 0x5e,       // im 2
+    0xfb,             // ei
+    0x76,             // halt
+    0x76              // halt
+  ])
+  ram.set([0x00, 0x02, 0x10, 0x02], 0x0100) // vectors: $0200 and $0210
+  ram.set([
+    0xdb, 0x20,       // in a,($20)
+    0x47,             // ld b,a
+    0xfb,             // ei
+    0xed, 0x4d        // reti
+  ], 0x0200)
+  ram.set([
+    0xdb, 0x21,       // in a,($21)
+    0x4f,             // ld c,a
+    0xfb,             // ei
+    0xed, 0x4d        // reti
+  ], 0x0210)
+  const cpu = new ProcessorZ80(ram)
+  const bus = new PeripheralBus(cpu)
+  bus.add(createPeripheral({type: 'switches', params: [0x20, 0x00]}))
+  bus.add(createPeripheral({type: 'switches', params: [0x21, 0x02]}))
+  bus.add(createPeripheral({type: 'switches', params: [0x22]}))
+
+  expect(cpu.runUntil(bus.clock).reason).toBe('halt')
+  expect(bus.canWake()).toBe(true)
+  expect(bus.interruptPending()).toBe(false)
+
+  bus.input(1, {bit: 0})
+  bus.input(0, {bit: 7})
+  bus.input(2, {bit: 1})
+  expect(bus.interruptPending()).toBe(true)
+  expect(bus.requestInterrupt()).toBe(true)
+  expect(cpu.runUntil(bus.clock).reason).toBe('halt')
+  expect(cpu.getRegisters().bc).toBe(0x8001)
+  expect(bus.interruptPending()).toBe(false)
+
+  expect(bus.getStates().map(({type, state}) => [type, state.value, state.interrupts])).toStrictEqual([
+    ['switches', 0x80, true], ['switches', 0x01, true], ['switches', 0x02, false]
+  ])
+  expect(() => bus.input(3, {bit: 0})).toThrow(RangeError)
+  expect(() => bus.input(0, {bit: 8})).toThrow(RangeError)
+})
+
+test('It ticks only the peripherals which want the time', () => {
+  const ticks = []
+  class Clock extends Peripheral
+  {
+    tick(cycles)
+    {
+      ticks.push(cycles)
+    }
+  }
+
+  const ram = new Uint8Array(Math.pow(2, 16))
+  ram.set([0x00, 0x00, 0x76]) // nop; nop; halt
+  const cpu = new ProcessorZ80(ram)
+  const bus = new PeripheralBus(cpu)
+  bus.add(new Clock)
+  bus.add(new Peripheral)
+  cpu.runUntil(bus.clock)
+  expect(ticks).toStrictEqual([4, 4])
+})
+
+test('It refuses peripherals it does not know, or which are declared wrongly', () => {
+  expect(() => createPeripheral({type: 'lcd', params: []})).toThrow('unknown peripheral: lcd')
+  expect(() => createPeripheral({type: 'leds', params: [0x10, 0x20]})).toThrow('too many parameters for leds')
+  expect(() => createPeripheral({type: 'leds', params: []})).toThrow(RangeError)
+  expect(() => createPeripheral({type: 'segments', params: [0xfffe, 4]})).toThrow(RangeError)
+  expect(() => createPeripheral({type: 'switches', params: [0x20, 0x100]})).toThrow(RangeError)
+})
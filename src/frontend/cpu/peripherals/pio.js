@@ -0,0 +1,289 @@
+'use strict'
+
+import DaisyChainPeripheral from './daisychain.js'
+
+/**
+ * a z80 pio: two 8-bit parallel ports, a and b, on four consecutive i/o ports from the one given: a's data,
+ * b's data, a's control and b's control (b/a select on a0, control/data on a1). the panel in the ide shows the
+ * pins, sets those which are inputs and strobes the handshake. each port is in one of four modes:
+ *
+ *   0 output        the pins show the byte written; a strobe (the device taking the byte) raises an interrupt
+ *   1 input         a strobe latches the pins, which the program reads, and raises an interrupt
+ *   2 bidirectional both at once, on port a only; the pins are set from the panel, and the byte written is shown
+ *                   beside them
+ *   3 bit control   each pin is an input or an output, and an interrupt is raised when the input pins chosen
+ *                   by the mask become active, any of them (or) or all of them (and), high or low
+ *
+ * a byte written to a control port is, in turn:
+ *
+ *   - the pin directions (1 for an input), after selecting mode 3
+ *   - the interrupt mask (0 for a pin which is watched), after an interrupt control word which says one follows
+ *   - the interrupt vector, when bit 0 is clear
+ *   - the mode (bits 6-7), when bits 0-3 are 1111
+ *   - an interrupt control word, when bits 0-3 are 0111: bit 7 enables interrupts, bit 6 selects and rather
+ *     than or, bit 5 active high rather than low and bit 4 says a mask follows
+ *   - interrupts enabled (bit 7) or disabled, when bits 0-3 are 0011
+ *
+ * port a's interrupt has priority over port b's. ports start in mode 1, with interrupts disabled.
+ *
+ *   .pragma peripheral, pio, <port>
+ *
+ * rob andrews <rob@aphlor.org>
+ */
+class ParallelIo extends DaisyChainPeripheral
+{
+  static type = 'pio'
+  static parameters = ['port']
+
+  static panel = `
+    <h6>Z80 PIO (ports {{ peripheral.state.port | hexify:2 }}-{{ peripheral.state.port + 3 | hexify:2 }})</h6>
+    <div class="row" ng-repeat="port in peripheral.state.ports track by $index">
+      <div class="col-3"><tt>{{ port.name }}: mode {{ port.mode }}</tt></div>
+      <div class="col-7">
+        <span ng-repeat="bit in [7, 6, 5, 4, 3, 2, 1, 0]">
+          <button type="button" class="btn btn-sm peripheral-pin" ng-if="port.inputs[bit]" title="Bit {{ bit }} (input)"
+            ng-class="port.pins[bit] ? 'btn-success' : 'btn-outline-secondary'"
+            ng-click="peripheralInput(peripheral, {port: port.name, bit: bit})">{{ port.pins[bit] ? 1 : 0 }}</button>
+          <span class="peripheral-led" ng-if="!port.inputs[bit]" title="Bit {{ bit }} (output)"
+            ng-style="{opacity: port.pins[bit] ? 1 : 0.15}"></span>
+        </span>
+        <tt ng-if="port.mode === 2">out {{ port.output | hexify:2 }}</tt>
+      </div>
+      <div class="col-2">
+        <button type="button" class="btn btn-sm btn-outline-secondary" ng-if="port.mode !== 3" title="Strobe the handshake"
+          ng-click="peripheralInput(peripheral, {port: port.name, strobe: true})">Strobe</button>
+      </div>
+    </div>`
+
+  #ports = ['A', 'B'].map((name) => ({
+    name,
+    mode: 1,
+    output: 0,
+    pins: 0,
+    latch: 0,
+    directions: 0xff,
+    vector: 0,
+    interrupts: false,
+    and: false,
+    high: false,
+    mask: 0xff,
+    follows: null,
+    active: false
+  }))
+
+  /**
+   * Constructor
+   *
+   * @param number  port  I/O port of port a's data
+   * @throws RangeError when the port is invalid
+   */
+  constructor(port)
+  {
+    super(2, port)
+  }
+
+  /**
+   * Read or write a port's data, or write its control port
+   *
+   * @param number  offset  Port, from the first: a data, b data, a control, b control
+   * @param string  mode    'r' to read, 'w' to write
+   * @param number  data    Byte written
+   * @return number|undefined Byte read
+   */
+  portAccess(offset, mode, data)
+  {
+    const index = offset & 0x01
+    if (offset & 0x02) {
+      if (mode === 'w')
+        this.#control(index, data)
+      return
+    }
+
+    if (mode === 'r')
+      return this.#read(index)
+
+    this.#ports[index].output = data
+  }
+
+  /**
+   * Get the vector for a port's interrupt
+   *
+   * @param number  source  Port (0 for a, 1 for b)
+   * @return number
+   */
+  getVector(source)
+  {
+    return this.#ports[source].vector
+  }
+
+  /**
+   * Get the ports for the panel
+   *
+   * @return Object {port, ports}, with each port as {name, mode, output, interrupts, inputs, pins}; inputs and
+   *                pins are by bit, inputs saying whether each pin is an input and pins giving its level
+   */
+  getState()
+  {
+    return {
+      port: this.getPort(),
+      ports: this.#ports.map((port) => {
+        const inputs = this.#inputs(port)
+        const levels = (inputs & port.pins) | (~inputs & port.output)
+        return {
+          name: port.name,
+          mode: port.mode,
+          output: port.output,
+          interrupts: port.interrupts,
+          inputs: Array.from({length: 8}, (value, bit) => (inputs & (1 << bit)) !== 0),
+          pins: Array.from({length: 8}, (value, bit) => (levels & (1 << bit)) !== 0)
+        }
+      })
+    }
+  }
+
+  /**
+   * Take input from the panel: flip an input pin, or strobe a port's handshake
+   *
+   * @param Object  value {port, bit} or {port, strobe}: the port ('A' or 'B') and the pin (0-7)
+   * @throws RangeError when there is no such port or pin
+   * @return void
+   */
+  input({port, bit, strobe})
+  {
+    const index = ['A', 'B'].indexOf(port)
+    if (index === -1)
+      throw new RangeError(`invalid pio port: ${port}`)
+
+    if (strobe) {
+      this.#strobe(index)
+      return
+    }
+
+    if (!Number.isInteger(bit) || (bit < 0) || (bit > 7))
+      throw new RangeError(`invalid pio pin: ${bit}`)
+
+    this.#ports[index].pins ^= 1 << bit
+    this.#watch(index)
+  }
+
+  /**
+   * Check whether input could raise an interrupt
+   *
+   * @return boolean
+   */
+  canInterrupt()
+  {
+    return this.#ports.some((port) => port.interrupts)
+  }
+
+  /**
+   * Get the pins of a port which are inputs
+   *
+   * @param Object  port  Port
+   * @return number Bit mask of the inputs
+   */
+  #inputs = (port) => [0x00, 0xff, 0xff, port.directions][port.mode]
+
+  /**
+   * Read a port's data
+   *
+   * @param number  index Port
+   * @return number
+   */
+  #read = (index) => {
+    const port = this.#ports[index]
+    switch (port.mode) {
+      case 0:
+        return port.output
+
+      case 3:
+        return (port.pins & port.directions) | (port.output & ~port.directions & 0xff)
+
+      default:
+        return port.latch
+    }
+  }
+
+  /**
+   * Take a byte written to a port's control port
+   *
+   * @param number  index Port
+   * @param number  data  Byte written
+   * @return void
+   */
+  #control = (index, data) => {
+    const port = this.#ports[index]
+    if (port.follows !== null) {
+      port[port.follows] = data
+      port.follows = null
+      this.#watch(index)
+      return
+    }
+
+    if ((data & 0x01) === 0) {
+      port.vector = data
+      return
+    }
+
+    switch (data & 0x0f) {
+      case 0x0f:
+        // port b has no bidirectional mode
+        port.mode = (((data >> 6) === 2) && (index === 1)) ? 1 : (data >> 6)
+        port.follows = (port.mode === 3) ? 'directions' : null
+        this.#watch(index)
+        break
+
+      case 0x07:
+        port.interrupts = (data & 0x80) !== 0
+        port.and = (data & 0x40) !== 0
+        port.high = (data & 0x20) !== 0
+        if (data & 0x10) {
+          port.follows = 'mask'
+          this.cancelSourceInterrupt(index)
+        }
+        break
+
+      case 0x03:
+        port.interrupts = (data & 0x80) !== 0
+        break
+    }
+
+    if (!port.interrupts)
+      this.cancelSourceInterrupt(index)
+  }
+
+  /**
+   * Strobe a port's handshake: the device has taken the byte output, or has put a byte on the pins to be read
+   *
+   * @param number  index Port
+   * @return void
+   */
+  #strobe = (index) => {
+    const port = this.#ports[index]
+    if (port.mode === 3)
+      return
+
+    if (port.mode !== 0)
+      port.latch = port.pins
+    if (port.interrupts)
+      this.requestSourceInterrupt(index)
+  }
+
+  /**
+   * Watch the pins of a port in mode 3, raising an interrupt when they become active
+   *
+   * @param number  index Port
+   * @return void
+   */
+  #watch = (index) => {
+    const port = this.#ports[index]
+    const watched = ~port.mask & port.directions & 0xff
+    const levels = (port.high ? port.pins : ~port.pins) & watched
+    const active = (port.mode === 3) && (watched !== 0) && (port.and ? (levels === watched) : (levels !== 0))
+    if (active && !port.active && port.interrupts)
+      this.requestSourceInterrupt(index)
+    port.active = active
+  }
+}
+
+export default ParallelIo
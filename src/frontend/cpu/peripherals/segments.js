@@ -0,0 +1,90 @@
+'use strict'
+
+import Peripheral from './peripheral.js'
+
+/**
+ * a seven segment display of up to eight digits, mapped into memory a byte per digit, leftmost first. each
+ * byte lights the segments of its digit, bit 0 for segment a (the top) round to bit 5 for f, bit 6 for g (the
+ * middle) and bit 7 for the decimal point:
+ *
+ *      aaa
+ *     f   b
+ *      ggg
+ *     e   c
+ *      ddd  dp
+ *
+ *   .pragma peripheral, segments, <address>[, <digits>]    digits defaults to 4
+ *
+ * rob andrews <rob@aphlor.org>
+ */
+class SevenSegmentDisplay extends Peripheral
+{
+  static type = 'segments'
+  static parameters = ['address', 'digits']
+
+  static panel = `
+    <h6>7-segment display ({{ peripheral.state.address | hexify:4 }})</h6>
+    <svg class="peripheral-digit" viewBox="0 0 52 92" ng-repeat="segments in peripheral.state.digits track by $index">
+      <polygon points="12,4 38,4 34,9 16,9" ng-class="{lit: segments[0]}" />
+      <polygon points="40,6 40,42 35,38 35,11" ng-class="{lit: segments[1]}" />
+      <polygon points="40,48 40,84 35,79 35,52" ng-class="{lit: segments[2]}" />
+      <polygon points="12,86 38,86 34,81 16,81" ng-class="{lit: segments[3]}" />
+      <polygon points="10,48 10,84 15,79 15,52" ng-class="{lit: segments[4]}" />
+      <polygon points="10,6 10,42 15,38 15,11" ng-class="{lit: segments[5]}" />
+      <polygon points="12,45 16,42 34,42 38,45 34,48 16,48" ng-class="{lit: segments[6]}" />
+      <circle cx="47" cy="84" r="3" ng-class="{lit: segments[7]}" />
+    </svg>`
+
+  #address
+  #digits
+
+  /**
+   * Constructor
+   *
+   * @param number  address Address of the leftmost digit
+   * @param number  digits  Number of digits (1-8)
+   * @throws RangeError when the digits don't fit in memory
+   */
+  constructor(address, digits = 4)
+  {
+    super()
+    if (!Number.isInteger(digits) || (digits < 1) || (digits > 8))
+      throw new RangeError(`invalid number of digits for a 7-segment display: ${digits}`)
+
+    if (!Number.isInteger(address) || (address < 0) || (address + digits > 0x10000))
+      throw new RangeError(`invalid address for a 7-segment display: ${address}`)
+
+    this.#address = address
+    this.#digits = new Uint8Array(digits)
+  }
+
+  /**
+   * Attach the display to its memory, showing whatever is there already
+   *
+   * @param ProcessorZ80  cpu Cpu to attach to
+   * @return void
+   */
+  attach(cpu)
+  {
+    this.#digits.set(cpu.getRam().subarray(this.#address, this.#address + this.#digits.length))
+    cpu.addMemoryHandler(this.#address, this.#address + this.#digits.length - 1, (mode, data, address) => {
+      if (mode === 'w')
+        this.#digits[address - this.#address] = data
+    })
+  }
+
+  /**
+   * Get the segments lit in each digit, as arrays of eight booleans (segments a-g, then the decimal point)
+   *
+   * @return Object {address, digits}
+   */
+  getState()
+  {
+    return {
+      address: this.#address,
+      digits: Array.from(this.#digits, (segments) => Array.from({length: 8}, (value, bit) => (segments & (1 << bit)) !== 0))
+    }
+  }
+}
+
+export default SevenSegmentDisplay
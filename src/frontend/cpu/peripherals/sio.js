@@ -0,0 +1,329 @@
+'use strict'
+
+import DaisyChainPeripheral from './daisychain.js'
+
+// the sio's sources of interrupts, highest priority first, with how each modifies the vector (bits 1-3) when
+// status affects it; with no interrupt pending, status modifies it as for a special receive condition on
+// channel b (3)
+const NO_INTERRUPT_STATUS = 3
+const SOURCES = [
+  {channel: 0, kind: 'receive', status: 6},
+  {channel: 0, kind: 'transmit', status: 4},
+  {channel: 0, kind: 'external', status: 5},
+  {channel: 1, kind: 'receive', status: 2},
+  {channel: 1, kind: 'transmit', status: 0},
+  {channel: 1, kind: 'external', status: 1}
+]
+
+// most of each channel's transmitted text kept for the panel
+const TRANSMITTED_LENGTH = 2048
+
+/**
+ * a z80 sio/2: two asynchronous serial channels, a and b, on four consecutive i/o ports from the one given: a's
+ * data, b's data, a's control and b's control (b/a select on a0, control/data on a1). what a channel transmits
+ * appears in the panel in the ide, and text typed into the panel is received, a character at a time, as the
+ * program reads it. characters are sent and received straight away, whatever the baud rate.
+ *
+ * the control port writes the register selected by the previous write of register 0, or register 0 itself.
+ * the registers used are:
+ *
+ *   0  bits 0-2 select the next register; bits 3-5 are a command: 2 resets external/status interrupts, 3
+ *      resets the channel, 4 enables the receive interrupt on the next character, 5 resets a pending transmit
+ *      interrupt and 7 (channel a) returns from an interrupt, as reti does
+ *   1  bit 0 enables external/status interrupts, bit 1 transmit interrupts and bits 3-4 receive interrupts (0
+ *      none, 1 the first character, 2 or 3 every character); on channel b, bit 2 has status affect the vector
+ *   2  the interrupt vector (channel b)
+ *   3  bit 0 enables the receiver
+ *   5  bit 3 enables the transmitter
+ *
+ * and reading the control port gives register 0 (bit 0 a character received, bit 1 an interrupt pending on
+ * channel a, bit 2 the transmit buffer empty, bit 3 dcd and bit 5 cts, which are always set), register 1
+ * (bit 0 all sent) or, on channel b, register 2 (the vector, as modified by status). the modem lines never
+ * change, so there are no external/status interrupts, and there are no receive errors.
+ *
+ * interrupts from channel a have priority over those from b and, within a channel, receiving over
+ * transmitting.
+ *
+ *   .pragma peripheral, sio, <port>
+ *
+ * rob andrews <rob@aphlor.org>
+ */
+class SerialIo extends DaisyChainPeripheral
+{
+  static type = 'sio'
+  static parameters = ['port']
+
+  static panel = `
+    <h6>Z80 SIO (ports {{ peripheral.state.port | hexify:2 }}-{{ peripheral.state.port + 3 | hexify:2 }}, vector {{ peripheral.state.vector | hexify:2 }})</h6>
+    <div class="row" ng-repeat="channel in peripheral.state.channels track by $index">
+      <div class="col-12">
+        <small>Channel {{ channel.name }}<span ng-if="channel.waiting > 0"> ({{ channel.waiting }} to receive)</span></small>
+        <pre class="peripheral-terminal">{{ channel.transmitted }}</pre>
+        <form ng-submit="peripheralInput(peripheral, {channel: $index, text: sioText + '\\r'}); sioText = ''">
+          <input type="text" class="form-control form-control-sm" ng-model="sioText" placeholder="Send to channel {{ channel.name }}, with Enter">
+        </form>
+      </div>
+    </div>`
+
+  #channels = ['A', 'B'].map((name) => ({
+    name,
+    registers: new Uint8Array(8),
+    pointer: 0,
+    received: [],
+    data: 0,
+    firstCharacter: false,
+    transmitted: ''
+  }))
+
+  /**
+   * Constructor
+   *
+   * @param number  port  I/O port of channel a's data
+   * @throws RangeError when the port is invalid
+   */
+  constructor(port)
+  {
+    super(SOURCES.length, port)
+  }
+
+  /**
+   * Read or write a channel's data or control port
+   *
+   * @param number  offset  Port, from the first: a data, b data, a control, b control
+   * @param string  mode    'r' to read, 'w' to write
+   * @param number  data    Byte written
+   * @return number|undefined Byte read
+   */
+  portAccess(offset, mode, data)
+  {
+    const index = offset & 0x01
+    if (offset & 0x02)
+      return (mode === 'r') ? this.#readControl(index) : this.#writeControl(index, data)
+
+    return (mode === 'r') ? this.#readData(index) : this.#writeData(index, data)
+  }
+
+  /**
+   * Get the vector for an interrupt, which status modifies when channel b's register 1 says so
+   *
+   * @param number  source  Source of the interrupt (see SOURCES)
+   * @return number
+   */
+  getVector(source)
+  {
+    return this.#vector(SOURCES[source].status)
+  }
+
+  /**
+   * Get the channels for the panel
+   *
+   * @return Object {port, vector, channels}, with each channel as {name, transmitted, waiting}: the text it has
+   *                transmitted and the number of characters waiting to be received
+   */
+  getState()
+  {
+    return {
+      port: this.getPort(),
+      vector: this.#channels[1].registers[2],
+      channels: this.#channels.map((channel) => ({
+        name: channel.name,
+        transmitted: channel.transmitted,
+        waiting: channel.received.length
+      }))
+    }
+  }
+
+  /**
+   * Receive text on a channel
+   *
+   * @param Object  value {channel, text}: the channel (0 for a, 1 for b) and the text
+   * @throws RangeError when there is no such channel
+   * @return void
+   */
+  input({channel, text})
+  {
+    if ((channel !== 0) && (channel !== 1))
+      throw new RangeError(`invalid sio channel: ${channel}`)
+
+    this.#channels[channel].received.push(...Array.from(text, (character) => character.charCodeAt(0) & 0xff))
+    this.#receive(channel)
+  }
+
+  /**
+   * Check whether receiving text could raise an interrupt
+   *
+   * @return boolean
+   */
+  canInterrupt()
+  {
+    return this.#channels.some((channel) => (channel.registers[1] & 0x18) !== 0)
+  }
+
+  /**
+   * Get the vector in channel b's register 2, modified by status if its register 1 says so
+   *
+   * @param number  status  Status of the interrupt (see SOURCES)
+   * @return number
+   */
+  #vector = (status) => {
+    const registers = this.#channels[1].registers
+    return (registers[1] & 0x04) ? ((registers[2] & 0xf1) | (status << 1)) : registers[2]
+  }
+
+  /**
+   * Get the source of interrupts for a channel
+   *
+   * @param number  index Channel
+   * @param string  kind  'receive', 'transmit' or 'external'
+   * @return number
+   */
+  #source = (index, kind) => SOURCES.findIndex((source) => (source.channel === index) && (source.kind === kind))
+
+  /**
+   * Read a channel's received character, moving on to the next
+   *
+   * @param number  index Channel
+   * @return number
+   */
+  #readData = (index) => {
+    const channel = this.#channels[index]
+    if ((channel.registers[3] & 0x01) && (channel.received.length > 0)) {
+      channel.data = channel.received.shift()
+      this.cancelSourceInterrupt(this.#source(index, 'receive'))
+      this.#receive(index)
+    }
+
+    return channel.data
+  }
+
+  /**
+   * Transmit a character on a channel
+   *
+   * @param number  index Channel
+   * @param number  data  Character
+   * @return void
+   */
+  #writeData = (index, data) => {
+    const channel = this.#channels[index]
+    if (!(channel.registers[5] & 0x08))
+      return
+
+    channel.transmitted = (channel.transmitted + String.fromCharCode(data)).slice(-TRANSMITTED_LENGTH)
+    if (channel.registers[1] & 0x02)
+      this.requestSourceInterrupt(this.#source(index, 'transmit'))
+  }
+
+  /**
+   * Read the register a channel's register 0 selected
+   *
+   * @param number  index Channel
+   * @return number
+   */
+  #readControl = (index) => {
+    const channel = this.#channels[index]
+    const register = channel.pointer
+    channel.pointer = 0
+    switch (register) {
+      case 0:
+        return (((channel.registers[3] & 0x01) && (channel.received.length > 0)) ? 0x01 : 0x00) |
+          (((index === 0) && (this.getInterrupt() !== null)) ? 0x02 : 0x00) | 0x2c
+
+      case 1:
+        return 0x01
+
+      case 2: {
+        if (index === 0)
+          return 0x00
+
+        const pending = SOURCES.findIndex((source, position) => this.isSourcePending(position))
+        return this.#vector((pending === -1) ? NO_INTERRUPT_STATUS : SOURCES[pending].status)
+      }
+
+      default:
+        return 0x00
+    }
+  }
+
+  /**
+   * Write the register a channel's register 0 selected, or carry out register 0's command
+   *
+   * @param number  index Channel
+   * @param number  data  Byte written
+   * @return void
+   */
+  #writeControl = (index, data) => {
+    const channel = this.#channels[index]
+    const register = channel.pointer
+    channel.pointer = 0
+    if (register !== 0) {
+      channel.registers[register] = data
+      if (!(channel.registers[1] & 0x02))
+        this.cancelSourceInterrupt(this.#source(index, 'transmit'))
+      if (!(channel.registers[1] & 0x18))
+        this.cancelSourceInterrupt(this.#source(index, 'receive'))
+      this.#receive(index)
+      return
+    }
+
+    channel.pointer = data & 0x07
+    switch ((data >> 3) & 0x07) {
+      case 2:
+        this.cancelSourceInterrupt(this.#source(index, 'external'))
+        break
+
+      case 3: {
+        // the vector, in channel b's register 2, survives a reset
+        const vector = channel.registers[2]
+        channel.registers.fill(0)
+        channel.registers[2] = vector
+        channel.firstCharacter = false
+        channel.received = []
+        for (const kind of ['receive', 'transmit', 'external'])
+          this.resetSource(this.#source(index, kind))
+        break
+      }
+
+      case 4:
+        channel.firstCharacter = true
+        this.#receive(index)
+        break
+
+      case 5:
+        this.cancelSourceInterrupt(this.#source(index, 'transmit'))
+        break
+
+      case 7:
+        if (index === 0)
+          this.interruptReturned()
+        break
+    }
+  }
+
+  /**
+   * Raise a channel's receive interrupt, if it is enabled, when a character is waiting to be read
+   *
+   * @param number  index Channel
+   * @return void
+   */
+  #receive = (index) => {
+    const channel = this.#channels[index]
+    if (!(channel.registers[3] & 0x01) || (channel.received.length === 0))
+      return
+
+    switch ((channel.registers[1] >> 3) & 0x03) {
+      case 1:
+        if (channel.firstCharacter) {
+          channel.firstCharacter = false
+          this.requestSourceInterrupt(this.#source(index, 'receive'))
+        }
+        break
+
+      case 2:
+      case 3:
+        this.requestSourceInterrupt(this.#source(index, 'receive'))
+        break
+    }
+  }
+}
+
+export default SerialIo
@@ -0,0 +1,108 @@
+'use strict'
+
+import Peripheral from './peripheral.js'
+
+/**
+ * a bank of eight dip switches on an input port: bit 7 is the leftmost switch, and a switch which is on reads
+ * as 1. the switches are flipped from their panel in the ide. given an interrupt vector, flipping a switch
+ * also raises an interrupt, putting the vector on the data bus.
+ *
+ *   .pragma peripheral, switches, <port>[, <vector>]
+ *
+ * rob andrews <rob@aphlor.org>
+ */
+class DipSwitches extends Peripheral
+{
+  static type = 'switches'
+  static parameters = ['port', 'vector']
+
+  static panel = `
+    <h6>DIP switches (port {{ peripheral.state.port | hexify:2 }})</h6>
+    <div class="btn-group btn-group-sm">
+      <button type="button" class="btn" ng-repeat="bit in [7, 6, 5, 4, 3, 2, 1, 0]" title="Bit {{ bit }}"
+        ng-class="peripheral.state.switches[bit] ? 'btn-success' : 'btn-outline-secondary'"
+        ng-click="peripheralInput(peripheral, {bit: bit})">{{ peripheral.state.switches[bit] ? 'On' : 'Off' }}</button>
+    </div>`
+
+  #port
+  #vector
+  #value = 0
+
+  /**
+   * Constructor
+   *
+   * @param number      port    I/O port the switches are read from
+   * @param number|null vector  Interrupt vector to raise when a switch is flipped, or null for none
+   * @throws RangeError when the port or vector is invalid
+   */
+  constructor(port, vector = null)
+  {
+    super()
+    if (!Number.isInteger(port) || (port < 0) || (port > 0xffff))
+      throw new RangeError(`invalid port for dip switches: ${port}`)
+
+    if ((vector !== null) && (!Number.isInteger(vector) || (vector < 0) || (vector > 0xff)))
+      throw new RangeError(`invalid interrupt vector for dip switches: ${vector}`)
+
+    this.#port = port
+    this.#vector = vector
+  }
+
+  /**
+   * Attach the switches to their port
+   *
+   * @param ProcessorZ80  cpu Cpu to attach to
+   * @return void
+   */
+  attach(cpu)
+  {
+    cpu.addIoHandler(this.#port, (mode) => {
+      if (mode === 'r')
+        return this.#value
+    })
+  }
+
+  /**
+   * Get the switches, as a byte and as booleans by bit
+   *
+   * @return Object {port, value, switches, interrupts}
+   */
+  getState()
+  {
+    return {
+      port: this.#port,
+      value: this.#value,
+      switches: Array.from({length: 8}, (value, bit) => (this.#value & (1 << bit)) !== 0),
+      interrupts: this.#vector !== null
+    }
+  }
+
+  /**
+   * Flip a switch
+   *
+   * @param Object  value {bit}: the switch to flip (0-7)
+   * @throws RangeError when there is no such switch
+   * @return void
+   */
+  input({bit})
+  {
+    if (!Number.isInteger(bit) || (bit < 0) || (bit > 7))
+      throw new RangeError(`invalid dip switch: ${bit}`)
+
+    this.#value ^= 1 << bit
+    if (this.#vector !== null)
+      this.raiseInterrupt(this.#vector)
+  }
+
+  /**
+   * Check whether flipping a switch raises an interrupt
+   *
+   * @return boolean
+   */
+  canInterrupt()
+  {
+    return this.#vector !== null
+  }
+}
+
+export default DipSwitches
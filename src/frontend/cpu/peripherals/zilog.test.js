@@ -0,0 +1,287 @@
+/**
+ * tests for the zilog peripheral chips (ctc, pio and sio) and the interrupt daisy chain they share
+ *
+ * rob andrews <rob@aphlor.org>
+ */
+
+import ProcessorZ80 from '../z80.js'
+import { createPeripheral, DaisyChainPeripheral, PeripheralBus } from './index.js'
+
+/**
+ * run a cpu with its peripherals as the headless runner does, waiting out halts for timers
+ *
+ * @param ProcessorZ80  cpu Cpu to run
+ * @param PeripheralBus bus Bus its peripherals are on
+ * @return Object Result of the last run
+ */
+const run = (cpu, bus) => {
+  for (;;) {
+    const result = cpu.runUntil(bus.clock, 100000)
+    if ((result.reason !== 'halt') || !cpu.getInterruptState() || !bus.isTiming())
+      return result
+
+    if (bus.waitForInterrupt(100000).reason !== 'interrupt')
+      return result
+  }
+}
+
+test('It holds off interrupts down the daisy chain until reti, letting those ahead interrupt', () => {
+  class Chip extends DaisyChainPeripheral
+  {
+    getVector(source)
+    {
+      return source * 2
+    }
+  }
+
+  const ram = new Uint8Array(Math.pow(2, 16))
+  ram.set([
+    0x31, 0x00, 0x00, // ld sp,0
+    0x3e, 0x01,       // ld a,1
+    0xed, 0x47,       // ld i,a
+    0xed, 0x5e,       // im 2
+    0xfb,             // ei
+    0x00,             // loop: nop
+    0x18, 0xfd        // jr loop
+  ])
+  ram.set([0x00, 0x02, 0x00, 0x02], 0x0100) // both vectors go to $0200
+  ram.set([
+    0xfb,             // ei
+    0x00,             // nop
+    0x00,             // nop
+    0xed, 0x4d        // reti
+  ], 0x0200)
+  const cpu = new ProcessorZ80(ram)
+  const bus = new PeripheralBus(cpu)
+  const [first, second] = [new Chip(2), new Chip(2)]
+  bus.add(first)
+  bus.add(second)
+  cpu.run(6)
+
+  second.requestSourceInterrupt(0)
+  first.requestSourceInterrupt(1)
+  expect(bus.requestInterrupt()).toBe(true)
+  expect(first.isInService()).toBe(true)
+  expect(bus.interruptPending()).toBe(false)
+
+  // the routine enables interrupts, and a source ahead of the one in service interrupts it
+  cpu.run(2)
+  first.requestSourceInterrupt(0)
+  expect(bus.requestInterrupt()).toBe(true)
+  cpu.run(4)
+  expect(cpu.getRegisters().pc).toBe(0x0202)
+  expect(first.isInService()).toBe(true)
+  expect(bus.interruptPending()).toBe(false)
+
+  // the first routine's reti lets the second chip in
+  cpu.run(2)
+  expect(first.isInService()).toBe(false)
+  expect(bus.requestInterrupt()).toBe(true)
+  expect(second.isInService()).toBe(true)
+  cpu.run(4)
+  expect(second.isInService()).toBe(false)
+})
+
+test('It times interrupts with a ctc, and counts pulses', () => {
+  const ram = new Uint8Array(Math.pow(2, 16))
+  ram.set([
+    0x31, 0x00, 0x00, // ld sp,0
+    0x3e, 0x02,       // ld a,2
+    0xed, 0x47,       // ld i,a
+    0xed, 0x5e,       // im 2
+    0x3e, 0x10,       // ld a,$10
+    0xd3, 0x40,       // out ($40),a: the vector
+    0x3e, 0x87,       // ld a,$87
+    0xd3, 0x40,       // out ($40),a: channel 0 times, prescaled by 16, with interrupts
+    0x3e, 0x0a,       // ld a,10
+    0xd3, 0x40,       // out ($40),a: every 160 t-states
+    0x3e, 0xc7,       // ld a,$c7
+    0xd3, 0x43,       // out ($43),a: channel 3 counts, with interrupts
+    0x3e, 0x02,       // ld a,2
+    0xd3, 0x43,       // out ($43),a: every other pulse
+    0xfb,             // ei
+    0x76,             // loop: halt
+    0x3a, 0x00, 0x04, // ld a,($0400)
+    0xfe, 0x03,       // cp 3
+    0x20, 0xf8,       // jr nz,loop
+    0xf3,             // di
+    0x76              // halt
+  ])
+  ram.set([0x00, 0x03], 0x0210)
+  ram.set([
+    0xf5,             // push af
+    0x3a, 0x00, 0x04, // ld a,($0400)
+    0x3c,             // inc a
+    0x32, 0x00, 0x04, // ld ($0400),a
+    0xf1,             // pop af
+    0xfb,             // ei
+    0xed, 0x4d        // reti
+  ], 0x0300)
+  const cpu = new ProcessorZ80(ram)
+  const bus = new PeripheralBus(cpu)
+  const ctc = createPeripheral({type: 'ctc', params: [0x40]})
+  bus.add(ctc)
+
+  expect(run(cpu, bus).reason).toBe('halt')
+  expect(ram[0x0400]).toBe(3)
+  // the timer starts once its time constant is written, 88 t-states in
+  expect(cpu.getCycles()).toBeGreaterThanOrEqual(88 + (3 * 160))
+  expect(cpu.getCycles()).toBeLessThan(88 + (4 * 160))
+  expect(ctc.isInService()).toBe(false)
+
+  const {vector, channels} = ctc.getState()
+  expect(vector).toBe(0x10)
+  expect(channels[0]).toMatchObject({running: true, counter: false, prescaler: 16, timeConstant: 10, interrupts: true})
+  expect(channels[3]).toMatchObject({running: true, counter: true, count: 2})
+
+  ctc.input({channel: 3})
+  expect(ctc.getInterrupt()).toBe(null)
+  ctc.input({channel: 3})
+  expect(ctc.getInterrupt()).toBe(0x16)
+  expect(ctc.getState().channels[3].count).toBe(2)
+  expect(() => ctc.input({channel: 4})).toThrow(RangeError)
+})
+
+test('It latches a pio port on a strobe, and watches the inputs of a port in bit control mode', () => {
+  const ram = new Uint8Array(Math.pow(2, 16))
+  ram.set([
+    0xf3,             // di
+    0x3e, 0x4f,       // ld a,$4f
+    0xd3, 0x32,       // out ($32),a: port a inputs
+    0x3e, 0x20,       // ld a,$20
+    0xd3, 0x32,       // out ($32),a: port a's vector
+    0x3e, 0x87,       // ld a,$87
+    0xd3, 0x32,       // out ($32),a: port a interrupts
+    0x3e, 0xcf,       // ld a,$cf
+    0xd3, 0x33,       // out ($33),a: port b in bit control mode
+    0x3e, 0x0f,       // ld a,$0f
+    0xd3, 0x33,       // out ($33),a: bits 0-3 are inputs
+    0x3e, 0xf7,       // ld a,$f7
+    0xd3, 0x33,       // out ($33),a: port b interrupts when all the watched bits are high
+    0x3e, 0xfc,       // ld a,$fc
+    0xd3, 0x33,       // out ($33),a: watching bits 0 and 1
+    0x3e, 0x22,       // ld a,$22
+    0xd3, 0x33,       // out ($33),a: port b's vector
+    0x3e, 0xa0,       // ld a,$a0
+    0xd3, 0x31,       // out ($31),a
+    0x00,             // nop
+    0xdb, 0x30,       // in a,($30)
+    0x47,             // ld b,a
+    0xdb, 0x31,       // in a,($31)
+    0x4f,             // ld c,a
+    0x76              // halt
+  ])
+  const cpu = new ProcessorZ80(ram)
+  const bus = new PeripheralBus(cpu)
+  const pio = createPeripheral({type: 'pio', params: [0x30]})
+  bus.add(pio)
+
+  expect(cpu.runUntil((cpu) => cpu.getRegisters().pc === 0x0025).reason).toBe('condition')
+  const portB = pio.getState().ports[1]
+  expect(portB.mode).toBe(3)
+  expect(portB.inputs).toStrictEqual([true, true, true, true, false, false, false, false])
+  expect(portB.pins).toStrictEqual([false, false, false, false, false, true, false, true])
+
+  pio.input({port: 'A', bit: 3})
+  expect(pio.getInterrupt()).toBe(null)
+  pio.input({port: 'A', strobe: true})
+  pio.input({port: 'A', bit: 3})
+  expect(pio.getInterrupt()).toBe(0x20)
+
+  // port a in service holds off port b
+  pio.interruptAccepted()
+  pio.input({port: 'B', bit: 0})
+  expect(pio.getInterrupt()).toBe(null)
+  pio.input({port: 'B', bit: 1})
+  expect(pio.getInterrupt()).toBe(null)
+  pio.interruptReturned()
+  expect(pio.getInterrupt()).toBe(0x22)
+
+  expect(cpu.runUntil(() => false).reason).toBe('halt')
+  expect(cpu.getRegisters().bc).toBe(0x08a3)
+  expect(() => pio.input({port: 'C', bit: 0})).toThrow(RangeError)
+})
+
+test('It transmits and receives characters on an sio, modifying the vector by status', () => {
+  const ram = new Uint8Array(Math.pow(2, 16))
+  ram.set([
+    0xf3,             // di
+    0x3e, 0x18,       // ld a,$18
+    0xd3, 0x52,       // out ($52),a: reset channel a
+    0x3e, 0x02,       // ld a,2
+    0xd3, 0x53,       // out ($53),a
+    0x3e, 0x40,       // ld a,$40
+    0xd3, 0x53,       // out ($53),a: the vector
+    0x3e, 0x01,       // ld a,1
+    0xd3, 0x53,       // out ($53),a
+    0x3e, 0x04,       // ld a,$04
+    0xd3, 0x53,       // out ($53),a: status affects the vector
+    0x3e, 0x01,       // ld a,1
+    0xd3, 0x52,       // out ($52),a
+    0x3e, 0x12,       // ld a,$12
+    0xd3, 0x52,       // out ($52),a: interrupts on every character received, and on transmit
+    0x3e, 0x03,       // ld a,3
+    0xd3, 0x52,       // out ($52),a
+    0x3e, 0xc1,       // ld a,$c1
+    0xd3, 0x52,       // out ($52),a: receiver on
+    0x3e, 0x05,       // ld a,5
+    0xd3, 0x52,       // out ($52),a
+    0x3e, 0xe8,       // ld a,$e8
+    0xd3, 0x52,       // out ($52),a: transmitter on
+    0x3e, 0x68,       // ld a,'h'
+    0xd3, 0x50,       // out ($50),a
+    0x00,             // nop
+    0xdb, 0x52,       // in a,($52)
+    0x47,             // ld b,a
+    0xdb, 0x50,       // in a,($50)
+    0x4f,             // ld c,a
+    0xdb, 0x50,       // in a,($50)
+    0x57,             // ld d,a
+    0x3e, 0x02,       // ld a,2
+    0xd3, 0x53,       // out ($53),a
+    0xdb, 0x53,       // in a,($53)
+    0x5f,             // ld e,a
+    0x76              // halt
+  ])
+  const cpu = new ProcessorZ80(ram)
+  const bus = new PeripheralBus(cpu)
+  const sio = createPeripheral({type: 'sio', params: [0x50]})
+  bus.add(sio)
+
+  expect(cpu.runUntil((cpu) => cpu.getRegisters().pc === 0x0031).reason).toBe('condition')
+  expect(sio.getState().channels[0]).toStrictEqual({name: 'A', transmitted: 'h', waiting: 0})
+  expect(sio.getInterrupt()).toBe(0x48)
+
+  sio.input({channel: 0, text: 'ok'})
+  expect(sio.getInterrupt()).toBe(0x4c)
+  expect(sio.getState().channels[0].waiting).toBe(2)
+
+  expect(cpu.runUntil(() => false).reason).toBe('halt')
+  const {bc, de} = cpu.getRegisters()
+  expect(bc).toBe(0x2f6f)
+  expect(de).toBe(0x6b48)
+  expect(sio.getInterrupt()).toBe(0x48)
+  expect(() => sio.input({channel: 2, text: 'x'})).toThrow(RangeError)
+})
+
+test('It puts each chip on four ports, which can be 16-bit but not straddle the end of the 8-bit ports', () => {
+  const ram = new Uint8Array(Math.pow(2, 16))
+  ram.set([
+    0x01, 0x35, 0x12, // ld bc,$1235
+    0x3e, 0x5a,       // ld a,$5a
+    0xed, 0x79,       // out (c),a: port b's data
+    0x76              // halt
+  ])
+  const cpu = new ProcessorZ80(ram)
+  const bus = new PeripheralBus(cpu)
+  const pio = createPeripheral({type: 'pio', params: [0x1234]})
+  bus.add(pio)
+
+  expect(cpu.runUntil(() => false).reason).toBe('halt')
+  expect(pio.getState().port).toBe(0x1234)
+  expect(pio.getState().ports.map(({output}) => output)).toStrictEqual([0x00, 0x5a])
+
+  expect(() => createPeripheral({type: 'ctc', params: [0xfd]})).toThrow('invalid port for the ctc: 253')
+  expect(() => createPeripheral({type: 'pio', params: [0xfffd]})).toThrow(RangeError)
+  expect(() => createPeripheral({type: 'sio', params: [-1]})).toThrow(RangeError)
+})
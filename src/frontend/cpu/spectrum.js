@@ -0,0 +1,292 @@
+'use strict'
+
+// t-states in a frame, and frames to run a rom for so that it has set up its system variables before a
+// program is loaded into memory
+const FRAME_CYCLES = 69888
+const BOOT_FRAMES = 150
+
+// where the rom, screen bitmap and attributes are
+const ROM_SIZE = 0x4000
+const SCREEN_ADDRESS = 0x4000
+const BITMAP_SIZE = 6144
+const SCREEN_SIZE = 6912
+
+// the keyboard matrix: eight half rows of five keys, each selected by holding one of the upper address lines
+// low (a8 for the first half row, a15 for the last) whilst reading the ula; bit 0 is the key at the edge of the
+// keyboard
+const KEYBOARD = [
+  ['shift', 'z', 'x', 'c', 'v'],
+  ['a', 's', 'd', 'f', 'g'],
+  ['q', 'w', 'e', 'r', 't'],
+  ['1', '2', '3', '4', '5'],
+  ['0', '9', '8', '7', '6'],
+  ['p', 'o', 'i', 'u', 'y'],
+  ['enter', 'l', 'k', 'j', 'h'],
+  ['space', 'symbol', 'm', 'n', 'b']
+]
+
+// size of the picture renderScreen() draws: the screen with a border around it
+const BORDER_WIDTH = 32
+const BORDER_HEIGHT = 24
+const PICTURE_WIDTH = 256 + (BORDER_WIDTH * 2)
+const PICTURE_HEIGHT = 192 + (BORDER_HEIGHT * 2)
+
+// the eight colours, as [r, g, b], at normal brightness and bright
+const PALETTE = [0xd7, 0xff].map((level) => Array.from({length: 8}, (value, colour) => [
+  (colour & 0x02) ? level : 0, (colour & 0x04) ? level : 0, (colour & 0x01) ? level : 0
+]))
+
+/**
+ * a zx spectrum 48k built around ProcessorZ80: 16KB of rom at $0000, the screen at $4000 and ram above it, the
+ * ula on every even i/o port (border colour out, keyboard matrix in) and the frame interrupt raised 50 times a
+ * second, every 69888 t-states of a 3.5MHz clock.
+ *
+ * no rom ships with the project; one can be supplied (from a machine you own, or one of the freely licensed
+ * replacements), in which case it is booted before the program is loaded. without one, the rom area holds
+ * only an interrupt handler which returns straight away, so programs which call into the rom won't work.
+ *
+ * the screen is a 256x192 bitmap of 6144 bytes, whose rows are interleaved in thirds, followed by 768 bytes
+ * of attributes giving the ink, paper, brightness and flashing of each 8x8 cell. renderScreen() draws it.
+ *
+ * rob andrews <rob@aphlor.org>
+ */
+class SpectrumMachine
+{
+  #cpu
+  #rom
+  #border = 7
+  #frame = 0
+  #keys = new Uint8Array(KEYBOARD.length)
+
+  /**
+   * Constructor; puts the rom (or the stand-in interrupt handler) into memory, makes it read-only and
+   * attaches the ula to the cpu's i/o ports. The cpu's memory map is kept, after the rom.
+   *
+   * @param ProcessorZ80      cpu Cpu to build the machine around
+   * @param Uint8Array|null   rom 16KB rom image, or null for none
+   * @throws RangeError when the rom image is not 16KB
+   */
+  constructor(cpu, rom = null)
+  {
+    if ((rom !== null) && (rom.length !== ROM_SIZE))
+      throw new RangeError(`invalid spectrum rom: expected ${ROM_SIZE} bytes, not ${rom.length}`)
+
+    this.#cpu = cpu
+    this.#rom = rom
+    this.#frame = Math.floor(cpu.getCycles() / FRAME_CYCLES)
+
+    const ram = cpu.getRam()
+    if (rom !== null)
+      ram.set(rom)
+    else {
+      ram.fill(0x00, 0, ROM_SIZE)
+      ram.set([0xfb, 0xc9], 0x0038) // ei; ret
+    }
+    cpu.setMemoryMap([...this.getMemoryMap(), ...cpu.getMemoryMap()])
+
+    // the ula decodes a0 alone, so it answers every even port
+    cpu.addIoHandler(0xfe, (mode, data, port) => {
+      if (mode === 'w') {
+        this.#border = data & 0x07
+        return
+      }
+
+      let keys = 0x1f
+      this.#keys.forEach((row, index) => {
+        if ((port & (0x100 << index)) === 0)
+          keys &= ~row
+      })
+      return 0xe0 | keys
+    }, 0x0001)
+  }
+
+  /**
+   * Get the regions of the memory map the machine needs (the rom); ProcessorZ80.setMemoryMap() replaces the
+   * whole map, so these should be put ahead of any others
+   *
+   * @return array
+   */
+  getMemoryMap()
+  {
+    return [{start: 0x0000, end: ROM_SIZE - 1, type: 'rom', fault: false}]
+  }
+
+  /**
+   * Load an assembled program into memory and set the cpu to run it. A program which assembles anything into
+   * the rom area takes the place of a rom, and starts at 0; any other program starts at the lowest address it
+   * assembles to. When there is a rom, it is booted first, and the program is called from wherever the rom
+   * had got to, so that a ret at the end of the program goes back to the rom.
+   *
+   * @param Uint8Array  image   64KB memory image the program was assembled into
+   * @param array       ranges  Parts of the image the program assembles to, as {start, end}
+   * @throws RangeError when the program overlaps the rom, or is empty
+   * @return void
+   */
+  load(image, ranges)
+  {
+    if (ranges.length === 0)
+      throw new RangeError('the program is empty')
+
+    const entry = Math.min(...ranges.map(({start}) => start))
+    if ((entry < ROM_SIZE) && (this.#rom !== null))
+      throw new RangeError(`the program overlaps the rom at 0x${entry.toString(16).padStart(4, '0')}`)
+
+    if (this.#rom !== null) {
+      for (let frame = 0; frame < BOOT_FRAMES; frame++) {
+        const result = this.run(FRAME_CYCLES)
+        if (!['frame', 'budget'].includes(result.reason))
+          throw new RangeError(`the rom stopped whilst booting (${result.reason})`)
+      }
+    }
+
+    const ram = this.#cpu.getRam()
+    ranges.forEach(({start, end}) => ram.set(image.subarray(start, end + 1), start))
+
+    // a rom idling in a halt is returned to at the halt, and halts again there once the program returns
+    if (this.#rom !== null) {
+      const {pc, sp} = this.#cpu.getRegisters()
+      const stack = (sp - 2) & 0xffff
+      ram[stack] = pc & 0xff
+      ram[(stack + 1) & 0xffff] = pc >> 8
+      this.#cpu.setRegister('sp', stack)
+    }
+    this.#cpu.setRegister('pc', (entry < ROM_SIZE) ? 0x0000 : entry)
+    this.#cpu.clearHalt()
+    this.#cpu.clearHistory()
+  }
+
+  /**
+   * Run until the end of the frame, raising the frame interrupt first if a frame has ended since the last
+   * run. A halt with interrupts enabled waits for the frame interrupt rather than stopping. Returns the
+   * result of ProcessorZ80.runUntil() for the whole run, with the reason 'frame' when the frame ended.
+   *
+   * @param number    maxInstructions Most instructions to execute before giving up
+   * @param function  predicate       Stops the run early when it returns true, as for ProcessorZ80.runUntil()
+   * @return Object
+   */
+  run(maxInstructions = Infinity, predicate = () => false)
+  {
+    const frame = Math.floor(this.#cpu.getCycles() / FRAME_CYCLES)
+    if (frame > this.#frame)
+      this.#cpu.requestInterrupt()
+    this.#frame = frame
+
+    const frameEnd = (frame + 1) * FRAME_CYCLES
+    const frameEnded = (cpu) => cpu.getCycles() >= frameEnd
+    let [instructions, cycles] = [0, 0]
+    let result
+
+    // runUntil() doesn't call the predicate after a halt, so it is called here whilst waiting for the
+    // interrupt; peripherals clocked by it see the time pass, and can raise an interrupt of their own
+    do {
+      result = this.#cpu.runUntil((cpu) => predicate(cpu) || frameEnded(cpu), maxInstructions - instructions)
+      instructions += result.instructions
+      cycles += result.cycles
+    } while ((result.reason === 'halt') && this.#cpu.getInterruptState() && !frameEnded(this.#cpu) &&
+      !predicate(this.#cpu) && (instructions < maxInstructions))
+
+    const ended = frameEnded(this.#cpu) && ((result.reason === 'condition') ||
+      ((result.reason === 'halt') && this.#cpu.getInterruptState()))
+    return {...result, reason: ended ? 'frame' : result.reason, instructions, cycles}
+  }
+
+  /**
+   * Get the number of frames since the cpu started; flashing attributes swap ink and paper every 16 frames
+   *
+   * @return number
+   */
+  getFrame()
+  {
+    return this.#frame
+  }
+
+  /**
+   * Get the border colour (0-7)
+   *
+   * @return number
+   */
+  getBorder()
+  {
+    return this.#border
+  }
+
+  /**
+   * Get a copy of the screen memory: the bitmap followed by the attributes
+   *
+   * @return Uint8Array
+   */
+  getScreen()
+  {
+    return this.#cpu.getAddressSpace().slice(SCREEN_ADDRESS, SCREEN_ADDRESS + SCREEN_SIZE)
+  }
+
+  /**
+   * Press or release a key of the keyboard matrix
+   *
+   * @param string  key     Name of the key (see KEYBOARD)
+   * @param boolean pressed true to press the key, false to release it
+   * @throws RangeError when the key is not on the keyboard
+   * @return void
+   */
+  setKey(key, pressed)
+  {
+    const row = KEYBOARD.findIndex((keys) => keys.includes(key))
+    if (row === -1)
+      throw new RangeError(`invalid spectrum key: ${key}`)
+
+    const bit = 1 << KEYBOARD[row].indexOf(key)
+    this.#keys[row] = pressed ? (this.#keys[row] | bit) : (this.#keys[row] & ~bit)
+  }
+
+  /**
+   * Release every key
+   *
+   * @return void
+   */
+  releaseKeys()
+  {
+    this.#keys.fill(0)
+  }
+}
+
+/**
+ * draw the screen, with its border, as rgba pixels (PICTURE_WIDTH x PICTURE_HEIGHT, as a canvas ImageData
+ * holds them)
+ *
+ * @param Uint8Array        screen  Screen memory, as from SpectrumMachine.getScreen()
+ * @param number            border  Border colour (0-7)
+ * @param number            frame   Frame number, which sets the phase of flashing attributes
+ * @param Uint8ClampedArray pixels  Where to draw; 4 bytes for each pixel
+ * @return void
+ */
+const renderScreen = (screen, border, frame, pixels) => {
+  const flash = (frame & 0x10) !== 0
+  const plot = (pixel, [r, g, b]) => {
+    pixels[pixel * 4] = r
+    pixels[(pixel * 4) + 1] = g
+    pixels[(pixel * 4) + 2] = b
+    pixels[(pixel * 4) + 3] = 0xff
+  }
+
+  // the border everywhere first, then the screen over it a byte (eight pixels of one cell) at a time
+  for (let pixel = 0; pixel < PICTURE_WIDTH * PICTURE_HEIGHT; pixel++)
+    plot(pixel, PALETTE[0][border])
+
+  for (let y = 0; y < 192; y++) {
+    const line = ((y + BORDER_HEIGHT) * PICTURE_WIDTH) + BORDER_WIDTH
+    for (let column = 0; column < 32; column++) {
+      const byte = screen[((y & 0xc0) << 5) | ((y & 0x07) << 8) | ((y & 0x38) << 2) | column]
+      const attribute = screen[BITMAP_SIZE + ((y >> 3) * 32) + column]
+      const palette = PALETTE[(attribute >> 6) & 0x01]
+      const [ink, paper] = (flash && (attribute & 0x80))
+        ? [palette[(attribute >> 3) & 0x07], palette[attribute & 0x07]]
+        : [palette[attribute & 0x07], palette[(attribute >> 3) & 0x07]]
+
+      for (let bit = 0; bit < 8; bit++)
+        plot(line + (column * 8) + bit, (byte & (0x80 >> bit)) ? ink : paper)
+    }
+  }
+}
+
+export default SpectrumMachine
+export { FRAME_CYCLES, KEYBOARD, PICTURE_WIDTH, PICTURE_HEIGHT, renderScreen }
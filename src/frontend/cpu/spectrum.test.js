@@ -0,0 +1,156 @@
+/**
+ * tests for the SpectrumMachine class and renderScreen()
+ *
+ * rob andrews <rob@aphlor.org>
+ */
+
+import ProcessorZ80 from './z80.js'
+import SpectrumMachine, { FRAME_CYCLES, PICTURE_WIDTH, PICTURE_HEIGHT, renderScreen } from './spectrum.js'
+
+test('It runs a program without a rom, a frame at a time, with the border on the ula port', () => {
+  const cpu = new ProcessorZ80
+  const spectrum = new SpectrumMachine(cpu)
+  const image = new Uint8Array(Math.pow(2, 16))
+  image.set([
+    0x3e, 0x02,       // ld a,2
+    0xd3, 0xfe,       // out ($fe),a
+    0xfb,             // ei
+    0x76,             // halt
+    0x3e, 0x05,       // ld a,5
+    0xd3, 0xfe,       // out ($fe),a
+    0xf3,             // di
+    0x76              // halt
+  ], 0x8000)
+  spectrum.load(image, [{start: 0x8000, end: 0x800b}])
+  expect(cpu.getRegisters().pc).toBe(0x8000)
+  expect(cpu.getMemoryMap()).toStrictEqual([{start: 0x0000, end: 0x3fff, type: 'rom', fault: false}])
+
+  // the halt waits for the frame interrupt, which the stand-in rom returns from straight away
+  expect(spectrum.run().reason).toBe('frame')
+  expect(cpu.getCycles()).toBeGreaterThanOrEqual(FRAME_CYCLES)
+  expect(spectrum.getBorder()).toBe(2)
+  expect(spectrum.run().reason).toBe('halt')
+  expect(spectrum.getBorder()).toBe(5)
+  expect(spectrum.getFrame()).toBe(1)
+})
+
+test('It reads the half rows of the keyboard selected by the upper address lines', () => {
+  const cpu = new ProcessorZ80
+  const spectrum = new SpectrumMachine(cpu)
+  const image = new Uint8Array(Math.pow(2, 16))
+  image.set([
+    0x3e, 0xfd,       // ld a,$fd
+    0xdb, 0xfe,       // in a,($fe)
+    0x47,             // ld b,a
+    0x3e, 0x7e,       // ld a,$7e
+    0xdb, 0xfe,       // in a,($fe)
+    0x4f,             // ld c,a
+    0x3e, 0xfd,       // ld a,$fd
+    0xdb, 0xfe,       // in a,($fe)
+    0x57,             // ld d,a
+    0xf3,             // di
+    0x76              // halt
+  ], 0x8000)
+  spectrum.load(image, [{start: 0x8000, end: 0x8010}])
+  spectrum.setKey('a', true)
+  spectrum.setKey('d', true)
+  spectrum.setKey('shift', true)
+  spectrum.setKey('symbol', true)
+  spectrum.setKey('d', false)
+
+  spectrum.run(6)
+  expect(cpu.getRegisters().bc).toBe(0xfefc)
+  expect(() => spectrum.setKey('f1', true)).toThrow(RangeError)
+
+  spectrum.releaseKeys()
+  spectrum.run()
+  expect(cpu.getRegisters().de >> 8).toBe(0xff)
+})
+
+test('It boots a rom before loading the program, which returns to the rom', () => {
+  // a rom which counts frames at $5c78, as the spectrum's does, whilst it waits in a loop
+  const rom = new Uint8Array(0x4000)
+  rom.set([
+    0xf3,             // di
+    0x31, 0x00, 0x60, // ld sp,$6000
+    0xed, 0x56,       // im 1
+    0xfb,             // ei
+    0x18, 0xfe        // jr $
+  ])
+  rom.set([
+    0xf5,             // push af
+    0x3a, 0x78, 0x5c, // ld a,($5c78)
+    0x3c,             // inc a
+    0x32, 0x78, 0x5c, // ld ($5c78),a
+    0xf1,             // pop af
+    0xfb,             // ei
+    0xc9              // ret
+  ], 0x0038)
+
+  const cpu = new ProcessorZ80
+  const spectrum = new SpectrumMachine(cpu, rom)
+  const image = new Uint8Array(Math.pow(2, 16))
+  image.set([0xc9], 0x8000) // ret
+  spectrum.load(image, [{start: 0x8000, end: 0x8000}])
+  expect(cpu.getRam()[0x5c78]).toBe(149)
+  expect(cpu.getRegisters()).toMatchObject({pc: 0x8000, sp: 0x5ffe})
+
+  cpu.run(1)
+  expect(cpu.getRegisters()).toMatchObject({pc: 0x0007, sp: 0x6000})
+
+  image.set([0x00, 0x00], 0x3ff0)
+  expect(() => spectrum.load(image, [{start: 0x3ff0, end: 0x3ff1}])).toThrow('the program overlaps the rom at 0x3ff0')
+  expect(() => new SpectrumMachine(new ProcessorZ80, new Uint8Array(0x2000))).toThrow(RangeError)
+})
+
+test('It brings a rom idling in a halt out of it to run the program, which returns to the halt', () => {
+  const rom = new Uint8Array(0x4000)
+  rom.set([
+    0xed, 0x56,       // im 1
+    0xfb,             // ei
+    0x76,             // halt
+    0x18, 0xfc        // jr $-2
+  ])
+  rom.set([
+    0xfb,             // ei
+    0xc9              // ret
+  ], 0x0038)
+
+  const cpu = new ProcessorZ80
+  const spectrum = new SpectrumMachine(cpu, rom)
+  const image = new Uint8Array(Math.pow(2, 16))
+  image.set([
+    0x3e, 0x42,       // ld a,$42
+    0x32, 0x00, 0x90, // ld ($9000),a
+    0xc9              // ret
+  ], 0x8000)
+  spectrum.load(image, [{start: 0x8000, end: 0x8005}])
+  expect(cpu.isHalted()).toBe(false)
+  expect(cpu.getRegisters().pc).toBe(0x8000)
+
+  // the program runs from its first instruction, and returns to the rom's halt
+  cpu.run(3)
+  expect(cpu.getRam()[0x9000]).toBe(0x42)
+  expect(cpu.getRegisters().pc).toBe(0x0003)
+  expect(cpu.run(1).reason).toBe('halt')
+})
+
+test('It draws the screen and border, swapping ink and paper of flashing cells every 16 frames', () => {
+  const screen = new Uint8Array(6912)
+  screen[0x0000] = 0x80 // top left pixel of the first row
+  screen[0x0100] = 0x01 // last pixel of the first cell's second row
+  screen[0x1800] = 0x47 // bright white ink on black
+  screen[0x1801] = 0x8a // flashing red ink on blue
+  const pixels = new Uint8ClampedArray(PICTURE_WIDTH * PICTURE_HEIGHT * 4)
+  const pixel = (x, y) => Array.from(pixels.slice(((y * PICTURE_WIDTH) + x) * 4, (((y * PICTURE_WIDTH) + x) * 4) + 4))
+
+  renderScreen(screen, 4, 0, pixels)
+  expect(pixel(0, 0)).toStrictEqual([0x00, 0xd7, 0x00, 0xff])
+  expect(pixel(32, 24)).toStrictEqual([0xff, 0xff, 0xff, 0xff])
+  expect(pixel(33, 24)).toStrictEqual([0x00, 0x00, 0x00, 0xff])
+  expect(pixel(39, 25)).toStrictEqual([0xff, 0xff, 0xff, 0xff])
+  expect(pixel(40, 24)).toStrictEqual([0x00, 0x00, 0xd7, 0xff])
+
+  renderScreen(screen, 4, 16, pixels)
+  expect(pixel(40, 24)).toStrictEqual([0xd7, 0x00, 0x00, 0xff])
+})
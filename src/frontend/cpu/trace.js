@@ -0,0 +1,372 @@
+'use strict'
+
+import DisassemblerZ80 from './disassembler.js'
+
+// most instructions kept, in each mode, unless told otherwise
+const DEFAULT_LIMITS = {ring: 10000, full: 1000000}
+
+// formats export() writes
+const TRACE_FORMATS = ['text', 'csv', 'fuse']
+
+// 16-bit words kept for each instruction: pc, the four bytes at pc (two to a word), the register pairs as in
+// REGISTER_PAIRS, i and r (as one word) and the interrupt state (iff1, iff2, im and halted, as bits)
+const REGISTER_PAIRS = ['af', 'bc', 'de', 'hl', 'af2', 'bc2', 'de2', 'hl2', 'ix', 'iy', 'sp']
+const ENTRY_WORDS = 3 + REGISTER_PAIRS.length + 2
+
+// names of the bits of f, from bit 7 down; a clear flag is shown as -
+const FLAG_NAMES = 'SZ5H3PNC'
+
+/**
+ * an execution trace: the state of the cpu before each instruction it executes, recorded through
+ * ProcessorZ80.setTraceHandler(). a trace is kept in one of two modes:
+ *   ring  the newest instructions, up to the limit; older ones make way for them
+ *   full  every instruction from the start, up to the limit, after which the rest are dropped; given a sink,
+ *         entries are handed to it each time the limit fills instead, so a trace can run to any length
+ *
+ * only the registers and the four bytes at pc are kept whilst recording, in typed arrays, to keep tracing
+ * cheap; instructions are disassembled from those bytes when the entries are read.
+ *
+ * traces export as text (a line for each instruction, lined up in columns), csv, or fuse: the registers laid
+ * out as the fuse spectrum emulator's z80 core tests print them (af bc de hl af' bc' de' hl' ix iy sp pc,
+ * then i r iff1 iff2 im halted t-states), all on one line and without memptr, which ProcessorZ80 doesn't
+ * model. drop memptr from another emulator's output and the two traces can be compared with diff.
+ *
+ * rob andrews <rob@aphlor.org>
+ */
+class TraceRecorder
+{
+  #mode
+  #limit
+  #sink
+  #cpu = null
+
+  // the entries, ENTRY_WORDS apiece, with the t-states before each instruction alongside. in ring mode
+  // #start is the oldest entry; in full mode the arrays grow as they fill, up to the limit
+  #words
+  #cycles
+  #start = 0
+  #length = 0
+  #dropped = 0
+
+  #disassembler = new DisassemblerZ80
+  #scratch = new Uint8Array(Math.pow(2, 16))
+
+  /**
+   * Constructor
+   *
+   * @param Object  options {mode, limit, sink}: 'ring' or 'full', the most instructions to keep and, for a full
+   *                        trace, a function to hand the entries to (as getEntries() returns them) each time
+   *                        the limit fills
+   * @throws RangeError when the mode or limit is invalid
+   */
+  constructor({mode = 'ring', limit = DEFAULT_LIMITS[mode], sink = null} = {})
+  {
+    if (!Object.keys(DEFAULT_LIMITS).includes(mode))
+      throw new RangeError(`invalid trace mode: ${mode}`)
+
+    if (!Number.isInteger(limit) || (limit < 1))
+      throw new RangeError(`invalid trace limit: ${limit}`)
+
+    this.#mode = mode
+    this.#limit = limit
+    this.#sink = (mode === 'full') ? sink : null
+
+    // a ring is the size of its limit from the start; a full trace starts small, as most runs are short
+    this.#allocate((mode === 'ring') ? limit : Math.min(limit, 4096))
+  }
+
+  /**
+   * Make room for a number of entries, keeping those recorded
+   *
+   * @param number  capacity  Entries to make room for
+   * @return void
+   */
+  #allocate = (capacity) => {
+    const [words, cycles] = [new Uint16Array(capacity * ENTRY_WORDS), new Float64Array(capacity)]
+    if (this.#words) {
+      words.set(this.#words)
+      cycles.set(this.#cycles)
+    }
+    [this.#words, this.#cycles] = [words, cycles]
+  }
+
+  /**
+   * Start recording a cpu's instructions; this takes the cpu's trace handler
+   *
+   * @param ProcessorZ80  cpu Cpu to trace
+   * @return void
+   */
+  attach(cpu)
+  {
+    this.detach()
+    this.#cpu = cpu
+    cpu.setTraceHandler(this.record)
+  }
+
+  /**
+   * Stop recording, keeping what has been recorded
+   *
+   * @return void
+   */
+  detach()
+  {
+    this.#cpu?.setTraceHandler(null)
+    this.#cpu = null
+  }
+
+  /**
+   * Record the instruction the cpu is about to execute; the trace handler attach() gives the cpu
+   *
+   * @param ProcessorZ80  cpu Cpu about to execute an instruction
+   * @return void
+   */
+  record = (cpu) => {
+    if (this.#length === this.#limit) {
+      if (this.#sink !== null)
+        this.flush()
+      else if (this.#mode === 'full') {
+        this.#dropped++
+        return
+      }
+    }
+
+    let index
+    if (this.#length < this.#limit) {
+      index = this.#length++
+      if (index * ENTRY_WORDS === this.#words.length)
+        this.#allocate(Math.min(index * 2, this.#limit))
+    } else {
+      index = this.#start
+      this.#start = (this.#start + 1) % this.#limit
+      this.#dropped++
+    }
+
+    const registers = cpu.getRegisters()
+    const {iff1, iff2} = cpu.getInterruptFlipFlops()
+    const words = this.#words
+    let word = index * ENTRY_WORDS
+
+    words[word++] = registers.pc
+    words[word++] = (cpu.peek(registers.pc) << 8) | cpu.peek(registers.pc + 1)
+    words[word++] = (cpu.peek(registers.pc + 2) << 8) | cpu.peek(registers.pc + 3)
+    for (const pair of REGISTER_PAIRS)
+      words[word++] = registers[pair]
+    words[word++] = (registers.i << 8) | registers.r
+    words[word] = (iff1 ? 0x01 : 0) | (iff2 ? 0x02 : 0) | (registers.im << 2) | (cpu.isHalted() ? 0x10 : 0)
+    this.#cycles[index] = cpu.getCycles()
+  }
+
+  /**
+   * Hand the entries recorded so far to the sink, and forget them; a full trace with a sink should be flushed
+   * once the cpu has finished, for the entries since the limit last filled
+   *
+   * @return void
+   */
+  flush()
+  {
+    if ((this.#sink === null) || (this.#length === 0))
+      return
+
+    const entries = this.getEntries()
+    this.clear()
+    this.#sink(entries)
+  }
+
+  /**
+   * Forget every entry
+   *
+   * @return void
+   */
+  clear()
+  {
+    this.#start = this.#length = this.#dropped = 0
+  }
+
+  /**
+   * Get the number of instructions the trace holds
+   *
+   * @return number
+   */
+  getLength()
+  {
+    return this.#length
+  }
+
+  /**
+   * Get the number of instructions executed but no longer (or never) in the trace; the oldest, for a ring, or
+   * those after the limit filled, for a full trace
+   *
+   * @return number
+   */
+  getDropped()
+  {
+    return this.#dropped
+  }
+
+  /**
+   * Get how the trace is kept
+   *
+   * @return Object {mode, limit}
+   */
+  getSettings()
+  {
+    return {mode: this.#mode, limit: this.#limit}
+  }
+
+  /**
+   * Get an entry of the trace: {index, pc, bytes, text, registers, flags, iff1, iff2, im, halted, cycles},
+   * where bytes and text are the instruction (as DisassemblerZ80 shows it), registers holds af, bc, de, hl,
+   * af2, bc2, de2, hl2, ix, iy, sp, i and r as they were before it executed and flags spells out f
+   *
+   * @param number  index Position in the trace, oldest first
+   * @throws RangeError when there is no such entry
+   * @return Object
+   */
+  getEntry(index)
+  {
+    if (!Number.isInteger(index) || (index < 0) || (index >= this.#length))
+      throw new RangeError(`no trace entry ${index}`)
+
+    const position = (this.#start + index) % this.#limit
+    const words = this.#words.subarray(position * ENTRY_WORDS, (position + 1) * ENTRY_WORDS)
+    const pc = words[0]
+
+    // the instruction is decoded from its own bytes, at its own address, so relative jumps come out right
+    const fetched = [words[1] >> 8, words[1] & 0xff, words[2] >> 8, words[2] & 0xff]
+    fetched.forEach((byte, offset) => this.#scratch[(pc + offset) & 0xffff] = byte)
+    const {bytes, text} = this.#disassembler.disassemble(this.#scratch, pc)
+
+    const registers = {}
+    REGISTER_PAIRS.forEach((pair, offset) => registers[pair] = words[3 + offset])
+    registers.i = words[ENTRY_WORDS - 2] >> 8
+    registers.r = words[ENTRY_WORDS - 2] & 0xff
+
+    const state = words[ENTRY_WORDS - 1]
+    return {
+      index,
+      pc,
+      bytes,
+      text,
+      registers,
+      flags: Array.from(FLAG_NAMES, (name, bit) => (registers.af & (0x80 >> bit)) ? name : '-').join(''),
+      iff1: (state & 0x01) !== 0,
+      iff2: (state & 0x02) !== 0,
+      im: (state >> 2) & 0x03,
+      halted: (state & 0x10) !== 0,
+      cycles: this.#cycles[position]
+    }
+  }
+
+  /**
+   * Get the entries of the trace which match a filter, oldest first; with a count, only the newest count of
+   * them. The filter is {start, end, text}, each optional: pc between start and end (inclusive), and text found
+   * in the instruction (ignoring case).
+   *
+   * @param Object  filter  What to look for
+   * @param number  count   Most entries to return
+   * @return array  Entries, as getEntry() returns them
+   */
+  getEntries({start = 0x0000, end = 0xffff, text = ''} = {}, count = Infinity)
+  {
+    const search = text.toLowerCase()
+    const entries = []
+    for (let index = this.#length - 1; (index >= 0) && (entries.length < count); index--) {
+      const pc = this.#words[((this.#start + index) % this.#limit) * ENTRY_WORDS]
+      if ((pc < start) || (pc > end))
+        continue
+
+      const entry = this.getEntry(index)
+      if (entry.text.toLowerCase().includes(search))
+        entries.push(entry)
+    }
+
+    return entries.reverse()
+  }
+
+  /**
+   * Write the whole trace out, in one of TRACE_FORMATS
+   *
+   * @param string  format  Format to write
+   * @throws RangeError when the format is unknown
+   * @return string
+   */
+  export(format = 'text')
+  {
+    const header = traceHeader(format)
+    const lines = this.getEntries().map((entry) => formatTraceEntry(entry, format))
+    return [...((header === null) ? [] : [header]), ...lines].map((line) => `${line}\n`).join('')
+  }
+}
+
+/**
+ * format a number as fixed width hex, without a prefix
+ *
+ * @param number  value   Number to format
+ * @param number  digits  Number of hex digits
+ * @return string
+ */
+const hex = (value, digits) => value.toString(16).padStart(digits, '0')
+
+/**
+ * the line which heads a trace in one of TRACE_FORMATS, or null for a format without one
+ *
+ * @param string  format  Format of the trace
+ * @throws RangeError when the format is unknown
+ * @return string|null
+ */
+const traceHeader = (format) => {
+  switch (format) {
+    case 'text':
+      return `pc   bytes       instruction          af   bc   de   hl   af'  bc'  de'  hl'  ix   iy   sp   i  r  ` +
+        'flags    t-states'
+
+    case 'csv':
+      return "pc,bytes,instruction,af,bc,de,hl,af',bc',de',hl',ix,iy,sp,i,r,flags,iff1,iff2,im,halted,t-states"
+
+    case 'fuse':
+      return null
+
+    default:
+      throw new RangeError(`invalid trace format: ${format}`)
+  }
+}
+
+/**
+ * format an entry of a trace (see TraceRecorder.getEntry()) as a line of one of TRACE_FORMATS
+ *
+ * @param Object  entry   Entry to format
+ * @param string  format  Format of the trace
+ * @throws RangeError when the format is unknown
+ * @return string
+ */
+const formatTraceEntry = (entry, format) => {
+  const registers = REGISTER_PAIRS.map((pair) => hex(entry.registers[pair], 4))
+  const bytes = entry.bytes.map((byte) => hex(byte, 2)).join(' ')
+  const flag = (set) => set ? 1 : 0
+
+  switch (format) {
+    case 'text':
+      return `${hex(entry.pc, 4)} ${bytes.padEnd(11)} ${entry.text.padEnd(20)} ${registers.join(' ')} ` +
+        `${hex(entry.registers.i, 2)} ${hex(entry.registers.r, 2)} ${entry.flags} ${entry.cycles}`
+
+    case 'csv':
+      return [
+        hex(entry.pc, 4), bytes, `"${entry.text}"`, ...registers, hex(entry.registers.i, 2),
+        hex(entry.registers.r, 2), entry.flags, flag(entry.iff1), flag(entry.iff2), entry.im, flag(entry.halted),
+        entry.cycles
+      ].join(',')
+
+    case 'fuse':
+      return [
+        ...registers, hex(entry.pc, 4),
+        hex(entry.registers.i, 2), hex(entry.registers.r, 2), flag(entry.iff1), flag(entry.iff2), entry.im,
+        flag(entry.halted), entry.cycles
+      ].join(' ')
+
+    default:
+      throw new RangeError(`invalid trace format: ${format}`)
+  }
+}
+
+export default TraceRecorder
+export { TRACE_FORMATS, formatTraceEntry, traceHeader }
@@ -0,0 +1,117 @@
+/**
+ * tests for the TraceRecorder class
+ *
+ * rob andrews <rob@aphlor.org>
+ */
+
+import ProcessorZ80 from './z80.js'
+import TraceRecorder, { formatTraceEntry, traceHeader } from './trace.js'
+
+// a loop which counts b down from 3, then halts
+const loop = [
+  0x06, 0x03,       // ld b,3
+  0x3e, 0x00,       // ld a,0
+  0x3c,             // inc a
+  0x10, 0xfd,       // djnz $-1
+  0x76              // halt
+]
+
+test('It keeps the newest instructions in a ring, with the registers before each', () => {
+  const ram = new Uint8Array(Math.pow(2, 16))
+  ram.set(loop)
+  const cpu = new ProcessorZ80(ram)
+  const trace = new TraceRecorder({mode: 'ring', limit: 4})
+  trace.attach(cpu)
+
+  expect(cpu.run().reason).toBe('halt')
+  expect(trace.getLength()).toBe(4)
+  expect(trace.getDropped()).toBe(5)
+  expect(trace.getEntries().map(({pc, text}) => [pc, text])).toStrictEqual([
+    [0x0005, 'djnz $0004'], [0x0004, 'inc a'], [0x0005, 'djnz $0004'], [0x0007, 'halt']
+  ])
+
+  const entry = trace.getEntry(1)
+  expect(entry).toMatchObject({index: 1, pc: 0x0004, bytes: [0x3c], iff1: true, iff2: true, im: 0, halted: false})
+  expect(entry.registers).toMatchObject({bc: 0x0100, sp: 0xffff, i: 0x00})
+  expect(entry.registers.af >> 8).toBe(0x02)
+  expect(entry.flags).toBe('-------C')
+  expect(entry.cycles).toBe(7 + 7 + 4 + 13 + 4 + 13)
+
+  // filtered by pc and by instruction, newest last
+  expect(trace.getEntries({start: 0x0005, end: 0x0007}).map(({pc}) => pc)).toStrictEqual([0x0005, 0x0005, 0x0007])
+  expect(trace.getEntries({text: 'DJNZ'}, 1).map(({index}) => index)).toStrictEqual([2])
+
+  // detached, the cpu runs untraced
+  trace.detach()
+  cpu.setRegister('pc', 0x0000)
+  cpu.run(1)
+  expect(trace.getLength()).toBe(4)
+
+  expect(() => trace.getEntry(4)).toThrow(RangeError)
+  expect(() => new TraceRecorder({mode: 'loop'})).toThrow(RangeError)
+  expect(() => new TraceRecorder({limit: 0})).toThrow(RangeError)
+})
+
+test('It keeps a full trace from the start, or hands it to a sink as the limit fills', () => {
+  const ram = new Uint8Array(Math.pow(2, 16))
+  ram.set(loop)
+  const cpu = new ProcessorZ80(ram)
+  const trace = new TraceRecorder({mode: 'full', limit: 3})
+  trace.attach(cpu)
+  cpu.run()
+  expect(trace.getEntries().map(({pc}) => pc)).toStrictEqual([0x0000, 0x0002, 0x0004])
+  expect(trace.getDropped()).toBe(6)
+
+  // a full trace grows as it fills
+  const growing = new TraceRecorder({mode: 'full'})
+  const spinningRam = new Uint8Array(Math.pow(2, 16))
+  spinningRam.set([0x18, 0xfe]) // jr $
+  const spinning = new ProcessorZ80(spinningRam)
+  growing.attach(spinning)
+  spinning.run(5000)
+  expect(growing.getLength()).toBe(5000)
+  expect(growing.getEntry(4999)).toMatchObject({pc: 0x0000, text: 'jr $0000', cycles: 4999 * 12})
+
+  const batches = []
+  const sunk = new TraceRecorder({mode: 'full', limit: 4, sink: (entries) => batches.push(entries.map(({pc}) => pc))})
+  const againRam = new Uint8Array(Math.pow(2, 16))
+  againRam.set(loop)
+  const again = new ProcessorZ80(againRam)
+  sunk.attach(again)
+  again.run()
+  sunk.flush()
+  expect(batches).toStrictEqual([[0x0000, 0x0002, 0x0004, 0x0005], [0x0004, 0x0005, 0x0004, 0x0005], [0x0007]])
+  expect(sunk.getLength()).toBe(0)
+})
+
+test('It exports a trace as text, csv or in the layout of fuse', () => {
+  const ram = new Uint8Array(Math.pow(2, 16))
+  ram.set([
+    0xdd, 0x21, 0x34, 0x12, // ld ix,$1234
+    0xaf,                   // xor a
+    0x76                    // halt
+  ])
+  const cpu = new ProcessorZ80(ram)
+  const trace = new TraceRecorder
+  trace.attach(cpu)
+  cpu.run()
+
+  expect(trace.export('text')).toBe(
+    `${traceHeader('text')}\n` +
+    '0000 dd 21 34 12 ld ix,$1234          ffff 0000 0000 0000 ffff 0000 0000 0000 0000 0000 ffff 00 00 SZ5H3PNC 0\n' +
+    '0004 af          xor a,a              ffff 0000 0000 0000 ffff 0000 0000 0000 1234 0000 ffff 00 00 SZ5H3PNC 14\n' +
+    '0005 76          halt                 0044 0000 0000 0000 ffff 0000 0000 0000 1234 0000 ffff 00 00 -Z---P-- 18\n'
+  )
+  expect(trace.export('csv').split('\n').slice(0, 3)).toStrictEqual([
+    "pc,bytes,instruction,af,bc,de,hl,af',bc',de',hl',ix,iy,sp,i,r,flags,iff1,iff2,im,halted,t-states",
+    '0000,dd 21 34 12,"ld ix,$1234",ffff,0000,0000,0000,ffff,0000,0000,0000,0000,0000,ffff,00,00,SZ5H3PNC,1,1,0,0,0',
+    '0004,af,"xor a,a",ffff,0000,0000,0000,ffff,0000,0000,0000,1234,0000,ffff,00,00,SZ5H3PNC,1,1,0,0,14'
+  ])
+  expect(trace.export('fuse').split('\n')[2]).toBe(
+    '0044 0000 0000 0000 ffff 0000 0000 0000 1234 0000 ffff 0005 00 00 1 1 0 0 18'
+  )
+  expect(formatTraceEntry(trace.getEntry(0), 'fuse')).toBe(
+    'ffff 0000 0000 0000 ffff 0000 0000 0000 0000 0000 ffff 0000 00 00 1 1 0 0 0'
+  )
+  expect(() => trace.export('xml')).toThrow(RangeError)
+})
@@ -0,0 +1,11 @@
+'use strict'
+
+import SimulatorHost from './host.js'
+
+/**
+ * web worker entry point for the simulator; runs the cpu off the ui thread. see host.js for the protocol.
+ *
+ * rob andrews <rob@aphlor.org>
+ */
+const host = new SimulatorHost((message, transfer) => self.postMessage(message, transfer))
+self.addEventListener('message', (event) => host.handleMessage(event.data))
@@ -1,5 +1,7 @@
 'use strict'
 
+import { CpuFault, InvalidOpcodeFault, OpcodeTableFault, ExecuteWithoutFetchFault, WriteProtectFault } from './faults.js'
+
 /**
  * Z80 CPU simulator for javascript
  *
@@ -10,8 +12,16 @@
  */
 class ProcessorZ80
 {
-  // interrupts
-  #interrupts = true
+  // interrupt flip-flops: iff1 enables maskable interrupts, iff2 remembers iff1 whilst an nmi is serviced.
+  // eiDelay holds off maskable interrupts until the instruction following ei has executed.
+  #interrupts = {
+    iff1: true,
+    iff2: true,
+    eiDelay: false
+  }
+
+  // set by halt; the cpu executes nops until an interrupt arrives
+  #halted = false
 
   // cpu registers (initial states)
   #registers = {
@@ -42,59 +52,146 @@ class ProcessorZ80
   // into words before writing to registers in opcode emulation.
   // this REALLY helps with the translate_z80_tables.js dat->js generator.
   #regops = {
-    // generic read/write (prefixed with _ to discourage use outside of here)
-    _gen: (register, newVal) => {
-      if (typeof newVal === 'undefined')
-        return this.#registers[register]
-      this.#registers[register] = newVal
-    },
-    // 8-bit ops (excluding i and r, which use {}._gen())
-    _genHi: (register, newVal) => {
-      if (typeof newVal === 'undefined')
-        return this.#hi(this.#registers[register])
-      this.#registers[register] = this.#word(newVal, this.#lo(this.#registers[register]))
+    // each register has an accessor of its own rather than sharing one which looks the register up by name;
+    // these are the busiest functions in the cpu, and a shared lookup can't be optimised for any one register
+
+    pc: (newPC) => { // no 8-bit split
+      if (newPC === undefined)
+        return this.#registers.pc
+      this.#registers.pc = newPC
     },
-    _genLo: (register, newVal) => {
-      if (typeof newVal === 'undefined')
-        return this.#lo(this.#registers[register])
-      this.#registers[register] = this.#word(this.#hi(this.#registers[register]), newVal)
+    sp: (newSP) => { // no 8-bit split
+      if (newSP === undefined)
+        return this.#registers.sp
+      this.#registers.sp = newSP
     },
 
-    // map the above three methods to shorthand register operations
-
-    pc: (newPC) => this.#regops._gen('pc', newPC), // no 8-bit split
-    sp: (newSP) => this.#regops._gen('sp', newSP), // no 8-bit split
-
-    a: (newA) => this.#regops._genHi('af', newA),
-    f: (newF) => this.#regops._genLo('af', newF),
-    af: (newAF) => this.#regops._gen('af', newAF),
-    af2: (newAF2) => this.#regops._gen('af2', newAF2),
+    a: (newA) => {
+      if (newA === undefined)
+        return this.#hi(this.#registers.af)
+      this.#registers.af = this.#word(newA, this.#lo(this.#registers.af))
+    },
+    f: (newF) => {
+      if (newF === undefined)
+        return this.#lo(this.#registers.af)
+      this.#registers.af = this.#word(this.#hi(this.#registers.af), newF)
+    },
+    af: (newAF) => {
+      if (newAF === undefined)
+        return this.#registers.af
+      this.#registers.af = newAF
+    },
+    af2: (newAF2) => {
+      if (newAF2 === undefined)
+        return this.#registers.af2
+      this.#registers.af2 = newAF2
+    },
 
-    b: (newB) => this.#regops._genHi('bc', newB),
-    c: (newC) => this.#regops._genLo('bc', newC),
-    bc: (newBC) => this.#regops._gen('bc', newBC),
-    bc2: (newBC2) => this.#regops._gen('bc2', newBC2),
+    b: (newB) => {
+      if (newB === undefined)
+        return this.#hi(this.#registers.bc)
+      this.#registers.bc = this.#word(newB, this.#lo(this.#registers.bc))
+    },
+    c: (newC) => {
+      if (newC === undefined)
+        return this.#lo(this.#registers.bc)
+      this.#registers.bc = this.#word(this.#hi(this.#registers.bc), newC)
+    },
+    bc: (newBC) => {
+      if (newBC === undefined)
+        return this.#registers.bc
+      this.#registers.bc = newBC
+    },
+    bc2: (newBC2) => {
+      if (newBC2 === undefined)
+        return this.#registers.bc2
+      this.#registers.bc2 = newBC2
+    },
 
-    d: (newD) => this.#regops._genHi('de', newD),
-    e: (newE) => this.#regops._genLo('de', newE),
-    de: (newDE) => this.#regops._gen('de', newDE),
-    de2: (newDE2) => this.#regops._gen('de2', newDE2),
+    d: (newD) => {
+      if (newD === undefined)
+        return this.#hi(this.#registers.de)
+      this.#registers.de = this.#word(newD, this.#lo(this.#registers.de))
+    },
+    e: (newE) => {
+      if (newE === undefined)
+        return this.#lo(this.#registers.de)
+      this.#registers.de = this.#word(this.#hi(this.#registers.de), newE)
+    },
+    de: (newDE) => {
+      if (newDE === undefined)
+        return this.#registers.de
+      this.#registers.de = newDE
+    },
+    de2: (newDE2) => {
+      if (newDE2 === undefined)
+        return this.#registers.de2
+      this.#registers.de2 = newDE2
+    },
 
-    h: (newH) => this.#regops._genHi('hl', newH),
-    l: (newL) => this.#regops._genLo('hl', newL),
-    hl: (newHL) => this.#regops._gen('hl', newHL),
-    hl2: (newHL2) => this.#regops._gen('hl2', newHL2),
+    h: (newH) => {
+      if (newH === undefined)
+        return this.#hi(this.#registers.hl)
+      this.#registers.hl = this.#word(newH, this.#lo(this.#registers.hl))
+    },
+    l: (newL) => {
+      if (newL === undefined)
+        return this.#lo(this.#registers.hl)
+      this.#registers.hl = this.#word(this.#hi(this.#registers.hl), newL)
+    },
+    hl: (newHL) => {
+      if (newHL === undefined)
+        return this.#registers.hl
+      this.#registers.hl = newHL
+    },
+    hl2: (newHL2) => {
+      if (newHL2 === undefined)
+        return this.#registers.hl2
+      this.#registers.hl2 = newHL2
+    },
 
-    ixh: (newIXH) => this.#regops._genHi('ix', newIXH),
-    ixl: (newIXL) => this.#regops._genLo('ix', newIXL),
-    ix: (newIX) => this.#regops._gen('ix', newIX),
+    ixh: (newIXH) => {
+      if (newIXH === undefined)
+        return this.#hi(this.#registers.ix)
+      this.#registers.ix = this.#word(newIXH, this.#lo(this.#registers.ix))
+    },
+    ixl: (newIXL) => {
+      if (newIXL === undefined)
+        return this.#lo(this.#registers.ix)
+      this.#registers.ix = this.#word(this.#hi(this.#registers.ix), newIXL)
+    },
+    ix: (newIX) => {
+      if (newIX === undefined)
+        return this.#registers.ix
+      this.#registers.ix = newIX
+    },
 
-    iyh: (newIYH) => this.#regops._genHi('iy', newIYH),
-    iyl: (newIYL) => this.#regops._genLo('iy', newIYL),
-    iy: (newIY) => this.#regops._gen('iy', newIY),
+    iyh: (newIYH) => {
+      if (newIYH === undefined)
+        return this.#hi(this.#registers.iy)
+      this.#registers.iy = this.#word(newIYH, this.#lo(this.#registers.iy))
+    },
+    iyl: (newIYL) => {
+      if (newIYL === undefined)
+        return this.#lo(this.#registers.iy)
+      this.#registers.iy = this.#word(this.#hi(this.#registers.iy), newIYL)
+    },
+    iy: (newIY) => {
+      if (newIY === undefined)
+        return this.#registers.iy
+      this.#registers.iy = newIY
+    },
 
-    i: (newI) => this.#regops._gen('i', newI), // no 16-bit combination
-    r: (newR) => this.#regops._gen('r', newR)  // no 16-bit combination
+    i: (newI) => { // no 16-bit combination
+      if (newI === undefined)
+        return this.#registers.i
+      this.#registers.i = newI
+    },
+    r: (newR) => { // no 16-bit combination
+      if (newR === undefined)
+        return this.#registers.r
+      this.#registers.r = newR
+    }
   }
 
   // F register bitmasks
@@ -111,9 +208,32 @@ class ProcessorZ80
   // memory area (64KB)
   #ram = new Uint8Array(Math.pow(2, 16))
 
+  // banked memory (see setBanks()): the address space is split into slots of one bank each, and each slot shows
+  // either the bank paged into it or its own part of #ram. #slots holds the memory seen through each slot, so
+  // that an access is a lookup of slot (address >> #slotShift) at offset (address & #slotMask)
+  #banks = []
+  #slotBanks = [null]
+  #slots = []
+  #slotShift = 16
+  #slotMask = 0xffff
+
+  // the memory map (see setMemoryMap()), and what a write does at each address: one of the #MEMORY_* values,
+  // looked up by every write
+  #memoryMap = []
+  #writeProtection = new Uint8Array(Math.pow(2, 16))
+  #MEMORY_WRITABLE = 0
+  #MEMORY_READ_ONLY = 1
+  #MEMORY_FAULT = 2
+
   // opcode instruction table
   #opcodes = []
 
+  // t-states taken by each opcode (matching the layout of #opcodes); conditional opcodes add their own extra t-states
+  #opcodeCycles = []
+
+  // t-states elapsed since the cpu was created
+  #cycles = 0
+
   // flag tables for F3, F5, Z and S flags (ported from philip kendall's z80.c line 133)
   #flagTable = {
     sz53: [],
@@ -127,8 +247,47 @@ class ProcessorZ80
   #overflowAdd = [0, 0, 0, this.#FREG_V, this.#FREG_V, 0, 0, 0]
   #overflowSub = [0, this.#FREG_V, 0, 0, 0, 0, this.#FREG_V, 0]
 
-  // input/output handlers
+  // input/output handlers as {id, start, end, mask, handler}, oldest first (see addIoRangeHandler()), and the
+  // handler for ports none of them match
   #ioHandlers = []
+  #nextIoHandlerId = 1
+  #defaultIoHandler = null
+
+  // the context passed to i/o handlers; one object, updated before each call, so that i/o allocates nothing
+  #ioContext = {cpu: this, pc: 0}
+
+  // memory mapped device handlers as {id, start, end, handler}, oldest first (see addMemoryHandler()), and for
+  // each address, one more than the position of the handler which answers it (0 for plain memory)
+  #memoryHandlers = []
+  #nextMemoryHandlerId = 1
+  #memoryHandlerIndex = new Uint16Array(Math.pow(2, 16))
+
+  // functions called when reti executes, as {id, handler} (see addRetiHandler())
+  #retiHandlers = []
+  #nextRetiHandlerId = 1
+
+  // function called with the cpu before each instruction is fetched, or null (see setTraceHandler())
+  #traceHandler = null
+
+  // addresses which stop run()/runUntil() before the instruction there executes
+  #breakpoints = new Set()
+
+  // memory watchpoints, keyed by id; see addWatchpoint()
+  #watchpoints = new Map()
+  #nextWatchpointId = 1
+
+  // the first watchpoint hit by the instruction being executed (null if none)
+  #watchpointHit = null
+
+  // execution history for stepBack(); a ring buffer of #historyLimit entries (0 turns history off), each
+  // holding the cpu state before an instruction and the ram bytes the instruction overwrote
+  #history = []
+  #historyStart = 0
+  #historyLength = 0
+  #historyLimit = 0
+
+  // the history entry for the instruction being executed, which ram writes are recorded into
+  #historyEntry = null
 
   /**
    * Generate the flagTable tables for sign, zero, parity/overflow, F3 and F5 undocumented flags.
@@ -172,9 +331,26 @@ class ProcessorZ80
     return finalResult
   }
 
-  // ...PK's SUB for 16-bit ops
-  #sub16 = (value1, value2) => {
-    let [underflowedResult, finalResult] = [value1 - value2, this.#subWord(value1, value2)]
+  // Philip Kendall's ADC16; like add16 but with the carry brought in, and every flag is affected
+  #adc16 = (value1, value2, carry) => {
+    let [overflowedResult, finalResult] = [value1 + value2 + carry, this.#addWord(value1, value2 + carry)]
+    let hcaLookup = ((value1 & 0x8800) >> 11) |
+                    ((value2 & 0x8800) >> 10) |
+                    ((overflowedResult & 0x8800) >> 9)
+
+    this.#regops.f(
+      ((overflowedResult & 0x10000) ? this.#FREG_C : 0) |
+      this.#overflowAdd[hcaLookup >> 4] |
+      this.#halfCarryAdd[hcaLookup & 0x07] |
+      (finalResult === 0 ? this.#FREG_Z : 0) |
+      ((finalResult >> 8) & (this.#FREG_F3 | this.#FREG_F5 | this.#FREG_S))
+    )
+    return finalResult
+  }
+
+  // ...PK's SBC16 (there's no 16-bit sub without carry)
+  #sub16 = (value1, value2, carry = 0) => {
+    let [underflowedResult, finalResult] = [value1 - value2 - carry, this.#subWord(value1, value2 + carry)]
     let hcsLookup = (((value1 & 0x8800) >> 11) |
                      ((value2 & 0x8800) >> 10) |
                      ((underflowedResult & 0x8800) >> 9)) & 0xff
@@ -193,9 +369,9 @@ class ProcessorZ80
   }
 
   // ...and ported from Philip Kendall's ADD with changes by myself
-  #add8 = (value1, value2) => {
-    // in reality, all adds stack onto the accumulator, but let's retain convention with add16
-    let [overflowedResult, finalResult] = [value1 + value2, this.#addByte(value1, value2)]
+  #add8 = (value1, value2, carry = 0) => {
+    // in reality, all adds stack onto the accumulator, but let's retain convention with add16; carry is 1 for adc
+    let [overflowedResult, finalResult] = [value1 + value2 + carry, this.#addByte(value1, value2 + carry)]
     let hcaLookup = ((value1 & 0x88) >> 3) |
                     ((value2 & 0x88) >> 2) |
                     ((overflowedResult & 0x88) >> 1)
@@ -212,8 +388,9 @@ class ProcessorZ80
   }
 
   // ...also PK's SUB with subtle changes
-  #sub8 = (value1, value2) => {
-    let [underflowedResult, finalResult] = [this.#subWord(value1, value2), this.#subByte(value1, value2)]
+  #sub8 = (value1, value2, carry = 0) => {
+    // carry is 1 for sbc
+    let [underflowedResult, finalResult] = [this.#subWord(value1, value2 + carry), this.#subByte(value1, value2 + carry)]
     let hcsLookup = ((value1 & 0x88) >> 3) |
                     ((value2 & 0x88) >> 2) |
                     ((underflowedResult & 0x88) >> 1)
@@ -224,7 +401,7 @@ class ProcessorZ80
       this.#FREG_N |
       this.#halfCarrySub[hcsLookup & 0x07] |
       this.#overflowSub[hcsLookup >> 4] |
-      this.#flagTable.sz53[value1]
+      this.#flagTable.sz53[finalResult]
     )
 
     return finalResult
@@ -309,6 +486,60 @@ class ProcessorZ80
    */
   #subWord = (base, value) => (base - value) & 0xffff
 
+  /**
+   * Read a byte of memory; all data reads made by opcodes go through here so that watchpoints see them
+   *
+   * @param number  address Address to read (wraps around at 64KB)
+   * @return number
+   */
+  #readByte = (address) => {
+    address &= 0xffff
+    let value = this.#slots[address >> this.#slotShift][address & this.#slotMask]
+    if ((this.#memoryHandlers.length > 0) && (this.#memoryHandlerIndex[address] !== 0))
+      value = this.#callMemoryHandler(address, 'r', value)
+    if (this.#watchpoints.size > 0)
+      this.#checkWatchpoints(address, 'r', value)
+
+    return value
+  }
+
+  /**
+   * Write a byte of memory; all data writes made by opcodes go through here so that watchpoints and the memory
+   * map see them
+   *
+   * @param number  address Address to write (wraps around at 64KB)
+   * @param number  value   Byte to write
+   * @throws WriteProtectFault  when the address is rom which faults on writes
+   * @return number The value written, so that writes can be chained into register loads
+   */
+  #writeByte = (address, value) => {
+    address &= 0xffff
+    if ((this.#memoryHandlers.length > 0) && (this.#memoryHandlerIndex[address] !== 0))
+      this.#callMemoryHandler(address, 'w', value & 0xff)
+
+    if (this.#writeProtection[address] !== this.#MEMORY_WRITABLE) {
+      if (this.#writeProtection[address] === this.#MEMORY_FAULT)
+        throw this.#fault(WriteProtectFault, address, value & 0xff)
+
+      // rom ignores the write, but the access still happened as far as watchpoints are concerned
+      if (this.#watchpoints.size > 0)
+        this.#checkWatchpoints(address, 'w', value & 0xff)
+
+      return value & 0xff
+    }
+
+    const slot = this.#slots[address >> this.#slotShift]
+    const offset = address & this.#slotMask
+    if (this.#historyEntry !== null)
+      this.#historyEntry.ram.push(address, slot[offset])
+
+    slot[offset] = value
+    if (this.#watchpoints.size > 0)
+      this.#checkWatchpoints(address, 'w', slot[offset])
+
+    return slot[offset]
+  }
+
   /**
    * Put a byte on the stack
    *
@@ -316,7 +547,7 @@ class ProcessorZ80
    */
   #pushByte = (val) => {
     this.#registers.sp = this.#subWord(this.#registers.sp, 1)
-    this.#ram[this.#registers.sp] = val
+    this.#writeByte(this.#registers.sp, val)
   }
 
   /**
@@ -325,7 +556,7 @@ class ProcessorZ80
    * @return number
    */
   #popByte = () => {
-    let stackByte = this.#ram[this.#registers.sp]
+    let stackByte = this.#readByte(this.#registers.sp)
     this.#registers.sp = this.#addWord(this.#registers.sp, 1)
     return stackByte
   }
@@ -356,7 +587,8 @@ class ProcessorZ80
    * @return number
    */
   #getPC = () => {
-    let val = this.#ram[this.#registers.pc++]
+    const pc = this.#registers.pc++
+    let val = this.#slots[pc >> this.#slotShift][pc & this.#slotMask]
     this.#registers.pc = this.#registers.pc & 0xffff
     return val
   }
@@ -387,41 +619,46 @@ class ProcessorZ80
     // START: this block is AUTOMATICALLY GENERATED SEE /z80_tables/*
     // nop
     this.#opcodes[0x00] = () => {}
+    this.#opcodeCycles[0x00] = 4
     // ld bc,nnnn
     this.#opcodes[0x01] = () => {
       const [lo, hi] = [this.#getPC(), this.#getPC()]
       this.#regops.bc(this.#word(hi, lo))
     }
+    this.#opcodeCycles[0x01] = 10
     // ld (bc),a
-    this.#opcodes[0x02] = () => { this.#ram[this.#regops.bc()] = this.#regops.a() }
+    this.#opcodes[0x02] = () => { this.#writeByte(this.#regops.bc(), this.#regops.a()) }
+    this.#opcodeCycles[0x02] = 7
     // inc bc
     this.#opcodes[0x03] = () => { this.#registers.bc = this.#addWord(this.#registers.bc, 1) }
+    this.#opcodeCycles[0x03] = 6
     // inc b
     this.#opcodes[0x04] = () => {
       this.#regops.b(this.#addByte(this.#regops.b(), 1))
       this.#regops.f(
-          this.#regops.f()
-        | this.#FREG_C
+          (this.#regops.f() & this.#FREG_C)
         | ((this.#regops.b() & 0x0f) ? 0 : this.#FREG_H)
-        | ((this.#regops.f() == 0x80) ? this.#FREG_V : 0)
+        | ((this.#regops.b() == 0x80) ? this.#FREG_V : 0)
         | this.#flagTable.sz53[this.#regops.b()]
       )
     }
+    this.#opcodeCycles[0x04] = 4
     // dec b
     this.#opcodes[0x05] = () => {
       const old = this.#regops.b()
       this.#regops.b(this.#subByte(this.#regops.b(), 1))
       this.#regops.f(
-          this.#regops.f()
-        | this.#FREG_C
+          (this.#regops.f() & this.#FREG_C)
         | ((old & 0x0f) ? 0 : this.#FREG_H)
         | this.#FREG_N
         | ((this.#regops.b() == 0x7f) ? this.#FREG_V : 0)
         | this.#flagTable.sz53[this.#regops.b()]
       )
     }
+    this.#opcodeCycles[0x05] = 4
     // ld b,nn
     this.#opcodes[0x06] = () => { this.#regops.b(this.#getPC()) }
+    this.#opcodeCycles[0x06] = 7
     // rlca
     this.#opcodes[0x07] = () => {
       this.#regops.a(this.#lo((this.#regops.a() << 1) | (this.#regops.a() >> 7)))
@@ -431,46 +668,52 @@ class ProcessorZ80
         | ((this.#regops.a() & 0x01) ? this.#FREG_C : 0)
       )
     }
+    this.#opcodeCycles[0x07] = 4
     // ex af,af'
     this.#opcodes[0x08] = () => {
       const temp = this.#regops.af()
       this.#regops.af(this.#regops.af2())
       this.#regops.af2(temp)
     }
+    this.#opcodeCycles[0x08] = 4
     // add hl,bc
     this.#opcodes[0x09] = () => {
       this.#regops.hl(this.#add16(this.#regops.hl(), this.#regops.bc()))
     }
+    this.#opcodeCycles[0x09] = 11
     // ld a,(bc)
-    this.#opcodes[0x0a] = () => { this.#regops.a(this.#ram[this.#regops.bc()]) }
+    this.#opcodes[0x0a] = () => { this.#regops.a(this.#readByte(this.#regops.bc())) }
+    this.#opcodeCycles[0x0a] = 7
     // dec bc
     this.#opcodes[0x0b] = () => { this.#registers.bc = this.#subWord(this.#registers.bc, 1) }
+    this.#opcodeCycles[0x0b] = 6
     // inc c
     this.#opcodes[0x0c] = () => {
       this.#regops.c(this.#addByte(this.#regops.c(), 1))
       this.#regops.f(
-          this.#regops.f()
-        | this.#FREG_C
+          (this.#regops.f() & this.#FREG_C)
         | ((this.#regops.c() & 0x0f) ? 0 : this.#FREG_H)
-        | ((this.#regops.f() == 0x80) ? this.#FREG_V : 0)
+        | ((this.#regops.c() == 0x80) ? this.#FREG_V : 0)
         | this.#flagTable.sz53[this.#regops.c()]
       )
     }
+    this.#opcodeCycles[0x0c] = 4
     // dec c
     this.#opcodes[0x0d] = () => {
       const old = this.#regops.c()
       this.#regops.c(this.#subByte(this.#regops.c(), 1))
       this.#regops.f(
-          this.#regops.f()
-        | this.#FREG_C
+          (this.#regops.f() & this.#FREG_C)
         | ((old & 0x0f) ? 0 : this.#FREG_H)
         | this.#FREG_N
         | ((this.#regops.c() == 0x7f) ? this.#FREG_V : 0)
         | this.#flagTable.sz53[this.#regops.c()]
       )
     }
+    this.#opcodeCycles[0x0d] = 4
     // ld c,nn
     this.#opcodes[0x0e] = () => { this.#regops.c(this.#getPC()) }
+    this.#opcodeCycles[0x0e] = 7
     // rrca
     this.#opcodes[0x0f] = () => {
       this.#regops.a(this.#lo((this.#regops.a() << 7) | (this.#regops.a() >> 1)))
@@ -480,48 +723,56 @@ class ProcessorZ80
         | ((this.#regops.a() & 0x80) ? this.#FREG_C : 0)
       )
     }
+    this.#opcodeCycles[0x0f] = 4
     // djnz offset
     this.#opcodes[0x10] = () => {
-      const [offset, instructionBase] = [this.#getPC(), this.#registers.pc - 2]
-      this.#regops.b(this.#sub8(this.#regops.b(), 1))
-      if (this.#regops.b())
-        this.#registers.pc = this.#addWord(instructionBase, this.#uint8ToInt8(offset))
+      const offset = this.#getPC()
+      this.#regops.b(this.#subByte(this.#regops.b(), 1))
+      if (this.#regops.b()) {
+        this.#registers.pc = this.#addWord(this.#registers.pc, this.#uint8ToInt8(offset))
+        this.#cycles += 5
+      }
     }
+    this.#opcodeCycles[0x10] = 8
     // ld de,nnnn
     this.#opcodes[0x11] = () => {
       const [lo, hi] = [this.#getPC(), this.#getPC()]
       this.#regops.de(this.#word(hi, lo))
     }
+    this.#opcodeCycles[0x11] = 10
     // ld (de),a
-    this.#opcodes[0x12] = () => { this.#ram[this.#regops.de()] = this.#regops.a() }
+    this.#opcodes[0x12] = () => { this.#writeByte(this.#regops.de(), this.#regops.a()) }
+    this.#opcodeCycles[0x12] = 7
     // inc de
     this.#opcodes[0x13] = () => { this.#registers.de = this.#addWord(this.#registers.de, 1) }
+    this.#opcodeCycles[0x13] = 6
     // inc d
     this.#opcodes[0x14] = () => {
       this.#regops.d(this.#addByte(this.#regops.d(), 1))
       this.#regops.f(
-          this.#regops.f()
-        | this.#FREG_C
+          (this.#regops.f() & this.#FREG_C)
         | ((this.#regops.d() & 0x0f) ? 0 : this.#FREG_H)
-        | ((this.#regops.f() == 0x80) ? this.#FREG_V : 0)
+        | ((this.#regops.d() == 0x80) ? this.#FREG_V : 0)
         | this.#flagTable.sz53[this.#regops.d()]
       )
     }
+    this.#opcodeCycles[0x14] = 4
     // dec d
     this.#opcodes[0x15] = () => {
       const old = this.#regops.d()
       this.#regops.d(this.#subByte(this.#regops.d(), 1))
       this.#regops.f(
-          this.#regops.f()
-        | this.#FREG_C
+          (this.#regops.f() & this.#FREG_C)
         | ((old & 0x0f) ? 0 : this.#FREG_H)
         | this.#FREG_N
         | ((this.#regops.d() == 0x7f) ? this.#FREG_V : 0)
         | this.#flagTable.sz53[this.#regops.d()]
       )
     }
+    this.#opcodeCycles[0x15] = 4
     // ld d,nn
     this.#opcodes[0x16] = () => { this.#regops.d(this.#getPC()) }
+    this.#opcodeCycles[0x16] = 7
     // rla
     this.#opcodes[0x17] = () => {
       const carry = (this.#regops.f() & this.#FREG_C) ? 0x01 : 0x00
@@ -533,45 +784,51 @@ class ProcessorZ80
         | newCarry
       )
     }
+    this.#opcodeCycles[0x17] = 4
     // jr offset
     this.#opcodes[0x18] = () => {
-      const [offset, instructionBase] = [this.#getPC(), this.#registers.pc - 2]
-      this.#registers.pc = this.#addWord(instructionBase, this.#uint8ToInt8(offset))
+      const offset = this.#getPC()
+      this.#registers.pc = this.#addWord(this.#registers.pc, this.#uint8ToInt8(offset))
     }
+    this.#opcodeCycles[0x18] = 12
     // add hl,de
     this.#opcodes[0x19] = () => {
       this.#regops.hl(this.#add16(this.#regops.hl(), this.#regops.de()))
     }
+    this.#opcodeCycles[0x19] = 11
     // ld a,(de)
-    this.#opcodes[0x1a] = () => { this.#regops.a(this.#ram[this.#regops.de()]) }
+    this.#opcodes[0x1a] = () => { this.#regops.a(this.#readByte(this.#regops.de())) }
+    this.#opcodeCycles[0x1a] = 7
     // dec de
     this.#opcodes[0x1b] = () => { this.#registers.de = this.#subWord(this.#registers.de, 1) }
+    this.#opcodeCycles[0x1b] = 6
     // inc e
     this.#opcodes[0x1c] = () => {
       this.#regops.e(this.#addByte(this.#regops.e(), 1))
       this.#regops.f(
-          this.#regops.f()
-        | this.#FREG_C
+          (this.#regops.f() & this.#FREG_C)
         | ((this.#regops.e() & 0x0f) ? 0 : this.#FREG_H)
-        | ((this.#regops.f() == 0x80) ? this.#FREG_V : 0)
+        | ((this.#regops.e() == 0x80) ? this.#FREG_V : 0)
         | this.#flagTable.sz53[this.#regops.e()]
       )
     }
+    this.#opcodeCycles[0x1c] = 4
     // dec e
     this.#opcodes[0x1d] = () => {
       const old = this.#regops.e()
       this.#regops.e(this.#subByte(this.#regops.e(), 1))
       this.#regops.f(
-          this.#regops.f()
-        | this.#FREG_C
+          (this.#regops.f() & this.#FREG_C)
         | ((old & 0x0f) ? 0 : this.#FREG_H)
         | this.#FREG_N
         | ((this.#regops.e() == 0x7f) ? this.#FREG_V : 0)
         | this.#flagTable.sz53[this.#regops.e()]
       )
     }
+    this.#opcodeCycles[0x1d] = 4
     // ld e,nn
     this.#opcodes[0x1e] = () => { this.#regops.e(this.#getPC()) }
+    this.#opcodeCycles[0x1e] = 7
     // rra
     this.#opcodes[0x1f] = () => {
       const carry = (this.#regops.f() & this.#FREG_C) ? 0x80 : 0x00
@@ -583,54 +840,62 @@ class ProcessorZ80
         | newCarry
       )
     }
+    this.#opcodeCycles[0x1f] = 4
     // jr nz,offset
     this.#opcodes[0x20] = () => {
-      const [offset, instructionBase] = [this.#getPC(), this.#registers.pc - 2]
-      if ((this.#regops.f() & this.#FREG_Z) == 0)
-        this.#registers.pc = this.#addWord(instructionBase, this.#uint8ToInt8(offset))
+      const offset = this.#getPC()
+      if ((this.#regops.f() & this.#FREG_Z) == 0) {
+        this.#registers.pc = this.#addWord(this.#registers.pc, this.#uint8ToInt8(offset))
+        this.#cycles += 5
+      }
     }
+    this.#opcodeCycles[0x20] = 7
     // ld hl,nnnn
     this.#opcodes[0x21] = () => {
       const [lo, hi] = [this.#getPC(), this.#getPC()]
       this.#regops.hl(this.#word(hi, lo))
     }
+    this.#opcodeCycles[0x21] = 10
     // ld (nnnn),hl
     this.#opcodes[0x22] = () => {
       const [lo, hi] = [this.#getPC(), this.#getPC()]
-      this.#ram[this.#word(hi, lo)] = this.#regops.l()
-      this.#ram[this.#addWord(this.#word(hi, lo), 1)] = this.#regops.h()
+      this.#writeByte(this.#word(hi, lo), this.#lo(this.#registers.hl))
+      this.#writeByte(this.#addWord(this.#word(hi, lo), 1), this.#hi(this.#registers.hl))
     }
+    this.#opcodeCycles[0x22] = 16
     // inc hl
     this.#opcodes[0x23] = () => { this.#registers.hl = this.#addWord(this.#registers.hl, 1) }
+    this.#opcodeCycles[0x23] = 6
     // inc h
     this.#opcodes[0x24] = () => {
       this.#regops.h(this.#addByte(this.#regops.h(), 1))
       this.#regops.f(
-          this.#regops.f()
-        | this.#FREG_C
+          (this.#regops.f() & this.#FREG_C)
         | ((this.#regops.h() & 0x0f) ? 0 : this.#FREG_H)
-        | ((this.#regops.f() == 0x80) ? this.#FREG_V : 0)
+        | ((this.#regops.h() == 0x80) ? this.#FREG_V : 0)
         | this.#flagTable.sz53[this.#regops.h()]
       )
     }
+    this.#opcodeCycles[0x24] = 4
     // dec h
     this.#opcodes[0x25] = () => {
       const old = this.#regops.h()
       this.#regops.h(this.#subByte(this.#regops.h(), 1))
       this.#regops.f(
-          this.#regops.f()
-        | this.#FREG_C
+          (this.#regops.f() & this.#FREG_C)
         | ((old & 0x0f) ? 0 : this.#FREG_H)
         | this.#FREG_N
         | ((this.#regops.h() == 0x7f) ? this.#FREG_V : 0)
         | this.#flagTable.sz53[this.#regops.h()]
       )
     }
+    this.#opcodeCycles[0x25] = 4
     // ld h,nn
     this.#opcodes[0x26] = () => { this.#regops.h(this.#getPC()) }
+    this.#opcodeCycles[0x26] = 7
     // daa
     this.#opcodes[0x27] = () => {
-      const [add, carry] = [0, this.#regops.f() & this.#FREG_C]
+      let [add, carry] = [0, this.#regops.f() & this.#FREG_C]
 
       if ((this.#regops.f() & this.#FREG_H) || ((this.#regops.a() & 0x0f) > 9))
         add = 6
@@ -651,107 +916,123 @@ class ProcessorZ80
         | this.#flagTable.parity[this.#regops.a()]
       )
     }
+    this.#opcodeCycles[0x27] = 4
     // jr z,offset
     this.#opcodes[0x28] = () => {
-      const [offset, instructionBase] = [this.#getPC(), this.#registers.pc - 2]
-      if (this.#regops.f() & this.#FREG_Z)
-        this.#registers.pc = this.#addWord(instructionBase, this.#uint8ToInt8(offset))
+      const offset = this.#getPC()
+      if (this.#regops.f() & this.#FREG_Z) {
+        this.#registers.pc = this.#addWord(this.#registers.pc, this.#uint8ToInt8(offset))
+        this.#cycles += 5
+      }
     }
+    this.#opcodeCycles[0x28] = 7
     // add hl,hl
     this.#opcodes[0x29] = () => {
       this.#regops.hl(this.#add16(this.#regops.hl(), this.#regops.hl()))
     }
+    this.#opcodeCycles[0x29] = 11
     // ld hl,(nnnn)
     this.#opcodes[0x2a] = () => {
       const [lo, hi] = [this.#getPC(), this.#getPC()]
-      this.#regops.l(this.#ram[this.#word(hi, lo)])
-      this.#regops.h(this.#ram[this.#addWord(this.#word(hi, lo), 1)])
+      const address = this.#word(hi, lo)
+      this.#regops.hl(this.#word(this.#readByte(this.#addWord(address, 1)), this.#readByte(address)))
     }
+    this.#opcodeCycles[0x2a] = 16
     // dec hl
     this.#opcodes[0x2b] = () => { this.#registers.hl = this.#subWord(this.#registers.hl, 1) }
+    this.#opcodeCycles[0x2b] = 6
     // inc l
     this.#opcodes[0x2c] = () => {
       this.#regops.l(this.#addByte(this.#regops.l(), 1))
       this.#regops.f(
-          this.#regops.f()
-        | this.#FREG_C
+          (this.#regops.f() & this.#FREG_C)
         | ((this.#regops.l() & 0x0f) ? 0 : this.#FREG_H)
-        | ((this.#regops.f() == 0x80) ? this.#FREG_V : 0)
+        | ((this.#regops.l() == 0x80) ? this.#FREG_V : 0)
         | this.#flagTable.sz53[this.#regops.l()]
       )
     }
+    this.#opcodeCycles[0x2c] = 4
     // dec l
     this.#opcodes[0x2d] = () => {
       const old = this.#regops.l()
       this.#regops.l(this.#subByte(this.#regops.l(), 1))
       this.#regops.f(
-          this.#regops.f()
-        | this.#FREG_C
+          (this.#regops.f() & this.#FREG_C)
         | ((old & 0x0f) ? 0 : this.#FREG_H)
         | this.#FREG_N
         | ((this.#regops.l() == 0x7f) ? this.#FREG_V : 0)
         | this.#flagTable.sz53[this.#regops.l()]
       )
     }
+    this.#opcodeCycles[0x2d] = 4
     // ld l,nn
     this.#opcodes[0x2e] = () => { this.#regops.l(this.#getPC()) }
+    this.#opcodeCycles[0x2e] = 7
     // cpl
     this.#opcodes[0x2f] = () => {
       this.#regops.a(this.#regops.a() ^ 0xff)
       this.#regops.f(
           this.#regops.f()
         & (this.#FREG_C | this.#FREG_P | this.#FREG_Z | this.#FREG_S)
-        | (this.regops.a() & (this.#FREG_F3 | this.#FREG_F5))
+        | (this.#regops.a() & (this.#FREG_F3 | this.#FREG_F5))
         | this.#FREG_N | this.#FREG_H
       )
     }
+    this.#opcodeCycles[0x2f] = 4
     // jr nc,offset
     this.#opcodes[0x30] = () => {
-      const [offset, instructionBase] = [this.#getPC(), this.#registers.pc - 2]
-      if ((this.#regops.f() & this.#FREG_C) == 0)
-        this.#registers.pc = this.#addWord(instructionBase, this.#uint8ToInt8(offset))
+      const offset = this.#getPC()
+      if ((this.#regops.f() & this.#FREG_C) == 0) {
+        this.#registers.pc = this.#addWord(this.#registers.pc, this.#uint8ToInt8(offset))
+        this.#cycles += 5
+      }
     }
+    this.#opcodeCycles[0x30] = 7
     // ld sp,nnnn
     this.#opcodes[0x31] = () => {
       const [lo, hi] = [this.#getPC(), this.#getPC()]
       this.#regops.sp(this.#word(hi, lo))
     }
+    this.#opcodeCycles[0x31] = 10
     // ld (nnnn),a
     this.#opcodes[0x32] = () => {
       const [lo, hi] = [this.#getPC(), this.#getPC()]
-      this.#ram[this.#word(hi, lo)] = this.#regops.a()
+      this.#writeByte(this.#word(hi, lo), this.#regops.a())
     }
+    this.#opcodeCycles[0x32] = 13
     // inc sp
     this.#opcodes[0x33] = () => { this.#registers.sp = this.#addWord(this.#registers.sp, 1) }
+    this.#opcodeCycles[0x33] = 6
     // inc (hl)
     this.#opcodes[0x34] = () => {
-      const oldByte = this.#ram[this.#registers.hl]
+      const oldByte = this.#readByte(this.#registers.hl)
       const newByte = this.#addByte(oldByte, 1)
-      this.#ram[this.#registers.hl] = newByte
+      this.#writeByte(this.#registers.hl, newByte)
       this.#regops.f(
-          this.#regops.f()
-        | this.#FREG_C
-        | ((oldByte & 0x0f) ? 0 : this.#FREG_H)
+          (this.#regops.f() & this.#FREG_C)
+        | ((newByte & 0x0f) ? 0 : this.#FREG_H)
         | ((newByte == 0x80) ? this.#FREG_V : 0)
         | this.#flagTable.sz53[newByte]
       )
     }
+    this.#opcodeCycles[0x34] = 11
     // dec (hl)
     this.#opcodes[0x35] = () => {
-      const oldByte = this.#ram[this.#registers.hl]
+      const oldByte = this.#readByte(this.#registers.hl)
       const newByte = this.#subByte(oldByte, 1)
-      this.#ram[this.#registers.hl] = newByte
+      this.#writeByte(this.#registers.hl, newByte)
       this.#regops.f(
-          this.#regops.f()
-        | this.#FREG_C
+          (this.#regops.f() & this.#FREG_C)
         | ((oldByte & 0x0f) ? 0 : this.#FREG_H)
         | this.#FREG_N
         | ((newByte == 0x7f) ? this.#FREG_V : 0)
         | this.#flagTable.sz53[newByte]
       )
     }
+    this.#opcodeCycles[0x35] = 11
     // ld (hl),nn
-    this.#opcodes[0x36] = () => { this.#ram[this.#regops.hl()] = this.#getPC() }
+    this.#opcodes[0x36] = () => { this.#writeByte(this.#regops.hl(), this.#getPC()) }
+    this.#opcodeCycles[0x36] = 10
     // scf
     this.#opcodes[0x37] = () => {
       this.#regops.f(
@@ -760,472 +1041,600 @@ class ProcessorZ80
         | (this.#regops.a() & (this.#FREG_F3 | this.#FREG_F5))
       )
     }
+    this.#opcodeCycles[0x37] = 4
     // jr c,offset
     this.#opcodes[0x38] = () => {
-      const [offset, instructionBase] = [this.#getPC(), this.#registers.pc - 2]
-      if (this.#regops.f() & this.#FREG_C)
-        this.#registers.pc = this.#addWord(instructionBase, this.#uint8ToInt8(offset))
+      const offset = this.#getPC()
+      if (this.#regops.f() & this.#FREG_C) {
+        this.#registers.pc = this.#addWord(this.#registers.pc, this.#uint8ToInt8(offset))
+        this.#cycles += 5
+      }
     }
+    this.#opcodeCycles[0x38] = 7
     // add hl,sp
     this.#opcodes[0x39] = () => {
       this.#regops.hl(this.#add16(this.#regops.hl(), this.#regops.sp()))
     }
+    this.#opcodeCycles[0x39] = 11
     // ld a,(nnnn)
     this.#opcodes[0x3a] = () => {
       const [lo, hi] = [this.#getPC(), this.#getPC()]
-      this.#regops.a(this.#ram[this.#word(hi, lo)])
+      this.#regops.a(this.#readByte(this.#word(hi, lo)))
     }
+    this.#opcodeCycles[0x3a] = 13
     // dec sp
     this.#opcodes[0x3b] = () => { this.#registers.sp = this.#subWord(this.#registers.sp, 1) }
+    this.#opcodeCycles[0x3b] = 6
     // inc a
     this.#opcodes[0x3c] = () => {
       this.#regops.a(this.#addByte(this.#regops.a(), 1))
       this.#regops.f(
-          this.#regops.f()
-        | this.#FREG_C
+          (this.#regops.f() & this.#FREG_C)
         | ((this.#regops.a() & 0x0f) ? 0 : this.#FREG_H)
-        | ((this.#regops.f() == 0x80) ? this.#FREG_V : 0)
+        | ((this.#regops.a() == 0x80) ? this.#FREG_V : 0)
         | this.#flagTable.sz53[this.#regops.a()]
       )
     }
+    this.#opcodeCycles[0x3c] = 4
     // dec a
     this.#opcodes[0x3d] = () => {
       const old = this.#regops.a()
       this.#regops.a(this.#subByte(this.#regops.a(), 1))
       this.#regops.f(
-          this.#regops.f()
-        | this.#FREG_C
+          (this.#regops.f() & this.#FREG_C)
         | ((old & 0x0f) ? 0 : this.#FREG_H)
         | this.#FREG_N
         | ((this.#regops.a() == 0x7f) ? this.#FREG_V : 0)
         | this.#flagTable.sz53[this.#regops.a()]
       )
     }
+    this.#opcodeCycles[0x3d] = 4
     // ld a,nn
     this.#opcodes[0x3e] = () => { this.#regops.a(this.#getPC()) }
+    this.#opcodeCycles[0x3e] = 7
     // ccf
     this.#opcodes[0x3f] = () => {
       this.#regops.f(
-        this.#regops.f() | ((this.#regops.f() & this.#FREG_C) ? this.#FREG_H : this.#FREG_C)
-        & ~(this.#FREG_F3 | this.#FREG_F5)
+          (this.#regops.f() & (this.#FREG_P | this.#FREG_Z | this.#FREG_S))
+        | ((this.#regops.f() & this.#FREG_C) ? this.#FREG_H : this.#FREG_C)
         | (this.#regops.a() & (this.#FREG_F3 | this.#FREG_F5))
       )
     }
+    this.#opcodeCycles[0x3f] = 4
     // ld b,b
     this.#opcodes[0x40] = () => { this.#regops.b(this.#regops.b()) }
+    this.#opcodeCycles[0x40] = 4
     // ld b,c
     this.#opcodes[0x41] = () => { this.#regops.b(this.#regops.c()) }
+    this.#opcodeCycles[0x41] = 4
     // ld b,d
     this.#opcodes[0x42] = () => { this.#regops.b(this.#regops.d()) }
+    this.#opcodeCycles[0x42] = 4
     // ld b,e
     this.#opcodes[0x43] = () => { this.#regops.b(this.#regops.e()) }
+    this.#opcodeCycles[0x43] = 4
     // ld b,h
     this.#opcodes[0x44] = () => { this.#regops.b(this.#regops.h()) }
+    this.#opcodeCycles[0x44] = 4
     // ld b,l
     this.#opcodes[0x45] = () => { this.#regops.b(this.#regops.l()) }
+    this.#opcodeCycles[0x45] = 4
     // ld b,(hl)
-    this.#opcodes[0x46] = () => { this.#regops.b(this.#ram[this.#regops.hl()]) }
+    this.#opcodes[0x46] = () => { this.#regops.b(this.#readByte(this.#regops.hl())) }
+    this.#opcodeCycles[0x46] = 7
     // ld b,a
     this.#opcodes[0x47] = () => { this.#regops.b(this.#regops.a()) }
+    this.#opcodeCycles[0x47] = 4
     // ld c,b
     this.#opcodes[0x48] = () => { this.#regops.c(this.#regops.b()) }
+    this.#opcodeCycles[0x48] = 4
     // ld c,c
     this.#opcodes[0x49] = () => { this.#regops.c(this.#regops.c()) }
+    this.#opcodeCycles[0x49] = 4
     // ld c,d
     this.#opcodes[0x4a] = () => { this.#regops.c(this.#regops.d()) }
+    this.#opcodeCycles[0x4a] = 4
     // ld c,e
     this.#opcodes[0x4b] = () => { this.#regops.c(this.#regops.e()) }
+    this.#opcodeCycles[0x4b] = 4
     // ld c,h
     this.#opcodes[0x4c] = () => { this.#regops.c(this.#regops.h()) }
+    this.#opcodeCycles[0x4c] = 4
     // ld c,l
     this.#opcodes[0x4d] = () => { this.#regops.c(this.#regops.l()) }
+    this.#opcodeCycles[0x4d] = 4
     // ld c,(hl)
-    this.#opcodes[0x4e] = () => { this.#regops.c(this.#ram[this.#regops.hl()]) }
+    this.#opcodes[0x4e] = () => { this.#regops.c(this.#readByte(this.#regops.hl())) }
+    this.#opcodeCycles[0x4e] = 7
     // ld c,a
     this.#opcodes[0x4f] = () => { this.#regops.c(this.#regops.a()) }
+    this.#opcodeCycles[0x4f] = 4
     // ld d,b
     this.#opcodes[0x50] = () => { this.#regops.d(this.#regops.b()) }
+    this.#opcodeCycles[0x50] = 4
     // ld d,c
     this.#opcodes[0x51] = () => { this.#regops.d(this.#regops.c()) }
+    this.#opcodeCycles[0x51] = 4
     // ld d,d
     this.#opcodes[0x52] = () => { this.#regops.d(this.#regops.d()) }
+    this.#opcodeCycles[0x52] = 4
     // ld d,e
     this.#opcodes[0x53] = () => { this.#regops.d(this.#regops.e()) }
+    this.#opcodeCycles[0x53] = 4
     // ld d,h
     this.#opcodes[0x54] = () => { this.#regops.d(this.#regops.h()) }
+    this.#opcodeCycles[0x54] = 4
     // ld d,l
     this.#opcodes[0x55] = () => { this.#regops.d(this.#regops.l()) }
+    this.#opcodeCycles[0x55] = 4
     // ld d,(hl)
-    this.#opcodes[0x56] = () => { this.#regops.d(this.#ram[this.#regops.hl()]) }
+    this.#opcodes[0x56] = () => { this.#regops.d(this.#readByte(this.#regops.hl())) }
+    this.#opcodeCycles[0x56] = 7
     // ld d,a
     this.#opcodes[0x57] = () => { this.#regops.d(this.#regops.a()) }
+    this.#opcodeCycles[0x57] = 4
     // ld e,b
     this.#opcodes[0x58] = () => { this.#regops.e(this.#regops.b()) }
+    this.#opcodeCycles[0x58] = 4
     // ld e,c
     this.#opcodes[0x59] = () => { this.#regops.e(this.#regops.c()) }
+    this.#opcodeCycles[0x59] = 4
     // ld e,d
     this.#opcodes[0x5a] = () => { this.#regops.e(this.#regops.d()) }
+    this.#opcodeCycles[0x5a] = 4
     // ld e,e
     this.#opcodes[0x5b] = () => { this.#regops.e(this.#regops.e()) }
+    this.#opcodeCycles[0x5b] = 4
     // ld e,h
     this.#opcodes[0x5c] = () => { this.#regops.e(this.#regops.h()) }
+    this.#opcodeCycles[0x5c] = 4
     // ld e,l
     this.#opcodes[0x5d] = () => { this.#regops.e(this.#regops.l()) }
+    this.#opcodeCycles[0x5d] = 4
     // ld e,(hl)
-    this.#opcodes[0x5e] = () => { this.#regops.e(this.#ram[this.#regops.hl()]) }
+    this.#opcodes[0x5e] = () => { this.#regops.e(this.#readByte(this.#regops.hl())) }
+    this.#opcodeCycles[0x5e] = 7
     // ld e,a
     this.#opcodes[0x5f] = () => { this.#regops.e(this.#regops.a()) }
+    this.#opcodeCycles[0x5f] = 4
     // ld h,b
     this.#opcodes[0x60] = () => { this.#regops.h(this.#regops.b()) }
+    this.#opcodeCycles[0x60] = 4
     // ld h,c
     this.#opcodes[0x61] = () => { this.#regops.h(this.#regops.c()) }
+    this.#opcodeCycles[0x61] = 4
     // ld h,d
     this.#opcodes[0x62] = () => { this.#regops.h(this.#regops.d()) }
+    this.#opcodeCycles[0x62] = 4
     // ld h,e
     this.#opcodes[0x63] = () => { this.#regops.h(this.#regops.e()) }
+    this.#opcodeCycles[0x63] = 4
     // ld h,h
     this.#opcodes[0x64] = () => { this.#regops.h(this.#regops.h()) }
+    this.#opcodeCycles[0x64] = 4
     // ld h,l
     this.#opcodes[0x65] = () => { this.#regops.h(this.#regops.l()) }
+    this.#opcodeCycles[0x65] = 4
     // ld h,(hl)
-    this.#opcodes[0x66] = () => { this.#regops.h(this.#ram[this.#regops.hl()]) }
+    this.#opcodes[0x66] = () => { this.#regops.h(this.#readByte(this.#regops.hl())) }
+    this.#opcodeCycles[0x66] = 7
     // ld h,a
     this.#opcodes[0x67] = () => { this.#regops.h(this.#regops.a()) }
+    this.#opcodeCycles[0x67] = 4
     // ld l,b
     this.#opcodes[0x68] = () => { this.#regops.l(this.#regops.b()) }
+    this.#opcodeCycles[0x68] = 4
     // ld l,c
     this.#opcodes[0x69] = () => { this.#regops.l(this.#regops.c()) }
+    this.#opcodeCycles[0x69] = 4
     // ld l,d
     this.#opcodes[0x6a] = () => { this.#regops.l(this.#regops.d()) }
+    this.#opcodeCycles[0x6a] = 4
     // ld l,e
     this.#opcodes[0x6b] = () => { this.#regops.l(this.#regops.e()) }
+    this.#opcodeCycles[0x6b] = 4
     // ld l,h
     this.#opcodes[0x6c] = () => { this.#regops.l(this.#regops.h()) }
+    this.#opcodeCycles[0x6c] = 4
     // ld l,l
     this.#opcodes[0x6d] = () => { this.#regops.l(this.#regops.l()) }
+    this.#opcodeCycles[0x6d] = 4
     // ld l,(hl)
-    this.#opcodes[0x6e] = () => { this.#regops.l(this.#ram[this.#regops.hl()]) }
+    this.#opcodes[0x6e] = () => { this.#regops.l(this.#readByte(this.#regops.hl())) }
+    this.#opcodeCycles[0x6e] = 7
     // ld l,a
     this.#opcodes[0x6f] = () => { this.#regops.l(this.#regops.a()) }
+    this.#opcodeCycles[0x6f] = 4
     // ld (hl),b
-    this.#opcodes[0x70] = () => { this.#ram[this.#regops.hl()] = this.#regops.b() }
+    this.#opcodes[0x70] = () => { this.#writeByte(this.#regops.hl(), this.#regops.b()) }
+    this.#opcodeCycles[0x70] = 7
     // ld (hl),c
-    this.#opcodes[0x71] = () => { this.#ram[this.#regops.hl()] = this.#regops.c() }
+    this.#opcodes[0x71] = () => { this.#writeByte(this.#regops.hl(), this.#regops.c()) }
+    this.#opcodeCycles[0x71] = 7
     // ld (hl),d
-    this.#opcodes[0x72] = () => { this.#ram[this.#regops.hl()] = this.#regops.d() }
+    this.#opcodes[0x72] = () => { this.#writeByte(this.#regops.hl(), this.#regops.d()) }
+    this.#opcodeCycles[0x72] = 7
     // ld (hl),e
-    this.#opcodes[0x73] = () => { this.#ram[this.#regops.hl()] = this.#regops.e() }
+    this.#opcodes[0x73] = () => { this.#writeByte(this.#regops.hl(), this.#regops.e()) }
+    this.#opcodeCycles[0x73] = 7
     // ld (hl),h
-    this.#opcodes[0x74] = () => { this.#ram[this.#regops.hl()] = this.#regops.h() }
+    this.#opcodes[0x74] = () => { this.#writeByte(this.#regops.hl(), this.#regops.h()) }
+    this.#opcodeCycles[0x74] = 7
     // ld (hl),l
-    this.#opcodes[0x75] = () => { this.#ram[this.#regops.hl()] = this.#regops.l() }
+    this.#opcodes[0x75] = () => { this.#writeByte(this.#regops.hl(), this.#regops.l()) }
+    this.#opcodeCycles[0x75] = 7
     // halt
-    this.#opcodes[0x76] = () => { throw 'cpu halted by opcode' }
+    this.#opcodes[0x76] = () => {
+      this.#halted = true
+      this.#registers.pc = this.#subWord(this.#registers.pc, 1)
+    }
+    this.#opcodeCycles[0x76] = 4
     // ld (hl),a
-    this.#opcodes[0x77] = () => { this.#ram[this.#regops.hl()] = this.#regops.a() }
+    this.#opcodes[0x77] = () => { this.#writeByte(this.#regops.hl(), this.#regops.a()) }
+    this.#opcodeCycles[0x77] = 7
     // ld a,b
     this.#opcodes[0x78] = () => { this.#regops.a(this.#regops.b()) }
+    this.#opcodeCycles[0x78] = 4
     // ld a,c
     this.#opcodes[0x79] = () => { this.#regops.a(this.#regops.c()) }
+    this.#opcodeCycles[0x79] = 4
     // ld a,d
     this.#opcodes[0x7a] = () => { this.#regops.a(this.#regops.d()) }
+    this.#opcodeCycles[0x7a] = 4
     // ld a,e
     this.#opcodes[0x7b] = () => { this.#regops.a(this.#regops.e()) }
+    this.#opcodeCycles[0x7b] = 4
     // ld a,h
     this.#opcodes[0x7c] = () => { this.#regops.a(this.#regops.h()) }
+    this.#opcodeCycles[0x7c] = 4
     // ld a,l
     this.#opcodes[0x7d] = () => { this.#regops.a(this.#regops.l()) }
+    this.#opcodeCycles[0x7d] = 4
     // ld a,(hl)
-    this.#opcodes[0x7e] = () => { this.#regops.a(this.#ram[this.#regops.hl()]) }
+    this.#opcodes[0x7e] = () => { this.#regops.a(this.#readByte(this.#regops.hl())) }
+    this.#opcodeCycles[0x7e] = 7
     // ld a,a
     this.#opcodes[0x7f] = () => { this.#regops.a(this.#regops.a()) }
+    this.#opcodeCycles[0x7f] = 4
     // add a,b
     this.#opcodes[0x80] = () => {
       this.#regops.a(this.#add8(this.#regops.a(), this.#regops.b()))
     }
+    this.#opcodeCycles[0x80] = 4
     // add a,c
     this.#opcodes[0x81] = () => {
       this.#regops.a(this.#add8(this.#regops.a(), this.#regops.c()))
     }
+    this.#opcodeCycles[0x81] = 4
     // add a,d
     this.#opcodes[0x82] = () => {
       this.#regops.a(this.#add8(this.#regops.a(), this.#regops.d()))
     }
+    this.#opcodeCycles[0x82] = 4
     // add a,e
     this.#opcodes[0x83] = () => {
       this.#regops.a(this.#add8(this.#regops.a(), this.#regops.e()))
     }
+    this.#opcodeCycles[0x83] = 4
     // add a,h
     this.#opcodes[0x84] = () => {
       this.#regops.a(this.#add8(this.#regops.a(), this.#regops.h()))
     }
+    this.#opcodeCycles[0x84] = 4
     // add a,l
     this.#opcodes[0x85] = () => {
       this.#regops.a(this.#add8(this.#regops.a(), this.#regops.l()))
     }
+    this.#opcodeCycles[0x85] = 4
     // add a,(hl)
     this.#opcodes[0x86] = () => {
-      this.#regops.a(this.#add8(this.#regops.a(), this.#ram[this.#regops.hl()]))
+      this.#regops.a(this.#add8(this.#regops.a(), this.#readByte(this.#regops.hl())))
     }
+    this.#opcodeCycles[0x86] = 7
     // add a,a
     this.#opcodes[0x87] = () => {
       this.#regops.a(this.#add8(this.#regops.a(), this.#regops.a()))
     }
+    this.#opcodeCycles[0x87] = 4
     // adc a,b
     this.#opcodes[0x88] = () => {
-      this.#regops.a(this.this.#regops.a + (this.#regops.f() & this.#FREG_C ? 1 : 0))
-      this.#regops.a(this.#add8(this.#regops.a(), this.#regops.b()))
+      this.#regops.a(this.#add8(this.#regops.a(), this.#regops.b(), this.#regops.f() & this.#FREG_C))
     }
+    this.#opcodeCycles[0x88] = 4
     // adc a,c
     this.#opcodes[0x89] = () => {
-      this.#regops.a(this.this.#regops.a + (this.#regops.f() & this.#FREG_C ? 1 : 0))
-      this.#regops.a(this.#add8(this.#regops.a(), this.#regops.c()))
+      this.#regops.a(this.#add8(this.#regops.a(), this.#regops.c(), this.#regops.f() & this.#FREG_C))
     }
+    this.#opcodeCycles[0x89] = 4
     // adc a,d
     this.#opcodes[0x8a] = () => {
-      this.#regops.a(this.this.#regops.a + (this.#regops.f() & this.#FREG_C ? 1 : 0))
-      this.#regops.a(this.#add8(this.#regops.a(), this.#regops.d()))
+      this.#regops.a(this.#add8(this.#regops.a(), this.#regops.d(), this.#regops.f() & this.#FREG_C))
     }
+    this.#opcodeCycles[0x8a] = 4
     // adc a,e
     this.#opcodes[0x8b] = () => {
-      this.#regops.a(this.this.#regops.a + (this.#regops.f() & this.#FREG_C ? 1 : 0))
-      this.#regops.a(this.#add8(this.#regops.a(), this.#regops.e()))
+      this.#regops.a(this.#add8(this.#regops.a(), this.#regops.e(), this.#regops.f() & this.#FREG_C))
     }
+    this.#opcodeCycles[0x8b] = 4
     // adc a,h
     this.#opcodes[0x8c] = () => {
-      this.#regops.a(this.this.#regops.a + (this.#regops.f() & this.#FREG_C ? 1 : 0))
-      this.#regops.a(this.#add8(this.#regops.a(), this.#regops.h()))
+      this.#regops.a(this.#add8(this.#regops.a(), this.#regops.h(), this.#regops.f() & this.#FREG_C))
     }
+    this.#opcodeCycles[0x8c] = 4
     // adc a,l
     this.#opcodes[0x8d] = () => {
-      this.#regops.a(this.this.#regops.a + (this.#regops.f() & this.#FREG_C ? 1 : 0))
-      this.#regops.a(this.#add8(this.#regops.a(), this.#regops.l()))
+      this.#regops.a(this.#add8(this.#regops.a(), this.#regops.l(), this.#regops.f() & this.#FREG_C))
     }
+    this.#opcodeCycles[0x8d] = 4
     // adc a,(hl)
     this.#opcodes[0x8e] = () => {
-      this.#regops.a(this.this.#regops.a + (this.#regops.f() & this.#FREG_C ? 1 : 0))
-      this.#regops.a(this.#add8(this.#regops.a(), this.#ram[this.#regops.hl()]))
+      this.#regops.a(this.#add8(this.#regops.a(), this.#readByte(this.#regops.hl()), this.#regops.f() & this.#FREG_C))
     }
+    this.#opcodeCycles[0x8e] = 7
     // adc a,a
     this.#opcodes[0x8f] = () => {
-      this.#regops.a(this.this.#regops.a + (this.#regops.f() & this.#FREG_C ? 1 : 0))
-      this.#regops.a(this.#add8(this.#regops.a(), this.#regops.a()))
+      this.#regops.a(this.#add8(this.#regops.a(), this.#regops.a(), this.#regops.f() & this.#FREG_C))
     }
+    this.#opcodeCycles[0x8f] = 4
     // sub a,b
     this.#opcodes[0x90] = () => {
       this.#regops.a(this.#sub8(this.#regops.a(), this.#regops.b()))
     }
+    this.#opcodeCycles[0x90] = 4
     // sub a,c
     this.#opcodes[0x91] = () => {
       this.#regops.a(this.#sub8(this.#regops.a(), this.#regops.c()))
     }
+    this.#opcodeCycles[0x91] = 4
     // sub a,d
     this.#opcodes[0x92] = () => {
       this.#regops.a(this.#sub8(this.#regops.a(), this.#regops.d()))
     }
+    this.#opcodeCycles[0x92] = 4
     // sub a,e
     this.#opcodes[0x93] = () => {
       this.#regops.a(this.#sub8(this.#regops.a(), this.#regops.e()))
     }
+    this.#opcodeCycles[0x93] = 4
     // sub a,h
     this.#opcodes[0x94] = () => {
       this.#regops.a(this.#sub8(this.#regops.a(), this.#regops.h()))
     }
+    this.#opcodeCycles[0x94] = 4
     // sub a,l
     this.#opcodes[0x95] = () => {
       this.#regops.a(this.#sub8(this.#regops.a(), this.#regops.l()))
     }
+    this.#opcodeCycles[0x95] = 4
     // sub a,(hl)
     this.#opcodes[0x96] = () => {
-      this.#regops.a(this.#sub8(this.#regops.a(), this.#ram[this.#regops.hl()]))
+      this.#regops.a(this.#sub8(this.#regops.a(), this.#readByte(this.#regops.hl())))
     }
+    this.#opcodeCycles[0x96] = 7
     // sub a,a
     this.#opcodes[0x97] = () => {
       this.#regops.a(this.#sub8(this.#regops.a(), this.#regops.a()))
     }
+    this.#opcodeCycles[0x97] = 4
     // sbc a,b
     this.#opcodes[0x98] = () => {
-      this.#regops.a(this.#regops.a - (this.#regops.f() & this.#FREG_C ? 1 : 0))
-      this.#regops.a(this.#sub8(this.#regops.a(), this.#regops.b()))
+      this.#regops.a(this.#sub8(this.#regops.a(), this.#regops.b(), this.#regops.f() & this.#FREG_C))
     }
+    this.#opcodeCycles[0x98] = 4
     // sbc a,c
     this.#opcodes[0x99] = () => {
-      this.#regops.a(this.#regops.a - (this.#regops.f() & this.#FREG_C ? 1 : 0))
-      this.#regops.a(this.#sub8(this.#regops.a(), this.#regops.c()))
+      this.#regops.a(this.#sub8(this.#regops.a(), this.#regops.c(), this.#regops.f() & this.#FREG_C))
     }
+    this.#opcodeCycles[0x99] = 4
     // sbc a,d
     this.#opcodes[0x9a] = () => {
-      this.#regops.a(this.#regops.a - (this.#regops.f() & this.#FREG_C ? 1 : 0))
-      this.#regops.a(this.#sub8(this.#regops.a(), this.#regops.d()))
+      this.#regops.a(this.#sub8(this.#regops.a(), this.#regops.d(), this.#regops.f() & this.#FREG_C))
     }
+    this.#opcodeCycles[0x9a] = 4
     // sbc a,e
     this.#opcodes[0x9b] = () => {
-      this.#regops.a(this.#regops.a - (this.#regops.f() & this.#FREG_C ? 1 : 0))
-      this.#regops.a(this.#sub8(this.#regops.a(), this.#regops.e()))
+      this.#regops.a(this.#sub8(this.#regops.a(), this.#regops.e(), this.#regops.f() & this.#FREG_C))
     }
+    this.#opcodeCycles[0x9b] = 4
     // sbc a,h
     this.#opcodes[0x9c] = () => {
-      this.#regops.a(this.#regops.a - (this.#regops.f() & this.#FREG_C ? 1 : 0))
-      this.#regops.a(this.#sub8(this.#regops.a(), this.#regops.h()))
+      this.#regops.a(this.#sub8(this.#regops.a(), this.#regops.h(), this.#regops.f() & this.#FREG_C))
     }
+    this.#opcodeCycles[0x9c] = 4
     // sbc a,l
     this.#opcodes[0x9d] = () => {
-      this.#regops.a(this.#regops.a - (this.#regops.f() & this.#FREG_C ? 1 : 0))
-      this.#regops.a(this.#sub8(this.#regops.a(), this.#regops.l()))
+      this.#regops.a(this.#sub8(this.#regops.a(), this.#regops.l(), this.#regops.f() & this.#FREG_C))
     }
+    this.#opcodeCycles[0x9d] = 4
     // sbc a,(hl)
     this.#opcodes[0x9e] = () => {
-      this.#regops.a(this.#regops.a - (this.#regops.f() & this.#FREG_C ? 1 : 0))
-      this.#regops.a(this.#sub8(this.#regops.a(), this.#ram[this.#regops.hl()]))
+      this.#regops.a(this.#sub8(this.#regops.a(), this.#readByte(this.#regops.hl()), this.#regops.f() & this.#FREG_C))
     }
+    this.#opcodeCycles[0x9e] = 7
     // sbc a,a
     this.#opcodes[0x9f] = () => {
-      this.#regops.a(this.#regops.a - (this.#regops.f() & this.#FREG_C ? 1 : 0))
-      this.#regops.a(this.#sub8(this.#regops.a(), this.#regops.a()))
+      this.#regops.a(this.#sub8(this.#regops.a(), this.#regops.a(), this.#regops.f() & this.#FREG_C))
     }
+    this.#opcodeCycles[0x9f] = 4
     // and a,b
     this.#opcodes[0xa0] = () => {
       this.#regops.a(this.#regops.a() & this.#regops.b())
       this.#regops.f(this.#flagTable.sz53p[this.#regops.a()] | this.#FREG_H)
     }
+    this.#opcodeCycles[0xa0] = 4
     // and a,c
     this.#opcodes[0xa1] = () => {
       this.#regops.a(this.#regops.a() & this.#regops.c())
       this.#regops.f(this.#flagTable.sz53p[this.#regops.a()] | this.#FREG_H)
     }
+    this.#opcodeCycles[0xa1] = 4
     // and a,d
     this.#opcodes[0xa2] = () => {
       this.#regops.a(this.#regops.a() & this.#regops.d())
       this.#regops.f(this.#flagTable.sz53p[this.#regops.a()] | this.#FREG_H)
     }
+    this.#opcodeCycles[0xa2] = 4
     // and a,e
     this.#opcodes[0xa3] = () => {
       this.#regops.a(this.#regops.a() & this.#regops.e())
       this.#regops.f(this.#flagTable.sz53p[this.#regops.a()] | this.#FREG_H)
     }
+    this.#opcodeCycles[0xa3] = 4
     // and a,h
     this.#opcodes[0xa4] = () => {
       this.#regops.a(this.#regops.a() & this.#regops.h())
       this.#regops.f(this.#flagTable.sz53p[this.#regops.a()] | this.#FREG_H)
     }
+    this.#opcodeCycles[0xa4] = 4
     // and a,l
     this.#opcodes[0xa5] = () => {
       this.#regops.a(this.#regops.a() & this.#regops.l())
       this.#regops.f(this.#flagTable.sz53p[this.#regops.a()] | this.#FREG_H)
     }
+    this.#opcodeCycles[0xa5] = 4
     // and a,(hl)
     this.#opcodes[0xa6] = () => {
-      this.#regops.a(this.#regops.a() & this.#ram[this.#regops.hl()])
+      this.#regops.a(this.#regops.a() & this.#readByte(this.#regops.hl()))
       this.#regops.f(this.#flagTable.sz53p[this.#regops.a()] | this.#FREG_H)
     }
+    this.#opcodeCycles[0xa6] = 7
     // and a,a
     this.#opcodes[0xa7] = () => {
       this.#regops.a(this.#regops.a() & this.#regops.a())
       this.#regops.f(this.#flagTable.sz53p[this.#regops.a()] | this.#FREG_H)
     }
+    this.#opcodeCycles[0xa7] = 4
     // xor a,b
     this.#opcodes[0xa8] = () => {
       this.#regops.a(this.#regops.a() ^ this.#regops.b())
       this.#regops.f(this.#flagTable.sz53p[this.#regops.a()])
     }
+    this.#opcodeCycles[0xa8] = 4
     // xor a,c
     this.#opcodes[0xa9] = () => {
       this.#regops.a(this.#regops.a() ^ this.#regops.c())
       this.#regops.f(this.#flagTable.sz53p[this.#regops.a()])
     }
+    this.#opcodeCycles[0xa9] = 4
     // xor a,d
     this.#opcodes[0xaa] = () => {
       this.#regops.a(this.#regops.a() ^ this.#regops.d())
       this.#regops.f(this.#flagTable.sz53p[this.#regops.a()])
     }
+    this.#opcodeCycles[0xaa] = 4
     // xor a,e
     this.#opcodes[0xab] = () => {
       this.#regops.a(this.#regops.a() ^ this.#regops.e())
       this.#regops.f(this.#flagTable.sz53p[this.#regops.a()])
     }
+    this.#opcodeCycles[0xab] = 4
     // xor a,h
     this.#opcodes[0xac] = () => {
       this.#regops.a(this.#regops.a() ^ this.#regops.h())
       this.#regops.f(this.#flagTable.sz53p[this.#regops.a()])
     }
+    this.#opcodeCycles[0xac] = 4
     // xor a,l
     this.#opcodes[0xad] = () => {
       this.#regops.a(this.#regops.a() ^ this.#regops.l())
       this.#regops.f(this.#flagTable.sz53p[this.#regops.a()])
     }
+    this.#opcodeCycles[0xad] = 4
     // xor a,(hl)
     this.#opcodes[0xae] = () => {
-      this.#regops.a(this.#regops.a() ^ this.#ram[this.#regops.hl()])
+      this.#regops.a(this.#regops.a() ^ this.#readByte(this.#regops.hl()))
       this.#regops.f(this.#flagTable.sz53p[this.#regops.a()])
     }
+    this.#opcodeCycles[0xae] = 7
     // xor a,a
     this.#opcodes[0xaf] = () => {
       this.#regops.a(this.#regops.a() ^ this.#regops.a())
       this.#regops.f(this.#flagTable.sz53p[this.#regops.a()])
     }
+    this.#opcodeCycles[0xaf] = 4
     // or a,b
     this.#opcodes[0xb0] = () => {
       this.#regops.a(this.#regops.a() | this.#regops.b())
       this.#regops.f(this.#flagTable.sz53p[this.#regops.a()])
     }
+    this.#opcodeCycles[0xb0] = 4
     // or a,c
     this.#opcodes[0xb1] = () => {
       this.#regops.a(this.#regops.a() | this.#regops.c())
       this.#regops.f(this.#flagTable.sz53p[this.#regops.a()])
     }
+    this.#opcodeCycles[0xb1] = 4
     // or a,d
     this.#opcodes[0xb2] = () => {
       this.#regops.a(this.#regops.a() | this.#regops.d())
       this.#regops.f(this.#flagTable.sz53p[this.#regops.a()])
     }
+    this.#opcodeCycles[0xb2] = 4
     // or a,e
     this.#opcodes[0xb3] = () => {
       this.#regops.a(this.#regops.a() | this.#regops.e())
       this.#regops.f(this.#flagTable.sz53p[this.#regops.a()])
     }
+    this.#opcodeCycles[0xb3] = 4
     // or a,h
     this.#opcodes[0xb4] = () => {
       this.#regops.a(this.#regops.a() | this.#regops.h())
       this.#regops.f(this.#flagTable.sz53p[this.#regops.a()])
     }
+    this.#opcodeCycles[0xb4] = 4
     // or a,l
     this.#opcodes[0xb5] = () => {
       this.#regops.a(this.#regops.a() | this.#regops.l())
       this.#regops.f(this.#flagTable.sz53p[this.#regops.a()])
     }
+    this.#opcodeCycles[0xb5] = 4
     // or a,(hl)
     this.#opcodes[0xb6] = () => {
-      this.#regops.a(this.#regops.a() | this.#ram[this.#regops.hl()])
+      this.#regops.a(this.#regops.a() | this.#readByte(this.#regops.hl()))
       this.#regops.f(this.#flagTable.sz53p[this.#regops.a()])
     }
+    this.#opcodeCycles[0xb6] = 7
     // or a,a
     this.#opcodes[0xb7] = () => {
       this.#regops.a(this.#regops.a() | this.#regops.a())
       this.#regops.f(this.#flagTable.sz53p[this.#regops.a()])
     }
+    this.#opcodeCycles[0xb7] = 4
     // cp b
     this.#opcodes[0xb8] = () => this.#cp8(this.#regops.a(), this.#regops.b())
+    this.#opcodeCycles[0xb8] = 4
     // cp c
     this.#opcodes[0xb9] = () => this.#cp8(this.#regops.a(), this.#regops.c())
+    this.#opcodeCycles[0xb9] = 4
     // cp d
     this.#opcodes[0xba] = () => this.#cp8(this.#regops.a(), this.#regops.d())
+    this.#opcodeCycles[0xba] = 4
     // cp e
     this.#opcodes[0xbb] = () => this.#cp8(this.#regops.a(), this.#regops.e())
+    this.#opcodeCycles[0xbb] = 4
     // cp h
     this.#opcodes[0xbc] = () => this.#cp8(this.#regops.a(), this.#regops.h())
+    this.#opcodeCycles[0xbc] = 4
     // cp l
     this.#opcodes[0xbd] = () => this.#cp8(this.#regops.a(), this.#regops.l())
+    this.#opcodeCycles[0xbd] = 4
     // cp (hl)
-    this.#opcodes[0xbe] = () => this.#cp8(this.#regops.a(), this.#ram[this.#regops.hl()])
+    this.#opcodes[0xbe] = () => this.#cp8(this.#regops.a(), this.#readByte(this.#regops.hl()))
+    this.#opcodeCycles[0xbe] = 7
     // cp a
     this.#opcodes[0xbf] = () => this.#cp8(this.#regops.a(), this.#regops.a())
+    this.#opcodeCycles[0xbf] = 4
     // ret nz
     this.#opcodes[0xc0] = () => {
-      if (!(this.#regops.f() & this.#FREG_Z))
+      if (!(this.#regops.f() & this.#FREG_Z)) {
         this.#regops.pc(this.#popWord())
+        this.#cycles += 6
+      }
     }
+    this.#opcodeCycles[0xc0] = 5
     // pop bc
     this.#opcodes[0xc1] = () => { this.#regops.bc(this.#popWord()) }
+    this.#opcodeCycles[0xc1] = 10
     // jp nz,nnnn
     this.#opcodes[0xc2] = () => {
       const [lo, hi] = [this.#getPC(), this.#getPC()]
@@ -1233,37 +1642,48 @@ class ProcessorZ80
         this.#regops.pc(this.#word(hi, lo))
       }
     }
+    this.#opcodeCycles[0xc2] = 10
     // jp nnnn
     this.#opcodes[0xc3] = () => {
       const [lo, hi] = [this.#getPC(), this.#getPC()]
       this.#registers.pc = this.#word(hi, lo)
     }
+    this.#opcodeCycles[0xc3] = 10
     // call nz,nnnn
     this.#opcodes[0xc4] = () => {
       const [lo, hi] = [this.#getPC(), this.#getPC()]
       if (!(this.#regops.f() & this.#FREG_Z)) {
         this.#pushWord(this.#registers.pc)
         this.#regops.pc(this.#word(hi, lo))
+        this.#cycles += 7
       }
     }
+    this.#opcodeCycles[0xc4] = 10
     // push bc
     this.#opcodes[0xc5] = () => { this.#pushWord(this.#registers.bc) }
+    this.#opcodeCycles[0xc5] = 11
     // add a,nn
     this.#opcodes[0xc6] = () => {
       this.#regops.a(this.#add8(this.#regops.a(), this.#getPC()))
     }
+    this.#opcodeCycles[0xc6] = 7
     // rst 00
     this.#opcodes[0xc7] = () => {
       this.#pushWord(this.#registers.pc)
       this.#registers.pc = 0x00
     }
+    this.#opcodeCycles[0xc7] = 11
     // ret z
     this.#opcodes[0xc8] = () => {
-      if (this.#regops.f() & this.#FREG_Z)
+      if (this.#regops.f() & this.#FREG_Z) {
         this.#regops.pc(this.#popWord())
+        this.#cycles += 6
+      }
     }
+    this.#opcodeCycles[0xc8] = 5
     // ret
     this.#opcodes[0xc9] = () => { this.#regops.pc(this.#popWord()) }
+    this.#opcodeCycles[0xc9] = 10
     // jp z,nnnn
     this.#opcodes[0xca] = () => {
       const [lo, hi] = [this.#getPC(), this.#getPC()]
@@ -1271,39 +1691,49 @@ class ProcessorZ80
         this.#regops.pc(this.#word(hi, lo))
       }
     }
+    this.#opcodeCycles[0xca] = 10
     // shift cb (subtable of operations)
     this.#opcodes[0xcb] = []
+    this.#opcodeCycles[0xcb] = []
     // call z,nnnn
     this.#opcodes[0xcc] = () => {
       const [lo, hi] = [this.#getPC(), this.#getPC()]
       if (this.#regops.f() & this.#FREG_Z) {
         this.#pushWord(this.#registers.pc)
         this.#regops.pc(this.#word(hi, lo))
+        this.#cycles += 7
       }
     }
+    this.#opcodeCycles[0xcc] = 10
     // call nnnn
     this.#opcodes[0xcd] = () => {
       const [lo, hi] = [this.#getPC(), this.#getPC()]
       this.#pushWord(this.#registers.pc)
       this.#registers.pc = this.#word(hi, lo)
     }
+    this.#opcodeCycles[0xcd] = 17
     // adc a,nn
     this.#opcodes[0xce] = () => {
-      this.#regops.a(this.this.#regops.a + (this.#regops.f() & this.#FREG_C ? 1 : 0))
-      this.#regops.a(this.#add8(this.#regops.a(), this.#getPC()))
+      this.#regops.a(this.#add8(this.#regops.a(), this.#getPC(), this.#regops.f() & this.#FREG_C))
     }
+    this.#opcodeCycles[0xce] = 7
     // rst 8
     this.#opcodes[0xcf] = () => {
       this.#pushWord(this.#registers.pc)
       this.#registers.pc = 0x8
     }
+    this.#opcodeCycles[0xcf] = 11
     // ret nc
     this.#opcodes[0xd0] = () => {
-      if (!(this.#regops.f() & this.#FREG_C))
+      if (!(this.#regops.f() & this.#FREG_C)) {
         this.#regops.pc(this.#popWord())
+        this.#cycles += 6
+      }
     }
+    this.#opcodeCycles[0xd0] = 5
     // pop de
     this.#opcodes[0xd1] = () => { this.#regops.de(this.#popWord()) }
+    this.#opcodeCycles[0xd1] = 10
     // jp nc,nnnn
     this.#opcodes[0xd2] = () => {
       const [lo, hi] = [this.#getPC(), this.#getPC()]
@@ -1311,34 +1741,44 @@ class ProcessorZ80
         this.#regops.pc(this.#word(hi, lo))
       }
     }
+    this.#opcodeCycles[0xd2] = 10
     // out (nn),a
     this.#opcodes[0xd3] = () => {
-      this.#callIoHandler(this.#getPC(), 'w', this.#regops.a())
+      this.#callIoHandler(this.#word(this.#regops.a(), this.#getPC()), 'w', this.#regops.a())
     }
+    this.#opcodeCycles[0xd3] = 11
     // call nc,nnnn
     this.#opcodes[0xd4] = () => {
       const [lo, hi] = [this.#getPC(), this.#getPC()]
       if (!(this.#regops.f() & this.#FREG_C)) {
         this.#pushWord(this.#registers.pc)
         this.#regops.pc(this.#word(hi, lo))
+        this.#cycles += 7
       }
     }
+    this.#opcodeCycles[0xd4] = 10
     // push de
     this.#opcodes[0xd5] = () => { this.#pushWord(this.#registers.de) }
+    this.#opcodeCycles[0xd5] = 11
     // sub nn
     this.#opcodes[0xd6] = () => {
-      this.#regops.nn(this.#sub8(this.#regops.nn(), this.#getPC()))
+      this.#regops.a(this.#sub8(this.#regops.a(), this.#getPC()))
     }
+    this.#opcodeCycles[0xd6] = 7
     // rst 10
     this.#opcodes[0xd7] = () => {
       this.#pushWord(this.#registers.pc)
       this.#registers.pc = 0x10
     }
+    this.#opcodeCycles[0xd7] = 11
     // ret c
     this.#opcodes[0xd8] = () => {
-      if (this.#regops.f() & this.#FREG_C)
+      if (this.#regops.f() & this.#FREG_C) {
         this.#regops.pc(this.#popWord())
+        this.#cycles += 6
+      }
     }
+    this.#opcodeCycles[0xd8] = 5
     // exx
     this.#opcodes[0xd9] = () => {
       const [bc, de, hl] = [this.#regops.bc(), this.#regops.de(), this.#regops.hl()]
@@ -1349,6 +1789,7 @@ class ProcessorZ80
       this.#regops.de2(de)
       this.#regops.hl2(hl)
     }
+    this.#opcodeCycles[0xd9] = 4
     // jp c,nnnn
     this.#opcodes[0xda] = () => {
       const [lo, hi] = [this.#getPC(), this.#getPC()]
@@ -1356,37 +1797,47 @@ class ProcessorZ80
         this.#regops.pc(this.#word(hi, lo))
       }
     }
+    this.#opcodeCycles[0xda] = 10
     // in a,(nn)
     this.#opcodes[0xdb] = () => {
-      this.#regops.a(this.#callIoHandler(this.#getPC(), 'r'))
+      this.#regops.a(this.#callIoHandler(this.#word(this.#regops.a(), this.#getPC()), 'r'))
     }
+    this.#opcodeCycles[0xdb] = 11
     // call c,nnnn
     this.#opcodes[0xdc] = () => {
       const [lo, hi] = [this.#getPC(), this.#getPC()]
       if (this.#regops.f() & this.#FREG_C) {
         this.#pushWord(this.#registers.pc)
         this.#regops.pc(this.#word(hi, lo))
+        this.#cycles += 7
       }
     }
+    this.#opcodeCycles[0xdc] = 10
     // shift dd (subtable of operations)
     this.#opcodes[0xdd] = []
+    this.#opcodeCycles[0xdd] = []
     // sbc a,nn
     this.#opcodes[0xde] = () => {
-      this.#regops.a(this.#regops.a - (this.#regops.f() & this.#FREG_C ? 1 : 0))
-      this.#regops.a(this.#sub8(this.#regops.a(), this.#getPC()))
+      this.#regops.a(this.#sub8(this.#regops.a(), this.#getPC(), this.#regops.f() & this.#FREG_C))
     }
+    this.#opcodeCycles[0xde] = 7
     // rst 18
     this.#opcodes[0xdf] = () => {
       this.#pushWord(this.#registers.pc)
       this.#registers.pc = 0x18
     }
+    this.#opcodeCycles[0xdf] = 11
     // ret po
     this.#opcodes[0xe0] = () => {
-      if (!(this.#regops.f() & this.#FREG_P))
+      if (!(this.#regops.f() & this.#FREG_P)) {
         this.#regops.pc(this.#popWord())
+        this.#cycles += 6
+      }
     }
+    this.#opcodeCycles[0xe0] = 5
     // pop hl
     this.#opcodes[0xe1] = () => { this.#regops.hl(this.#popWord()) }
+    this.#opcodeCycles[0xe1] = 10
     // jp po,nnnn
     this.#opcodes[0xe2] = () => {
       const [lo, hi] = [this.#getPC(), this.#getPC()]
@@ -1394,41 +1845,52 @@ class ProcessorZ80
         this.#regops.pc(this.#word(hi, lo))
       }
     }
+    this.#opcodeCycles[0xe2] = 10
     // ex (sp),hl
     this.#opcodes[0xe3] = () => {
       const temp = this.#registers.hl
-      const [lo, hi] = [this.#ram[this.#registers.sp], this.#ram[this.#addWord(this.#registers.sp, 1)]]
+      const [lo, hi] = [this.#readByte(this.#registers.sp), this.#readByte(this.#addWord(this.#registers.sp, 1))]
       this.#registers.hl = this.#word(hi, lo)
-      this.#ram[this.#registers.sp] = this.#lo(temp)
-      this.#ram[this.#addWord(this.#registers.sp, 1)] = this.#hi(temp)
+      this.#writeByte(this.#registers.sp, this.#lo(temp))
+      this.#writeByte(this.#addWord(this.#registers.sp, 1), this.#hi(temp))
     }
+    this.#opcodeCycles[0xe3] = 19
     // call po,nnnn
     this.#opcodes[0xe4] = () => {
       const [lo, hi] = [this.#getPC(), this.#getPC()]
       if (!(this.#regops.f() & this.#FREG_P)) {
         this.#pushWord(this.#registers.pc)
         this.#regops.pc(this.#word(hi, lo))
+        this.#cycles += 7
       }
     }
+    this.#opcodeCycles[0xe4] = 10
     // push hl
     this.#opcodes[0xe5] = () => { this.#pushWord(this.#registers.hl) }
+    this.#opcodeCycles[0xe5] = 11
     // and nn
     this.#opcodes[0xe6] = () => {
       this.#regops.a(this.#regops.a() & this.#getPC())
       this.#regops.f(this.#flagTable.sz53p[this.#regops.a()] | this.#FREG_H)
     }
+    this.#opcodeCycles[0xe6] = 7
     // rst 20
     this.#opcodes[0xe7] = () => {
       this.#pushWord(this.#registers.pc)
       this.#registers.pc = 0x20
     }
+    this.#opcodeCycles[0xe7] = 11
     // ret pe
     this.#opcodes[0xe8] = () => {
-      if (this.#regops.f() & this.#FREG_P)
+      if (this.#regops.f() & this.#FREG_P) {
         this.#regops.pc(this.#popWord())
+        this.#cycles += 6
+      }
     }
+    this.#opcodeCycles[0xe8] = 5
     // jp hl
     this.#opcodes[0xe9] = () => { this.#registers.pc = this.#registers.hl }
+    this.#opcodeCycles[0xe9] = 4
     // jp pe,nnnn
     this.#opcodes[0xea] = () => {
       const [lo, hi] = [this.#getPC(), this.#getPC()]
@@ -1436,39 +1898,50 @@ class ProcessorZ80
         this.#regops.pc(this.#word(hi, lo))
       }
     }
+    this.#opcodeCycles[0xea] = 10
     // ex de,hl
     this.#opcodes[0xeb] = () => {
       const temp = this.#regops.de()
       this.#regops.de(this.#regops.hl())
       this.#regops.hl(temp)
     }
+    this.#opcodeCycles[0xeb] = 4
     // call pe,nnnn
     this.#opcodes[0xec] = () => {
       const [lo, hi] = [this.#getPC(), this.#getPC()]
       if (this.#regops.f() & this.#FREG_P) {
         this.#pushWord(this.#registers.pc)
         this.#regops.pc(this.#word(hi, lo))
+        this.#cycles += 7
       }
     }
+    this.#opcodeCycles[0xec] = 10
     // shift ed (subtable of operations)
     this.#opcodes[0xed] = []
+    this.#opcodeCycles[0xed] = []
     // xor a,nn
     this.#opcodes[0xee] = () => {
       this.#regops.a(this.#regops.a() ^ this.#getPC())
       this.#regops.f(this.#flagTable.sz53p[this.#regops.a()])
     }
+    this.#opcodeCycles[0xee] = 7
     // rst 28
     this.#opcodes[0xef] = () => {
       this.#pushWord(this.#registers.pc)
       this.#registers.pc = 0x28
     }
+    this.#opcodeCycles[0xef] = 11
     // ret p
     this.#opcodes[0xf0] = () => {
-      if (!(this.#regops.f() & this.#FREG_S))
+      if (!(this.#regops.f() & this.#FREG_S)) {
         this.#regops.pc(this.#popWord())
+        this.#cycles += 6
+      }
     }
+    this.#opcodeCycles[0xf0] = 5
     // pop af
     this.#opcodes[0xf1] = () => { this.#regops.af(this.#popWord()) }
+    this.#opcodeCycles[0xf1] = 10
     // jp p,nnnn
     this.#opcodes[0xf2] = () => {
       const [lo, hi] = [this.#getPC(), this.#getPC()]
@@ -1476,35 +1949,46 @@ class ProcessorZ80
         this.#regops.pc(this.#word(hi, lo))
       }
     }
+    this.#opcodeCycles[0xf2] = 10
     // di
-    this.#opcodes[0xf3] = () => { this.#interrupts = false }
+    this.#opcodes[0xf3] = () => { this.#interrupts.iff1 = this.#interrupts.iff2 = false }
+    this.#opcodeCycles[0xf3] = 4
     // call p,nnnn
     this.#opcodes[0xf4] = () => {
       const [lo, hi] = [this.#getPC(), this.#getPC()]
       if (!(this.#regops.f() & this.#FREG_S)) {
         this.#pushWord(this.#registers.pc)
         this.#regops.pc(this.#word(hi, lo))
+        this.#cycles += 7
       }
     }
+    this.#opcodeCycles[0xf4] = 10
     // push af
     this.#opcodes[0xf5] = () => { this.#pushWord(this.#registers.af) }
+    this.#opcodeCycles[0xf5] = 11
     // or nn
     this.#opcodes[0xf6] = () => {
       this.#regops.a(this.#regops.a() | this.#getPC())
       this.#regops.f(this.#flagTable.sz53p[this.#regops.a()])
     }
+    this.#opcodeCycles[0xf6] = 7
     // rst 30
     this.#opcodes[0xf7] = () => {
       this.#pushWord(this.#registers.pc)
       this.#registers.pc = 0x30
     }
+    this.#opcodeCycles[0xf7] = 11
     // ret m
     this.#opcodes[0xf8] = () => {
-      if (this.#regops.f() & this.#FREG_S)
+      if (this.#regops.f() & this.#FREG_S) {
         this.#regops.pc(this.#popWord())
+        this.#cycles += 6
+      }
     }
+    this.#opcodeCycles[0xf8] = 5
     // ld sp,hl
     this.#opcodes[0xf9] = () => { this.#regops.sp(this.#regops.hl()) }
+    this.#opcodeCycles[0xf9] = 6
     // jp m,nnnn
     this.#opcodes[0xfa] = () => {
       const [lo, hi] = [this.#getPC(), this.#getPC()]
@@ -1512,25 +1996,35 @@ class ProcessorZ80
         this.#regops.pc(this.#word(hi, lo))
       }
     }
+    this.#opcodeCycles[0xfa] = 10
     // ei
-    this.#opcodes[0xfb] = () => { this.#interrupts = true }
+    this.#opcodes[0xfb] = () => {
+      this.#interrupts.iff1 = this.#interrupts.iff2 = true
+      this.#interrupts.eiDelay = true
+    }
+    this.#opcodeCycles[0xfb] = 4
     // call m,nnnn
     this.#opcodes[0xfc] = () => {
       const [lo, hi] = [this.#getPC(), this.#getPC()]
       if (this.#regops.f() & this.#FREG_S) {
         this.#pushWord(this.#registers.pc)
         this.#regops.pc(this.#word(hi, lo))
+        this.#cycles += 7
       }
     }
+    this.#opcodeCycles[0xfc] = 10
     // shift fd (subtable of operations)
     this.#opcodes[0xfd] = []
+    this.#opcodeCycles[0xfd] = []
     // cp nn
     this.#opcodes[0xfe] = () => this.#cp8(this.#regops.a(), this.#getPC())
+    this.#opcodeCycles[0xfe] = 7
     // rst 38
     this.#opcodes[0xff] = () => {
       this.#pushWord(this.#registers.pc)
       this.#registers.pc = 0x38
     }
+    this.#opcodeCycles[0xff] = 11
     // rlc b
     this.#opcodes[0xcb][0x00] = () => {
       this.#regops.b(((this.#regops.b() << 1) | (this.#regops.b() >> 7)) & 0xff)
@@ -1539,6 +2033,7 @@ class ProcessorZ80
         | this.#flagTable.sz53p[this.#regops.b()]
       )
     }
+    this.#opcodeCycles[0xcb][0x00] = 8
     // rlc c
     this.#opcodes[0xcb][0x01] = () => {
       this.#regops.c(((this.#regops.c() << 1) | (this.#regops.c() >> 7)) & 0xff)
@@ -1547,6 +2042,7 @@ class ProcessorZ80
         | this.#flagTable.sz53p[this.#regops.c()]
       )
     }
+    this.#opcodeCycles[0xcb][0x01] = 8
     // rlc d
     this.#opcodes[0xcb][0x02] = () => {
       this.#regops.d(((this.#regops.d() << 1) | (this.#regops.d() >> 7)) & 0xff)
@@ -1555,6 +2051,7 @@ class ProcessorZ80
         | this.#flagTable.sz53p[this.#regops.d()]
       )
     }
+    this.#opcodeCycles[0xcb][0x02] = 8
     // rlc e
     this.#opcodes[0xcb][0x03] = () => {
       this.#regops.e(((this.#regops.e() << 1) | (this.#regops.e() >> 7)) & 0xff)
@@ -1563,6 +2060,7 @@ class ProcessorZ80
         | this.#flagTable.sz53p[this.#regops.e()]
       )
     }
+    this.#opcodeCycles[0xcb][0x03] = 8
     // rlc h
     this.#opcodes[0xcb][0x04] = () => {
       this.#regops.h(((this.#regops.h() << 1) | (this.#regops.h() >> 7)) & 0xff)
@@ -1571,6 +2069,7 @@ class ProcessorZ80
         | this.#flagTable.sz53p[this.#regops.h()]
       )
     }
+    this.#opcodeCycles[0xcb][0x04] = 8
     // rlc l
     this.#opcodes[0xcb][0x05] = () => {
       this.#regops.l(((this.#regops.l() << 1) | (this.#regops.l() >> 7)) & 0xff)
@@ -1579,14 +2078,16 @@ class ProcessorZ80
         | this.#flagTable.sz53p[this.#regops.l()]
       )
     }
+    this.#opcodeCycles[0xcb][0x05] = 8
     // rlc (hl)
     this.#opcodes[0xcb][0x06] = () => {
-      this.#ram[this.#regops.hl()] = ((this.#ram[this.#regops.hl()] << 1) | (this.#ram[this.#regops.hl()] >> 7)) & 0xff
+      this.#writeByte(this.#regops.hl(), ((this.#readByte(this.#regops.hl()) << 1) | (this.#readByte(this.#regops.hl()) >> 7)) & 0xff)
       this.#regops.f(
-          ((this.#ram[this.#regops.hl()] & 0x01) ? this.#FREG_C : 0)
-        | this.#flagTable.sz53p[this.#ram[this.#regops.hl()]]
+          ((this.#readByte(this.#regops.hl()) & 0x01) ? this.#FREG_C : 0)
+        | this.#flagTable.sz53p[this.#readByte(this.#regops.hl())]
       )
     }
+    this.#opcodeCycles[0xcb][0x06] = 15
     // rlc a
     this.#opcodes[0xcb][0x07] = () => {
       this.#regops.a(((this.#regops.a() << 1) | (this.#regops.a() >> 7)) & 0xff)
@@ -1595,6 +2096,7 @@ class ProcessorZ80
         | this.#flagTable.sz53p[this.#regops.a()]
       )
     }
+    this.#opcodeCycles[0xcb][0x07] = 8
     // rrc b
     this.#opcodes[0xcb][0x08] = () => {
       this.#regops.b(((this.#regops.b() << 7) | (this.#regops.b() >> 1)) & 0xff)
@@ -1603,6 +2105,7 @@ class ProcessorZ80
         | this.#flagTable.sz53p[this.#regops.b()]
       )
     }
+    this.#opcodeCycles[0xcb][0x08] = 8
     // rrc c
     this.#opcodes[0xcb][0x09] = () => {
       this.#regops.c(((this.#regops.c() << 7) | (this.#regops.c() >> 1)) & 0xff)
@@ -1611,6 +2114,7 @@ class ProcessorZ80
         | this.#flagTable.sz53p[this.#regops.c()]
       )
     }
+    this.#opcodeCycles[0xcb][0x09] = 8
     // rrc d
     this.#opcodes[0xcb][0x0a] = () => {
       this.#regops.d(((this.#regops.d() << 7) | (this.#regops.d() >> 1)) & 0xff)
@@ -1619,6 +2123,7 @@ class ProcessorZ80
         | this.#flagTable.sz53p[this.#regops.d()]
       )
     }
+    this.#opcodeCycles[0xcb][0x0a] = 8
     // rrc e
     this.#opcodes[0xcb][0x0b] = () => {
       this.#regops.e(((this.#regops.e() << 7) | (this.#regops.e() >> 1)) & 0xff)
@@ -1627,6 +2132,7 @@ class ProcessorZ80
         | this.#flagTable.sz53p[this.#regops.e()]
       )
     }
+    this.#opcodeCycles[0xcb][0x0b] = 8
     // rrc h
     this.#opcodes[0xcb][0x0c] = () => {
       this.#regops.h(((this.#regops.h() << 7) | (this.#regops.h() >> 1)) & 0xff)
@@ -1635,6 +2141,7 @@ class ProcessorZ80
         | this.#flagTable.sz53p[this.#regops.h()]
       )
     }
+    this.#opcodeCycles[0xcb][0x0c] = 8
     // rrc l
     this.#opcodes[0xcb][0x0d] = () => {
       this.#regops.l(((this.#regops.l() << 7) | (this.#regops.l() >> 1)) & 0xff)
@@ -1643,14 +2150,16 @@ class ProcessorZ80
         | this.#flagTable.sz53p[this.#regops.l()]
       )
     }
+    this.#opcodeCycles[0xcb][0x0d] = 8
     // rrc (hl)
     this.#opcodes[0xcb][0x0e] = () => {
-      this.#ram[this.#regops.hl()] = ((this.#ram[this.#regops.hl()] << 7) | (this.#ram[this.#regops.hl()] >> 1)) & 0xff
+      this.#writeByte(this.#regops.hl(), ((this.#readByte(this.#regops.hl()) << 7) | (this.#readByte(this.#regops.hl()) >> 1)) & 0xff)
       this.#regops.f(
-          ((this.#ram[this.#regops.hl()] & 0x80) ? this.#FREG_C : 0)
-        | this.#flagTable.sz53p[this.#ram[this.#regops.hl()]]
+          ((this.#readByte(this.#regops.hl()) & 0x80) ? this.#FREG_C : 0)
+        | this.#flagTable.sz53p[this.#readByte(this.#regops.hl())]
       )
     }
+    this.#opcodeCycles[0xcb][0x0e] = 15
     // rrc a
     this.#opcodes[0xcb][0x0f] = () => {
       this.#regops.a(((this.#regops.a() << 7) | (this.#regops.a() >> 1)) & 0xff)
@@ -1659,294 +2168,343 @@ class ProcessorZ80
         | this.#flagTable.sz53p[this.#regops.a()]
       )
     }
+    this.#opcodeCycles[0xcb][0x0f] = 8
     // rl b
     this.#opcodes[0xcb][0x10] = () => {
       const carry = (this.#regops.b() & 0x80) ? this.#FREG_C : 0
-      this.#regops.b(((this.#regops.b() << 1) | (carry ? 0x01 : 0x00)) & 0xff)
+      this.#regops.b(((this.#regops.b() << 1) | (this.#regops.f() & this.#FREG_C)) & 0xff)
       this.#regops.f(carry | this.#flagTable.sz53p[this.#regops.b()])
     }
+    this.#opcodeCycles[0xcb][0x10] = 8
     // rl c
     this.#opcodes[0xcb][0x11] = () => {
       const carry = (this.#regops.c() & 0x80) ? this.#FREG_C : 0
-      this.#regops.c(((this.#regops.c() << 1) | (carry ? 0x01 : 0x00)) & 0xff)
+      this.#regops.c(((this.#regops.c() << 1) | (this.#regops.f() & this.#FREG_C)) & 0xff)
       this.#regops.f(carry | this.#flagTable.sz53p[this.#regops.c()])
     }
+    this.#opcodeCycles[0xcb][0x11] = 8
     // rl d
     this.#opcodes[0xcb][0x12] = () => {
       const carry = (this.#regops.d() & 0x80) ? this.#FREG_C : 0
-      this.#regops.d(((this.#regops.d() << 1) | (carry ? 0x01 : 0x00)) & 0xff)
+      this.#regops.d(((this.#regops.d() << 1) | (this.#regops.f() & this.#FREG_C)) & 0xff)
       this.#regops.f(carry | this.#flagTable.sz53p[this.#regops.d()])
     }
+    this.#opcodeCycles[0xcb][0x12] = 8
     // rl e
     this.#opcodes[0xcb][0x13] = () => {
       const carry = (this.#regops.e() & 0x80) ? this.#FREG_C : 0
-      this.#regops.e(((this.#regops.e() << 1) | (carry ? 0x01 : 0x00)) & 0xff)
+      this.#regops.e(((this.#regops.e() << 1) | (this.#regops.f() & this.#FREG_C)) & 0xff)
       this.#regops.f(carry | this.#flagTable.sz53p[this.#regops.e()])
     }
+    this.#opcodeCycles[0xcb][0x13] = 8
     // rl h
     this.#opcodes[0xcb][0x14] = () => {
       const carry = (this.#regops.h() & 0x80) ? this.#FREG_C : 0
-      this.#regops.h(((this.#regops.h() << 1) | (carry ? 0x01 : 0x00)) & 0xff)
+      this.#regops.h(((this.#regops.h() << 1) | (this.#regops.f() & this.#FREG_C)) & 0xff)
       this.#regops.f(carry | this.#flagTable.sz53p[this.#regops.h()])
     }
+    this.#opcodeCycles[0xcb][0x14] = 8
     // rl l
     this.#opcodes[0xcb][0x15] = () => {
       const carry = (this.#regops.l() & 0x80) ? this.#FREG_C : 0
-      this.#regops.l(((this.#regops.l() << 1) | (carry ? 0x01 : 0x00)) & 0xff)
+      this.#regops.l(((this.#regops.l() << 1) | (this.#regops.f() & this.#FREG_C)) & 0xff)
       this.#regops.f(carry | this.#flagTable.sz53p[this.#regops.l()])
     }
+    this.#opcodeCycles[0xcb][0x15] = 8
     // rl (hl)
     this.#opcodes[0xcb][0x16] = () => {
-      const carry = (this.#ram[this.#regops.hl()] & 0x80) ? this.#FREG_C : 0
-      this.#ram[this.#regops.hl()] = ((this.#ram[this.#regops.hl()] << 1) | (carry ? 0x01: 0x00)) & 0xff
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[this.#regops.hl()]])
+      const carry = (this.#readByte(this.#regops.hl()) & 0x80) ? this.#FREG_C : 0
+      this.#writeByte(this.#regops.hl(), ((this.#readByte(this.#regops.hl()) << 1) | (this.#regops.f() & this.#FREG_C)) & 0xff)
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(this.#regops.hl())])
     }
+    this.#opcodeCycles[0xcb][0x16] = 15
     // rl a
     this.#opcodes[0xcb][0x17] = () => {
       const carry = (this.#regops.a() & 0x80) ? this.#FREG_C : 0
-      this.#regops.a(((this.#regops.a() << 1) | (carry ? 0x01 : 0x00)) & 0xff)
+      this.#regops.a(((this.#regops.a() << 1) | (this.#regops.f() & this.#FREG_C)) & 0xff)
       this.#regops.f(carry | this.#flagTable.sz53p[this.#regops.a()])
     }
+    this.#opcodeCycles[0xcb][0x17] = 8
     // rr b
     this.#opcodes[0xcb][0x18] = () => {
       const carry = (this.#regops.b() & 0x01) ? this.#FREG_C : 0
-      this.#regops.b(((this.#regops.b() >> 1) | (carry ? 0x80 : 0x00)) & 0xff)
+      this.#regops.b(((this.#regops.b() >> 1) | ((this.#regops.f() & this.#FREG_C) ? 0x80 : 0x00)) & 0xff)
       this.#regops.f(carry | this.#flagTable.sz53p[this.#regops.b()])
     }
+    this.#opcodeCycles[0xcb][0x18] = 8
     // rr c
     this.#opcodes[0xcb][0x19] = () => {
       const carry = (this.#regops.c() & 0x01) ? this.#FREG_C : 0
-      this.#regops.c(((this.#regops.c() >> 1) | (carry ? 0x80 : 0x00)) & 0xff)
+      this.#regops.c(((this.#regops.c() >> 1) | ((this.#regops.f() & this.#FREG_C) ? 0x80 : 0x00)) & 0xff)
       this.#regops.f(carry | this.#flagTable.sz53p[this.#regops.c()])
     }
+    this.#opcodeCycles[0xcb][0x19] = 8
     // rr d
     this.#opcodes[0xcb][0x1a] = () => {
       const carry = (this.#regops.d() & 0x01) ? this.#FREG_C : 0
-      this.#regops.d(((this.#regops.d() >> 1) | (carry ? 0x80 : 0x00)) & 0xff)
+      this.#regops.d(((this.#regops.d() >> 1) | ((this.#regops.f() & this.#FREG_C) ? 0x80 : 0x00)) & 0xff)
       this.#regops.f(carry | this.#flagTable.sz53p[this.#regops.d()])
     }
+    this.#opcodeCycles[0xcb][0x1a] = 8
     // rr e
     this.#opcodes[0xcb][0x1b] = () => {
       const carry = (this.#regops.e() & 0x01) ? this.#FREG_C : 0
-      this.#regops.e(((this.#regops.e() >> 1) | (carry ? 0x80 : 0x00)) & 0xff)
+      this.#regops.e(((this.#regops.e() >> 1) | ((this.#regops.f() & this.#FREG_C) ? 0x80 : 0x00)) & 0xff)
       this.#regops.f(carry | this.#flagTable.sz53p[this.#regops.e()])
     }
+    this.#opcodeCycles[0xcb][0x1b] = 8
     // rr h
     this.#opcodes[0xcb][0x1c] = () => {
       const carry = (this.#regops.h() & 0x01) ? this.#FREG_C : 0
-      this.#regops.h(((this.#regops.h() >> 1) | (carry ? 0x80 : 0x00)) & 0xff)
+      this.#regops.h(((this.#regops.h() >> 1) | ((this.#regops.f() & this.#FREG_C) ? 0x80 : 0x00)) & 0xff)
       this.#regops.f(carry | this.#flagTable.sz53p[this.#regops.h()])
     }
+    this.#opcodeCycles[0xcb][0x1c] = 8
     // rr l
     this.#opcodes[0xcb][0x1d] = () => {
       const carry = (this.#regops.l() & 0x01) ? this.#FREG_C : 0
-      this.#regops.l(((this.#regops.l() >> 1) | (carry ? 0x80 : 0x00)) & 0xff)
+      this.#regops.l(((this.#regops.l() >> 1) | ((this.#regops.f() & this.#FREG_C) ? 0x80 : 0x00)) & 0xff)
       this.#regops.f(carry | this.#flagTable.sz53p[this.#regops.l()])
     }
+    this.#opcodeCycles[0xcb][0x1d] = 8
     // rr (hl)
     this.#opcodes[0xcb][0x1e] = () => {
-      const carry = (this.#ram[this.#regops.hl()] & 0x01) ? this.#FREG_C : 0
-      this.#ram[this.#regops.hl()] = ((this.#ram[this.#regops.hl()] >> 1) | (carry ? 0x80 : 0x00)) & 0xff
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[this.#regops.hl()]])
+      const carry = (this.#readByte(this.#regops.hl()) & 0x01) ? this.#FREG_C : 0
+      this.#writeByte(this.#regops.hl(), ((this.#readByte(this.#regops.hl()) >> 1) | ((this.#regops.f() & this.#FREG_C) ? 0x80 : 0x00)) & 0xff)
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(this.#regops.hl())])
     }
+    this.#opcodeCycles[0xcb][0x1e] = 15
     // rr a
     this.#opcodes[0xcb][0x1f] = () => {
       const carry = (this.#regops.a() & 0x01) ? this.#FREG_C : 0
-      this.#regops.a(((this.#regops.a() >> 1) | (carry ? 0x80 : 0x00)) & 0xff)
+      this.#regops.a(((this.#regops.a() >> 1) | ((this.#regops.f() & this.#FREG_C) ? 0x80 : 0x00)) & 0xff)
       this.#regops.f(carry | this.#flagTable.sz53p[this.#regops.a()])
     }
+    this.#opcodeCycles[0xcb][0x1f] = 8
     // sla b
     this.#opcodes[0xcb][0x20] = () => {
       const carry = (this.#regops.b() & 0x80) ? this.#FREG_C : 0
       this.#regops.b(((this.#regops.b() << 1)) & 0xff)
       this.#regops.f(carry | this.#flagTable.sz53p[this.#regops.b()])
     }
+    this.#opcodeCycles[0xcb][0x20] = 8
     // sla c
     this.#opcodes[0xcb][0x21] = () => {
       const carry = (this.#regops.c() & 0x80) ? this.#FREG_C : 0
       this.#regops.c(((this.#regops.c() << 1)) & 0xff)
       this.#regops.f(carry | this.#flagTable.sz53p[this.#regops.c()])
     }
+    this.#opcodeCycles[0xcb][0x21] = 8
     // sla d
     this.#opcodes[0xcb][0x22] = () => {
       const carry = (this.#regops.d() & 0x80) ? this.#FREG_C : 0
       this.#regops.d(((this.#regops.d() << 1)) & 0xff)
       this.#regops.f(carry | this.#flagTable.sz53p[this.#regops.d()])
     }
+    this.#opcodeCycles[0xcb][0x22] = 8
     // sla e
     this.#opcodes[0xcb][0x23] = () => {
       const carry = (this.#regops.e() & 0x80) ? this.#FREG_C : 0
       this.#regops.e(((this.#regops.e() << 1)) & 0xff)
       this.#regops.f(carry | this.#flagTable.sz53p[this.#regops.e()])
     }
+    this.#opcodeCycles[0xcb][0x23] = 8
     // sla h
     this.#opcodes[0xcb][0x24] = () => {
       const carry = (this.#regops.h() & 0x80) ? this.#FREG_C : 0
       this.#regops.h(((this.#regops.h() << 1)) & 0xff)
       this.#regops.f(carry | this.#flagTable.sz53p[this.#regops.h()])
     }
+    this.#opcodeCycles[0xcb][0x24] = 8
     // sla l
     this.#opcodes[0xcb][0x25] = () => {
       const carry = (this.#regops.l() & 0x80) ? this.#FREG_C : 0
       this.#regops.l(((this.#regops.l() << 1)) & 0xff)
       this.#regops.f(carry | this.#flagTable.sz53p[this.#regops.l()])
     }
+    this.#opcodeCycles[0xcb][0x25] = 8
     // sla (hl)
     this.#opcodes[0xcb][0x26] = () => {
-      const carry = (this.#ram[this.#regops.hl()] & 0x80) ? this.#FREG_C : 0
-      this.#ram[this.#regops.hl()] = ((this.#ram[this.#regops.hl()] << 1)) & 0xff
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[this.#regops.hl()]])
+      const carry = (this.#readByte(this.#regops.hl()) & 0x80) ? this.#FREG_C : 0
+      this.#writeByte(this.#regops.hl(), ((this.#readByte(this.#regops.hl()) << 1)) & 0xff)
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(this.#regops.hl())])
     }
+    this.#opcodeCycles[0xcb][0x26] = 15
     // sla a
     this.#opcodes[0xcb][0x27] = () => {
       const carry = (this.#regops.a() & 0x80) ? this.#FREG_C : 0
       this.#regops.a(((this.#regops.a() << 1)) & 0xff)
       this.#regops.f(carry | this.#flagTable.sz53p[this.#regops.a()])
     }
+    this.#opcodeCycles[0xcb][0x27] = 8
     // sra b
     this.#opcodes[0xcb][0x28] = () => {
       const carry = (this.#regops.b() & 0x01) ? this.#FREG_C : 0
-      this.#regops.b(((this.#regops.b() >> 1)) & 0xff)
+      this.#regops.b(((this.#regops.b() >> 1) | (this.#regops.b() & 0x80)) & 0xff)
       this.#regops.f(carry | this.#flagTable.sz53p[this.#regops.b()])
     }
+    this.#opcodeCycles[0xcb][0x28] = 8
     // sra c
     this.#opcodes[0xcb][0x29] = () => {
       const carry = (this.#regops.c() & 0x01) ? this.#FREG_C : 0
-      this.#regops.c(((this.#regops.c() >> 1)) & 0xff)
+      this.#regops.c(((this.#regops.c() >> 1) | (this.#regops.c() & 0x80)) & 0xff)
       this.#regops.f(carry | this.#flagTable.sz53p[this.#regops.c()])
     }
+    this.#opcodeCycles[0xcb][0x29] = 8
     // sra d
     this.#opcodes[0xcb][0x2a] = () => {
       const carry = (this.#regops.d() & 0x01) ? this.#FREG_C : 0
-      this.#regops.d(((this.#regops.d() >> 1)) & 0xff)
+      this.#regops.d(((this.#regops.d() >> 1) | (this.#regops.d() & 0x80)) & 0xff)
       this.#regops.f(carry | this.#flagTable.sz53p[this.#regops.d()])
     }
+    this.#opcodeCycles[0xcb][0x2a] = 8
     // sra e
     this.#opcodes[0xcb][0x2b] = () => {
       const carry = (this.#regops.e() & 0x01) ? this.#FREG_C : 0
-      this.#regops.e(((this.#regops.e() >> 1)) & 0xff)
+      this.#regops.e(((this.#regops.e() >> 1) | (this.#regops.e() & 0x80)) & 0xff)
       this.#regops.f(carry | this.#flagTable.sz53p[this.#regops.e()])
     }
+    this.#opcodeCycles[0xcb][0x2b] = 8
     // sra h
     this.#opcodes[0xcb][0x2c] = () => {
       const carry = (this.#regops.h() & 0x01) ? this.#FREG_C : 0
-      this.#regops.h(((this.#regops.h() >> 1)) & 0xff)
+      this.#regops.h(((this.#regops.h() >> 1) | (this.#regops.h() & 0x80)) & 0xff)
       this.#regops.f(carry | this.#flagTable.sz53p[this.#regops.h()])
     }
+    this.#opcodeCycles[0xcb][0x2c] = 8
     // sra l
     this.#opcodes[0xcb][0x2d] = () => {
       const carry = (this.#regops.l() & 0x01) ? this.#FREG_C : 0
-      this.#regops.l(((this.#regops.l() >> 1)) & 0xff)
+      this.#regops.l(((this.#regops.l() >> 1) | (this.#regops.l() & 0x80)) & 0xff)
       this.#regops.f(carry | this.#flagTable.sz53p[this.#regops.l()])
     }
+    this.#opcodeCycles[0xcb][0x2d] = 8
     // sra (hl)
     this.#opcodes[0xcb][0x2e] = () => {
-      const carry = (this.#ram[this.#regops.hl()] & 0x01) ? this.#FREG_C : 0
-      this.#ram[this.#regops.hl()] = ((this.#ram[this.#regops.hl()] >> 1)) & 0xff
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[this.#regops.hl()]])
+      const carry = (this.#readByte(this.#regops.hl()) & 0x01) ? this.#FREG_C : 0
+      this.#writeByte(this.#regops.hl(), ((this.#readByte(this.#regops.hl()) >> 1) | (this.#readByte(this.#regops.hl()) & 0x80)) & 0xff)
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(this.#regops.hl())])
     }
+    this.#opcodeCycles[0xcb][0x2e] = 15
     // sra a
     this.#opcodes[0xcb][0x2f] = () => {
       const carry = (this.#regops.a() & 0x01) ? this.#FREG_C : 0
-      this.#regops.a(((this.#regops.a() >> 1)) & 0xff)
+      this.#regops.a(((this.#regops.a() >> 1) | (this.#regops.a() & 0x80)) & 0xff)
       this.#regops.f(carry | this.#flagTable.sz53p[this.#regops.a()])
     }
+    this.#opcodeCycles[0xcb][0x2f] = 8
     // sll b
     this.#opcodes[0xcb][0x30] = () => {
       const carry = (this.#regops.b() & 0x80) ? this.#FREG_C : 0
       this.#regops.b(((this.#regops.b() << 1) | 0x01) & 0xff)
       this.#regops.f(carry | this.#flagTable.sz53p[this.#regops.b()])
     }
+    this.#opcodeCycles[0xcb][0x30] = 8
     // sll c
     this.#opcodes[0xcb][0x31] = () => {
       const carry = (this.#regops.c() & 0x80) ? this.#FREG_C : 0
       this.#regops.c(((this.#regops.c() << 1) | 0x01) & 0xff)
       this.#regops.f(carry | this.#flagTable.sz53p[this.#regops.c()])
     }
+    this.#opcodeCycles[0xcb][0x31] = 8
     // sll d
     this.#opcodes[0xcb][0x32] = () => {
       const carry = (this.#regops.d() & 0x80) ? this.#FREG_C : 0
       this.#regops.d(((this.#regops.d() << 1) | 0x01) & 0xff)
       this.#regops.f(carry | this.#flagTable.sz53p[this.#regops.d()])
     }
+    this.#opcodeCycles[0xcb][0x32] = 8
     // sll e
     this.#opcodes[0xcb][0x33] = () => {
       const carry = (this.#regops.e() & 0x80) ? this.#FREG_C : 0
       this.#regops.e(((this.#regops.e() << 1) | 0x01) & 0xff)
       this.#regops.f(carry | this.#flagTable.sz53p[this.#regops.e()])
     }
+    this.#opcodeCycles[0xcb][0x33] = 8
     // sll h
     this.#opcodes[0xcb][0x34] = () => {
       const carry = (this.#regops.h() & 0x80) ? this.#FREG_C : 0
       this.#regops.h(((this.#regops.h() << 1) | 0x01) & 0xff)
       this.#regops.f(carry | this.#flagTable.sz53p[this.#regops.h()])
     }
+    this.#opcodeCycles[0xcb][0x34] = 8
     // sll l
     this.#opcodes[0xcb][0x35] = () => {
       const carry = (this.#regops.l() & 0x80) ? this.#FREG_C : 0
       this.#regops.l(((this.#regops.l() << 1) | 0x01) & 0xff)
       this.#regops.f(carry | this.#flagTable.sz53p[this.#regops.l()])
     }
+    this.#opcodeCycles[0xcb][0x35] = 8
     // sll (hl)
     this.#opcodes[0xcb][0x36] = () => {
-      const carry = (this.#ram[this.#regops.hl()] & 0x80) ? this.#FREG_C : 0
-      this.#ram[this.#regops.hl()] = ((this.#ram[this.#regops.hl()] << 1) | 0x01) & 0xff
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[this.#regops.hl()]])
+      const carry = (this.#readByte(this.#regops.hl()) & 0x80) ? this.#FREG_C : 0
+      this.#writeByte(this.#regops.hl(), ((this.#readByte(this.#regops.hl()) << 1) | 0x01) & 0xff)
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(this.#regops.hl())])
     }
+    this.#opcodeCycles[0xcb][0x36] = 15
     // sll a
     this.#opcodes[0xcb][0x37] = () => {
       const carry = (this.#regops.a() & 0x80) ? this.#FREG_C : 0
       this.#regops.a(((this.#regops.a() << 1) | 0x01) & 0xff)
       this.#regops.f(carry | this.#flagTable.sz53p[this.#regops.a()])
     }
+    this.#opcodeCycles[0xcb][0x37] = 8
     // srl b
     this.#opcodes[0xcb][0x38] = () => {
       const carry = (this.#regops.b() & 0x01) ? this.#FREG_C : 0
-      this.#regops.b(((this.#regops.b() >> 1) | 0x80) & 0xff)
+      this.#regops.b(((this.#regops.b() >> 1)) & 0xff)
       this.#regops.f(carry | this.#flagTable.sz53p[this.#regops.b()])
     }
+    this.#opcodeCycles[0xcb][0x38] = 8
     // srl c
     this.#opcodes[0xcb][0x39] = () => {
       const carry = (this.#regops.c() & 0x01) ? this.#FREG_C : 0
-      this.#regops.c(((this.#regops.c() >> 1) | 0x80) & 0xff)
+      this.#regops.c(((this.#regops.c() >> 1)) & 0xff)
       this.#regops.f(carry | this.#flagTable.sz53p[this.#regops.c()])
     }
+    this.#opcodeCycles[0xcb][0x39] = 8
     // srl d
     this.#opcodes[0xcb][0x3a] = () => {
       const carry = (this.#regops.d() & 0x01) ? this.#FREG_C : 0
-      this.#regops.d(((this.#regops.d() >> 1) | 0x80) & 0xff)
+      this.#regops.d(((this.#regops.d() >> 1)) & 0xff)
       this.#regops.f(carry | this.#flagTable.sz53p[this.#regops.d()])
     }
+    this.#opcodeCycles[0xcb][0x3a] = 8
     // srl e
     this.#opcodes[0xcb][0x3b] = () => {
       const carry = (this.#regops.e() & 0x01) ? this.#FREG_C : 0
-      this.#regops.e(((this.#regops.e() >> 1) | 0x80) & 0xff)
+      this.#regops.e(((this.#regops.e() >> 1)) & 0xff)
       this.#regops.f(carry | this.#flagTable.sz53p[this.#regops.e()])
     }
+    this.#opcodeCycles[0xcb][0x3b] = 8
     // srl h
     this.#opcodes[0xcb][0x3c] = () => {
       const carry = (this.#regops.h() & 0x01) ? this.#FREG_C : 0
-      this.#regops.h(((this.#regops.h() >> 1) | 0x80) & 0xff)
+      this.#regops.h(((this.#regops.h() >> 1)) & 0xff)
       this.#regops.f(carry | this.#flagTable.sz53p[this.#regops.h()])
     }
+    this.#opcodeCycles[0xcb][0x3c] = 8
     // srl l
     this.#opcodes[0xcb][0x3d] = () => {
       const carry = (this.#regops.l() & 0x01) ? this.#FREG_C : 0
-      this.#regops.l(((this.#regops.l() >> 1) | 0x80) & 0xff)
+      this.#regops.l(((this.#regops.l() >> 1)) & 0xff)
       this.#regops.f(carry | this.#flagTable.sz53p[this.#regops.l()])
     }
+    this.#opcodeCycles[0xcb][0x3d] = 8
     // srl (hl)
     this.#opcodes[0xcb][0x3e] = () => {
-      const carry = (this.#ram[this.#regops.hl()] & 0x01) ? this.#FREG_C : 0
-      this.#ram[this.#regops.hl()] = ((this.#ram[this.#regops.hl()] >> 1) | 0x80) & 0xff
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[this.#regops.hl()]])
+      const carry = (this.#readByte(this.#regops.hl()) & 0x01) ? this.#FREG_C : 0
+      this.#writeByte(this.#regops.hl(), ((this.#readByte(this.#regops.hl()) >> 1)) & 0xff)
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(this.#regops.hl())])
     }
+    this.#opcodeCycles[0xcb][0x3e] = 15
     // srl a
     this.#opcodes[0xcb][0x3f] = () => {
       const carry = (this.#regops.a() & 0x01) ? this.#FREG_C : 0
-      this.#regops.a(((this.#regops.a() >> 1) | 0x80) & 0xff)
+      this.#regops.a(((this.#regops.a() >> 1)) & 0xff)
       this.#regops.f(carry | this.#flagTable.sz53p[this.#regops.a()])
     }
+    this.#opcodeCycles[0xcb][0x3f] = 8
     // bit 0,b
     this.#opcodes[0xcb][0x40] = () => {
       this.#regops.f(
@@ -1956,6 +2514,7 @@ class ProcessorZ80
         | (((this.#regops.b() & (1 << 0)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x40] = 8
     // bit 0,c
     this.#opcodes[0xcb][0x41] = () => {
       this.#regops.f(
@@ -1965,6 +2524,7 @@ class ProcessorZ80
         | (((this.#regops.c() & (1 << 0)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x41] = 8
     // bit 0,d
     this.#opcodes[0xcb][0x42] = () => {
       this.#regops.f(
@@ -1974,6 +2534,7 @@ class ProcessorZ80
         | (((this.#regops.d() & (1 << 0)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x42] = 8
     // bit 0,e
     this.#opcodes[0xcb][0x43] = () => {
       this.#regops.f(
@@ -1983,6 +2544,7 @@ class ProcessorZ80
         | (((this.#regops.e() & (1 << 0)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x43] = 8
     // bit 0,h
     this.#opcodes[0xcb][0x44] = () => {
       this.#regops.f(
@@ -1992,6 +2554,7 @@ class ProcessorZ80
         | (((this.#regops.h() & (1 << 0)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x44] = 8
     // bit 0,l
     this.#opcodes[0xcb][0x45] = () => {
       this.#regops.f(
@@ -2001,15 +2564,17 @@ class ProcessorZ80
         | (((this.#regops.l() & (1 << 0)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x45] = 8
     // bit 0,(hl)
     this.#opcodes[0xcb][0x46] = () => {
       this.#regops.f(
           (this.#regops.f() & this.#FREG_C)
         | this.#FREG_H
-        | (this.#ram[this.#regops.hl()] & (this.#FREG_F3 | this.#FREG_F5))
-        | (((this.#ram[this.#regops.hl()] & (1 << 0)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#readByte(this.#regops.hl()) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(this.#regops.hl()) & (1 << 0)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x46] = 12
     // bit 0,a
     this.#opcodes[0xcb][0x47] = () => {
       this.#regops.f(
@@ -2019,6 +2584,7 @@ class ProcessorZ80
         | (((this.#regops.a() & (1 << 0)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x47] = 8
     // bit 1,b
     this.#opcodes[0xcb][0x48] = () => {
       this.#regops.f(
@@ -2028,6 +2594,7 @@ class ProcessorZ80
         | (((this.#regops.b() & (1 << 1)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x48] = 8
     // bit 1,c
     this.#opcodes[0xcb][0x49] = () => {
       this.#regops.f(
@@ -2037,6 +2604,7 @@ class ProcessorZ80
         | (((this.#regops.c() & (1 << 1)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x49] = 8
     // bit 1,d
     this.#opcodes[0xcb][0x4a] = () => {
       this.#regops.f(
@@ -2046,6 +2614,7 @@ class ProcessorZ80
         | (((this.#regops.d() & (1 << 1)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x4a] = 8
     // bit 1,e
     this.#opcodes[0xcb][0x4b] = () => {
       this.#regops.f(
@@ -2055,6 +2624,7 @@ class ProcessorZ80
         | (((this.#regops.e() & (1 << 1)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x4b] = 8
     // bit 1,h
     this.#opcodes[0xcb][0x4c] = () => {
       this.#regops.f(
@@ -2064,6 +2634,7 @@ class ProcessorZ80
         | (((this.#regops.h() & (1 << 1)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x4c] = 8
     // bit 1,l
     this.#opcodes[0xcb][0x4d] = () => {
       this.#regops.f(
@@ -2073,15 +2644,17 @@ class ProcessorZ80
         | (((this.#regops.l() & (1 << 1)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x4d] = 8
     // bit 1,(hl)
     this.#opcodes[0xcb][0x4e] = () => {
       this.#regops.f(
           (this.#regops.f() & this.#FREG_C)
         | this.#FREG_H
-        | (this.#ram[this.#regops.hl()] & (this.#FREG_F3 | this.#FREG_F5))
-        | (((this.#ram[this.#regops.hl()] & (1 << 1)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#readByte(this.#regops.hl()) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(this.#regops.hl()) & (1 << 1)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x4e] = 12
     // bit 1,a
     this.#opcodes[0xcb][0x4f] = () => {
       this.#regops.f(
@@ -2091,6 +2664,7 @@ class ProcessorZ80
         | (((this.#regops.a() & (1 << 1)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x4f] = 8
     // bit 2,b
     this.#opcodes[0xcb][0x50] = () => {
       this.#regops.f(
@@ -2100,6 +2674,7 @@ class ProcessorZ80
         | (((this.#regops.b() & (1 << 2)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x50] = 8
     // bit 2,c
     this.#opcodes[0xcb][0x51] = () => {
       this.#regops.f(
@@ -2109,6 +2684,7 @@ class ProcessorZ80
         | (((this.#regops.c() & (1 << 2)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x51] = 8
     // bit 2,d
     this.#opcodes[0xcb][0x52] = () => {
       this.#regops.f(
@@ -2118,6 +2694,7 @@ class ProcessorZ80
         | (((this.#regops.d() & (1 << 2)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x52] = 8
     // bit 2,e
     this.#opcodes[0xcb][0x53] = () => {
       this.#regops.f(
@@ -2127,6 +2704,7 @@ class ProcessorZ80
         | (((this.#regops.e() & (1 << 2)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x53] = 8
     // bit 2,h
     this.#opcodes[0xcb][0x54] = () => {
       this.#regops.f(
@@ -2136,6 +2714,7 @@ class ProcessorZ80
         | (((this.#regops.h() & (1 << 2)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x54] = 8
     // bit 2,l
     this.#opcodes[0xcb][0x55] = () => {
       this.#regops.f(
@@ -2145,15 +2724,17 @@ class ProcessorZ80
         | (((this.#regops.l() & (1 << 2)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x55] = 8
     // bit 2,(hl)
     this.#opcodes[0xcb][0x56] = () => {
       this.#regops.f(
           (this.#regops.f() & this.#FREG_C)
         | this.#FREG_H
-        | (this.#ram[this.#regops.hl()] & (this.#FREG_F3 | this.#FREG_F5))
-        | (((this.#ram[this.#regops.hl()] & (1 << 2)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#readByte(this.#regops.hl()) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(this.#regops.hl()) & (1 << 2)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x56] = 12
     // bit 2,a
     this.#opcodes[0xcb][0x57] = () => {
       this.#regops.f(
@@ -2163,6 +2744,7 @@ class ProcessorZ80
         | (((this.#regops.a() & (1 << 2)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x57] = 8
     // bit 3,b
     this.#opcodes[0xcb][0x58] = () => {
       this.#regops.f(
@@ -2172,6 +2754,7 @@ class ProcessorZ80
         | (((this.#regops.b() & (1 << 3)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x58] = 8
     // bit 3,c
     this.#opcodes[0xcb][0x59] = () => {
       this.#regops.f(
@@ -2181,6 +2764,7 @@ class ProcessorZ80
         | (((this.#regops.c() & (1 << 3)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x59] = 8
     // bit 3,d
     this.#opcodes[0xcb][0x5a] = () => {
       this.#regops.f(
@@ -2190,6 +2774,7 @@ class ProcessorZ80
         | (((this.#regops.d() & (1 << 3)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x5a] = 8
     // bit 3,e
     this.#opcodes[0xcb][0x5b] = () => {
       this.#regops.f(
@@ -2199,6 +2784,7 @@ class ProcessorZ80
         | (((this.#regops.e() & (1 << 3)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x5b] = 8
     // bit 3,h
     this.#opcodes[0xcb][0x5c] = () => {
       this.#regops.f(
@@ -2208,6 +2794,7 @@ class ProcessorZ80
         | (((this.#regops.h() & (1 << 3)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x5c] = 8
     // bit 3,l
     this.#opcodes[0xcb][0x5d] = () => {
       this.#regops.f(
@@ -2217,15 +2804,17 @@ class ProcessorZ80
         | (((this.#regops.l() & (1 << 3)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x5d] = 8
     // bit 3,(hl)
     this.#opcodes[0xcb][0x5e] = () => {
       this.#regops.f(
           (this.#regops.f() & this.#FREG_C)
         | this.#FREG_H
-        | (this.#ram[this.#regops.hl()] & (this.#FREG_F3 | this.#FREG_F5))
-        | (((this.#ram[this.#regops.hl()] & (1 << 3)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#readByte(this.#regops.hl()) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(this.#regops.hl()) & (1 << 3)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x5e] = 12
     // bit 3,a
     this.#opcodes[0xcb][0x5f] = () => {
       this.#regops.f(
@@ -2235,6 +2824,7 @@ class ProcessorZ80
         | (((this.#regops.a() & (1 << 3)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x5f] = 8
     // bit 4,b
     this.#opcodes[0xcb][0x60] = () => {
       this.#regops.f(
@@ -2244,6 +2834,7 @@ class ProcessorZ80
         | (((this.#regops.b() & (1 << 4)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x60] = 8
     // bit 4,c
     this.#opcodes[0xcb][0x61] = () => {
       this.#regops.f(
@@ -2253,6 +2844,7 @@ class ProcessorZ80
         | (((this.#regops.c() & (1 << 4)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x61] = 8
     // bit 4,d
     this.#opcodes[0xcb][0x62] = () => {
       this.#regops.f(
@@ -2262,6 +2854,7 @@ class ProcessorZ80
         | (((this.#regops.d() & (1 << 4)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x62] = 8
     // bit 4,e
     this.#opcodes[0xcb][0x63] = () => {
       this.#regops.f(
@@ -2271,6 +2864,7 @@ class ProcessorZ80
         | (((this.#regops.e() & (1 << 4)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x63] = 8
     // bit 4,h
     this.#opcodes[0xcb][0x64] = () => {
       this.#regops.f(
@@ -2280,6 +2874,7 @@ class ProcessorZ80
         | (((this.#regops.h() & (1 << 4)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x64] = 8
     // bit 4,l
     this.#opcodes[0xcb][0x65] = () => {
       this.#regops.f(
@@ -2289,15 +2884,17 @@ class ProcessorZ80
         | (((this.#regops.l() & (1 << 4)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x65] = 8
     // bit 4,(hl)
     this.#opcodes[0xcb][0x66] = () => {
       this.#regops.f(
           (this.#regops.f() & this.#FREG_C)
         | this.#FREG_H
-        | (this.#ram[this.#regops.hl()] & (this.#FREG_F3 | this.#FREG_F5))
-        | (((this.#ram[this.#regops.hl()] & (1 << 4)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#readByte(this.#regops.hl()) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(this.#regops.hl()) & (1 << 4)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x66] = 12
     // bit 4,a
     this.#opcodes[0xcb][0x67] = () => {
       this.#regops.f(
@@ -2307,6 +2904,7 @@ class ProcessorZ80
         | (((this.#regops.a() & (1 << 4)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x67] = 8
     // bit 5,b
     this.#opcodes[0xcb][0x68] = () => {
       this.#regops.f(
@@ -2316,6 +2914,7 @@ class ProcessorZ80
         | (((this.#regops.b() & (1 << 5)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x68] = 8
     // bit 5,c
     this.#opcodes[0xcb][0x69] = () => {
       this.#regops.f(
@@ -2325,6 +2924,7 @@ class ProcessorZ80
         | (((this.#regops.c() & (1 << 5)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x69] = 8
     // bit 5,d
     this.#opcodes[0xcb][0x6a] = () => {
       this.#regops.f(
@@ -2334,6 +2934,7 @@ class ProcessorZ80
         | (((this.#regops.d() & (1 << 5)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x6a] = 8
     // bit 5,e
     this.#opcodes[0xcb][0x6b] = () => {
       this.#regops.f(
@@ -2343,6 +2944,7 @@ class ProcessorZ80
         | (((this.#regops.e() & (1 << 5)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x6b] = 8
     // bit 5,h
     this.#opcodes[0xcb][0x6c] = () => {
       this.#regops.f(
@@ -2352,6 +2954,7 @@ class ProcessorZ80
         | (((this.#regops.h() & (1 << 5)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x6c] = 8
     // bit 5,l
     this.#opcodes[0xcb][0x6d] = () => {
       this.#regops.f(
@@ -2361,15 +2964,17 @@ class ProcessorZ80
         | (((this.#regops.l() & (1 << 5)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x6d] = 8
     // bit 5,(hl)
     this.#opcodes[0xcb][0x6e] = () => {
       this.#regops.f(
           (this.#regops.f() & this.#FREG_C)
         | this.#FREG_H
-        | (this.#ram[this.#regops.hl()] & (this.#FREG_F3 | this.#FREG_F5))
-        | (((this.#ram[this.#regops.hl()] & (1 << 5)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#readByte(this.#regops.hl()) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(this.#regops.hl()) & (1 << 5)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x6e] = 12
     // bit 5,a
     this.#opcodes[0xcb][0x6f] = () => {
       this.#regops.f(
@@ -2379,6 +2984,7 @@ class ProcessorZ80
         | (((this.#regops.a() & (1 << 5)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x6f] = 8
     // bit 6,b
     this.#opcodes[0xcb][0x70] = () => {
       this.#regops.f(
@@ -2388,6 +2994,7 @@ class ProcessorZ80
         | (((this.#regops.b() & (1 << 6)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x70] = 8
     // bit 6,c
     this.#opcodes[0xcb][0x71] = () => {
       this.#regops.f(
@@ -2397,6 +3004,7 @@ class ProcessorZ80
         | (((this.#regops.c() & (1 << 6)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x71] = 8
     // bit 6,d
     this.#opcodes[0xcb][0x72] = () => {
       this.#regops.f(
@@ -2406,6 +3014,7 @@ class ProcessorZ80
         | (((this.#regops.d() & (1 << 6)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x72] = 8
     // bit 6,e
     this.#opcodes[0xcb][0x73] = () => {
       this.#regops.f(
@@ -2415,6 +3024,7 @@ class ProcessorZ80
         | (((this.#regops.e() & (1 << 6)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x73] = 8
     // bit 6,h
     this.#opcodes[0xcb][0x74] = () => {
       this.#regops.f(
@@ -2424,6 +3034,7 @@ class ProcessorZ80
         | (((this.#regops.h() & (1 << 6)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x74] = 8
     // bit 6,l
     this.#opcodes[0xcb][0x75] = () => {
       this.#regops.f(
@@ -2433,15 +3044,17 @@ class ProcessorZ80
         | (((this.#regops.l() & (1 << 6)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x75] = 8
     // bit 6,(hl)
     this.#opcodes[0xcb][0x76] = () => {
       this.#regops.f(
           (this.#regops.f() & this.#FREG_C)
         | this.#FREG_H
-        | (this.#ram[this.#regops.hl()] & (this.#FREG_F3 | this.#FREG_F5))
-        | (((this.#ram[this.#regops.hl()] & (1 << 6)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#readByte(this.#regops.hl()) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(this.#regops.hl()) & (1 << 6)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x76] = 12
     // bit 6,a
     this.#opcodes[0xcb][0x77] = () => {
       this.#regops.f(
@@ -2451,6 +3064,7 @@ class ProcessorZ80
         | (((this.#regops.a() & (1 << 6)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
+    this.#opcodeCycles[0xcb][0x77] = 8
     // bit 7,b
     this.#opcodes[0xcb][0x78] = () => {
       this.#regops.f(
@@ -2458,8 +3072,10 @@ class ProcessorZ80
         | this.#FREG_H
         | (this.#regops.b() & (this.#FREG_F3 | this.#FREG_F5))
         | (((this.#regops.b() & (1 << 7)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#regops.b() & this.#FREG_S)
       )
     }
+    this.#opcodeCycles[0xcb][0x78] = 8
     // bit 7,c
     this.#opcodes[0xcb][0x79] = () => {
       this.#regops.f(
@@ -2467,8 +3083,10 @@ class ProcessorZ80
         | this.#FREG_H
         | (this.#regops.c() & (this.#FREG_F3 | this.#FREG_F5))
         | (((this.#regops.c() & (1 << 7)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#regops.c() & this.#FREG_S)
       )
     }
+    this.#opcodeCycles[0xcb][0x79] = 8
     // bit 7,d
     this.#opcodes[0xcb][0x7a] = () => {
       this.#regops.f(
@@ -2476,8 +3094,10 @@ class ProcessorZ80
         | this.#FREG_H
         | (this.#regops.d() & (this.#FREG_F3 | this.#FREG_F5))
         | (((this.#regops.d() & (1 << 7)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#regops.d() & this.#FREG_S)
       )
     }
+    this.#opcodeCycles[0xcb][0x7a] = 8
     // bit 7,e
     this.#opcodes[0xcb][0x7b] = () => {
       this.#regops.f(
@@ -2485,8 +3105,10 @@ class ProcessorZ80
         | this.#FREG_H
         | (this.#regops.e() & (this.#FREG_F3 | this.#FREG_F5))
         | (((this.#regops.e() & (1 << 7)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#regops.e() & this.#FREG_S)
       )
     }
+    this.#opcodeCycles[0xcb][0x7b] = 8
     // bit 7,h
     this.#opcodes[0xcb][0x7c] = () => {
       this.#regops.f(
@@ -2494,8 +3116,10 @@ class ProcessorZ80
         | this.#FREG_H
         | (this.#regops.h() & (this.#FREG_F3 | this.#FREG_F5))
         | (((this.#regops.h() & (1 << 7)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#regops.h() & this.#FREG_S)
       )
     }
+    this.#opcodeCycles[0xcb][0x7c] = 8
     // bit 7,l
     this.#opcodes[0xcb][0x7d] = () => {
       this.#regops.f(
@@ -2503,17 +3127,21 @@ class ProcessorZ80
         | this.#FREG_H
         | (this.#regops.l() & (this.#FREG_F3 | this.#FREG_F5))
         | (((this.#regops.l() & (1 << 7)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#regops.l() & this.#FREG_S)
       )
     }
+    this.#opcodeCycles[0xcb][0x7d] = 8
     // bit 7,(hl)
     this.#opcodes[0xcb][0x7e] = () => {
       this.#regops.f(
           (this.#regops.f() & this.#FREG_C)
         | this.#FREG_H
-        | (this.#ram[this.#regops.hl()] & (this.#FREG_F3 | this.#FREG_F5))
-        | (((this.#ram[this.#regops.hl()] & (1 << 7)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#readByte(this.#regops.hl()) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(this.#regops.hl()) & (1 << 7)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#readByte(this.#regops.hl()) & this.#FREG_S)
       )
     }
+    this.#opcodeCycles[0xcb][0x7e] = 12
     // bit 7,a
     this.#opcodes[0xcb][0x7f] = () => {
       this.#regops.f(
@@ -2521,3757 +3149,7230 @@ class ProcessorZ80
         | this.#FREG_H
         | (this.#regops.a() & (this.#FREG_F3 | this.#FREG_F5))
         | (((this.#regops.a() & (1 << 7)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#regops.a() & this.#FREG_S)
       )
     }
+    this.#opcodeCycles[0xcb][0x7f] = 8
     // res 0,b
     this.#opcodes[0xcb][0x80] = () => this.#regops.b(this.#regops.b() & ~(1 << 0))
+    this.#opcodeCycles[0xcb][0x80] = 8
     // res 0,c
     this.#opcodes[0xcb][0x81] = () => this.#regops.c(this.#regops.c() & ~(1 << 0))
+    this.#opcodeCycles[0xcb][0x81] = 8
     // res 0,d
     this.#opcodes[0xcb][0x82] = () => this.#regops.d(this.#regops.d() & ~(1 << 0))
+    this.#opcodeCycles[0xcb][0x82] = 8
     // res 0,e
     this.#opcodes[0xcb][0x83] = () => this.#regops.e(this.#regops.e() & ~(1 << 0))
+    this.#opcodeCycles[0xcb][0x83] = 8
     // res 0,h
     this.#opcodes[0xcb][0x84] = () => this.#regops.h(this.#regops.h() & ~(1 << 0))
+    this.#opcodeCycles[0xcb][0x84] = 8
     // res 0,l
     this.#opcodes[0xcb][0x85] = () => this.#regops.l(this.#regops.l() & ~(1 << 0))
+    this.#opcodeCycles[0xcb][0x85] = 8
     // res 0,(hl)
     this.#opcodes[0xcb][0x86] = () => {
-      this.#ram[this.#regops.hl()] = this.#ram[this.#regops.hl()] & ~(1 << 0)
+      this.#writeByte(this.#regops.hl(), this.#readByte(this.#regops.hl()) & ~(1 << 0))
     }
+    this.#opcodeCycles[0xcb][0x86] = 15
     // res 0,a
     this.#opcodes[0xcb][0x87] = () => this.#regops.a(this.#regops.a() & ~(1 << 0))
+    this.#opcodeCycles[0xcb][0x87] = 8
     // res 1,b
     this.#opcodes[0xcb][0x88] = () => this.#regops.b(this.#regops.b() & ~(1 << 1))
+    this.#opcodeCycles[0xcb][0x88] = 8
     // res 1,c
     this.#opcodes[0xcb][0x89] = () => this.#regops.c(this.#regops.c() & ~(1 << 1))
+    this.#opcodeCycles[0xcb][0x89] = 8
     // res 1,d
     this.#opcodes[0xcb][0x8a] = () => this.#regops.d(this.#regops.d() & ~(1 << 1))
+    this.#opcodeCycles[0xcb][0x8a] = 8
     // res 1,e
     this.#opcodes[0xcb][0x8b] = () => this.#regops.e(this.#regops.e() & ~(1 << 1))
+    this.#opcodeCycles[0xcb][0x8b] = 8
     // res 1,h
     this.#opcodes[0xcb][0x8c] = () => this.#regops.h(this.#regops.h() & ~(1 << 1))
+    this.#opcodeCycles[0xcb][0x8c] = 8
     // res 1,l
     this.#opcodes[0xcb][0x8d] = () => this.#regops.l(this.#regops.l() & ~(1 << 1))
+    this.#opcodeCycles[0xcb][0x8d] = 8
     // res 1,(hl)
     this.#opcodes[0xcb][0x8e] = () => {
-      this.#ram[this.#regops.hl()] = this.#ram[this.#regops.hl()] & ~(1 << 1)
+      this.#writeByte(this.#regops.hl(), this.#readByte(this.#regops.hl()) & ~(1 << 1))
     }
+    this.#opcodeCycles[0xcb][0x8e] = 15
     // res 1,a
     this.#opcodes[0xcb][0x8f] = () => this.#regops.a(this.#regops.a() & ~(1 << 1))
+    this.#opcodeCycles[0xcb][0x8f] = 8
     // res 2,b
     this.#opcodes[0xcb][0x90] = () => this.#regops.b(this.#regops.b() & ~(1 << 2))
+    this.#opcodeCycles[0xcb][0x90] = 8
     // res 2,c
     this.#opcodes[0xcb][0x91] = () => this.#regops.c(this.#regops.c() & ~(1 << 2))
+    this.#opcodeCycles[0xcb][0x91] = 8
     // res 2,d
     this.#opcodes[0xcb][0x92] = () => this.#regops.d(this.#regops.d() & ~(1 << 2))
+    this.#opcodeCycles[0xcb][0x92] = 8
     // res 2,e
     this.#opcodes[0xcb][0x93] = () => this.#regops.e(this.#regops.e() & ~(1 << 2))
+    this.#opcodeCycles[0xcb][0x93] = 8
     // res 2,h
     this.#opcodes[0xcb][0x94] = () => this.#regops.h(this.#regops.h() & ~(1 << 2))
+    this.#opcodeCycles[0xcb][0x94] = 8
     // res 2,l
     this.#opcodes[0xcb][0x95] = () => this.#regops.l(this.#regops.l() & ~(1 << 2))
+    this.#opcodeCycles[0xcb][0x95] = 8
     // res 2,(hl)
     this.#opcodes[0xcb][0x96] = () => {
-      this.#ram[this.#regops.hl()] = this.#ram[this.#regops.hl()] & ~(1 << 2)
+      this.#writeByte(this.#regops.hl(), this.#readByte(this.#regops.hl()) & ~(1 << 2))
     }
+    this.#opcodeCycles[0xcb][0x96] = 15
     // res 2,a
     this.#opcodes[0xcb][0x97] = () => this.#regops.a(this.#regops.a() & ~(1 << 2))
+    this.#opcodeCycles[0xcb][0x97] = 8
     // res 3,b
     this.#opcodes[0xcb][0x98] = () => this.#regops.b(this.#regops.b() & ~(1 << 3))
+    this.#opcodeCycles[0xcb][0x98] = 8
     // res 3,c
     this.#opcodes[0xcb][0x99] = () => this.#regops.c(this.#regops.c() & ~(1 << 3))
+    this.#opcodeCycles[0xcb][0x99] = 8
     // res 3,d
     this.#opcodes[0xcb][0x9a] = () => this.#regops.d(this.#regops.d() & ~(1 << 3))
+    this.#opcodeCycles[0xcb][0x9a] = 8
     // res 3,e
     this.#opcodes[0xcb][0x9b] = () => this.#regops.e(this.#regops.e() & ~(1 << 3))
+    this.#opcodeCycles[0xcb][0x9b] = 8
     // res 3,h
     this.#opcodes[0xcb][0x9c] = () => this.#regops.h(this.#regops.h() & ~(1 << 3))
+    this.#opcodeCycles[0xcb][0x9c] = 8
     // res 3,l
     this.#opcodes[0xcb][0x9d] = () => this.#regops.l(this.#regops.l() & ~(1 << 3))
+    this.#opcodeCycles[0xcb][0x9d] = 8
     // res 3,(hl)
     this.#opcodes[0xcb][0x9e] = () => {
-      this.#ram[this.#regops.hl()] = this.#ram[this.#regops.hl()] & ~(1 << 3)
+      this.#writeByte(this.#regops.hl(), this.#readByte(this.#regops.hl()) & ~(1 << 3))
     }
+    this.#opcodeCycles[0xcb][0x9e] = 15
     // res 3,a
     this.#opcodes[0xcb][0x9f] = () => this.#regops.a(this.#regops.a() & ~(1 << 3))
+    this.#opcodeCycles[0xcb][0x9f] = 8
     // res 4,b
     this.#opcodes[0xcb][0xa0] = () => this.#regops.b(this.#regops.b() & ~(1 << 4))
+    this.#opcodeCycles[0xcb][0xa0] = 8
     // res 4,c
     this.#opcodes[0xcb][0xa1] = () => this.#regops.c(this.#regops.c() & ~(1 << 4))
+    this.#opcodeCycles[0xcb][0xa1] = 8
     // res 4,d
     this.#opcodes[0xcb][0xa2] = () => this.#regops.d(this.#regops.d() & ~(1 << 4))
+    this.#opcodeCycles[0xcb][0xa2] = 8
     // res 4,e
     this.#opcodes[0xcb][0xa3] = () => this.#regops.e(this.#regops.e() & ~(1 << 4))
+    this.#opcodeCycles[0xcb][0xa3] = 8
     // res 4,h
     this.#opcodes[0xcb][0xa4] = () => this.#regops.h(this.#regops.h() & ~(1 << 4))
+    this.#opcodeCycles[0xcb][0xa4] = 8
     // res 4,l
     this.#opcodes[0xcb][0xa5] = () => this.#regops.l(this.#regops.l() & ~(1 << 4))
+    this.#opcodeCycles[0xcb][0xa5] = 8
     // res 4,(hl)
     this.#opcodes[0xcb][0xa6] = () => {
-      this.#ram[this.#regops.hl()] = this.#ram[this.#regops.hl()] & ~(1 << 4)
+      this.#writeByte(this.#regops.hl(), this.#readByte(this.#regops.hl()) & ~(1 << 4))
     }
+    this.#opcodeCycles[0xcb][0xa6] = 15
     // res 4,a
     this.#opcodes[0xcb][0xa7] = () => this.#regops.a(this.#regops.a() & ~(1 << 4))
+    this.#opcodeCycles[0xcb][0xa7] = 8
     // res 5,b
     this.#opcodes[0xcb][0xa8] = () => this.#regops.b(this.#regops.b() & ~(1 << 5))
+    this.#opcodeCycles[0xcb][0xa8] = 8
     // res 5,c
     this.#opcodes[0xcb][0xa9] = () => this.#regops.c(this.#regops.c() & ~(1 << 5))
+    this.#opcodeCycles[0xcb][0xa9] = 8
     // res 5,d
     this.#opcodes[0xcb][0xaa] = () => this.#regops.d(this.#regops.d() & ~(1 << 5))
+    this.#opcodeCycles[0xcb][0xaa] = 8
     // res 5,e
     this.#opcodes[0xcb][0xab] = () => this.#regops.e(this.#regops.e() & ~(1 << 5))
+    this.#opcodeCycles[0xcb][0xab] = 8
     // res 5,h
     this.#opcodes[0xcb][0xac] = () => this.#regops.h(this.#regops.h() & ~(1 << 5))
+    this.#opcodeCycles[0xcb][0xac] = 8
     // res 5,l
     this.#opcodes[0xcb][0xad] = () => this.#regops.l(this.#regops.l() & ~(1 << 5))
+    this.#opcodeCycles[0xcb][0xad] = 8
     // res 5,(hl)
     this.#opcodes[0xcb][0xae] = () => {
-      this.#ram[this.#regops.hl()] = this.#ram[this.#regops.hl()] & ~(1 << 5)
+      this.#writeByte(this.#regops.hl(), this.#readByte(this.#regops.hl()) & ~(1 << 5))
     }
+    this.#opcodeCycles[0xcb][0xae] = 15
     // res 5,a
     this.#opcodes[0xcb][0xaf] = () => this.#regops.a(this.#regops.a() & ~(1 << 5))
+    this.#opcodeCycles[0xcb][0xaf] = 8
     // res 6,b
     this.#opcodes[0xcb][0xb0] = () => this.#regops.b(this.#regops.b() & ~(1 << 6))
+    this.#opcodeCycles[0xcb][0xb0] = 8
     // res 6,c
     this.#opcodes[0xcb][0xb1] = () => this.#regops.c(this.#regops.c() & ~(1 << 6))
+    this.#opcodeCycles[0xcb][0xb1] = 8
     // res 6,d
     this.#opcodes[0xcb][0xb2] = () => this.#regops.d(this.#regops.d() & ~(1 << 6))
+    this.#opcodeCycles[0xcb][0xb2] = 8
     // res 6,e
     this.#opcodes[0xcb][0xb3] = () => this.#regops.e(this.#regops.e() & ~(1 << 6))
+    this.#opcodeCycles[0xcb][0xb3] = 8
     // res 6,h
     this.#opcodes[0xcb][0xb4] = () => this.#regops.h(this.#regops.h() & ~(1 << 6))
+    this.#opcodeCycles[0xcb][0xb4] = 8
     // res 6,l
     this.#opcodes[0xcb][0xb5] = () => this.#regops.l(this.#regops.l() & ~(1 << 6))
+    this.#opcodeCycles[0xcb][0xb5] = 8
     // res 6,(hl)
     this.#opcodes[0xcb][0xb6] = () => {
-      this.#ram[this.#regops.hl()] = this.#ram[this.#regops.hl()] & ~(1 << 6)
+      this.#writeByte(this.#regops.hl(), this.#readByte(this.#regops.hl()) & ~(1 << 6))
     }
+    this.#opcodeCycles[0xcb][0xb6] = 15
     // res 6,a
     this.#opcodes[0xcb][0xb7] = () => this.#regops.a(this.#regops.a() & ~(1 << 6))
+    this.#opcodeCycles[0xcb][0xb7] = 8
     // res 7,b
     this.#opcodes[0xcb][0xb8] = () => this.#regops.b(this.#regops.b() & ~(1 << 7))
+    this.#opcodeCycles[0xcb][0xb8] = 8
     // res 7,c
     this.#opcodes[0xcb][0xb9] = () => this.#regops.c(this.#regops.c() & ~(1 << 7))
+    this.#opcodeCycles[0xcb][0xb9] = 8
     // res 7,d
     this.#opcodes[0xcb][0xba] = () => this.#regops.d(this.#regops.d() & ~(1 << 7))
+    this.#opcodeCycles[0xcb][0xba] = 8
     // res 7,e
     this.#opcodes[0xcb][0xbb] = () => this.#regops.e(this.#regops.e() & ~(1 << 7))
+    this.#opcodeCycles[0xcb][0xbb] = 8
     // res 7,h
     this.#opcodes[0xcb][0xbc] = () => this.#regops.h(this.#regops.h() & ~(1 << 7))
+    this.#opcodeCycles[0xcb][0xbc] = 8
     // res 7,l
     this.#opcodes[0xcb][0xbd] = () => this.#regops.l(this.#regops.l() & ~(1 << 7))
+    this.#opcodeCycles[0xcb][0xbd] = 8
     // res 7,(hl)
     this.#opcodes[0xcb][0xbe] = () => {
-      this.#ram[this.#regops.hl()] = this.#ram[this.#regops.hl()] & ~(1 << 7)
+      this.#writeByte(this.#regops.hl(), this.#readByte(this.#regops.hl()) & ~(1 << 7))
     }
+    this.#opcodeCycles[0xcb][0xbe] = 15
     // res 7,a
     this.#opcodes[0xcb][0xbf] = () => this.#regops.a(this.#regops.a() & ~(1 << 7))
+    this.#opcodeCycles[0xcb][0xbf] = 8
     // set 0,b
-    this.#opcodes[0xcb][0xc0] = () => this.#regops.b(this.#regops.b() & (1 << 0))
+    this.#opcodes[0xcb][0xc0] = () => this.#regops.b(this.#regops.b() | (1 << 0))
+    this.#opcodeCycles[0xcb][0xc0] = 8
     // set 0,c
-    this.#opcodes[0xcb][0xc1] = () => this.#regops.c(this.#regops.c() & (1 << 0))
+    this.#opcodes[0xcb][0xc1] = () => this.#regops.c(this.#regops.c() | (1 << 0))
+    this.#opcodeCycles[0xcb][0xc1] = 8
     // set 0,d
-    this.#opcodes[0xcb][0xc2] = () => this.#regops.d(this.#regops.d() & (1 << 0))
+    this.#opcodes[0xcb][0xc2] = () => this.#regops.d(this.#regops.d() | (1 << 0))
+    this.#opcodeCycles[0xcb][0xc2] = 8
     // set 0,e
-    this.#opcodes[0xcb][0xc3] = () => this.#regops.e(this.#regops.e() & (1 << 0))
+    this.#opcodes[0xcb][0xc3] = () => this.#regops.e(this.#regops.e() | (1 << 0))
+    this.#opcodeCycles[0xcb][0xc3] = 8
     // set 0,h
-    this.#opcodes[0xcb][0xc4] = () => this.#regops.h(this.#regops.h() & (1 << 0))
+    this.#opcodes[0xcb][0xc4] = () => this.#regops.h(this.#regops.h() | (1 << 0))
+    this.#opcodeCycles[0xcb][0xc4] = 8
     // set 0,l
-    this.#opcodes[0xcb][0xc5] = () => this.#regops.l(this.#regops.l() & (1 << 0))
+    this.#opcodes[0xcb][0xc5] = () => this.#regops.l(this.#regops.l() | (1 << 0))
+    this.#opcodeCycles[0xcb][0xc5] = 8
     // set 0,(hl)
     this.#opcodes[0xcb][0xc6] = () => {
-      this.#ram[this.#regops.hl()] = this.#ram[this.#regops.hl()] & (1 << 0)
+      this.#writeByte(this.#regops.hl(), this.#readByte(this.#regops.hl()) | (1 << 0))
     }
+    this.#opcodeCycles[0xcb][0xc6] = 15
     // set 0,a
-    this.#opcodes[0xcb][0xc7] = () => this.#regops.a(this.#regops.a() & (1 << 0))
+    this.#opcodes[0xcb][0xc7] = () => this.#regops.a(this.#regops.a() | (1 << 0))
+    this.#opcodeCycles[0xcb][0xc7] = 8
     // set 1,b
-    this.#opcodes[0xcb][0xc8] = () => this.#regops.b(this.#regops.b() & (1 << 1))
+    this.#opcodes[0xcb][0xc8] = () => this.#regops.b(this.#regops.b() | (1 << 1))
+    this.#opcodeCycles[0xcb][0xc8] = 8
     // set 1,c
-    this.#opcodes[0xcb][0xc9] = () => this.#regops.c(this.#regops.c() & (1 << 1))
+    this.#opcodes[0xcb][0xc9] = () => this.#regops.c(this.#regops.c() | (1 << 1))
+    this.#opcodeCycles[0xcb][0xc9] = 8
     // set 1,d
-    this.#opcodes[0xcb][0xca] = () => this.#regops.d(this.#regops.d() & (1 << 1))
+    this.#opcodes[0xcb][0xca] = () => this.#regops.d(this.#regops.d() | (1 << 1))
+    this.#opcodeCycles[0xcb][0xca] = 8
     // set 1,e
-    this.#opcodes[0xcb][0xcb] = () => this.#regops.e(this.#regops.e() & (1 << 1))
+    this.#opcodes[0xcb][0xcb] = () => this.#regops.e(this.#regops.e() | (1 << 1))
+    this.#opcodeCycles[0xcb][0xcb] = 8
     // set 1,h
-    this.#opcodes[0xcb][0xcc] = () => this.#regops.h(this.#regops.h() & (1 << 1))
+    this.#opcodes[0xcb][0xcc] = () => this.#regops.h(this.#regops.h() | (1 << 1))
+    this.#opcodeCycles[0xcb][0xcc] = 8
     // set 1,l
-    this.#opcodes[0xcb][0xcd] = () => this.#regops.l(this.#regops.l() & (1 << 1))
+    this.#opcodes[0xcb][0xcd] = () => this.#regops.l(this.#regops.l() | (1 << 1))
+    this.#opcodeCycles[0xcb][0xcd] = 8
     // set 1,(hl)
     this.#opcodes[0xcb][0xce] = () => {
-      this.#ram[this.#regops.hl()] = this.#ram[this.#regops.hl()] & (1 << 1)
+      this.#writeByte(this.#regops.hl(), this.#readByte(this.#regops.hl()) | (1 << 1))
     }
+    this.#opcodeCycles[0xcb][0xce] = 15
     // set 1,a
-    this.#opcodes[0xcb][0xcf] = () => this.#regops.a(this.#regops.a() & (1 << 1))
+    this.#opcodes[0xcb][0xcf] = () => this.#regops.a(this.#regops.a() | (1 << 1))
+    this.#opcodeCycles[0xcb][0xcf] = 8
     // set 2,b
-    this.#opcodes[0xcb][0xd0] = () => this.#regops.b(this.#regops.b() & (1 << 2))
+    this.#opcodes[0xcb][0xd0] = () => this.#regops.b(this.#regops.b() | (1 << 2))
+    this.#opcodeCycles[0xcb][0xd0] = 8
     // set 2,c
-    this.#opcodes[0xcb][0xd1] = () => this.#regops.c(this.#regops.c() & (1 << 2))
+    this.#opcodes[0xcb][0xd1] = () => this.#regops.c(this.#regops.c() | (1 << 2))
+    this.#opcodeCycles[0xcb][0xd1] = 8
     // set 2,d
-    this.#opcodes[0xcb][0xd2] = () => this.#regops.d(this.#regops.d() & (1 << 2))
+    this.#opcodes[0xcb][0xd2] = () => this.#regops.d(this.#regops.d() | (1 << 2))
+    this.#opcodeCycles[0xcb][0xd2] = 8
     // set 2,e
-    this.#opcodes[0xcb][0xd3] = () => this.#regops.e(this.#regops.e() & (1 << 2))
+    this.#opcodes[0xcb][0xd3] = () => this.#regops.e(this.#regops.e() | (1 << 2))
+    this.#opcodeCycles[0xcb][0xd3] = 8
     // set 2,h
-    this.#opcodes[0xcb][0xd4] = () => this.#regops.h(this.#regops.h() & (1 << 2))
+    this.#opcodes[0xcb][0xd4] = () => this.#regops.h(this.#regops.h() | (1 << 2))
+    this.#opcodeCycles[0xcb][0xd4] = 8
     // set 2,l
-    this.#opcodes[0xcb][0xd5] = () => this.#regops.l(this.#regops.l() & (1 << 2))
+    this.#opcodes[0xcb][0xd5] = () => this.#regops.l(this.#regops.l() | (1 << 2))
+    this.#opcodeCycles[0xcb][0xd5] = 8
     // set 2,(hl)
     this.#opcodes[0xcb][0xd6] = () => {
-      this.#ram[this.#regops.hl()] = this.#ram[this.#regops.hl()] & (1 << 2)
+      this.#writeByte(this.#regops.hl(), this.#readByte(this.#regops.hl()) | (1 << 2))
     }
+    this.#opcodeCycles[0xcb][0xd6] = 15
     // set 2,a
-    this.#opcodes[0xcb][0xd7] = () => this.#regops.a(this.#regops.a() & (1 << 2))
+    this.#opcodes[0xcb][0xd7] = () => this.#regops.a(this.#regops.a() | (1 << 2))
+    this.#opcodeCycles[0xcb][0xd7] = 8
     // set 3,b
-    this.#opcodes[0xcb][0xd8] = () => this.#regops.b(this.#regops.b() & (1 << 3))
+    this.#opcodes[0xcb][0xd8] = () => this.#regops.b(this.#regops.b() | (1 << 3))
+    this.#opcodeCycles[0xcb][0xd8] = 8
     // set 3,c
-    this.#opcodes[0xcb][0xd9] = () => this.#regops.c(this.#regops.c() & (1 << 3))
+    this.#opcodes[0xcb][0xd9] = () => this.#regops.c(this.#regops.c() | (1 << 3))
+    this.#opcodeCycles[0xcb][0xd9] = 8
     // set 3,d
-    this.#opcodes[0xcb][0xda] = () => this.#regops.d(this.#regops.d() & (1 << 3))
+    this.#opcodes[0xcb][0xda] = () => this.#regops.d(this.#regops.d() | (1 << 3))
+    this.#opcodeCycles[0xcb][0xda] = 8
     // set 3,e
-    this.#opcodes[0xcb][0xdb] = () => this.#regops.e(this.#regops.e() & (1 << 3))
+    this.#opcodes[0xcb][0xdb] = () => this.#regops.e(this.#regops.e() | (1 << 3))
+    this.#opcodeCycles[0xcb][0xdb] = 8
     // set 3,h
-    this.#opcodes[0xcb][0xdc] = () => this.#regops.h(this.#regops.h() & (1 << 3))
+    this.#opcodes[0xcb][0xdc] = () => this.#regops.h(this.#regops.h() | (1 << 3))
+    this.#opcodeCycles[0xcb][0xdc] = 8
     // set 3,l
-    this.#opcodes[0xcb][0xdd] = () => this.#regops.l(this.#regops.l() & (1 << 3))
+    this.#opcodes[0xcb][0xdd] = () => this.#regops.l(this.#regops.l() | (1 << 3))
+    this.#opcodeCycles[0xcb][0xdd] = 8
     // set 3,(hl)
     this.#opcodes[0xcb][0xde] = () => {
-      this.#ram[this.#regops.hl()] = this.#ram[this.#regops.hl()] & (1 << 3)
+      this.#writeByte(this.#regops.hl(), this.#readByte(this.#regops.hl()) | (1 << 3))
     }
+    this.#opcodeCycles[0xcb][0xde] = 15
     // set 3,a
-    this.#opcodes[0xcb][0xdf] = () => this.#regops.a(this.#regops.a() & (1 << 3))
+    this.#opcodes[0xcb][0xdf] = () => this.#regops.a(this.#regops.a() | (1 << 3))
+    this.#opcodeCycles[0xcb][0xdf] = 8
     // set 4,b
-    this.#opcodes[0xcb][0xe0] = () => this.#regops.b(this.#regops.b() & (1 << 4))
+    this.#opcodes[0xcb][0xe0] = () => this.#regops.b(this.#regops.b() | (1 << 4))
+    this.#opcodeCycles[0xcb][0xe0] = 8
     // set 4,c
-    this.#opcodes[0xcb][0xe1] = () => this.#regops.c(this.#regops.c() & (1 << 4))
+    this.#opcodes[0xcb][0xe1] = () => this.#regops.c(this.#regops.c() | (1 << 4))
+    this.#opcodeCycles[0xcb][0xe1] = 8
     // set 4,d
-    this.#opcodes[0xcb][0xe2] = () => this.#regops.d(this.#regops.d() & (1 << 4))
+    this.#opcodes[0xcb][0xe2] = () => this.#regops.d(this.#regops.d() | (1 << 4))
+    this.#opcodeCycles[0xcb][0xe2] = 8
     // set 4,e
-    this.#opcodes[0xcb][0xe3] = () => this.#regops.e(this.#regops.e() & (1 << 4))
+    this.#opcodes[0xcb][0xe3] = () => this.#regops.e(this.#regops.e() | (1 << 4))
+    this.#opcodeCycles[0xcb][0xe3] = 8
     // set 4,h
-    this.#opcodes[0xcb][0xe4] = () => this.#regops.h(this.#regops.h() & (1 << 4))
+    this.#opcodes[0xcb][0xe4] = () => this.#regops.h(this.#regops.h() | (1 << 4))
+    this.#opcodeCycles[0xcb][0xe4] = 8
     // set 4,l
-    this.#opcodes[0xcb][0xe5] = () => this.#regops.l(this.#regops.l() & (1 << 4))
+    this.#opcodes[0xcb][0xe5] = () => this.#regops.l(this.#regops.l() | (1 << 4))
+    this.#opcodeCycles[0xcb][0xe5] = 8
     // set 4,(hl)
     this.#opcodes[0xcb][0xe6] = () => {
-      this.#ram[this.#regops.hl()] = this.#ram[this.#regops.hl()] & (1 << 4)
+      this.#writeByte(this.#regops.hl(), this.#readByte(this.#regops.hl()) | (1 << 4))
     }
+    this.#opcodeCycles[0xcb][0xe6] = 15
     // set 4,a
-    this.#opcodes[0xcb][0xe7] = () => this.#regops.a(this.#regops.a() & (1 << 4))
+    this.#opcodes[0xcb][0xe7] = () => this.#regops.a(this.#regops.a() | (1 << 4))
+    this.#opcodeCycles[0xcb][0xe7] = 8
     // set 5,b
-    this.#opcodes[0xcb][0xe8] = () => this.#regops.b(this.#regops.b() & (1 << 5))
+    this.#opcodes[0xcb][0xe8] = () => this.#regops.b(this.#regops.b() | (1 << 5))
+    this.#opcodeCycles[0xcb][0xe8] = 8
     // set 5,c
-    this.#opcodes[0xcb][0xe9] = () => this.#regops.c(this.#regops.c() & (1 << 5))
+    this.#opcodes[0xcb][0xe9] = () => this.#regops.c(this.#regops.c() | (1 << 5))
+    this.#opcodeCycles[0xcb][0xe9] = 8
     // set 5,d
-    this.#opcodes[0xcb][0xea] = () => this.#regops.d(this.#regops.d() & (1 << 5))
+    this.#opcodes[0xcb][0xea] = () => this.#regops.d(this.#regops.d() | (1 << 5))
+    this.#opcodeCycles[0xcb][0xea] = 8
     // set 5,e
-    this.#opcodes[0xcb][0xeb] = () => this.#regops.e(this.#regops.e() & (1 << 5))
+    this.#opcodes[0xcb][0xeb] = () => this.#regops.e(this.#regops.e() | (1 << 5))
+    this.#opcodeCycles[0xcb][0xeb] = 8
     // set 5,h
-    this.#opcodes[0xcb][0xec] = () => this.#regops.h(this.#regops.h() & (1 << 5))
+    this.#opcodes[0xcb][0xec] = () => this.#regops.h(this.#regops.h() | (1 << 5))
+    this.#opcodeCycles[0xcb][0xec] = 8
     // set 5,l
-    this.#opcodes[0xcb][0xed] = () => this.#regops.l(this.#regops.l() & (1 << 5))
+    this.#opcodes[0xcb][0xed] = () => this.#regops.l(this.#regops.l() | (1 << 5))
+    this.#opcodeCycles[0xcb][0xed] = 8
     // set 5,(hl)
     this.#opcodes[0xcb][0xee] = () => {
-      this.#ram[this.#regops.hl()] = this.#ram[this.#regops.hl()] & (1 << 5)
+      this.#writeByte(this.#regops.hl(), this.#readByte(this.#regops.hl()) | (1 << 5))
     }
+    this.#opcodeCycles[0xcb][0xee] = 15
     // set 5,a
-    this.#opcodes[0xcb][0xef] = () => this.#regops.a(this.#regops.a() & (1 << 5))
+    this.#opcodes[0xcb][0xef] = () => this.#regops.a(this.#regops.a() | (1 << 5))
+    this.#opcodeCycles[0xcb][0xef] = 8
     // set 6,b
-    this.#opcodes[0xcb][0xf0] = () => this.#regops.b(this.#regops.b() & (1 << 6))
+    this.#opcodes[0xcb][0xf0] = () => this.#regops.b(this.#regops.b() | (1 << 6))
+    this.#opcodeCycles[0xcb][0xf0] = 8
     // set 6,c
-    this.#opcodes[0xcb][0xf1] = () => this.#regops.c(this.#regops.c() & (1 << 6))
+    this.#opcodes[0xcb][0xf1] = () => this.#regops.c(this.#regops.c() | (1 << 6))
+    this.#opcodeCycles[0xcb][0xf1] = 8
     // set 6,d
-    this.#opcodes[0xcb][0xf2] = () => this.#regops.d(this.#regops.d() & (1 << 6))
+    this.#opcodes[0xcb][0xf2] = () => this.#regops.d(this.#regops.d() | (1 << 6))
+    this.#opcodeCycles[0xcb][0xf2] = 8
     // set 6,e
-    this.#opcodes[0xcb][0xf3] = () => this.#regops.e(this.#regops.e() & (1 << 6))
+    this.#opcodes[0xcb][0xf3] = () => this.#regops.e(this.#regops.e() | (1 << 6))
+    this.#opcodeCycles[0xcb][0xf3] = 8
     // set 6,h
-    this.#opcodes[0xcb][0xf4] = () => this.#regops.h(this.#regops.h() & (1 << 6))
+    this.#opcodes[0xcb][0xf4] = () => this.#regops.h(this.#regops.h() | (1 << 6))
+    this.#opcodeCycles[0xcb][0xf4] = 8
     // set 6,l
-    this.#opcodes[0xcb][0xf5] = () => this.#regops.l(this.#regops.l() & (1 << 6))
+    this.#opcodes[0xcb][0xf5] = () => this.#regops.l(this.#regops.l() | (1 << 6))
+    this.#opcodeCycles[0xcb][0xf5] = 8
     // set 6,(hl)
     this.#opcodes[0xcb][0xf6] = () => {
-      this.#ram[this.#regops.hl()] = this.#ram[this.#regops.hl()] & (1 << 6)
+      this.#writeByte(this.#regops.hl(), this.#readByte(this.#regops.hl()) | (1 << 6))
     }
+    this.#opcodeCycles[0xcb][0xf6] = 15
     // set 6,a
-    this.#opcodes[0xcb][0xf7] = () => this.#regops.a(this.#regops.a() & (1 << 6))
+    this.#opcodes[0xcb][0xf7] = () => this.#regops.a(this.#regops.a() | (1 << 6))
+    this.#opcodeCycles[0xcb][0xf7] = 8
     // set 7,b
-    this.#opcodes[0xcb][0xf8] = () => this.#regops.b(this.#regops.b() & (1 << 7))
+    this.#opcodes[0xcb][0xf8] = () => this.#regops.b(this.#regops.b() | (1 << 7))
+    this.#opcodeCycles[0xcb][0xf8] = 8
     // set 7,c
-    this.#opcodes[0xcb][0xf9] = () => this.#regops.c(this.#regops.c() & (1 << 7))
+    this.#opcodes[0xcb][0xf9] = () => this.#regops.c(this.#regops.c() | (1 << 7))
+    this.#opcodeCycles[0xcb][0xf9] = 8
     // set 7,d
-    this.#opcodes[0xcb][0xfa] = () => this.#regops.d(this.#regops.d() & (1 << 7))
+    this.#opcodes[0xcb][0xfa] = () => this.#regops.d(this.#regops.d() | (1 << 7))
+    this.#opcodeCycles[0xcb][0xfa] = 8
     // set 7,e
-    this.#opcodes[0xcb][0xfb] = () => this.#regops.e(this.#regops.e() & (1 << 7))
+    this.#opcodes[0xcb][0xfb] = () => this.#regops.e(this.#regops.e() | (1 << 7))
+    this.#opcodeCycles[0xcb][0xfb] = 8
     // set 7,h
-    this.#opcodes[0xcb][0xfc] = () => this.#regops.h(this.#regops.h() & (1 << 7))
+    this.#opcodes[0xcb][0xfc] = () => this.#regops.h(this.#regops.h() | (1 << 7))
+    this.#opcodeCycles[0xcb][0xfc] = 8
     // set 7,l
-    this.#opcodes[0xcb][0xfd] = () => this.#regops.l(this.#regops.l() & (1 << 7))
+    this.#opcodes[0xcb][0xfd] = () => this.#regops.l(this.#regops.l() | (1 << 7))
+    this.#opcodeCycles[0xcb][0xfd] = 8
     // set 7,(hl)
     this.#opcodes[0xcb][0xfe] = () => {
-      this.#ram[this.#regops.hl()] = this.#ram[this.#regops.hl()] & (1 << 7)
+      this.#writeByte(this.#regops.hl(), this.#readByte(this.#regops.hl()) | (1 << 7))
     }
+    this.#opcodeCycles[0xcb][0xfe] = 15
     // set 7,a
-    this.#opcodes[0xcb][0xff] = () => this.#regops.a(this.#regops.a() & (1 << 7))
+    this.#opcodes[0xcb][0xff] = () => this.#regops.a(this.#regops.a() | (1 << 7))
+    this.#opcodeCycles[0xcb][0xff] = 8
     // add ix,bc
     this.#opcodes[0xdd][0x09] = () => {
       this.#regops.ix(this.#add16(this.#regops.ix(), this.#regops.bc()))
     }
+    this.#opcodeCycles[0xdd][0x09] = 15
     // add ix,de
     this.#opcodes[0xdd][0x19] = () => {
       this.#regops.ix(this.#add16(this.#regops.ix(), this.#regops.de()))
     }
+    this.#opcodeCycles[0xdd][0x19] = 15
     // ld ix,nnnn
     this.#opcodes[0xdd][0x21] = () => {
       const [lo, hi] = [this.#getPC(), this.#getPC()]
       this.#regops.ix(this.#word(hi, lo))
     }
+    this.#opcodeCycles[0xdd][0x21] = 14
     // ld (nnnn),ix
     this.#opcodes[0xdd][0x22] = () => {
       const [lo, hi] = [this.#getPC(), this.#getPC()]
-      this.#ram[this.#word(hi, lo)] = this.#regops.x()
-      this.#ram[this.#addWord(this.#word(hi, lo), 1)] = this.#regops.i()
+      this.#writeByte(this.#word(hi, lo), this.#lo(this.#registers.ix))
+      this.#writeByte(this.#addWord(this.#word(hi, lo), 1), this.#hi(this.#registers.ix))
     }
+    this.#opcodeCycles[0xdd][0x22] = 20
     // inc ix
     this.#opcodes[0xdd][0x23] = () => { this.#registers.ix = this.#addWord(this.#registers.ix, 1) }
+    this.#opcodeCycles[0xdd][0x23] = 10
     // inc ixh
     this.#opcodes[0xdd][0x24] = () => {
       this.#regops.ixh(this.#addByte(this.#regops.ixh(), 1))
       this.#regops.f(
-          this.#regops.f()
-        | this.#FREG_C
+          (this.#regops.f() & this.#FREG_C)
         | ((this.#regops.ixh() & 0x0f) ? 0 : this.#FREG_H)
-        | ((this.#regops.f() == 0x80) ? this.#FREG_V : 0)
+        | ((this.#regops.ixh() == 0x80) ? this.#FREG_V : 0)
         | this.#flagTable.sz53[this.#regops.ixh()]
       )
     }
+    this.#opcodeCycles[0xdd][0x24] = 8
     // dec ixh
     this.#opcodes[0xdd][0x25] = () => {
       const old = this.#regops.ixh()
       this.#regops.ixh(this.#subByte(this.#regops.ixh(), 1))
       this.#regops.f(
-          this.#regops.f()
-        | this.#FREG_C
+          (this.#regops.f() & this.#FREG_C)
         | ((old & 0x0f) ? 0 : this.#FREG_H)
         | this.#FREG_N
         | ((this.#regops.ixh() == 0x7f) ? this.#FREG_V : 0)
         | this.#flagTable.sz53[this.#regops.ixh()]
       )
     }
+    this.#opcodeCycles[0xdd][0x25] = 8
     // ld ixh,nn
     this.#opcodes[0xdd][0x26] = () => { this.#regops.ixh(this.#getPC()) }
+    this.#opcodeCycles[0xdd][0x26] = 11
     // add ix,ix
     this.#opcodes[0xdd][0x29] = () => {
       this.#regops.ix(this.#add16(this.#regops.ix(), this.#regops.ix()))
     }
+    this.#opcodeCycles[0xdd][0x29] = 15
     // ld ix,(nnnn)
     this.#opcodes[0xdd][0x2a] = () => {
       const [lo, hi] = [this.#getPC(), this.#getPC()]
-      this.#regops.ixl(this.#ram[this.#word(hi, lo)])
-      this.#regops.ixh(this.#ram[this.#addWord(this.#word(hi, lo), 1)])
+      const address = this.#word(hi, lo)
+      this.#regops.ix(this.#word(this.#readByte(this.#addWord(address, 1)), this.#readByte(address)))
     }
+    this.#opcodeCycles[0xdd][0x2a] = 20
     // dec ix
     this.#opcodes[0xdd][0x2b] = () => { this.#registers.ix = this.#subWord(this.#registers.ix, 1) }
+    this.#opcodeCycles[0xdd][0x2b] = 10
     // inc ixl
     this.#opcodes[0xdd][0x2c] = () => {
       this.#regops.ixl(this.#addByte(this.#regops.ixl(), 1))
       this.#regops.f(
-          this.#regops.f()
-        | this.#FREG_C
+          (this.#regops.f() & this.#FREG_C)
         | ((this.#regops.ixl() & 0x0f) ? 0 : this.#FREG_H)
-        | ((this.#regops.f() == 0x80) ? this.#FREG_V : 0)
+        | ((this.#regops.ixl() == 0x80) ? this.#FREG_V : 0)
         | this.#flagTable.sz53[this.#regops.ixl()]
       )
     }
+    this.#opcodeCycles[0xdd][0x2c] = 8
     // dec ixl
     this.#opcodes[0xdd][0x2d] = () => {
       const old = this.#regops.ixl()
       this.#regops.ixl(this.#subByte(this.#regops.ixl(), 1))
       this.#regops.f(
-          this.#regops.f()
-        | this.#FREG_C
+          (this.#regops.f() & this.#FREG_C)
         | ((old & 0x0f) ? 0 : this.#FREG_H)
         | this.#FREG_N
         | ((this.#regops.ixl() == 0x7f) ? this.#FREG_V : 0)
         | this.#flagTable.sz53[this.#regops.ixl()]
       )
     }
+    this.#opcodeCycles[0xdd][0x2d] = 8
     // ld ixl,nn
     this.#opcodes[0xdd][0x2e] = () => { this.#regops.ixl(this.#getPC()) }
+    this.#opcodeCycles[0xdd][0x2e] = 11
     // inc (ix+dd)
     this.#opcodes[0xdd][0x34] = () => {
       const offset = this.#uint8ToInt8(this.#getPC())
-      const oldByte = this.#ram[this.#registers.ix + offset]
+      const oldByte = this.#readByte(this.#registers.ix + offset)
       const newByte = this.#addByte(oldByte, 1)
-      this.#ram[this.#registers.ix + offset] = newByte
+      this.#writeByte(this.#registers.ix + offset, newByte)
       this.#regops.f(
-          this.#regops.f()
-        | this.#FREG_C
-        | ((oldByte & 0x0f) ? 0 : this.#FREG_H)
+          (this.#regops.f() & this.#FREG_C)
+        | ((newByte & 0x0f) ? 0 : this.#FREG_H)
         | ((newByte == 0x80) ? this.#FREG_V : 0)
         | this.#flagTable.sz53[newByte]
       )
     }
+    this.#opcodeCycles[0xdd][0x34] = 23
     // dec (ix+dd)
     this.#opcodes[0xdd][0x35] = () => {
       const offset = this.#uint8ToInt8(this.#getPC())
-      const oldByte = this.#ram[this.#registers.ix + offset]
+      const oldByte = this.#readByte(this.#registers.ix + offset)
       const newByte = this.#subByte(oldByte, 1)
-      this.#ram[this.#registers.ix + offset] = newByte
+      this.#writeByte(this.#registers.ix + offset, newByte)
       this.#regops.f(
-          this.#regops.f()
-        | this.#FREG_C
+          (this.#regops.f() & this.#FREG_C)
         | ((oldByte & 0x0f) ? 0 : this.#FREG_H)
         | this.#FREG_N
         | ((newByte == 0x7f) ? this.#FREG_V : 0)
         | this.#flagTable.sz53[newByte]
       )
     }
+    this.#opcodeCycles[0xdd][0x35] = 23
     // ld (ix+dd),nn
     this.#opcodes[0xdd][0x36] = () => {
-      this.#ram[this.#regops.ix() + this.#uint8ToInt8(this.#getPC())] = this.#getPC()
+      this.#writeByte(this.#regops.ix() + this.#uint8ToInt8(this.#getPC()), this.#getPC())
     }
+    this.#opcodeCycles[0xdd][0x36] = 19
     // add ix,sp
     this.#opcodes[0xdd][0x39] = () => {
       this.#regops.ix(this.#add16(this.#regops.ix(), this.#regops.sp()))
     }
+    this.#opcodeCycles[0xdd][0x39] = 15
     // ld b,ixh
     this.#opcodes[0xdd][0x44] = () => { this.#regops.b(this.#regops.ixh()) }
+    this.#opcodeCycles[0xdd][0x44] = 8
     // ld b,ixl
     this.#opcodes[0xdd][0x45] = () => { this.#regops.b(this.#regops.ixl()) }
+    this.#opcodeCycles[0xdd][0x45] = 8
     // ld b,(ix+dd)
     this.#opcodes[0xdd][0x46] = () => {
-      this.#regops.b(this.#ram[this.#registers.ix + this.#uint8ToInt8(this.#getPC())])
+      this.#regops.b(this.#readByte(this.#registers.ix + this.#uint8ToInt8(this.#getPC())))
     }
+    this.#opcodeCycles[0xdd][0x46] = 19
     // ld c,ixh
     this.#opcodes[0xdd][0x4c] = () => { this.#regops.c(this.#regops.ixh()) }
+    this.#opcodeCycles[0xdd][0x4c] = 8
     // ld c,ixl
     this.#opcodes[0xdd][0x4d] = () => { this.#regops.c(this.#regops.ixl()) }
+    this.#opcodeCycles[0xdd][0x4d] = 8
     // ld c,(ix+dd)
     this.#opcodes[0xdd][0x4e] = () => {
-      this.#regops.c(this.#ram[this.#registers.ix + this.#uint8ToInt8(this.#getPC())])
+      this.#regops.c(this.#readByte(this.#registers.ix + this.#uint8ToInt8(this.#getPC())))
     }
+    this.#opcodeCycles[0xdd][0x4e] = 19
     // ld d,ixh
     this.#opcodes[0xdd][0x54] = () => { this.#regops.d(this.#regops.ixh()) }
+    this.#opcodeCycles[0xdd][0x54] = 8
     // ld d,ixl
     this.#opcodes[0xdd][0x55] = () => { this.#regops.d(this.#regops.ixl()) }
+    this.#opcodeCycles[0xdd][0x55] = 8
     // ld d,(ix+dd)
     this.#opcodes[0xdd][0x56] = () => {
-      this.#regops.d(this.#ram[this.#registers.ix + this.#uint8ToInt8(this.#getPC())])
+      this.#regops.d(this.#readByte(this.#registers.ix + this.#uint8ToInt8(this.#getPC())))
     }
+    this.#opcodeCycles[0xdd][0x56] = 19
     // ld e,ixh
     this.#opcodes[0xdd][0x5c] = () => { this.#regops.e(this.#regops.ixh()) }
+    this.#opcodeCycles[0xdd][0x5c] = 8
     // ld e,ixl
     this.#opcodes[0xdd][0x5d] = () => { this.#regops.e(this.#regops.ixl()) }
+    this.#opcodeCycles[0xdd][0x5d] = 8
     // ld e,(ix+dd)
     this.#opcodes[0xdd][0x5e] = () => {
-      this.#regops.e(this.#ram[this.#registers.ix + this.#uint8ToInt8(this.#getPC())])
+      this.#regops.e(this.#readByte(this.#registers.ix + this.#uint8ToInt8(this.#getPC())))
     }
+    this.#opcodeCycles[0xdd][0x5e] = 19
     // ld ixh,b
     this.#opcodes[0xdd][0x60] = () => { this.#regops.ixh(this.#regops.b()) }
+    this.#opcodeCycles[0xdd][0x60] = 8
     // ld ixh,c
     this.#opcodes[0xdd][0x61] = () => { this.#regops.ixh(this.#regops.c()) }
+    this.#opcodeCycles[0xdd][0x61] = 8
     // ld ixh,d
     this.#opcodes[0xdd][0x62] = () => { this.#regops.ixh(this.#regops.d()) }
+    this.#opcodeCycles[0xdd][0x62] = 8
     // ld ixh,e
     this.#opcodes[0xdd][0x63] = () => { this.#regops.ixh(this.#regops.e()) }
+    this.#opcodeCycles[0xdd][0x63] = 8
     // ld ixh,ixh
     this.#opcodes[0xdd][0x64] = () => { this.#regops.ixh(this.#regops.ixh()) }
+    this.#opcodeCycles[0xdd][0x64] = 8
     // ld ixh,ixl
     this.#opcodes[0xdd][0x65] = () => { this.#regops.ixh(this.#regops.ixl()) }
+    this.#opcodeCycles[0xdd][0x65] = 8
     // ld h,(ix+dd)
     this.#opcodes[0xdd][0x66] = () => {
-      this.#regops.h(this.#ram[this.#registers.ix + this.#uint8ToInt8(this.#getPC())])
+      this.#regops.h(this.#readByte(this.#registers.ix + this.#uint8ToInt8(this.#getPC())))
     }
+    this.#opcodeCycles[0xdd][0x66] = 19
     // ld ixh,a
     this.#opcodes[0xdd][0x67] = () => { this.#regops.ixh(this.#regops.a()) }
+    this.#opcodeCycles[0xdd][0x67] = 8
     // ld ixl,b
     this.#opcodes[0xdd][0x68] = () => { this.#regops.ixl(this.#regops.b()) }
+    this.#opcodeCycles[0xdd][0x68] = 8
     // ld ixl,c
     this.#opcodes[0xdd][0x69] = () => { this.#regops.ixl(this.#regops.c()) }
+    this.#opcodeCycles[0xdd][0x69] = 8
     // ld ixl,d
     this.#opcodes[0xdd][0x6a] = () => { this.#regops.ixl(this.#regops.d()) }
+    this.#opcodeCycles[0xdd][0x6a] = 8
     // ld ixl,e
     this.#opcodes[0xdd][0x6b] = () => { this.#regops.ixl(this.#regops.e()) }
+    this.#opcodeCycles[0xdd][0x6b] = 8
     // ld ixl,ixh
     this.#opcodes[0xdd][0x6c] = () => { this.#regops.ixl(this.#regops.ixh()) }
+    this.#opcodeCycles[0xdd][0x6c] = 8
     // ld ixl,ixl
     this.#opcodes[0xdd][0x6d] = () => { this.#regops.ixl(this.#regops.ixl()) }
+    this.#opcodeCycles[0xdd][0x6d] = 8
     // ld l,(ix+dd)
     this.#opcodes[0xdd][0x6e] = () => {
-      this.#regops.l(this.#ram[this.#registers.ix + this.#uint8ToInt8(this.#getPC())])
+      this.#regops.l(this.#readByte(this.#registers.ix + this.#uint8ToInt8(this.#getPC())))
     }
+    this.#opcodeCycles[0xdd][0x6e] = 19
     // ld ixl,a
     this.#opcodes[0xdd][0x6f] = () => { this.#regops.ixl(this.#regops.a()) }
+    this.#opcodeCycles[0xdd][0x6f] = 8
     // ld (ix+dd),b
     this.#opcodes[0xdd][0x70] = () => {
-      this.#ram[this.#registers.ix + this.#uint8ToInt8(this.#getPC())] = this.#regops.b()
+      this.#writeByte(this.#registers.ix + this.#uint8ToInt8(this.#getPC()), this.#regops.b())
     }
+    this.#opcodeCycles[0xdd][0x70] = 19
     // ld (ix+dd),c
     this.#opcodes[0xdd][0x71] = () => {
-      this.#ram[this.#registers.ix + this.#uint8ToInt8(this.#getPC())] = this.#regops.c()
+      this.#writeByte(this.#registers.ix + this.#uint8ToInt8(this.#getPC()), this.#regops.c())
     }
+    this.#opcodeCycles[0xdd][0x71] = 19
     // ld (ix+dd),d
     this.#opcodes[0xdd][0x72] = () => {
-      this.#ram[this.#registers.ix + this.#uint8ToInt8(this.#getPC())] = this.#regops.d()
+      this.#writeByte(this.#registers.ix + this.#uint8ToInt8(this.#getPC()), this.#regops.d())
     }
+    this.#opcodeCycles[0xdd][0x72] = 19
     // ld (ix+dd),e
     this.#opcodes[0xdd][0x73] = () => {
-      this.#ram[this.#registers.ix + this.#uint8ToInt8(this.#getPC())] = this.#regops.e()
+      this.#writeByte(this.#registers.ix + this.#uint8ToInt8(this.#getPC()), this.#regops.e())
     }
+    this.#opcodeCycles[0xdd][0x73] = 19
     // ld (ix+dd),h
     this.#opcodes[0xdd][0x74] = () => {
-      this.#ram[this.#registers.ix + this.#uint8ToInt8(this.#getPC())] = this.#regops.h()
+      this.#writeByte(this.#registers.ix + this.#uint8ToInt8(this.#getPC()), this.#regops.h())
     }
+    this.#opcodeCycles[0xdd][0x74] = 19
     // ld (ix+dd),l
     this.#opcodes[0xdd][0x75] = () => {
-      this.#ram[this.#registers.ix + this.#uint8ToInt8(this.#getPC())] = this.#regops.l()
+      this.#writeByte(this.#registers.ix + this.#uint8ToInt8(this.#getPC()), this.#regops.l())
     }
+    this.#opcodeCycles[0xdd][0x75] = 19
     // ld (ix+dd),a
     this.#opcodes[0xdd][0x77] = () => {
-      this.#ram[this.#registers.ix + this.#uint8ToInt8(this.#getPC())] = this.#regops.a()
+      this.#writeByte(this.#registers.ix + this.#uint8ToInt8(this.#getPC()), this.#regops.a())
     }
+    this.#opcodeCycles[0xdd][0x77] = 19
     // ld a,ixh
     this.#opcodes[0xdd][0x7c] = () => { this.#regops.a(this.#regops.ixh()) }
+    this.#opcodeCycles[0xdd][0x7c] = 8
     // ld a,ixl
     this.#opcodes[0xdd][0x7d] = () => { this.#regops.a(this.#regops.ixl()) }
+    this.#opcodeCycles[0xdd][0x7d] = 8
     // ld a,(ix+dd)
     this.#opcodes[0xdd][0x7e] = () => {
-      this.#regops.a(this.#ram[this.#registers.ix + this.#uint8ToInt8(this.#getPC())])
+      this.#regops.a(this.#readByte(this.#registers.ix + this.#uint8ToInt8(this.#getPC())))
     }
+    this.#opcodeCycles[0xdd][0x7e] = 19
     // add a,ixh
     this.#opcodes[0xdd][0x84] = () => {
       this.#regops.a(this.#add8(this.#regops.a(), this.#regops.ixh()))
     }
+    this.#opcodeCycles[0xdd][0x84] = 8
     // add a,ixl
     this.#opcodes[0xdd][0x85] = () => {
       this.#regops.a(this.#add8(this.#regops.a(), this.#regops.ixl()))
     }
+    this.#opcodeCycles[0xdd][0x85] = 8
     // add a,(ix+dd)
     this.#opcodes[0xdd][0x86] = () => {
-      this.#regops.a(this.#add8(this.#regops.a(), this.#ram[this.#regops.ix() + this.#uint8ToInt8(this.#getPC())]))
+      this.#regops.a(this.#add8(this.#regops.a(), this.#readByte(this.#regops.ix() + this.#uint8ToInt8(this.#getPC()))))
     }
+    this.#opcodeCycles[0xdd][0x86] = 19
     // adc a,ixh
     this.#opcodes[0xdd][0x8c] = () => {
-      this.#regops.a(this.this.#regops.a + (this.#regops.f() & this.#FREG_C ? 1 : 0))
-      this.#regops.a(this.#add8(this.#regops.a(), this.#regops.ixh()))
+      this.#regops.a(this.#add8(this.#regops.a(), this.#regops.ixh(), this.#regops.f() & this.#FREG_C))
     }
+    this.#opcodeCycles[0xdd][0x8c] = 8
     // adc a,ixl
     this.#opcodes[0xdd][0x8d] = () => {
-      this.#regops.a(this.this.#regops.a + (this.#regops.f() & this.#FREG_C ? 1 : 0))
-      this.#regops.a(this.#add8(this.#regops.a(), this.#regops.ixl()))
+      this.#regops.a(this.#add8(this.#regops.a(), this.#regops.ixl(), this.#regops.f() & this.#FREG_C))
     }
+    this.#opcodeCycles[0xdd][0x8d] = 8
     // adc a,(ix+dd)
     this.#opcodes[0xdd][0x8e] = () => {
-      this.#regops.a(this.this.#regops.a + (this.#regops.f() & this.#FREG_C ? 1 : 0))
-      this.#regops.a(this.#add8(this.#regops.a(), this.#ram[this.#regops.ix() + this.#uint8ToInt8(this.#getPC())]))
+      this.#regops.a(this.#add8(this.#regops.a(), this.#readByte(this.#regops.ix() + this.#uint8ToInt8(this.#getPC())), this.#regops.f() & this.#FREG_C))
     }
+    this.#opcodeCycles[0xdd][0x8e] = 19
     // sub a,ixh
     this.#opcodes[0xdd][0x94] = () => {
       this.#regops.a(this.#sub8(this.#regops.a(), this.#regops.ixh()))
     }
+    this.#opcodeCycles[0xdd][0x94] = 8
     // sub a,ixl
     this.#opcodes[0xdd][0x95] = () => {
       this.#regops.a(this.#sub8(this.#regops.a(), this.#regops.ixl()))
     }
+    this.#opcodeCycles[0xdd][0x95] = 8
     // sub a,(ix+dd)
     this.#opcodes[0xdd][0x96] = () => {
-      this.#regops.a(this.#sub8(this.#regops.a(), this.#ram[this.#regops.ix() + this.#uint8ToInt8(this.#getPC())]))
+      this.#regops.a(this.#sub8(this.#regops.a(), this.#readByte(this.#regops.ix() + this.#uint8ToInt8(this.#getPC()))))
     }
+    this.#opcodeCycles[0xdd][0x96] = 19
     // sbc a,ixh
     this.#opcodes[0xdd][0x9c] = () => {
-      this.#regops.a(this.#regops.a - (this.#regops.f() & this.#FREG_C ? 1 : 0))
-      this.#regops.a(this.#sub8(this.#regops.a(), this.#regops.ixh()))
+      this.#regops.a(this.#sub8(this.#regops.a(), this.#regops.ixh(), this.#regops.f() & this.#FREG_C))
     }
+    this.#opcodeCycles[0xdd][0x9c] = 8
     // sbc a,ixl
     this.#opcodes[0xdd][0x9d] = () => {
-      this.#regops.a(this.#regops.a - (this.#regops.f() & this.#FREG_C ? 1 : 0))
-      this.#regops.a(this.#sub8(this.#regops.a(), this.#regops.ixl()))
+      this.#regops.a(this.#sub8(this.#regops.a(), this.#regops.ixl(), this.#regops.f() & this.#FREG_C))
     }
+    this.#opcodeCycles[0xdd][0x9d] = 8
     // sbc a,(ix+dd)
     this.#opcodes[0xdd][0x9e] = () => {
-      this.#regops.a(this.#regops.a - (this.#regops.f() & this.#FREG_C ? 1 : 0))
-      this.#regops.a(this.#sub8(this.#regops.a(), this.#ram[this.#regops.ix() + this.#uint8ToInt8(this.#getPC())]))
+      this.#regops.a(this.#sub8(this.#regops.a(), this.#readByte(this.#regops.ix() + this.#uint8ToInt8(this.#getPC())), this.#regops.f() & this.#FREG_C))
     }
+    this.#opcodeCycles[0xdd][0x9e] = 19
     // and a,ixh
     this.#opcodes[0xdd][0xa4] = () => {
       this.#regops.a(this.#regops.a() & this.#regops.ixh())
       this.#regops.f(this.#flagTable.sz53p[this.#regops.a()] | this.#FREG_H)
     }
+    this.#opcodeCycles[0xdd][0xa4] = 8
     // and a,ixl
     this.#opcodes[0xdd][0xa5] = () => {
       this.#regops.a(this.#regops.a() & this.#regops.ixl())
       this.#regops.f(this.#flagTable.sz53p[this.#regops.a()] | this.#FREG_H)
     }
+    this.#opcodeCycles[0xdd][0xa5] = 8
     // and a,(ix+dd)
     this.#opcodes[0xdd][0xa6] = () => {
-      this.#regops.a(this.#regops.a() & this.#ram[this.#regops.ix() + this.#uint8ToInt8(this.#getPC())])
+      this.#regops.a(this.#regops.a() & this.#readByte(this.#regops.ix() + this.#uint8ToInt8(this.#getPC())))
       this.#regops.f(this.#flagTable.sz53p[this.#regops.a()] | this.#FREG_H)
     }
+    this.#opcodeCycles[0xdd][0xa6] = 19
     // xor a,ixh
     this.#opcodes[0xdd][0xac] = () => {
       this.#regops.a(this.#regops.a() ^ this.#regops.ixh())
       this.#regops.f(this.#flagTable.sz53p[this.#regops.a()])
     }
+    this.#opcodeCycles[0xdd][0xac] = 8
     // xor a,ixl
     this.#opcodes[0xdd][0xad] = () => {
       this.#regops.a(this.#regops.a() ^ this.#regops.ixl())
       this.#regops.f(this.#flagTable.sz53p[this.#regops.a()])
     }
+    this.#opcodeCycles[0xdd][0xad] = 8
     // xor a,(ix+dd)
     this.#opcodes[0xdd][0xae] = () => {
-      this.#regops.a(this.#regops.a() ^ this.#ram[this.#regops.ix() + this.#uint8ToInt8(this.#getPC())])
+      this.#regops.a(this.#regops.a() ^ this.#readByte(this.#regops.ix() + this.#uint8ToInt8(this.#getPC())))
       this.#regops.f(this.#flagTable.sz53p[this.#regops.a()])
     }
+    this.#opcodeCycles[0xdd][0xae] = 19
     // or a,ixh
     this.#opcodes[0xdd][0xb4] = () => {
       this.#regops.a(this.#regops.a() | this.#regops.ixh())
       this.#regops.f(this.#flagTable.sz53p[this.#regops.a()])
     }
+    this.#opcodeCycles[0xdd][0xb4] = 8
     // or a,ixl
     this.#opcodes[0xdd][0xb5] = () => {
       this.#regops.a(this.#regops.a() | this.#regops.ixl())
       this.#regops.f(this.#flagTable.sz53p[this.#regops.a()])
     }
+    this.#opcodeCycles[0xdd][0xb5] = 8
     // or a,(ix+dd)
     this.#opcodes[0xdd][0xb6] = () => {
-      this.#regops.a(this.#regops.a() | this.#ram[this.#regops.ix() + this.#uint8ToInt8(this.#getPC())])
+      this.#regops.a(this.#regops.a() | this.#readByte(this.#regops.ix() + this.#uint8ToInt8(this.#getPC())))
       this.#regops.f(this.#flagTable.sz53p[this.#regops.a()])
     }
+    this.#opcodeCycles[0xdd][0xb6] = 19
     // cp a,ixh
     this.#opcodes[0xdd][0xbc] = () => this.#cp8(this.#regops.a(), this.#regops.ixh())
+    this.#opcodeCycles[0xdd][0xbc] = 8
     // cp a,ixl
     this.#opcodes[0xdd][0xbd] = () => this.#cp8(this.#regops.a(), this.#regops.ixl())
+    this.#opcodeCycles[0xdd][0xbd] = 8
     // cp a,(ix+dd)
-    this.#opcodes[0xdd][0xbe] = () => this.#cp8(this.#regops.a(), this.#ram[this.#regops.ix() + this.#uint8ToInt8(this.#getPC())])
+    this.#opcodes[0xdd][0xbe] = () => this.#cp8(this.#regops.a(), this.#readByte(this.#regops.ix() + this.#uint8ToInt8(this.#getPC())))
+    this.#opcodeCycles[0xdd][0xbe] = 19
     // shift ddfdcb (subtable of operations)
     this.#opcodes[0xdd][0xcb] = []
+    this.#opcodeCycles[0xdd][0xcb] = []
     // pop ix
     this.#opcodes[0xdd][0xe1] = () => { this.#regops.ix(this.#popWord()) }
+    this.#opcodeCycles[0xdd][0xe1] = 14
     // ex (sp),ix
     this.#opcodes[0xdd][0xe3] = () => {
       const temp = this.#registers.ix
-      const [lo, hi] = [this.#ram[this.#registers.sp], this.#ram[this.#addWord(this.#registers.sp, 1)]]
+      const [lo, hi] = [this.#readByte(this.#registers.sp), this.#readByte(this.#addWord(this.#registers.sp, 1))]
       this.#registers.ix = this.#word(hi, lo)
-      this.#ram[this.#registers.sp] = this.#lo(temp)
-      this.#ram[this.#addWord(this.#registers.sp, 1)] = this.#hi(temp)
+      this.#writeByte(this.#registers.sp, this.#lo(temp))
+      this.#writeByte(this.#addWord(this.#registers.sp, 1), this.#hi(temp))
     }
+    this.#opcodeCycles[0xdd][0xe3] = 23
     // push ix
     this.#opcodes[0xdd][0xe5] = () => { this.#pushWord(this.#registers.ix) }
+    this.#opcodeCycles[0xdd][0xe5] = 15
     // jp ix
     this.#opcodes[0xdd][0xe9] = () => { this.#registers.pc = this.#registers.ix }
+    this.#opcodeCycles[0xdd][0xe9] = 8
     // ld sp,ix
     this.#opcodes[0xdd][0xf9] = () => { this.#regops.sp(this.#regops.ix()) }
+    this.#opcodeCycles[0xdd][0xf9] = 10
     // in b,(c)
     this.#opcodes[0xed][0x40] = () => {
-      this.#regops.b(this.#callIoHandler(this.#regops.c(), 'r'))
+      this.#regops.b(this.#callIoHandler(this.#registers.bc, 'r'))
       this.#regops.f((this.#regops.f() & this.#FREG_C) | this.#flagTable.sz53p[this.#regops.b()])
     }
+    this.#opcodeCycles[0xed][0x40] = 12
     // out (c),b
     this.#opcodes[0xed][0x41] = () => {
-      this.#callIoHandler(this.#regops.c(), 'w', this.#regops.b())
+      this.#callIoHandler(this.#registers.bc, 'w', this.#regops.b())
     }
+    this.#opcodeCycles[0xed][0x41] = 12
     // sbc hl,bc
     this.#opcodes[0xed][0x42] = () => {
-      this.#regops.hl(this.#regops.hl - (this.#regops.f() & this.#FREG_C ? 1 : 0))
-      this.#regops.hl(this.#subWord(this.#sub16(this.#regops.hl(), this.#regops.bc())), (this.#regops.f() & this.#FREG_C ? 1 : 0))
+      this.#regops.hl(this.#sub16(this.#regops.hl(), this.#regops.bc(), this.#regops.f() & this.#FREG_C))
     }
+    this.#opcodeCycles[0xed][0x42] = 15
     // ld (nnnn),bc
     this.#opcodes[0xed][0x43] = () => {
       const [lo, hi] = [this.#getPC(), this.#getPC()]
-      this.#ram[this.#word(hi, lo)] = this.#regops.c()
-      this.#ram[this.#addWord(this.#word(hi, lo), 1)] = this.#regops.b()
+      this.#writeByte(this.#word(hi, lo), this.#lo(this.#registers.bc))
+      this.#writeByte(this.#addWord(this.#word(hi, lo), 1), this.#hi(this.#registers.bc))
     }
+    this.#opcodeCycles[0xed][0x43] = 20
     // neg
     this.#opcodes[0xed][0x7c] = () => this.#regops.a(this.#sub8(0, this.#regops.a()))
+    this.#opcodeCycles[0xed][0x7c] = 8
     // retn
-    this.#opcodes[0xed][0x7d] = () => { this.#regops.pc(this.#popWord()) }
+    this.#opcodes[0xed][0x7d] = () => {
+      this.#interrupts.iff1 = this.#interrupts.iff2
+      this.#regops.pc(this.#popWord())
+    }
+    this.#opcodeCycles[0xed][0x7d] = 14
     // im 0
     this.#opcodes[0xed][0x6e] = () => { this.#registers.im = 0 }
+    this.#opcodeCycles[0xed][0x6e] = 8
     // ld i,a
     this.#opcodes[0xed][0x47] = () => { this.#regops.i(this.#regops.a()) }
+    this.#opcodeCycles[0xed][0x47] = 9
     // in c,(c)
     this.#opcodes[0xed][0x48] = () => {
-      this.#regops.c(this.#callIoHandler(this.#regops.c(), 'r'))
+      this.#regops.c(this.#callIoHandler(this.#registers.bc, 'r'))
       this.#regops.f((this.#regops.f() & this.#FREG_C) | this.#flagTable.sz53p[this.#regops.c()])
     }
+    this.#opcodeCycles[0xed][0x48] = 12
     // out (c),c
     this.#opcodes[0xed][0x49] = () => {
-      this.#callIoHandler(this.#regops.c(), 'w', this.#regops.c())
+      this.#callIoHandler(this.#registers.bc, 'w', this.#regops.c())
     }
+    this.#opcodeCycles[0xed][0x49] = 12
     // adc hl,bc
     this.#opcodes[0xed][0x4a] = () => {
-      this.#regops.hl(this.this.#regops.hl + (this.#regops.f() & this.#FREG_C ? 1 : 0))
-      this.#regops.hl(this.#add16(this.#regops.hl(), this.#regops.bc()))
+      this.#regops.hl(this.#adc16(this.#regops.hl(), this.#regops.bc(), this.#regops.f() & this.#FREG_C))
     }
+    this.#opcodeCycles[0xed][0x4a] = 15
     // ld bc,(nnnn)
     this.#opcodes[0xed][0x4b] = () => {
       const [lo, hi] = [this.#getPC(), this.#getPC()]
-      this.#regops.c(this.#ram[this.#word(hi, lo)])
-      this.#regops.b(this.#ram[this.#addWord(this.#word(hi, lo), 1)])
+      const address = this.#word(hi, lo)
+      this.#regops.bc(this.#word(this.#readByte(this.#addWord(address, 1)), this.#readByte(address)))
     }
+    this.#opcodeCycles[0xed][0x4b] = 20
     // ld r,a
     this.#opcodes[0xed][0x4f] = () => { this.#regops.r(this.#regops.a()) }
+    this.#opcodeCycles[0xed][0x4f] = 9
     // in d,(c)
     this.#opcodes[0xed][0x50] = () => {
-      this.#regops.d(this.#callIoHandler(this.#regops.c(), 'r'))
+      this.#regops.d(this.#callIoHandler(this.#registers.bc, 'r'))
       this.#regops.f((this.#regops.f() & this.#FREG_C) | this.#flagTable.sz53p[this.#regops.d()])
     }
+    this.#opcodeCycles[0xed][0x50] = 12
     // out (c),d
     this.#opcodes[0xed][0x51] = () => {
-      this.#callIoHandler(this.#regops.c(), 'w', this.#regops.d())
+      this.#callIoHandler(this.#registers.bc, 'w', this.#regops.d())
     }
+    this.#opcodeCycles[0xed][0x51] = 12
     // sbc hl,de
     this.#opcodes[0xed][0x52] = () => {
-      this.#regops.hl(this.#regops.hl - (this.#regops.f() & this.#FREG_C ? 1 : 0))
-      this.#regops.hl(this.#subWord(this.#sub16(this.#regops.hl(), this.#regops.de())), (this.#regops.f() & this.#FREG_C ? 1 : 0))
+      this.#regops.hl(this.#sub16(this.#regops.hl(), this.#regops.de(), this.#regops.f() & this.#FREG_C))
     }
+    this.#opcodeCycles[0xed][0x52] = 15
     // ld (nnnn),de
     this.#opcodes[0xed][0x53] = () => {
       const [lo, hi] = [this.#getPC(), this.#getPC()]
-      this.#ram[this.#word(hi, lo)] = this.#regops.e()
-      this.#ram[this.#addWord(this.#word(hi, lo), 1)] = this.#regops.d()
+      this.#writeByte(this.#word(hi, lo), this.#lo(this.#registers.de))
+      this.#writeByte(this.#addWord(this.#word(hi, lo), 1), this.#hi(this.#registers.de))
     }
+    this.#opcodeCycles[0xed][0x53] = 20
     // im 1
     this.#opcodes[0xed][0x76] = () => { this.#registers.im = 1 }
+    this.#opcodeCycles[0xed][0x76] = 8
     // ld a,i
-    this.#opcodes[0xed][0x57] = () => { this.#regops.a(this.#regops.i()) }
+    this.#opcodes[0xed][0x57] = () => {
+      this.#regops.a(this.#regops.i())
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#flagTable.sz53[this.#regops.a()]
+        | (this.#interrupts.iff2 ? this.#FREG_V : 0)
+      )
+    }
+    this.#opcodeCycles[0xed][0x57] = 9
     // in e,(c)
     this.#opcodes[0xed][0x58] = () => {
-      this.#regops.e(this.#callIoHandler(this.#regops.c(), 'r'))
+      this.#regops.e(this.#callIoHandler(this.#registers.bc, 'r'))
       this.#regops.f((this.#regops.f() & this.#FREG_C) | this.#flagTable.sz53p[this.#regops.e()])
     }
+    this.#opcodeCycles[0xed][0x58] = 12
     // out (c),e
     this.#opcodes[0xed][0x59] = () => {
-      this.#callIoHandler(this.#regops.c(), 'w', this.#regops.e())
+      this.#callIoHandler(this.#registers.bc, 'w', this.#regops.e())
     }
+    this.#opcodeCycles[0xed][0x59] = 12
     // adc hl,de
     this.#opcodes[0xed][0x5a] = () => {
-      this.#regops.hl(this.this.#regops.hl + (this.#regops.f() & this.#FREG_C ? 1 : 0))
-      this.#regops.hl(this.#add16(this.#regops.hl(), this.#regops.de()))
+      this.#regops.hl(this.#adc16(this.#regops.hl(), this.#regops.de(), this.#regops.f() & this.#FREG_C))
     }
+    this.#opcodeCycles[0xed][0x5a] = 15
     // ld de,(nnnn)
     this.#opcodes[0xed][0x5b] = () => {
       const [lo, hi] = [this.#getPC(), this.#getPC()]
-      this.#regops.e(this.#ram[this.#word(hi, lo)])
-      this.#regops.d(this.#ram[this.#addWord(this.#word(hi, lo), 1)])
+      const address = this.#word(hi, lo)
+      this.#regops.de(this.#word(this.#readByte(this.#addWord(address, 1)), this.#readByte(address)))
     }
+    this.#opcodeCycles[0xed][0x5b] = 20
     // im 2
     this.#opcodes[0xed][0x7e] = () => { this.#registers.im = 2 }
+    this.#opcodeCycles[0xed][0x7e] = 8
     // ld a,r
-    this.#opcodes[0xed][0x5f] = () => { this.#regops.a(this.#regops.r()) }
+    this.#opcodes[0xed][0x5f] = () => {
+      this.#regops.a(this.#regops.r())
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#flagTable.sz53[this.#regops.a()]
+        | (this.#interrupts.iff2 ? this.#FREG_V : 0)
+      )
+    }
+    this.#opcodeCycles[0xed][0x5f] = 9
     // in h,(c)
     this.#opcodes[0xed][0x60] = () => {
-      this.#regops.h(this.#callIoHandler(this.#regops.c(), 'r'))
+      this.#regops.h(this.#callIoHandler(this.#registers.bc, 'r'))
       this.#regops.f((this.#regops.f() & this.#FREG_C) | this.#flagTable.sz53p[this.#regops.h()])
     }
+    this.#opcodeCycles[0xed][0x60] = 12
     // out (c),h
     this.#opcodes[0xed][0x61] = () => {
-      this.#callIoHandler(this.#regops.c(), 'w', this.#regops.h())
+      this.#callIoHandler(this.#registers.bc, 'w', this.#regops.h())
     }
+    this.#opcodeCycles[0xed][0x61] = 12
     // sbc hl,hl
     this.#opcodes[0xed][0x62] = () => {
-      this.#regops.hl(this.#regops.hl - (this.#regops.f() & this.#FREG_C ? 1 : 0))
-      this.#regops.hl(this.#subWord(this.#sub16(this.#regops.hl(), this.#regops.hl())), (this.#regops.f() & this.#FREG_C ? 1 : 0))
+      this.#regops.hl(this.#sub16(this.#regops.hl(), this.#regops.hl(), this.#regops.f() & this.#FREG_C))
     }
+    this.#opcodeCycles[0xed][0x62] = 15
     // ld (nnnn),hl
     this.#opcodes[0xed][0x63] = () => {
       const [lo, hi] = [this.#getPC(), this.#getPC()]
-      this.#ram[this.#word(hi, lo)] = this.#regops.l()
-      this.#ram[this.#addWord(this.#word(hi, lo), 1)] = this.#regops.h()
+      this.#writeByte(this.#word(hi, lo), this.#lo(this.#registers.hl))
+      this.#writeByte(this.#addWord(this.#word(hi, lo), 1), this.#hi(this.#registers.hl))
     }
+    this.#opcodeCycles[0xed][0x63] = 20
     // rrd
     this.#opcodes[0xed][0x67] = () => {
-      const hlData = this.#ram[this.#registers.hl]
-      this.#ram[this.#registers.hl] = ((this.#regops.a() << 4) | (hlData >> 4)) & 0xff;
+      const hlData = this.#readByte(this.#registers.hl)
+      this.#writeByte(this.#registers.hl, ((this.#regops.a() << 4) | (hlData >> 4)) & 0xff);
       this.#regops.a((this.#regops.a() & 0xf0) | (hlData & 0x0f))
       this.#regops.f((this.#regops.f() & this.#FREG_C) | this.#flagTable.sz53p[this.#regops.a()])
     }
+    this.#opcodeCycles[0xed][0x67] = 18
     // in l,(c)
     this.#opcodes[0xed][0x68] = () => {
-      this.#regops.l(this.#callIoHandler(this.#regops.c(), 'r'))
+      this.#regops.l(this.#callIoHandler(this.#registers.bc, 'r'))
       this.#regops.f((this.#regops.f() & this.#FREG_C) | this.#flagTable.sz53p[this.#regops.l()])
     }
+    this.#opcodeCycles[0xed][0x68] = 12
     // out (c),l
     this.#opcodes[0xed][0x69] = () => {
-      this.#callIoHandler(this.#regops.c(), 'w', this.#regops.l())
+      this.#callIoHandler(this.#registers.bc, 'w', this.#regops.l())
     }
+    this.#opcodeCycles[0xed][0x69] = 12
     // adc hl,hl
     this.#opcodes[0xed][0x6a] = () => {
-      this.#regops.hl(this.this.#regops.hl + (this.#regops.f() & this.#FREG_C ? 1 : 0))
-      this.#regops.hl(this.#add16(this.#regops.hl(), this.#regops.hl()))
+      this.#regops.hl(this.#adc16(this.#regops.hl(), this.#regops.hl(), this.#regops.f() & this.#FREG_C))
     }
+    this.#opcodeCycles[0xed][0x6a] = 15
     // ld hl,(nnnn)
     this.#opcodes[0xed][0x6b] = () => {
       const [lo, hi] = [this.#getPC(), this.#getPC()]
-      this.#regops.l(this.#ram[this.#word(hi, lo)])
-      this.#regops.h(this.#ram[this.#addWord(this.#word(hi, lo), 1)])
+      const address = this.#word(hi, lo)
+      this.#regops.hl(this.#word(this.#readByte(this.#addWord(address, 1)), this.#readByte(address)))
     }
+    this.#opcodeCycles[0xed][0x6b] = 20
     // rld
     this.#opcodes[0xed][0x6f] = () => {
-      const hlData = this.#ram[this.#registers.hl]
-      this.#ram[this.#registers.hl] = ((hlData << 4) | (this.#regops.a() & 0x0f)) & 0xff;
-      this.#regops.a((this.#regops.a() & 0xf0) | (hlData >> 0x0f))
+      const hlData = this.#readByte(this.#registers.hl)
+      this.#writeByte(this.#registers.hl, ((hlData << 4) | (this.#regops.a() & 0x0f)) & 0xff);
+      this.#regops.a((this.#regops.a() & 0xf0) | (hlData >> 4))
       this.#regops.f((this.#regops.f() & this.#FREG_C) | this.#flagTable.sz53p[this.#regops.a()])
     }
+    this.#opcodeCycles[0xed][0x6f] = 18
     // in f,(c)
     this.#opcodes[0xed][0x70] = () => {
-      this.#regops.f(this.#callIoHandler(this.#regops.c(), 'r'))
-      this.#regops.f((this.#regops.f() & this.#FREG_C) | this.#flagTable.sz53p[this.#regops.c()])}
+      const byte = this.#callIoHandler(this.#registers.bc, 'r')
+      this.#regops.f((this.#regops.f() & this.#FREG_C) | this.#flagTable.sz53p[byte])
+    }
+    this.#opcodeCycles[0xed][0x70] = 12
     // out (c),0
     this.#opcodes[0xed][0x71] = () => {
-      this.#callIoHandler(this.#regops.c(), 'w', 0)
+      this.#callIoHandler(this.#registers.bc, 'w', 0)
     }
+    this.#opcodeCycles[0xed][0x71] = 12
     // sbc hl,sp
     this.#opcodes[0xed][0x72] = () => {
-      this.#regops.hl(this.#regops.hl - (this.#regops.f() & this.#FREG_C ? 1 : 0))
-      this.#regops.hl(this.#subWord(this.#sub16(this.#regops.hl(), this.#regops.sp())), (this.#regops.f() & this.#FREG_C ? 1 : 0))
+      this.#regops.hl(this.#sub16(this.#regops.hl(), this.#regops.sp(), this.#regops.f() & this.#FREG_C))
     }
+    this.#opcodeCycles[0xed][0x72] = 15
     // ld (nnnn),sp
     this.#opcodes[0xed][0x73] = () => {
       const [lo, hi] = [this.#getPC(), this.#getPC()]
-      this.#ram[this.#word(hi, lo)] = this.#regops.p()
-      this.#ram[this.#addWord(this.#word(hi, lo), 1)] = this.#regops.s()
+      this.#writeByte(this.#word(hi, lo), this.#lo(this.#registers.sp))
+      this.#writeByte(this.#addWord(this.#word(hi, lo), 1), this.#hi(this.#registers.sp))
     }
+    this.#opcodeCycles[0xed][0x73] = 20
     // in a,(c)
     this.#opcodes[0xed][0x78] = () => {
-      this.#regops.a(this.#callIoHandler(this.#regops.c(), 'r'))
+      this.#regops.a(this.#callIoHandler(this.#registers.bc, 'r'))
       this.#regops.f((this.#regops.f() & this.#FREG_C) | this.#flagTable.sz53p[this.#regops.a()])
     }
+    this.#opcodeCycles[0xed][0x78] = 12
     // out (c),a
     this.#opcodes[0xed][0x79] = () => {
-      this.#callIoHandler(this.#regops.c(), 'w', this.#regops.a())
+      this.#callIoHandler(this.#registers.bc, 'w', this.#regops.a())
     }
+    this.#opcodeCycles[0xed][0x79] = 12
     // adc hl,sp
     this.#opcodes[0xed][0x7a] = () => {
-      this.#regops.hl(this.this.#regops.hl + (this.#regops.f() & this.#FREG_C ? 1 : 0))
-      this.#regops.hl(this.#add16(this.#regops.hl(), this.#regops.sp()))
+      this.#regops.hl(this.#adc16(this.#regops.hl(), this.#regops.sp(), this.#regops.f() & this.#FREG_C))
     }
+    this.#opcodeCycles[0xed][0x7a] = 15
     // ld sp,(nnnn)
     this.#opcodes[0xed][0x7b] = () => {
       const [lo, hi] = [this.#getPC(), this.#getPC()]
-      this.#regops.p(this.#ram[this.#word(hi, lo)])
-      this.#regops.s(this.#ram[this.#addWord(this.#word(hi, lo), 1)])
-    }
-    // im 0
-    this.#opcodes[0xed][0x46] = () => { this.#registers.im = 0 }
-    // im 0
-    this.#opcodes[0xed][0x66] = () => { this.#registers.im = 0 }
-    // im 1
-    this.#opcodes[0xed][0x56] = () => { this.#registers.im = 1 }
-    // im 2
-    this.#opcodes[0xed][0x5e] = () => { this.#registers.im = 2 }
-    // im 2
-    this.#opcodes[0xed][0x7e] = () => { this.#registers.im = 2 }
-    // add iy,bc
-    this.#opcodes[0xfd][0x09] = () => {
-      this.#regops.iy(this.#add16(this.#regops.iy(), this.#regops.bc()))
+      const address = this.#word(hi, lo)
+      this.#regops.sp(this.#word(this.#readByte(this.#addWord(address, 1)), this.#readByte(address)))
+    }
+    this.#opcodeCycles[0xed][0x7b] = 20
+    // ldi
+    this.#opcodes[0xed][0xa0] = () => {
+      const byte = this.#readByte(this.#registers.hl)
+      this.#writeByte(this.#registers.de, byte)
+      this.#registers.bc = this.#subWord(this.#registers.bc, 1)
+      this.#registers.de = this.#addWord(this.#registers.de, 1)
+      this.#registers.hl = this.#addWord(this.#registers.hl, 1)
+      const leak = this.#addByte(byte, this.#regops.a())
+      this.#regops.f(
+          (this.#regops.f() & (this.#FREG_C | this.#FREG_Z | this.#FREG_S))
+        | (this.#registers.bc ? this.#FREG_V : 0)
+        | (leak & this.#FREG_F3)
+        | ((leak & 0x02) ? this.#FREG_F5 : 0)
+      )
+    }
+    this.#opcodeCycles[0xed][0xa0] = 16
+    // cpi
+    this.#opcodes[0xed][0xa1] = () => {
+      const value = this.#readByte(this.#registers.hl)
+      let result = this.#subByte(this.#regops.a(), value)
+      const hcsLookup = ((this.#regops.a() & 0x08) >> 3) | ((value & 0x08) >> 2) | ((result & 0x08) >> 1)
+      this.#registers.hl = this.#addWord(this.#registers.hl, 1)
+      this.#registers.bc = this.#subWord(this.#registers.bc, 1)
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | (this.#registers.bc ? (this.#FREG_V | this.#FREG_N) : this.#FREG_N)
+        | this.#halfCarrySub[hcsLookup]
+        | (result ? 0 : this.#FREG_Z)
+        | (result & this.#FREG_S)
+      )
+      if (this.#regops.f() & this.#FREG_H)
+        result = this.#subByte(result, 1)
+      this.#regops.f(this.#regops.f() | (result & this.#FREG_F3) | ((result & 0x02) ? this.#FREG_F5 : 0))
+    }
+    this.#opcodeCycles[0xed][0xa1] = 16
+    // ini
+    this.#opcodes[0xed][0xa2] = () => {
+      const byte = this.#callIoHandler(this.#registers.bc, 'r')
+      this.#writeByte(this.#registers.hl, byte)
+      this.#regops.b(this.#subByte(this.#regops.b(), 1))
+      this.#registers.hl = this.#addWord(this.#registers.hl, 1)
+      const adjusted = this.#addByte(byte, this.#addByte(this.#regops.c(), 1))
+      this.#regops.f(
+          ((byte & 0x80) ? this.#FREG_N : 0)
+        | ((adjusted < byte) ? (this.#FREG_H | this.#FREG_C) : 0)
+        | this.#flagTable.parity[(adjusted & 0x07) ^ this.#regops.b()]
+        | this.#flagTable.sz53[this.#regops.b()]
+      )
     }
-    // add iy,de
-    this.#opcodes[0xfd][0x19] = () => {
-      this.#regops.iy(this.#add16(this.#regops.iy(), this.#regops.de()))
+    this.#opcodeCycles[0xed][0xa2] = 16
+    // outi
+    this.#opcodes[0xed][0xa3] = () => {
+      const byte = this.#readByte(this.#registers.hl)
+      this.#regops.b(this.#subByte(this.#regops.b(), 1))
+      this.#callIoHandler(this.#registers.bc, 'w', byte)
+      this.#registers.hl = this.#addWord(this.#registers.hl, 1)
+      const adjusted = this.#addByte(byte, this.#regops.l())
+      this.#regops.f(
+          ((byte & 0x80) ? this.#FREG_N : 0)
+        | ((adjusted < byte) ? (this.#FREG_H | this.#FREG_C) : 0)
+        | this.#flagTable.parity[(adjusted & 0x07) ^ this.#regops.b()]
+        | this.#flagTable.sz53[this.#regops.b()]
+      )
     }
-    // ld iy,nnnn
-    this.#opcodes[0xfd][0x21] = () => {
-      const [lo, hi] = [this.#getPC(), this.#getPC()]
-      this.#regops.iy(this.#word(hi, lo))
+    this.#opcodeCycles[0xed][0xa3] = 16
+    // ldd
+    this.#opcodes[0xed][0xa8] = () => {
+      const byte = this.#readByte(this.#registers.hl)
+      this.#writeByte(this.#registers.de, byte)
+      this.#registers.bc = this.#subWord(this.#registers.bc, 1)
+      this.#registers.de = this.#subWord(this.#registers.de, 1)
+      this.#registers.hl = this.#subWord(this.#registers.hl, 1)
+      const leak = this.#addByte(byte, this.#regops.a())
+      this.#regops.f(
+          (this.#regops.f() & (this.#FREG_C | this.#FREG_Z | this.#FREG_S))
+        | (this.#registers.bc ? this.#FREG_V : 0)
+        | (leak & this.#FREG_F3)
+        | ((leak & 0x02) ? this.#FREG_F5 : 0)
+      )
     }
-    // ld (nnnn),iy
-    this.#opcodes[0xfd][0x22] = () => {
+    this.#opcodeCycles[0xed][0xa8] = 16
+    // cpd
+    this.#opcodes[0xed][0xa9] = () => {
+      const value = this.#readByte(this.#registers.hl)
+      let result = this.#subByte(this.#regops.a(), value)
+      const hcsLookup = ((this.#regops.a() & 0x08) >> 3) | ((value & 0x08) >> 2) | ((result & 0x08) >> 1)
+      this.#registers.hl = this.#subWord(this.#registers.hl, 1)
+      this.#registers.bc = this.#subWord(this.#registers.bc, 1)
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | (this.#registers.bc ? (this.#FREG_V | this.#FREG_N) : this.#FREG_N)
+        | this.#halfCarrySub[hcsLookup]
+        | (result ? 0 : this.#FREG_Z)
+        | (result & this.#FREG_S)
+      )
+      if (this.#regops.f() & this.#FREG_H)
+        result = this.#subByte(result, 1)
+      this.#regops.f(this.#regops.f() | (result & this.#FREG_F3) | ((result & 0x02) ? this.#FREG_F5 : 0))
+    }
+    this.#opcodeCycles[0xed][0xa9] = 16
+    // ind
+    this.#opcodes[0xed][0xaa] = () => {
+      const byte = this.#callIoHandler(this.#registers.bc, 'r')
+      this.#writeByte(this.#registers.hl, byte)
+      this.#regops.b(this.#subByte(this.#regops.b(), 1))
+      this.#registers.hl = this.#subWord(this.#registers.hl, 1)
+      const adjusted = this.#addByte(byte, this.#subByte(this.#regops.c(), 1))
+      this.#regops.f(
+          ((byte & 0x80) ? this.#FREG_N : 0)
+        | ((adjusted < byte) ? (this.#FREG_H | this.#FREG_C) : 0)
+        | this.#flagTable.parity[(adjusted & 0x07) ^ this.#regops.b()]
+        | this.#flagTable.sz53[this.#regops.b()]
+      )
+    }
+    this.#opcodeCycles[0xed][0xaa] = 16
+    // outd
+    this.#opcodes[0xed][0xab] = () => {
+      const byte = this.#readByte(this.#registers.hl)
+      this.#regops.b(this.#subByte(this.#regops.b(), 1))
+      this.#callIoHandler(this.#registers.bc, 'w', byte)
+      this.#registers.hl = this.#subWord(this.#registers.hl, 1)
+      const adjusted = this.#addByte(byte, this.#regops.l())
+      this.#regops.f(
+          ((byte & 0x80) ? this.#FREG_N : 0)
+        | ((adjusted < byte) ? (this.#FREG_H | this.#FREG_C) : 0)
+        | this.#flagTable.parity[(adjusted & 0x07) ^ this.#regops.b()]
+        | this.#flagTable.sz53[this.#regops.b()]
+      )
+    }
+    this.#opcodeCycles[0xed][0xab] = 16
+    // ldir
+    this.#opcodes[0xed][0xb0] = () => {
+      const byte = this.#readByte(this.#registers.hl)
+      this.#writeByte(this.#registers.de, byte)
+      this.#registers.bc = this.#subWord(this.#registers.bc, 1)
+      this.#registers.de = this.#addWord(this.#registers.de, 1)
+      this.#registers.hl = this.#addWord(this.#registers.hl, 1)
+      const leak = this.#addByte(byte, this.#regops.a())
+      this.#regops.f(
+          (this.#regops.f() & (this.#FREG_C | this.#FREG_Z | this.#FREG_S))
+        | (this.#registers.bc ? this.#FREG_V : 0)
+        | (leak & this.#FREG_F3)
+        | ((leak & 0x02) ? this.#FREG_F5 : 0)
+      )
+      if (this.#registers.bc) {
+        this.#registers.pc = this.#subWord(this.#registers.pc, 2)
+        this.#cycles += 5
+      }
+    }
+    this.#opcodeCycles[0xed][0xb0] = 16
+    // cpir
+    this.#opcodes[0xed][0xb1] = () => {
+      const value = this.#readByte(this.#registers.hl)
+      let result = this.#subByte(this.#regops.a(), value)
+      const hcsLookup = ((this.#regops.a() & 0x08) >> 3) | ((value & 0x08) >> 2) | ((result & 0x08) >> 1)
+      this.#registers.hl = this.#addWord(this.#registers.hl, 1)
+      this.#registers.bc = this.#subWord(this.#registers.bc, 1)
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | (this.#registers.bc ? (this.#FREG_V | this.#FREG_N) : this.#FREG_N)
+        | this.#halfCarrySub[hcsLookup]
+        | (result ? 0 : this.#FREG_Z)
+        | (result & this.#FREG_S)
+      )
+      if (this.#regops.f() & this.#FREG_H)
+        result = this.#subByte(result, 1)
+      this.#regops.f(this.#regops.f() | (result & this.#FREG_F3) | ((result & 0x02) ? this.#FREG_F5 : 0))
+      if ((this.#regops.f() & (this.#FREG_V | this.#FREG_Z)) === this.#FREG_V) {
+        this.#registers.pc = this.#subWord(this.#registers.pc, 2)
+        this.#cycles += 5
+      }
+    }
+    this.#opcodeCycles[0xed][0xb1] = 16
+    // inir
+    this.#opcodes[0xed][0xb2] = () => {
+      const byte = this.#callIoHandler(this.#registers.bc, 'r')
+      this.#writeByte(this.#registers.hl, byte)
+      this.#regops.b(this.#subByte(this.#regops.b(), 1))
+      this.#registers.hl = this.#addWord(this.#registers.hl, 1)
+      const adjusted = this.#addByte(byte, this.#addByte(this.#regops.c(), 1))
+      this.#regops.f(
+          ((byte & 0x80) ? this.#FREG_N : 0)
+        | ((adjusted < byte) ? (this.#FREG_H | this.#FREG_C) : 0)
+        | this.#flagTable.parity[(adjusted & 0x07) ^ this.#regops.b()]
+        | this.#flagTable.sz53[this.#regops.b()]
+      )
+      if (this.#regops.b()) {
+        this.#registers.pc = this.#subWord(this.#registers.pc, 2)
+        this.#cycles += 5
+      }
+    }
+    this.#opcodeCycles[0xed][0xb2] = 16
+    // otir
+    this.#opcodes[0xed][0xb3] = () => {
+      const byte = this.#readByte(this.#registers.hl)
+      this.#regops.b(this.#subByte(this.#regops.b(), 1))
+      this.#callIoHandler(this.#registers.bc, 'w', byte)
+      this.#registers.hl = this.#addWord(this.#registers.hl, 1)
+      const adjusted = this.#addByte(byte, this.#regops.l())
+      this.#regops.f(
+          ((byte & 0x80) ? this.#FREG_N : 0)
+        | ((adjusted < byte) ? (this.#FREG_H | this.#FREG_C) : 0)
+        | this.#flagTable.parity[(adjusted & 0x07) ^ this.#regops.b()]
+        | this.#flagTable.sz53[this.#regops.b()]
+      )
+      if (this.#regops.b()) {
+        this.#registers.pc = this.#subWord(this.#registers.pc, 2)
+        this.#cycles += 5
+      }
+    }
+    this.#opcodeCycles[0xed][0xb3] = 16
+    // lddr
+    this.#opcodes[0xed][0xb8] = () => {
+      const byte = this.#readByte(this.#registers.hl)
+      this.#writeByte(this.#registers.de, byte)
+      this.#registers.bc = this.#subWord(this.#registers.bc, 1)
+      this.#registers.de = this.#subWord(this.#registers.de, 1)
+      this.#registers.hl = this.#subWord(this.#registers.hl, 1)
+      const leak = this.#addByte(byte, this.#regops.a())
+      this.#regops.f(
+          (this.#regops.f() & (this.#FREG_C | this.#FREG_Z | this.#FREG_S))
+        | (this.#registers.bc ? this.#FREG_V : 0)
+        | (leak & this.#FREG_F3)
+        | ((leak & 0x02) ? this.#FREG_F5 : 0)
+      )
+      if (this.#registers.bc) {
+        this.#registers.pc = this.#subWord(this.#registers.pc, 2)
+        this.#cycles += 5
+      }
+    }
+    this.#opcodeCycles[0xed][0xb8] = 16
+    // cpdr
+    this.#opcodes[0xed][0xb9] = () => {
+      const value = this.#readByte(this.#registers.hl)
+      let result = this.#subByte(this.#regops.a(), value)
+      const hcsLookup = ((this.#regops.a() & 0x08) >> 3) | ((value & 0x08) >> 2) | ((result & 0x08) >> 1)
+      this.#registers.hl = this.#subWord(this.#registers.hl, 1)
+      this.#registers.bc = this.#subWord(this.#registers.bc, 1)
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | (this.#registers.bc ? (this.#FREG_V | this.#FREG_N) : this.#FREG_N)
+        | this.#halfCarrySub[hcsLookup]
+        | (result ? 0 : this.#FREG_Z)
+        | (result & this.#FREG_S)
+      )
+      if (this.#regops.f() & this.#FREG_H)
+        result = this.#subByte(result, 1)
+      this.#regops.f(this.#regops.f() | (result & this.#FREG_F3) | ((result & 0x02) ? this.#FREG_F5 : 0))
+      if ((this.#regops.f() & (this.#FREG_V | this.#FREG_Z)) === this.#FREG_V) {
+        this.#registers.pc = this.#subWord(this.#registers.pc, 2)
+        this.#cycles += 5
+      }
+    }
+    this.#opcodeCycles[0xed][0xb9] = 16
+    // indr
+    this.#opcodes[0xed][0xba] = () => {
+      const byte = this.#callIoHandler(this.#registers.bc, 'r')
+      this.#writeByte(this.#registers.hl, byte)
+      this.#regops.b(this.#subByte(this.#regops.b(), 1))
+      this.#registers.hl = this.#subWord(this.#registers.hl, 1)
+      const adjusted = this.#addByte(byte, this.#subByte(this.#regops.c(), 1))
+      this.#regops.f(
+          ((byte & 0x80) ? this.#FREG_N : 0)
+        | ((adjusted < byte) ? (this.#FREG_H | this.#FREG_C) : 0)
+        | this.#flagTable.parity[(adjusted & 0x07) ^ this.#regops.b()]
+        | this.#flagTable.sz53[this.#regops.b()]
+      )
+      if (this.#regops.b()) {
+        this.#registers.pc = this.#subWord(this.#registers.pc, 2)
+        this.#cycles += 5
+      }
+    }
+    this.#opcodeCycles[0xed][0xba] = 16
+    // otdr
+    this.#opcodes[0xed][0xbb] = () => {
+      const byte = this.#readByte(this.#registers.hl)
+      this.#regops.b(this.#subByte(this.#regops.b(), 1))
+      this.#callIoHandler(this.#registers.bc, 'w', byte)
+      this.#registers.hl = this.#subWord(this.#registers.hl, 1)
+      const adjusted = this.#addByte(byte, this.#regops.l())
+      this.#regops.f(
+          ((byte & 0x80) ? this.#FREG_N : 0)
+        | ((adjusted < byte) ? (this.#FREG_H | this.#FREG_C) : 0)
+        | this.#flagTable.parity[(adjusted & 0x07) ^ this.#regops.b()]
+        | this.#flagTable.sz53[this.#regops.b()]
+      )
+      if (this.#regops.b()) {
+        this.#registers.pc = this.#subWord(this.#registers.pc, 2)
+        this.#cycles += 5
+      }
+    }
+    this.#opcodeCycles[0xed][0xbb] = 16
+    // im 0
+    this.#opcodes[0xed][0x46] = () => { this.#registers.im = 0 }
+    this.#opcodeCycles[0xed][0x46] = 8
+    // im 0
+    this.#opcodes[0xed][0x66] = () => { this.#registers.im = 0 }
+    this.#opcodeCycles[0xed][0x66] = 8
+    // im 1
+    this.#opcodes[0xed][0x56] = () => { this.#registers.im = 1 }
+    this.#opcodeCycles[0xed][0x56] = 8
+    // im 2
+    this.#opcodes[0xed][0x5e] = () => { this.#registers.im = 2 }
+    this.#opcodeCycles[0xed][0x5e] = 8
+    // im 2
+    this.#opcodes[0xed][0x7e] = () => { this.#registers.im = 2 }
+    this.#opcodeCycles[0xed][0x7e] = 8
+    // retn
+    this.#opcodes[0xed][0x45] = () => {
+      this.#interrupts.iff1 = this.#interrupts.iff2
+      this.#regops.pc(this.#popWord())
+    }
+    this.#opcodeCycles[0xed][0x45] = 14
+    // reti
+    this.#opcodes[0xed][0x4d] = () => {
+      this.#interrupts.iff1 = this.#interrupts.iff2
+      this.#regops.pc(this.#popWord())
+      if (this.#retiHandlers.length > 0)
+        this.#retiHandlers.forEach((entry) => entry.handler(this))
+    }
+    this.#opcodeCycles[0xed][0x4d] = 14
+    // neg
+    this.#opcodes[0xed][0x44] = () => this.#regops.a(this.#sub8(0, this.#regops.a()))
+    this.#opcodeCycles[0xed][0x44] = 8
+    // add iy,bc
+    this.#opcodes[0xfd][0x09] = () => {
+      this.#regops.iy(this.#add16(this.#regops.iy(), this.#regops.bc()))
+    }
+    this.#opcodeCycles[0xfd][0x09] = 15
+    // add iy,de
+    this.#opcodes[0xfd][0x19] = () => {
+      this.#regops.iy(this.#add16(this.#regops.iy(), this.#regops.de()))
+    }
+    this.#opcodeCycles[0xfd][0x19] = 15
+    // ld iy,nnnn
+    this.#opcodes[0xfd][0x21] = () => {
+      const [lo, hi] = [this.#getPC(), this.#getPC()]
+      this.#regops.iy(this.#word(hi, lo))
+    }
+    this.#opcodeCycles[0xfd][0x21] = 14
+    // ld (nnnn),iy
+    this.#opcodes[0xfd][0x22] = () => {
       const [lo, hi] = [this.#getPC(), this.#getPC()]
-      this.#ram[this.#word(hi, lo)] = this.#regops.y()
-      this.#ram[this.#addWord(this.#word(hi, lo), 1)] = this.#regops.i()
+      this.#writeByte(this.#word(hi, lo), this.#lo(this.#registers.iy))
+      this.#writeByte(this.#addWord(this.#word(hi, lo), 1), this.#hi(this.#registers.iy))
     }
+    this.#opcodeCycles[0xfd][0x22] = 20
     // inc iy
     this.#opcodes[0xfd][0x23] = () => { this.#registers.iy = this.#addWord(this.#registers.iy, 1) }
+    this.#opcodeCycles[0xfd][0x23] = 10
     // inc iyh
     this.#opcodes[0xfd][0x24] = () => {
       this.#regops.iyh(this.#addByte(this.#regops.iyh(), 1))
       this.#regops.f(
-          this.#regops.f()
-        | this.#FREG_C
+          (this.#regops.f() & this.#FREG_C)
         | ((this.#regops.iyh() & 0x0f) ? 0 : this.#FREG_H)
-        | ((this.#regops.f() == 0x80) ? this.#FREG_V : 0)
+        | ((this.#regops.iyh() == 0x80) ? this.#FREG_V : 0)
         | this.#flagTable.sz53[this.#regops.iyh()]
       )
     }
+    this.#opcodeCycles[0xfd][0x24] = 8
     // dec iyh
     this.#opcodes[0xfd][0x25] = () => {
       const old = this.#regops.iyh()
       this.#regops.iyh(this.#subByte(this.#regops.iyh(), 1))
       this.#regops.f(
-          this.#regops.f()
-        | this.#FREG_C
+          (this.#regops.f() & this.#FREG_C)
         | ((old & 0x0f) ? 0 : this.#FREG_H)
         | this.#FREG_N
         | ((this.#regops.iyh() == 0x7f) ? this.#FREG_V : 0)
         | this.#flagTable.sz53[this.#regops.iyh()]
       )
     }
+    this.#opcodeCycles[0xfd][0x25] = 8
     // ld iyh,nn
     this.#opcodes[0xfd][0x26] = () => { this.#regops.iyh(this.#getPC()) }
+    this.#opcodeCycles[0xfd][0x26] = 11
     // add iy,iy
     this.#opcodes[0xfd][0x29] = () => {
       this.#regops.iy(this.#add16(this.#regops.iy(), this.#regops.iy()))
     }
+    this.#opcodeCycles[0xfd][0x29] = 15
     // ld iy,(nnnn)
     this.#opcodes[0xfd][0x2a] = () => {
       const [lo, hi] = [this.#getPC(), this.#getPC()]
-      this.#regops.iyl(this.#ram[this.#word(hi, lo)])
-      this.#regops.iyh(this.#ram[this.#addWord(this.#word(hi, lo), 1)])
+      const address = this.#word(hi, lo)
+      this.#regops.iy(this.#word(this.#readByte(this.#addWord(address, 1)), this.#readByte(address)))
     }
+    this.#opcodeCycles[0xfd][0x2a] = 20
     // dec iy
     this.#opcodes[0xfd][0x2b] = () => { this.#registers.iy = this.#subWord(this.#registers.iy, 1) }
+    this.#opcodeCycles[0xfd][0x2b] = 10
     // inc iyl
     this.#opcodes[0xfd][0x2c] = () => {
       this.#regops.iyl(this.#addByte(this.#regops.iyl(), 1))
       this.#regops.f(
-          this.#regops.f()
-        | this.#FREG_C
+          (this.#regops.f() & this.#FREG_C)
         | ((this.#regops.iyl() & 0x0f) ? 0 : this.#FREG_H)
-        | ((this.#regops.f() == 0x80) ? this.#FREG_V : 0)
+        | ((this.#regops.iyl() == 0x80) ? this.#FREG_V : 0)
         | this.#flagTable.sz53[this.#regops.iyl()]
       )
     }
+    this.#opcodeCycles[0xfd][0x2c] = 8
     // dec iyl
     this.#opcodes[0xfd][0x2d] = () => {
       const old = this.#regops.iyl()
       this.#regops.iyl(this.#subByte(this.#regops.iyl(), 1))
       this.#regops.f(
-          this.#regops.f()
-        | this.#FREG_C
+          (this.#regops.f() & this.#FREG_C)
         | ((old & 0x0f) ? 0 : this.#FREG_H)
         | this.#FREG_N
         | ((this.#regops.iyl() == 0x7f) ? this.#FREG_V : 0)
         | this.#flagTable.sz53[this.#regops.iyl()]
       )
     }
+    this.#opcodeCycles[0xfd][0x2d] = 8
     // ld iyl,nn
     this.#opcodes[0xfd][0x2e] = () => { this.#regops.iyl(this.#getPC()) }
+    this.#opcodeCycles[0xfd][0x2e] = 11
     // inc (iy+dd)
     this.#opcodes[0xfd][0x34] = () => {
       const offset = this.#uint8ToInt8(this.#getPC())
-      const oldByte = this.#ram[this.#registers.iy + offset]
+      const oldByte = this.#readByte(this.#registers.iy + offset)
       const newByte = this.#addByte(oldByte, 1)
-      this.#ram[this.#registers.iy + offset] = newByte
+      this.#writeByte(this.#registers.iy + offset, newByte)
       this.#regops.f(
-          this.#regops.f()
-        | this.#FREG_C
-        | ((oldByte & 0x0f) ? 0 : this.#FREG_H)
+          (this.#regops.f() & this.#FREG_C)
+        | ((newByte & 0x0f) ? 0 : this.#FREG_H)
         | ((newByte == 0x80) ? this.#FREG_V : 0)
         | this.#flagTable.sz53[newByte]
       )
     }
+    this.#opcodeCycles[0xfd][0x34] = 23
     // dec (iy+dd)
     this.#opcodes[0xfd][0x35] = () => {
       const offset = this.#uint8ToInt8(this.#getPC())
-      const oldByte = this.#ram[this.#registers.iy + offset]
+      const oldByte = this.#readByte(this.#registers.iy + offset)
       const newByte = this.#subByte(oldByte, 1)
-      this.#ram[this.#registers.iy + offset] = newByte
+      this.#writeByte(this.#registers.iy + offset, newByte)
       this.#regops.f(
-          this.#regops.f()
-        | this.#FREG_C
+          (this.#regops.f() & this.#FREG_C)
         | ((oldByte & 0x0f) ? 0 : this.#FREG_H)
         | this.#FREG_N
         | ((newByte == 0x7f) ? this.#FREG_V : 0)
         | this.#flagTable.sz53[newByte]
       )
     }
+    this.#opcodeCycles[0xfd][0x35] = 23
     // ld (iy+dd),nn
     this.#opcodes[0xfd][0x36] = () => {
-      this.#ram[this.#regops.iy() + this.#uint8ToInt8(this.#getPC())] = this.#getPC()
+      this.#writeByte(this.#regops.iy() + this.#uint8ToInt8(this.#getPC()), this.#getPC())
     }
+    this.#opcodeCycles[0xfd][0x36] = 19
     // add iy,sp
     this.#opcodes[0xfd][0x39] = () => {
       this.#regops.iy(this.#add16(this.#regops.iy(), this.#regops.sp()))
     }
+    this.#opcodeCycles[0xfd][0x39] = 15
     // ld b,iyh
     this.#opcodes[0xfd][0x44] = () => { this.#regops.b(this.#regops.iyh()) }
+    this.#opcodeCycles[0xfd][0x44] = 8
     // ld b,iyl
     this.#opcodes[0xfd][0x45] = () => { this.#regops.b(this.#regops.iyl()) }
+    this.#opcodeCycles[0xfd][0x45] = 8
     // ld b,(iy+dd)
     this.#opcodes[0xfd][0x46] = () => {
-      this.#regops.b(this.#ram[this.#registers.iy + this.#uint8ToInt8(this.#getPC())])
+      this.#regops.b(this.#readByte(this.#registers.iy + this.#uint8ToInt8(this.#getPC())))
     }
+    this.#opcodeCycles[0xfd][0x46] = 19
     // ld c,iyh
     this.#opcodes[0xfd][0x4c] = () => { this.#regops.c(this.#regops.iyh()) }
+    this.#opcodeCycles[0xfd][0x4c] = 8
     // ld c,iyl
     this.#opcodes[0xfd][0x4d] = () => { this.#regops.c(this.#regops.iyl()) }
+    this.#opcodeCycles[0xfd][0x4d] = 8
     // ld c,(iy+dd)
     this.#opcodes[0xfd][0x4e] = () => {
-      this.#regops.c(this.#ram[this.#registers.iy + this.#uint8ToInt8(this.#getPC())])
+      this.#regops.c(this.#readByte(this.#registers.iy + this.#uint8ToInt8(this.#getPC())))
     }
+    this.#opcodeCycles[0xfd][0x4e] = 19
     // ld d,iyh
     this.#opcodes[0xfd][0x54] = () => { this.#regops.d(this.#regops.iyh()) }
+    this.#opcodeCycles[0xfd][0x54] = 8
     // ld d,iyl
     this.#opcodes[0xfd][0x55] = () => { this.#regops.d(this.#regops.iyl()) }
+    this.#opcodeCycles[0xfd][0x55] = 8
     // ld d,(iy+dd)
     this.#opcodes[0xfd][0x56] = () => {
-      this.#regops.d(this.#ram[this.#registers.iy + this.#uint8ToInt8(this.#getPC())])
+      this.#regops.d(this.#readByte(this.#registers.iy + this.#uint8ToInt8(this.#getPC())))
     }
+    this.#opcodeCycles[0xfd][0x56] = 19
     // ld e,iyh
     this.#opcodes[0xfd][0x5c] = () => { this.#regops.e(this.#regops.iyh()) }
+    this.#opcodeCycles[0xfd][0x5c] = 8
     // ld e,iyl
     this.#opcodes[0xfd][0x5d] = () => { this.#regops.e(this.#regops.iyl()) }
+    this.#opcodeCycles[0xfd][0x5d] = 8
     // ld e,(iy+dd)
     this.#opcodes[0xfd][0x5e] = () => {
-      this.#regops.e(this.#ram[this.#registers.iy + this.#uint8ToInt8(this.#getPC())])
+      this.#regops.e(this.#readByte(this.#registers.iy + this.#uint8ToInt8(this.#getPC())))
     }
+    this.#opcodeCycles[0xfd][0x5e] = 19
     // ld iyh,b
     this.#opcodes[0xfd][0x60] = () => { this.#regops.iyh(this.#regops.b()) }
+    this.#opcodeCycles[0xfd][0x60] = 8
     // ld iyh,c
     this.#opcodes[0xfd][0x61] = () => { this.#regops.iyh(this.#regops.c()) }
+    this.#opcodeCycles[0xfd][0x61] = 8
     // ld iyh,d
     this.#opcodes[0xfd][0x62] = () => { this.#regops.iyh(this.#regops.d()) }
+    this.#opcodeCycles[0xfd][0x62] = 8
     // ld iyh,e
     this.#opcodes[0xfd][0x63] = () => { this.#regops.iyh(this.#regops.e()) }
+    this.#opcodeCycles[0xfd][0x63] = 8
     // ld iyh,iyh
     this.#opcodes[0xfd][0x64] = () => { this.#regops.iyh(this.#regops.iyh()) }
+    this.#opcodeCycles[0xfd][0x64] = 8
     // ld iyh,iyl
     this.#opcodes[0xfd][0x65] = () => { this.#regops.iyh(this.#regops.iyl()) }
+    this.#opcodeCycles[0xfd][0x65] = 8
     // ld h,(iy+dd)
     this.#opcodes[0xfd][0x66] = () => {
-      this.#regops.h(this.#ram[this.#registers.iy + this.#uint8ToInt8(this.#getPC())])
+      this.#regops.h(this.#readByte(this.#registers.iy + this.#uint8ToInt8(this.#getPC())))
     }
+    this.#opcodeCycles[0xfd][0x66] = 19
     // ld iyh,a
     this.#opcodes[0xfd][0x67] = () => { this.#regops.iyh(this.#regops.a()) }
+    this.#opcodeCycles[0xfd][0x67] = 8
     // ld iyl,b
     this.#opcodes[0xfd][0x68] = () => { this.#regops.iyl(this.#regops.b()) }
+    this.#opcodeCycles[0xfd][0x68] = 8
     // ld iyl,c
     this.#opcodes[0xfd][0x69] = () => { this.#regops.iyl(this.#regops.c()) }
+    this.#opcodeCycles[0xfd][0x69] = 8
     // ld iyl,d
     this.#opcodes[0xfd][0x6a] = () => { this.#regops.iyl(this.#regops.d()) }
+    this.#opcodeCycles[0xfd][0x6a] = 8
     // ld iyl,e
     this.#opcodes[0xfd][0x6b] = () => { this.#regops.iyl(this.#regops.e()) }
+    this.#opcodeCycles[0xfd][0x6b] = 8
     // ld iyl,iyh
     this.#opcodes[0xfd][0x6c] = () => { this.#regops.iyl(this.#regops.iyh()) }
+    this.#opcodeCycles[0xfd][0x6c] = 8
     // ld iyl,iyl
     this.#opcodes[0xfd][0x6d] = () => { this.#regops.iyl(this.#regops.iyl()) }
+    this.#opcodeCycles[0xfd][0x6d] = 8
     // ld l,(iy+dd)
     this.#opcodes[0xfd][0x6e] = () => {
-      this.#regops.l(this.#ram[this.#registers.iy + this.#uint8ToInt8(this.#getPC())])
+      this.#regops.l(this.#readByte(this.#registers.iy + this.#uint8ToInt8(this.#getPC())))
     }
+    this.#opcodeCycles[0xfd][0x6e] = 19
     // ld iyl,a
     this.#opcodes[0xfd][0x6f] = () => { this.#regops.iyl(this.#regops.a()) }
+    this.#opcodeCycles[0xfd][0x6f] = 8
     // ld (iy+dd),b
     this.#opcodes[0xfd][0x70] = () => {
-      this.#ram[this.#registers.iy + this.#uint8ToInt8(this.#getPC())] = this.#regops.b()
+      this.#writeByte(this.#registers.iy + this.#uint8ToInt8(this.#getPC()), this.#regops.b())
     }
+    this.#opcodeCycles[0xfd][0x70] = 19
     // ld (iy+dd),c
     this.#opcodes[0xfd][0x71] = () => {
-      this.#ram[this.#registers.iy + this.#uint8ToInt8(this.#getPC())] = this.#regops.c()
+      this.#writeByte(this.#registers.iy + this.#uint8ToInt8(this.#getPC()), this.#regops.c())
     }
+    this.#opcodeCycles[0xfd][0x71] = 19
     // ld (iy+dd),d
     this.#opcodes[0xfd][0x72] = () => {
-      this.#ram[this.#registers.iy + this.#uint8ToInt8(this.#getPC())] = this.#regops.d()
+      this.#writeByte(this.#registers.iy + this.#uint8ToInt8(this.#getPC()), this.#regops.d())
     }
+    this.#opcodeCycles[0xfd][0x72] = 19
     // ld (iy+dd),e
     this.#opcodes[0xfd][0x73] = () => {
-      this.#ram[this.#registers.iy + this.#uint8ToInt8(this.#getPC())] = this.#regops.e()
+      this.#writeByte(this.#registers.iy + this.#uint8ToInt8(this.#getPC()), this.#regops.e())
     }
+    this.#opcodeCycles[0xfd][0x73] = 19
     // ld (iy+dd),h
     this.#opcodes[0xfd][0x74] = () => {
-      this.#ram[this.#registers.iy + this.#uint8ToInt8(this.#getPC())] = this.#regops.h()
+      this.#writeByte(this.#registers.iy + this.#uint8ToInt8(this.#getPC()), this.#regops.h())
     }
+    this.#opcodeCycles[0xfd][0x74] = 19
     // ld (iy+dd),l
     this.#opcodes[0xfd][0x75] = () => {
-      this.#ram[this.#registers.iy + this.#uint8ToInt8(this.#getPC())] = this.#regops.l()
+      this.#writeByte(this.#registers.iy + this.#uint8ToInt8(this.#getPC()), this.#regops.l())
     }
+    this.#opcodeCycles[0xfd][0x75] = 19
     // ld (iy+dd),a
     this.#opcodes[0xfd][0x77] = () => {
-      this.#ram[this.#registers.iy + this.#uint8ToInt8(this.#getPC())] = this.#regops.a()
+      this.#writeByte(this.#registers.iy + this.#uint8ToInt8(this.#getPC()), this.#regops.a())
     }
+    this.#opcodeCycles[0xfd][0x77] = 19
     // ld a,iyh
     this.#opcodes[0xfd][0x7c] = () => { this.#regops.a(this.#regops.iyh()) }
+    this.#opcodeCycles[0xfd][0x7c] = 8
     // ld a,iyl
     this.#opcodes[0xfd][0x7d] = () => { this.#regops.a(this.#regops.iyl()) }
+    this.#opcodeCycles[0xfd][0x7d] = 8
     // ld a,(iy+dd)
     this.#opcodes[0xfd][0x7e] = () => {
-      this.#regops.a(this.#ram[this.#registers.iy + this.#uint8ToInt8(this.#getPC())])
+      this.#regops.a(this.#readByte(this.#registers.iy + this.#uint8ToInt8(this.#getPC())))
     }
+    this.#opcodeCycles[0xfd][0x7e] = 19
     // add a,iyh
     this.#opcodes[0xfd][0x84] = () => {
       this.#regops.a(this.#add8(this.#regops.a(), this.#regops.iyh()))
     }
+    this.#opcodeCycles[0xfd][0x84] = 8
     // add a,iyl
     this.#opcodes[0xfd][0x85] = () => {
       this.#regops.a(this.#add8(this.#regops.a(), this.#regops.iyl()))
     }
+    this.#opcodeCycles[0xfd][0x85] = 8
     // add a,(iy+dd)
     this.#opcodes[0xfd][0x86] = () => {
-      this.#regops.a(this.#add8(this.#regops.a(), this.#ram[this.#regops.iy() + this.#uint8ToInt8(this.#getPC())]))
+      this.#regops.a(this.#add8(this.#regops.a(), this.#readByte(this.#regops.iy() + this.#uint8ToInt8(this.#getPC()))))
     }
+    this.#opcodeCycles[0xfd][0x86] = 19
     // adc a,iyh
     this.#opcodes[0xfd][0x8c] = () => {
-      this.#regops.a(this.this.#regops.a + (this.#regops.f() & this.#FREG_C ? 1 : 0))
-      this.#regops.a(this.#add8(this.#regops.a(), this.#regops.iyh()))
+      this.#regops.a(this.#add8(this.#regops.a(), this.#regops.iyh(), this.#regops.f() & this.#FREG_C))
     }
+    this.#opcodeCycles[0xfd][0x8c] = 8
     // adc a,iyl
     this.#opcodes[0xfd][0x8d] = () => {
-      this.#regops.a(this.this.#regops.a + (this.#regops.f() & this.#FREG_C ? 1 : 0))
-      this.#regops.a(this.#add8(this.#regops.a(), this.#regops.iyl()))
+      this.#regops.a(this.#add8(this.#regops.a(), this.#regops.iyl(), this.#regops.f() & this.#FREG_C))
     }
+    this.#opcodeCycles[0xfd][0x8d] = 8
     // adc a,(iy+dd)
     this.#opcodes[0xfd][0x8e] = () => {
-      this.#regops.a(this.this.#regops.a + (this.#regops.f() & this.#FREG_C ? 1 : 0))
-      this.#regops.a(this.#add8(this.#regops.a(), this.#ram[this.#regops.iy() + this.#uint8ToInt8(this.#getPC())]))
+      this.#regops.a(this.#add8(this.#regops.a(), this.#readByte(this.#regops.iy() + this.#uint8ToInt8(this.#getPC())), this.#regops.f() & this.#FREG_C))
     }
+    this.#opcodeCycles[0xfd][0x8e] = 19
     // sub a,iyh
     this.#opcodes[0xfd][0x94] = () => {
       this.#regops.a(this.#sub8(this.#regops.a(), this.#regops.iyh()))
     }
+    this.#opcodeCycles[0xfd][0x94] = 8
     // sub a,iyl
     this.#opcodes[0xfd][0x95] = () => {
       this.#regops.a(this.#sub8(this.#regops.a(), this.#regops.iyl()))
     }
+    this.#opcodeCycles[0xfd][0x95] = 8
     // sub a,(iy+dd)
     this.#opcodes[0xfd][0x96] = () => {
-      this.#regops.a(this.#sub8(this.#regops.a(), this.#ram[this.#regops.iy() + this.#uint8ToInt8(this.#getPC())]))
+      this.#regops.a(this.#sub8(this.#regops.a(), this.#readByte(this.#regops.iy() + this.#uint8ToInt8(this.#getPC()))))
     }
+    this.#opcodeCycles[0xfd][0x96] = 19
     // sbc a,iyh
     this.#opcodes[0xfd][0x9c] = () => {
-      this.#regops.a(this.#regops.a - (this.#regops.f() & this.#FREG_C ? 1 : 0))
-      this.#regops.a(this.#sub8(this.#regops.a(), this.#regops.iyh()))
+      this.#regops.a(this.#sub8(this.#regops.a(), this.#regops.iyh(), this.#regops.f() & this.#FREG_C))
     }
+    this.#opcodeCycles[0xfd][0x9c] = 8
     // sbc a,iyl
     this.#opcodes[0xfd][0x9d] = () => {
-      this.#regops.a(this.#regops.a - (this.#regops.f() & this.#FREG_C ? 1 : 0))
-      this.#regops.a(this.#sub8(this.#regops.a(), this.#regops.iyl()))
+      this.#regops.a(this.#sub8(this.#regops.a(), this.#regops.iyl(), this.#regops.f() & this.#FREG_C))
     }
+    this.#opcodeCycles[0xfd][0x9d] = 8
     // sbc a,(iy+dd)
     this.#opcodes[0xfd][0x9e] = () => {
-      this.#regops.a(this.#regops.a - (this.#regops.f() & this.#FREG_C ? 1 : 0))
-      this.#regops.a(this.#sub8(this.#regops.a(), this.#ram[this.#regops.iy() + this.#uint8ToInt8(this.#getPC())]))
+      this.#regops.a(this.#sub8(this.#regops.a(), this.#readByte(this.#regops.iy() + this.#uint8ToInt8(this.#getPC())), this.#regops.f() & this.#FREG_C))
     }
+    this.#opcodeCycles[0xfd][0x9e] = 19
     // and a,iyh
     this.#opcodes[0xfd][0xa4] = () => {
       this.#regops.a(this.#regops.a() & this.#regops.iyh())
       this.#regops.f(this.#flagTable.sz53p[this.#regops.a()] | this.#FREG_H)
     }
+    this.#opcodeCycles[0xfd][0xa4] = 8
     // and a,iyl
     this.#opcodes[0xfd][0xa5] = () => {
       this.#regops.a(this.#regops.a() & this.#regops.iyl())
       this.#regops.f(this.#flagTable.sz53p[this.#regops.a()] | this.#FREG_H)
     }
+    this.#opcodeCycles[0xfd][0xa5] = 8
     // and a,(iy+dd)
     this.#opcodes[0xfd][0xa6] = () => {
-      this.#regops.a(this.#regops.a() & this.#ram[this.#regops.iy() + this.#uint8ToInt8(this.#getPC())])
+      this.#regops.a(this.#regops.a() & this.#readByte(this.#regops.iy() + this.#uint8ToInt8(this.#getPC())))
       this.#regops.f(this.#flagTable.sz53p[this.#regops.a()] | this.#FREG_H)
     }
+    this.#opcodeCycles[0xfd][0xa6] = 19
     // xor a,iyh
     this.#opcodes[0xfd][0xac] = () => {
       this.#regops.a(this.#regops.a() ^ this.#regops.iyh())
       this.#regops.f(this.#flagTable.sz53p[this.#regops.a()])
     }
+    this.#opcodeCycles[0xfd][0xac] = 8
     // xor a,iyl
     this.#opcodes[0xfd][0xad] = () => {
       this.#regops.a(this.#regops.a() ^ this.#regops.iyl())
       this.#regops.f(this.#flagTable.sz53p[this.#regops.a()])
     }
+    this.#opcodeCycles[0xfd][0xad] = 8
     // xor a,(iy+dd)
     this.#opcodes[0xfd][0xae] = () => {
-      this.#regops.a(this.#regops.a() ^ this.#ram[this.#regops.iy() + this.#uint8ToInt8(this.#getPC())])
+      this.#regops.a(this.#regops.a() ^ this.#readByte(this.#regops.iy() + this.#uint8ToInt8(this.#getPC())))
       this.#regops.f(this.#flagTable.sz53p[this.#regops.a()])
     }
+    this.#opcodeCycles[0xfd][0xae] = 19
     // or a,iyh
     this.#opcodes[0xfd][0xb4] = () => {
       this.#regops.a(this.#regops.a() | this.#regops.iyh())
       this.#regops.f(this.#flagTable.sz53p[this.#regops.a()])
     }
+    this.#opcodeCycles[0xfd][0xb4] = 8
     // or a,iyl
     this.#opcodes[0xfd][0xb5] = () => {
       this.#regops.a(this.#regops.a() | this.#regops.iyl())
       this.#regops.f(this.#flagTable.sz53p[this.#regops.a()])
     }
+    this.#opcodeCycles[0xfd][0xb5] = 8
     // or a,(iy+dd)
     this.#opcodes[0xfd][0xb6] = () => {
-      this.#regops.a(this.#regops.a() | this.#ram[this.#regops.iy() + this.#uint8ToInt8(this.#getPC())])
+      this.#regops.a(this.#regops.a() | this.#readByte(this.#regops.iy() + this.#uint8ToInt8(this.#getPC())))
       this.#regops.f(this.#flagTable.sz53p[this.#regops.a()])
     }
+    this.#opcodeCycles[0xfd][0xb6] = 19
     // cp a,iyh
     this.#opcodes[0xfd][0xbc] = () => this.#cp8(this.#regops.a(), this.#regops.iyh())
+    this.#opcodeCycles[0xfd][0xbc] = 8
     // cp a,iyl
     this.#opcodes[0xfd][0xbd] = () => this.#cp8(this.#regops.a(), this.#regops.iyl())
+    this.#opcodeCycles[0xfd][0xbd] = 8
     // cp a,(iy+dd)
-    this.#opcodes[0xfd][0xbe] = () => this.#cp8(this.#regops.a(), this.#ram[this.#regops.iy() + this.#uint8ToInt8(this.#getPC())])
+    this.#opcodes[0xfd][0xbe] = () => this.#cp8(this.#regops.a(), this.#readByte(this.#regops.iy() + this.#uint8ToInt8(this.#getPC())))
+    this.#opcodeCycles[0xfd][0xbe] = 19
     // shift ddfdcb (subtable of operations)
     this.#opcodes[0xfd][0xcb] = []
+    this.#opcodeCycles[0xfd][0xcb] = []
     // pop iy
     this.#opcodes[0xfd][0xe1] = () => { this.#regops.iy(this.#popWord()) }
+    this.#opcodeCycles[0xfd][0xe1] = 14
     // ex (sp),iy
     this.#opcodes[0xfd][0xe3] = () => {
       const temp = this.#registers.iy
-      const [lo, hi] = [this.#ram[this.#registers.sp], this.#ram[this.#addWord(this.#registers.sp, 1)]]
+      const [lo, hi] = [this.#readByte(this.#registers.sp), this.#readByte(this.#addWord(this.#registers.sp, 1))]
       this.#registers.iy = this.#word(hi, lo)
-      this.#ram[this.#registers.sp] = this.#lo(temp)
-      this.#ram[this.#addWord(this.#registers.sp, 1)] = this.#hi(temp)
+      this.#writeByte(this.#registers.sp, this.#lo(temp))
+      this.#writeByte(this.#addWord(this.#registers.sp, 1), this.#hi(temp))
     }
+    this.#opcodeCycles[0xfd][0xe3] = 23
     // push iy
     this.#opcodes[0xfd][0xe5] = () => { this.#pushWord(this.#registers.iy) }
+    this.#opcodeCycles[0xfd][0xe5] = 15
     // jp iy
     this.#opcodes[0xfd][0xe9] = () => { this.#registers.pc = this.#registers.iy }
+    this.#opcodeCycles[0xfd][0xe9] = 8
     // ld sp,iy
     this.#opcodes[0xfd][0xf9] = () => { this.#regops.sp(this.#regops.iy()) }
+    this.#opcodeCycles[0xfd][0xf9] = 10
     // ld b,rlc (ix+dd)
     this.#opcodes[0xdd][0xcb][0x00] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.b(this.#ram[location] = ((this.#ram[location] << 1) | (this.#ram[location] >> 7)) & 0xff)
+      this.#regops.b(this.#writeByte(location, ((this.#readByte(location) << 1) | (this.#readByte(location) >> 7)) & 0xff))
       this.#regops.f(
-          ((this.#ram[location] & 0x01) ? this.#FREG_C : 0)
-        | this.#flagTable.sz53p[this.#ram[location]]
+          ((this.#readByte(location) & 0x01) ? this.#FREG_C : 0)
+        | this.#flagTable.sz53p[this.#readByte(location)]
       )
     }
+    this.#opcodeCycles[0xdd][0xcb][0x00] = 23
     // ld c,rlc (ix+dd)
     this.#opcodes[0xdd][0xcb][0x01] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.c(this.#ram[location] = ((this.#ram[location] << 1) | (this.#ram[location] >> 7)) & 0xff)
+      this.#regops.c(this.#writeByte(location, ((this.#readByte(location) << 1) | (this.#readByte(location) >> 7)) & 0xff))
       this.#regops.f(
-          ((this.#ram[location] & 0x01) ? this.#FREG_C : 0)
-        | this.#flagTable.sz53p[this.#ram[location]]
+          ((this.#readByte(location) & 0x01) ? this.#FREG_C : 0)
+        | this.#flagTable.sz53p[this.#readByte(location)]
       )
     }
+    this.#opcodeCycles[0xdd][0xcb][0x01] = 23
     // ld d,rlc (ix+dd)
     this.#opcodes[0xdd][0xcb][0x02] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.d(this.#ram[location] = ((this.#ram[location] << 1) | (this.#ram[location] >> 7)) & 0xff)
+      this.#regops.d(this.#writeByte(location, ((this.#readByte(location) << 1) | (this.#readByte(location) >> 7)) & 0xff))
       this.#regops.f(
-          ((this.#ram[location] & 0x01) ? this.#FREG_C : 0)
-        | this.#flagTable.sz53p[this.#ram[location]]
+          ((this.#readByte(location) & 0x01) ? this.#FREG_C : 0)
+        | this.#flagTable.sz53p[this.#readByte(location)]
       )
     }
+    this.#opcodeCycles[0xdd][0xcb][0x02] = 23
     // ld e,rlc (ix+dd)
     this.#opcodes[0xdd][0xcb][0x03] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.e(this.#ram[location] = ((this.#ram[location] << 1) | (this.#ram[location] >> 7)) & 0xff)
+      this.#regops.e(this.#writeByte(location, ((this.#readByte(location) << 1) | (this.#readByte(location) >> 7)) & 0xff))
       this.#regops.f(
-          ((this.#ram[location] & 0x01) ? this.#FREG_C : 0)
-        | this.#flagTable.sz53p[this.#ram[location]]
+          ((this.#readByte(location) & 0x01) ? this.#FREG_C : 0)
+        | this.#flagTable.sz53p[this.#readByte(location)]
       )
     }
+    this.#opcodeCycles[0xdd][0xcb][0x03] = 23
     // ld h,rlc (ix+dd)
     this.#opcodes[0xdd][0xcb][0x04] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.h(this.#ram[location] = ((this.#ram[location] << 1) | (this.#ram[location] >> 7)) & 0xff)
+      this.#regops.h(this.#writeByte(location, ((this.#readByte(location) << 1) | (this.#readByte(location) >> 7)) & 0xff))
       this.#regops.f(
-          ((this.#ram[location] & 0x01) ? this.#FREG_C : 0)
-        | this.#flagTable.sz53p[this.#ram[location]]
+          ((this.#readByte(location) & 0x01) ? this.#FREG_C : 0)
+        | this.#flagTable.sz53p[this.#readByte(location)]
       )
     }
+    this.#opcodeCycles[0xdd][0xcb][0x04] = 23
     // ld l,rlc (ix+dd)
     this.#opcodes[0xdd][0xcb][0x05] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.l(this.#ram[location] = ((this.#ram[location] << 1) | (this.#ram[location] >> 7)) & 0xff)
+      this.#regops.l(this.#writeByte(location, ((this.#readByte(location) << 1) | (this.#readByte(location) >> 7)) & 0xff))
       this.#regops.f(
-          ((this.#ram[location] & 0x01) ? this.#FREG_C : 0)
-        | this.#flagTable.sz53p[this.#ram[location]]
+          ((this.#readByte(location) & 0x01) ? this.#FREG_C : 0)
+        | this.#flagTable.sz53p[this.#readByte(location)]
       )
     }
+    this.#opcodeCycles[0xdd][0xcb][0x05] = 23
     // rlc (ix+dd)
     this.#opcodes[0xdd][0xcb][0x06] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#ram[location] = ((this.#ram[location] << 1) | (this.#ram[location] >> 7)) & 0xff
+      this.#writeByte(location, ((this.#readByte(location) << 1) | (this.#readByte(location) >> 7)) & 0xff)
       this.#regops.f(
-          ((this.#ram[location] & 0x01) ? this.#FREG_C : 0)
-        | this.#flagTable.sz53p[this.#ram[location]]
+          ((this.#readByte(location) & 0x01) ? this.#FREG_C : 0)
+        | this.#flagTable.sz53p[this.#readByte(location)]
       )
     }
+    this.#opcodeCycles[0xdd][0xcb][0x06] = 23
     // ld a,rlc (ix+dd)
     this.#opcodes[0xdd][0xcb][0x07] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.a(this.#ram[location] = ((this.#ram[location] << 1) | (this.#ram[location] >> 7)) & 0xff)
+      this.#regops.a(this.#writeByte(location, ((this.#readByte(location) << 1) | (this.#readByte(location) >> 7)) & 0xff))
       this.#regops.f(
-          ((this.#ram[location] & 0x01) ? this.#FREG_C : 0)
-        | this.#flagTable.sz53p[this.#ram[location]]
+          ((this.#readByte(location) & 0x01) ? this.#FREG_C : 0)
+        | this.#flagTable.sz53p[this.#readByte(location)]
       )
     }
+    this.#opcodeCycles[0xdd][0xcb][0x07] = 23
     // ld b,rrc (ix+dd)
     this.#opcodes[0xdd][0xcb][0x08] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.b(this.#ram[location] = ((this.#ram[location] << 7) | (this.#ram[location] >> 1)) & 0xff)
+      this.#regops.b(this.#writeByte(location, ((this.#readByte(location) << 7) | (this.#readByte(location) >> 1)) & 0xff))
       this.#regops.f(
-          ((this.#ram[location] & 0x80) ? this.#FREG_C : 0)
-        | this.#flagTable.sz53p[this.#ram[location]]
+          ((this.#readByte(location) & 0x80) ? this.#FREG_C : 0)
+        | this.#flagTable.sz53p[this.#readByte(location)]
       )
     }
+    this.#opcodeCycles[0xdd][0xcb][0x08] = 23
     // ld c,rrc (ix+dd)
     this.#opcodes[0xdd][0xcb][0x09] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.c(this.#ram[location] = ((this.#ram[location] << 7) | (this.#ram[location] >> 1)) & 0xff)
+      this.#regops.c(this.#writeByte(location, ((this.#readByte(location) << 7) | (this.#readByte(location) >> 1)) & 0xff))
       this.#regops.f(
-          ((this.#ram[location] & 0x80) ? this.#FREG_C : 0)
-        | this.#flagTable.sz53p[this.#ram[location]]
+          ((this.#readByte(location) & 0x80) ? this.#FREG_C : 0)
+        | this.#flagTable.sz53p[this.#readByte(location)]
       )
     }
+    this.#opcodeCycles[0xdd][0xcb][0x09] = 23
     // ld d,rrc (ix+dd)
     this.#opcodes[0xdd][0xcb][0x0a] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.d(this.#ram[location] = ((this.#ram[location] << 7) | (this.#ram[location] >> 1)) & 0xff)
+      this.#regops.d(this.#writeByte(location, ((this.#readByte(location) << 7) | (this.#readByte(location) >> 1)) & 0xff))
       this.#regops.f(
-          ((this.#ram[location] & 0x80) ? this.#FREG_C : 0)
-        | this.#flagTable.sz53p[this.#ram[location]]
+          ((this.#readByte(location) & 0x80) ? this.#FREG_C : 0)
+        | this.#flagTable.sz53p[this.#readByte(location)]
       )
     }
+    this.#opcodeCycles[0xdd][0xcb][0x0a] = 23
     // ld e,rrc (ix+dd)
     this.#opcodes[0xdd][0xcb][0x0b] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.e(this.#ram[location] = ((this.#ram[location] << 7) | (this.#ram[location] >> 1)) & 0xff)
+      this.#regops.e(this.#writeByte(location, ((this.#readByte(location) << 7) | (this.#readByte(location) >> 1)) & 0xff))
       this.#regops.f(
-          ((this.#ram[location] & 0x80) ? this.#FREG_C : 0)
-        | this.#flagTable.sz53p[this.#ram[location]]
+          ((this.#readByte(location) & 0x80) ? this.#FREG_C : 0)
+        | this.#flagTable.sz53p[this.#readByte(location)]
       )
     }
+    this.#opcodeCycles[0xdd][0xcb][0x0b] = 23
     // ld h,rrc (ix+dd)
     this.#opcodes[0xdd][0xcb][0x0c] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.h(this.#ram[location] = ((this.#ram[location] << 7) | (this.#ram[location] >> 1)) & 0xff)
+      this.#regops.h(this.#writeByte(location, ((this.#readByte(location) << 7) | (this.#readByte(location) >> 1)) & 0xff))
       this.#regops.f(
-          ((this.#ram[location] & 0x80) ? this.#FREG_C : 0)
-        | this.#flagTable.sz53p[this.#ram[location]]
+          ((this.#readByte(location) & 0x80) ? this.#FREG_C : 0)
+        | this.#flagTable.sz53p[this.#readByte(location)]
       )
     }
+    this.#opcodeCycles[0xdd][0xcb][0x0c] = 23
     // ld l,rrc (ix+dd)
     this.#opcodes[0xdd][0xcb][0x0d] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.l(this.#ram[location] = ((this.#ram[location] << 7) | (this.#ram[location] >> 1)) & 0xff)
+      this.#regops.l(this.#writeByte(location, ((this.#readByte(location) << 7) | (this.#readByte(location) >> 1)) & 0xff))
       this.#regops.f(
-          ((this.#ram[location] & 0x80) ? this.#FREG_C : 0)
-        | this.#flagTable.sz53p[this.#ram[location]]
+          ((this.#readByte(location) & 0x80) ? this.#FREG_C : 0)
+        | this.#flagTable.sz53p[this.#readByte(location)]
       )
     }
+    this.#opcodeCycles[0xdd][0xcb][0x0d] = 23
     // rrc (ix+dd)
     this.#opcodes[0xdd][0xcb][0x0e] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#ram[location] = ((this.#ram[location] << 7) | (this.#ram[location] >> 1)) & 0xff
+      this.#writeByte(location, ((this.#readByte(location) << 7) | (this.#readByte(location) >> 1)) & 0xff)
       this.#regops.f(
-          ((this.#ram[location] & 0x80) ? this.#FREG_C : 0)
-        | this.#flagTable.sz53p[this.#ram[location]]
+          ((this.#readByte(location) & 0x80) ? this.#FREG_C : 0)
+        | this.#flagTable.sz53p[this.#readByte(location)]
       )
     }
+    this.#opcodeCycles[0xdd][0xcb][0x0e] = 23
     // ld a,rrc (ix+dd)
     this.#opcodes[0xdd][0xcb][0x0f] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.a(this.#ram[location] = ((this.#ram[location] << 7) | (this.#ram[location] >> 1)) & 0xff)
+      this.#regops.a(this.#writeByte(location, ((this.#readByte(location) << 7) | (this.#readByte(location) >> 1)) & 0xff))
       this.#regops.f(
-          ((this.#ram[location] & 0x80) ? this.#FREG_C : 0)
-        | this.#flagTable.sz53p[this.#ram[location]]
+          ((this.#readByte(location) & 0x80) ? this.#FREG_C : 0)
+        | this.#flagTable.sz53p[this.#readByte(location)]
       )
     }
+    this.#opcodeCycles[0xdd][0xcb][0x0f] = 23
     // ld b,rl (ix+dd)
     this.#opcodes[0xdd][0xcb][0x10] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x80) ? this.#FREG_C : 0
-      this.#regops.b(this.#ram[location] = ((this.#ram[location] << 1) | (carry ? 0x01: 0x00)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#regops.b(this.#writeByte(location, ((this.#readByte(location) << 1) | (this.#regops.f() & this.#FREG_C)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x10] = 23
     // ld c,rl (ix+dd)
     this.#opcodes[0xdd][0xcb][0x11] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x80) ? this.#FREG_C : 0
-      this.#regops.c(this.#ram[location] = ((this.#ram[location] << 1) | (carry ? 0x01: 0x00)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#regops.c(this.#writeByte(location, ((this.#readByte(location) << 1) | (this.#regops.f() & this.#FREG_C)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x11] = 23
     // ld d,rl (ix+dd)
     this.#opcodes[0xdd][0xcb][0x12] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x80) ? this.#FREG_C : 0
-      this.#regops.d(this.#ram[location] = ((this.#ram[location] << 1) | (carry ? 0x01: 0x00)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#regops.d(this.#writeByte(location, ((this.#readByte(location) << 1) | (this.#regops.f() & this.#FREG_C)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x12] = 23
     // ld e,rl (ix+dd)
     this.#opcodes[0xdd][0xcb][0x13] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x80) ? this.#FREG_C : 0
-      this.#regops.e(this.#ram[location] = ((this.#ram[location] << 1) | (carry ? 0x01: 0x00)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#regops.e(this.#writeByte(location, ((this.#readByte(location) << 1) | (this.#regops.f() & this.#FREG_C)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x13] = 23
     // ld h,rl (ix+dd)
     this.#opcodes[0xdd][0xcb][0x14] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x80) ? this.#FREG_C : 0
-      this.#regops.h(this.#ram[location] = ((this.#ram[location] << 1) | (carry ? 0x01: 0x00)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#regops.h(this.#writeByte(location, ((this.#readByte(location) << 1) | (this.#regops.f() & this.#FREG_C)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x14] = 23
     // ld l,rl (ix+dd)
     this.#opcodes[0xdd][0xcb][0x15] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x80) ? this.#FREG_C : 0
-      this.#regops.l(this.#ram[location] = ((this.#ram[location] << 1) | (carry ? 0x01: 0x00)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#regops.l(this.#writeByte(location, ((this.#readByte(location) << 1) | (this.#regops.f() & this.#FREG_C)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x15] = 23
     // rl (ix+dd)
     this.#opcodes[0xdd][0xcb][0x16] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x80) ? this.#FREG_C : 0
-      this.#ram[location] = ((this.#ram[location] << 1) | (carry ? 0x01: 0x00)) & 0xff
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#writeByte(location, ((this.#readByte(location) << 1) | (this.#regops.f() & this.#FREG_C)) & 0xff)
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x16] = 23
     // ld a,rl (ix+dd)
     this.#opcodes[0xdd][0xcb][0x17] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x80) ? this.#FREG_C : 0
-      this.#regops.a(this.#ram[location] = ((this.#ram[location] << 1) | (carry ? 0x01: 0x00)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#regops.a(this.#writeByte(location, ((this.#readByte(location) << 1) | (this.#regops.f() & this.#FREG_C)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x17] = 23
     // ld b,rr (ix+dd)
     this.#opcodes[0xdd][0xcb][0x18] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#regops.b(this.#ram[location] = ((this.#ram[location] >> 1) | (carry ? 0x80 : 0x00)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#regops.b(this.#writeByte(location, ((this.#readByte(location) >> 1) | ((this.#regops.f() & this.#FREG_C) ? 0x80 : 0x00)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x18] = 23
     // ld c,rr (ix+dd)
     this.#opcodes[0xdd][0xcb][0x19] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#regops.c(this.#ram[location] = ((this.#ram[location] >> 1) | (carry ? 0x80 : 0x00)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#regops.c(this.#writeByte(location, ((this.#readByte(location) >> 1) | ((this.#regops.f() & this.#FREG_C) ? 0x80 : 0x00)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x19] = 23
     // ld d,rr (ix+dd)
     this.#opcodes[0xdd][0xcb][0x1a] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#regops.d(this.#ram[location] = ((this.#ram[location] >> 1) | (carry ? 0x80 : 0x00)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#regops.d(this.#writeByte(location, ((this.#readByte(location) >> 1) | ((this.#regops.f() & this.#FREG_C) ? 0x80 : 0x00)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x1a] = 23
     // ld e,rr (ix+dd)
     this.#opcodes[0xdd][0xcb][0x1b] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#regops.e(this.#ram[location] = ((this.#ram[location] >> 1) | (carry ? 0x80 : 0x00)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#regops.e(this.#writeByte(location, ((this.#readByte(location) >> 1) | ((this.#regops.f() & this.#FREG_C) ? 0x80 : 0x00)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x1b] = 23
     // ld h,rr (ix+dd)
     this.#opcodes[0xdd][0xcb][0x1c] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#regops.h(this.#ram[location] = ((this.#ram[location] >> 1) | (carry ? 0x80 : 0x00)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#regops.h(this.#writeByte(location, ((this.#readByte(location) >> 1) | ((this.#regops.f() & this.#FREG_C) ? 0x80 : 0x00)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x1c] = 23
     // ld l,rr (ix+dd)
     this.#opcodes[0xdd][0xcb][0x1d] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#regops.l(this.#ram[location] = ((this.#ram[location] >> 1) | (carry ? 0x80 : 0x00)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#regops.l(this.#writeByte(location, ((this.#readByte(location) >> 1) | ((this.#regops.f() & this.#FREG_C) ? 0x80 : 0x00)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x1d] = 23
     // rr (ix+dd)
     this.#opcodes[0xdd][0xcb][0x1e] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#ram[location] = ((this.#ram[location] >> 1) | (carry ? 0x80 : 0x00)) & 0xff
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#writeByte(location, ((this.#readByte(location) >> 1) | ((this.#regops.f() & this.#FREG_C) ? 0x80 : 0x00)) & 0xff)
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x1e] = 23
     // ld a,rr (ix+dd)
     this.#opcodes[0xdd][0xcb][0x1f] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#regops.a(this.#ram[location] = ((this.#ram[location] >> 1) | (carry ? 0x80 : 0x00)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#regops.a(this.#writeByte(location, ((this.#readByte(location) >> 1) | ((this.#regops.f() & this.#FREG_C) ? 0x80 : 0x00)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x1f] = 23
     // ld b,sla (ix+dd)
     this.#opcodes[0xdd][0xcb][0x20] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[this.#regops.ix()] & 0x80) ? this.#FREG_C : 0
-      this.#regops.b(this.#ram[location] = ((this.#ram[location] << 1)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#regops.b(this.#writeByte(location, ((this.#readByte(location) << 1)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x20] = 23
     // ld c,sla (ix+dd)
     this.#opcodes[0xdd][0xcb][0x21] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[this.#regops.ix()] & 0x80) ? this.#FREG_C : 0
-      this.#regops.c(this.#ram[location] = ((this.#ram[location] << 1)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#regops.c(this.#writeByte(location, ((this.#readByte(location) << 1)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x21] = 23
     // ld d,sla (ix+dd)
     this.#opcodes[0xdd][0xcb][0x22] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[this.#regops.ix()] & 0x80) ? this.#FREG_C : 0
-      this.#regops.d(this.#ram[location] = ((this.#ram[location] << 1)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#regops.d(this.#writeByte(location, ((this.#readByte(location) << 1)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x22] = 23
     // ld e,sla (ix+dd)
     this.#opcodes[0xdd][0xcb][0x23] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[this.#regops.ix()] & 0x80) ? this.#FREG_C : 0
-      this.#regops.e(this.#ram[location] = ((this.#ram[location] << 1)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#regops.e(this.#writeByte(location, ((this.#readByte(location) << 1)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x23] = 23
     // ld h,sla (ix+dd)
     this.#opcodes[0xdd][0xcb][0x24] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[this.#regops.ix()] & 0x80) ? this.#FREG_C : 0
-      this.#regops.h(this.#ram[location] = ((this.#ram[location] << 1)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#regops.h(this.#writeByte(location, ((this.#readByte(location) << 1)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x24] = 23
     // ld l,sla (ix+dd)
     this.#opcodes[0xdd][0xcb][0x25] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[this.#regops.ix()] & 0x80) ? this.#FREG_C : 0
-      this.#regops.l(this.#ram[location] = ((this.#ram[location] << 1)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#regops.l(this.#writeByte(location, ((this.#readByte(location) << 1)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x25] = 23
     // sla (ix+dd)
     this.#opcodes[0xdd][0xcb][0x26] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[this.#regops.ix()] & 0x80) ? this.#FREG_C : 0
-      this.#ram[location] = ((this.#ram[location] << 1)) & 0xff
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#writeByte(location, ((this.#readByte(location) << 1)) & 0xff)
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x26] = 23
     // ld a,sla (ix+dd)
     this.#opcodes[0xdd][0xcb][0x27] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[this.#regops.ix()] & 0x80) ? this.#FREG_C : 0
-      this.#regops.a(this.#ram[location] = ((this.#ram[location] << 1)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#regops.a(this.#writeByte(location, ((this.#readByte(location) << 1)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x27] = 23
     // ld b,sra (ix+dd)
     this.#opcodes[0xdd][0xcb][0x28] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#regops.b(this.#ram[location] = ((this.#ram[location] >> 1)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#regops.b(this.#writeByte(location, ((this.#readByte(location) >> 1) | (this.#readByte(location) & 0x80)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x28] = 23
     // ld c,sra (ix+dd)
     this.#opcodes[0xdd][0xcb][0x29] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#regops.c(this.#ram[location] = ((this.#ram[location] >> 1)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#regops.c(this.#writeByte(location, ((this.#readByte(location) >> 1) | (this.#readByte(location) & 0x80)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x29] = 23
     // ld d,sra (ix+dd)
     this.#opcodes[0xdd][0xcb][0x2a] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#regops.d(this.#ram[location] = ((this.#ram[location] >> 1)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#regops.d(this.#writeByte(location, ((this.#readByte(location) >> 1) | (this.#readByte(location) & 0x80)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x2a] = 23
     // ld e,sra (ix+dd)
     this.#opcodes[0xdd][0xcb][0x2b] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#regops.e(this.#ram[location] = ((this.#ram[location] >> 1)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#regops.e(this.#writeByte(location, ((this.#readByte(location) >> 1) | (this.#readByte(location) & 0x80)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x2b] = 23
     // ld h,sra (ix+dd)
     this.#opcodes[0xdd][0xcb][0x2c] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#regops.h(this.#ram[location] = ((this.#ram[location] >> 1)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#regops.h(this.#writeByte(location, ((this.#readByte(location) >> 1) | (this.#readByte(location) & 0x80)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x2c] = 23
     // ld l,sra (ix+dd)
     this.#opcodes[0xdd][0xcb][0x2d] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#regops.l(this.#ram[location] = ((this.#ram[location] >> 1)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#regops.l(this.#writeByte(location, ((this.#readByte(location) >> 1) | (this.#readByte(location) & 0x80)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x2d] = 23
     // sra (ix+dd)
     this.#opcodes[0xdd][0xcb][0x2e] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#ram[location] = ((this.#ram[location] >> 1)) & 0xff
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#writeByte(location, ((this.#readByte(location) >> 1) | (this.#readByte(location) & 0x80)) & 0xff)
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x2e] = 23
     // ld a,sra (ix+dd)
     this.#opcodes[0xdd][0xcb][0x2f] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#regops.a(this.#ram[location] = ((this.#ram[location] >> 1)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#regops.a(this.#writeByte(location, ((this.#readByte(location) >> 1) | (this.#readByte(location) & 0x80)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x2f] = 23
     // ld b,sll (ix+dd)
     this.#opcodes[0xdd][0xcb][0x30] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[this.#regops.ix()] & 0x80) ? this.#FREG_C : 0
-      this.#regops.b(this.#ram[location] = ((this.#ram[location] << 1) | 0x01) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#regops.b(this.#writeByte(location, ((this.#readByte(location) << 1) | 0x01) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x30] = 23
     // ld c,sll (ix+dd)
     this.#opcodes[0xdd][0xcb][0x31] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[this.#regops.ix()] & 0x80) ? this.#FREG_C : 0
-      this.#regops.c(this.#ram[location] = ((this.#ram[location] << 1) | 0x01) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#regops.c(this.#writeByte(location, ((this.#readByte(location) << 1) | 0x01) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x31] = 23
     // ld d,sll (ix+dd)
     this.#opcodes[0xdd][0xcb][0x32] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[this.#regops.ix()] & 0x80) ? this.#FREG_C : 0
-      this.#regops.d(this.#ram[location] = ((this.#ram[location] << 1) | 0x01) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#regops.d(this.#writeByte(location, ((this.#readByte(location) << 1) | 0x01) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x32] = 23
     // ld e,sll (ix+dd)
     this.#opcodes[0xdd][0xcb][0x33] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[this.#regops.ix()] & 0x80) ? this.#FREG_C : 0
-      this.#regops.e(this.#ram[location] = ((this.#ram[location] << 1) | 0x01) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#regops.e(this.#writeByte(location, ((this.#readByte(location) << 1) | 0x01) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x33] = 23
     // ld h,sll (ix+dd)
     this.#opcodes[0xdd][0xcb][0x34] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[this.#regops.ix()] & 0x80) ? this.#FREG_C : 0
-      this.#regops.h(this.#ram[location] = ((this.#ram[location] << 1) | 0x01) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#regops.h(this.#writeByte(location, ((this.#readByte(location) << 1) | 0x01) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x34] = 23
     // ld l,sll (ix+dd)
     this.#opcodes[0xdd][0xcb][0x35] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[this.#regops.ix()] & 0x80) ? this.#FREG_C : 0
-      this.#regops.l(this.#ram[location] = ((this.#ram[location] << 1) | 0x01) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#regops.l(this.#writeByte(location, ((this.#readByte(location) << 1) | 0x01) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x35] = 23
     // sll (ix+dd)
     this.#opcodes[0xdd][0xcb][0x36] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[this.#regops.ix()] & 0x80) ? this.#FREG_C : 0
-      this.#ram[location] = ((this.#ram[location] << 1) | 0x01) & 0xff
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#writeByte(location, ((this.#readByte(location) << 1) | 0x01) & 0xff)
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x36] = 23
     // ld a,sll (ix+dd)
     this.#opcodes[0xdd][0xcb][0x37] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[this.#regops.ix()] & 0x80) ? this.#FREG_C : 0
-      this.#regops.a(this.#ram[location] = ((this.#ram[location] << 1) | 0x01) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#regops.a(this.#writeByte(location, ((this.#readByte(location) << 1) | 0x01) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x37] = 23
     // ld b,srl (ix+dd)
     this.#opcodes[0xdd][0xcb][0x38] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#regops.b(this.#ram[location] = ((this.#ram[location] >> 1) | 0x80) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#regops.b(this.#writeByte(location, ((this.#readByte(location) >> 1)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x38] = 23
     // ld c,srl (ix+dd)
     this.#opcodes[0xdd][0xcb][0x39] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#regops.c(this.#ram[location] = ((this.#ram[location] >> 1) | 0x80) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#regops.c(this.#writeByte(location, ((this.#readByte(location) >> 1)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x39] = 23
     // ld d,srl (ix+dd)
     this.#opcodes[0xdd][0xcb][0x3a] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#regops.d(this.#ram[location] = ((this.#ram[location] >> 1) | 0x80) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#regops.d(this.#writeByte(location, ((this.#readByte(location) >> 1)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x3a] = 23
     // ld e,srl (ix+dd)
     this.#opcodes[0xdd][0xcb][0x3b] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#regops.e(this.#ram[location] = ((this.#ram[location] >> 1) | 0x80) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#regops.e(this.#writeByte(location, ((this.#readByte(location) >> 1)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x3b] = 23
     // ld h,srl (ix+dd)
     this.#opcodes[0xdd][0xcb][0x3c] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#regops.h(this.#ram[location] = ((this.#ram[location] >> 1) | 0x80) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#regops.h(this.#writeByte(location, ((this.#readByte(location) >> 1)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x3c] = 23
     // ld l,srl (ix+dd)
     this.#opcodes[0xdd][0xcb][0x3d] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#regops.l(this.#ram[location] = ((this.#ram[location] >> 1) | 0x80) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#regops.l(this.#writeByte(location, ((this.#readByte(location) >> 1)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x3d] = 23
     // srl (ix+dd)
     this.#opcodes[0xdd][0xcb][0x3e] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#ram[location] = ((this.#ram[location] >> 1) | 0x80) & 0xff
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#writeByte(location, ((this.#readByte(location) >> 1)) & 0xff)
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x3e] = 23
     // ld a,srl (ix+dd)
     this.#opcodes[0xdd][0xcb][0x3f] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#regops.a(this.#ram[location] = ((this.#ram[location] >> 1) | 0x80) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#regops.a(this.#writeByte(location, ((this.#readByte(location) >> 1)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xdd][0xcb][0x3f] = 23
     // bit 0,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0x47] = (dd) => {
+    this.#opcodes[0xdd][0xcb][0x40] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
       this.#regops.f(
           (this.#regops.f() & this.#FREG_C)
         | this.#FREG_H
-        | (this.#ram[location] & (this.#FREG_F3 | this.#FREG_F5))
-        | (((this.#ram[location] & (1 << 0)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 0)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
-    // bit 1,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0x4f] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x40] = 20
+    // bit 0,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x41] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
       this.#regops.f(
           (this.#regops.f() & this.#FREG_C)
         | this.#FREG_H
-        | (this.#ram[location] & (this.#FREG_F3 | this.#FREG_F5))
-        | (((this.#ram[location] & (1 << 1)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 0)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
-    // bit 2,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0x57] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x41] = 20
+    // bit 0,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x42] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
       this.#regops.f(
           (this.#regops.f() & this.#FREG_C)
         | this.#FREG_H
-        | (this.#ram[location] & (this.#FREG_F3 | this.#FREG_F5))
-        | (((this.#ram[location] & (1 << 2)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 0)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
-    // bit 3,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0x5f] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x42] = 20
+    // bit 0,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x43] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
       this.#regops.f(
           (this.#regops.f() & this.#FREG_C)
         | this.#FREG_H
-        | (this.#ram[location] & (this.#FREG_F3 | this.#FREG_F5))
-        | (((this.#ram[location] & (1 << 3)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 0)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
-    // bit 4,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0x67] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x43] = 20
+    // bit 0,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x44] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
       this.#regops.f(
           (this.#regops.f() & this.#FREG_C)
         | this.#FREG_H
-        | (this.#ram[location] & (this.#FREG_F3 | this.#FREG_F5))
-        | (((this.#ram[location] & (1 << 4)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 0)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
-    // bit 5,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0x6f] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x44] = 20
+    // bit 0,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x45] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
       this.#regops.f(
           (this.#regops.f() & this.#FREG_C)
         | this.#FREG_H
-        | (this.#ram[location] & (this.#FREG_F3 | this.#FREG_F5))
-        | (((this.#ram[location] & (1 << 5)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 0)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
-    // bit 6,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0x77] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x45] = 20
+    // bit 0,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x46] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
       this.#regops.f(
           (this.#regops.f() & this.#FREG_C)
         | this.#FREG_H
-        | (this.#ram[location] & (this.#FREG_F3 | this.#FREG_F5))
-        | (((this.#ram[location] & (1 << 6)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 0)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
-    // bit 7,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0x7f] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x46] = 20
+    // bit 0,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x47] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
       this.#regops.f(
           (this.#regops.f() & this.#FREG_C)
         | this.#FREG_H
-        | (this.#ram[location] & (this.#FREG_F3 | this.#FREG_F5))
-        | (((this.#ram[location] & (1 << 7)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 0)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
-    // ld b,res 0,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0x80] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x47] = 20
+    // bit 1,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x48] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.b(this.#ram[location] = this.#ram[location] & ~(1 << 0))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 1)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld c,res 0,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0x81] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x48] = 20
+    // bit 1,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x49] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.c(this.#ram[location] = this.#ram[location] & ~(1 << 0))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 1)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld d,res 0,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0x82] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x49] = 20
+    // bit 1,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x4a] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.d(this.#ram[location] = this.#ram[location] & ~(1 << 0))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 1)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld e,res 0,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0x83] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x4a] = 20
+    // bit 1,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x4b] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.e(this.#ram[location] = this.#ram[location] & ~(1 << 0))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 1)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld h,res 0,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0x84] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x4b] = 20
+    // bit 1,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x4c] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.h(this.#ram[location] = this.#ram[location] & ~(1 << 0))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 1)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld l,res 0,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0x85] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x4c] = 20
+    // bit 1,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x4d] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.l(this.#ram[location] = this.#ram[location] & ~(1 << 0))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 1)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // res 0,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0x86] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x4d] = 20
+    // bit 1,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x4e] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#ram[location] = this.#ram[location] & ~(1 << 0)
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 1)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld a,res 0,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0x87] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x4e] = 20
+    // bit 1,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x4f] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.a(this.#ram[location] = this.#ram[location] & ~(1 << 0))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 1)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld b,res 1,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0x88] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x4f] = 20
+    // bit 2,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x50] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.b(this.#ram[location] = this.#ram[location] & ~(1 << 1))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 2)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld c,res 1,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0x89] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x50] = 20
+    // bit 2,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x51] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.c(this.#ram[location] = this.#ram[location] & ~(1 << 1))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 2)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld d,res 1,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0x8a] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x51] = 20
+    // bit 2,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x52] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.d(this.#ram[location] = this.#ram[location] & ~(1 << 1))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 2)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld e,res 1,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0x8b] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x52] = 20
+    // bit 2,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x53] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.e(this.#ram[location] = this.#ram[location] & ~(1 << 1))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 2)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld h,res 1,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0x8c] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x53] = 20
+    // bit 2,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x54] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.h(this.#ram[location] = this.#ram[location] & ~(1 << 1))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 2)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld l,res 1,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0x8d] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x54] = 20
+    // bit 2,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x55] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.l(this.#ram[location] = this.#ram[location] & ~(1 << 1))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 2)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // res 1,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0x8e] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x55] = 20
+    // bit 2,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x56] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#ram[location] = this.#ram[location] & ~(1 << 1)
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 2)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld a,res 1,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0x8f] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x56] = 20
+    // bit 2,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x57] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.a(this.#ram[location] = this.#ram[location] & ~(1 << 1))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 2)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld b,res 2,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0x90] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x57] = 20
+    // bit 3,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x58] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.b(this.#ram[location] = this.#ram[location] & ~(1 << 2))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 3)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld c,res 2,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0x91] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x58] = 20
+    // bit 3,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x59] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.c(this.#ram[location] = this.#ram[location] & ~(1 << 2))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 3)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld d,res 2,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0x92] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x59] = 20
+    // bit 3,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x5a] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.d(this.#ram[location] = this.#ram[location] & ~(1 << 2))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 3)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld e,res 2,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0x93] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x5a] = 20
+    // bit 3,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x5b] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.e(this.#ram[location] = this.#ram[location] & ~(1 << 2))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 3)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld h,res 2,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0x94] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x5b] = 20
+    // bit 3,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x5c] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.h(this.#ram[location] = this.#ram[location] & ~(1 << 2))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 3)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld l,res 2,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0x95] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x5c] = 20
+    // bit 3,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x5d] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.l(this.#ram[location] = this.#ram[location] & ~(1 << 2))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 3)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // res 2,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0x96] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x5d] = 20
+    // bit 3,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x5e] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#ram[location] = this.#ram[location] & ~(1 << 2)
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 3)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld a,res 2,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0x97] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x5e] = 20
+    // bit 3,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x5f] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.a(this.#ram[location] = this.#ram[location] & ~(1 << 2))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 3)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld b,res 3,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0x98] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x5f] = 20
+    // bit 4,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x60] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.b(this.#ram[location] = this.#ram[location] & ~(1 << 3))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 4)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld c,res 3,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0x99] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x60] = 20
+    // bit 4,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x61] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.c(this.#ram[location] = this.#ram[location] & ~(1 << 3))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 4)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld d,res 3,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0x9a] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x61] = 20
+    // bit 4,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x62] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.d(this.#ram[location] = this.#ram[location] & ~(1 << 3))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 4)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld e,res 3,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0x9b] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x62] = 20
+    // bit 4,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x63] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.e(this.#ram[location] = this.#ram[location] & ~(1 << 3))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 4)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld h,res 3,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0x9c] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x63] = 20
+    // bit 4,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x64] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.h(this.#ram[location] = this.#ram[location] & ~(1 << 3))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 4)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld l,res 3,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0x9d] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x64] = 20
+    // bit 4,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x65] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.l(this.#ram[location] = this.#ram[location] & ~(1 << 3))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 4)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // res 3,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0x9e] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x65] = 20
+    // bit 4,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x66] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#ram[location] = this.#ram[location] & ~(1 << 3)
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 4)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld a,res 3,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0x9f] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x66] = 20
+    // bit 4,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x67] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.a(this.#ram[location] = this.#ram[location] & ~(1 << 3))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 4)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld b,res 4,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0xa0] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x67] = 20
+    // bit 5,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x68] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.b(this.#ram[location] = this.#ram[location] & ~(1 << 4))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 5)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld c,res 4,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0xa1] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x68] = 20
+    // bit 5,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x69] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.c(this.#ram[location] = this.#ram[location] & ~(1 << 4))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 5)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld d,res 4,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0xa2] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x69] = 20
+    // bit 5,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x6a] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.d(this.#ram[location] = this.#ram[location] & ~(1 << 4))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 5)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld e,res 4,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0xa3] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x6a] = 20
+    // bit 5,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x6b] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.e(this.#ram[location] = this.#ram[location] & ~(1 << 4))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 5)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld h,res 4,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0xa4] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x6b] = 20
+    // bit 5,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x6c] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.h(this.#ram[location] = this.#ram[location] & ~(1 << 4))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 5)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld l,res 4,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0xa5] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x6c] = 20
+    // bit 5,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x6d] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.l(this.#ram[location] = this.#ram[location] & ~(1 << 4))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 5)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // res 4,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0xa6] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x6d] = 20
+    // bit 5,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x6e] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#ram[location] = this.#ram[location] & ~(1 << 4)
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 5)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld a,res 4,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0xa7] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x6e] = 20
+    // bit 5,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x6f] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.a(this.#ram[location] = this.#ram[location] & ~(1 << 4))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 5)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld b,res 5,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0xa8] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x6f] = 20
+    // bit 6,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x70] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.b(this.#ram[location] = this.#ram[location] & ~(1 << 5))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 6)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld c,res 5,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0xa9] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x70] = 20
+    // bit 6,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x71] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.c(this.#ram[location] = this.#ram[location] & ~(1 << 5))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 6)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld d,res 5,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0xaa] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x71] = 20
+    // bit 6,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x72] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.d(this.#ram[location] = this.#ram[location] & ~(1 << 5))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 6)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld e,res 5,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0xab] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x72] = 20
+    // bit 6,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x73] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.e(this.#ram[location] = this.#ram[location] & ~(1 << 5))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 6)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld h,res 5,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0xac] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x73] = 20
+    // bit 6,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x74] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.h(this.#ram[location] = this.#ram[location] & ~(1 << 5))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 6)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld l,res 5,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0xad] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x74] = 20
+    // bit 6,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x75] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.l(this.#ram[location] = this.#ram[location] & ~(1 << 5))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 6)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // res 5,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0xae] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x75] = 20
+    // bit 6,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x76] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#ram[location] = this.#ram[location] & ~(1 << 5)
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 6)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld a,res 5,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0xaf] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x76] = 20
+    // bit 6,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x77] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.a(this.#ram[location] = this.#ram[location] & ~(1 << 5))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 6)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld b,res 6,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0xb0] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x77] = 20
+    // bit 7,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x78] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.b(this.#ram[location] = this.#ram[location] & ~(1 << 6))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 7)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#readByte(location) & this.#FREG_S)
+      )
     }
-    // ld c,res 6,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0xb1] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x78] = 20
+    // bit 7,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x79] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.c(this.#ram[location] = this.#ram[location] & ~(1 << 6))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 7)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#readByte(location) & this.#FREG_S)
+      )
     }
-    // ld d,res 6,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0xb2] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x79] = 20
+    // bit 7,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x7a] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.d(this.#ram[location] = this.#ram[location] & ~(1 << 6))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 7)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#readByte(location) & this.#FREG_S)
+      )
     }
-    // ld e,res 6,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0xb3] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x7a] = 20
+    // bit 7,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x7b] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.e(this.#ram[location] = this.#ram[location] & ~(1 << 6))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 7)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#readByte(location) & this.#FREG_S)
+      )
     }
-    // ld h,res 6,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0xb4] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x7b] = 20
+    // bit 7,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x7c] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.h(this.#ram[location] = this.#ram[location] & ~(1 << 6))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 7)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#readByte(location) & this.#FREG_S)
+      )
     }
-    // ld l,res 6,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0xb5] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x7c] = 20
+    // bit 7,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x7d] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.l(this.#ram[location] = this.#ram[location] & ~(1 << 6))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 7)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#readByte(location) & this.#FREG_S)
+      )
     }
-    // res 6,(ix+dd)
-    this.#opcodes[0xdd][0xcb][0xb6] = (dd) => {
+    this.#opcodeCycles[0xdd][0xcb][0x7d] = 20
+    // bit 7,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x7e] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#ram[location] = this.#ram[location] & ~(1 << 6)
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 7)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#readByte(location) & this.#FREG_S)
+      )
     }
+    this.#opcodeCycles[0xdd][0xcb][0x7e] = 20
+    // bit 7,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x7f] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 7)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#readByte(location) & this.#FREG_S)
+      )
+    }
+    this.#opcodeCycles[0xdd][0xcb][0x7f] = 20
+    // ld b,res 0,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x80] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.b(this.#writeByte(location, this.#readByte(location) & ~(1 << 0)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0x80] = 23
+    // ld c,res 0,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x81] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.c(this.#writeByte(location, this.#readByte(location) & ~(1 << 0)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0x81] = 23
+    // ld d,res 0,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x82] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.d(this.#writeByte(location, this.#readByte(location) & ~(1 << 0)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0x82] = 23
+    // ld e,res 0,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x83] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.e(this.#writeByte(location, this.#readByte(location) & ~(1 << 0)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0x83] = 23
+    // ld h,res 0,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x84] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.h(this.#writeByte(location, this.#readByte(location) & ~(1 << 0)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0x84] = 23
+    // ld l,res 0,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x85] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.l(this.#writeByte(location, this.#readByte(location) & ~(1 << 0)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0x85] = 23
+    // res 0,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x86] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#writeByte(location, this.#readByte(location) & ~(1 << 0))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0x86] = 23
+    // ld a,res 0,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x87] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.a(this.#writeByte(location, this.#readByte(location) & ~(1 << 0)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0x87] = 23
+    // ld b,res 1,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x88] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.b(this.#writeByte(location, this.#readByte(location) & ~(1 << 1)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0x88] = 23
+    // ld c,res 1,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x89] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.c(this.#writeByte(location, this.#readByte(location) & ~(1 << 1)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0x89] = 23
+    // ld d,res 1,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x8a] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.d(this.#writeByte(location, this.#readByte(location) & ~(1 << 1)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0x8a] = 23
+    // ld e,res 1,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x8b] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.e(this.#writeByte(location, this.#readByte(location) & ~(1 << 1)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0x8b] = 23
+    // ld h,res 1,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x8c] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.h(this.#writeByte(location, this.#readByte(location) & ~(1 << 1)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0x8c] = 23
+    // ld l,res 1,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x8d] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.l(this.#writeByte(location, this.#readByte(location) & ~(1 << 1)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0x8d] = 23
+    // res 1,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x8e] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#writeByte(location, this.#readByte(location) & ~(1 << 1))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0x8e] = 23
+    // ld a,res 1,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x8f] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.a(this.#writeByte(location, this.#readByte(location) & ~(1 << 1)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0x8f] = 23
+    // ld b,res 2,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x90] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.b(this.#writeByte(location, this.#readByte(location) & ~(1 << 2)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0x90] = 23
+    // ld c,res 2,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x91] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.c(this.#writeByte(location, this.#readByte(location) & ~(1 << 2)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0x91] = 23
+    // ld d,res 2,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x92] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.d(this.#writeByte(location, this.#readByte(location) & ~(1 << 2)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0x92] = 23
+    // ld e,res 2,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x93] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.e(this.#writeByte(location, this.#readByte(location) & ~(1 << 2)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0x93] = 23
+    // ld h,res 2,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x94] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.h(this.#writeByte(location, this.#readByte(location) & ~(1 << 2)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0x94] = 23
+    // ld l,res 2,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x95] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.l(this.#writeByte(location, this.#readByte(location) & ~(1 << 2)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0x95] = 23
+    // res 2,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x96] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#writeByte(location, this.#readByte(location) & ~(1 << 2))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0x96] = 23
+    // ld a,res 2,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x97] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.a(this.#writeByte(location, this.#readByte(location) & ~(1 << 2)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0x97] = 23
+    // ld b,res 3,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x98] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.b(this.#writeByte(location, this.#readByte(location) & ~(1 << 3)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0x98] = 23
+    // ld c,res 3,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x99] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.c(this.#writeByte(location, this.#readByte(location) & ~(1 << 3)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0x99] = 23
+    // ld d,res 3,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x9a] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.d(this.#writeByte(location, this.#readByte(location) & ~(1 << 3)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0x9a] = 23
+    // ld e,res 3,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x9b] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.e(this.#writeByte(location, this.#readByte(location) & ~(1 << 3)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0x9b] = 23
+    // ld h,res 3,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x9c] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.h(this.#writeByte(location, this.#readByte(location) & ~(1 << 3)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0x9c] = 23
+    // ld l,res 3,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x9d] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.l(this.#writeByte(location, this.#readByte(location) & ~(1 << 3)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0x9d] = 23
+    // res 3,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x9e] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#writeByte(location, this.#readByte(location) & ~(1 << 3))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0x9e] = 23
+    // ld a,res 3,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0x9f] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.a(this.#writeByte(location, this.#readByte(location) & ~(1 << 3)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0x9f] = 23
+    // ld b,res 4,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0xa0] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.b(this.#writeByte(location, this.#readByte(location) & ~(1 << 4)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0xa0] = 23
+    // ld c,res 4,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0xa1] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.c(this.#writeByte(location, this.#readByte(location) & ~(1 << 4)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0xa1] = 23
+    // ld d,res 4,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0xa2] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.d(this.#writeByte(location, this.#readByte(location) & ~(1 << 4)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0xa2] = 23
+    // ld e,res 4,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0xa3] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.e(this.#writeByte(location, this.#readByte(location) & ~(1 << 4)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0xa3] = 23
+    // ld h,res 4,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0xa4] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.h(this.#writeByte(location, this.#readByte(location) & ~(1 << 4)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0xa4] = 23
+    // ld l,res 4,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0xa5] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.l(this.#writeByte(location, this.#readByte(location) & ~(1 << 4)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0xa5] = 23
+    // res 4,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0xa6] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#writeByte(location, this.#readByte(location) & ~(1 << 4))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0xa6] = 23
+    // ld a,res 4,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0xa7] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.a(this.#writeByte(location, this.#readByte(location) & ~(1 << 4)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0xa7] = 23
+    // ld b,res 5,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0xa8] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.b(this.#writeByte(location, this.#readByte(location) & ~(1 << 5)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0xa8] = 23
+    // ld c,res 5,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0xa9] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.c(this.#writeByte(location, this.#readByte(location) & ~(1 << 5)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0xa9] = 23
+    // ld d,res 5,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0xaa] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.d(this.#writeByte(location, this.#readByte(location) & ~(1 << 5)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0xaa] = 23
+    // ld e,res 5,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0xab] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.e(this.#writeByte(location, this.#readByte(location) & ~(1 << 5)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0xab] = 23
+    // ld h,res 5,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0xac] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.h(this.#writeByte(location, this.#readByte(location) & ~(1 << 5)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0xac] = 23
+    // ld l,res 5,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0xad] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.l(this.#writeByte(location, this.#readByte(location) & ~(1 << 5)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0xad] = 23
+    // res 5,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0xae] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#writeByte(location, this.#readByte(location) & ~(1 << 5))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0xae] = 23
+    // ld a,res 5,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0xaf] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.a(this.#writeByte(location, this.#readByte(location) & ~(1 << 5)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0xaf] = 23
+    // ld b,res 6,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0xb0] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.b(this.#writeByte(location, this.#readByte(location) & ~(1 << 6)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0xb0] = 23
+    // ld c,res 6,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0xb1] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.c(this.#writeByte(location, this.#readByte(location) & ~(1 << 6)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0xb1] = 23
+    // ld d,res 6,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0xb2] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.d(this.#writeByte(location, this.#readByte(location) & ~(1 << 6)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0xb2] = 23
+    // ld e,res 6,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0xb3] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.e(this.#writeByte(location, this.#readByte(location) & ~(1 << 6)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0xb3] = 23
+    // ld h,res 6,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0xb4] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.h(this.#writeByte(location, this.#readByte(location) & ~(1 << 6)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0xb4] = 23
+    // ld l,res 6,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0xb5] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#regops.l(this.#writeByte(location, this.#readByte(location) & ~(1 << 6)))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0xb5] = 23
+    // res 6,(ix+dd)
+    this.#opcodes[0xdd][0xcb][0xb6] = (dd) => {
+      const location = this.#regops.ix() + this.#uint8ToInt8(dd)
+      this.#writeByte(location, this.#readByte(location) & ~(1 << 6))
+    }
+    this.#opcodeCycles[0xdd][0xcb][0xb6] = 23
     // ld a,res 6,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xb7] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.a(this.#ram[location] = this.#ram[location] & ~(1 << 6))
+      this.#regops.a(this.#writeByte(location, this.#readByte(location) & ~(1 << 6)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xb7] = 23
     // ld b,res 7,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xb8] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.b(this.#ram[location] = this.#ram[location] & ~(1 << 7))
+      this.#regops.b(this.#writeByte(location, this.#readByte(location) & ~(1 << 7)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xb8] = 23
     // ld c,res 7,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xb9] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.c(this.#ram[location] = this.#ram[location] & ~(1 << 7))
+      this.#regops.c(this.#writeByte(location, this.#readByte(location) & ~(1 << 7)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xb9] = 23
     // ld d,res 7,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xba] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.d(this.#ram[location] = this.#ram[location] & ~(1 << 7))
+      this.#regops.d(this.#writeByte(location, this.#readByte(location) & ~(1 << 7)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xba] = 23
     // ld e,res 7,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xbb] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.e(this.#ram[location] = this.#ram[location] & ~(1 << 7))
+      this.#regops.e(this.#writeByte(location, this.#readByte(location) & ~(1 << 7)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xbb] = 23
     // ld h,res 7,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xbc] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.h(this.#ram[location] = this.#ram[location] & ~(1 << 7))
+      this.#regops.h(this.#writeByte(location, this.#readByte(location) & ~(1 << 7)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xbc] = 23
     // ld l,res 7,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xbd] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.l(this.#ram[location] = this.#ram[location] & ~(1 << 7))
+      this.#regops.l(this.#writeByte(location, this.#readByte(location) & ~(1 << 7)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xbd] = 23
     // res 7,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xbe] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#ram[location] = this.#ram[location] & ~(1 << 7)
+      this.#writeByte(location, this.#readByte(location) & ~(1 << 7))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xbe] = 23
     // ld a,res 7,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xbf] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.a(this.#ram[location] = this.#ram[location] & ~(1 << 7))
+      this.#regops.a(this.#writeByte(location, this.#readByte(location) & ~(1 << 7)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xbf] = 23
     // ld b,set 0,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xc0] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.b(this.#ram[location] = this.#ram[location] & (1 << 0))
+      this.#regops.b(this.#writeByte(location, this.#readByte(location) | (1 << 0)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xc0] = 23
     // ld c,set 0,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xc1] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.c(this.#ram[location] = this.#ram[location] & (1 << 0))
+      this.#regops.c(this.#writeByte(location, this.#readByte(location) | (1 << 0)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xc1] = 23
     // ld d,set 0,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xc2] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.d(this.#ram[location] = this.#ram[location] & (1 << 0))
+      this.#regops.d(this.#writeByte(location, this.#readByte(location) | (1 << 0)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xc2] = 23
     // ld e,set 0,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xc3] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.e(this.#ram[location] = this.#ram[location] & (1 << 0))
+      this.#regops.e(this.#writeByte(location, this.#readByte(location) | (1 << 0)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xc3] = 23
     // ld h,set 0,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xc4] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.h(this.#ram[location] = this.#ram[location] & (1 << 0))
+      this.#regops.h(this.#writeByte(location, this.#readByte(location) | (1 << 0)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xc4] = 23
     // ld l,set 0,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xc5] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.l(this.#ram[location] = this.#ram[location] & (1 << 0))
+      this.#regops.l(this.#writeByte(location, this.#readByte(location) | (1 << 0)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xc5] = 23
     // set 0,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xc6] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#ram[location] = this.#ram[location] & (1 << 0)
+      this.#writeByte(location, this.#readByte(location) | (1 << 0))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xc6] = 23
     // ld a,set 0,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xc7] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.a(this.#ram[location] = this.#ram[location] & (1 << 0))
+      this.#regops.a(this.#writeByte(location, this.#readByte(location) | (1 << 0)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xc7] = 23
     // ld b,set 1,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xc8] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.b(this.#ram[location] = this.#ram[location] & (1 << 1))
+      this.#regops.b(this.#writeByte(location, this.#readByte(location) | (1 << 1)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xc8] = 23
     // ld c,set 1,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xc9] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.c(this.#ram[location] = this.#ram[location] & (1 << 1))
+      this.#regops.c(this.#writeByte(location, this.#readByte(location) | (1 << 1)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xc9] = 23
     // ld d,set 1,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xca] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.d(this.#ram[location] = this.#ram[location] & (1 << 1))
+      this.#regops.d(this.#writeByte(location, this.#readByte(location) | (1 << 1)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xca] = 23
     // ld e,set 1,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xcb] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.e(this.#ram[location] = this.#ram[location] & (1 << 1))
+      this.#regops.e(this.#writeByte(location, this.#readByte(location) | (1 << 1)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xcb] = 23
     // ld h,set 1,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xcc] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.h(this.#ram[location] = this.#ram[location] & (1 << 1))
+      this.#regops.h(this.#writeByte(location, this.#readByte(location) | (1 << 1)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xcc] = 23
     // ld l,set 1,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xcd] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.l(this.#ram[location] = this.#ram[location] & (1 << 1))
+      this.#regops.l(this.#writeByte(location, this.#readByte(location) | (1 << 1)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xcd] = 23
     // set 1,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xce] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#ram[location] = this.#ram[location] & (1 << 1)
+      this.#writeByte(location, this.#readByte(location) | (1 << 1))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xce] = 23
     // ld a,set 1,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xcf] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.a(this.#ram[location] = this.#ram[location] & (1 << 1))
+      this.#regops.a(this.#writeByte(location, this.#readByte(location) | (1 << 1)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xcf] = 23
     // ld b,set 2,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xd0] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.b(this.#ram[location] = this.#ram[location] & (1 << 2))
+      this.#regops.b(this.#writeByte(location, this.#readByte(location) | (1 << 2)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xd0] = 23
     // ld c,set 2,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xd1] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.c(this.#ram[location] = this.#ram[location] & (1 << 2))
+      this.#regops.c(this.#writeByte(location, this.#readByte(location) | (1 << 2)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xd1] = 23
     // ld d,set 2,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xd2] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.d(this.#ram[location] = this.#ram[location] & (1 << 2))
+      this.#regops.d(this.#writeByte(location, this.#readByte(location) | (1 << 2)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xd2] = 23
     // ld e,set 2,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xd3] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.e(this.#ram[location] = this.#ram[location] & (1 << 2))
+      this.#regops.e(this.#writeByte(location, this.#readByte(location) | (1 << 2)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xd3] = 23
     // ld h,set 2,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xd4] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.h(this.#ram[location] = this.#ram[location] & (1 << 2))
+      this.#regops.h(this.#writeByte(location, this.#readByte(location) | (1 << 2)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xd4] = 23
     // ld l,set 2,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xd5] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.l(this.#ram[location] = this.#ram[location] & (1 << 2))
+      this.#regops.l(this.#writeByte(location, this.#readByte(location) | (1 << 2)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xd5] = 23
     // set 2,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xd6] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#ram[location] = this.#ram[location] & (1 << 2)
+      this.#writeByte(location, this.#readByte(location) | (1 << 2))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xd6] = 23
     // ld a,set 2,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xd7] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.a(this.#ram[location] = this.#ram[location] & (1 << 2))
+      this.#regops.a(this.#writeByte(location, this.#readByte(location) | (1 << 2)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xd7] = 23
     // ld b,set 3,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xd8] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.b(this.#ram[location] = this.#ram[location] & (1 << 3))
+      this.#regops.b(this.#writeByte(location, this.#readByte(location) | (1 << 3)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xd8] = 23
     // ld c,set 3,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xd9] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.c(this.#ram[location] = this.#ram[location] & (1 << 3))
+      this.#regops.c(this.#writeByte(location, this.#readByte(location) | (1 << 3)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xd9] = 23
     // ld d,set 3,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xda] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.d(this.#ram[location] = this.#ram[location] & (1 << 3))
+      this.#regops.d(this.#writeByte(location, this.#readByte(location) | (1 << 3)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xda] = 23
     // ld e,set 3,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xdb] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.e(this.#ram[location] = this.#ram[location] & (1 << 3))
+      this.#regops.e(this.#writeByte(location, this.#readByte(location) | (1 << 3)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xdb] = 23
     // ld h,set 3,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xdc] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.h(this.#ram[location] = this.#ram[location] & (1 << 3))
+      this.#regops.h(this.#writeByte(location, this.#readByte(location) | (1 << 3)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xdc] = 23
     // ld l,set 3,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xdd] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.l(this.#ram[location] = this.#ram[location] & (1 << 3))
+      this.#regops.l(this.#writeByte(location, this.#readByte(location) | (1 << 3)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xdd] = 23
     // set 3,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xde] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#ram[location] = this.#ram[location] & (1 << 3)
+      this.#writeByte(location, this.#readByte(location) | (1 << 3))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xde] = 23
     // ld a,set 3,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xdf] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.a(this.#ram[location] = this.#ram[location] & (1 << 3))
+      this.#regops.a(this.#writeByte(location, this.#readByte(location) | (1 << 3)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xdf] = 23
     // ld b,set 4,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xe0] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.b(this.#ram[location] = this.#ram[location] & (1 << 4))
+      this.#regops.b(this.#writeByte(location, this.#readByte(location) | (1 << 4)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xe0] = 23
     // ld c,set 4,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xe1] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.c(this.#ram[location] = this.#ram[location] & (1 << 4))
+      this.#regops.c(this.#writeByte(location, this.#readByte(location) | (1 << 4)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xe1] = 23
     // ld d,set 4,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xe2] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.d(this.#ram[location] = this.#ram[location] & (1 << 4))
+      this.#regops.d(this.#writeByte(location, this.#readByte(location) | (1 << 4)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xe2] = 23
     // ld e,set 4,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xe3] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.e(this.#ram[location] = this.#ram[location] & (1 << 4))
+      this.#regops.e(this.#writeByte(location, this.#readByte(location) | (1 << 4)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xe3] = 23
     // ld h,set 4,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xe4] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.h(this.#ram[location] = this.#ram[location] & (1 << 4))
+      this.#regops.h(this.#writeByte(location, this.#readByte(location) | (1 << 4)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xe4] = 23
     // ld l,set 4,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xe5] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.l(this.#ram[location] = this.#ram[location] & (1 << 4))
+      this.#regops.l(this.#writeByte(location, this.#readByte(location) | (1 << 4)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xe5] = 23
     // set 4,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xe6] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#ram[location] = this.#ram[location] & (1 << 4)
+      this.#writeByte(location, this.#readByte(location) | (1 << 4))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xe6] = 23
     // ld a,set 4,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xe7] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.a(this.#ram[location] = this.#ram[location] & (1 << 4))
+      this.#regops.a(this.#writeByte(location, this.#readByte(location) | (1 << 4)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xe7] = 23
     // ld b,set 5,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xe8] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.b(this.#ram[location] = this.#ram[location] & (1 << 5))
+      this.#regops.b(this.#writeByte(location, this.#readByte(location) | (1 << 5)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xe8] = 23
     // ld c,set 5,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xe9] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.c(this.#ram[location] = this.#ram[location] & (1 << 5))
+      this.#regops.c(this.#writeByte(location, this.#readByte(location) | (1 << 5)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xe9] = 23
     // ld d,set 5,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xea] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.d(this.#ram[location] = this.#ram[location] & (1 << 5))
+      this.#regops.d(this.#writeByte(location, this.#readByte(location) | (1 << 5)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xea] = 23
     // ld e,set 5,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xeb] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.e(this.#ram[location] = this.#ram[location] & (1 << 5))
+      this.#regops.e(this.#writeByte(location, this.#readByte(location) | (1 << 5)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xeb] = 23
     // ld h,set 5,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xec] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.h(this.#ram[location] = this.#ram[location] & (1 << 5))
+      this.#regops.h(this.#writeByte(location, this.#readByte(location) | (1 << 5)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xec] = 23
     // ld l,set 5,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xed] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.l(this.#ram[location] = this.#ram[location] & (1 << 5))
+      this.#regops.l(this.#writeByte(location, this.#readByte(location) | (1 << 5)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xed] = 23
     // set 5,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xee] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#ram[location] = this.#ram[location] & (1 << 5)
+      this.#writeByte(location, this.#readByte(location) | (1 << 5))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xee] = 23
     // ld a,set 5,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xef] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.a(this.#ram[location] = this.#ram[location] & (1 << 5))
+      this.#regops.a(this.#writeByte(location, this.#readByte(location) | (1 << 5)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xef] = 23
     // ld b,set 6,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xf0] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.b(this.#ram[location] = this.#ram[location] & (1 << 6))
+      this.#regops.b(this.#writeByte(location, this.#readByte(location) | (1 << 6)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xf0] = 23
     // ld c,set 6,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xf1] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.c(this.#ram[location] = this.#ram[location] & (1 << 6))
+      this.#regops.c(this.#writeByte(location, this.#readByte(location) | (1 << 6)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xf1] = 23
     // ld d,set 6,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xf2] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.d(this.#ram[location] = this.#ram[location] & (1 << 6))
+      this.#regops.d(this.#writeByte(location, this.#readByte(location) | (1 << 6)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xf2] = 23
     // ld e,set 6,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xf3] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.e(this.#ram[location] = this.#ram[location] & (1 << 6))
+      this.#regops.e(this.#writeByte(location, this.#readByte(location) | (1 << 6)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xf3] = 23
     // ld h,set 6,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xf4] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.h(this.#ram[location] = this.#ram[location] & (1 << 6))
+      this.#regops.h(this.#writeByte(location, this.#readByte(location) | (1 << 6)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xf4] = 23
     // ld l,set 6,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xf5] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.l(this.#ram[location] = this.#ram[location] & (1 << 6))
+      this.#regops.l(this.#writeByte(location, this.#readByte(location) | (1 << 6)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xf5] = 23
     // set 6,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xf6] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#ram[location] = this.#ram[location] & (1 << 6)
+      this.#writeByte(location, this.#readByte(location) | (1 << 6))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xf6] = 23
     // ld a,set 6,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xf7] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.a(this.#ram[location] = this.#ram[location] & (1 << 6))
+      this.#regops.a(this.#writeByte(location, this.#readByte(location) | (1 << 6)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xf7] = 23
     // ld b,set 7,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xf8] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.b(this.#ram[location] = this.#ram[location] & (1 << 7))
+      this.#regops.b(this.#writeByte(location, this.#readByte(location) | (1 << 7)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xf8] = 23
     // ld c,set 7,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xf9] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.c(this.#ram[location] = this.#ram[location] & (1 << 7))
+      this.#regops.c(this.#writeByte(location, this.#readByte(location) | (1 << 7)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xf9] = 23
     // ld d,set 7,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xfa] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.d(this.#ram[location] = this.#ram[location] & (1 << 7))
+      this.#regops.d(this.#writeByte(location, this.#readByte(location) | (1 << 7)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xfa] = 23
     // ld e,set 7,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xfb] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.e(this.#ram[location] = this.#ram[location] & (1 << 7))
+      this.#regops.e(this.#writeByte(location, this.#readByte(location) | (1 << 7)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xfb] = 23
     // ld h,set 7,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xfc] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.h(this.#ram[location] = this.#ram[location] & (1 << 7))
+      this.#regops.h(this.#writeByte(location, this.#readByte(location) | (1 << 7)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xfc] = 23
     // ld l,set 7,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xfd] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.l(this.#ram[location] = this.#ram[location] & (1 << 7))
+      this.#regops.l(this.#writeByte(location, this.#readByte(location) | (1 << 7)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xfd] = 23
     // set 7,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xfe] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#ram[location] = this.#ram[location] & (1 << 7)
+      this.#writeByte(location, this.#readByte(location) | (1 << 7))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xfe] = 23
     // ld a,set 7,(ix+dd)
     this.#opcodes[0xdd][0xcb][0xff] = (dd) => {
       const location = this.#regops.ix() + this.#uint8ToInt8(dd)
-      this.#regops.a(this.#ram[location] = this.#ram[location] & (1 << 7))
+      this.#regops.a(this.#writeByte(location, this.#readByte(location) | (1 << 7)))
     }
+    this.#opcodeCycles[0xdd][0xcb][0xff] = 23
     // ld b,rlc (iy+dd)
     this.#opcodes[0xfd][0xcb][0x00] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.b(this.#ram[location] = ((this.#ram[location] << 1) | (this.#ram[location] >> 7)) & 0xff)
+      this.#regops.b(this.#writeByte(location, ((this.#readByte(location) << 1) | (this.#readByte(location) >> 7)) & 0xff))
       this.#regops.f(
-          ((this.#ram[location] & 0x01) ? this.#FREG_C : 0)
-        | this.#flagTable.sz53p[this.#ram[location]]
+          ((this.#readByte(location) & 0x01) ? this.#FREG_C : 0)
+        | this.#flagTable.sz53p[this.#readByte(location)]
       )
     }
+    this.#opcodeCycles[0xfd][0xcb][0x00] = 23
     // ld c,rlc (iy+dd)
     this.#opcodes[0xfd][0xcb][0x01] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.c(this.#ram[location] = ((this.#ram[location] << 1) | (this.#ram[location] >> 7)) & 0xff)
+      this.#regops.c(this.#writeByte(location, ((this.#readByte(location) << 1) | (this.#readByte(location) >> 7)) & 0xff))
       this.#regops.f(
-          ((this.#ram[location] & 0x01) ? this.#FREG_C : 0)
-        | this.#flagTable.sz53p[this.#ram[location]]
+          ((this.#readByte(location) & 0x01) ? this.#FREG_C : 0)
+        | this.#flagTable.sz53p[this.#readByte(location)]
       )
     }
+    this.#opcodeCycles[0xfd][0xcb][0x01] = 23
     // ld d,rlc (iy+dd)
     this.#opcodes[0xfd][0xcb][0x02] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.d(this.#ram[location] = ((this.#ram[location] << 1) | (this.#ram[location] >> 7)) & 0xff)
+      this.#regops.d(this.#writeByte(location, ((this.#readByte(location) << 1) | (this.#readByte(location) >> 7)) & 0xff))
       this.#regops.f(
-          ((this.#ram[location] & 0x01) ? this.#FREG_C : 0)
-        | this.#flagTable.sz53p[this.#ram[location]]
+          ((this.#readByte(location) & 0x01) ? this.#FREG_C : 0)
+        | this.#flagTable.sz53p[this.#readByte(location)]
       )
     }
+    this.#opcodeCycles[0xfd][0xcb][0x02] = 23
     // ld e,rlc (iy+dd)
     this.#opcodes[0xfd][0xcb][0x03] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.e(this.#ram[location] = ((this.#ram[location] << 1) | (this.#ram[location] >> 7)) & 0xff)
+      this.#regops.e(this.#writeByte(location, ((this.#readByte(location) << 1) | (this.#readByte(location) >> 7)) & 0xff))
       this.#regops.f(
-          ((this.#ram[location] & 0x01) ? this.#FREG_C : 0)
-        | this.#flagTable.sz53p[this.#ram[location]]
+          ((this.#readByte(location) & 0x01) ? this.#FREG_C : 0)
+        | this.#flagTable.sz53p[this.#readByte(location)]
       )
     }
+    this.#opcodeCycles[0xfd][0xcb][0x03] = 23
     // ld h,rlc (iy+dd)
     this.#opcodes[0xfd][0xcb][0x04] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.h(this.#ram[location] = ((this.#ram[location] << 1) | (this.#ram[location] >> 7)) & 0xff)
+      this.#regops.h(this.#writeByte(location, ((this.#readByte(location) << 1) | (this.#readByte(location) >> 7)) & 0xff))
       this.#regops.f(
-          ((this.#ram[location] & 0x01) ? this.#FREG_C : 0)
-        | this.#flagTable.sz53p[this.#ram[location]]
+          ((this.#readByte(location) & 0x01) ? this.#FREG_C : 0)
+        | this.#flagTable.sz53p[this.#readByte(location)]
       )
     }
+    this.#opcodeCycles[0xfd][0xcb][0x04] = 23
     // ld l,rlc (iy+dd)
     this.#opcodes[0xfd][0xcb][0x05] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.l(this.#ram[location] = ((this.#ram[location] << 1) | (this.#ram[location] >> 7)) & 0xff)
+      this.#regops.l(this.#writeByte(location, ((this.#readByte(location) << 1) | (this.#readByte(location) >> 7)) & 0xff))
       this.#regops.f(
-          ((this.#ram[location] & 0x01) ? this.#FREG_C : 0)
-        | this.#flagTable.sz53p[this.#ram[location]]
+          ((this.#readByte(location) & 0x01) ? this.#FREG_C : 0)
+        | this.#flagTable.sz53p[this.#readByte(location)]
       )
     }
+    this.#opcodeCycles[0xfd][0xcb][0x05] = 23
     // rlc (iy+dd)
     this.#opcodes[0xfd][0xcb][0x06] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#ram[location] = ((this.#ram[location] << 1) | (this.#ram[location] >> 7)) & 0xff
+      this.#writeByte(location, ((this.#readByte(location) << 1) | (this.#readByte(location) >> 7)) & 0xff)
       this.#regops.f(
-          ((this.#ram[location] & 0x01) ? this.#FREG_C : 0)
-        | this.#flagTable.sz53p[this.#ram[location]]
+          ((this.#readByte(location) & 0x01) ? this.#FREG_C : 0)
+        | this.#flagTable.sz53p[this.#readByte(location)]
       )
     }
+    this.#opcodeCycles[0xfd][0xcb][0x06] = 23
     // ld a,rlc (iy+dd)
     this.#opcodes[0xfd][0xcb][0x07] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.a(this.#ram[location] = ((this.#ram[location] << 1) | (this.#ram[location] >> 7)) & 0xff)
+      this.#regops.a(this.#writeByte(location, ((this.#readByte(location) << 1) | (this.#readByte(location) >> 7)) & 0xff))
       this.#regops.f(
-          ((this.#ram[location] & 0x01) ? this.#FREG_C : 0)
-        | this.#flagTable.sz53p[this.#ram[location]]
+          ((this.#readByte(location) & 0x01) ? this.#FREG_C : 0)
+        | this.#flagTable.sz53p[this.#readByte(location)]
       )
     }
+    this.#opcodeCycles[0xfd][0xcb][0x07] = 23
     // ld b,rrc (iy+dd)
     this.#opcodes[0xfd][0xcb][0x08] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.b(this.#ram[location] = ((this.#ram[location] << 7) | (this.#ram[location] >> 1)) & 0xff)
+      this.#regops.b(this.#writeByte(location, ((this.#readByte(location) << 7) | (this.#readByte(location) >> 1)) & 0xff))
       this.#regops.f(
-          ((this.#ram[location] & 0x80) ? this.#FREG_C : 0)
-        | this.#flagTable.sz53p[this.#ram[location]]
+          ((this.#readByte(location) & 0x80) ? this.#FREG_C : 0)
+        | this.#flagTable.sz53p[this.#readByte(location)]
       )
     }
+    this.#opcodeCycles[0xfd][0xcb][0x08] = 23
     // ld c,rrc (iy+dd)
     this.#opcodes[0xfd][0xcb][0x09] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.c(this.#ram[location] = ((this.#ram[location] << 7) | (this.#ram[location] >> 1)) & 0xff)
+      this.#regops.c(this.#writeByte(location, ((this.#readByte(location) << 7) | (this.#readByte(location) >> 1)) & 0xff))
       this.#regops.f(
-          ((this.#ram[location] & 0x80) ? this.#FREG_C : 0)
-        | this.#flagTable.sz53p[this.#ram[location]]
+          ((this.#readByte(location) & 0x80) ? this.#FREG_C : 0)
+        | this.#flagTable.sz53p[this.#readByte(location)]
       )
     }
+    this.#opcodeCycles[0xfd][0xcb][0x09] = 23
     // ld d,rrc (iy+dd)
     this.#opcodes[0xfd][0xcb][0x0a] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.d(this.#ram[location] = ((this.#ram[location] << 7) | (this.#ram[location] >> 1)) & 0xff)
+      this.#regops.d(this.#writeByte(location, ((this.#readByte(location) << 7) | (this.#readByte(location) >> 1)) & 0xff))
       this.#regops.f(
-          ((this.#ram[location] & 0x80) ? this.#FREG_C : 0)
-        | this.#flagTable.sz53p[this.#ram[location]]
+          ((this.#readByte(location) & 0x80) ? this.#FREG_C : 0)
+        | this.#flagTable.sz53p[this.#readByte(location)]
       )
     }
+    this.#opcodeCycles[0xfd][0xcb][0x0a] = 23
     // ld e,rrc (iy+dd)
     this.#opcodes[0xfd][0xcb][0x0b] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.e(this.#ram[location] = ((this.#ram[location] << 7) | (this.#ram[location] >> 1)) & 0xff)
+      this.#regops.e(this.#writeByte(location, ((this.#readByte(location) << 7) | (this.#readByte(location) >> 1)) & 0xff))
       this.#regops.f(
-          ((this.#ram[location] & 0x80) ? this.#FREG_C : 0)
-        | this.#flagTable.sz53p[this.#ram[location]]
+          ((this.#readByte(location) & 0x80) ? this.#FREG_C : 0)
+        | this.#flagTable.sz53p[this.#readByte(location)]
       )
     }
+    this.#opcodeCycles[0xfd][0xcb][0x0b] = 23
     // ld h,rrc (iy+dd)
     this.#opcodes[0xfd][0xcb][0x0c] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.h(this.#ram[location] = ((this.#ram[location] << 7) | (this.#ram[location] >> 1)) & 0xff)
+      this.#regops.h(this.#writeByte(location, ((this.#readByte(location) << 7) | (this.#readByte(location) >> 1)) & 0xff))
       this.#regops.f(
-          ((this.#ram[location] & 0x80) ? this.#FREG_C : 0)
-        | this.#flagTable.sz53p[this.#ram[location]]
+          ((this.#readByte(location) & 0x80) ? this.#FREG_C : 0)
+        | this.#flagTable.sz53p[this.#readByte(location)]
       )
     }
+    this.#opcodeCycles[0xfd][0xcb][0x0c] = 23
     // ld l,rrc (iy+dd)
     this.#opcodes[0xfd][0xcb][0x0d] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.l(this.#ram[location] = ((this.#ram[location] << 7) | (this.#ram[location] >> 1)) & 0xff)
+      this.#regops.l(this.#writeByte(location, ((this.#readByte(location) << 7) | (this.#readByte(location) >> 1)) & 0xff))
       this.#regops.f(
-          ((this.#ram[location] & 0x80) ? this.#FREG_C : 0)
-        | this.#flagTable.sz53p[this.#ram[location]]
+          ((this.#readByte(location) & 0x80) ? this.#FREG_C : 0)
+        | this.#flagTable.sz53p[this.#readByte(location)]
       )
     }
+    this.#opcodeCycles[0xfd][0xcb][0x0d] = 23
     // rrc (iy+dd)
     this.#opcodes[0xfd][0xcb][0x0e] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#ram[location] = ((this.#ram[location] << 7) | (this.#ram[location] >> 1)) & 0xff
+      this.#writeByte(location, ((this.#readByte(location) << 7) | (this.#readByte(location) >> 1)) & 0xff)
       this.#regops.f(
-          ((this.#ram[location] & 0x80) ? this.#FREG_C : 0)
-        | this.#flagTable.sz53p[this.#ram[location]]
+          ((this.#readByte(location) & 0x80) ? this.#FREG_C : 0)
+        | this.#flagTable.sz53p[this.#readByte(location)]
       )
     }
+    this.#opcodeCycles[0xfd][0xcb][0x0e] = 23
     // ld a,rrc (iy+dd)
     this.#opcodes[0xfd][0xcb][0x0f] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.a(this.#ram[location] = ((this.#ram[location] << 7) | (this.#ram[location] >> 1)) & 0xff)
+      this.#regops.a(this.#writeByte(location, ((this.#readByte(location) << 7) | (this.#readByte(location) >> 1)) & 0xff))
       this.#regops.f(
-          ((this.#ram[location] & 0x80) ? this.#FREG_C : 0)
-        | this.#flagTable.sz53p[this.#ram[location]]
+          ((this.#readByte(location) & 0x80) ? this.#FREG_C : 0)
+        | this.#flagTable.sz53p[this.#readByte(location)]
       )
     }
+    this.#opcodeCycles[0xfd][0xcb][0x0f] = 23
     // ld b,rl (iy+dd)
     this.#opcodes[0xfd][0xcb][0x10] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x80) ? this.#FREG_C : 0
-      this.#regops.b(this.#ram[location] = ((this.#ram[location] << 1) | (carry ? 0x01: 0x00)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#regops.b(this.#writeByte(location, ((this.#readByte(location) << 1) | (this.#regops.f() & this.#FREG_C)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x10] = 23
     // ld c,rl (iy+dd)
     this.#opcodes[0xfd][0xcb][0x11] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x80) ? this.#FREG_C : 0
-      this.#regops.c(this.#ram[location] = ((this.#ram[location] << 1) | (carry ? 0x01: 0x00)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#regops.c(this.#writeByte(location, ((this.#readByte(location) << 1) | (this.#regops.f() & this.#FREG_C)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x11] = 23
     // ld d,rl (iy+dd)
     this.#opcodes[0xfd][0xcb][0x12] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x80) ? this.#FREG_C : 0
-      this.#regops.d(this.#ram[location] = ((this.#ram[location] << 1) | (carry ? 0x01: 0x00)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#regops.d(this.#writeByte(location, ((this.#readByte(location) << 1) | (this.#regops.f() & this.#FREG_C)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x12] = 23
     // ld e,rl (iy+dd)
     this.#opcodes[0xfd][0xcb][0x13] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x80) ? this.#FREG_C : 0
-      this.#regops.e(this.#ram[location] = ((this.#ram[location] << 1) | (carry ? 0x01: 0x00)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#regops.e(this.#writeByte(location, ((this.#readByte(location) << 1) | (this.#regops.f() & this.#FREG_C)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x13] = 23
     // ld h,rl (iy+dd)
     this.#opcodes[0xfd][0xcb][0x14] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x80) ? this.#FREG_C : 0
-      this.#regops.h(this.#ram[location] = ((this.#ram[location] << 1) | (carry ? 0x01: 0x00)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#regops.h(this.#writeByte(location, ((this.#readByte(location) << 1) | (this.#regops.f() & this.#FREG_C)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x14] = 23
     // ld l,rl (iy+dd)
     this.#opcodes[0xfd][0xcb][0x15] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x80) ? this.#FREG_C : 0
-      this.#regops.l(this.#ram[location] = ((this.#ram[location] << 1) | (carry ? 0x01: 0x00)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#regops.l(this.#writeByte(location, ((this.#readByte(location) << 1) | (this.#regops.f() & this.#FREG_C)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x15] = 23
     // rl (iy+dd)
     this.#opcodes[0xfd][0xcb][0x16] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x80) ? this.#FREG_C : 0
-      this.#ram[location] = ((this.#ram[location] << 1) | (carry ? 0x01: 0x00)) & 0xff
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#writeByte(location, ((this.#readByte(location) << 1) | (this.#regops.f() & this.#FREG_C)) & 0xff)
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x16] = 23
     // ld a,rl (iy+dd)
     this.#opcodes[0xfd][0xcb][0x17] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x80) ? this.#FREG_C : 0
-      this.#regops.a(this.#ram[location] = ((this.#ram[location] << 1) | (carry ? 0x01: 0x00)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#regops.a(this.#writeByte(location, ((this.#readByte(location) << 1) | (this.#regops.f() & this.#FREG_C)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x17] = 23
     // ld b,rr (iy+dd)
     this.#opcodes[0xfd][0xcb][0x18] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#regops.b(this.#ram[location] = ((this.#ram[location] >> 1) | (carry ? 0x80 : 0x00)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#regops.b(this.#writeByte(location, ((this.#readByte(location) >> 1) | ((this.#regops.f() & this.#FREG_C) ? 0x80 : 0x00)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x18] = 23
     // ld c,rr (iy+dd)
     this.#opcodes[0xfd][0xcb][0x19] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#regops.c(this.#ram[location] = ((this.#ram[location] >> 1) | (carry ? 0x80 : 0x00)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#regops.c(this.#writeByte(location, ((this.#readByte(location) >> 1) | ((this.#regops.f() & this.#FREG_C) ? 0x80 : 0x00)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x19] = 23
     // ld d,rr (iy+dd)
     this.#opcodes[0xfd][0xcb][0x1a] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#regops.d(this.#ram[location] = ((this.#ram[location] >> 1) | (carry ? 0x80 : 0x00)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#regops.d(this.#writeByte(location, ((this.#readByte(location) >> 1) | ((this.#regops.f() & this.#FREG_C) ? 0x80 : 0x00)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x1a] = 23
     // ld e,rr (iy+dd)
     this.#opcodes[0xfd][0xcb][0x1b] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#regops.e(this.#ram[location] = ((this.#ram[location] >> 1) | (carry ? 0x80 : 0x00)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#regops.e(this.#writeByte(location, ((this.#readByte(location) >> 1) | ((this.#regops.f() & this.#FREG_C) ? 0x80 : 0x00)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x1b] = 23
     // ld h,rr (iy+dd)
     this.#opcodes[0xfd][0xcb][0x1c] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#regops.h(this.#ram[location] = ((this.#ram[location] >> 1) | (carry ? 0x80 : 0x00)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#regops.h(this.#writeByte(location, ((this.#readByte(location) >> 1) | ((this.#regops.f() & this.#FREG_C) ? 0x80 : 0x00)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x1c] = 23
     // ld l,rr (iy+dd)
     this.#opcodes[0xfd][0xcb][0x1d] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#regops.l(this.#ram[location] = ((this.#ram[location] >> 1) | (carry ? 0x80 : 0x00)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#regops.l(this.#writeByte(location, ((this.#readByte(location) >> 1) | ((this.#regops.f() & this.#FREG_C) ? 0x80 : 0x00)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x1d] = 23
     // rr (iy+dd)
     this.#opcodes[0xfd][0xcb][0x1e] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#ram[location] = ((this.#ram[location] >> 1) | (carry ? 0x80 : 0x00)) & 0xff
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#writeByte(location, ((this.#readByte(location) >> 1) | ((this.#regops.f() & this.#FREG_C) ? 0x80 : 0x00)) & 0xff)
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x1e] = 23
     // ld a,rr (iy+dd)
     this.#opcodes[0xfd][0xcb][0x1f] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#regops.a(this.#ram[location] = ((this.#ram[location] >> 1) | (carry ? 0x80 : 0x00)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#regops.a(this.#writeByte(location, ((this.#readByte(location) >> 1) | ((this.#regops.f() & this.#FREG_C) ? 0x80 : 0x00)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x1f] = 23
     // ld b,sla (iy+dd)
     this.#opcodes[0xfd][0xcb][0x20] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[this.#regops.iy()] & 0x80) ? this.#FREG_C : 0
-      this.#regops.b(this.#ram[location] = ((this.#ram[location] << 1)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#regops.b(this.#writeByte(location, ((this.#readByte(location) << 1)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x20] = 23
     // ld c,sla (iy+dd)
     this.#opcodes[0xfd][0xcb][0x21] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[this.#regops.iy()] & 0x80) ? this.#FREG_C : 0
-      this.#regops.c(this.#ram[location] = ((this.#ram[location] << 1)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#regops.c(this.#writeByte(location, ((this.#readByte(location) << 1)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x21] = 23
     // ld d,sla (iy+dd)
     this.#opcodes[0xfd][0xcb][0x22] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[this.#regops.iy()] & 0x80) ? this.#FREG_C : 0
-      this.#regops.d(this.#ram[location] = ((this.#ram[location] << 1)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#regops.d(this.#writeByte(location, ((this.#readByte(location) << 1)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x22] = 23
     // ld e,sla (iy+dd)
     this.#opcodes[0xfd][0xcb][0x23] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[this.#regops.iy()] & 0x80) ? this.#FREG_C : 0
-      this.#regops.e(this.#ram[location] = ((this.#ram[location] << 1)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#regops.e(this.#writeByte(location, ((this.#readByte(location) << 1)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x23] = 23
     // ld h,sla (iy+dd)
     this.#opcodes[0xfd][0xcb][0x24] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[this.#regops.iy()] & 0x80) ? this.#FREG_C : 0
-      this.#regops.h(this.#ram[location] = ((this.#ram[location] << 1)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#regops.h(this.#writeByte(location, ((this.#readByte(location) << 1)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x24] = 23
     // ld l,sla (iy+dd)
     this.#opcodes[0xfd][0xcb][0x25] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[this.#regops.iy()] & 0x80) ? this.#FREG_C : 0
-      this.#regops.l(this.#ram[location] = ((this.#ram[location] << 1)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#regops.l(this.#writeByte(location, ((this.#readByte(location) << 1)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x25] = 23
     // sla (iy+dd)
     this.#opcodes[0xfd][0xcb][0x26] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[this.#regops.iy()] & 0x80) ? this.#FREG_C : 0
-      this.#ram[location] = ((this.#ram[location] << 1)) & 0xff
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#writeByte(location, ((this.#readByte(location) << 1)) & 0xff)
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x26] = 23
     // ld a,sla (iy+dd)
     this.#opcodes[0xfd][0xcb][0x27] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[this.#regops.iy()] & 0x80) ? this.#FREG_C : 0
-      this.#regops.a(this.#ram[location] = ((this.#ram[location] << 1)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#regops.a(this.#writeByte(location, ((this.#readByte(location) << 1)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x27] = 23
     // ld b,sra (iy+dd)
     this.#opcodes[0xfd][0xcb][0x28] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#regops.b(this.#ram[location] = ((this.#ram[location] >> 1)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#regops.b(this.#writeByte(location, ((this.#readByte(location) >> 1) | (this.#readByte(location) & 0x80)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x28] = 23
     // ld c,sra (iy+dd)
     this.#opcodes[0xfd][0xcb][0x29] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#regops.c(this.#ram[location] = ((this.#ram[location] >> 1)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#regops.c(this.#writeByte(location, ((this.#readByte(location) >> 1) | (this.#readByte(location) & 0x80)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x29] = 23
     // ld d,sra (iy+dd)
     this.#opcodes[0xfd][0xcb][0x2a] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#regops.d(this.#ram[location] = ((this.#ram[location] >> 1)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#regops.d(this.#writeByte(location, ((this.#readByte(location) >> 1) | (this.#readByte(location) & 0x80)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x2a] = 23
     // ld e,sra (iy+dd)
     this.#opcodes[0xfd][0xcb][0x2b] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#regops.e(this.#ram[location] = ((this.#ram[location] >> 1)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#regops.e(this.#writeByte(location, ((this.#readByte(location) >> 1) | (this.#readByte(location) & 0x80)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x2b] = 23
     // ld h,sra (iy+dd)
     this.#opcodes[0xfd][0xcb][0x2c] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#regops.h(this.#ram[location] = ((this.#ram[location] >> 1)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#regops.h(this.#writeByte(location, ((this.#readByte(location) >> 1) | (this.#readByte(location) & 0x80)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x2c] = 23
     // ld l,sra (iy+dd)
     this.#opcodes[0xfd][0xcb][0x2d] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#regops.l(this.#ram[location] = ((this.#ram[location] >> 1)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#regops.l(this.#writeByte(location, ((this.#readByte(location) >> 1) | (this.#readByte(location) & 0x80)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x2d] = 23
     // sra (iy+dd)
     this.#opcodes[0xfd][0xcb][0x2e] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#ram[location] = ((this.#ram[location] >> 1)) & 0xff
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#writeByte(location, ((this.#readByte(location) >> 1) | (this.#readByte(location) & 0x80)) & 0xff)
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x2e] = 23
     // ld a,sra (iy+dd)
     this.#opcodes[0xfd][0xcb][0x2f] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#regops.a(this.#ram[location] = ((this.#ram[location] >> 1)) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#regops.a(this.#writeByte(location, ((this.#readByte(location) >> 1) | (this.#readByte(location) & 0x80)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x2f] = 23
     // ld b,sll (iy+dd)
     this.#opcodes[0xfd][0xcb][0x30] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[this.#regops.iy()] & 0x80) ? this.#FREG_C : 0
-      this.#regops.b(this.#ram[location] = ((this.#ram[location] << 1) | 0x01) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#regops.b(this.#writeByte(location, ((this.#readByte(location) << 1) | 0x01) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x30] = 23
     // ld c,sll (iy+dd)
     this.#opcodes[0xfd][0xcb][0x31] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[this.#regops.iy()] & 0x80) ? this.#FREG_C : 0
-      this.#regops.c(this.#ram[location] = ((this.#ram[location] << 1) | 0x01) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#regops.c(this.#writeByte(location, ((this.#readByte(location) << 1) | 0x01) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x31] = 23
     // ld d,sll (iy+dd)
     this.#opcodes[0xfd][0xcb][0x32] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[this.#regops.iy()] & 0x80) ? this.#FREG_C : 0
-      this.#regops.d(this.#ram[location] = ((this.#ram[location] << 1) | 0x01) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#regops.d(this.#writeByte(location, ((this.#readByte(location) << 1) | 0x01) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x32] = 23
     // ld e,sll (iy+dd)
     this.#opcodes[0xfd][0xcb][0x33] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[this.#regops.iy()] & 0x80) ? this.#FREG_C : 0
-      this.#regops.e(this.#ram[location] = ((this.#ram[location] << 1) | 0x01) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#regops.e(this.#writeByte(location, ((this.#readByte(location) << 1) | 0x01) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x33] = 23
     // ld h,sll (iy+dd)
     this.#opcodes[0xfd][0xcb][0x34] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[this.#regops.iy()] & 0x80) ? this.#FREG_C : 0
-      this.#regops.h(this.#ram[location] = ((this.#ram[location] << 1) | 0x01) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#regops.h(this.#writeByte(location, ((this.#readByte(location) << 1) | 0x01) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x34] = 23
     // ld l,sll (iy+dd)
     this.#opcodes[0xfd][0xcb][0x35] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[this.#regops.iy()] & 0x80) ? this.#FREG_C : 0
-      this.#regops.l(this.#ram[location] = ((this.#ram[location] << 1) | 0x01) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#regops.l(this.#writeByte(location, ((this.#readByte(location) << 1) | 0x01) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x35] = 23
     // sll (iy+dd)
     this.#opcodes[0xfd][0xcb][0x36] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[this.#regops.iy()] & 0x80) ? this.#FREG_C : 0
-      this.#ram[location] = ((this.#ram[location] << 1) | 0x01) & 0xff
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#writeByte(location, ((this.#readByte(location) << 1) | 0x01) & 0xff)
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x36] = 23
     // ld a,sll (iy+dd)
     this.#opcodes[0xfd][0xcb][0x37] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[this.#regops.iy()] & 0x80) ? this.#FREG_C : 0
-      this.#regops.a(this.#ram[location] = ((this.#ram[location] << 1) | 0x01) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0
+      this.#regops.a(this.#writeByte(location, ((this.#readByte(location) << 1) | 0x01) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x37] = 23
     // ld b,srl (iy+dd)
     this.#opcodes[0xfd][0xcb][0x38] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#regops.b(this.#ram[location] = ((this.#ram[location] >> 1) | 0x80) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#regops.b(this.#writeByte(location, ((this.#readByte(location) >> 1)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x38] = 23
     // ld c,srl (iy+dd)
     this.#opcodes[0xfd][0xcb][0x39] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#regops.c(this.#ram[location] = ((this.#ram[location] >> 1) | 0x80) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#regops.c(this.#writeByte(location, ((this.#readByte(location) >> 1)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x39] = 23
     // ld d,srl (iy+dd)
     this.#opcodes[0xfd][0xcb][0x3a] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#regops.d(this.#ram[location] = ((this.#ram[location] >> 1) | 0x80) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#regops.d(this.#writeByte(location, ((this.#readByte(location) >> 1)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x3a] = 23
     // ld e,srl (iy+dd)
     this.#opcodes[0xfd][0xcb][0x3b] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#regops.e(this.#ram[location] = ((this.#ram[location] >> 1) | 0x80) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#regops.e(this.#writeByte(location, ((this.#readByte(location) >> 1)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x3b] = 23
     // ld h,srl (iy+dd)
     this.#opcodes[0xfd][0xcb][0x3c] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#regops.h(this.#ram[location] = ((this.#ram[location] >> 1) | 0x80) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#regops.h(this.#writeByte(location, ((this.#readByte(location) >> 1)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x3c] = 23
     // ld l,srl (iy+dd)
     this.#opcodes[0xfd][0xcb][0x3d] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#regops.l(this.#ram[location] = ((this.#ram[location] >> 1) | 0x80) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#regops.l(this.#writeByte(location, ((this.#readByte(location) >> 1)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x3d] = 23
     // srl (iy+dd)
     this.#opcodes[0xfd][0xcb][0x3e] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#ram[location] = ((this.#ram[location] >> 1) | 0x80) & 0xff
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#writeByte(location, ((this.#readByte(location) >> 1)) & 0xff)
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x3e] = 23
     // ld a,srl (iy+dd)
     this.#opcodes[0xfd][0xcb][0x3f] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0
-      this.#regops.a(this.#ram[location] = ((this.#ram[location] >> 1) | 0x80) & 0xff)
-      this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])
+      const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0
+      this.#regops.a(this.#writeByte(location, ((this.#readByte(location) >> 1)) & 0xff))
+      this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])
     }
+    this.#opcodeCycles[0xfd][0xcb][0x3f] = 23
     // bit 0,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0x47] = (dd) => {
+    this.#opcodes[0xfd][0xcb][0x40] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
       this.#regops.f(
           (this.#regops.f() & this.#FREG_C)
         | this.#FREG_H
-        | (this.#ram[location] & (this.#FREG_F3 | this.#FREG_F5))
-        | (((this.#ram[location] & (1 << 0)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 0)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
-    // bit 1,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0x4f] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x40] = 20
+    // bit 0,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x41] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
       this.#regops.f(
           (this.#regops.f() & this.#FREG_C)
         | this.#FREG_H
-        | (this.#ram[location] & (this.#FREG_F3 | this.#FREG_F5))
-        | (((this.#ram[location] & (1 << 1)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 0)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
-    // bit 2,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0x57] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x41] = 20
+    // bit 0,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x42] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
       this.#regops.f(
           (this.#regops.f() & this.#FREG_C)
         | this.#FREG_H
-        | (this.#ram[location] & (this.#FREG_F3 | this.#FREG_F5))
-        | (((this.#ram[location] & (1 << 2)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 0)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
-    // bit 3,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0x5f] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x42] = 20
+    // bit 0,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x43] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
       this.#regops.f(
           (this.#regops.f() & this.#FREG_C)
         | this.#FREG_H
-        | (this.#ram[location] & (this.#FREG_F3 | this.#FREG_F5))
-        | (((this.#ram[location] & (1 << 3)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 0)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
-    // bit 4,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0x67] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x43] = 20
+    // bit 0,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x44] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
       this.#regops.f(
           (this.#regops.f() & this.#FREG_C)
         | this.#FREG_H
-        | (this.#ram[location] & (this.#FREG_F3 | this.#FREG_F5))
-        | (((this.#ram[location] & (1 << 4)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 0)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
-    // bit 5,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0x6f] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x44] = 20
+    // bit 0,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x45] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
       this.#regops.f(
           (this.#regops.f() & this.#FREG_C)
         | this.#FREG_H
-        | (this.#ram[location] & (this.#FREG_F3 | this.#FREG_F5))
-        | (((this.#ram[location] & (1 << 5)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 0)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
-    // bit 6,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0x77] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x45] = 20
+    // bit 0,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x46] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
       this.#regops.f(
           (this.#regops.f() & this.#FREG_C)
         | this.#FREG_H
-        | (this.#ram[location] & (this.#FREG_F3 | this.#FREG_F5))
-        | (((this.#ram[location] & (1 << 6)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 0)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
-    // bit 7,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0x7f] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x46] = 20
+    // bit 0,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x47] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
       this.#regops.f(
           (this.#regops.f() & this.#FREG_C)
         | this.#FREG_H
-        | (this.#ram[location] & (this.#FREG_F3 | this.#FREG_F5))
-        | (((this.#ram[location] & (1 << 7)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 0)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
       )
     }
-    // ld b,res 0,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0x80] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x47] = 20
+    // bit 1,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x48] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.b(this.#ram[location] = this.#ram[location] & ~(1 << 0))
-    }
-    // ld c,res 0,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0x81] = (dd) => {
-      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.c(this.#ram[location] = this.#ram[location] & ~(1 << 0))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 1)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld d,res 0,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0x82] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x48] = 20
+    // bit 1,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x49] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.d(this.#ram[location] = this.#ram[location] & ~(1 << 0))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 1)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld e,res 0,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0x83] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x49] = 20
+    // bit 1,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x4a] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.e(this.#ram[location] = this.#ram[location] & ~(1 << 0))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 1)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld h,res 0,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0x84] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x4a] = 20
+    // bit 1,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x4b] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.h(this.#ram[location] = this.#ram[location] & ~(1 << 0))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 1)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld l,res 0,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0x85] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x4b] = 20
+    // bit 1,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x4c] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.l(this.#ram[location] = this.#ram[location] & ~(1 << 0))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 1)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // res 0,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0x86] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x4c] = 20
+    // bit 1,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x4d] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#ram[location] = this.#ram[location] & ~(1 << 0)
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 1)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld a,res 0,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0x87] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x4d] = 20
+    // bit 1,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x4e] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.a(this.#ram[location] = this.#ram[location] & ~(1 << 0))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 1)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld b,res 1,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0x88] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x4e] = 20
+    // bit 1,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x4f] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.b(this.#ram[location] = this.#ram[location] & ~(1 << 1))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 1)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld c,res 1,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0x89] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x4f] = 20
+    // bit 2,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x50] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.c(this.#ram[location] = this.#ram[location] & ~(1 << 1))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 2)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld d,res 1,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0x8a] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x50] = 20
+    // bit 2,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x51] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.d(this.#ram[location] = this.#ram[location] & ~(1 << 1))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 2)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld e,res 1,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0x8b] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x51] = 20
+    // bit 2,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x52] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.e(this.#ram[location] = this.#ram[location] & ~(1 << 1))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 2)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld h,res 1,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0x8c] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x52] = 20
+    // bit 2,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x53] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.h(this.#ram[location] = this.#ram[location] & ~(1 << 1))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 2)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld l,res 1,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0x8d] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x53] = 20
+    // bit 2,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x54] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.l(this.#ram[location] = this.#ram[location] & ~(1 << 1))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 2)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // res 1,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0x8e] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x54] = 20
+    // bit 2,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x55] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#ram[location] = this.#ram[location] & ~(1 << 1)
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 2)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld a,res 1,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0x8f] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x55] = 20
+    // bit 2,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x56] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.a(this.#ram[location] = this.#ram[location] & ~(1 << 1))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 2)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld b,res 2,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0x90] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x56] = 20
+    // bit 2,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x57] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.b(this.#ram[location] = this.#ram[location] & ~(1 << 2))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 2)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld c,res 2,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0x91] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x57] = 20
+    // bit 3,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x58] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.c(this.#ram[location] = this.#ram[location] & ~(1 << 2))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 3)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld d,res 2,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0x92] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x58] = 20
+    // bit 3,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x59] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.d(this.#ram[location] = this.#ram[location] & ~(1 << 2))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 3)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld e,res 2,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0x93] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x59] = 20
+    // bit 3,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x5a] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.e(this.#ram[location] = this.#ram[location] & ~(1 << 2))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 3)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld h,res 2,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0x94] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x5a] = 20
+    // bit 3,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x5b] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.h(this.#ram[location] = this.#ram[location] & ~(1 << 2))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 3)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld l,res 2,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0x95] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x5b] = 20
+    // bit 3,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x5c] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.l(this.#ram[location] = this.#ram[location] & ~(1 << 2))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 3)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // res 2,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0x96] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x5c] = 20
+    // bit 3,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x5d] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#ram[location] = this.#ram[location] & ~(1 << 2)
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 3)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld a,res 2,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0x97] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x5d] = 20
+    // bit 3,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x5e] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.a(this.#ram[location] = this.#ram[location] & ~(1 << 2))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 3)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld b,res 3,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0x98] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x5e] = 20
+    // bit 3,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x5f] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.b(this.#ram[location] = this.#ram[location] & ~(1 << 3))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 3)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld c,res 3,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0x99] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x5f] = 20
+    // bit 4,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x60] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.c(this.#ram[location] = this.#ram[location] & ~(1 << 3))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 4)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld d,res 3,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0x9a] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x60] = 20
+    // bit 4,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x61] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.d(this.#ram[location] = this.#ram[location] & ~(1 << 3))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 4)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld e,res 3,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0x9b] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x61] = 20
+    // bit 4,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x62] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.e(this.#ram[location] = this.#ram[location] & ~(1 << 3))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 4)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld h,res 3,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0x9c] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x62] = 20
+    // bit 4,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x63] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.h(this.#ram[location] = this.#ram[location] & ~(1 << 3))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 4)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld l,res 3,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0x9d] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x63] = 20
+    // bit 4,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x64] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.l(this.#ram[location] = this.#ram[location] & ~(1 << 3))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 4)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // res 3,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0x9e] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x64] = 20
+    // bit 4,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x65] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#ram[location] = this.#ram[location] & ~(1 << 3)
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 4)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld a,res 3,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0x9f] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x65] = 20
+    // bit 4,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x66] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.a(this.#ram[location] = this.#ram[location] & ~(1 << 3))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 4)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld b,res 4,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xa0] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x66] = 20
+    // bit 4,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x67] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.b(this.#ram[location] = this.#ram[location] & ~(1 << 4))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 4)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld c,res 4,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xa1] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x67] = 20
+    // bit 5,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x68] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.c(this.#ram[location] = this.#ram[location] & ~(1 << 4))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 5)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld d,res 4,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xa2] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x68] = 20
+    // bit 5,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x69] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.d(this.#ram[location] = this.#ram[location] & ~(1 << 4))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 5)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld e,res 4,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xa3] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x69] = 20
+    // bit 5,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x6a] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.e(this.#ram[location] = this.#ram[location] & ~(1 << 4))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 5)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld h,res 4,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xa4] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x6a] = 20
+    // bit 5,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x6b] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.h(this.#ram[location] = this.#ram[location] & ~(1 << 4))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 5)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld l,res 4,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xa5] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x6b] = 20
+    // bit 5,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x6c] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.l(this.#ram[location] = this.#ram[location] & ~(1 << 4))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 5)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // res 4,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xa6] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x6c] = 20
+    // bit 5,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x6d] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#ram[location] = this.#ram[location] & ~(1 << 4)
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 5)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld a,res 4,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xa7] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x6d] = 20
+    // bit 5,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x6e] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.a(this.#ram[location] = this.#ram[location] & ~(1 << 4))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 5)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld b,res 5,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xa8] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x6e] = 20
+    // bit 5,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x6f] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.b(this.#ram[location] = this.#ram[location] & ~(1 << 5))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 5)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld c,res 5,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xa9] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x6f] = 20
+    // bit 6,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x70] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.c(this.#ram[location] = this.#ram[location] & ~(1 << 5))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 6)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld d,res 5,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xaa] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x70] = 20
+    // bit 6,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x71] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.d(this.#ram[location] = this.#ram[location] & ~(1 << 5))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 6)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld e,res 5,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xab] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x71] = 20
+    // bit 6,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x72] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.e(this.#ram[location] = this.#ram[location] & ~(1 << 5))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 6)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld h,res 5,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xac] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x72] = 20
+    // bit 6,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x73] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.h(this.#ram[location] = this.#ram[location] & ~(1 << 5))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 6)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld l,res 5,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xad] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x73] = 20
+    // bit 6,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x74] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.l(this.#ram[location] = this.#ram[location] & ~(1 << 5))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 6)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // res 5,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xae] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x74] = 20
+    // bit 6,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x75] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#ram[location] = this.#ram[location] & ~(1 << 5)
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 6)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld a,res 5,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xaf] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x75] = 20
+    // bit 6,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x76] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.a(this.#ram[location] = this.#ram[location] & ~(1 << 5))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 6)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld b,res 6,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xb0] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x76] = 20
+    // bit 6,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x77] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.b(this.#ram[location] = this.#ram[location] & ~(1 << 6))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 6)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+      )
     }
-    // ld c,res 6,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xb1] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x77] = 20
+    // bit 7,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x78] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.c(this.#ram[location] = this.#ram[location] & ~(1 << 6))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 7)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#readByte(location) & this.#FREG_S)
+      )
     }
-    // ld d,res 6,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xb2] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x78] = 20
+    // bit 7,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x79] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.d(this.#ram[location] = this.#ram[location] & ~(1 << 6))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 7)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#readByte(location) & this.#FREG_S)
+      )
     }
-    // ld e,res 6,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xb3] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x79] = 20
+    // bit 7,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x7a] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.e(this.#ram[location] = this.#ram[location] & ~(1 << 6))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 7)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#readByte(location) & this.#FREG_S)
+      )
     }
-    // ld h,res 6,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xb4] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x7a] = 20
+    // bit 7,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x7b] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.h(this.#ram[location] = this.#ram[location] & ~(1 << 6))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 7)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#readByte(location) & this.#FREG_S)
+      )
     }
-    // ld l,res 6,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xb5] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x7b] = 20
+    // bit 7,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x7c] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.l(this.#ram[location] = this.#ram[location] & ~(1 << 6))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 7)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#readByte(location) & this.#FREG_S)
+      )
     }
-    // res 6,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xb6] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x7c] = 20
+    // bit 7,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x7d] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#ram[location] = this.#ram[location] & ~(1 << 6)
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 7)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#readByte(location) & this.#FREG_S)
+      )
     }
-    // ld a,res 6,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xb7] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x7d] = 20
+    // bit 7,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x7e] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.a(this.#ram[location] = this.#ram[location] & ~(1 << 6))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 7)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#readByte(location) & this.#FREG_S)
+      )
     }
-    // ld b,res 7,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xb8] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x7e] = 20
+    // bit 7,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x7f] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.b(this.#ram[location] = this.#ram[location] & ~(1 << 7))
+      this.#regops.f(
+          (this.#regops.f() & this.#FREG_C)
+        | this.#FREG_H
+        | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))
+        | (((this.#readByte(location) & (1 << 7)) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)
+        | (this.#readByte(location) & this.#FREG_S)
+      )
     }
-    // ld c,res 7,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xb9] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x7f] = 20
+    // ld b,res 0,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x80] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.c(this.#ram[location] = this.#ram[location] & ~(1 << 7))
+      this.#regops.b(this.#writeByte(location, this.#readByte(location) & ~(1 << 0)))
     }
-    // ld d,res 7,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xba] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x80] = 23
+    // ld c,res 0,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x81] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.d(this.#ram[location] = this.#ram[location] & ~(1 << 7))
+      this.#regops.c(this.#writeByte(location, this.#readByte(location) & ~(1 << 0)))
     }
-    // ld e,res 7,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xbb] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x81] = 23
+    // ld d,res 0,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x82] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.e(this.#ram[location] = this.#ram[location] & ~(1 << 7))
+      this.#regops.d(this.#writeByte(location, this.#readByte(location) & ~(1 << 0)))
     }
-    // ld h,res 7,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xbc] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x82] = 23
+    // ld e,res 0,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x83] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.h(this.#ram[location] = this.#ram[location] & ~(1 << 7))
+      this.#regops.e(this.#writeByte(location, this.#readByte(location) & ~(1 << 0)))
     }
-    // ld l,res 7,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xbd] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x83] = 23
+    // ld h,res 0,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x84] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.l(this.#ram[location] = this.#ram[location] & ~(1 << 7))
+      this.#regops.h(this.#writeByte(location, this.#readByte(location) & ~(1 << 0)))
     }
-    // res 7,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xbe] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x84] = 23
+    // ld l,res 0,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x85] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#ram[location] = this.#ram[location] & ~(1 << 7)
+      this.#regops.l(this.#writeByte(location, this.#readByte(location) & ~(1 << 0)))
     }
-    // ld a,res 7,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xbf] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x85] = 23
+    // res 0,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x86] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.a(this.#ram[location] = this.#ram[location] & ~(1 << 7))
+      this.#writeByte(location, this.#readByte(location) & ~(1 << 0))
     }
-    // ld b,set 0,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xc0] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x86] = 23
+    // ld a,res 0,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x87] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.b(this.#ram[location] = this.#ram[location] & (1 << 0))
+      this.#regops.a(this.#writeByte(location, this.#readByte(location) & ~(1 << 0)))
     }
-    // ld c,set 0,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xc1] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x87] = 23
+    // ld b,res 1,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x88] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.c(this.#ram[location] = this.#ram[location] & (1 << 0))
+      this.#regops.b(this.#writeByte(location, this.#readByte(location) & ~(1 << 1)))
     }
-    // ld d,set 0,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xc2] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x88] = 23
+    // ld c,res 1,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x89] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.d(this.#ram[location] = this.#ram[location] & (1 << 0))
+      this.#regops.c(this.#writeByte(location, this.#readByte(location) & ~(1 << 1)))
     }
-    // ld e,set 0,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xc3] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x89] = 23
+    // ld d,res 1,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x8a] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.e(this.#ram[location] = this.#ram[location] & (1 << 0))
+      this.#regops.d(this.#writeByte(location, this.#readByte(location) & ~(1 << 1)))
     }
-    // ld h,set 0,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xc4] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x8a] = 23
+    // ld e,res 1,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x8b] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.h(this.#ram[location] = this.#ram[location] & (1 << 0))
+      this.#regops.e(this.#writeByte(location, this.#readByte(location) & ~(1 << 1)))
     }
-    // ld l,set 0,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xc5] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x8b] = 23
+    // ld h,res 1,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x8c] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.l(this.#ram[location] = this.#ram[location] & (1 << 0))
+      this.#regops.h(this.#writeByte(location, this.#readByte(location) & ~(1 << 1)))
     }
-    // set 0,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xc6] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x8c] = 23
+    // ld l,res 1,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x8d] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#ram[location] = this.#ram[location] & (1 << 0)
+      this.#regops.l(this.#writeByte(location, this.#readByte(location) & ~(1 << 1)))
     }
-    // ld a,set 0,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xc7] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x8d] = 23
+    // res 1,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x8e] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.a(this.#ram[location] = this.#ram[location] & (1 << 0))
+      this.#writeByte(location, this.#readByte(location) & ~(1 << 1))
     }
-    // ld b,set 1,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xc8] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x8e] = 23
+    // ld a,res 1,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x8f] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.b(this.#ram[location] = this.#ram[location] & (1 << 1))
+      this.#regops.a(this.#writeByte(location, this.#readByte(location) & ~(1 << 1)))
     }
-    // ld c,set 1,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xc9] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x8f] = 23
+    // ld b,res 2,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x90] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.c(this.#ram[location] = this.#ram[location] & (1 << 1))
+      this.#regops.b(this.#writeByte(location, this.#readByte(location) & ~(1 << 2)))
     }
-    // ld d,set 1,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xca] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x90] = 23
+    // ld c,res 2,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x91] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.d(this.#ram[location] = this.#ram[location] & (1 << 1))
+      this.#regops.c(this.#writeByte(location, this.#readByte(location) & ~(1 << 2)))
     }
-    // ld e,set 1,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xcb] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x91] = 23
+    // ld d,res 2,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x92] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.e(this.#ram[location] = this.#ram[location] & (1 << 1))
+      this.#regops.d(this.#writeByte(location, this.#readByte(location) & ~(1 << 2)))
     }
-    // ld h,set 1,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xcc] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x92] = 23
+    // ld e,res 2,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x93] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.h(this.#ram[location] = this.#ram[location] & (1 << 1))
+      this.#regops.e(this.#writeByte(location, this.#readByte(location) & ~(1 << 2)))
     }
-    // ld l,set 1,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xcd] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x93] = 23
+    // ld h,res 2,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x94] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.l(this.#ram[location] = this.#ram[location] & (1 << 1))
+      this.#regops.h(this.#writeByte(location, this.#readByte(location) & ~(1 << 2)))
     }
-    // set 1,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xce] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x94] = 23
+    // ld l,res 2,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x95] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#ram[location] = this.#ram[location] & (1 << 1)
+      this.#regops.l(this.#writeByte(location, this.#readByte(location) & ~(1 << 2)))
     }
-    // ld a,set 1,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xcf] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x95] = 23
+    // res 2,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x96] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.a(this.#ram[location] = this.#ram[location] & (1 << 1))
+      this.#writeByte(location, this.#readByte(location) & ~(1 << 2))
     }
-    // ld b,set 2,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xd0] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x96] = 23
+    // ld a,res 2,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x97] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.b(this.#ram[location] = this.#ram[location] & (1 << 2))
+      this.#regops.a(this.#writeByte(location, this.#readByte(location) & ~(1 << 2)))
     }
-    // ld c,set 2,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xd1] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x97] = 23
+    // ld b,res 3,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x98] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.c(this.#ram[location] = this.#ram[location] & (1 << 2))
+      this.#regops.b(this.#writeByte(location, this.#readByte(location) & ~(1 << 3)))
     }
-    // ld d,set 2,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xd2] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x98] = 23
+    // ld c,res 3,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x99] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.d(this.#ram[location] = this.#ram[location] & (1 << 2))
+      this.#regops.c(this.#writeByte(location, this.#readByte(location) & ~(1 << 3)))
     }
-    // ld e,set 2,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xd3] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x99] = 23
+    // ld d,res 3,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x9a] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.e(this.#ram[location] = this.#ram[location] & (1 << 2))
+      this.#regops.d(this.#writeByte(location, this.#readByte(location) & ~(1 << 3)))
     }
-    // ld h,set 2,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xd4] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x9a] = 23
+    // ld e,res 3,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x9b] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.h(this.#ram[location] = this.#ram[location] & (1 << 2))
+      this.#regops.e(this.#writeByte(location, this.#readByte(location) & ~(1 << 3)))
     }
-    // ld l,set 2,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xd5] = (dd) => {
+    this.#opcodeCycles[0xfd][0xcb][0x9b] = 23
+    // ld h,res 3,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x9c] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.h(this.#writeByte(location, this.#readByte(location) & ~(1 << 3)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0x9c] = 23
+    // ld l,res 3,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x9d] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.l(this.#writeByte(location, this.#readByte(location) & ~(1 << 3)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0x9d] = 23
+    // res 3,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x9e] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#writeByte(location, this.#readByte(location) & ~(1 << 3))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0x9e] = 23
+    // ld a,res 3,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0x9f] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.a(this.#writeByte(location, this.#readByte(location) & ~(1 << 3)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0x9f] = 23
+    // ld b,res 4,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xa0] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.b(this.#writeByte(location, this.#readByte(location) & ~(1 << 4)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xa0] = 23
+    // ld c,res 4,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xa1] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.c(this.#writeByte(location, this.#readByte(location) & ~(1 << 4)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xa1] = 23
+    // ld d,res 4,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xa2] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.d(this.#writeByte(location, this.#readByte(location) & ~(1 << 4)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xa2] = 23
+    // ld e,res 4,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xa3] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.e(this.#writeByte(location, this.#readByte(location) & ~(1 << 4)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xa3] = 23
+    // ld h,res 4,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xa4] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.h(this.#writeByte(location, this.#readByte(location) & ~(1 << 4)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xa4] = 23
+    // ld l,res 4,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xa5] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.l(this.#writeByte(location, this.#readByte(location) & ~(1 << 4)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xa5] = 23
+    // res 4,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xa6] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#writeByte(location, this.#readByte(location) & ~(1 << 4))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xa6] = 23
+    // ld a,res 4,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xa7] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.a(this.#writeByte(location, this.#readByte(location) & ~(1 << 4)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xa7] = 23
+    // ld b,res 5,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xa8] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.b(this.#writeByte(location, this.#readByte(location) & ~(1 << 5)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xa8] = 23
+    // ld c,res 5,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xa9] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.c(this.#writeByte(location, this.#readByte(location) & ~(1 << 5)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xa9] = 23
+    // ld d,res 5,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xaa] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.d(this.#writeByte(location, this.#readByte(location) & ~(1 << 5)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xaa] = 23
+    // ld e,res 5,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xab] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.e(this.#writeByte(location, this.#readByte(location) & ~(1 << 5)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xab] = 23
+    // ld h,res 5,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xac] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.h(this.#writeByte(location, this.#readByte(location) & ~(1 << 5)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xac] = 23
+    // ld l,res 5,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xad] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.l(this.#writeByte(location, this.#readByte(location) & ~(1 << 5)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xad] = 23
+    // res 5,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xae] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#writeByte(location, this.#readByte(location) & ~(1 << 5))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xae] = 23
+    // ld a,res 5,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xaf] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.a(this.#writeByte(location, this.#readByte(location) & ~(1 << 5)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xaf] = 23
+    // ld b,res 6,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xb0] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.b(this.#writeByte(location, this.#readByte(location) & ~(1 << 6)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xb0] = 23
+    // ld c,res 6,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xb1] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.c(this.#writeByte(location, this.#readByte(location) & ~(1 << 6)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xb1] = 23
+    // ld d,res 6,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xb2] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.d(this.#writeByte(location, this.#readByte(location) & ~(1 << 6)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xb2] = 23
+    // ld e,res 6,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xb3] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.e(this.#writeByte(location, this.#readByte(location) & ~(1 << 6)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xb3] = 23
+    // ld h,res 6,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xb4] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.h(this.#writeByte(location, this.#readByte(location) & ~(1 << 6)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xb4] = 23
+    // ld l,res 6,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xb5] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.l(this.#writeByte(location, this.#readByte(location) & ~(1 << 6)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xb5] = 23
+    // res 6,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xb6] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#writeByte(location, this.#readByte(location) & ~(1 << 6))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xb6] = 23
+    // ld a,res 6,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xb7] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.a(this.#writeByte(location, this.#readByte(location) & ~(1 << 6)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xb7] = 23
+    // ld b,res 7,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xb8] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.b(this.#writeByte(location, this.#readByte(location) & ~(1 << 7)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xb8] = 23
+    // ld c,res 7,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xb9] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.c(this.#writeByte(location, this.#readByte(location) & ~(1 << 7)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xb9] = 23
+    // ld d,res 7,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xba] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.d(this.#writeByte(location, this.#readByte(location) & ~(1 << 7)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xba] = 23
+    // ld e,res 7,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xbb] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.e(this.#writeByte(location, this.#readByte(location) & ~(1 << 7)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xbb] = 23
+    // ld h,res 7,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xbc] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.h(this.#writeByte(location, this.#readByte(location) & ~(1 << 7)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xbc] = 23
+    // ld l,res 7,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xbd] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.l(this.#writeByte(location, this.#readByte(location) & ~(1 << 7)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xbd] = 23
+    // res 7,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xbe] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#writeByte(location, this.#readByte(location) & ~(1 << 7))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xbe] = 23
+    // ld a,res 7,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xbf] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.a(this.#writeByte(location, this.#readByte(location) & ~(1 << 7)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xbf] = 23
+    // ld b,set 0,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xc0] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.b(this.#writeByte(location, this.#readByte(location) | (1 << 0)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xc0] = 23
+    // ld c,set 0,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xc1] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.c(this.#writeByte(location, this.#readByte(location) | (1 << 0)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xc1] = 23
+    // ld d,set 0,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xc2] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.d(this.#writeByte(location, this.#readByte(location) | (1 << 0)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xc2] = 23
+    // ld e,set 0,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xc3] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.e(this.#writeByte(location, this.#readByte(location) | (1 << 0)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xc3] = 23
+    // ld h,set 0,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xc4] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.h(this.#writeByte(location, this.#readByte(location) | (1 << 0)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xc4] = 23
+    // ld l,set 0,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xc5] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.l(this.#writeByte(location, this.#readByte(location) | (1 << 0)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xc5] = 23
+    // set 0,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xc6] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#writeByte(location, this.#readByte(location) | (1 << 0))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xc6] = 23
+    // ld a,set 0,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xc7] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.a(this.#writeByte(location, this.#readByte(location) | (1 << 0)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xc7] = 23
+    // ld b,set 1,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xc8] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.b(this.#writeByte(location, this.#readByte(location) | (1 << 1)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xc8] = 23
+    // ld c,set 1,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xc9] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.c(this.#writeByte(location, this.#readByte(location) | (1 << 1)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xc9] = 23
+    // ld d,set 1,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xca] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.d(this.#writeByte(location, this.#readByte(location) | (1 << 1)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xca] = 23
+    // ld e,set 1,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xcb] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.e(this.#writeByte(location, this.#readByte(location) | (1 << 1)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xcb] = 23
+    // ld h,set 1,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xcc] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.h(this.#writeByte(location, this.#readByte(location) | (1 << 1)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xcc] = 23
+    // ld l,set 1,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xcd] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.l(this.#writeByte(location, this.#readByte(location) | (1 << 1)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xcd] = 23
+    // set 1,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xce] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#writeByte(location, this.#readByte(location) | (1 << 1))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xce] = 23
+    // ld a,set 1,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xcf] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.a(this.#writeByte(location, this.#readByte(location) | (1 << 1)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xcf] = 23
+    // ld b,set 2,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xd0] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.b(this.#writeByte(location, this.#readByte(location) | (1 << 2)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xd0] = 23
+    // ld c,set 2,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xd1] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.c(this.#writeByte(location, this.#readByte(location) | (1 << 2)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xd1] = 23
+    // ld d,set 2,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xd2] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.d(this.#writeByte(location, this.#readByte(location) | (1 << 2)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xd2] = 23
+    // ld e,set 2,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xd3] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.e(this.#writeByte(location, this.#readByte(location) | (1 << 2)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xd3] = 23
+    // ld h,set 2,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xd4] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.h(this.#writeByte(location, this.#readByte(location) | (1 << 2)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xd4] = 23
+    // ld l,set 2,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xd5] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.l(this.#ram[location] = this.#ram[location] & (1 << 2))
+      this.#regops.l(this.#writeByte(location, this.#readByte(location) | (1 << 2)))
     }
+    this.#opcodeCycles[0xfd][0xcb][0xd5] = 23
     // set 2,(iy+dd)
     this.#opcodes[0xfd][0xcb][0xd6] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#ram[location] = this.#ram[location] & (1 << 2)
+      this.#writeByte(location, this.#readByte(location) | (1 << 2))
     }
+    this.#opcodeCycles[0xfd][0xcb][0xd6] = 23
     // ld a,set 2,(iy+dd)
     this.#opcodes[0xfd][0xcb][0xd7] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.a(this.#ram[location] = this.#ram[location] & (1 << 2))
+      this.#regops.a(this.#writeByte(location, this.#readByte(location) | (1 << 2)))
     }
+    this.#opcodeCycles[0xfd][0xcb][0xd7] = 23
     // ld b,set 3,(iy+dd)
     this.#opcodes[0xfd][0xcb][0xd8] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.b(this.#ram[location] = this.#ram[location] & (1 << 3))
+      this.#regops.b(this.#writeByte(location, this.#readByte(location) | (1 << 3)))
     }
+    this.#opcodeCycles[0xfd][0xcb][0xd8] = 23
     // ld c,set 3,(iy+dd)
     this.#opcodes[0xfd][0xcb][0xd9] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.c(this.#ram[location] = this.#ram[location] & (1 << 3))
+      this.#regops.c(this.#writeByte(location, this.#readByte(location) | (1 << 3)))
     }
+    this.#opcodeCycles[0xfd][0xcb][0xd9] = 23
     // ld d,set 3,(iy+dd)
     this.#opcodes[0xfd][0xcb][0xda] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.d(this.#ram[location] = this.#ram[location] & (1 << 3))
+      this.#regops.d(this.#writeByte(location, this.#readByte(location) | (1 << 3)))
     }
+    this.#opcodeCycles[0xfd][0xcb][0xda] = 23
     // ld e,set 3,(iy+dd)
     this.#opcodes[0xfd][0xcb][0xdb] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.e(this.#ram[location] = this.#ram[location] & (1 << 3))
+      this.#regops.e(this.#writeByte(location, this.#readByte(location) | (1 << 3)))
     }
+    this.#opcodeCycles[0xfd][0xcb][0xdb] = 23
     // ld h,set 3,(iy+dd)
     this.#opcodes[0xfd][0xcb][0xdc] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.h(this.#ram[location] = this.#ram[location] & (1 << 3))
+      this.#regops.h(this.#writeByte(location, this.#readByte(location) | (1 << 3)))
     }
+    this.#opcodeCycles[0xfd][0xcb][0xdc] = 23
     // ld l,set 3,(iy+dd)
     this.#opcodes[0xfd][0xcb][0xdd] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.l(this.#ram[location] = this.#ram[location] & (1 << 3))
+      this.#regops.l(this.#writeByte(location, this.#readByte(location) | (1 << 3)))
     }
+    this.#opcodeCycles[0xfd][0xcb][0xdd] = 23
     // set 3,(iy+dd)
     this.#opcodes[0xfd][0xcb][0xde] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#ram[location] = this.#ram[location] & (1 << 3)
+      this.#writeByte(location, this.#readByte(location) | (1 << 3))
     }
+    this.#opcodeCycles[0xfd][0xcb][0xde] = 23
     // ld a,set 3,(iy+dd)
     this.#opcodes[0xfd][0xcb][0xdf] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.a(this.#ram[location] = this.#ram[location] & (1 << 3))
+      this.#regops.a(this.#writeByte(location, this.#readByte(location) | (1 << 3)))
     }
+    this.#opcodeCycles[0xfd][0xcb][0xdf] = 23
     // ld b,set 4,(iy+dd)
     this.#opcodes[0xfd][0xcb][0xe0] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.b(this.#ram[location] = this.#ram[location] & (1 << 4))
+      this.#regops.b(this.#writeByte(location, this.#readByte(location) | (1 << 4)))
     }
+    this.#opcodeCycles[0xfd][0xcb][0xe0] = 23
     // ld c,set 4,(iy+dd)
     this.#opcodes[0xfd][0xcb][0xe1] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.c(this.#ram[location] = this.#ram[location] & (1 << 4))
+      this.#regops.c(this.#writeByte(location, this.#readByte(location) | (1 << 4)))
     }
+    this.#opcodeCycles[0xfd][0xcb][0xe1] = 23
     // ld d,set 4,(iy+dd)
     this.#opcodes[0xfd][0xcb][0xe2] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.d(this.#ram[location] = this.#ram[location] & (1 << 4))
+      this.#regops.d(this.#writeByte(location, this.#readByte(location) | (1 << 4)))
     }
+    this.#opcodeCycles[0xfd][0xcb][0xe2] = 23
     // ld e,set 4,(iy+dd)
     this.#opcodes[0xfd][0xcb][0xe3] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.e(this.#ram[location] = this.#ram[location] & (1 << 4))
+      this.#regops.e(this.#writeByte(location, this.#readByte(location) | (1 << 4)))
     }
+    this.#opcodeCycles[0xfd][0xcb][0xe3] = 23
     // ld h,set 4,(iy+dd)
     this.#opcodes[0xfd][0xcb][0xe4] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.h(this.#ram[location] = this.#ram[location] & (1 << 4))
+      this.#regops.h(this.#writeByte(location, this.#readByte(location) | (1 << 4)))
     }
+    this.#opcodeCycles[0xfd][0xcb][0xe4] = 23
     // ld l,set 4,(iy+dd)
     this.#opcodes[0xfd][0xcb][0xe5] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.l(this.#ram[location] = this.#ram[location] & (1 << 4))
+      this.#regops.l(this.#writeByte(location, this.#readByte(location) | (1 << 4)))
     }
+    this.#opcodeCycles[0xfd][0xcb][0xe5] = 23
     // set 4,(iy+dd)
     this.#opcodes[0xfd][0xcb][0xe6] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#ram[location] = this.#ram[location] & (1 << 4)
+      this.#writeByte(location, this.#readByte(location) | (1 << 4))
     }
+    this.#opcodeCycles[0xfd][0xcb][0xe6] = 23
     // ld a,set 4,(iy+dd)
     this.#opcodes[0xfd][0xcb][0xe7] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.a(this.#ram[location] = this.#ram[location] & (1 << 4))
+      this.#regops.a(this.#writeByte(location, this.#readByte(location) | (1 << 4)))
     }
+    this.#opcodeCycles[0xfd][0xcb][0xe7] = 23
     // ld b,set 5,(iy+dd)
     this.#opcodes[0xfd][0xcb][0xe8] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.b(this.#ram[location] = this.#ram[location] & (1 << 5))
+      this.#regops.b(this.#writeByte(location, this.#readByte(location) | (1 << 5)))
     }
+    this.#opcodeCycles[0xfd][0xcb][0xe8] = 23
     // ld c,set 5,(iy+dd)
     this.#opcodes[0xfd][0xcb][0xe9] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.c(this.#ram[location] = this.#ram[location] & (1 << 5))
+      this.#regops.c(this.#writeByte(location, this.#readByte(location) | (1 << 5)))
     }
+    this.#opcodeCycles[0xfd][0xcb][0xe9] = 23
     // ld d,set 5,(iy+dd)
     this.#opcodes[0xfd][0xcb][0xea] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.d(this.#ram[location] = this.#ram[location] & (1 << 5))
+      this.#regops.d(this.#writeByte(location, this.#readByte(location) | (1 << 5)))
     }
+    this.#opcodeCycles[0xfd][0xcb][0xea] = 23
     // ld e,set 5,(iy+dd)
     this.#opcodes[0xfd][0xcb][0xeb] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.e(this.#ram[location] = this.#ram[location] & (1 << 5))
+      this.#regops.e(this.#writeByte(location, this.#readByte(location) | (1 << 5)))
     }
+    this.#opcodeCycles[0xfd][0xcb][0xeb] = 23
     // ld h,set 5,(iy+dd)
     this.#opcodes[0xfd][0xcb][0xec] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.h(this.#ram[location] = this.#ram[location] & (1 << 5))
+      this.#regops.h(this.#writeByte(location, this.#readByte(location) | (1 << 5)))
     }
+    this.#opcodeCycles[0xfd][0xcb][0xec] = 23
     // ld l,set 5,(iy+dd)
     this.#opcodes[0xfd][0xcb][0xed] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.l(this.#ram[location] = this.#ram[location] & (1 << 5))
+      this.#regops.l(this.#writeByte(location, this.#readByte(location) | (1 << 5)))
     }
+    this.#opcodeCycles[0xfd][0xcb][0xed] = 23
     // set 5,(iy+dd)
     this.#opcodes[0xfd][0xcb][0xee] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#ram[location] = this.#ram[location] & (1 << 5)
+      this.#writeByte(location, this.#readByte(location) | (1 << 5))
     }
+    this.#opcodeCycles[0xfd][0xcb][0xee] = 23
     // ld a,set 5,(iy+dd)
     this.#opcodes[0xfd][0xcb][0xef] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.a(this.#ram[location] = this.#ram[location] & (1 << 5))
+      this.#regops.a(this.#writeByte(location, this.#readByte(location) | (1 << 5)))
     }
+    this.#opcodeCycles[0xfd][0xcb][0xef] = 23
     // ld b,set 6,(iy+dd)
     this.#opcodes[0xfd][0xcb][0xf0] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.b(this.#ram[location] = this.#ram[location] & (1 << 6))
+      this.#regops.b(this.#writeByte(location, this.#readByte(location) | (1 << 6)))
     }
+    this.#opcodeCycles[0xfd][0xcb][0xf0] = 23
     // ld c,set 6,(iy+dd)
     this.#opcodes[0xfd][0xcb][0xf1] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.c(this.#ram[location] = this.#ram[location] & (1 << 6))
+      this.#regops.c(this.#writeByte(location, this.#readByte(location) | (1 << 6)))
     }
+    this.#opcodeCycles[0xfd][0xcb][0xf1] = 23
     // ld d,set 6,(iy+dd)
     this.#opcodes[0xfd][0xcb][0xf2] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.d(this.#ram[location] = this.#ram[location] & (1 << 6))
+      this.#regops.d(this.#writeByte(location, this.#readByte(location) | (1 << 6)))
     }
+    this.#opcodeCycles[0xfd][0xcb][0xf2] = 23
     // ld e,set 6,(iy+dd)
     this.#opcodes[0xfd][0xcb][0xf3] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.e(this.#ram[location] = this.#ram[location] & (1 << 6))
+      this.#regops.e(this.#writeByte(location, this.#readByte(location) | (1 << 6)))
     }
+    this.#opcodeCycles[0xfd][0xcb][0xf3] = 23
     // ld h,set 6,(iy+dd)
     this.#opcodes[0xfd][0xcb][0xf4] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.h(this.#ram[location] = this.#ram[location] & (1 << 6))
+      this.#regops.h(this.#writeByte(location, this.#readByte(location) | (1 << 6)))
     }
+    this.#opcodeCycles[0xfd][0xcb][0xf4] = 23
     // ld l,set 6,(iy+dd)
     this.#opcodes[0xfd][0xcb][0xf5] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.l(this.#ram[location] = this.#ram[location] & (1 << 6))
+      this.#regops.l(this.#writeByte(location, this.#readByte(location) | (1 << 6)))
     }
+    this.#opcodeCycles[0xfd][0xcb][0xf5] = 23
     // set 6,(iy+dd)
     this.#opcodes[0xfd][0xcb][0xf6] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#ram[location] = this.#ram[location] & (1 << 6)
+      this.#writeByte(location, this.#readByte(location) | (1 << 6))
     }
+    this.#opcodeCycles[0xfd][0xcb][0xf6] = 23
     // ld a,set 6,(iy+dd)
     this.#opcodes[0xfd][0xcb][0xf7] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.a(this.#ram[location] = this.#ram[location] & (1 << 6))
+      this.#regops.a(this.#writeByte(location, this.#readByte(location) | (1 << 6)))
     }
+    this.#opcodeCycles[0xfd][0xcb][0xf7] = 23
     // ld b,set 7,(iy+dd)
     this.#opcodes[0xfd][0xcb][0xf8] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.b(this.#ram[location] = this.#ram[location] & (1 << 7))
+      this.#regops.b(this.#writeByte(location, this.#readByte(location) | (1 << 7)))
     }
+    this.#opcodeCycles[0xfd][0xcb][0xf8] = 23
     // ld c,set 7,(iy+dd)
     this.#opcodes[0xfd][0xcb][0xf9] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.c(this.#ram[location] = this.#ram[location] & (1 << 7))
+      this.#regops.c(this.#writeByte(location, this.#readByte(location) | (1 << 7)))
     }
+    this.#opcodeCycles[0xfd][0xcb][0xf9] = 23
     // ld d,set 7,(iy+dd)
     this.#opcodes[0xfd][0xcb][0xfa] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.d(this.#ram[location] = this.#ram[location] & (1 << 7))
+      this.#regops.d(this.#writeByte(location, this.#readByte(location) | (1 << 7)))
     }
+    this.#opcodeCycles[0xfd][0xcb][0xfa] = 23
     // ld e,set 7,(iy+dd)
     this.#opcodes[0xfd][0xcb][0xfb] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.e(this.#ram[location] = this.#ram[location] & (1 << 7))
+      this.#regops.e(this.#writeByte(location, this.#readByte(location) | (1 << 7)))
     }
+    this.#opcodeCycles[0xfd][0xcb][0xfb] = 23
     // ld h,set 7,(iy+dd)
     this.#opcodes[0xfd][0xcb][0xfc] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.h(this.#ram[location] = this.#ram[location] & (1 << 7))
+      this.#regops.h(this.#writeByte(location, this.#readByte(location) | (1 << 7)))
     }
+    this.#opcodeCycles[0xfd][0xcb][0xfc] = 23
     // ld l,set 7,(iy+dd)
     this.#opcodes[0xfd][0xcb][0xfd] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.l(this.#ram[location] = this.#ram[location] & (1 << 7))
+      this.#regops.l(this.#writeByte(location, this.#readByte(location) | (1 << 7)))
     }
+    this.#opcodeCycles[0xfd][0xcb][0xfd] = 23
     // set 7,(iy+dd)
     this.#opcodes[0xfd][0xcb][0xfe] = (dd) => {
       const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#ram[location] = this.#ram[location] & (1 << 7)
+      this.#writeByte(location, this.#readByte(location) | (1 << 7))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xfe] = 23
+    // ld a,set 7,(iy+dd)
+    this.#opcodes[0xfd][0xcb][0xff] = (dd) => {
+      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
+      this.#regops.a(this.#writeByte(location, this.#readByte(location) | (1 << 7)))
+    }
+    this.#opcodeCycles[0xfd][0xcb][0xff] = 23
+// END: this block is AUTOMATICALLY GENERATED SEE /z80_tables/*
+  }
+
+  // our prepared instruction: the first length bytes of bytes are those fetched (less any ddcb/fdcb
+  // displacement, which is kept in dd), handler and cycles the function and t-states to execute them with.
+  // it's updated in place, so fetching allocates nothing.
+  #preparedInstruction = {pc: null, bytes: new Uint8Array(4), length: 0, dd: null, handler: null, cycles: 0}
+
+  // #opcodes flattened for fetch(), 256 entries to a table with the unprefixed table first. for each entry
+  // #handlers holds the opcode function (or null), #handlerCycles its t-states and #prefixes, for a prefix
+  // byte, the offset of the table it opens (0 otherwise, or #BROKEN_ENTRY when #opcodes holds something else)
+  #handlers = []
+  #handlerCycles = null
+  #prefixes = null
+  #BROKEN_ENTRY = 0xffff
+
+  // set for each table (offset >> 8) whose opcode follows a displacement byte; the ddcb and fdcb tables
+  #displacedTables = null
+
+  /**
+   * Build the flat tables fetch() decodes with (see #handlers) from #opcodes and #opcodeCycles
+   *
+   * @return void
+   */
+  #flattenOpcodes = () => {
+    const [handlers, cycles, prefixes, displaced] = [[], [], [], []]
+
+    // add a table and, depth first, the tables its prefix bytes open; returns the table's offset
+    const flatten = (opcodes, opcodeCycles, prefix) => {
+      const offset = handlers.length
+      for (let opcode = 0; opcode < 0x100; opcode++) {
+        const entry = opcodes[opcode]
+        handlers.push((typeof entry === 'function') ? entry : null)
+        cycles.push((typeof entry === 'function') ? opcodeCycles[opcode] : 0)
+        prefixes.push(((typeof entry === 'undefined') || (typeof entry === 'function')) ? 0 : this.#BROKEN_ENTRY)
+      }
+      displaced.push(((prefix.length === 2) && [0xdd, 0xfd].includes(prefix[0]) && (prefix[1] === 0xcb)) ? 1 : 0)
+
+      opcodes.forEach((entry, opcode) => {
+        if ((typeof entry === 'object') && (entry !== null))
+          prefixes[offset + opcode] = flatten(entry, opcodeCycles[opcode], [...prefix, opcode])
+      })
+      return offset
+    }
+    flatten(this.#opcodes, this.#opcodeCycles, [])
+
+    this.#handlers = handlers
+    this.#handlerCycles = Uint8Array.from(cycles)
+    this.#prefixes = Uint16Array.from(prefixes)
+    this.#displacedTables = Uint8Array.from(displaced)
+  }
+
+  /**
+   * The bytes of the prepared instruction (less any ddcb/fdcb displacement)
+   *
+   * @return array
+   */
+  #preparedBytes = () => Array.from(this.#preparedInstruction.bytes.subarray(0, this.#preparedInstruction.length))
+
+  /**
+   * Forget the prepared instruction, so that execute() refuses to run until the next fetch()
+   *
+   * @return void
+   */
+  #clearPreparedInstruction = () => {
+    const prepared = this.#preparedInstruction
+    prepared.pc = null
+    prepared.length = 0
+    prepared.dd = null
+    prepared.handler = null
+    prepared.cycles = 0
+  }
+
+  /**
+   * Constructor
+   *
+   * @param Uint8Array ram    64KB of memory for the CPU
+   */
+  constructor(ram = null)
+  {
+    // initialise memory to zero
+    for (let i = 0; i < Math.pow(2, 16); i++) {
+      this.#ram[i] = 0
+    }
+
+    // we have a ram buffer to start with, so use that
+    if (ram !== null) {
+      this.#ram = ram
+    }
+    this.#mapSlots()
+
+    // initialise the F register flag tables
+    this.#initialiseFlagTables()
+
+    // setup the cpu opcodes
+    this.#initOpcodes()
+    this.#flattenOpcodes()
+  }
+
+  /**
+   * Get a copy of the registers
+   *
+   * @return Object
+   */
+  getRegisters()
+  {
+    return this.#registers
+  }
+
+  /**
+   * Set a single register. Accepts any register name the cpu knows about: 8-bit (a, f, b, ixh, i, r, etc.),
+   * 16-bit (pc, sp, af, bc, ix, etc.), the alternate set written either af' or af2 (including 8-bit halves
+   * such as a' or h') and the interrupt mode (im).
+   *
+   * @param string  name  Register name (case insensitive)
+   * @param number  value New value for the register
+   * @throws Error      when the register name is unknown
+   * @throws RangeError when the value doesn't fit in the register
+   * @return void
+   */
+  setRegister(name, value)
+  {
+    this.setRegisters({[name]: value})
+  }
+
+  /**
+   * Set several registers at once, e.g. {a: 0x10, "bc'": 0x1234, ixh: 0x80}. Every name and value is checked
+   * before any register is changed, so a bad entry leaves the cpu untouched.
+   *
+   * @param Object  values  Map of register names to new values (see setRegister())
+   * @throws Error      when a register name is unknown
+   * @throws RangeError when a value doesn't fit in its register
+   * @return void
+   */
+  setRegisters(values)
+  {
+    const setters = Object.keys(values).map((name) => {
+      const [setter, maximum] = this.#registerSetter(name)
+      const value = values[name]
+      if (!Number.isInteger(value) || (value < 0) || (value > maximum))
+        throw new RangeError(`value for register ${name} must be between 0 and ${maximum}, got ${value}`)
+
+      return () => setter(value)
+    })
+
+    setters.forEach((setter) => setter())
+  }
+
+  /**
+   * Set or clear an individual flag in the F register
+   *
+   * @param string  flag  Flag name: s, z, f5, h, f3, p (or v), n or c (case insensitive)
+   * @param boolean set   true to set the flag, false to clear it
+   * @throws Error  when the flag name is unknown
+   * @return void
+   */
+  setFlag(flag, set)
+  {
+    const masks = {
+      s: this.#FREG_S,
+      z: this.#FREG_Z,
+      f5: this.#FREG_F5,
+      h: this.#FREG_H,
+      f3: this.#FREG_F3,
+      p: this.#FREG_P,
+      v: this.#FREG_V,
+      n: this.#FREG_N,
+      c: this.#FREG_C
+    }
+    const mask = masks[String(flag).toLowerCase()]
+    if (typeof mask === 'undefined')
+      throw new Error(`unknown flag: ${flag}`)
+
+    this.#regops.f(set ? (this.#regops.f() | mask) : (this.#regops.f() & ~mask & 0xff))
+  }
+
+  /**
+   * Find the function which writes to a named register, and the largest value it will hold
+   *
+   * @param string  name  Register name, as accepted by setRegister()
+   * @throws Error  when the register name is unknown
+   * @return array  [setter function, maximum value]
+   */
+  #registerSetter = (name) => {
+    // alternate registers can be written with a prime (af') or with a 2 (af2, as #registers does)
+    const register = String(name).toLowerCase().replace(/'$/, '2')
+
+    if (register === 'im')
+      return [(value) => this.#registers.im = value, 2]
+
+    // 8-bit halves of the alternate register pairs don't have a #regops shorthand
+    const alternate = register.match(/^([afbcdehl])2$/)
+    if (alternate) {
+      const pair = `${['af', 'bc', 'de', 'hl'].find((candidate) => candidate.includes(alternate[1]))}2`
+      const setter = (pair[0] === alternate[1])
+        ? (value) => this.#registers[pair] = this.#word(value, this.#lo(this.#registers[pair]))
+        : (value) => this.#registers[pair] = this.#word(this.#hi(this.#registers[pair]), value)
+      return [setter, 0xff]
+    }
+
+    if (typeof this.#regops[register] !== 'function')
+      throw new Error(`unknown register: ${name}`)
+
+    return [
+      this.#regops[register],
+      ['pc', 'sp', 'af', 'af2', 'bc', 'bc2', 'de', 'de2', 'hl', 'hl2', 'ix', 'iy'].includes(register) ? 0xffff : 0xff
+    ]
+  }
+
+  /**
+   * Get the number of t-states (clock cycles) executed so far
+   *
+   * @return number
+   */
+  getCycles()
+  {
+    return this.#cycles
+  }
+
+  /**
+   * Check whether the cpu has been halted by the halt instruction (and not yet woken by an interrupt)
+   *
+   * @return boolean
+   */
+  isHalted()
+  {
+    return this.#halted
+  }
+
+  /**
+   * Bring the cpu out of a halt without an interrupt, leaving pc where it is; for a loader which moves pc away
+   * from a halt
+   *
+   * @return void
+   */
+  clearHalt()
+  {
+    this.#halted = false
+  }
+
+  /**
+   * Get the state of interrupts
+   *
+   * @return boolean
+   */
+  getInterruptState()
+  {
+    return this.#interrupts.iff1
+  }
+
+  /**
+   * Get both interrupt flip-flops; iff2 is the copy of iff1 which retn (and ld a,i/ld a,r) read back
+   *
+   * @return Object {iff1, iff2}
+   */
+  getInterruptFlipFlops()
+  {
+    return {iff1: this.#interrupts.iff1, iff2: this.#interrupts.iff2}
+  }
+
+  /**
+   * Return the contents of RAM; where a bank is paged in, the cpu sees the bank instead of this part of RAM (see
+   * getAddressSpace())
+   *
+   * @return Uint8Array
+   */
+  getRam()
+  {
+    return this.#ram
+  }
+
+  /**
+   * Set the memory map, as a list of {start, end, type, fault} regions where type is 'rom' or 'ram'. Writes to
+   * rom are ignored or, when fault is true, stop the cpu with a WriteProtectFault giving the address of the
+   * instruction which made the write. Memory outside every region is ram, and where regions overlap the later
+   * one wins, so a ram window can be opened in a larger rom.
+   *
+   * Only writes made by instructions (and writeMemory()) are checked; getRam(), loadState() and stepBack() change
+   * rom as they change ram, which is how a rom image gets into memory in the first place.
+   *
+   * @param array regions Memory regions, in order; an empty list makes all of memory ram
+   * @throws RangeError when a region's range or type is invalid
+   * @return void
+   */
+  setMemoryMap(regions)
+  {
+    const map = regions.map(({start, end, type, fault = false}) => {
+      if (!Number.isInteger(start) || !Number.isInteger(end) || (start < 0) || (end > 0xffff) || (end < start))
+        throw new RangeError(`invalid memory region range: ${start}-${end}`)
+
+      if (!['rom', 'ram'].includes(type))
+        throw new RangeError(`invalid memory region type: ${type}`)
+
+      return {start, end, type, fault: (type === 'rom') && Boolean(fault)}
+    })
+
+    this.#memoryMap = map
+    this.#writeProtection.fill(this.#MEMORY_WRITABLE)
+    map.forEach((region) => {
+      const protection = (region.type === 'ram')
+        ? this.#MEMORY_WRITABLE
+        : (region.fault ? this.#MEMORY_FAULT : this.#MEMORY_READ_ONLY)
+      this.#writeProtection.fill(protection, region.start, region.end + 1)
+    })
+  }
+
+  /**
+   * Get a copy of the memory map as {start, end, type, fault} regions (see setMemoryMap())
+   *
+   * @return array
+   */
+  getMemoryMap()
+  {
+    return this.#memoryMap.map((region) => ({...region}))
+  }
+
+  /**
+   * Set up banked memory: count banks of size bytes, which mapBank() pages into the address space. The address
+   * space is split into slots the size of a bank (four 16KB slots for 16KB banks), each showing its own part of
+   * the cpu's ram until a bank is paged into it. Any existing banks are thrown away, along with the history.
+   *
+   * @param number  count Number of banks (0 to do away with banking)
+   * @param number  size  Size of each bank in bytes; a power of two from 1KB to 32KB
+   * @throws RangeError when the count or size is invalid
+   * @return void
+   */
+  setBanks(count, size = 0x4000)
+  {
+    if (!Number.isInteger(count) || (count < 0))
+      throw new RangeError(`invalid bank count: ${count}`)
+
+    if (!Number.isInteger(size) || (size < 0x400) || (size > 0x8000) || ((size & (size - 1)) !== 0))
+      throw new RangeError(`invalid bank size: ${size}`)
+
+    this.#banks = Array.from({length: count}, () => new Uint8Array(size))
+    this.#slotShift = (count > 0) ? Math.log2(size) : 16
+    this.#slotMask = (1 << this.#slotShift) - 1
+    this.#slotBanks = new Array(0x10000 >> this.#slotShift).fill(null)
+    this.#mapSlots()
+    this.clearHistory()
+  }
+
+  /**
+   * Page a bank into a slot of the address space; this is what an I/O handler for a machine's paging port calls.
+   * A bank may be paged into more than one slot at once, in which case every slot shows the same memory.
+   *
+   * @param number      slot  Slot to page into (0 for the first bank-sized part of the address space)
+   * @param number|null bank  Bank to page in, or null for the slot to show its own part of the cpu's ram again
+   * @throws RangeError when the slot or bank doesn't exist
+   * @return void
+   */
+  mapBank(slot, bank)
+  {
+    if (!Number.isInteger(slot) || (slot < 0) || (slot >= this.#slotBanks.length) || (this.#banks.length === 0))
+      throw new RangeError(`invalid memory slot: ${slot}`)
+
+    if ((bank !== null) && (!Number.isInteger(bank) || (bank < 0) || (bank >= this.#banks.length)))
+      throw new RangeError(`invalid memory bank: ${bank}`)
+
+    this.#slotBanks[slot] = bank
+    this.#mapSlots()
+  }
+
+  /**
+   * Attach an I/O handler which pages banks into a slot: writing n to the port pages in bank n (modulo the number
+   * of banks, so that only the low bits of the byte count), and reading it gives the bank paged in (0xff for
+   * none). This is the paging port of a typical banked machine; anything more elaborate can call mapBank()
+   * from an I/O handler of its own.
+   *
+   * @param number  port  I/O port to attach to (matched as addIoHandler() describes)
+   * @param number  slot  Slot the port pages banks into
+   * @throws RangeError when there are no banks or the slot doesn't exist
+   * @return void
+   */
+  addBankPort(port, slot)
+  {
+    if (!Number.isInteger(slot) || (slot < 0) || (slot >= this.#slotBanks.length) || (this.#banks.length === 0))
+      throw new RangeError(`invalid memory slot: ${slot}`)
+
+    this.addIoHandler(port, (mode, data) => {
+      if (mode === 'r')
+        return this.#slotBanks[slot] ?? 0xff
+
+      this.mapBank(slot, data % this.#banks.length)
+    })
+  }
+
+  /**
+   * Get the bank paged into each slot, as an array with null for a slot showing its own part of the cpu's ram
+   *
+   * @return array
+   */
+  getBankMapping()
+  {
+    return this.#slotBanks.slice()
+  }
+
+  /**
+   * Get the number of banks set up by setBanks()
+   *
+   * @return number
+   */
+  getBankCount()
+  {
+    return this.#banks.length
+  }
+
+  /**
+   * Return the contents of a bank, whether or not it is paged in; as with getRam(), this is the bank itself,
+   * so it can be used to load a bank before running
+   *
+   * @param number  bank  Bank number
+   * @throws RangeError when the bank doesn't exist
+   * @return Uint8Array
+   */
+  getBank(bank)
+  {
+    if (!Number.isInteger(bank) || (bank < 0) || (bank >= this.#banks.length))
+      throw new RangeError(`invalid memory bank: ${bank}`)
+
+    return this.#banks[bank]
+  }
+
+  /**
+   * Read a byte as the cpu currently sees it, without troubling memory handlers or watchpoints
+   *
+   * @param number  address Address to read (wraps around at 64KB)
+   * @return number
+   */
+  peek(address)
+  {
+    address &= 0xffff
+    return this.#slots[address >> this.#slotShift][address & this.#slotMask]
+  }
+
+  /**
+   * Read a byte as an instruction would, through memory handlers and watchpoints; for a trapped call carried
+   * out in place of z80 code (see trap())
+   *
+   * @param number  address Address to read (wraps around at 64KB)
+   * @return number
+   */
+  readMemory(address)
+  {
+    return this.#readByte(address)
+  }
+
+  /**
+   * Write a byte as an instruction would, through memory handlers, watchpoints and the memory map; for a
+   * trapped call carried out in place of z80 code (see trap()). The write is recorded in the history of the
+   * instruction just executed, so that stepBack() undoes it along with that instruction.
+   *
+   * @param number  address Address to write (wraps around at 64KB)
+   * @param number  value   Byte to write
+   * @throws WriteProtectFault  when the address is rom which faults on writes
+   * @return void
+   */
+  writeMemory(address, value)
+  {
+    this.#writeByte(address, value & 0xff)
+  }
+
+  /**
+   * Carry out a trapped call between instructions, as a machine does when it stands in for system code which
+   * isn't there (the cp/m bdos, for one). Watchpoints hit by readMemory() and writeMemory() in the call are
+   * reported as hit by the instruction just executed, which made the call.
+   *
+   * @param function  trapFunction  Called with the cpu; its result is passed back
+   * @return Object {value: the result of trapFunction, watchpoint: first watchpoint hit or null}
+   */
+  trap(trapFunction)
+  {
+    this.#watchpointHit = null
+    const value = trapFunction(this)
+    return {value, watchpoint: this.#watchpointHit}
+  }
+
+  /**
+   * Get a copy of the 64KB address space as the cpu currently sees it, with paged in banks in place of ram
+   *
+   * @return Uint8Array
+   */
+  getAddressSpace()
+  {
+    const memory = new Uint8Array(Math.pow(2, 16))
+    this.#slots.forEach((slot, index) => memory.set(slot, index << this.#slotShift))
+    return memory
+  }
+
+  /**
+   * Point each slot at the memory it shows, following #slotBanks
+   *
+   * @return void
+   */
+  #mapSlots = () => {
+    const size = 1 << this.#slotShift
+    this.#slots = this.#slotBanks.map((bank, slot) => (bank === null) ? this.#ram.subarray(slot * size, (slot + 1) * size) : this.#banks[bank])
+  }
+
+  /**
+   * Encode memory as base64 for saveState(). node has Buffer (and only has btoa() from version 16); browsers
+   * have btoa() and no Buffer
+   *
+   * @param Uint8Array  memory  Memory to encode
+   * @return string
+   */
+  #encodeBase64 = (memory) => {
+    if (typeof Buffer !== 'undefined')
+      return Buffer.from(memory.buffer, memory.byteOffset, memory.length).toString('base64')
+
+    let memoryString = ''
+    for (let memoryPtr = 0; memoryPtr < memory.length; memoryPtr++)
+      memoryString += String.fromCharCode(memory[memoryPtr])
+    return btoa(memoryString)
+  }
+
+  /**
+   * Decode memory encoded by #encodeBase64()
+   *
+   * @param string  encoded Base64 encoded memory
+   * @return Uint8Array
+   */
+  #decodeBase64 = (encoded) => {
+    if (typeof Buffer !== 'undefined')
+      return new Uint8Array(Buffer.from(encoded, 'base64'))
+
+    return Uint8Array.from(atob(encoded), (character) => character.charCodeAt(0))
+  }
+
+  /**
+   * Capture the complete state of the machine as a plain object which is safe to pass through JSON.stringify();
+   * feed it back to loadState() to carry on from exactly the same point. RAM and banks are base64 encoded to
+   * keep the state compact. I/O handlers and the memory map are part of the machine's wiring rather than its
+   * state, so aren't included.
+   *
+   * @return Object
+   */
+  saveState()
+  {
+    const encode = this.#encodeBase64
+
+    return {
+      version: 1,
+      registers: Object.assign({}, this.#registers),
+      interrupts: Object.assign({}, this.#interrupts),
+      halted: this.#halted,
+      cycles: this.#cycles,
+      ram: encode(this.#ram),
+      banks: (this.#banks.length > 0)
+        ? {size: 1 << this.#slotShift, mapping: this.#slotBanks.slice(), contents: this.#banks.map(encode)}
+        : null,
+      // an instruction may have been fetched but not yet executed; keep its bytes so it can be decoded again
+      preparedInstruction: (this.#preparedInstruction.handler !== null)
+        ? {
+          pc: this.#preparedInstruction.pc,
+          instruction: this.#preparedBytes(),
+          dd: this.#preparedInstruction.dd
+        }
+        : null
+    }
+  }
+
+  /**
+   * Restore the machine to a state previously captured with saveState()
+   *
+   * @param Object  state State object from saveState() (or the result of JSON.parse()ing one)
+   * @return void
+   */
+  loadState(state)
+  {
+    if ((typeof state !== 'object') || (state === null) || (state.version !== 1))
+      throw new Error('unable to load cpu state: unrecognised state format')
+
+    const ram = this.#decodeBase64(state.ram)
+    if (ram.length !== this.#ram.length)
+      throw new Error(`unable to load cpu state: expected ${this.#ram.length} bytes of ram, got ${ram.length}`)
+
+    // write into the existing ram so that anything holding getRam() sees the restored contents
+    this.#ram.set(ram)
+
+    // likewise the banks, unless the state has a different set of them; states from before banking have none
+    const banks = state.banks ?? null
+    const sameBanks = (banks === null)
+      ? (this.#banks.length === 0)
+      : ((banks.contents.length === this.#banks.length) && (banks.size === (1 << this.#slotShift)))
+    if (!sameBanks)
+      this.setBanks(banks?.contents.length ?? 0, banks?.size)
+
+    banks?.contents.forEach((contents, bank) => {
+      this.#banks[bank].set(this.#decodeBase64(contents).subarray(0, this.#banks[bank].length))
+    })
+    banks?.mapping.forEach((bank, slot) => this.#slotBanks[slot] = bank)
+    this.#mapSlots()
+
+    Object.keys(this.#registers).forEach((register) => this.#registers[register] = state.registers[register])
+    Object.keys(this.#interrupts).forEach((flag) => this.#interrupts[flag] = state.interrupts[flag])
+    this.#halted = state.halted
+    this.#cycles = state.cycles
+
+    this.#clearPreparedInstruction()
+    if (state.preparedInstruction !== null) {
+      const prepared = this.#preparedInstruction
+      prepared.pc = state.preparedInstruction.pc
+      const instruction = state.preparedInstruction.instruction.slice(0, prepared.bytes.length)
+      prepared.bytes.set(instruction)
+      prepared.length = instruction.length
+      prepared.dd = state.preparedInstruction.dd
+
+      // follow the prefix bytes through the opcode tables again to find the function for the fetched instruction
+      let offset = 0
+      instruction.slice(0, -1).forEach((opcode) => {
+        offset = ((offset === null) || (this.#prefixes[offset | opcode] === 0) || (this.#prefixes[offset | opcode] === this.#BROKEN_ENTRY))
+          ? null
+          : this.#prefixes[offset | opcode]
+      })
+      if ((offset !== null) && (instruction.length > 0)) {
+        const index = offset | instruction[instruction.length - 1]
+        prepared.handler = this.#handlers[index] ?? null
+        prepared.cycles = this.#handlerCycles[index]
+      }
+
+      if (prepared.handler === null) {
+        const callChain = this.callChainToHex()
+        this.#clearPreparedInstruction()
+        throw new Error(`unable to load cpu state: invalid prepared instruction ${callChain}`)
+      }
+    }
+
+    // the history belongs to the state being replaced
+    this.clearHistory()
+  }
+
+  /**
+   * Set how many instructions of history are kept for stepBack(); the oldest entries are dropped once the
+   * limit is reached. History is off (a limit of 0) by default, as recording it slows the cpu down.
+   *
+   * Accepted interrupts are recorded as history entries of their own, so stepping back over an interrupt
+   * undoes its acceptance.
+   *
+   * @param number  limit Most instructions to remember
+   * @throws RangeError when the limit is not a whole number of zero or more
+   * @return void
+   */
+  setHistoryLimit(limit)
+  {
+    if (!Number.isInteger(limit) || (limit < 0))
+      throw new RangeError(`invalid history limit: ${limit}`)
+
+    // keep the newest entries which fit within the new limit
+    const entries = []
+    for (let i = Math.max(this.#historyLength - limit, 0); i < this.#historyLength; i++)
+      entries.push(this.#history[(this.#historyStart + i) % this.#historyLimit])
+
+    this.#history = entries
+    this.#historyStart = 0
+    this.#historyLength = entries.length
+    this.#historyLimit = limit
+    this.#historyEntry = null
+  }
+
+  /**
+   * Get the number of instructions which can currently be stepped back through
+   *
+   * @return number
+   */
+  getHistoryLength()
+  {
+    return this.#historyLength
+  }
+
+  /**
+   * Forget all history
+   *
+   * @return void
+   */
+  clearHistory()
+  {
+    this.#history = []
+    this.#historyStart = 0
+    this.#historyLength = 0
+    this.#historyEntry = null
+  }
+
+  /**
+   * Undo instructions, newest first, restoring the registers, interrupt state, cycle count, bank mapping and
+   * memory they changed. Any instruction fetched but not executed is discarded.
+   *
+   * @param number  count Number of instructions to undo
+   * @return number Number of instructions actually undone (fewer than count if the history runs out)
+   */
+  stepBack(count = 1)
+  {
+    let undone = 0
+    while ((undone < count) && (this.#historyLength > 0)) {
+      this.#historyLength--
+      const index = (this.#historyStart + this.#historyLength) % this.#historyLimit
+      const entry = this.#history[index]
+      this.#history[index] = undefined
+
+      // the instruction wrote through the mapping it started with, so put that back first
+      if (entry.mapping !== null) {
+        entry.mapping.forEach((bank, slot) => this.#slotBanks[slot] = bank)
+        this.#mapSlots()
+      }
+
+      // ram is stored as address, old value pairs in the order written; undo them in reverse
+      for (let i = entry.ram.length - 2; i >= 0; i -= 2)
+        this.#slots[entry.ram[i] >> this.#slotShift][entry.ram[i] & this.#slotMask] = entry.ram[i + 1]
+
+      Object.assign(this.#registers, entry.registers)
+      Object.assign(this.#interrupts, entry.interrupts)
+      this.#halted = entry.halted
+      this.#cycles = entry.cycles
+      undone++
     }
-    // ld a,set 7,(iy+dd)
-    this.#opcodes[0xfd][0xcb][0xff] = (dd) => {
-      const location = this.#regops.iy() + this.#uint8ToInt8(dd)
-      this.#regops.a(this.#ram[location] = this.#ram[location] & (1 << 7))
+
+    this.#historyEntry = null
+    this.#clearPreparedInstruction()
+    return undone
+  }
+
+  /**
+   * Start a history entry for an instruction (or interrupt) which is about to change the cpu state
+   *
+   * @return void
+   */
+  #recordHistory = () => {
+    if (this.#historyLimit === 0)
+      return
+
+    this.#historyEntry = {
+      registers: {...this.#registers},
+      interrupts: {...this.#interrupts},
+      halted: this.#halted,
+      cycles: this.#cycles,
+      ram: [],
+      // an i/o handler may page banks in and out, so the mapping is kept whenever there are banks to page
+      mapping: (this.#banks.length > 0) ? this.#slotBanks.slice() : null
     }
-// END: this block is AUTOMATICALLY GENERATED SEE /z80_tables/*
+
+    this.#history[(this.#historyStart + this.#historyLength) % this.#historyLimit] = this.#historyEntry
+    if (this.#historyLength < this.#historyLimit)
+      this.#historyLength++
+    else
+      this.#historyStart = (this.#historyStart + 1) % this.#historyLimit
   }
 
-  // our prepared instruction
-  #preparedInstruction = {}
+  /**
+   * Convert an opcode instruction table chain to a hex string
+   *
+   * @param array   callchain   The callchain to convert into a hex string
+   * @return string
+   */
+  callChainToHex(callchain)
+  {
+    if (typeof callchain === 'undefined')
+      callchain = this.#preparedBytes()
+
+    return callchain.reduce((p, c, i) => p = p + c.toString(16).padStart(2, '0').toUpperCase(), '0x')
+  }
 
   /**
-   * Constructor
+   * Create a cpu fault for the instruction currently being fetched/executed
    *
-   * @param Uint8Array ram    64KB of memory for the CPU
+   * @param class   faultClass  CpuFault subclass to create (see faults.js)
+   * @param mixed   details     Any further arguments the fault class takes
+   * @return CpuFault
    */
-  constructor(ram = null)
+  #fault = (faultClass, ...details) => new faultClass(
+    this.#preparedInstruction.pc ?? this.#registers.pc,
+    this.callChainToHex(this.#preparedBytes()),
+    Object.assign({}, this.#registers),
+    ...details
+  )
+
+  /**
+   * Fetch an instruction
+   *
+   * @throws InvalidOpcodeFault when the bytes at pc are not a z80 instruction
+   * @throws OpcodeTableFault   when the opcode table is broken
+   * @return Object  Status of the cpu: {halted: boolean}
+   */
+  fetch()
   {
-    // initialise memory to zero
-    for (let i = 0; i < Math.pow(2, 16); i++) {
-      this.#ram[i] = 0
+    this.#recordHistory()
+    if (this.#traceHandler !== null)
+      this.#traceHandler(this)
+    this.#decode()
+    return {halted: this.#halted}
+  }
+
+  /**
+   * Decode the instruction at pc into #preparedInstruction; run()/runUntil() use this directly, as it allocates
+   * nothing. each byte is looked up in the flat tables (see #handlers), moving to another table for a prefix.
+   *
+   * @throws InvalidOpcodeFault when the bytes at pc are not a z80 instruction
+   * @throws OpcodeTableFault   when the opcode table is broken
+   * @return void
+   */
+  #decode = () => {
+    const prepared = this.#preparedInstruction
+    prepared.pc = this.#registers.pc
+    prepared.length = 0
+    prepared.dd = null
+    prepared.handler = null
+
+    let offset = 0
+    for (;;) {
+      const opcode = this.#getPC()
+      prepared.bytes[prepared.length++] = opcode
+
+      const index = offset | opcode
+      const handler = this.#handlers[index]
+      if (handler !== null) {
+        prepared.handler = handler
+        prepared.cycles = this.#handlerCycles[index]
+        return
+      }
+
+      offset = this.#prefixes[index]
+      if (offset === 0)
+        throw this.#fault(InvalidOpcodeFault)
+      if (offset === this.#BROKEN_ENTRY)
+        throw this.#fault(OpcodeTableFault)
+
+      // ddcb/fdcb instructions follow the format 0x[dd/fd] 0xcb <displacement> <opcode>; the displacement is
+      // passed to the opcode. ALL OTHER +dd instructions (in the ix/iy tables) read their displacement themselves
+      if (this.#displacedTables[offset >> 8] === 1)
+        prepared.dd = this.#getPC()
     }
+  }
 
-    // we have a ram buffer to start with, so use that
-    if (ram !== null) {
-      this.#ram = ram
+  /**
+   * Execute an instruction which has been fetched with this.fetch()
+   *
+   * @throws ExecuteWithoutFetchFault when there is no fetched instruction to execute
+   * @return Object  Status of the cpu: {halted: boolean, cycles: t-states taken by the instruction,
+   *                  watchpoint: first watchpoint hit by the instruction or null (see addWatchpoint())}
+   */
+  execute()
+  {
+    if (this.#preparedInstruction.handler === null)
+      throw this.#fault(ExecuteWithoutFetchFault)
+
+    const startCycles = this.#cycles
+    this.#executePrepared()
+
+    return {halted: this.#halted, cycles: this.#cycles - startCycles, watchpoint: this.#watchpointHit}
+  }
+
+  /**
+   * Execute the prepared instruction (which must be there); the allocation free part of execute()
+   *
+   * @return void
+   */
+  #executePrepared = () => {
+    // an ei delay only lasts for the instruction immediately following ei
+    this.#interrupts.eiDelay = false
+    this.#watchpointHit = null
+
+    const prepared = this.#preparedInstruction
+    prepared.handler(prepared.dd)
+    this.#cycles += prepared.cycles
+  }
+
+  /**
+   * Bring the cpu out of a halt when accepting an interrupt; pc is moved past the halt instruction so that
+   * the interrupt routine returns to the instruction following it.
+   *
+   * @return void
+   */
+  #wake = () => {
+    if (!this.#halted)
+      return
+
+    this.#halted = false
+    this.#registers.pc = this.#addWord(this.#registers.pc, 1)
+  }
+
+  /**
+   * Raise a maskable interrupt. Call this between execute() and the next fetch(), as the real cpu only
+   * samples /INT at the end of an instruction. The interrupt is refused if iff1 is clear (di) or if the
+   * previous instruction was ei.
+   *
+   * How the cpu finds the interrupt routine depends on the interrupt mode:
+   * - im 0: the device places an instruction on the data bus; in practice this is an rst, which is all we
+   *   support (anything else behaves as rst 38h, which is what a floating 0xff bus gives you)
+   * - im 1: call 0x0038, ignoring the data bus
+   * - im 2: call the address stored in the vector table at (i << 8) | dataBus
+   *
+   * Accepting an interrupt brings the cpu out of a halt.
+   *
+   * @param number  dataBus Byte supplied by the interrupting device (0xff if the bus is floating)
+   * @return boolean  true if the interrupt was accepted
+   */
+  requestInterrupt(dataBus = 0xff)
+  {
+    if (!this.#interrupts.iff1 || this.#interrupts.eiDelay)
+      return false
+
+    this.#recordHistory()
+    this.#interrupts.iff1 = this.#interrupts.iff2 = false
+    this.#wake()
+    this.#pushWord(this.#registers.pc)
+
+    switch (this.#registers.im) {
+      case 0:
+        this.#registers.pc = ((dataBus & 0xc7) === 0xc7) ? (dataBus & 0x38) : 0x0038
+        this.#cycles += 13
+        break
+
+      case 1:
+        this.#registers.pc = 0x0038
+        this.#cycles += 13
+        break
+
+      case 2: {
+        const vector = this.#word(this.#registers.i, dataBus & 0xff)
+        this.#registers.pc = this.#word(this.#readByte(this.#addWord(vector, 1)), this.#readByte(vector))
+        this.#cycles += 19
+        break
+      }
     }
 
-    // initialise the F register flag tables
-    this.#initialiseFlagTables()
+    return true
+  }
 
-    // setup the cpu opcodes
-    this.#initOpcodes()
+  /**
+   * Raise a non-maskable interrupt; this is always accepted and calls 0x0066. iff1 is cleared to block
+   * maskable interrupts, whilst iff2 keeps its value so retn can restore the previous state.
+   *
+   * As with requestInterrupt(), call this between execute() and the next fetch(); it also ends a halt.
+   *
+   * @return void
+   */
+  requestNmi()
+  {
+    this.#recordHistory()
+    this.#interrupts.iff1 = false
+    this.#wake()
+    this.#pushWord(this.#registers.pc)
+    this.#registers.pc = 0x0066
+    this.#cycles += 11
   }
 
   /**
-   * Get a copy of the registers
+   * Add an execution breakpoint; run() and runUntil() stop before executing the instruction at this address
    *
-   * @return Object
+   * @param number  address Address of the instruction to stop at
+   * @return void
    */
-  getRegisters()
+  addBreakpoint(address)
   {
-    return this.#registers
+    this.#breakpoints.add(address & 0xffff)
   }
 
   /**
-   * Get the state of interrupts
+   * Remove an execution breakpoint
    *
-   * @return boolean
+   * @param number  address Address previously given to addBreakpoint()
+   * @return void
    */
-  getInterruptState()
+  removeBreakpoint(address)
   {
-    return this.#interrupts
+    this.#breakpoints.delete(address & 0xffff)
   }
 
   /**
-   * Return the contents of RAM
+   * Remove all execution breakpoints
    *
-   * @return Uint8Array
+   * @return void
    */
-  getRam()
+  clearBreakpoints()
   {
-    return this.#ram
+    this.#breakpoints.clear()
   }
 
   /**
-   * Convert an opcode instruction table chain to a hex string
+   * Get the addresses of all execution breakpoints
    *
-   * @param array   callchain   The callchain to convert into a hex string
-   * @return string
+   * @return array
    */
-  callChainToHex(callchain)
+  getBreakpoints()
   {
-    if (typeof callchain === 'undefined')
-      callchain = this.#preparedInstruction.instruction
+    return Array.from(this.#breakpoints)
+  }
+
+  /**
+   * Add a memory watchpoint over an address range; when an instruction reads or writes memory in the range,
+   * run() and runUntil() stop after that instruction. Details of the access are returned from execute() and
+   * runUntil() as {id, address, access, value, pc}, where value is the byte read or written and pc is the
+   * address of the instruction which touched it.
+   *
+   * Instruction fetches (opcodes and their immediate operands) are not data accesses and never trigger a
+   * watchpoint.
+   *
+   * @param number  start   First address to watch
+   * @param number  end     Last address to watch (defaults to start, to watch a single byte)
+   * @param string  access  'r' for reads, 'w' for writes or 'rw' for both
+   * @throws RangeError when the range or access type is invalid
+   * @return number Id of the watchpoint, for removeWatchpoint()
+   */
+  addWatchpoint(start, end = start, access = 'rw')
+  {
+    if (!Number.isInteger(start) || !Number.isInteger(end) || (start < 0) || (end > 0xffff) || (end < start))
+      throw new RangeError(`invalid watchpoint range: ${start}-${end}`)
 
-    return callchain.reduce((p, c, i) => p = p + c.toString(16).toUpperCase(), '0x')
+    if (!['r', 'w', 'rw'].includes(access))
+      throw new RangeError(`invalid watchpoint access type: ${access}`)
+
+    const id = this.#nextWatchpointId++
+    this.#watchpoints.set(id, {id, start, end, access})
+    return id
   }
 
   /**
-   * Fetch an instruction
+   * Remove a memory watchpoint
    *
+   * @param number  id  Id returned by addWatchpoint()
    * @return void
    */
-  fetch()
+  removeWatchpoint(id)
   {
-    let inFetch = true
-    this.#preparedInstruction = {
-      instruction: [],
-      dd: null,
-      opcodeScope: this.#opcodes
-    }
-
-    while (inFetch) {
-      // ddcb/fdcb subtable workaround - z80 ddcb/fdcb instructions follow the format 0x[dd/fd] 0xcb <parameter> <opcode>.
-      // so if we're at this level, pull the parameter and put into this.#pI.dd and fetch the next value for instruction.
-      // ALL OTHER +dd instructions (in IX/IY indirect levels 0xdd/fd) are handled by the simulated opcode and don't need this!
-      if ((this.#preparedInstruction.instruction.length === 2) &&
-          [0xdd, 0xfd].includes(this.#preparedInstruction.instruction[0]) &&
-          (this.#preparedInstruction.instruction[1] === 0xcb))
-        this.#preparedInstruction.dd = this.#getPC()
+    this.#watchpoints.delete(id)
+  }
 
-      const opcode = this.#getPC()
-      this.#preparedInstruction.instruction.push(opcode)
+  /**
+   * Remove all memory watchpoints
+   *
+   * @return void
+   */
+  clearWatchpoints()
+  {
+    this.#watchpoints.clear()
+  }
 
-      // check for invalid instruction
-      if (typeof this.#preparedInstruction.opcodeScope[opcode] === 'undefined') {
-        throw `CPU FAULT: invalid instruction opcode ${this.callChainToHex(this.#preparedInstruction.instruction)}`
-      }
+  /**
+   * Get a copy of all memory watchpoints as {id, start, end, access}
+   *
+   * @return array
+   */
+  getWatchpoints()
+  {
+    return Array.from(this.#watchpoints.values(), (watchpoint) => ({...watchpoint}))
+  }
+
+  /**
+   * Record the first watchpoint matching a memory access made by the current instruction
+   *
+   * @param number  address Address accessed
+   * @param string  access  'r' or 'w'
+   * @param number  value   Byte read or written
+   * @return void
+   */
+  #checkWatchpoints = (address, access, value) => {
+    if (this.#watchpointHit !== null)
+      return
 
-      if (typeof this.#preparedInstruction.opcodeScope[opcode] === 'object') {
-        // switch to a subtable
-        this.#preparedInstruction.opcodeScope = this.#preparedInstruction.opcodeScope[opcode]
-        continue
+    for (const watchpoint of this.#watchpoints.values()) {
+      if ((address >= watchpoint.start) && (address <= watchpoint.end) && watchpoint.access.includes(access)) {
+        this.#watchpointHit = {id: watchpoint.id, address, access, value, pc: this.#preparedInstruction.pc}
+        return
       }
+    }
+  }
+
+  /**
+   * Run instructions in a tight loop until something stops execution; see runUntil() for the result.
+   *
+   * @param number  maxInstructions Most instructions to execute before giving up (the budget)
+   * @return Object
+   */
+  run(maxInstructions = Infinity)
+  {
+    return this.runUntil(() => false, maxInstructions)
+  }
 
-      if (typeof this.#preparedInstruction.opcodeScope[opcode] === 'function') {
-        this.#preparedInstruction.opcodeScope = this.#preparedInstruction.opcodeScope[opcode]
-        inFetch = false
-        continue // this will break out of the fetch loop
+  /**
+   * Run instructions in a tight loop until the predicate returns true, a breakpoint or watchpoint is reached,
+   * the cpu halts or faults, or the instruction budget runs out. The predicate is called after each instruction
+   * with the cpu as its argument.
+   *
+   * A breakpoint at the address execution starts from is ignored, so that calling run() again resumes
+   * from a breakpoint rather than stopping on it straight away.
+   *
+   * Returns {reason, instructions, cycles, fault, watchpoint}, where reason is one of 'breakpoint',
+   * 'watchpoint', 'halt', 'fault', 'condition' (the predicate returned true) or 'budget'; instructions and
+   * cycles count what was executed, fault holds the CpuFault when the reason is 'fault' and watchpoint holds
+   * the watchpoint hit (see addWatchpoint()) when the reason is 'watchpoint'.
+   *
+   * @param function  predicate       Called with the cpu after each instruction; return true to stop
+   * @param number    maxInstructions Most instructions to execute before giving up
+   * @return Object
+   */
+  runUntil(predicate, maxInstructions = Infinity)
+  {
+    const startCycles = this.#cycles
+    let [instructions, reason, fault, watchpoint] = [0, 'budget', null, null]
+
+    // fetch() and execute() without their status objects, so that the loop allocates nothing
+    try {
+      while (instructions < maxInstructions) {
+        if ((instructions > 0) && (this.#breakpoints.size > 0) && this.#breakpoints.has(this.#registers.pc)) {
+          reason = 'breakpoint'
+          break
+        }
+
+        this.#recordHistory()
+        if (this.#traceHandler !== null)
+          this.#traceHandler(this)
+        this.#decode()
+        this.#executePrepared()
+        instructions++
+
+        if (this.#watchpointHit !== null) {
+          reason = 'watchpoint'
+          watchpoint = this.#watchpointHit
+          break
+        }
+
+        if (this.#halted) {
+          reason = 'halt'
+          break
+        }
+
+        if (predicate(this)) {
+          reason = 'condition'
+          break
+        }
       }
+    } catch (e) {
+      // anything which isn't a cpu fault is a bug in the simulator; let it escape
+      if (!(e instanceof CpuFault))
+        throw e
 
-      throw `vCPU FAULT: error in opcode table, examine callchain ${this.callChainToHex(this.#preparedInstruction.instruction)}`
+      reason = 'fault'
+      fault = e
     }
+
+    return {reason, instructions, cycles: this.#cycles - startCycles, fault, watchpoint}
   }
 
   /**
-   * Execute an instruction which has been fetched with this.fetch()
+   * Attach an I/O handler to a port. Most Z80 machines decode only some of the 16 address lines when selecting
+   * a port, so ports are matched under a mask: with the default mask of 0x00ff for ports up to 0xff, a handler
+   * for port 0x0a sees every access whose low byte is 0x0a, whatever is on the upper address lines, and ports
+   * above 0xff are matched in full. Where handlers overlap, the newest wins; attaching a handler to the same
+   * port and mask as an existing one replaces it.
+   *
+   * The handler is called as ioFunction(mode, data, port, cycles, context), where mode is 'r' or 'w', data is
+   * the byte written (undefined for reads), port is the full 16-bit port address, cycles is the t-states
+   * elapsed before the instruction and context is {cpu, pc}, pc being the address of the instruction. A read
+   * returns the byte read; returning nothing reads as 0xff, as a floating data bus would.
+   *
+   * @param number      port        I/O port (0-0xffff)
+   * @param ioFunction  ioFunction  Function to call during I/O operation
+   * @param number      mask        Address lines which select the port
+   * @throws RangeError when the port or mask is invalid
+   * @return number Id of the handler, for removeIoHandler()
+   */
+  addIoHandler(port, ioFunction, mask = (port > 0xff) ? 0xffff : 0x00ff)
+  {
+    return this.addIoRangeHandler(port, port, ioFunction, mask)
+  }
+
+  /**
+   * Attach an I/O handler to a range of ports, such as the registers of a peripheral chip; ports are matched
+   * under the mask as for addIoHandler(), which describes how the handler is called.
+   *
+   * @param number      start       First I/O port (0-0xffff)
+   * @param number      end         Last I/O port
+   * @param ioFunction  ioFunction  Function to call during I/O operation
+   * @param number      mask        Address lines which select the ports
+   * @throws RangeError when the range or mask is invalid
+   * @return number Id of the handler, for removeIoHandler()
+   */
+  addIoRangeHandler(start, end, ioFunction, mask = (end > 0xff) ? 0xffff : 0x00ff)
+  {
+    if (!Number.isInteger(mask) || (mask < 0) || (mask > 0xffff))
+      throw new RangeError(`invalid i/o port mask: ${mask}`)
+
+    if (!Number.isInteger(start) || !Number.isInteger(end) || (start < 0) || (end > 0xffff) || ((end & mask) < (start & mask)))
+      throw new RangeError(`invalid i/o port range: ${start}-${end}`)
+
+    const [maskedStart, maskedEnd] = [start & mask, end & mask]
+    this.#ioHandlers = this.#ioHandlers.filter((entry) => (entry.start !== maskedStart) || (entry.end !== maskedEnd) || (entry.mask !== mask))
+
+    const id = this.#nextIoHandlerId++
+    this.#ioHandlers.push({id, start: maskedStart, end: maskedEnd, mask, handler: ioFunction})
+    return id
+  }
+
+  /**
+   * Remove an I/O handler
    *
+   * @param number  id  Id returned by addIoHandler() or addIoRangeHandler()
    * @return void
    */
-  execute()
+  removeIoHandler(id)
+  {
+    this.#ioHandlers = this.#ioHandlers.filter((entry) => entry.id !== id)
+  }
+
+  /**
+   * Set the handler for ports which no other handler matches; it is called as addIoHandler() describes.
+   * Without one, reads from those ports give 0xff and writes go nowhere.
+   *
+   * @param ioFunction|null ioFunction  Function to call during I/O operation, or null to remove it
+   * @return void
+   */
+  setDefaultIoHandler(ioFunction)
+  {
+    this.#defaultIoHandler = ioFunction
+  }
+
+  /**
+   * Attach a memory mapped device to a range of addresses. The handler sees every data read and write the
+   * program makes in the range (instruction fetches aren't passed on); writes still reach memory, subject to
+   * the memory map, so the memory pane shows what was last written. Where handlers overlap, the newest wins.
+   *
+   * The handler is called as memoryFunction(mode, data, address, cycles, context), where mode is 'r' or 'w',
+   * data is the byte in memory for reads or the byte written for writes, cycles is the t-states elapsed before
+   * the instruction and context is {cpu, pc} as for I/O handlers. A read returns the byte read; returning
+   * nothing reads the byte in memory.
+   *
+   * @param number          start           First address
+   * @param number          end             Last address
+   * @param memoryFunction  memoryFunction  Function to call on each access
+   * @throws RangeError when the range is invalid
+   * @return number Id of the handler, for removeMemoryHandler()
+   */
+  addMemoryHandler(start, end, memoryFunction)
+  {
+    if (!Number.isInteger(start) || !Number.isInteger(end) || (start < 0) || (end > 0xffff) || (end < start))
+      throw new RangeError(`invalid memory handler range: ${start}-${end}`)
+
+    const id = this.#nextMemoryHandlerId++
+    this.#memoryHandlers.push({id, start, end, handler: memoryFunction})
+    this.#indexMemoryHandlers()
+    return id
+  }
+
+  /**
+   * Remove a memory mapped device handler
+   *
+   * @param number  id  Id returned by addMemoryHandler()
+   * @return void
+   */
+  removeMemoryHandler(id)
+  {
+    this.#memoryHandlers = this.#memoryHandlers.filter((entry) => entry.id !== id)
+    this.#indexMemoryHandlers()
+  }
+
+  /**
+   * Work out which memory handler answers each address, the newest winning
+   *
+   * @return void
+   */
+  #indexMemoryHandlers = () => {
+    this.#memoryHandlerIndex.fill(0)
+    this.#memoryHandlers.forEach((entry, position) => this.#memoryHandlerIndex.fill(position + 1, entry.start, entry.end + 1))
+  }
+
+  /**
+   * CPU opcode helper to call the memory handler for an address
+   *
+   * @param number  address Address accessed
+   * @param string  rw      Read/write (r or w)
+   * @param number  data    Byte in memory (reads) or byte written (writes)
+   * @return number The byte read, for reads
+   */
+  #callMemoryHandler = (address, rw, data) => {
+    const entry = this.#memoryHandlers[this.#memoryHandlerIndex[address] - 1]
+    this.#ioContext.pc = this.#preparedInstruction.pc
+    const value = entry.handler(rw, data, address, this.#cycles, this.#ioContext)
+    return (rw === 'r') ? ((value ?? data) & 0xff) : data
+  }
+
+  /**
+   * Attach a function to be called, with the cpu, each time reti executes. Peripherals on an interrupt daisy
+   * chain need it: each holds off the interrupts of those below it until its interrupt routine returns.
+   *
+   * @param function  retiFunction  Function to call
+   * @return number Id of the handler, for removeRetiHandler()
+   */
+  addRetiHandler(retiFunction)
   {
-    if ((this.#preparedInstruction === {})
-        || (this.#preparedInstruction.instruction === [])
-        || (typeof this.#preparedInstruction.opcodeScope !== 'function'))
-      throw `vCPU FAULT: execute() called without fetch() or major fault`
+    const id = this.#nextRetiHandlerId++
+    this.#retiHandlers.push({id, handler: retiFunction})
+    return id
+  }
 
-    this.#preparedInstruction.opcodeScope(this.#preparedInstruction.dd)
+  /**
+   * Remove a reti handler
+   *
+   * @param number  id  Id returned by addRetiHandler()
+   * @return void
+   */
+  removeRetiHandler(id)
+  {
+    this.#retiHandlers = this.#retiHandlers.filter((entry) => entry.id !== id)
   }
 
   /**
-   * Setup an I/O handler by inserting it into the ioHandler array; an input/output on that port will
-   * call the supplied callback.
+   * Set a function to be called, with the cpu, before each instruction is fetched, whilst pc and the other
+   * registers still hold the state the instruction starts from; an execution trace (see trace.js) records the
+   * cpu from it. Accepting an interrupt isn't an instruction, so isn't traced. Only one trace handler is kept.
    *
-   * @param number      port    I/O port (0-255) to attach callback to
-   * @param ioFunction  handler Function to call during I/O operation; will pass 'r'/'w' as arg1, uint8 data as arg2
+   * @param function|null traceFunction Function to call, or null to stop calling one
    * @return void
    */
-  addIoHandler(port, ioFunction)
+  setTraceHandler(traceFunction)
   {
-    this.#ioHandlers[port] = ioFunction
+    this.#traceHandler = traceFunction
   }
 
   /**
-   * CPU opcode helper to call the I/O handler
+   * CPU opcode helper to call the I/O handler for a port
    *
-   * @param number      port  I/O port number
+   * @param number      port  16-bit I/O port address
    * @param string      rw    Read/write (r or w)
-   * @param number|void data  Data byte to send/get (may be undefined for reads)
-   * @return number|void
+   * @param number|void data  Data byte to send (undefined for reads)
+   * @return number|void The byte read, for reads
    */
   #callIoHandler = (port, rw, data) => {
-    if (typeof this.#ioHandlers[port] === 'undefined')
-      return
+    let handler = this.#defaultIoHandler
+    for (let i = this.#ioHandlers.length - 1; i >= 0; i--) {
+      const entry = this.#ioHandlers[i]
+      const masked = port & entry.mask
+      if ((masked >= entry.start) && (masked <= entry.end)) {
+        handler = entry.handler
+        break
+      }
+    }
+
+    if (handler === null)
+      return (rw === 'r') ? 0xff : undefined
 
-    return this.#ioHandlers[port](rw, data)
+    this.#ioContext.pc = this.#preparedInstruction.pc
+    const value = handler(rw, data, port, this.#cycles, this.#ioContext)
+    return (rw === 'r') ? ((value ?? 0xff) & 0xff) : undefined
   }
 }
 
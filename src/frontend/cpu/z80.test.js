@@ -5,8 +5,7 @@
  */
 
 import z80 from './z80.js'
-
-const haltException = 'cpu halted by opcode'
+import { CpuFault, InvalidOpcodeFault, ExecuteWithoutFetchFault, WriteProtectFault } from './faults.js'
 
 test('It returns a set of registers in their default state', () => {
   const cpuInstance = new z80
@@ -39,14 +38,8 @@ test('It returns the correct interrupt mode', () => {
   cpuInstance.fetch()
   cpuInstance.execute()
   cpuInstance.fetch()
-  let exception
-  try {
-    cpuInstance.execute()
-  } catch (e) {
-    exception = e
-  }
 
-  expect(exception).toBe(haltException)
+  expect(cpuInstance.execute().halted).toBe(true)
 
   expect(cpuInstance.getRegisters().im).toBe(2)
 })
@@ -59,14 +52,8 @@ test('It indicates when interrupts are disabled', () => {
   cpuInstance.fetch()
   cpuInstance.execute()
   cpuInstance.fetch()
-  let exception
-  try {
-    cpuInstance.execute()
-  } catch (e) {
-    exception = e
-  }
 
-  expect(exception).toBe(haltException)
+  expect(cpuInstance.execute().halted).toBe(true)
 
   expect(cpuInstance.getInterruptState()).toBe(false)
 })
@@ -107,3 +94,814 @@ test('It sends messages to an IO handler', () => {
 
   expect(buf).toStrictEqual([0x21])
 })
+
+test('It counts t-states for each instruction executed', () => {
+  let program = new Uint8Array(7)
+  program.set([
+    0x00,                   // nop
+    0xdd, 0x21, 0x34, 0x12, // ld ix,0x1234
+    0xcb, 0x00              // rlc b
+  ])
+  const cpuInstance = new z80(program)
+  expect(cpuInstance.getCycles()).toBe(0)
+
+  for (let i = 0; i < 3; i++) {
+    cpuInstance.fetch()
+    cpuInstance.execute()
+  }
+
+  expect(cpuInstance.getCycles()).toBe(4 + 14 + 8)
+})
+
+test('It counts extra t-states for a taken conditional jump', () => {
+  let program = new Uint8Array(5)
+  program.set([
+    0xaf,       // xor a (sets the zero flag)
+    0x20, 0x00, // jr nz,$+2 (not taken)
+    0x28, 0x00  // jr z,$+2 (taken)
+  ])
+  const cpuInstance = new z80(program)
+
+  for (let i = 0; i < 3; i++) {
+    cpuInstance.fetch()
+    cpuInstance.execute()
+  }
+
+  expect(cpuInstance.getCycles()).toBe(4 + 7 + 12)
+})
+
+test('It repeats block instructions and counts their t-states', () => {
+  let program = new Uint8Array(Math.pow(2, 16))
+  program.set([
+    0x21, 0x00, 0x10, // ld hl,0x1000
+    0x11, 0x00, 0x20, // ld de,0x2000
+    0x01, 0x03, 0x00, // ld bc,3
+    0xed, 0xb0        // ldir
+  ])
+  program.set([0x11, 0x22, 0x33], 0x1000)
+  const cpuInstance = new z80(program)
+
+  // three loads, then ldir executes once per byte copied
+  for (let i = 0; i < 6; i++) {
+    cpuInstance.fetch()
+    cpuInstance.execute()
+  }
+
+  expect(Array.from(cpuInstance.getRam().slice(0x2000, 0x2003))).toStrictEqual([0x11, 0x22, 0x33])
+  expect(cpuInstance.getRegisters().bc).toBe(0)
+  expect(cpuInstance.getRegisters().pc).toBe(11)
+  expect(cpuInstance.getCycles()).toBe((10 * 3) + 21 + 21 + 16)
+})
+
+test('It delays maskable interrupts until after the instruction following ei', () => {
+  let program = new Uint8Array(Math.pow(2, 16))
+  program.set([
+    0xed, 0x56, // im 1
+    0xfb,       // ei
+    0x00        // nop
+  ])
+  const cpuInstance = new z80(program)
+
+  cpuInstance.fetch()
+  cpuInstance.execute()
+  cpuInstance.fetch()
+  cpuInstance.execute()
+  expect(cpuInstance.requestInterrupt()).toBe(false)
+
+  cpuInstance.fetch()
+  cpuInstance.execute()
+  expect(cpuInstance.requestInterrupt()).toBe(true)
+
+  // the return address is pushed and interrupts are disabled whilst servicing
+  const regs = cpuInstance.getRegisters()
+  expect(regs.pc).toBe(0x0038)
+  expect(regs.sp).toBe(0xfffd)
+  expect(cpuInstance.getRam()[0xfffd]).toBe(0x04)
+  expect(cpuInstance.getInterruptState()).toBe(false)
+  expect(cpuInstance.requestInterrupt()).toBe(false)
+})
+
+test('It vectors mode 2 interrupts through the i register', () => {
+  let program = new Uint8Array(Math.pow(2, 16))
+  program.set([
+    0xed, 0x5e, // im 2
+    0x3e, 0x12, // ld a,0x12
+    0xed, 0x47, // ld i,a
+    0xfb,       // ei
+    0x00        // nop
+  ])
+  program.set([0x00, 0x30], 0x12fe)
+  const cpuInstance = new z80(program)
+
+  for (let i = 0; i < 5; i++) {
+    cpuInstance.fetch()
+    cpuInstance.execute()
+  }
+
+  const cycles = cpuInstance.getCycles()
+  expect(cpuInstance.requestInterrupt(0xfe)).toBe(true)
+  expect(cpuInstance.getRegisters().pc).toBe(0x3000)
+  expect(cpuInstance.getCycles()).toBe(cycles + 19)
+})
+
+test('It services an nmi and restores interrupts with retn', () => {
+  let program = new Uint8Array(Math.pow(2, 16))
+  program.set([0x00])             // nop
+  program.set([0xed, 0x45], 0x66) // retn
+  const cpuInstance = new z80(program)
+
+  cpuInstance.fetch()
+  cpuInstance.execute()
+  cpuInstance.requestNmi()
+
+  expect(cpuInstance.getRegisters().pc).toBe(0x0066)
+  expect(cpuInstance.getInterruptState()).toBe(false)
+  expect(cpuInstance.requestInterrupt()).toBe(false)
+
+  cpuInstance.fetch()
+  cpuInstance.execute()
+
+  expect(cpuInstance.getRegisters().pc).toBe(0x0001)
+  expect(cpuInstance.getInterruptState()).toBe(true)
+})
+
+test('It stays halted, burning nop cycles, until an interrupt arrives', () => {
+  let program = new Uint8Array(Math.pow(2, 16))
+  program.set([
+    0xed, 0x56, // im 1
+    0xfb,       // ei
+    0x76,       // halt
+    0x00        // nop
+  ])
+  const cpuInstance = new z80(program)
+
+  for (let i = 0; i < 3; i++) {
+    cpuInstance.fetch()
+    cpuInstance.execute()
+  }
+
+  expect(cpuInstance.isHalted()).toBe(true)
+  expect(cpuInstance.getRegisters().pc).toBe(0x0003)
+
+  // whilst halted, the cpu keeps executing the halt (as a nop) without moving on
+  expect(cpuInstance.fetch()).toStrictEqual({halted: true})
+  expect(cpuInstance.execute()).toStrictEqual({halted: true, cycles: 4, watchpoint: null})
+  expect(cpuInstance.getRegisters().pc).toBe(0x0003)
+
+  // an interrupt wakes the cpu and returns to the instruction after the halt
+  expect(cpuInstance.requestInterrupt()).toBe(true)
+  expect(cpuInstance.isHalted()).toBe(false)
+  expect(cpuInstance.getRegisters().pc).toBe(0x0038)
+  expect(cpuInstance.getRam()[0xfffd]).toBe(0x04)
+})
+
+test('It throws a structured fault for an invalid opcode', () => {
+  let program = new Uint8Array(3)
+  program.set([
+    0x00,      // nop
+    0xed, 0x00 // not an instruction
+  ])
+  const cpuInstance = new z80(program)
+  cpuInstance.fetch()
+  cpuInstance.execute()
+
+  let fault
+  try {
+    cpuInstance.fetch()
+  } catch (e) {
+    fault = e
+  }
+
+  expect(fault).toBeInstanceOf(InvalidOpcodeFault)
+  expect(fault).toBeInstanceOf(CpuFault)
+  expect(fault.pc).toBe(0x0001)
+  expect(fault.callChain).toBe('0xED00')
+  expect(fault.registers.pc).toBe(0x0003)
+  expect(fault.message).toBe('CPU FAULT: invalid instruction opcode 0xED00')
+})
+
+test('It throws a structured fault when executing without a fetch', () => {
+  const cpuInstance = new z80
+  expect(() => cpuInstance.execute()).toThrow(ExecuteWithoutFetchFault)
+})
+
+test('It saves and restores the complete machine state', () => {
+  let program = new Uint8Array(Math.pow(2, 16))
+  program.set([
+    0x3e, 0x42,       // ld a,0x42
+    0x32, 0x00, 0x80, // ld (0x8000),a
+    0xf3,             // di
+    0x3c,             // inc a
+    0x76              // halt
+  ])
+  const cpuInstance = new z80(program)
+
+  for (let i = 0; i < 3; i++) {
+    cpuInstance.fetch()
+    cpuInstance.execute()
+  }
+
+  // save mid-instruction: inc a has been fetched but not executed
+  cpuInstance.fetch()
+  const state = JSON.parse(JSON.stringify(cpuInstance.saveState()))
+
+  const restored = new z80
+  restored.loadState(state)
+
+  expect(restored.getRegisters()).toStrictEqual(cpuInstance.getRegisters())
+  expect(restored.getRam()).toStrictEqual(cpuInstance.getRam())
+  expect(restored.getCycles()).toBe(cpuInstance.getCycles())
+  expect(restored.getInterruptState()).toBe(false)
+
+  // both machines carry on identically
+  for (const cpu of [cpuInstance, restored]) {
+    cpu.execute()
+    cpu.fetch()
+    cpu.execute()
+  }
+
+  expect(restored.getRegisters()).toStrictEqual(cpuInstance.getRegisters())
+  expect(restored.getRegisters().af >> 8).toBe(0x43)
+  expect(restored.isHalted()).toBe(true)
+  expect(restored.getCycles()).toBe(cpuInstance.getCycles())
+})
+
+test('It restores a fetched prefixed instruction along with its displacement', () => {
+  let program = new Uint8Array(Math.pow(2, 16))
+  program.set([
+    0xdd, 0x21, 0x00, 0x80, // ld ix,0x8000
+    0xdd, 0xcb, 0x02, 0xc6  // set 0,(ix+2)
+  ])
+  const cpuInstance = new z80(program)
+  cpuInstance.fetch()
+  cpuInstance.execute()
+  cpuInstance.fetch()
+
+  const state = JSON.parse(JSON.stringify(cpuInstance.saveState()))
+  expect(state.preparedInstruction).toStrictEqual({pc: 0x0004, instruction: [0xdd, 0xcb, 0xc6], dd: 0x02})
+
+  const restored = new z80
+  restored.loadState(state)
+  expect(restored.callChainToHex()).toBe('0xDDCBC6')
+  expect(restored.execute().cycles).toBe(23)
+  expect(restored.getRam()[0x8002]).toBe(0x01)
+
+  // an instruction which doesn't decode is refused
+  expect(() => restored.loadState({...state, preparedInstruction: {pc: 0x0004, instruction: [0xdd, 0x00], dd: null}}))
+    .toThrow('invalid prepared instruction 0xDD00')
+  expect(() => restored.execute()).toThrow(ExecuteWithoutFetchFault)
+})
+
+test('It encodes a saved state the same with btoa() in a browser as with Buffer in node', () => {
+  let program = new Uint8Array(Math.pow(2, 16)).map((value, address) => address & 0xff)
+  const cpuInstance = new z80(program)
+
+  // node before version 16 has no btoa() or atob()
+  const {btoa, atob} = globalThis
+  delete globalThis.btoa
+  delete globalThis.atob
+  let nodeState
+  try {
+    nodeState = cpuInstance.saveState()
+  } finally {
+    Object.assign(globalThis, {btoa, atob})
+  }
+
+  // and browsers have no Buffer
+  const {Buffer} = globalThis
+  delete globalThis.Buffer
+  let browserState
+  const restored = new z80
+  try {
+    browserState = cpuInstance.saveState()
+    restored.loadState(nodeState)
+  } finally {
+    globalThis.Buffer = Buffer
+  }
+
+  expect(browserState.ram).toBe(nodeState.ram)
+  expect(restored.getRam()).toStrictEqual(program)
+})
+
+test('It refuses to load an unrecognised state', () => {
+  const cpuInstance = new z80
+  expect(() => cpuInstance.loadState({version: 99})).toThrow('unrecognised state format')
+})
+
+test('It sets 8-bit, 16-bit and alternate registers by name', () => {
+  const cpuInstance = new z80
+  cpuInstance.setRegister('a', 0x12)
+  cpuInstance.setRegister('F', 0x34)
+  cpuInstance.setRegister('ixh', 0xab)
+  cpuInstance.setRegister("hl'", 0xbeef)
+  cpuInstance.setRegisters({"b'": 0x56, c2: 0x78, sp: 0x8000, im: 2})
+
+  const regs = cpuInstance.getRegisters()
+  expect(regs.af).toBe(0x1234)
+  expect(regs.ix).toBe(0xab00)
+  expect(regs.hl2).toBe(0xbeef)
+  expect(regs.bc2).toBe(0x5678)
+  expect(regs.sp).toBe(0x8000)
+  expect(regs.im).toBe(2)
+})
+
+test('It validates register writes before changing anything', () => {
+  const cpuInstance = new z80
+  expect(() => cpuInstance.setRegister('q', 1)).toThrow('unknown register')
+  expect(() => cpuInstance.setRegister('_gen', 1)).toThrow('unknown register')
+  expect(() => cpuInstance.setRegister('a', 0x100)).toThrow(RangeError)
+  expect(() => cpuInstance.setRegister('im', 3)).toThrow(RangeError)
+  expect(() => cpuInstance.setRegister('bc', 1.5)).toThrow(RangeError)
+
+  // a bad entry stops the whole batch
+  expect(() => cpuInstance.setRegisters({bc: 0x1234, de: -1})).toThrow(RangeError)
+  expect(cpuInstance.getRegisters().bc).toBe(0x0000)
+})
+
+test('It sets and clears individual flags', () => {
+  const cpuInstance = new z80
+  cpuInstance.setRegister('f', 0x00)
+  cpuInstance.setFlag('z', true)
+  cpuInstance.setFlag('C', true)
+  expect(cpuInstance.getRegisters().af & 0xff).toBe(0x41)
+
+  cpuInstance.setFlag('z', false)
+  expect(cpuInstance.getRegisters().af).toBe(0xff01)
+  expect(() => cpuInstance.setFlag('q', true)).toThrow('unknown flag')
+})
+
+test('It runs until a breakpoint, and resumes from it', () => {
+  let program = new Uint8Array(Math.pow(2, 16))
+  program.set([
+    0x3c,             // loop: inc a
+    0xc3, 0x00, 0x00  // jp loop
+  ])
+  const cpuInstance = new z80(program)
+  cpuInstance.setRegister('a', 0)
+  cpuInstance.addBreakpoint(0x0001)
+  expect(cpuInstance.getBreakpoints()).toStrictEqual([0x0001])
+
+  expect(cpuInstance.run(100)).toStrictEqual({reason: 'breakpoint', instructions: 1, cycles: 4, fault: null, watchpoint: null})
+  expect(cpuInstance.getRegisters().pc).toBe(0x0001)
+
+  // resuming executes the instruction at the breakpoint before stopping there again
+  expect(cpuInstance.run(100).instructions).toBe(2)
+  expect(cpuInstance.getRegisters().af >> 8).toBe(2)
+
+  cpuInstance.removeBreakpoint(0x0001)
+  expect(cpuInstance.run(10)).toStrictEqual({reason: 'budget', instructions: 10, cycles: 5 * 4 + 5 * 10, fault: null, watchpoint: null})
+})
+
+test('It stops running on halt, fault or a condition', () => {
+  let program = new Uint8Array(Math.pow(2, 16))
+  program.set([
+    0x3c,             // loop: inc a
+    0xc3, 0x00, 0x00, // jp loop
+    0x76,             // halt
+    0xed, 0x00        // not an instruction
+  ])
+  const cpuInstance = new z80(program)
+  cpuInstance.setRegister('a', 0)
+
+  expect(cpuInstance.runUntil((cpu) => (cpu.getRegisters().af >> 8) === 3).reason).toBe('condition')
+  expect(cpuInstance.getRegisters().pc).toBe(0x0001)
+
+  cpuInstance.setRegister('pc', 0x0004)
+  expect(cpuInstance.run().reason).toBe('halt')
+
+  cpuInstance.setRegister('pc', 0x0005)
+  const result = cpuInstance.run()
+  expect(result.reason).toBe('fault')
+  expect(result.fault.pc).toBe(0x0005)
+  expect(result.instructions).toBe(0)
+})
+
+test('It stops on a write watchpoint and reports the instruction which wrote', () => {
+  let program = new Uint8Array(Math.pow(2, 16))
+  program.set([
+    0x21, 0x00, 0x80, // ld hl,0x8000
+    0x3c,             // loop: inc a
+    0x77,             // ld (hl),a
+    0x23,             // inc hl
+    0xc3, 0x03, 0x00  // jp loop
+  ])
+  const cpuInstance = new z80(program)
+  cpuInstance.setRegister('a', 0)
+  const id = cpuInstance.addWatchpoint(0x8002, 0x8003, 'w')
+  expect(cpuInstance.getWatchpoints()).toStrictEqual([{id, start: 0x8002, end: 0x8003, access: 'w'}])
+
+  const result = cpuInstance.run(100)
+  expect(result.reason).toBe('watchpoint')
+  expect(result.watchpoint).toStrictEqual({id, address: 0x8002, access: 'w', value: 3, pc: 0x0004})
+  expect(cpuInstance.getRegisters().pc).toBe(0x0005)
+
+  expect(cpuInstance.run(100).watchpoint.address).toBe(0x8003)
+
+  cpuInstance.removeWatchpoint(id)
+  expect(cpuInstance.run(100).reason).toBe('budget')
+})
+
+test('It stops on read watchpoints, including stack reads, but not instruction fetches', () => {
+  let program = new Uint8Array(Math.pow(2, 16))
+  program.set([
+    0x3a, 0x00, 0x80, // ld a,(0x8000)
+    0xc5,             // push bc
+    0xc1,             // pop bc
+    0x76              // halt
+  ])
+  program[0x8000] = 0x42
+  const cpuInstance = new z80(program)
+  cpuInstance.setRegister('sp', 0x9000)
+  cpuInstance.addWatchpoint(0x0000, 0x0005, 'r')
+  cpuInstance.addWatchpoint(0x8000, 0x8000, 'r')
+  cpuInstance.addWatchpoint(0x8fff, 0x8fff, 'r')
+
+  expect(cpuInstance.run().watchpoint).toMatchObject({address: 0x8000, access: 'r', value: 0x42, pc: 0x0000})
+  // the push writes to the watched stack address, which isn't watched for writes
+  expect(cpuInstance.run().watchpoint).toMatchObject({address: 0x8fff, access: 'r', pc: 0x0004})
+  expect(cpuInstance.run().reason).toBe('halt')
+
+  expect(() => cpuInstance.addWatchpoint(0x10, 0x0f)).toThrow(RangeError)
+  expect(() => cpuInstance.addWatchpoint(0x10, 0x10, 'x')).toThrow(RangeError)
+  cpuInstance.clearWatchpoints()
+  expect(cpuInstance.getWatchpoints()).toStrictEqual([])
+})
+
+test('It steps back through instructions, restoring registers and ram', () => {
+  let program = new Uint8Array(Math.pow(2, 16))
+  program.set([
+    0x21, 0x00, 0x80, // ld hl,0x8000
+    0x3e, 0x55,       // ld a,0x55
+    0x77,             // ld (hl),a
+    0xe5,             // push hl
+    0x76              // halt
+  ])
+  const cpuInstance = new z80(program)
+  cpuInstance.setRegister('sp', 0x9000)
+  cpuInstance.setHistoryLimit(100)
+
+  expect(cpuInstance.run().reason).toBe('halt')
+  expect(cpuInstance.getHistoryLength()).toBe(5)
+  expect(cpuInstance.getRam()[0x8000]).toBe(0x55)
+  expect(cpuInstance.getRam()[0x8fff]).toBe(0x80)
+
+  // undo the halt and the push
+  expect(cpuInstance.stepBack(2)).toBe(2)
+  expect(cpuInstance.isHalted()).toBe(false)
+  expect(cpuInstance.getRegisters().sp).toBe(0x9000)
+  expect(cpuInstance.getRegisters().pc).toBe(0x0006)
+  expect(cpuInstance.getRam()[0x8fff]).toBe(0x00)
+
+  // and the store, then everything left
+  cpuInstance.stepBack()
+  expect(cpuInstance.getRam()[0x8000]).toBe(0x00)
+  expect(cpuInstance.stepBack(10)).toBe(2)
+  expect(cpuInstance.getRegisters().pc).toBe(0x0000)
+  expect(cpuInstance.getRegisters().hl).toBe(0x0000)
+  expect(cpuInstance.getCycles()).toBe(0)
+
+  // execution carries on as normal from the rewound state
+  expect(cpuInstance.run().reason).toBe('halt')
+  expect(cpuInstance.getRam()[0x8000]).toBe(0x55)
+})
+
+test('It reads and writes memory for a trapped call as the instruction which made the call would', () => {
+  let program = new Uint8Array(Math.pow(2, 16))
+  program.set([
+    0xcd, 0x00, 0x01, // call 0x0100
+    0x76              // halt
+  ])
+  program[0x8000] = 0x42
+  const cpuInstance = new z80(program)
+  cpuInstance.setRegister('sp', 0x9000)
+  cpuInstance.setHistoryLimit(100)
+  cpuInstance.setMemoryMap([{start: 0xc000, end: 0xffff, type: 'rom', fault: false}])
+  const id = cpuInstance.addWatchpoint(0x8001, 0x8001, 'w')
+
+  // the trap takes over where the call goes
+  expect(cpuInstance.runUntil((cpu) => cpu.getRegisters().pc === 0x0100).reason).toBe('condition')
+  const trapped = cpuInstance.trap((cpu) => {
+    cpu.writeMemory(0x8001, cpu.readMemory(0x8000) + 1)
+    cpu.writeMemory(0xc000, 0xff)
+    return 'done'
+  })
+  expect(trapped).toStrictEqual({value: 'done', watchpoint: {id, address: 0x8001, access: 'w', value: 0x43, pc: 0x0000}})
+  expect(cpuInstance.getRam()[0x8001]).toBe(0x43)
+  expect(cpuInstance.getRam()[0xc000]).toBe(0x00)
+
+  // stepping back over the call undoes what the trap wrote
+  expect(cpuInstance.stepBack()).toBe(1)
+  expect(cpuInstance.getRegisters().pc).toBe(0x0000)
+  expect(cpuInstance.getRam()[0x8001]).toBe(0x00)
+})
+
+test('It keeps a bounded history, and steps back over interrupts', () => {
+  let program = new Uint8Array(Math.pow(2, 16))
+  program.set([
+    0xed, 0x56,       // im 1
+    0x3c,             // loop: inc a
+    0xc3, 0x02, 0x00  // jp loop
+  ])
+  const cpuInstance = new z80(program)
+  cpuInstance.setRegister('a', 0)
+  cpuInstance.setHistoryLimit(3)
+  cpuInstance.run(10)
+  expect(cpuInstance.getHistoryLength()).toBe(3)
+
+  const registers = cpuInstance.getRegisters()
+  expect(cpuInstance.requestInterrupt()).toBe(true)
+  expect(cpuInstance.getRegisters().pc).toBe(0x0038)
+
+  expect(cpuInstance.stepBack()).toBe(1)
+  expect(cpuInstance.getRegisters()).toStrictEqual(registers)
+  expect(cpuInstance.getInterruptState()).toBe(true)
+
+  // shrinking the limit keeps the newest entries
+  cpuInstance.setHistoryLimit(1)
+  expect(cpuInstance.getHistoryLength()).toBe(1)
+  cpuInstance.stepBack()
+  expect(cpuInstance.getRegisters().pc).toBe(0x0002)
+
+  cpuInstance.setHistoryLimit(0)
+  cpuInstance.run(2)
+  expect(cpuInstance.stepBack()).toBe(0)
+  expect(() => cpuInstance.setHistoryLimit(-1)).toThrow(RangeError)
+})
+
+test('It ignores writes to rom, except where a later ram region overlaps it', () => {
+  let program = new Uint8Array(Math.pow(2, 16))
+  program.set([
+    0x3e, 0x55,       // ld a,$55
+    0x32, 0x00, 0x00, // ld ($0000),a
+    0x32, 0x00, 0x20, // ld ($2000),a
+    0xdd, 0xcb, 0x00, 0x06, // rlc (ix+0) (ix = $0001)
+    0x76              // halt
+  ])
+  const cpuInstance = new z80(program)
+  cpuInstance.setRegister('ix', 0x0001)
+  cpuInstance.setMemoryMap([
+    {start: 0x0000, end: 0x3fff, type: 'rom'},
+    {start: 0x2000, end: 0x2fff, type: 'ram'}
+  ])
+  expect(cpuInstance.getMemoryMap()).toStrictEqual([
+    {start: 0x0000, end: 0x3fff, type: 'rom', fault: false},
+    {start: 0x2000, end: 0x2fff, type: 'ram', fault: false}
+  ])
+
+  const watchpoint = cpuInstance.addWatchpoint(0x0000, 0x0000, 'w')
+  expect(cpuInstance.run().watchpoint).toStrictEqual({id: watchpoint, address: 0x0000, access: 'w', value: 0x55, pc: 0x0002})
+  expect(cpuInstance.run().reason).toBe('halt')
+  expect(program[0x0000]).toBe(0x3e)
+  expect(program[0x0001]).toBe(0x55)
+  expect(program[0x2000]).toBe(0x55)
+
+  // an empty map makes everything writable again
+  cpuInstance.setMemoryMap([])
+  cpuInstance.setRegisters({pc: 0x0002})
+  cpuInstance.clearWatchpoints()
+  cpuInstance.run()
+  expect(program[0x0000]).toBe(0x55)
+})
+
+test('It faults on a write to rom with the address of the instruction which wrote', () => {
+  let program = new Uint8Array(Math.pow(2, 16))
+  program.set([
+    0x31, 0x00, 0x40, // ld sp,$4000
+    0xc5,             // push bc
+    0x76              // halt
+  ])
+  const cpuInstance = new z80(program)
+  cpuInstance.setMemoryMap([{start: 0x3000, end: 0x3fff, type: 'rom', fault: true}])
+  cpuInstance.setRegister('bc', 0x1234)
+
+  const result = cpuInstance.run()
+  expect(result.reason).toBe('fault')
+  expect(result.fault).toBeInstanceOf(WriteProtectFault)
+  expect(result.fault).toBeInstanceOf(CpuFault)
+  expect(result.fault.pc).toBe(0x0003)
+  expect(result.fault.address).toBe(0x3fff)
+  expect(result.fault.value).toBe(0x12)
+  expect(result.fault.message).toBe('CPU FAULT: write of 0x12 to read-only memory at 0x3fff')
+  expect(program[0x3fff]).toBe(0x00)
+
+  expect(() => cpuInstance.setMemoryMap([{start: 0x4000, end: 0x3fff, type: 'rom'}])).toThrow(RangeError)
+  expect(() => cpuInstance.setMemoryMap([{start: 0x0000, end: 0x3fff, type: 'eprom'}])).toThrow(RangeError)
+  expect(cpuInstance.getMemoryMap()).toStrictEqual([{start: 0x3000, end: 0x3fff, type: 'rom', fault: true}])
+})
+
+test('It pages banks into slots of the address space through an I/O port', () => {
+  let program = new Uint8Array(Math.pow(2, 16))
+  program.set([
+    0x3e, 0x01,       // ld a,1
+    0xd3, 0xfe,       // out ($fe),a
+    0x32, 0x00, 0xc0, // ld ($c000),a
+    0x3e, 0x06,       // ld a,6 (bank 2, as there are four)
+    0xd3, 0xfe,       // out ($fe),a
+    0x32, 0x01, 0xc0, // ld ($c001),a
+    0xdb, 0xfe,       // in a,($fe)
+    0x76              // halt
+  ])
+  program[0xc000] = 0x99
+  const cpuInstance = new z80(program)
+  cpuInstance.setBanks(4)
+  cpuInstance.addBankPort(0xfe, 3)
+  expect(cpuInstance.getBankMapping()).toStrictEqual([null, null, null, null])
+
+  expect(cpuInstance.run().reason).toBe('halt')
+  expect(cpuInstance.getBankMapping()).toStrictEqual([null, null, null, 2])
+  expect(cpuInstance.getRegisters().af >> 8).toBe(2)
+  expect(cpuInstance.getBank(1)[0x0000]).toBe(0x01)
+  expect(cpuInstance.getBank(2)[0x0001]).toBe(0x06)
+  expect(program[0xc000]).toBe(0x99)
+  expect(cpuInstance.getAddressSpace()[0xc001]).toBe(0x06)
+
+  // a bank paged into two slots is the same memory in both
+  cpuInstance.mapBank(0, 1)
+  expect(cpuInstance.getAddressSpace()[0x0000]).toBe(0x01)
+  cpuInstance.mapBank(0, null)
+  expect(cpuInstance.getAddressSpace()[0x0000]).toBe(0x3e)
+
+  expect(() => cpuInstance.mapBank(4, 0)).toThrow(RangeError)
+  expect(() => cpuInstance.mapBank(0, 4)).toThrow(RangeError)
+  expect(() => cpuInstance.setBanks(2, 0x3000)).toThrow(RangeError)
+  expect(() => cpuInstance.getBank(4)).toThrow(RangeError)
+})
+
+test('It saves, restores and steps back through banked memory', () => {
+  let program = new Uint8Array(Math.pow(2, 16))
+  program.set([
+    0x3e, 0x01,       // ld a,1
+    0xd3, 0xfe,       // out ($fe),a
+    0x32, 0x00, 0x80, // ld ($8000),a
+    0x76              // halt
+  ])
+  const cpuInstance = new z80(program)
+  cpuInstance.setBanks(2, 0x8000)
+  cpuInstance.addBankPort(0xfe, 1)
+  cpuInstance.mapBank(1, 0)
+  cpuInstance.getBank(0)[0x0000] = 0x55
+  cpuInstance.setHistoryLimit(10)
+  cpuInstance.run()
+  expect(cpuInstance.getBank(1)[0x0000]).toBe(0x01)
+
+  const restored = new z80(new Uint8Array(Math.pow(2, 16)))
+  restored.loadState(JSON.parse(JSON.stringify(cpuInstance.saveState())))
+  expect(restored.getBankMapping()).toStrictEqual([null, 1])
+  expect(restored.getAddressSpace()).toStrictEqual(cpuInstance.getAddressSpace())
+  expect(restored.getBank(0)[0x0000]).toBe(0x55)
+
+  // stepping back over the out pages bank 0 in again; the write into bank 1 is undone first
+  expect(cpuInstance.stepBack(3)).toBe(3)
+  expect(cpuInstance.getBankMapping()).toStrictEqual([null, 0])
+  expect(cpuInstance.getBank(1)[0x0000]).toBe(0x00)
+  expect(cpuInstance.getAddressSpace()[0x8000]).toBe(0x55)
+
+  // a state without banks does away with them
+  restored.loadState(new z80(new Uint8Array(Math.pow(2, 16))).saveState())
+  expect(restored.getBankCount()).toBe(0)
+  expect(restored.getBankMapping()).toStrictEqual([null])
+})
+
+test('It passes the full 16-bit port address, cycle count and context to I/O handlers', () => {
+  let program = new Uint8Array(Math.pow(2, 16))
+  program.set([
+    0x3e, 0x12,       // ld a,$12
+    0xd3, 0xfe,       // out ($fe),a
+    0x01, 0xfd, 0x7f, // ld bc,$7ffd
+    0xed, 0x79,       // out (c),a
+    0xdb, 0x80,       // in a,($80)
+    0x76              // halt
+  ])
+  const cpuInstance = new z80(program)
+  const accesses = []
+  const handler = (mode, data, port, cycles, context) => {
+    accesses.push([mode, data, port, cycles, context.pc, context.cpu === cpuInstance])
+    return 0x42
+  }
+  cpuInstance.addIoHandler(0xfe, handler)
+  cpuInstance.addIoHandler(0x7ffd, handler, 0x8002)
+  cpuInstance.addIoRangeHandler(0x80, 0x83, handler)
+  cpuInstance.run()
+
+  expect(accesses).toStrictEqual([
+    ['w', 0x12, 0x12fe, 7, 0x0002, true],
+    ['w', 0x12, 0x7ffd, 28, 0x0007, true],
+    ['r', undefined, 0x1280, 40, 0x0009, true]
+  ])
+  expect(cpuInstance.getRegisters().af >> 8).toBe(0x42)
+})
+
+test('It reads 0xff from unmapped ports unless there is a default I/O handler', () => {
+  let program = new Uint8Array(Math.pow(2, 16))
+  program.set([
+    0xdb, 0x10,       // in a,($10)
+    0x47,             // ld b,a
+    0xdb, 0x20,       // in a,($20)
+    0x4f,             // ld c,a
+    0xd3, 0x30        // out ($30),a
+  ])
+  const cpuInstance = new z80(program)
+  const id = cpuInstance.addIoHandler(0x10, () => 0x01)
+  // the newest handler for a port wins, and one for the same port replaces it
+  cpuInstance.addIoRangeHandler(0x00, 0x1f, () => 0x02)
+  cpuInstance.addIoRangeHandler(0x00, 0x1f, () => 0x03)
+  cpuInstance.removeIoHandler(id)
+  cpuInstance.run(5)
+  expect(cpuInstance.getRegisters().bc).toBe(0x03ff)
+
+  const writes = []
+  cpuInstance.setDefaultIoHandler((mode, data, port) => {
+    if (mode === 'w')
+      writes.push([port, data])
+  })
+  cpuInstance.setRegister('pc', 0x0003)
+  cpuInstance.run(3)
+  // a handler which returns nothing for a read reads as 0xff
+  expect(cpuInstance.getRegisters().bc).toBe(0x03ff)
+  expect(writes).toStrictEqual([[0xff30, 0xff]])
+
+  expect(() => cpuInstance.addIoHandler(0x10000, () => 0)).toThrow(RangeError)
+  expect(() => cpuInstance.addIoRangeHandler(0x20, 0x10, () => 0)).toThrow(RangeError)
+  expect(() => cpuInstance.addIoHandler(0x10, () => 0, 0x10000)).toThrow(RangeError)
+})
+
+test('It passes data reads and writes of a range to a memory mapped device, but not instruction fetches', () => {
+  let program = new Uint8Array(Math.pow(2, 16))
+  program.set([
+    0x3e, 0x55,       // ld a,$55
+    0x32, 0x01, 0x80, // ld ($8001),a
+    0x3a, 0x00, 0x80, // ld a,($8000)
+    0x47,             // ld b,a
+    0x3a, 0x01, 0x80, // ld a,($8001)
+    0x4f,             // ld c,a
+    0xc3, 0x00, 0x80  // jp $8000
+  ])
+  program[0x8000] = 0x76 // halt
+  const cpuInstance = new z80(program)
+  const accesses = []
+  cpuInstance.addMemoryHandler(0x8000, 0x8003, (mode, data, address, cycles, context) => {
+    accesses.push([mode, data, address, context.pc])
+    if (address === 0x8000)
+      return 0x42
+  })
+
+  expect(cpuInstance.run().reason).toBe('halt')
+  expect(accesses).toStrictEqual([
+    ['w', 0x55, 0x8001, 0x0002],
+    ['r', 0x76, 0x8000, 0x0005],
+    ['r', 0x55, 0x8001, 0x0009]
+  ])
+  // writes reach memory, and a handler which returns nothing reads the byte in memory
+  expect(cpuInstance.getRam()[0x8001]).toBe(0x55)
+  expect(cpuInstance.getRegisters().bc).toBe(0x4255)
+
+  const plain = new z80(program)
+  plain.removeMemoryHandler(plain.addMemoryHandler(0x8000, 0x8000, () => 0x42))
+  plain.run()
+  expect(plain.getRegisters().bc >> 8).toBe(0x76)
+  expect(() => plain.addMemoryHandler(0x8000, 0x10000, () => 0)).toThrow(RangeError)
+})
+
+test('It tells reti handlers when reti executes, but not retn', () => {
+  let program = new Uint8Array(Math.pow(2, 16))
+  program.set([
+    0x31, 0x00, 0x00, // ld sp,0
+    0xcd, 0x10, 0x00, // call $0010
+    0xcd, 0x20, 0x00, // call $0020
+    0x76              // halt
+  ])
+  program.set([0xed, 0x4d], 0x0010) // reti
+  program.set([0xed, 0x45], 0x0020) // retn
+  const cpuInstance = new z80(program)
+  const returns = []
+  const removed = cpuInstance.addRetiHandler(() => returns.push('removed'))
+  cpuInstance.addRetiHandler((cpu) => returns.push(cpu.getRegisters().pc))
+  cpuInstance.removeRetiHandler(removed)
+
+  expect(cpuInstance.run().reason).toBe('halt')
+  expect(returns).toStrictEqual([0x0006])
+})
+
+test('It calls the trace handler before each instruction, and peeks at memory', () => {
+  let program = new Uint8Array(Math.pow(2, 16))
+  program.set([
+    0x3e, 0x01,       // ld a,1
+    0xf3,             // di
+    0x76              // halt
+  ])
+  const cpuInstance = new z80(program)
+  const traced = []
+  cpuInstance.setTraceHandler((cpu) => traced.push([cpu.getRegisters().pc, cpu.getInterruptFlipFlops().iff1]))
+
+  expect(cpuInstance.peek(0x0001)).toBe(0x01)
+  expect(cpuInstance.peek(0x10002)).toBe(0xf3)
+  expect(cpuInstance.fetch()).toStrictEqual({halted: false})
+  cpuInstance.execute()
+  expect(cpuInstance.run().reason).toBe('halt')
+  expect(traced).toStrictEqual([[0x0000, true], [0x0002, true], [0x0003, false]])
+  expect(cpuInstance.getInterruptFlipFlops()).toStrictEqual({iff1: false, iff2: false})
+
+  cpuInstance.setTraceHandler(null)
+  cpuInstance.run(1)
+  expect(traced.length).toBe(3)
+})
@@ -12,23 +12,38 @@ import 'codemirror/mode/z80/z80.js'
 import 'codemirror/addon/hint/show-hint.js'
 import 'codemirror/addon/hint/show-hint.css'
 import 'codemirror/theme/dracula.css'
-import ASM from '@justnine/asm80/asm.js'
-import Monolith from '@justnine/asm80/monolith.js'
 import hextools from '@justnine/asm80/hextools.js'
 import angular from 'angular'
 import 'angular-sanitize'
-import MemoryMap from 'nrf-intel-hex'
 import 'bootstrap'
 import 'bootstrap/dist/css/bootstrap.css'
 import '@forevolve/bootstrap-dark/dist/css/bootstrap-dark.css'
 import $ from 'jquery'
 
 import './hint/codemirror-z80.js'
-import ProcessorZ80 from './cpu/z80.js'
+import DisassemblerZ80 from './cpu/disassembler.js'
+import TextDisplay from './cpu/display.js'
+import { PICTURE_WIDTH, PICTURE_HEIGHT, renderScreen } from './cpu/spectrum.js'
+import { toCpmFileName } from './cpu/cpm.js'
+import { PERIPHERAL_TYPES } from './cpu/peripherals/index.js'
+import { formatTraceEntry, traceHeader } from './cpu/trace.js'
+import { assemble } from './assembler.js'
 import './style/zedide.css'
 
 let app
 
+// number of instructions which can be stepped back through
+const historyLimit = 10000
+
+// number of instructions shown in the disassembly pane
+const disassemblyLength = 12
+
+// number of instructions shown in the trace pane; the whole trace can be exported
+const traceLength = 200
+
+// file names trace exports are saved under, by format
+const traceFileNames = {text: 'trace.txt', csv: 'trace.csv', fuse: 'trace-fuse.txt'}
+
 // setup the angular application
 document.addEventListener('DOMContentLoaded', () => {
   // bootstrap angularjs
@@ -53,6 +68,28 @@ document.addEventListener('DOMContentLoaded', () => {
     return '0'.repeat(padding - num.length) + num
   }])
 
+  /**
+   * register the panels peripherals contribute to the ide as templates, named peripheral-<type>.html
+   */
+  app.run(['$templateCache', ($templateCache) => {
+    Object.values(PERIPHERAL_TYPES)
+      .filter((type) => type.panel !== null)
+      .forEach((type) => $templateCache.put(`peripheral-${type.type}.html`, type.panel))
+  }])
+
+  /**
+   * evaluate an expression when a file input's selection changes (ng-change doesn't work on file inputs); the
+   * input is available to the expression as $input.
+   *
+   * @param string  fileChange  Expression to evaluate
+   */
+  app.directive('fileChange', [() => ({
+    restrict: 'A',
+    link: (scope, element, attrs) => {
+      element.on('change', () => scope.$apply(() => scope.$eval(attrs.fileChange, {$input: element[0]})))
+    }
+  })])
+
   /**
    * display a series of octets as ascii, hiding non-printable characters.
    * this will output each character wrapped in <tt> tags.
@@ -93,12 +130,56 @@ document.addEventListener('DOMContentLoaded', () => {
     $scope.outputMessages = 'Welcome!\n'
     $scope.cpuOutput = ''
     $scope.running = false
-    $scope.timer = false
+    $scope.awaitingInput = false
     $scope.dirty = true
     $scope.pcToLineMap = []
     $scope.lastLine = null
 
-    $scope.cpu = undefined
+    // the cpu runs in a web worker (see cpu/host.js for the messages it understands); cpuLoaded is set once
+    // a program has been assembled into it, and ramImage holds the ram from its latest state message
+    const simulator = new Worker(new URL('./cpu/worker.js', import.meta.url))
+    simulator.addEventListener('message', (event) => {
+      // spectrum frames arrive 50 times a second and only touch the canvas, so they skip angular's digest
+      if (event.data.type === 'frame')
+        return $scope.drawFrame(event.data)
+
+      $scope.$apply(() => $scope.simulatorMessage(event.data))
+    })
+    $scope.cpuLoaded = false
+    $scope.ramImage = new Uint8Array(Math.pow(2, 16))
+
+    // banked memory: the banks the cpu has and which are paged in, and the bank shown in the memory pane
+    // (null for the address space as the cpu sees it), whose contents are in bankImage
+    $scope.banks = {count: 0, mapping: [null]}
+    $scope.sourceBanks = null
+    $scope.memoryView = {bank: null}
+    $scope.memoryViewChoices = []
+    $scope.bankImage = null
+
+    // the machine the program runs on, kept in local storage: 'generic' (ram everywhere, with the console),
+    // 'spectrum' or 'cpm'; the spectrum rom, if one has been supplied, and the files on cp/m's drive are kept
+    // base64 encoded
+    $scope.machine = JSON.parse(localStorage.getItem('zedideMachine') ?? '{"type": "generic"}')
+    $scope.spectrumRom = localStorage.getItem('zedideSpectrumRom')
+    $scope.cpmFiles = JSON.parse(localStorage.getItem('zedideCpmFiles') ?? '{}')
+    $scope.sourceRanges = []
+
+    // the text display declared by the program with .pragma display (null when there isn't one), and its rows
+    // as drawn from the latest ram
+    $scope.display = null
+    $scope.displayRows = []
+
+    // the peripherals declared by the program with .pragma peripheral, and their states as {type, state} from
+    // the latest state message
+    $scope.sourcePeripherals = []
+    $scope.peripherals = []
+
+    // execution trace settings, kept in local storage (mode is 'off', 'ring' or 'full'), the trace's size from
+    // the latest state message (null when not tracing) and the lines of it matching the filter
+    $scope.traceSettings = JSON.parse(localStorage.getItem('zedideTrace') ?? '{"mode": "off"}')
+    $scope.trace = null
+    $scope.traceForm = {filter: ''}
+    $scope.traceLines = []
 
     $scope.regs = {
       pc: undefined,
@@ -122,6 +203,31 @@ document.addEventListener('DOMContentLoaded', () => {
     }
     $scope.interrupts = undefined
 
+    // register being changed in the register edit modal
+    $scope.registerEdit = {name: '', label: '', value: ''}
+
+    // memory watchpoints; kept here as well as in the cpu so that they survive reassembly
+    $scope.watchpoints = []
+    $scope.watchpointForm = {start: '', end: '', access: 'w'}
+
+    // rom and ram regions set up in the ide, kept in local storage as a setting for every program; they are
+    // applied after any regions the source declares with .pragma, so they take precedence
+    $scope.memoryMap = JSON.parse(localStorage.getItem('zedideMemoryMap') ?? '[]')
+    $scope.memoryMapForm = {start: '', end: '', type: 'rom'}
+    $scope.sourceMemoryMap = []
+
+    // console settings, kept in local storage; keyInterrupts has keys typed at the console raise an interrupt
+    // (applied when a program is assembled)
+    $scope.consoleSettings = JSON.parse(localStorage.getItem('zedideConsole') ?? '{"keyInterrupts": false}')
+
+    // execution history; position is where the history scrubber sits, which is the end of the history
+    // unless the user is dragging it back
+    $scope.history = {length: 0, position: 0}
+
+    // disassembly of the instructions around the program counter
+    const disassembler = new DisassemblerZ80
+    $scope.disassembly = []
+
     // login details
     const emptyLoginModel = {user: '', password: ''}
     $scope.loginModel = angular.copy(emptyLoginModel)
@@ -149,12 +255,14 @@ document.addEventListener('DOMContentLoaded', () => {
         },
         mode: 'z80',
         theme: 'dracula',
+        gutters: ['CodeMirror-linenumbers', 'breakpoints'],
         value: textArea.value
       }
     )
     codeMirror.on('change', () => {
       $scope.dirty = true
     })
+    codeMirror.on('gutterClick', (cm, line) => $scope.toggleBreakpoint(line))
 
     // shortcuts to adjust page display; switchToLogout enables logout menu item and username display
     const switchToLogout = () => {
@@ -259,6 +367,48 @@ document.addEventListener('DOMContentLoaded', () => {
       $scope.regs.flags = flags
     }
 
+    /**
+     * open the modal to change the value of a register in the register display table
+     *
+     * @param string  name  Register name in $scope.regs (also understood by ProcessorZ80.setRegister())
+     * @return undefined
+     */
+    $scope.editRegister = (name) => {
+      if (!$scope.cpuLoaded)
+        return
+
+      $scope.registerEdit = {
+        name: name,
+        label: name.replace(/2$/, "'").toUpperCase(),
+        value: Number($scope.regs[name]).toString(16)
+      }
+      $('#registerEditModal').modal('show')
+    }
+
+    /**
+     * write the value from the register edit modal into the cpu
+     *
+     * @return undefined
+     */
+    $scope.saveRegister = () => {
+      simulator.postMessage({type: 'setRegister', name: $scope.registerEdit.name, value: parseInt($scope.registerEdit.value, 16)})
+      $('#registerEditModal').modal('hide')
+    }
+
+    /**
+     * flip a cpu flag from the flag display
+     *
+     * @param number  bit Position in $scope.regs.flags (0 is the sign flag, 7 is carry)
+     * @return undefined
+     */
+    $scope.toggleFlag = (bit) => {
+      if (!$scope.cpuLoaded)
+        return
+
+      const flags = ['s', 'z', 'f5', 'h', 'f3', 'p', 'n', 'c']
+      simulator.postMessage({type: 'setFlag', flag: flags[bit], set: $scope.regs.flags[bit] === '0'})
+    }
+
     /**
      * assemble the source code, returning a Uint8Array memory block.
      * if an error occurs, return false a fill the messges buffer with a message.
@@ -267,10 +417,15 @@ document.addEventListener('DOMContentLoaded', () => {
      * @return Uint8Array|false
      */
     $scope.doCompile = (source) => {
-      let [error, build, symbols] = ASM.compile(source, Monolith.Z80)
+      const {error, ram, lineMap, ranges, memoryMap, banks, display, peripherals} = assemble(source)
       if (error === null) {
-        $scope.pcToLineMap = $scope.translateParserDataIntoLineMap(build[0])
-        return $scope.createContiguousMemoryBlock(ASM.hex(build[0]))
+        $scope.pcToLineMap = lineMap
+        $scope.sourceRanges = ranges
+        $scope.sourceMemoryMap = memoryMap
+        $scope.sourceBanks = banks
+        $scope.display = (display === null) ? null : new TextDisplay(display)
+        $scope.sourcePeripherals = peripherals
+        return ram
       }
 
       // an error during compilation
@@ -280,107 +435,480 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     /**
-     * take asm80's build parser data and create an array matching addresses to line numbers.
+     * run the code at full speed until it is stopped, or hits a breakpoint, halts or faults. the worker runs
+     * the cpu, sending state updates every so often whilst it does.
      *
-     * @param array parserData  asm80's build data from ASM.compile(data)[1][0]
-     * @return array
+     * @return undefined
+     */
+    $scope.run = () => {
+      if ($scope.running)
+        return
+
+      if ($scope.dirty)
+      $scope.appendOutput(`WARNING: Buffer has changed since last assembly - consider stopping and reassembling`)
+      $scope.running = true
+      simulator.postMessage({type: 'run'})
+    }
+
+    /**
+     * stop execution
+     *
+     * @return undefined
+     */
+    $scope.stop = () => {
+      simulator.postMessage({type: 'pause'})
+    }
+
+    /**
+     * assemble the source code from the editor and load it into the simulated cpu
+     *
+     * @return undefined
+     */
+    $scope.assemble = () => {
+      let code = codeMirror.getValue()
+      let binary = $scope.doCompile(code)
+      if (binary !== false) {
+        // setup the cpu with the built program
+        simulator.postMessage({
+          type: 'load',
+          ram: binary,
+          breakpoints: $scope.breakpointAddresses(),
+          watchpoints: $scope.watchpoints,
+          memoryMap: [...$scope.sourceMemoryMap, ...$scope.memoryMap],
+          banks: $scope.sourceBanks,
+          keyInterrupts: $scope.consoleSettings.keyInterrupts,
+          machine: $scope.machineSettings(),
+          ranges: $scope.sourceRanges,
+          peripherals: $scope.sourcePeripherals,
+          trace: $scope.traceOptions(),
+          historyLimit
+        })
+        $scope.memoryView = {bank: null}
+        $scope.cpuLoaded = true
+
+        $scope.appendOutput('Build succeeded')
+        $scope.cpuOutput = ''
+        $scope.dirty = false
+        $scope.disassembly = []
+      }
+    }
+
+    /**
+     * handle a message from the simulator worker
+     *
+     * @param Object  message Message from the worker; see cpu/host.js
+     * @return undefined
      */
-    $scope.translateParserDataIntoLineMap = (parserData) => {
-      let lineMap = []
-      parserData.forEach((parsedItem) => {
-        if (parsedItem.bytes === 0)
+    $scope.simulatorMessage = (message) => {
+      switch (message.type) {
+        case 'state':
+          $scope.cpuOutput += message.output
+          $scope.running = message.state.running
+          $scope.awaitingInput = message.state.awaitingInput
+          $scope.peripherals = message.state.peripherals
+          $scope.trace = message.state.trace
+          $scope.updateCpuDisplay(message.state)
+          if (message.stop !== null)
+            $scope.reportStop(message.stop, message.state.registers.pc)
+          if (($scope.trace !== null) && !$scope.running)
+            $scope.requestTrace()
+          break
+
+        case 'trace':
+          $scope.traceLines = [traceHeader('text'), ...message.entries.map((entry) => formatTraceEntry(entry, 'text'))]
+          break
+
+        case 'traceExport': {
+          const link = document.createElement('a')
+          link.href = URL.createObjectURL(new Blob([message.data], {type: 'text/plain'}))
+          link.download = traceFileNames[message.format]
+          link.click()
+          URL.revokeObjectURL(link.href)
+          break
+        }
+
+        case 'files':
+          $scope.cpmFiles = {}
+          Object.entries(message.files).forEach(([name, data]) => $scope.cpmFiles[name] = encodeBytes(data))
+          localStorage.setItem('zedideCpmFiles', JSON.stringify($scope.cpmFiles))
+          break
+
+        case 'error':
+          $scope.appendOutput(message.message)
+          $scope.running = $scope.awaitingInput = false
+          break
+      }
+    }
+
+    // keys which type a control character at the console, by KeyboardEvent.key
+    const consoleControlKeys = {Enter: '\r', Backspace: '\b', Tab: '\t', Escape: '\x1b'}
+
+    /**
+     * type a key pressed in the console at the program; keys are sent to the cpu as they are typed and are
+     * not echoed, so the program decides what appears. shortcuts (with ctrl, alt or meta) are left alone.
+     *
+     * @param KeyboardEvent event Key press in the console
+     * @return undefined
+     */
+    $scope.consoleKey = (event) => {
+      if (event.ctrlKey || event.altKey || event.metaKey)
+        return
+
+      const text = (event.key.length === 1) ? event.key : consoleControlKeys[event.key]
+      if (typeof text === 'undefined')
+        return
+
+      event.preventDefault()
+      if ($scope.cpuLoaded)
+        simulator.postMessage({type: 'input', text})
+    }
+
+    /**
+     * type text pasted into the console at the program, with line breaks as carriage returns
+     *
+     * @param ClipboardEvent  event Paste into the console
+     * @return undefined
+     */
+    $scope.consolePaste = (event) => {
+      event.preventDefault()
+      if ($scope.cpuLoaded)
+        simulator.postMessage({type: 'input', text: event.clipboardData.getData('text').replace(/\r?\n/g, '\r')})
+    }
+
+    /**
+     * save the machine choice; it takes effect when the program is next assembled
+     *
+     * @return undefined
+     */
+    $scope.saveMachine = () => {
+      localStorage.setItem('zedideMachine', JSON.stringify($scope.machine))
+    }
+
+    /**
+     * keep a spectrum rom image chosen with the file input, which must be 16KB
+     *
+     * @param HTMLInputElement  input File input holding the rom image
+     * @return undefined
+     */
+    $scope.loadSpectrumRom = (input) => {
+      const file = input.files[0]
+      if (typeof file === 'undefined')
+        return
+
+      file.arrayBuffer().then((buffer) => $scope.$apply(() => {
+        input.value = ''
+        if (buffer.byteLength !== 0x4000) {
+          $scope.appendOutput(`A Spectrum ROM must be 16KB; ${file.name} is ${buffer.byteLength} bytes`)
           return
+        }
 
-        lineMap[parsedItem.addr] = parsedItem.numline
-      })
-      return lineMap
+        $scope.spectrumRom = encodeBytes(new Uint8Array(buffer))
+        localStorage.setItem('zedideSpectrumRom', $scope.spectrumRom)
+        $scope.appendOutput(`Spectrum ROM loaded from ${file.name}; assemble to use it`)
+      }))
     }
 
     /**
-     * create a contiguous memory block, 64KB in size, for the cpu to run.
-     * accepts an intel hex format file as input.
+     * forget the spectrum rom image
      *
-     * @param string  intelHex  Intel hex format assembled code
+     * @return undefined
+     */
+    $scope.forgetSpectrumRom = () => {
+      $scope.spectrumRom = null
+      localStorage.removeItem('zedideSpectrumRom')
+    }
+
+    /**
+     * decode the spectrum rom image kept in local storage
+     *
+     * @return Uint8Array|null
+     */
+    $scope.spectrumRomImage = () => {
+      if ($scope.spectrumRom === null)
+        return null
+
+      return decodeBytes($scope.spectrumRom)
+    }
+
+    /**
+     * base64 encode bytes for local storage
+     *
+     * @param Uint8Array  bytes Bytes to encode
+     * @return string
+     */
+    const encodeBytes = (bytes) => btoa(Array.from(bytes, (byte) => String.fromCharCode(byte)).join(''))
+
+    /**
+     * decode base64 encoded bytes from local storage
+     *
+     * @param string  encoded Encoded bytes
      * @return Uint8Array
      */
-    $scope.createContiguousMemoryBlock = (intelHex) => {
-      const compiledBinary = MemoryMap.fromHex(intelHex)
-      return compiledBinary.slicePad(0, Math.pow(2, 16), 0)
+    const decodeBytes = (encoded) => Uint8Array.from(atob(encoded), (character) => character.charCodeAt(0))
+
+    /**
+     * get the machine to load the program into, for the load message (null for the generic machine)
+     *
+     * @return Object|null
+     */
+    $scope.machineSettings = () => {
+      switch ($scope.machine.type) {
+        case 'spectrum':
+          return {type: 'spectrum', rom: $scope.spectrumRomImage()}
+
+        case 'cpm': {
+          const files = {}
+          Object.entries($scope.cpmFiles).forEach(([name, data]) => files[name] = decodeBytes(data))
+          return {type: 'cpm', files}
+        }
+
+        default:
+          return null
+      }
     }
 
     /**
-     * run the code by setting the running value so that the timer will renew
-     * after opcode execution.
+     * copy a file chosen with the file input onto cp/m's drive, under its name in upper case
      *
+     * @param HTMLInputElement  input File input holding the file
      * @return undefined
      */
-    $scope.run = () => {
-      if ($scope.dirty)
-      $scope.appendOutput(`WARNING: Buffer has changed since last assembly - consider stopping and reassembling`)
-      $scope.running = true
-      $scope.step()
+    $scope.uploadCpmFile = (input) => {
+      const file = input.files[0]
+      if (typeof file === 'undefined')
+        return
+
+      const name = toCpmFileName(file.name)
+      file.arrayBuffer().then((buffer) => $scope.$apply(() => {
+        input.value = ''
+        if (name === null) {
+          $scope.appendOutput(`${file.name} can't be copied to CP/M: names are 8 characters, a dot and 3 more`)
+          return
+        }
+
+        $scope.cpmFiles[name] = encodeBytes(new Uint8Array(buffer))
+        localStorage.setItem('zedideCpmFiles', JSON.stringify($scope.cpmFiles))
+        $scope.appendOutput(`${file.name} copied to CP/M as ${name}; assemble to use it`)
+      }))
     }
 
     /**
-     * stop execution; clear the timer and set the running flag to false
+     * save a file from cp/m's drive
      *
+     * @param string  name  Name of the file
      * @return undefined
      */
-    $scope.stop = () => {
-      $scope.running = false
-      clearTimeout($scope.timer)
-      $scope.timer = false
+    $scope.downloadCpmFile = (name) => {
+      const link = document.createElement('a')
+      link.href = URL.createObjectURL(new Blob([decodeBytes($scope.cpmFiles[name])]))
+      link.download = name
+      link.click()
+      URL.revokeObjectURL(link.href)
     }
 
     /**
-     * an i/o handler for ProcessorZ80 - add some data to the <pre> buffer
+     * delete a file from cp/m's drive
      *
-     * @param string  mode  'r' or 'w' for read or write, respectively
-     * @param string  data  Data to put in the buffer
+     * @param string  name  Name of the file
      * @return undefined
      */
-    $scope.cpuPreArea = (mode, data) => {
-      if (mode === 'r')
-        return 0x00
+    $scope.deleteCpmFile = (name) => {
+      delete $scope.cpmFiles[name]
+      localStorage.setItem('zedideCpmFiles', JSON.stringify($scope.cpmFiles))
+    }
 
-      $scope.cpuOutput += String.fromCharCode(data)
+    /**
+     * get the size of a file on cp/m's drive
+     *
+     * @param string  name  Name of the file
+     * @return number
+     */
+    $scope.cpmFileSize = (name) => {
+      const encoded = $scope.cpmFiles[name]
+      return ((encoded.length / 4) * 3) - encoded.match(/=*$/)[0].length
     }
 
     /**
-     * assemble the source code from the editor and bootstrap the simulated cpu
+     * draw a spectrum frame from the worker on the screen canvas
      *
+     * @param Object  frame Frame message; see cpu/host.js
      * @return undefined
      */
-    $scope.assemble = () => {
-      let code = codeMirror.getValue()
-      let binary = $scope.doCompile(code)
-      if (binary !== false) {
-        // setup the cpu with the built program
-        $scope.cpu = new ProcessorZ80(binary)
-        $scope.updateRegisters($scope.cpu.getRegisters())
-        $scope.cpu.addIoHandler(10, $scope.cpuPreArea)
+    $scope.drawFrame = (frame) => {
+      const canvas = document.getElementById('spectrumScreen')
+      if (canvas === null)
+        return
 
-        $scope.appendOutput('Build succeeded')
-        $scope.cpuOutput = ''
-        $scope.dirty = false
+      const context = canvas.getContext('2d')
+      const image = context.createImageData(PICTURE_WIDTH, PICTURE_HEIGHT)
+      renderScreen(frame.screen, frame.border, frame.frame, image.data)
+      context.putImageData(image, 0, 0)
+    }
 
-        $scope.updateRamDisplay()
+    // spectrum keys for the keys of a pc keyboard, by KeyboardEvent.key (letters and digits map to themselves);
+    // control stands in for symbol shift, and the editing keys are caps shift with a digit, as on the spectrum
+    const spectrumKeys = {
+      Shift: ['shift'], Control: ['symbol'], Enter: ['enter'], ' ': ['space'], Backspace: ['shift', '0'],
+      ArrowLeft: ['shift', '5'], ArrowDown: ['shift', '6'], ArrowUp: ['shift', '7'], ArrowRight: ['shift', '8']
+    }
 
-        if ($scope.lastLine !== null)
-          codeMirror.removeLineClass($scope.lastLine - 1, 'background', 'line-pc')
+    /**
+     * press or release spectrum keys for a key pressed on the screen canvas
+     *
+     * @param KeyboardEvent event   Key press or release
+     * @param boolean       pressed true when the key was pressed
+     * @return undefined
+     */
+    $scope.spectrumKey = (event, pressed) => {
+      const key = event.key.toLowerCase()
+      const keys = spectrumKeys[event.key] ?? (key.match(/^[a-z0-9]$/) ? [key] : null)
+      if ((keys === null) || !$scope.cpuLoaded)
+        return
+
+      event.preventDefault()
+      keys.forEach((key) => simulator.postMessage({type: 'key', key, pressed}))
+    }
+
+    /**
+     * release every spectrum key when the screen canvas loses focus, as its key releases won't arrive
+     *
+     * @return undefined
+     */
+    $scope.releaseSpectrumKeys = () => {
+      if ($scope.cpuLoaded)
+        simulator.postMessage({type: 'releaseKeys'})
+    }
+
+    /**
+     * check whether a kind of peripheral contributes a panel to the ide
+     *
+     * @param string  type  Type of peripheral
+     * @return boolean
+     */
+    $scope.hasPanel = (type) => (PERIPHERAL_TYPES[type]?.panel ?? null) !== null
+
+    /**
+     * send input from a peripheral's panel to the peripheral
+     *
+     * @param Object  peripheral  The peripheral, as {type, state} from $scope.peripherals
+     * @param any     value       Input for the peripheral
+     * @return undefined
+     */
+    $scope.peripheralInput = (peripheral, value) => {
+      if ($scope.cpuLoaded)
+        simulator.postMessage({type: 'peripheral', index: $scope.peripherals.indexOf(peripheral), input: value})
+    }
+
+    /**
+     * get how the worker should trace execution, from the trace settings
+     *
+     * @return Object|null  {mode} (each mode has a limit of its own), or null when tracing is off
+     */
+    $scope.traceOptions = () => ($scope.traceSettings.mode === 'off') ? null : {mode: $scope.traceSettings.mode}
+
+    /**
+     * save the trace settings, and start a fresh trace with them (or stop tracing) if a program is loaded
+     *
+     * @return undefined
+     */
+    $scope.saveTraceSettings = () => {
+      localStorage.setItem('zedideTrace', JSON.stringify($scope.traceSettings))
+      $scope.traceLines = []
+      if ($scope.cpuLoaded)
+        simulator.postMessage({type: 'trace', settings: $scope.traceOptions()})
+    }
+
+    /**
+     * ask the worker for the newest entries of the trace which match the filter: a pc, or a range of them, in
+     * hex prefixed with $ ($8000 or $8000-$80ff), or else text to look for in the instructions
+     *
+     * @return undefined
+     */
+    $scope.requestTrace = () => {
+      const range = $scope.traceForm.filter.trim().match(/^\$([0-9a-f]{1,4})(?:\s*-\s*\$?([0-9a-f]{1,4}))?$/i)
+      const filter = (range === null)
+        ? {text: $scope.traceForm.filter.trim()}
+        : {start: parseInt(range[1], 16), end: parseInt(range[2] ?? range[1], 16)}
+
+      if ($scope.cpuLoaded && ($scope.trace !== null))
+        simulator.postMessage({type: 'traceEntries', filter, count: traceLength})
+    }
+
+    /**
+     * save the whole trace as a file; the worker sends it back in a traceExport message
+     *
+     * @param string  format  'text', 'csv' or 'fuse' (see cpu/trace.js)
+     * @return undefined
+     */
+    $scope.exportTrace = (format) => {
+      if ($scope.cpuLoaded && ($scope.trace !== null))
+        simulator.postMessage({type: 'exportTrace', format})
+    }
+
+    /**
+     * save the console settings; they take effect when the program is next assembled
+     *
+     * @return undefined
+     */
+    $scope.saveConsoleSettings = () => {
+      localStorage.setItem('zedideConsole', JSON.stringify($scope.consoleSettings))
+    }
+
+    /**
+     * report why the cpu stopped running
+     *
+     * @param Object  stop  Reason the cpu stopped ({reason, fault, watchpoint})
+     * @param number  pc    Program counter after stopping
+     * @return undefined
+     */
+    $scope.reportStop = (stop, pc) => {
+      const hex = (value, digits) => `0x${value.toString(16).padStart(digits, '0')}`
+
+      switch (stop.reason) {
+        case 'breakpoint':
+          $scope.appendOutput(`Breakpoint at PC ${hex(pc, 4)}`)
+          break
+
+        case 'watchpoint': {
+          const hit = stop.watchpoint
+          $scope.appendOutput(
+            `Watchpoint: ${hit.access === 'w' ? 'write' : 'read'} of ${hex(hit.value, 2)} at ${hex(hit.address, 4)} ` +
+            `by instruction at PC ${hex(hit.pc, 4)}`
+          )
+          break
+        }
+
+        case 'halt':
+          // only a key press can interrupt the cpu, and the worker waits for one whilst that is possible;
+          // otherwise a halted cpu would only spin, so the worker stops running
+          $scope.appendOutput('CPU halted')
+          break
+
+        case 'fault':
+          $scope.appendOutput(`${stop.fault.message} at PC ${hex(stop.fault.pc, 4)}`)
+          break
+
+        case 'exit':
+          $scope.appendOutput('Program exited to CP/M')
+          break
+
+        case 'input':
+          // stepping into a bdos call which waits for a key
+          $scope.appendOutput('CP/M is waiting for a key: type one at the console, then step again')
+          break
       }
     }
 
     /**
-     * retrieve cpu ram and format it as an object where each element is a memory base address
-     * followed by an array of eight bytes from that location.
+     * retrieve cpu ram (or the bank being viewed) and format it as an object where each element is a memory
+     * base address followed by an array of eight bytes from that location.
      *
      * @return undefined
      */
     $scope.updateRamDisplay = () => {
-      const ram = $scope.cpu.getRam()
+      const ram = $scope.bankImage ?? $scope.ramImage
       $scope.ram = {}
-      for (let ramPtr = 0; ramPtr < Math.pow(2, 16); ramPtr++) {
+      for (let ramPtr = 0; ramPtr < ram.length; ramPtr++) {
         let block = Math.floor(ramPtr / 8) * 8
         if (typeof $scope.ram[block] === 'undefined')
           $scope.ram[block] = []
@@ -388,50 +916,237 @@ document.addEventListener('DOMContentLoaded', () => {
       }
     }
 
+    /**
+     * disassemble memory for the disassembly pane. the pane only moves when the program counter leaves it,
+     * so that a loop stays in view whilst stepping through it; memory is always decoded afresh in case the
+     * program has modified itself.
+     *
+     * @param number  pc  Program counter
+     * @return undefined
+     */
+    $scope.updateDisassembly = (pc) => {
+      const start = $scope.disassembly.some((instruction) => instruction.address === pc)
+        ? $scope.disassembly[0].address
+        : pc
+
+      $scope.disassembly = disassembler.disassembleRange($scope.ramImage, start, disassemblyLength)
+
+      // the old start may now decode differently, leaving pc mid-instruction; start over from pc
+      if (!$scope.disassembly.some((instruction) => instruction.address === pc))
+        $scope.disassembly = disassembler.disassembleRange($scope.ramImage, pc, disassemblyLength)
+    }
+
+    /**
+     * list the choices for the memory pane: the address space, then each bank along with where it is paged in
+     *
+     * @return undefined
+     */
+    $scope.updateMemoryViewChoices = () => {
+      const slotSize = 0x10000 / $scope.banks.mapping.length
+      $scope.memoryViewChoices = [{bank: null, label: 'Address space'}].concat(Array.from({length: $scope.banks.count}, (value, bank) => {
+        const slots = $scope.banks.mapping.flatMap((mapped, slot) => (mapped === bank) ? [(slot * slotSize).toString(16).padStart(4, '0')] : [])
+        return {bank, label: `Bank ${bank}${(slots.length > 0) ? ` (at ${slots.join(', ')})` : ''}`}
+      }))
+    }
+
+    /**
+     * show the bank chosen in the memory pane; the worker sends its contents with every state from now on
+     *
+     * @return undefined
+     */
+    $scope.viewBank = () => {
+      simulator.postMessage({type: 'viewBank', bank: $scope.memoryView.bank})
+    }
+
     /**
      * single step an instruction from memory; runs the fetch-execute cycle
      *
      * @return undefined
      */
     $scope.step = () => {
-      const update = () => {
-        if ($scope.regs.pc === '--') {
-          $scope.appendOutput('Cannot step through program until it has been built: Please click "Assemble"')
-          return
-        }
+      simulator.postMessage({type: 'step'})
+    }
 
-        // highlight the current line in the code from the program counter
-        if ($scope.lastLine !== null)
-          codeMirror.removeLineClass($scope.lastLine - 1, 'background', 'line-pc')
+    /**
+     * add a watchpoint from the watchpoint form; addresses are in hex and the end address is optional
+     *
+     * @return undefined
+     */
+    $scope.addWatchpoint = () => {
+      const start = parseInt($scope.watchpointForm.start, 16)
+      const end = ($scope.watchpointForm.end === '') ? start : parseInt($scope.watchpointForm.end, 16)
+      if (isNaN(start) || isNaN(end) || (start < 0) || (end > 0xffff) || (end < start)) {
+        $scope.appendOutput('Cannot add watchpoint: addresses must be hex between 0 and ffff, with the end after the start')
+        return
+      }
 
-        $scope.lastLine = $scope.pcToLineMap[$scope.cpu.getRegisters().pc] ?? null // because self-modifying code can happen
-        if ($scope.lastLine !== null) {
-          codeMirror.scrollIntoView({line: $scope.lastLine}, 40)
-          codeMirror.addLineClass($scope.lastLine - 1, 'background', 'line-pc')
-        }
+      $scope.watchpoints.push({start, end, access: $scope.watchpointForm.access})
+      $scope.watchpointForm = {start: '', end: '', access: $scope.watchpointForm.access}
+      $scope.syncWatchpoints()
+    }
 
-        try {
-          $scope.cpu.fetch()
-          $scope.cpu.execute()
-        } catch (e) {
-          $scope.appendOutput(e)
-          $scope.running = false
-        }
+    /**
+     * remove a watchpoint from the watchpoint list
+     *
+     * @param number  index Position of the watchpoint in $scope.watchpoints
+     * @return undefined
+     */
+    $scope.removeWatchpoint = (index) => {
+      $scope.watchpoints.splice(index, 1)
+      $scope.syncWatchpoints()
+    }
+
+    /**
+     * give the cpu the watchpoints from the watchpoint list
+     *
+     * @return undefined
+     */
+    $scope.syncWatchpoints = () => {
+      if ($scope.cpuLoaded)
+        simulator.postMessage({type: 'watchpoints', watchpoints: $scope.watchpoints})
+    }
+
+    /**
+     * add a memory region from the memory map form; addresses are in hex. the form's type is 'ram', 'rom' or
+     * 'rom-fault' (rom which faults on writes)
+     *
+     * @return undefined
+     */
+    $scope.addMemoryRegion = () => {
+      const start = parseInt($scope.memoryMapForm.start, 16)
+      const end = parseInt($scope.memoryMapForm.end, 16)
+      if (isNaN(start) || isNaN(end) || (start < 0) || (end > 0xffff) || (end < start)) {
+        $scope.appendOutput('Cannot add memory region: addresses must be hex between 0 and ffff, with the end after the start')
+        return
+      }
+
+      const [type, fault] = ($scope.memoryMapForm.type === 'rom-fault') ? ['rom', true] : [$scope.memoryMapForm.type, false]
+      $scope.memoryMap.push({start, end, type, fault})
+      $scope.memoryMapForm = {start: '', end: '', type: $scope.memoryMapForm.type}
+      $scope.syncMemoryMap()
+    }
 
-        // update ram display after execution
-        $scope.updateRamDisplay()
+    /**
+     * remove a memory region from the memory map
+     *
+     * @param number  index Position of the region in $scope.memoryMap
+     * @return undefined
+     */
+    $scope.removeMemoryRegion = (index) => {
+      $scope.memoryMap.splice(index, 1)
+      $scope.syncMemoryMap()
+    }
 
-        $scope.updateRegisters($scope.cpu.getRegisters())
-        $scope.interrupts = $scope.cpu.getInterruptState()
+    /**
+     * save the memory map setting and give the cpu the regions from the source and the memory map
+     *
+     * @return undefined
+     */
+    $scope.syncMemoryMap = () => {
+      localStorage.setItem('zedideMemoryMap', JSON.stringify($scope.memoryMap))
+      if ($scope.cpuLoaded)
+        simulator.postMessage({type: 'memoryMap', regions: [...$scope.sourceMemoryMap, ...$scope.memoryMap]})
+    }
 
-        if ($scope.running)
-          $scope.timer = setTimeout($scope.step, 400)
+    /**
+     * draw the text display from the address space as the cpu sees it
+     *
+     * @return undefined
+     */
+    $scope.updateTextDisplay = () => {
+      $scope.displayRows = ($scope.display === null) ? [] : $scope.display.render($scope.ramImage)
+    }
+
+    /**
+     * highlight the line of code for the program counter and refresh the ram, register, disassembly and
+     * history displays
+     *
+     * @param Object  state Cpu state from the simulator worker
+     * @return undefined
+     */
+    $scope.updateCpuDisplay = (state) => {
+      if ($scope.lastLine !== null)
+        codeMirror.removeLineClass($scope.lastLine - 1, 'background', 'line-pc')
+
+      $scope.lastLine = $scope.pcToLineMap[state.registers.pc] ?? null // because self-modifying code can happen
+      if ($scope.lastLine !== null) {
+        codeMirror.scrollIntoView({line: $scope.lastLine}, 40)
+        codeMirror.addLineClass($scope.lastLine - 1, 'background', 'line-pc')
       }
 
-      // handle ui-interactive updates
-      if (!$scope.$$phase)
-        return $scope.$apply(update)
-      update()
+      $scope.ramImage = state.ram
+      $scope.bankImage = state.bank?.ram ?? null
+      $scope.banks = state.banks
+      $scope.updateMemoryViewChoices()
+      $scope.updateRamDisplay()
+      $scope.updateTextDisplay()
+      $scope.updateRegisters(state.registers)
+      $scope.updateDisassembly(state.registers.pc)
+      $scope.interrupts = state.interrupts
+      $scope.history = {length: state.historyLength, position: state.historyLength}
+    }
+
+    /**
+     * undo the last instruction executed
+     *
+     * @return undefined
+     */
+    $scope.stepBack = () => $scope.rewind($scope.history.length - 1)
+
+    /**
+     * rewind execution to an earlier point in the history; called when the history scrubber is moved.
+     * the scrubber can only go back, as there is no history ahead of the current instruction.
+     *
+     * @param number  position  Number of history entries to keep
+     * @return undefined
+     */
+    $scope.rewind = (position) => {
+      if (!$scope.cpuLoaded)
+        return
+
+      simulator.postMessage({type: 'stepBack', count: Math.max($scope.history.length - position, 0)})
+    }
+
+    /**
+     * toggle a breakpoint on a line of code; breakpoints are shown as markers in the editor gutter
+     *
+     * @param number  line  Editor line number (zero-based, as codemirror counts them)
+     * @return undefined
+     */
+    $scope.toggleBreakpoint = (line) => {
+      let marker = null
+      if (!codeMirror.lineInfo(line).gutterMarkers?.breakpoints) {
+        marker = document.createElement('span')
+        marker.className = 'breakpoint-marker'
+        marker.textContent = '●'
+      }
+
+      codeMirror.setGutterMarker(line, 'breakpoints', marker)
+      $scope.syncBreakpoints()
+    }
+
+    /**
+     * find the assembled address of every line which has a breakpoint marker
+     *
+     * @return array
+     */
+    $scope.breakpointAddresses = () => {
+      const addresses = []
+      $scope.pcToLineMap.forEach((line, address) => {
+        if (codeMirror.lineInfo(line - 1)?.gutterMarkers?.breakpoints)
+          addresses.push(address)
+      })
+      return addresses
+    }
+
+    /**
+     * give the cpu the breakpoints from the editor gutter
+     *
+     * @return undefined
+     */
+    $scope.syncBreakpoints = () => {
+      if ($scope.cpuLoaded)
+        simulator.postMessage({type: 'breakpoints', addresses: $scope.breakpointAddresses()})
     }
 
     /**
@@ -0,0 +1,321 @@
+#!/usr/bin/env node
+'use strict'
+
+/**
+ * generate a table-driven jest test for ProcessorZ80 from the fuse emulator's z80 test suite (tests.in and
+ * tests.expected). the expected registers, memory, i/o and t-states all come from fuse, never from the cpu
+ * under test; the opcode tables are only read to name each test and to check that every opcode is covered.
+ *
+ * rob andrews <rob@aphlor.org>
+ */
+
+import fs from 'fs'
+import path from 'path'
+
+const [outfile] = process.argv.slice(2).filter((arg) => !arg.startsWith('-'))
+
+if ((process.argv.indexOf('--help') !== -1) || (process.argv.indexOf('-h') !== -1)) {
+  // output help information
+  console.log(`${path.basename(process.argv[1])}: write a jest test with a test vector for every Z80 opcode.\n` +
+    `\n` +
+    `Usage:\n` +
+    `  ${path.basename(process.argv[1])} <output>\n` +
+    `\n` +
+    `  Arguments:\n` +
+    `    -h  --help    This help information\n` +
+    `\n` +
+    `  Parameters:\n` +
+    `    <output>      The jest test file to write\n` +
+    `\n` +
+    `  Author:\n` +
+    `    rob andrews <rob@aphlor.org>\n`)
+  process.exit(0)
+}
+
+if (typeof outfile === 'undefined') {
+  console.error('Please specify an output file.')
+  process.exit(10)
+}
+
+// the opcode tables, with the prefix and index register for each (as the generate:opcodes scripts use them)
+const tables = [
+  {file: 'opcodes_base.dat', prefix: ''},
+  {file: 'opcodes_cb.dat', prefix: 'cb'},
+  {file: 'opcodes_ddfd.dat', prefix: 'dd', register: 'ix'},
+  {file: 'opcodes_ed.dat', prefix: 'ed'},
+  {file: 'errata_ed.dat', prefix: 'ed'},
+  {file: 'opcodes_ddfd.dat', prefix: 'fd', register: 'iy'},
+  {file: 'opcodes_ddfdcb.dat', prefix: 'ddcb', register: 'ix'},
+  {file: 'opcodes_ddfdcb.dat', prefix: 'fdcb', register: 'iy'}
+]
+
+// the register pairs on the first line of each fuse test, in order; memptr (the last) isn't kept by the cpu
+const pairs = ['af', 'bc', 'de', 'hl', "af'", "bc'", "de'", "hl'", 'ix', 'iy', 'sp', 'pc']
+
+// bit n,(hl) and bit n,(ix+dd) copy bits 5 and 3 of the hidden memptr register into f. the cpu doesn't keep
+// memptr, so those two flags aren't compared
+const bitFromMemptr = /^(cb[4-7][6e]|(dd|fd)cb[4-7][0-9a-f])(_\d+)?$/
+const flagsWithoutMemptr = 0xd7
+
+// as in fuse's test harness, memory the test doesn't set up holds de ad be ef over and over
+const filler = [0xde, 0xad, 0xbe, 0xef]
+
+// fuse tests the cpu deliberately doesn't pass, with the reason for each
+const skipped = {
+  dd00: 'a prefix followed by a non-instruction is an invalid opcode fault, not a nop',
+  ddfd00: 'a prefix followed by a non-instruction is an invalid opcode fault, not a nop',
+  ed4c: 'undocumented repeat of neg, left out of the tables',
+  ed54: 'undocumented repeat of neg, left out of the tables',
+  ed5c: 'undocumented repeat of neg, left out of the tables',
+  ed64: 'undocumented repeat of neg, left out of the tables',
+  ed6c: 'undocumented repeat of neg, left out of the tables',
+  ed74: 'undocumented repeat of neg, left out of the tables',
+  ed55: 'undocumented repeat of retn, left out of the tables',
+  ed5d: 'undocumented repeat of retn, left out of the tables',
+  ed65: 'undocumented repeat of retn, left out of the tables',
+  ed6d: 'undocumented repeat of retn, left out of the tables',
+  ed75: 'undocumented repeat of retn, left out of the tables',
+  ed4e: 'undocumented repeat of im 0, left out of the tables',
+  ed5f: 'ld a,r reads the refresh counter, which the cpu doesn\'t count'
+}
+
+/**
+ * create the function which runs a fuse test and reports everything it changed. one cpu runs every vector, as
+ * building a cpu takes far longer than running an instruction. this function is written into the generated test.
+ *
+ * @return function (state, memory, flags) => {registers, memory, io, cycles}; memory holds only what changed
+ *                  and only the bits of f in the flags mask are reported
+ */
+const createRunner = () => {
+  const filled = new Uint8Array(0x10000).map((value, address) => filler[address & 0x03])
+  const ram = new Uint8Array(0x10000)
+  const cpu = new ProcessorZ80(ram)
+  const reset = cpu.saveState()
+
+  // as in fuse's test harness, every port reads back the upper half of its address; writes are logged with the
+  // full port address
+  let io = []
+  cpu.setDefaultIoHandler((mode, data, port) => {
+    if (mode === 'r')
+      return port >> 8
+    io.push([port, data])
+  })
+
+  return (state, memory, flags) => {
+    const {i, r, im, iff1, iff2, halted, cycles, ...registers} = state
+
+    // the interrupt flip-flops and halt have no setters, so they go in through a saved state
+    cpu.loadState({...reset, interrupts: {...reset.interrupts, iff1, iff2}, halted, cycles: 0})
+    ram.set(filled)
+    memory.forEach(([address, bytes]) => ram.set(bytes, address))
+    const initial = ram.slice()
+    io = []
+    cpu.setRegisters({...registers, i, r, im})
+
+    // like fuse, run whole instructions until the t-states are used up
+    while (cpu.getCycles() < cycles) {
+      cpu.fetch()
+      cpu.execute()
+    }
+
+    const after = cpu.getRegisters()
+    const {iff1: iff1After, iff2: iff2After} = cpu.getInterruptFlipFlops()
+    const changed = {
+      registers: {
+        af: after.af & (0xff00 | flags), bc: after.bc, de: after.de, hl: after.hl, "af'": after.af2,
+        "bc'": after.bc2, "de'": after.de2, "hl'": after.hl2, ix: after.ix, iy: after.iy, sp: after.sp,
+        pc: after.pc, i: after.i, im: after.im, iff1: iff1After, iff2: iff2After, halted: cpu.isHalted()
+      },
+      memory: {},
+      io,
+      cycles: cpu.getCycles()
+    }
+    for (let address = 0; address < ram.length; address++) {
+      if (ram[address] !== initial[address])
+        changed.memory[address] = ram[address]
+    }
+
+    return changed
+  }
+}
+
+/**
+ * read one of the fuse test files
+ *
+ * @param string  file  File name, beside this script
+ * @return string
+ */
+const readFile = (file) => {
+  try {
+    return fs.readFileSync(new URL(file, import.meta.url)).toString()
+  } catch (e) {
+    console.error(`Failed to read ${file}: ${e}`)
+    process.exit(12)
+  }
+}
+
+/**
+ * the mnemonic of every instruction in the opcode tables, by its fuse test name (its opcode bytes in hex without
+ * operands, e.g. "dd36" or "ddcb46")
+ *
+ * @return Map
+ */
+const readMnemonics = () => new Map(tables.flatMap((table) => {
+  let input = readFile(table.file)
+  if (typeof table.register !== 'undefined')
+    input = input.replace(/REGISTER/g, table.register)
+
+  return input.split(/\n/)
+    .filter((line) => (line !== '') && (line[0] !== '#'))
+    .map((line) => line.toLowerCase().split(/ /))
+    // prefixes open another table rather than being instructions of their own
+    .filter(([opcode, mnemonic]) => mnemonic !== 'shift')
+    // undocumented ddcb/fdcb instructions have a space in their parameters (ld b,rlc (ix+dd))
+    .map(([opcode, mnemonic, ...params]) => [
+      `${table.prefix}${Number(opcode).toString(16).padStart(2, '0')}`,
+      (params.length > 0) ? `${mnemonic} ${params.join(' ')}` : mnemonic
+    ])
+}))
+
+/**
+ * split a fuse test file into its tests. each starts with its name; tests.expected then lists the bus events
+ * (indented) before the registers. both then have a line of register pairs, a line of "i r iff1 iff2 im halted
+ * t-states" and the memory as "address byte byte ... -1" lines (ended by a lone -1 in tests.in)
+ *
+ * @param string  input Contents of tests.in or tests.expected
+ * @return array  [{name, state, memory, events}]
+ */
+const parseTests = (input) => input.split(/\n\s*\n/)
+  .map((block) => block.split(/\n/).filter((line) => line.trim() !== ''))
+  .filter((lines) => lines.length > 0)
+  .map(([name, ...lines]) => {
+    const events = lines.filter((line) => line.match(/^\s/)).map((line) => line.trim().split(/\s+/))
+    const [registers, other, ...memory] = lines.filter((line) => !line.match(/^\s/))
+    const [i, r, iff1, iff2, im, halted, cycles] = other.trim().split(/\s+/)
+
+    const state = {}
+    registers.trim().split(/\s+/).slice(0, pairs.length).forEach((value, index) => state[pairs[index]] = parseInt(value, 16))
+    Object.assign(state, {
+      i: parseInt(i, 16), r: parseInt(r, 16), im: Number(im), iff1: iff1 === '1', iff2: iff2 === '1',
+      halted: halted === '1', cycles: Number(cycles)
+    })
+
+    return {
+      name: name.trim(),
+      state,
+      memory: memory.map((line) => line.trim().split(/\s+/).map((value) => parseInt(value, 16)))
+        .filter(([address]) => address !== -1)
+        .map(([address, ...bytes]) => [address, bytes.slice(0, -1)]),
+      events
+    }
+  })
+
+/**
+ * format a value for the generated source: numbers in hex (as bytes or words), strings quoted, objects and
+ * arrays on one line
+ *
+ * @param mixed value Value to format
+ * @return string
+ */
+const format = (value) => {
+  if (typeof value === 'number')
+    return `0x${value.toString(16).padStart((value > 0xff) ? 4 : 2, '0')}`
+
+  if (typeof value === 'string')
+    return `'${value.replace(/'/g, "\\'")}'`
+
+  if (Array.isArray(value))
+    return `[${value.map(format).join(', ')}]`
+
+  if ((typeof value === 'object') && (value !== null))
+    return `{${Object.keys(value).map((key) => `${key.match(/^\d+$/) ? format(Number(key)) : key.match(/'/) ? `"${key}"` : key}: ${format(value[key])}`).join(', ')}}`
+
+  return String(value)
+}
+
+const mnemonics = readMnemonics()
+const expectations = new Map(parseTests(readFile('tests.expected')).map((test) => [test.name, test]))
+const vectors = []
+const failures = []
+
+const tests = parseTests(readFile('tests.in'))
+tests.forEach(({name, state, memory}) => {
+  const opcode = name.replace(/_\d+$/, '')
+  if (typeof skipped[opcode] !== 'undefined')
+    return
+
+  const expected = expectations.get(name)
+  if (typeof expected === 'undefined') {
+    failures.push(`${name}: not in tests.expected`)
+    return
+  }
+  if (!mnemonics.has(opcode)) {
+    failures.push(`${name}: not in the opcode tables`)
+    return
+  }
+
+  // the memory fuse expects afterwards, less the bytes which were already there
+  const initial = new Map(memory.flatMap(([address, bytes]) => bytes.map((byte, offset) => [address + offset, byte])))
+  const changed = {}
+  expected.memory.forEach(([address, bytes]) => bytes.forEach((byte, offset) => {
+    if ((initial.get(address + offset) ?? filler[(address + offset) & 0x03]) !== byte)
+      changed[address + offset] = byte
+  }))
+
+  const flags = name.match(bitFromMemptr) ? flagsWithoutMemptr : 0xff
+  const {i, r, cycles, ...registers} = expected.state
+  registers.af &= 0xff00 | flags
+  registers.i = i
+
+  const io = expected.events.filter(([time, type]) => type === 'PW').map(([time, type, port, data]) => [parseInt(port, 16), parseInt(data, 16)])
+  vectors.push(`  [${format(name)}, ${format(mnemonics.get(opcode))}, ${format(state)}, ${format(memory)}, ${format(flags)}, ` +
+    `${format({registers, memory: changed, io, cycles})}]`)
+})
+
+// every opcode the cpu implements should be tested
+const tested = new Set(tests.map(({name}) => name.replace(/_\d+$/, '')))
+mnemonics.forEach((mnemonic, opcode) => {
+  if (!tested.has(opcode))
+    failures.push(`${opcode} ${mnemonic}: no fuse test`)
+})
+
+if (failures.length > 0) {
+  console.error(`Failed to generate ${failures.length} tests:\n${failures.join('\n')}`)
+  process.exit(1)
+}
+
+const output = `/**
+ * per-opcode test vectors for ProcessorZ80, taken from the fuse emulator's z80 test suite (z80_tables/tests.in
+ * and z80_tables/tests.expected). each vector is [name, mnemonic, state, memory, flags, expected]: the state
+ * and memory the test starts from, the bits of f which are compared and what fuse expects afterwards (the
+ * registers, the memory which changed, the port writes and the t-states).
+ *
+ * THIS FILE IS AUTOMATICALLY GENERATED by z80_tables/generate_opcode_tests.js (npm run generate:opcode-tests)
+ */
+
+import ProcessorZ80 from './z80.js'
+
+const filler = ${format(filler)}
+
+const createRunner = ${createRunner.toString()}
+
+const runVector = createRunner()
+
+const vectors = [
+${vectors.join(',\n')}
+]
+
+// tests are named after fuse's test and the instruction's mnemonic, e.g. "dd36 ld (ix+dd),nn"
+test.each(vectors)('%s %s', (name, mnemonic, state, memory, flags, expected) => {
+  expect(runVector(state, memory, flags)).toEqual(expected)
+})
+`
+
+try {
+  fs.writeFileSync(outfile, output)
+} catch (e) {
+  console.error(`Failed to write output file: ${e}`)
+  process.exit(13)
+}
+
+console.log(`Wrote ${vectors.length} test vectors to ${outfile} (${Object.keys(skipped).length} fuse tests skipped)`)
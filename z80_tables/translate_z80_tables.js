@@ -14,17 +14,21 @@ import path from 'path'
  * a script to turn Philip Kendall's opcode tables into javascript source.
  * brace yourself.
  */
-const [infile, outfile, base, register] = [process.argv[2], process.argv[3], process.argv[4], process.argv[5]]
+const [infile, outfile, base, register] = process.argv.slice(2).filter((arg) => !arg.startsWith('-'))
+
+// with --mnemonics, write the disassembler's mnemonic table instead of the opcode implementations
+const mnemonicsOnly = process.argv.includes('--mnemonics')
 
 if ((process.argv.indexOf('--help') !== -1) || (process.argv.indexOf('-h') !== -1)) {
   // output help information
   console.log(`${path.basename(process.argv[1])}: convert Z80 opcode tables from Philip Kendall's FUSE to JavaScript.\n` +
     `\n` +
     `Usage:\n` +
-    `  ${path.basename(process.argv[1])} <input> <output> [<subtable index> <REGISTER name>] \n` +
+    `  ${path.basename(process.argv[1])} [--mnemonics] <input> <output> [<subtable index> <REGISTER name>] \n` +
     `\n` +
     `  Arguments:\n` +
     `    -h  --help    This help information\n` +
+    `    --mnemonics   Write the mnemonic table for the disassembler instead of the opcodes\n` +
     `\n` +
     `  Parameters:\n` +
     `    <input>           The opcode file to read\n` +
@@ -86,6 +90,7 @@ const splitInput = input.toString().split(/\n/).filter(
 )
 
 let outputBuffer = ''
+let mnemonicBuffer = ''
 let unhandled = {}
 
 // regexp helpers for simplify matching
@@ -93,6 +98,173 @@ const anyRegMatch = (reg) => reg.match(/^(a|b|c|d|e|h|l|ixh|ixl|iyh|iyl|bc|de|hl
 const byteRegMatch = (reg) => reg.match(/^(a|b|c|d|e|h|l|ixh|ixl|iyh|iyl|i|r)$/)
 const wordRegMatch = (reg) => reg.match(/^(bc|de|hl|ix|iy|sp|pc|af|af')$/)
 
+// unprefixed instructions whose timing doesn't depend on their parameters
+const fixedTStates = {
+  nop: 4, halt: 4, di: 4, ei: 4, exx: 4, daa: 4, cpl: 4, scf: 4, ccf: 4, rlca: 4, rrca: 4, rla: 4, rra: 4,
+  push: 11, pop: 10, rst: 11, in: 11, out: 11, djnz: 8, shift: 4
+}
+
+// conditional instructions which take extra t-states when the branch is taken (or the block op repeats)
+const takenTStates = {jr: 5, djnz: 5, call: 7, ret: 6, ldir: 5, lddr: 5, cpir: 5, cpdr: 5, inir: 5, indr: 5, otir: 5, otdr: 5}
+
+/**
+ * work out how many t-states an instruction takes, including the time spent fetching any prefix bytes.
+ * for conditional instructions this is the not-taken time; see takenTStates for the remainder.
+ * timings are from the zilog z80 cpu user manual (um0080).
+ *
+ * @param string  mnemonic  Lowercase instruction mnemonic
+ * @param string  param     Lowercase instruction parameters (may be undefined)
+ * @param string  prefix    Subtable prefix the instruction lives in (cb, dd, ed, ddcb, etc.)
+ * @return number
+ */
+const tStates = (mnemonic, param, prefix = '') => {
+  const parts = (typeof param === 'undefined') ? [] : param.split(/,/)
+  const conditional = ['z', 'nz', 'c', 'nc', 'po', 'pe', 'p', 'm'].includes(parts[0])
+
+  if (prefix === 'ddcb' || prefix === 'fdcb')
+    return (mnemonic === 'bit') ? 20 : 23
+
+  if (prefix === 'cb') {
+    if (!param.includes('(hl)'))
+      return 8
+    return (mnemonic === 'bit') ? 12 : 15
+  }
+
+  if (prefix === 'ed') {
+    if (['in', 'out'].includes(mnemonic))
+      return 12
+    if (['adc', 'sbc'].includes(mnemonic))
+      return 15
+    if (mnemonic === 'ld')
+      return param.includes('(nnnn)') ? 20 : 9
+    if (['neg', 'im'].includes(mnemonic))
+      return 8
+    if (['retn', 'reti'].includes(mnemonic))
+      return 14
+    if (['rrd', 'rld'].includes(mnemonic))
+      return 18
+    if (mnemonic.match(/^(ld|cp|in|out|ot)[id]r?$/))
+      return 16
+
+    console.warn(`no t-state timing for: ${prefix} ${mnemonic} ${param}`)
+    return 8
+  }
+
+  // index register instructions take the same time as their hl counterparts plus four t-states for the prefix,
+  // except for (ix+dd)/(iy+dd) where fetching the displacement and calculating the address costs more
+  const indexed = (typeof param !== 'undefined') && param.match(/\(i[xy]\+dd\)/)
+  const hlParts = parts.map((part) => part.replace(/\(i[xy]\+dd\)/, '(hl)').replace(/^i[xy]([hl]?)$/, (m, half) => half || 'hl'))
+  let cycles = fixedTStates[mnemonic]
+
+  switch (mnemonic) {
+    case 'ex':
+      cycles = (hlParts[0] === '(sp)') ? 19 : 4
+      break
+
+    case 'ld': {
+      const [dst, src] = hlParts
+      if (byteRegMatch(dst) && byteRegMatch(src))
+        cycles = 4
+      else if (dst === 'sp' && src === 'hl')
+        cycles = 6
+      else if (src === 'nnnn')
+        cycles = 10
+      else if (dst === '(nnnn)' || src === '(nnnn)')
+        cycles = (dst === 'a' || src === 'a') ? 13 : 16
+      else if (dst === '(hl)' && src === 'nn')
+        cycles = indexed ? 7 : 10 // ld (ix+dd),nn overlaps fetching nn with the address calculation: 19 t-states
+      else if (src === 'nn' || dst.match(/^\(..\)$/) || src.match(/^\(..\)$/))
+        cycles = 7
+      break
+    }
+
+    case 'inc':
+    case 'dec':
+      if (hlParts[0] === '(hl)')
+        cycles = 11
+      else
+        cycles = wordRegMatch(hlParts[0]) ? 6 : 4
+      break
+
+    case 'add':
+    case 'adc':
+    case 'sub':
+    case 'sbc':
+    case 'and':
+    case 'or':
+    case 'xor':
+    case 'cp': {
+      const src = hlParts[hlParts.length - 1]
+      if (wordRegMatch(hlParts[0]) && hlParts.length > 1)
+        cycles = 11
+      else
+        cycles = (src === 'nn' || src === '(hl)') ? 7 : 4
+      break
+    }
+
+    case 'jr':
+      cycles = conditional ? 7 : 12
+      break
+
+    case 'jp':
+      cycles = (hlParts[0] === 'hl') ? 4 : 10
+      break
+
+    case 'call':
+      cycles = conditional ? 10 : 17
+      break
+
+    case 'ret':
+      cycles = conditional ? 5 : 10
+      break
+  }
+
+  if (typeof cycles === 'undefined') {
+    console.warn(`no t-state timing for: ${prefix} ${mnemonic} ${param}`)
+    cycles = 4
+  }
+
+  if (prefix === 'dd' || prefix === 'fd')
+    cycles += indexed ? 12 : 4
+
+  return cycles
+}
+
+/**
+ * name of the word helper which moves a block instruction's pointer(s) on: ldi/cpi/ini/outi/otir (etc.) increment,
+ * the others decrement
+ *
+ * @param string  mnemonic  Block instruction mnemonic
+ * @return string
+ */
+const blockStep = (mnemonic) => mnemonic.match(/^(ld|cp|in|out|ot)i/) ? 'addWord' : 'subWord'
+
+/**
+ * generate the tail of a repeating block instruction (ldir, cpir, etc.); whilst the condition holds, wind pc
+ * back over the instruction so it executes again and account for the extra t-states
+ *
+ * @param string  mnemonic  Block instruction mnemonic
+ * @param string  condition JavaScript expression which is truthy when the instruction should repeat
+ * @return string
+ */
+const blockRepeat = (mnemonic, condition) => {
+  if (typeof takenTStates[mnemonic] === 'undefined')
+    return ''
+
+  return `  if (${condition}) {\n` +
+    `    this.#registers.pc = this.#subWord(this.#registers.pc, 2)\n` +
+    `    this.#cycles += ${takenTStates[mnemonic]}\n` +
+    `  }\n`
+}
+
+// flags for the block i/o instructions (ini, outi, etc.); expects byte and adjusted to be in scope
+const blockIoFlags = `  this.#regops.f(\n` +
+  `      ((byte & 0x80) ? this.#FREG_N : 0)\n` +
+  `    | ((adjusted < byte) ? (this.#FREG_H | this.#FREG_C) : 0)\n` +
+  `    | this.#flagTable.parity[(adjusted & 0x07) ^ this.#regops.b()]\n` +
+  `    | this.#flagTable.sz53[this.#regops.b()]\n` +
+  `  )\n`
+
 splitInput.forEach((line) => {
   /**
    * FIXUPS! although hacky to look at, some of the 0x[df]dcb ops are recorded in opcodes as ld instructions
@@ -114,6 +286,9 @@ splitInput.forEach((line) => {
     ? param.toLowerCase()
     : undefined
 
+  // remember where this opcode's output starts so we know whether a handler emitted anything
+  const outputStart = outputBuffer.length
+
   switch (mnemonic) {
     case 'nop':
       // do nothing
@@ -126,6 +301,20 @@ splitInput.forEach((line) => {
       // flags unaffected
       const parts = param.split(/,/)
 
+      if (parts[0] === 'a' && ['i', 'r'].includes(parts[1])) {
+        // ld a,i and ld a,r are the only loads which affect flags; p/v reports the state of iff2
+        outputBuffer += `// ${verbatimOp}\n` +
+          `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
+          `  this.#regops.a(this.#regops.${parts[1]}())\n` +
+          `  this.#regops.f(\n` +
+          `      (this.#regops.f() & this.#FREG_C)\n` +
+          `    | this.#flagTable.sz53[this.#regops.a()]\n` +
+          `    | (this.#interrupts.iff2 ? this.#FREG_V : 0)\n` +
+          `  )\n` +
+          `}\n`
+        break
+      }
+
       if ((byteRegMatch(parts[0]) && byteRegMatch(parts[1]))
           || (wordRegMatch(parts[0]) && wordRegMatch(parts[1]))) {
         // simple byte/word register copy
@@ -156,19 +345,18 @@ splitInput.forEach((line) => {
         outputBuffer += `// ${verbatimOp}\n` +
           `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
           `  const [lo, hi] = [this.#getPC(), this.#getPC()]\n` +
-          `  this.#ram[this.#word(hi, lo)] = this.#regops.${parts[1]}()\n` +
+          `  this.#writeByte(this.#word(hi, lo), this.#regops.${parts[1]}())\n` +
           `}\n`
         break
       }
 
       if (parts[0] == '(nnnn)' && wordRegMatch(parts[1])) {
-        // write word register to memory
-        const [msb, lsb] = parts[1].split('')
+        // write word register to memory (split with #lo/#hi as sp, ix and iy aren't named after their halves)
         outputBuffer += `// ${verbatimOp}\n` +
           `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
           `  const [lo, hi] = [this.#getPC(), this.#getPC()]\n` +
-          `  this.#ram[this.#word(hi, lo)] = this.#regops.${lsb}()\n` +
-          `  this.#ram[this.#addWord(this.#word(hi, lo), 1)] = this.#regops.${msb}()\n` +
+          `  this.#writeByte(this.#word(hi, lo), this.#lo(this.#registers.${parts[1]}))\n` +
+          `  this.#writeByte(this.#addWord(this.#word(hi, lo), 1), this.#hi(this.#registers.${parts[1]}))\n` +
           `}\n`
         break
       }
@@ -178,24 +366,18 @@ splitInput.forEach((line) => {
         outputBuffer += `// ${verbatimOp}\n` +
           `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
           `  const [lo, hi] = [this.#getPC(), this.#getPC()]\n` +
-          `  this.#regops.${parts[0]}(this.#ram[this.#word(hi, lo)])\n` +
+          `  this.#regops.${parts[0]}(this.#readByte(this.#word(hi, lo)))\n` +
           `}\n`
         break
       }
 
       if (wordRegMatch(parts[0]) && parts[1] == '(nnnn)') {
         // load memory to word register
-        let [msb, lsb] = parts[0].split('')
-        // handle when word is ix/iy because cpus aren't text processors
-        if (parts[0] === 'ix' || parts[0] === 'iy') {
-          msb = `i${parts[0][1]}h`
-          lsb = `i${parts[0][1]}l`
-        }
         outputBuffer += `// ${verbatimOp}\n` +
           `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
           `  const [lo, hi] = [this.#getPC(), this.#getPC()]\n` +
-          `  this.#regops.${lsb}(this.#ram[this.#word(hi, lo)])\n` +
-          `  this.#regops.${msb}(this.#ram[this.#addWord(this.#word(hi, lo), 1)])\n` +
+          `  const address = this.#word(hi, lo)\n` +
+          `  this.#regops.${parts[0]}(this.#word(this.#readByte(this.#addWord(address, 1)), this.#readByte(address)))\n` +
           `}\n`
         break
       }
@@ -204,7 +386,7 @@ splitInput.forEach((line) => {
         const register = parts[0].replace(/[()]/g, '')
         // write byte to memory by register
         outputBuffer += `// ${verbatimOp}\n` +
-          `this.#opcodes${subtablePrefix}[${opcode}] = () => { this.#ram[this.#regops.${register}()] = this.#getPC() }\n`
+          `this.#opcodes${subtablePrefix}[${opcode}] = () => { this.#writeByte(this.#regops.${register}(), this.#getPC()) }\n`
         break
       }
 
@@ -213,7 +395,7 @@ splitInput.forEach((line) => {
         // write byte to memory by register indirect mode (dd byte before nn byte)
         outputBuffer += `// ${verbatimOp}\n` +
           `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
-          `  this.#ram[this.#regops.${register}() + this.#uint8ToInt8(this.#getPC())] = this.#getPC()\n` +
+          `  this.#writeByte(this.#regops.${register}() + this.#uint8ToInt8(this.#getPC()), this.#getPC())\n` +
           `}\n`
         break
       }
@@ -222,7 +404,7 @@ splitInput.forEach((line) => {
         const register = parts[0].replace(/[()]/g, '')
         // write 8-bit register to memory by register
         outputBuffer += `// ${verbatimOp}\n` +
-          `this.#opcodes${subtablePrefix}[${opcode}] = () => { this.#ram[this.#regops.${register}()] = this.#regops.${parts[1]}() }\n`
+          `this.#opcodes${subtablePrefix}[${opcode}] = () => { this.#writeByte(this.#regops.${register}(), this.#regops.${parts[1]}()) }\n`
         break
       }
 
@@ -230,7 +412,7 @@ splitInput.forEach((line) => {
         const register = parts[1].replace(/[()]/g, '')
         // load 8-bit register from memory by register
         outputBuffer += `// ${verbatimOp}\n` +
-          `this.#opcodes${subtablePrefix}[${opcode}] = () => { this.#regops.${parts[0]}(this.#ram[this.#regops.${register}()]) }\n`
+          `this.#opcodes${subtablePrefix}[${opcode}] = () => { this.#regops.${parts[0]}(this.#readByte(this.#regops.${register}())) }\n`
         break
       }
 
@@ -239,7 +421,7 @@ splitInput.forEach((line) => {
         const register = parts[1].substring(1, 3)
         outputBuffer += `// ${verbatimOp}\n` +
           `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
-          `  this.#regops.${parts[0]}(this.#ram[this.#registers.${register} + this.#uint8ToInt8(this.#getPC())])\n` +
+          `  this.#regops.${parts[0]}(this.#readByte(this.#registers.${register} + this.#uint8ToInt8(this.#getPC())))\n` +
           `}\n`
         break
       }
@@ -249,7 +431,7 @@ splitInput.forEach((line) => {
         const register = parts[0].substring(1, 3)
         outputBuffer += `// ${verbatimOp}\n` +
           `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
-          `  this.#ram[this.#registers.${register} + this.#uint8ToInt8(this.#getPC())] = this.#regops.${parts[1]}()\n` +
+          `  this.#writeByte(this.#registers.${register} + this.#uint8ToInt8(this.#getPC()), this.#regops.${parts[1]}())\n` +
           `}\n`
         break
       }
@@ -286,10 +468,10 @@ splitInput.forEach((line) => {
         outputBuffer += `// ${verbatimOp}\n` +
           `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
           `  const temp = this.#registers.${reg2}\n` +
-          `  const [lo, hi] = [this.#ram[this.#registers.${reg1}], this.#ram[this.#addWord(this.#registers.${reg1}, 1)]]\n` +
+          `  const [lo, hi] = [this.#readByte(this.#registers.${reg1}), this.#readByte(this.#addWord(this.#registers.${reg1}, 1))]\n` +
           `  this.#registers.${reg2} = this.#word(hi, lo)\n` +
-          `  this.#ram[this.#registers.${reg1}] = this.#lo(temp)\n` +
-          `  this.#ram[this.#addWord(this.#registers.${reg1}, 1)] = this.#hi(temp)\n` +
+          `  this.#writeByte(this.#registers.${reg1}, this.#lo(temp))\n` +
+          `  this.#writeByte(this.#addWord(this.#registers.${reg1}, 1), this.#hi(temp))\n` +
           `}\n`
         break
       }
@@ -302,6 +484,22 @@ splitInput.forEach((line) => {
     case 'reti':
       // return from a subroutine call (pop word from sp and load into pc)
       // retn is return from an nmi; reti is return from a maskable interrupt (i/o)
+      // both retn and reti copy iff2 back into iff1, restoring the interrupt state from before an nmi
+      // zilog's peripheral chips watch the data bus for reti, to know their interrupt routine has finished, so
+      // reti also calls the reti handlers (see addRetiHandler())
+      if (mnemonic !== 'ret') {
+        outputBuffer += `// ${verbatimOp}\n` +
+          `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
+          `  this.#interrupts.iff1 = this.#interrupts.iff2\n` +
+          `  this.#regops.pc(this.#popWord())\n` +
+          ((mnemonic === 'reti')
+            ? `  if (this.#retiHandlers.length > 0)\n` +
+              `    this.#retiHandlers.forEach((entry) => entry.handler(this))\n`
+            : '') +
+          `}\n`
+        break
+      }
+
       if (typeof param === 'undefined') {
         outputBuffer += `// ${verbatimOp}\nthis.#opcodes${subtablePrefix}[${opcode}] = () => { this.#regops.pc(this.#popWord()) }\n`
         break
@@ -309,35 +507,35 @@ splitInput.forEach((line) => {
 
       switch (param) {
         case 'z': // zero bit
-          outputBuffer += `// ${verbatimOp}\nthis.#opcodes${subtablePrefix}[${opcode}] = () => {\n  if (this.#regops.f() & this.#FREG_Z)\n    this.#regops.pc(this.#popWord())\n}\n`
+          outputBuffer += `// ${verbatimOp}\nthis.#opcodes${subtablePrefix}[${opcode}] = () => {\n  if (this.#regops.f() & this.#FREG_Z) {\n    this.#regops.pc(this.#popWord())\n    this.#cycles += ${takenTStates.ret}\n  }\n}\n`
           break
 
         case 'nz': // zero bit
-          outputBuffer += `// ${verbatimOp}\nthis.#opcodes${subtablePrefix}[${opcode}] = () => {\n  if (!(this.#regops.f() & this.#FREG_Z))\n    this.#regops.pc(this.#popWord())\n}\n`
+          outputBuffer += `// ${verbatimOp}\nthis.#opcodes${subtablePrefix}[${opcode}] = () => {\n  if (!(this.#regops.f() & this.#FREG_Z)) {\n    this.#regops.pc(this.#popWord())\n    this.#cycles += ${takenTStates.ret}\n  }\n}\n`
           break
 
         case 'c': // carry flag bit
-          outputBuffer += `// ${verbatimOp}\nthis.#opcodes${subtablePrefix}[${opcode}] = () => {\n  if (this.#regops.f() & this.#FREG_C)\n    this.#regops.pc(this.#popWord())\n}\n`
+          outputBuffer += `// ${verbatimOp}\nthis.#opcodes${subtablePrefix}[${opcode}] = () => {\n  if (this.#regops.f() & this.#FREG_C) {\n    this.#regops.pc(this.#popWord())\n    this.#cycles += ${takenTStates.ret}\n  }\n}\n`
           break
 
         case 'nc': // carry flag bit
-          outputBuffer += `// ${verbatimOp}\nthis.#opcodes${subtablePrefix}[${opcode}] = () => {\n  if (!(this.#regops.f() & this.#FREG_C))\n    this.#regops.pc(this.#popWord())\n}\n`
+          outputBuffer += `// ${verbatimOp}\nthis.#opcodes${subtablePrefix}[${opcode}] = () => {\n  if (!(this.#regops.f() & this.#FREG_C)) {\n    this.#regops.pc(this.#popWord())\n    this.#cycles += ${takenTStates.ret}\n  }\n}\n`
           break
 
         case 'pe': // parity flag bit (equal)
-          outputBuffer += `// ${verbatimOp}\nthis.#opcodes${subtablePrefix}[${opcode}] = () => {\n  if (this.#regops.f() & this.#FREG_P)\n    this.#regops.pc(this.#popWord())\n}\n`
+          outputBuffer += `// ${verbatimOp}\nthis.#opcodes${subtablePrefix}[${opcode}] = () => {\n  if (this.#regops.f() & this.#FREG_P) {\n    this.#regops.pc(this.#popWord())\n    this.#cycles += ${takenTStates.ret}\n  }\n}\n`
           break
 
         case 'po': // parity flag bit (odd)
-          outputBuffer += `// ${verbatimOp}\nthis.#opcodes${subtablePrefix}[${opcode}] = () => {\n  if (!(this.#regops.f() & this.#FREG_P))\n    this.#regops.pc(this.#popWord())\n}\n`
+          outputBuffer += `// ${verbatimOp}\nthis.#opcodes${subtablePrefix}[${opcode}] = () => {\n  if (!(this.#regops.f() & this.#FREG_P)) {\n    this.#regops.pc(this.#popWord())\n    this.#cycles += ${takenTStates.ret}\n  }\n}\n`
           break
 
         case 'p': // sign bit (what is 'p'?)
-          outputBuffer += `// ${verbatimOp}\nthis.#opcodes${subtablePrefix}[${opcode}] = () => {\n  if (!(this.#regops.f() & this.#FREG_S))\n    this.#regops.pc(this.#popWord())\n}\n`
+          outputBuffer += `// ${verbatimOp}\nthis.#opcodes${subtablePrefix}[${opcode}] = () => {\n  if (!(this.#regops.f() & this.#FREG_S)) {\n    this.#regops.pc(this.#popWord())\n    this.#cycles += ${takenTStates.ret}\n  }\n}\n`
           break
 
         case 'm': // sign bit (what is 'm'?)
-          outputBuffer += `// ${verbatimOp}\nthis.#opcodes${subtablePrefix}[${opcode}] = () => {\n  if (this.#regops.f() & this.#FREG_S)\n    this.#regops.pc(this.#popWord())\n}\n`
+          outputBuffer += `// ${verbatimOp}\nthis.#opcodes${subtablePrefix}[${opcode}] = () => {\n  if (this.#regops.f() & this.#FREG_S) {\n    this.#regops.pc(this.#popWord())\n    this.#cycles += ${takenTStates.ret}\n  }\n}\n`
           break
 
         default:
@@ -349,12 +547,16 @@ splitInput.forEach((line) => {
 
     case 'di':
       // disable interrupts
-      outputBuffer += `// ${verbatimOp}\nthis.#opcodes${subtablePrefix}[${opcode}] = () => { this.#interrupts = false }\n`
+      outputBuffer += `// ${verbatimOp}\nthis.#opcodes${subtablePrefix}[${opcode}] = () => { this.#interrupts.iff1 = this.#interrupts.iff2 = false }\n`
       break
 
     case 'ei':
-      // enable interrupts
-      outputBuffer += `// ${verbatimOp}\nthis.#opcodes${subtablePrefix}[${opcode}] = () => { this.#interrupts = true }\n`
+      // enable interrupts; maskable interrupts are held off until the instruction after ei has executed
+      outputBuffer += `// ${verbatimOp}\n` +
+        `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
+        `  this.#interrupts.iff1 = this.#interrupts.iff2 = true\n` +
+        `  this.#interrupts.eiDelay = true\n` +
+        `}\n`
       break
 
     case 'push':
@@ -398,10 +600,9 @@ splitInput.forEach((line) => {
             `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
             `  this.#regops.${param}(this.#addByte(this.#regops.${param}(), 1))\n` +
             `  this.#regops.f(\n` +
-            `      this.#regops.f()\n` +
-            `    | this.#FREG_C\n` +
+            `      (this.#regops.f() & this.#FREG_C)\n` +
             `    | ((this.#regops.${param}() & 0x0f) ? 0 : this.#FREG_H)\n` +
-            `    | ((this.#regops.f() == 0x80) ? this.#FREG_V : 0)\n` +
+            `    | ((this.#regops.${param}() == 0x80) ? this.#FREG_V : 0)\n` +
             `    | this.#flagTable.sz53[this.#regops.${param}()]\n` +
             `  )\n` +
             `}\n`
@@ -412,13 +613,12 @@ splitInput.forEach((line) => {
           // increment 8-bit value in memory
           outputBuffer += `// ${verbatimOp}\n` +
             `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
-            `  const oldByte = this.#ram[this.#registers.hl]\n` +
+            `  const oldByte = this.#readByte(this.#registers.hl)\n` +
             `  const newByte = this.#addByte(oldByte, 1)\n` +
-            `  this.#ram[this.#registers.hl] = newByte\n` +
+            `  this.#writeByte(this.#registers.hl, newByte)\n` +
             `  this.#regops.f(\n` +
-            `      this.#regops.f()\n` +
-            `    | this.#FREG_C\n` +
-            `    | ((oldByte & 0x0f) ? 0 : this.#FREG_H)\n` +
+            `      (this.#regops.f() & this.#FREG_C)\n` +
+            `    | ((newByte & 0x0f) ? 0 : this.#FREG_H)\n` +
             `    | ((newByte == 0x80) ? this.#FREG_V : 0)\n` +
             `    | this.#flagTable.sz53[newByte]\n` +
             `  )\n` +
@@ -432,13 +632,12 @@ splitInput.forEach((line) => {
           outputBuffer += `// ${verbatimOp}\n` +
             `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
             `  const offset = this.#uint8ToInt8(this.#getPC())\n` +
-            `  const oldByte = this.#ram[this.#registers.${register} + offset]\n` +
+            `  const oldByte = this.#readByte(this.#registers.${register} + offset)\n` +
             `  const newByte = this.#addByte(oldByte, 1)\n` +
-            `  this.#ram[this.#registers.${register} + offset] = newByte\n` +
+            `  this.#writeByte(this.#registers.${register} + offset, newByte)\n` +
             `  this.#regops.f(\n` +
-            `      this.#regops.f()\n` +
-            `    | this.#FREG_C\n` +
-            `    | ((oldByte & 0x0f) ? 0 : this.#FREG_H)\n` +
+            `      (this.#regops.f() & this.#FREG_C)\n` +
+            `    | ((newByte & 0x0f) ? 0 : this.#FREG_H)\n` +
             `    | ((newByte == 0x80) ? this.#FREG_V : 0)\n` +
             `    | this.#flagTable.sz53[newByte]\n` +
             `  )\n` +
@@ -485,8 +684,7 @@ splitInput.forEach((line) => {
           `  const old = this.#regops.${param}()\n` +
           `  this.#regops.${param}(this.#subByte(this.#regops.${param}(), 1))\n` +
           `  this.#regops.f(\n` +
-          `      this.#regops.f()\n` +
-          `    | this.#FREG_C\n` +
+          `      (this.#regops.f() & this.#FREG_C)\n` +
           `    | ((old & 0x0f) ? 0 : this.#FREG_H)\n` +
           `    | this.#FREG_N\n` +
           `    | ((this.#regops.${param}() == 0x7f) ? this.#FREG_V : 0)\n` +
@@ -499,12 +697,11 @@ splitInput.forEach((line) => {
           // decrement 8-bit value in memory
           outputBuffer += `// ${verbatimOp}\n` +
             `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
-            `  const oldByte = this.#ram[this.#registers.hl]\n` +
+            `  const oldByte = this.#readByte(this.#registers.hl)\n` +
             `  const newByte = this.#subByte(oldByte, 1)\n` +
-            `  this.#ram[this.#registers.hl] = newByte\n` +
+            `  this.#writeByte(this.#registers.hl, newByte)\n` +
             `  this.#regops.f(\n` +
-            `      this.#regops.f()\n` +
-            `    | this.#FREG_C\n` +
+            `      (this.#regops.f() & this.#FREG_C)\n` +
             `    | ((oldByte & 0x0f) ? 0 : this.#FREG_H)\n` +
             `    | this.#FREG_N\n` +
             `    | ((newByte == 0x7f) ? this.#FREG_V : 0)\n` +
@@ -520,12 +717,11 @@ splitInput.forEach((line) => {
           outputBuffer += `// ${verbatimOp}\n` +
             `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
             `  const offset = this.#uint8ToInt8(this.#getPC())\n` +
-            `  const oldByte = this.#ram[this.#registers.${register} + offset]\n` +
+            `  const oldByte = this.#readByte(this.#registers.${register} + offset)\n` +
             `  const newByte = this.#subByte(oldByte, 1)\n` +
-            `  this.#ram[this.#registers.${register} + offset] = newByte\n` +
+            `  this.#writeByte(this.#registers.${register} + offset, newByte)\n` +
             `  this.#regops.f(\n` +
-            `      this.#regops.f()\n` +
-            `    | this.#FREG_C\n` +
+            `      (this.#regops.f() & this.#FREG_C)\n` +
             `    | ((oldByte & 0x0f) ? 0 : this.#FREG_H)\n` +
             `    | this.#FREG_N\n` +
             `    | ((newByte == 0x7f) ? this.#FREG_V : 0)\n` +
@@ -579,6 +775,11 @@ splitInput.forEach((line) => {
         break
       }
 
+      // conditional jp takes the same time either way; a conditional call is slower when it's taken
+      const takenCycles = (mnemonic == 'call')
+        ? `    this.#cycles += ${takenTStates.call}\n`
+        : ''
+
       outputBuffer += `// ${verbatimOp}\nthis.#opcodes${subtablePrefix}[${opcode}] = () => {\n  const [lo, hi] = [this.#getPC(), this.#getPC()]\n  `
       switch (flagOp) {
         case 'z':
@@ -602,7 +803,7 @@ splitInput.forEach((line) => {
           outputBuffer += `if (this.#regops.f() & this.#FREG_S) {`
           break
       }
-      outputBuffer += `\n${pushReturnAddress}    this.#regops.pc(this.#word(hi, lo))\n  }\n`
+      outputBuffer += `\n${pushReturnAddress}    this.#regops.pc(this.#word(hi, lo))\n${takenCycles}  }\n`
       outputBuffer += `}\n`
       break
 
@@ -626,8 +827,8 @@ splitInput.forEach((line) => {
       outputBuffer += `// ${verbatimOp}\n` +
         `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
         `  this.#regops.f(\n` +
-        `    this.#regops.f() | ((this.#regops.f() & this.#FREG_C) ? this.#FREG_H : this.#FREG_C)\n` +
-        `    & ~(this.#FREG_F3 | this.#FREG_F5)\n` +
+        `      (this.#regops.f() & (this.#FREG_P | this.#FREG_Z | this.#FREG_S))\n` +
+        `    | ((this.#regops.f() & this.#FREG_C) ? this.#FREG_H : this.#FREG_C)\n` +
         `    | (this.#regops.a() & (this.#FREG_F3 | this.#FREG_F5))\n` +
         `  )\n` +
         `}\n`
@@ -636,20 +837,17 @@ splitInput.forEach((line) => {
     case 'add':
     case 'adc': {
       let [dst, src] = param.split(/,/)
-      let carryPart = ''
 
-      // check if mnemonic is 'adc' and account for the carry flag
-      // funny how the carry flag isn't considered for overflow...
-      if (mnemonic === 'adc') {
-        // over/underflow is ok here as long as later ops clean up after this transaction
-        carryPart = `  this.#regops.${dst}(this.this.#regops.${dst} + (this.#regops.f() & this.#FREG_C ? 1 : 0))\n`
-      }
+      // adc brings the carry flag in as a third argument to the helper (the carry flag is bit 0 of f)
+      const carryArgument = (mnemonic === 'adc')
+        ? ', this.#regops.f() & this.#FREG_C'
+        : ''
 
       if (wordRegMatch(dst) && wordRegMatch(src)) {
-        // reg word+reg word (destination is ALWAYS hl)
+        // reg word+reg word (destination is ALWAYS hl, ix or iy); adc hl also affects s, z and p/v
         outputBuffer += `// ${verbatimOp}\n` +
-          `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` + carryPart +
-          `  this.#regops.${dst}(this.#add16(this.#regops.${dst}(), this.#regops.${src}()))\n` +
+          `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
+          `  this.#regops.${dst}(this.#${(mnemonic === 'adc') ? 'adc16' : 'add16'}(this.#regops.${dst}(), this.#regops.${src}()${carryArgument}))\n` +
           `}\n`
         break
       }
@@ -657,8 +855,8 @@ splitInput.forEach((line) => {
       if (byteRegMatch(dst) && byteRegMatch(src)) {
         // reg byte+reg byte (destination is ALWAYS a)
         outputBuffer += `// ${verbatimOp}\n` +
-          `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` + carryPart +
-          `  this.#regops.${dst}(this.#add8(this.#regops.${dst}(), this.#regops.${src}()))\n` +
+          `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
+          `  this.#regops.${dst}(this.#add8(this.#regops.${dst}(), this.#regops.${src}()${carryArgument}))\n` +
           `}\n`
         break
       }
@@ -666,8 +864,8 @@ splitInput.forEach((line) => {
       if (byteRegMatch(dst) && src === 'nn') {
         // reg byte+byte
         outputBuffer += `// ${verbatimOp}\n` +
-          `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` + carryPart +
-          `  this.#regops.${dst}(this.#add8(this.#regops.${dst}(), this.#getPC()))\n` +
+          `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
+          `  this.#regops.${dst}(this.#add8(this.#regops.${dst}(), this.#getPC()${carryArgument}))\n` +
           `}\n`
         break
       }
@@ -676,8 +874,8 @@ splitInput.forEach((line) => {
         // byte add to a from memory location
         src = src.replace(/[()]/g, '')
         outputBuffer += `// ${verbatimOp}\n` +
-          `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` + carryPart +
-          `  this.#regops.${dst}(this.#add8(this.#regops.${dst}(), this.#ram[this.#regops.${src}()]))\n` +
+          `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
+          `  this.#regops.${dst}(this.#add8(this.#regops.${dst}(), this.#readByte(this.#regops.${src}())${carryArgument}))\n` +
           `}\n`
         break
       }
@@ -686,8 +884,8 @@ splitInput.forEach((line) => {
         // byte add to a from indirect memory location
         src = src.substring(1, 3)
         outputBuffer += `// ${verbatimOp}\n` +
-          `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` + carryPart +
-          `  this.#regops.${dst}(this.#add8(this.#regops.${dst}(), this.#ram[this.#regops.${src}() + this.#uint8ToInt8(this.#getPC())]))\n` +
+          `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
+          `  this.#regops.${dst}(this.#add8(this.#regops.${dst}(), this.#readByte(this.#regops.${src}() + this.#uint8ToInt8(this.#getPC()))${carryArgument}))\n` +
           `}\n`
         break
       }
@@ -699,32 +897,32 @@ splitInput.forEach((line) => {
     case 'sub':
     case 'sbc': {
       let [dst, src] = param.split(/,/)
-      let carryPart = ''
 
       // amusing fact: base opcodes of the z80 don't have a 16-bit register subtract, but does have add
 
-      // check if mnemonic is 'sbc' and account for the carry flag
-      // funny how the carry flag isn't considered for underflow...
-      if (mnemonic === 'sbc') {
-        // over/underflow is ok here as long as later ops clean up after this transaction
-        carryPart = `  this.#regops.${dst}(this.#regops.${dst} - (this.#regops.f() & this.#FREG_C ? 1 : 0))\n`
-      }
+      // sbc brings the carry flag in as a third argument to the helper (the carry flag is bit 0 of f)
+      const carryArgument = (mnemonic === 'sbc')
+        ? ', this.#regops.f() & this.#FREG_C'
+        : ''
 
       if (byteRegMatch(dst) && byteRegMatch(src)) {
         // reg byte-reg byte (destination always a)
         outputBuffer += `// ${verbatimOp}\n` +
-          `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` + carryPart +
-          `  this.#regops.${dst}(this.#sub8(this.#regops.${dst}(), this.#regops.${src}()))\n` +
+          `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
+          `  this.#regops.${dst}(this.#sub8(this.#regops.${dst}(), this.#regops.${src}()${carryArgument}))\n` +
           `}\n`
         break
       }
 
       // zilog mnemonic is 'sub nn', but for convention with add, support 'sub a,nn'
-      if ((dst === 'nn' && typeof src === 'undefined') || (byteRegMatch(dst) && src === 'nn')) {
+      if ((dst === 'nn') && (typeof src === 'undefined'))
+        [dst, src] = ['a', 'nn']
+
+      if (byteRegMatch(dst) && src === 'nn') {
         // reg byte-byte
         outputBuffer += `// ${verbatimOp}\n` +
-          `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` + carryPart +
-          `  this.#regops.${dst}(this.#sub8(this.#regops.${dst}(), this.#getPC()))\n` +
+          `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
+          `  this.#regops.${dst}(this.#sub8(this.#regops.${dst}(), this.#getPC()${carryArgument}))\n` +
           `}\n`
         break
       }
@@ -733,8 +931,8 @@ splitInput.forEach((line) => {
         // byte sub from a from memory location
         src = src.replace(/[()]/g, '')
         outputBuffer += `// ${verbatimOp}\n` +
-          `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` + carryPart +
-          `  this.#regops.${dst}(this.#sub8(this.#regops.${dst}(), this.#ram[this.#regops.${src}()]))\n` +
+          `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
+          `  this.#regops.${dst}(this.#sub8(this.#regops.${dst}(), this.#readByte(this.#regops.${src}())${carryArgument}))\n` +
           `}\n`
         break
       }
@@ -743,8 +941,8 @@ splitInput.forEach((line) => {
         // byte sub from a from indirect memory location
         src = src.substring(1, 3)
         outputBuffer += `// ${verbatimOp}\n` +
-          `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` + carryPart +
-          `  this.#regops.${dst}(this.#sub8(this.#regops.${dst}(), this.#ram[this.#regops.${src}() + this.#uint8ToInt8(this.#getPC())]))\n` +
+          `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
+          `  this.#regops.${dst}(this.#sub8(this.#regops.${dst}(), this.#readByte(this.#regops.${src}() + this.#uint8ToInt8(this.#getPC()))${carryArgument}))\n` +
           `}\n`
         break
       }
@@ -752,8 +950,8 @@ splitInput.forEach((line) => {
       if ((mnemonic === 'sbc') && wordRegMatch(dst) && wordRegMatch(src)) {
         // word sub between registers - this is ALWAYS sbc, never sub
         outputBuffer += `// ${verbatimOp}\n` +
-          `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` + carryPart +
-          `  this.#regops.${dst}(this.#subWord(this.#sub16(this.#regops.${dst}(), this.#regops.${src}())), (this.#regops.f() & this.#FREG_C ? 1 : 0))\n` +
+          `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
+          `  this.#regops.${dst}(this.#sub16(this.#regops.${dst}(), this.#regops.${src}()${carryArgument}))\n` +
           `}\n`
         break
       }
@@ -823,9 +1021,13 @@ splitInput.forEach((line) => {
       break
 
     case 'halt':
-      // stop being a cpu and become a doorstop
-      // @todo use a custom exception class?
-      outputBuffer += `// ${verbatimOp}\nthis.#opcodes${subtablePrefix}[${opcode}] = () => { throw 'cpu halted by opcode' }\n`
+      // stop being a cpu and become a doorstop: wind pc back so halt is fetched again (burning nop cycles, as
+      // the real chip does) until an interrupt steps pc over it; see #wake()
+      outputBuffer += `// ${verbatimOp}\n` +
+        `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
+        `  this.#halted = true\n` +
+        `  this.#registers.pc = this.#subWord(this.#registers.pc, 1)\n` +
+        `}\n`
       break
 
     case 'shift':
@@ -834,13 +1036,15 @@ splitInput.forEach((line) => {
       break
 
     case 'djnz':
-      // dec b, if it's not zero, jump to pc+offset (signed)
+      // dec b, if it's not zero, jump to pc+offset (signed; relative to the next instruction). flags unaffected
       outputBuffer += `// ${verbatimOp}\n` +
         `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
-        `  const [offset, instructionBase] = [this.#getPC(), this.#registers.pc - 2]\n` +
-        `  this.#regops.b(this.#sub8(this.#regops.b(), 1))\n` +
-        `  if (this.#regops.b())\n` +
-        `    this.#registers.pc = this.#addWord(instructionBase, this.#uint8ToInt8(offset))\n` +
+        `  const offset = this.#getPC()\n` +
+        `  this.#regops.b(this.#subByte(this.#regops.b(), 1))\n` +
+        `  if (this.#regops.b()) {\n` +
+        `    this.#registers.pc = this.#addWord(this.#registers.pc, this.#uint8ToInt8(offset))\n` +
+        `    this.#cycles += ${takenTStates.djnz}\n` +
+        `  }\n` +
         `}\n`
       break
 
@@ -851,8 +1055,8 @@ splitInput.forEach((line) => {
         // unconditional
         outputBuffer += `// ${verbatimOp}\n` +
           `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
-          `  const [offset, instructionBase] = [this.#getPC(), this.#registers.pc - 2]\n` +
-          `  this.#registers.pc = this.#addWord(instructionBase, this.#uint8ToInt8(offset))\n` +
+          `  const offset = this.#getPC()\n` +
+          `  this.#registers.pc = this.#addWord(this.#registers.pc, this.#uint8ToInt8(offset))\n` +
         `}\n`
         break
       }
@@ -888,9 +1092,11 @@ splitInput.forEach((line) => {
 
       outputBuffer += `// ${verbatimOp}\n` +
         `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
-        `  const [offset, instructionBase] = [this.#getPC(), this.#registers.pc - 2]\n` +
-        `  if (${condition})\n` +
-        `    this.#registers.pc = this.#addWord(instructionBase, this.#uint8ToInt8(offset))\n` +
+        `  const offset = this.#getPC()\n` +
+        `  if (${condition}) {\n` +
+        `    this.#registers.pc = this.#addWord(this.#registers.pc, this.#uint8ToInt8(offset))\n` +
+        `    this.#cycles += ${takenTStates.jr}\n` +
+        `  }\n` +
         `}\n`
 
       break
@@ -900,7 +1106,7 @@ splitInput.forEach((line) => {
       // ported from fuse owing to not being sure how the BCD opcodes work
       outputBuffer += `// ${verbatimOp}\n` +
         `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
-        `  const [add, carry] = [0, this.#regops.f() & this.#FREG_C]\n` +
+        `  let [add, carry] = [0, this.#regops.f() & this.#FREG_C]\n` +
         `  \n` +
         `  if ((this.#regops.f() & this.#FREG_H) || ((this.#regops.a() & 0x0f) > 9))\n` +
         `    add = 6\n` +
@@ -929,28 +1135,27 @@ splitInput.forEach((line) => {
       const [arg1, arg2] = param.split(/,/)
 
       if ((byteRegMatch(arg1) && (arg2 == '(nn)')) || ((arg1 == '(nn)') && byteRegMatch(arg2))) {
-        // read or write by port number in next byte (register is always a)
-        // flags are NOT affected by this read
+        // read or write by port number in next byte (register is always a, which also goes out on the upper
+        // half of the address bus); flags are NOT affected by this read
         outputBuffer += `// ${verbatimOp}\n` +
           `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n`
 
         outputBuffer += mnemonic == 'in'
-          ? `  this.#regops.${arg1}(this.#callIoHandler(this.#getPC(), 'r'))`
-          : `  this.#callIoHandler(this.#getPC(), 'w', this.#regops.${arg2}())`
+          ? `  this.#regops.${arg1}(this.#callIoHandler(this.#word(this.#regops.a(), this.#getPC()), 'r'))`
+          : `  this.#callIoHandler(this.#word(this.#regops.a(), this.#getPC()), 'w', this.#regops.${arg2}())`
 
         outputBuffer += `\n}\n`
         break
       }
 
       if ((byteRegMatch(arg1) && byteRegMatch(arg2.replace(/[()]/g, ''))) || (byteRegMatch(arg1.replace(/[()]/g, '')) && byteRegMatch(arg2))) {
-        // port number is in register
-        const portRegister = (mnemonic === 'in') ? arg2.substring(1, 2) : arg1.substring(1, 2)
+        // port number is in register c, with b on the upper half of the address bus
         outputBuffer += `// ${verbatimOp}\n` +
           `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n`
 
         outputBuffer += mnemonic == 'in'
-          ? `  this.#regops.${arg1}(this.#callIoHandler(this.#regops.${portRegister}(), 'r'))`
-          : `  this.#callIoHandler(this.#regops.${portRegister}(), 'w', this.#regops.${arg2}())`
+          ? `  this.#regops.${arg1}(this.#callIoHandler(this.#registers.bc, 'r'))`
+          : `  this.#callIoHandler(this.#registers.bc, 'w', this.#regops.${arg2}())`
 
         if (mnemonic === 'in') {
           // affect flags, but only for input mode
@@ -962,23 +1167,21 @@ splitInput.forEach((line) => {
       }
 
       if ((arg1 === 'f') && byteRegMatch(arg2.replace(/[()]/g, ''))) {
-        // read and affect flags only (usually only on register c)
-        const portRegister = arg2.substring(1, 2)
+        // read and affect flags only (port in bc); the byte read sets the flags as any other in r,(c) would
         outputBuffer += `// ${verbatimOp}\n` +
           `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
-          `  this.#regops.${arg1}(this.#callIoHandler(this.#regops.${portRegister}(), 'r'))\n` +
-          `  this.#regops.f((this.#regops.f() & this.#FREG_C) | this.#flagTable.sz53p[this.#regops.${portRegister}()])` +
+          `  const byte = this.#callIoHandler(this.#registers.bc, 'r')\n` +
+          `  this.#regops.f((this.#regops.f() & this.#FREG_C) | this.#flagTable.sz53p[byte])\n` +
           `}\n`
 
         break
       }
 
       if (mnemonic === 'out' && byteRegMatch(arg1.replace(/[()]/g, '')) && arg2 === '0') {
-        // weird one: write zero to port in arg1 (guess it's got lower t-state count than reading register)
-        const portRegister = arg1.substring(1, 2)
+        // weird one: write zero to port in bc (guess it's got lower t-state count than reading register)
         outputBuffer += `// ${verbatimOp}\n` +
           `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
-          `  this.#callIoHandler(this.#regops.${portRegister}(), 'w', 0)\n` +
+          `  this.#callIoHandler(this.#registers.bc, 'w', 0)\n` +
           `}\n`
         break
       }
@@ -994,7 +1197,7 @@ splitInput.forEach((line) => {
         `  this.#regops.f(\n` +
         `      this.#regops.f()\n` +
         `    & (this.#FREG_C | this.#FREG_P | this.#FREG_Z | this.#FREG_S)\n` +
-        `    | (this.regops.a() & (this.#FREG_F3 | this.#FREG_F5))\n` +
+        `    | (this.#regops.a() & (this.#FREG_F3 | this.#FREG_F5))\n` +
         `    | this.#FREG_N | this.#FREG_H\n` +
         `  )\n` +
         `}\n`
@@ -1034,7 +1237,7 @@ splitInput.forEach((line) => {
         src = src.replace(/[()]/g, '')
         outputBuffer += `// ${verbatimOp}\n` +
           `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
-          `  this.#regops.${dst}(this.#regops.${dst}() & this.#ram[this.#regops.${src}()])\n` +
+          `  this.#regops.${dst}(this.#regops.${dst}() & this.#readByte(this.#regops.${src}()))\n` +
           `  this.#regops.f(this.#flagTable.sz53p[this.#regops.a()] | this.#FREG_H)\n` +
           `}\n`
         break
@@ -1045,7 +1248,7 @@ splitInput.forEach((line) => {
         src = src.substring(1, 3)
         outputBuffer += `// ${verbatimOp}\n` +
           `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
-          `  this.#regops.${dst}(this.#regops.${dst}() & this.#ram[this.#regops.${src}() + this.#uint8ToInt8(this.#getPC())])\n` +
+          `  this.#regops.${dst}(this.#regops.${dst}() & this.#readByte(this.#regops.${src}() + this.#uint8ToInt8(this.#getPC())))\n` +
           `  this.#regops.f(this.#flagTable.sz53p[this.#regops.a()] | this.#FREG_H)\n` +
           `}\n`
         break
@@ -1094,7 +1297,7 @@ splitInput.forEach((line) => {
         src = src.replace(/[()]/g, '')
         outputBuffer += `// ${verbatimOp}\n` +
         `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
-        `  this.#regops.${dst}(this.#regops.${dst}() ${bitwiseOp} this.#ram[this.#regops.${src}()])\n` +
+        `  this.#regops.${dst}(this.#regops.${dst}() ${bitwiseOp} this.#readByte(this.#regops.${src}()))\n` +
         `  this.#regops.f(this.#flagTable.sz53p[this.#regops.a()])\n` +
         `}\n`
         break
@@ -1105,7 +1308,7 @@ splitInput.forEach((line) => {
         src = src.substring(1, 3)
         outputBuffer += `// ${verbatimOp}\n` +
         `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
-        `  this.#regops.${dst}(this.#regops.${dst}() ${bitwiseOp} this.#ram[this.#regops.${src}() + this.#uint8ToInt8(this.#getPC())])\n` +
+        `  this.#regops.${dst}(this.#regops.${dst}() ${bitwiseOp} this.#readByte(this.#regops.${src}() + this.#uint8ToInt8(this.#getPC())))\n` +
         `  this.#regops.f(this.#flagTable.sz53p[this.#regops.a()])\n` +
         `}\n`
         break
@@ -1154,7 +1357,7 @@ splitInput.forEach((line) => {
         src = src.replace(/[()]/g, '')
         // against value in (reg)
         outputBuffer += `// ${verbatimOp}\n` +
-          `this.#opcodes${subtablePrefix}[${opcode}] = () => this.#cp8(this.#regops.${dst}(), this.#ram[this.#regops.${src}()])\n`
+          `this.#opcodes${subtablePrefix}[${opcode}] = () => this.#cp8(this.#regops.${dst}(), this.#readByte(this.#regops.${src}()))\n`
         break
       }
 
@@ -1162,7 +1365,7 @@ splitInput.forEach((line) => {
         src = src.substring(1, 3)
         // against value in (reg) + indirect
         outputBuffer += `// ${verbatimOp}\n` +
-          `this.#opcodes${subtablePrefix}[${opcode}] = () => this.#cp8(this.#regops.${dst}(), this.#ram[this.#regops.${src}() + this.#uint8ToInt8(this.#getPC())])\n`
+          `this.#opcodes${subtablePrefix}[${opcode}] = () => this.#cp8(this.#regops.${dst}(), this.#readByte(this.#regops.${src}() + this.#uint8ToInt8(this.#getPC())))\n`
         break
       }
 
@@ -1193,10 +1396,10 @@ splitInput.forEach((line) => {
         const register = subject.replace(/[()]/g, '')
         outputBuffer += `// ${verbatimOp}\n` +
           `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
-          `  this.#ram[this.#regops.${register}()] = ((this.#ram[this.#regops.${register}()] << 1) | (this.#ram[this.#regops.${register}()] >> 7)) & 0xff\n` +
+          `  this.#writeByte(this.#regops.${register}(), ((this.#readByte(this.#regops.${register}()) << 1) | (this.#readByte(this.#regops.${register}()) >> 7)) & 0xff)\n` +
           `  this.#regops.f(\n` +
-          `      ((this.#ram[this.#regops.${register}()] & 0x01) ? this.#FREG_C : 0)\n` +
-          `    | this.#flagTable.sz53p[this.#ram[this.#regops.${register}()]]\n` +
+          `      ((this.#readByte(this.#regops.${register}()) & 0x01) ? this.#FREG_C : 0)\n` +
+          `    | this.#flagTable.sz53p[this.#readByte(this.#regops.${register}())]\n` +
           `  )\n` +
           `}\n`
         break
@@ -1215,10 +1418,10 @@ splitInput.forEach((line) => {
         outputBuffer += `// ${verbatimOp}\n` +
           `this.#opcodes${subtablePrefix}[${opcode}] = (dd) => {\n` +
           `  const location = this.#regops.${indirParam[1]}() + this.#uint8ToInt8(dd)\n` +
-          `  ${secondAssignment}this.#ram[location] = ((this.#ram[location] << 1) | (this.#ram[location] >> 7)) & 0xff${secondAssignment ? ')' : ''}\n` +
+          `  ${secondAssignment}this.#writeByte(location, ((this.#readByte(location) << 1) | (this.#readByte(location) >> 7)) & 0xff)${secondAssignment ? ')' : ''}\n` +
           `  this.#regops.f(\n` +
-          `      ((this.#ram[location] & 0x01) ? this.#FREG_C : 0)\n` +
-          `    | this.#flagTable.sz53p[this.#ram[location]]\n` +
+          `      ((this.#readByte(location) & 0x01) ? this.#FREG_C : 0)\n` +
+          `    | this.#flagTable.sz53p[this.#readByte(location)]\n` +
           `  )\n` +
           `}\n`
         break
@@ -1229,7 +1432,7 @@ splitInput.forEach((line) => {
     }
 
     case 'rl': {
-      // rotate left & and incorporate carry flag if set; bit 7 is lost from the product
+      // rotate left & and incorporate carry flag in as bit 0; bit 7 is lost from the product
       // affects all flags; c as above, sz53p by table values
       const [subject, dst] = param.split(/,/)
 
@@ -1238,7 +1441,7 @@ splitInput.forEach((line) => {
         outputBuffer += `// ${verbatimOp}\n` +
           `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
           `  const carry = (this.#regops.${subject}() & 0x80) ? this.#FREG_C : 0\n` +
-          `  this.#regops.${subject}(((this.#regops.${subject}() << 1) | (carry ? 0x01 : 0x00)) & 0xff)\n` +
+          `  this.#regops.${subject}(((this.#regops.${subject}() << 1) | (this.#regops.f() & this.#FREG_C)) & 0xff)\n` +
           `  this.#regops.f(carry | this.#flagTable.sz53p[this.#regops.${subject}()])\n` +
           `}\n`
         break
@@ -1249,9 +1452,9 @@ splitInput.forEach((line) => {
         const register = subject.replace(/[()]/g, '')
         outputBuffer += `// ${verbatimOp}\n` +
           `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
-          `  const carry = (this.#ram[this.#regops.${register}()] & 0x80) ? this.#FREG_C : 0\n` +
-          `  this.#ram[this.#regops.${register}()] = ((this.#ram[this.#regops.${register}()] << 1) | (carry ? 0x01: 0x00)) & 0xff\n` +
-          `  this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[this.#regops.${register}()]])\n` +
+          `  const carry = (this.#readByte(this.#regops.${register}()) & 0x80) ? this.#FREG_C : 0\n` +
+          `  this.#writeByte(this.#regops.${register}(), ((this.#readByte(this.#regops.${register}()) << 1) | (this.#regops.f() & this.#FREG_C)) & 0xff)\n` +
+          `  this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(this.#regops.${register}())])\n` +
           `}\n`
         break
       }
@@ -1269,9 +1472,9 @@ splitInput.forEach((line) => {
         outputBuffer += `// ${verbatimOp}\n` +
           `this.#opcodes${subtablePrefix}[${opcode}] = (dd) => {\n` +
           `  const location = this.#regops.${indirParam[1]}() + this.#uint8ToInt8(dd)\n` +
-          `  const carry = (this.#ram[location] & 0x80) ? this.#FREG_C : 0\n` +
-          `  ${secondAssignment}this.#ram[location] = ((this.#ram[location] << 1) | (carry ? 0x01: 0x00)) & 0xff${secondAssignment ? ')' : ''}\n` +
-          `  this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])\n` +
+          `  const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0\n` +
+          `  ${secondAssignment}this.#writeByte(location, ((this.#readByte(location) << 1) | (this.#regops.f() & this.#FREG_C)) & 0xff)${secondAssignment ? ')' : ''}\n` +
+          `  this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])\n` +
           `}\n`
         break
       }
@@ -1303,10 +1506,10 @@ splitInput.forEach((line) => {
         const register = subject.replace(/[()]/g, '')
         outputBuffer += `// ${verbatimOp}\n` +
           `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
-          `  this.#ram[this.#regops.${register}()] = ((this.#ram[this.#regops.${register}()] << 7) | (this.#ram[this.#regops.${register}()] >> 1)) & 0xff\n` +
+          `  this.#writeByte(this.#regops.${register}(), ((this.#readByte(this.#regops.${register}()) << 7) | (this.#readByte(this.#regops.${register}()) >> 1)) & 0xff)\n` +
           `  this.#regops.f(\n` +
-          `      ((this.#ram[this.#regops.${register}()] & 0x80) ? this.#FREG_C : 0)\n` +
-          `    | this.#flagTable.sz53p[this.#ram[this.#regops.${register}()]]\n` +
+          `      ((this.#readByte(this.#regops.${register}()) & 0x80) ? this.#FREG_C : 0)\n` +
+          `    | this.#flagTable.sz53p[this.#readByte(this.#regops.${register}())]\n` +
           `  )\n` +
           `}\n`
         break
@@ -1325,10 +1528,10 @@ splitInput.forEach((line) => {
         outputBuffer += `// ${verbatimOp}\n` +
           `this.#opcodes${subtablePrefix}[${opcode}] = (dd) => {\n` +
           `  const location = this.#regops.${indirParam[1]}() + this.#uint8ToInt8(dd)\n` +
-          `  ${secondAssignment}this.#ram[location] = ((this.#ram[location] << 7) | (this.#ram[location] >> 1)) & 0xff${secondAssignment ? ')' : ''}\n` +
+          `  ${secondAssignment}this.#writeByte(location, ((this.#readByte(location) << 7) | (this.#readByte(location) >> 1)) & 0xff)${secondAssignment ? ')' : ''}\n` +
           `  this.#regops.f(\n` +
-          `      ((this.#ram[location] & 0x80) ? this.#FREG_C : 0)\n` +
-          `    | this.#flagTable.sz53p[this.#ram[location]]\n` +
+          `      ((this.#readByte(location) & 0x80) ? this.#FREG_C : 0)\n` +
+          `    | this.#flagTable.sz53p[this.#readByte(location)]\n` +
           `  )\n` +
           `}\n`
         break
@@ -1339,7 +1542,7 @@ splitInput.forEach((line) => {
     }
 
     case 'rr': {
-      // rotate right & and incorporate carry flag; bit 0 is lost from the product
+      // rotate right & and incorporate carry flag as bit 7; bit 0 is lost from the product
       // affects all flags; c as above, sz53p by table values
       const [subject, dst] = param.split(/,/)
 
@@ -1348,7 +1551,7 @@ splitInput.forEach((line) => {
         outputBuffer += `// ${verbatimOp}\n` +
           `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
           `  const carry = (this.#regops.${subject}() & 0x01) ? this.#FREG_C : 0\n` +
-          `  this.#regops.${subject}(((this.#regops.${subject}() >> 1) | (carry ? 0x80 : 0x00)) & 0xff)\n` +
+          `  this.#regops.${subject}(((this.#regops.${subject}() >> 1) | ((this.#regops.f() & this.#FREG_C) ? 0x80 : 0x00)) & 0xff)\n` +
           `  this.#regops.f(carry | this.#flagTable.sz53p[this.#regops.${subject}()])\n` +
           `}\n`
         break
@@ -1359,9 +1562,9 @@ splitInput.forEach((line) => {
         const register = subject.replace(/[()]/g, '')
         outputBuffer += `// ${verbatimOp}\n` +
           `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
-          `  const carry = (this.#ram[this.#regops.${register}()] & 0x01) ? this.#FREG_C : 0\n` +
-          `  this.#ram[this.#regops.${register}()] = ((this.#ram[this.#regops.${register}()] >> 1) | (carry ? 0x80 : 0x00)) & 0xff\n` +
-          `  this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[this.#regops.${register}()]])\n` +
+          `  const carry = (this.#readByte(this.#regops.${register}()) & 0x01) ? this.#FREG_C : 0\n` +
+          `  this.#writeByte(this.#regops.${register}(), ((this.#readByte(this.#regops.${register}()) >> 1) | ((this.#regops.f() & this.#FREG_C) ? 0x80 : 0x00)) & 0xff)\n` +
+          `  this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(this.#regops.${register}())])\n` +
           `}\n`
         break
       }
@@ -1379,9 +1582,9 @@ splitInput.forEach((line) => {
         outputBuffer += `// ${verbatimOp}\n` +
           `this.#opcodes${subtablePrefix}[${opcode}] = (dd) => {\n` +
           `  const location = this.#regops.${indirParam[1]}() + this.#uint8ToInt8(dd)\n` +
-          `  const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0\n` +
-          `  ${secondAssignment}this.#ram[location] = ((this.#ram[location] >> 1) | (carry ? 0x80 : 0x00)) & 0xff${secondAssignment ? ')': ''}\n` +
-          `  this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])\n` +
+          `  const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0\n` +
+          `  ${secondAssignment}this.#writeByte(location, ((this.#readByte(location) >> 1) | ((this.#regops.f() & this.#FREG_C) ? 0x80 : 0x00)) & 0xff)${secondAssignment ? ')': ''}\n` +
+          `  this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])\n` +
           `}\n`
         break
       }
@@ -1412,9 +1615,9 @@ splitInput.forEach((line) => {
         const register = subject.replace(/[()]/g, '')
         outputBuffer += `// ${verbatimOp}\n` +
           `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
-          `  const carry = (this.#ram[this.#regops.${register}()] & 0x80) ? this.#FREG_C : 0\n` +
-          `  this.#ram[this.#regops.${register}()] = ((this.#ram[this.#regops.${register}()] << 1)${mnemonic === 'sll' ? ' | 0x01' : ''}) & 0xff\n` +
-          `  this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[this.#regops.${register}()]])\n` +
+          `  const carry = (this.#readByte(this.#regops.${register}()) & 0x80) ? this.#FREG_C : 0\n` +
+          `  this.#writeByte(this.#regops.${register}(), ((this.#readByte(this.#regops.${register}()) << 1)${mnemonic === 'sll' ? ' | 0x01' : ''}) & 0xff)\n` +
+          `  this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(this.#regops.${register}())])\n` +
           `}\n`
         break
       }
@@ -1432,9 +1635,9 @@ splitInput.forEach((line) => {
         outputBuffer += `// ${verbatimOp}\n` +
           `this.#opcodes${subtablePrefix}[${opcode}] = (dd) => {\n` +
           `  const location = this.#regops.${indirParam[1]}() + this.#uint8ToInt8(dd)\n` +
-          `  const carry = (this.#ram[this.#regops.${register}()] & 0x80) ? this.#FREG_C : 0\n` +
-          `  ${secondAssignment}this.#ram[location] = ((this.#ram[location] << 1)${mnemonic === 'sll' ? ' | 0x01' : ''}) & 0xff${secondAssignment ? ')' : ''}\n` +
-          `  this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])\n` +
+          `  const carry = (this.#readByte(location) & 0x80) ? this.#FREG_C : 0\n` +
+          `  ${secondAssignment}this.#writeByte(location, ((this.#readByte(location) << 1)${mnemonic === 'sll' ? ' | 0x01' : ''}) & 0xff)${secondAssignment ? ')' : ''}\n` +
+          `  this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])\n` +
           `}\n`
         break
       }
@@ -1444,15 +1647,16 @@ splitInput.forEach((line) => {
 
     case 'sra':
     case 'srl': {
-      // sla but right
+      // sla but right; sra keeps bit 7 (the sign), srl shifts in zero
       const [subject, dst] = param.split(/,/)
+      const signBit = (value) => (mnemonic === 'sra') ? ` | (${value} & 0x80)` : ''
 
       if (byteRegMatch(subject)) {
         // register mode
         outputBuffer += `// ${verbatimOp}\n` +
           `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
           `  const carry = (this.#regops.${subject}() & 0x01) ? this.#FREG_C : 0\n` +
-          `  this.#regops.${subject}(((this.#regops.${subject}() >> 1)${mnemonic === 'srl' ? ' | 0x80' : ''}) & 0xff)\n` +
+          `  this.#regops.${subject}(((this.#regops.${subject}() >> 1)${signBit(`this.#regops.${subject}()`)}) & 0xff)\n` +
           `  this.#regops.f(carry | this.#flagTable.sz53p[this.#regops.${subject}()])\n` +
           `}\n`
         break
@@ -1463,9 +1667,9 @@ splitInput.forEach((line) => {
         const register = subject.replace(/[()]/g, '')
         outputBuffer += `// ${verbatimOp}\n` +
           `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
-          `  const carry = (this.#ram[this.#regops.${register}()] & 0x01) ? this.#FREG_C : 0\n` +
-          `  this.#ram[this.#regops.${register}()] = ((this.#ram[this.#regops.${register}()] >> 1)${mnemonic === 'srl' ? ' | 0x80' : ''}) & 0xff\n` +
-          `  this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[this.#regops.${register}()]])\n` +
+          `  const carry = (this.#readByte(this.#regops.${register}()) & 0x01) ? this.#FREG_C : 0\n` +
+          `  this.#writeByte(this.#regops.${register}(), ((this.#readByte(this.#regops.${register}()) >> 1)${signBit(`this.#readByte(this.#regops.${register}())`)}) & 0xff)\n` +
+          `  this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(this.#regops.${register}())])\n` +
           `}\n`
         break
       }
@@ -1483,9 +1687,9 @@ splitInput.forEach((line) => {
         outputBuffer += `// ${verbatimOp}\n` +
           `this.#opcodes${subtablePrefix}[${opcode}] = (dd) => {\n` +
           `  const location = this.#regops.${indirParam[1]}() + this.#uint8ToInt8(dd)\n` +
-          `  const carry = (this.#ram[location] & 0x01) ? this.#FREG_C : 0\n` +
-          `  ${secondAssignment}this.#ram[location] = ((this.#ram[location] >> 1)${mnemonic === 'srl' ? ' | 0x80' : ''}) & 0xff${secondAssignment ? ')' : ''}\n` +
-          `  this.#regops.f(carry | this.#flagTable.sz53p[this.#ram[location]])\n` +
+          `  const carry = (this.#readByte(location) & 0x01) ? this.#FREG_C : 0\n` +
+          `  ${secondAssignment}this.#writeByte(location, ((this.#readByte(location) >> 1)${signBit('this.#readByte(location)')}) & 0xff)${secondAssignment ? ')' : ''}\n` +
+          `  this.#regops.f(carry | this.#flagTable.sz53p[this.#readByte(location)])\n` +
           `}\n`
         break
       }
@@ -1497,9 +1701,10 @@ splitInput.forEach((line) => {
     case 'bit': {
       // test bit N of register/memory and affect flags
       // as with most ops, f3 and f5 leak out of the tested register; c is retained, h is set
-      // if the bit is NOT set, p and z are set
+      // if the bit is NOT set, p and z are set; testing bit 7 copies it into s
 
       const [bit, testSubject] = param.split(/,/)
+      const signFlag = (value) => (bit === '7') ? `    | (${value} & this.#FREG_S)\n` : ''
 
       if (byteRegMatch(testSubject)) {
         // test subject is a register
@@ -1510,6 +1715,7 @@ splitInput.forEach((line) => {
           `    | this.#FREG_H\n` +
           `    | (this.#regops.${testSubject}() & (this.#FREG_F3 | this.#FREG_F5))\n` +
           `    | (((this.#regops.${testSubject}() & (1 << ${bit})) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)\n` +
+          signFlag(`this.#regops.${testSubject}()`) +
           `  )\n` +
           `}\n`
         break
@@ -1523,8 +1729,9 @@ splitInput.forEach((line) => {
           `  this.#regops.f(\n` +
           `      (this.#regops.f() & this.#FREG_C)\n` +
           `    | this.#FREG_H\n` +
-          `    | (this.#ram[this.#regops.${register}()] & (this.#FREG_F3 | this.#FREG_F5))\n` +
-          `    | (((this.#ram[this.#regops.${register}()] & (1 << ${bit})) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)\n` +
+          `    | (this.#readByte(this.#regops.${register}()) & (this.#FREG_F3 | this.#FREG_F5))\n` +
+          `    | (((this.#readByte(this.#regops.${register}()) & (1 << ${bit})) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)\n` +
+          signFlag(`this.#readByte(this.#regops.${register}())`) +
           `  )\n` +
           `}\n`
         break
@@ -1540,8 +1747,9 @@ splitInput.forEach((line) => {
           `  this.#regops.f(\n` +
           `      (this.#regops.f() & this.#FREG_C)\n` +
           `    | this.#FREG_H\n` +
-          `    | (this.#ram[location] & (this.#FREG_F3 | this.#FREG_F5))\n` +
-          `    | (((this.#ram[location] & (1 << ${bit})) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)\n` +
+          `    | (this.#readByte(location) & (this.#FREG_F3 | this.#FREG_F5))\n` +
+          `    | (((this.#readByte(location) & (1 << ${bit})) === 0) ? (this.#FREG_P | this.#FREG_Z) : 0)\n` +
+          signFlag('this.#readByte(location)') +
           `  )\n` +
           `}\n`
         break
@@ -1553,13 +1761,15 @@ splitInput.forEach((line) => {
 
     case 'set':
     case 'res': {
-      // set/reset (clear) bit N of register/memory. flags unaffected. & with inverted bitmap should suffice for reset.
+      // set/reset (clear) bit N of register/memory. flags unaffected. | with the bitmap sets, & with the inverted
+      // bitmap resets.
       const [bit, testSubject, dst] = param.split(/,/)
+      const bitOperation = (mnemonic === 'res') ? '& ~' : '| '
 
       if (byteRegMatch(testSubject)) {
         // register mode
         outputBuffer += `// ${verbatimOp}\n` +
-          `this.#opcodes${subtablePrefix}[${opcode}] = () => this.#regops.${testSubject}(this.#regops.${testSubject}() & ${(mnemonic === 'res') ? '~' : ''}(1 << ${bit}))\n`
+          `this.#opcodes${subtablePrefix}[${opcode}] = () => this.#regops.${testSubject}(this.#regops.${testSubject}() ${bitOperation}(1 << ${bit}))\n`
         break
       }
 
@@ -1568,7 +1778,7 @@ splitInput.forEach((line) => {
         const register = testSubject.replace(/[()]/g, '')
         outputBuffer += `// ${verbatimOp}\n` +
           `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
-          `  this.#ram[this.#regops.${register}()] = this.#ram[this.#regops.${register}()] & ${(mnemonic === 'res') ? '~' : ''}(1 << ${bit})\n` +
+          `  this.#writeByte(this.#regops.${register}(), this.#readByte(this.#regops.${register}()) ${bitOperation}(1 << ${bit}))\n` +
           `}\n`
         break
       }
@@ -1586,7 +1796,7 @@ splitInput.forEach((line) => {
         outputBuffer += `// ${verbatimOp}\n` +
           `this.#opcodes${subtablePrefix}[${opcode}] = (dd) => {\n` +
           `  const location = this.#regops.${indirParam[1]}() + this.#uint8ToInt8(dd)\n` +
-          `  ${secondAssignment}this.#ram[location] = this.#ram[location] & ${(mnemonic === 'res') ? '~' : ''}(1 << ${bit})${secondAssignment ? ')' : ''}\n` +
+          `  ${secondAssignment}this.#writeByte(location, this.#readByte(location) ${bitOperation}(1 << ${bit}))${secondAssignment ? ')' : ''}\n` +
           `}\n`
         break
       }
@@ -1610,8 +1820,8 @@ splitInput.forEach((line) => {
       // shuffle about nibbles between a and (hl)
       outputBuffer += `// ${verbatimOp}\n` +
         `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
-        `  const hlData = this.#ram[this.#registers.hl]\n` +
-        `  this.#ram[this.#registers.hl] = ((this.#regops.a() << 4) | (hlData >> 4)) & 0xff;\n` +
+        `  const hlData = this.#readByte(this.#registers.hl)\n` +
+        `  this.#writeByte(this.#registers.hl, ((this.#regops.a() << 4) | (hlData >> 4)) & 0xff);\n` +
         `  this.#regops.a((this.#regops.a() & 0xf0) | (hlData & 0x0f))\n` +
         `  this.#regops.f((this.#regops.f() & this.#FREG_C) | this.#flagTable.sz53p[this.#regops.a()])\n` +
         `}\n`
@@ -1621,13 +1831,101 @@ splitInput.forEach((line) => {
       // like rrd but moving to different nibble positions
       outputBuffer += `// ${verbatimOp}\n` +
         `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
-        `  const hlData = this.#ram[this.#registers.hl]\n` +
-        `  this.#ram[this.#registers.hl] = ((hlData << 4) | (this.#regops.a() & 0x0f)) & 0xff;\n` +
-        `  this.#regops.a((this.#regops.a() & 0xf0) | (hlData >> 0x0f))\n` +
+        `  const hlData = this.#readByte(this.#registers.hl)\n` +
+        `  this.#writeByte(this.#registers.hl, ((hlData << 4) | (this.#regops.a() & 0x0f)) & 0xff);\n` +
+        `  this.#regops.a((this.#regops.a() & 0xf0) | (hlData >> 4))\n` +
         `  this.#regops.f((this.#regops.f() & this.#FREG_C) | this.#flagTable.sz53p[this.#regops.a()])\n` +
         `}\n`
       break
 
+    case 'ldi':
+    case 'ldd':
+    case 'ldir':
+    case 'lddr':
+      // block copy: (de) = (hl), step hl & de and count bc down; the repeating forms run until bc is zero
+      // p/v is set while bc is non-zero, f3 & f5 come from bits 3 & 1 of the copied byte plus a
+      outputBuffer += `// ${verbatimOp}\n` +
+        `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
+        `  const byte = this.#readByte(this.#registers.hl)\n` +
+        `  this.#writeByte(this.#registers.de, byte)\n` +
+        `  this.#registers.bc = this.#subWord(this.#registers.bc, 1)\n` +
+        `  this.#registers.de = this.#${blockStep(mnemonic)}(this.#registers.de, 1)\n` +
+        `  this.#registers.hl = this.#${blockStep(mnemonic)}(this.#registers.hl, 1)\n` +
+        `  const leak = this.#addByte(byte, this.#regops.a())\n` +
+        `  this.#regops.f(\n` +
+        `      (this.#regops.f() & (this.#FREG_C | this.#FREG_Z | this.#FREG_S))\n` +
+        `    | (this.#registers.bc ? this.#FREG_V : 0)\n` +
+        `    | (leak & this.#FREG_F3)\n` +
+        `    | ((leak & 0x02) ? this.#FREG_F5 : 0)\n` +
+        `  )\n` +
+        blockRepeat(mnemonic, 'this.#registers.bc') +
+        `}\n`
+      break
+
+    case 'cpi':
+    case 'cpd':
+    case 'cpir':
+    case 'cpdr':
+      // block compare: cp (hl), step hl and count bc down; the repeating forms stop on a match or when bc is zero
+      // ported from fuse; f3 & f5 come from the result, less one if half carry was set
+      outputBuffer += `// ${verbatimOp}\n` +
+        `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
+        `  const value = this.#readByte(this.#registers.hl)\n` +
+        `  let result = this.#subByte(this.#regops.a(), value)\n` +
+        `  const hcsLookup = ((this.#regops.a() & 0x08) >> 3) | ((value & 0x08) >> 2) | ((result & 0x08) >> 1)\n` +
+        `  this.#registers.hl = this.#${blockStep(mnemonic)}(this.#registers.hl, 1)\n` +
+        `  this.#registers.bc = this.#subWord(this.#registers.bc, 1)\n` +
+        `  this.#regops.f(\n` +
+        `      (this.#regops.f() & this.#FREG_C)\n` +
+        `    | (this.#registers.bc ? (this.#FREG_V | this.#FREG_N) : this.#FREG_N)\n` +
+        `    | this.#halfCarrySub[hcsLookup]\n` +
+        `    | (result ? 0 : this.#FREG_Z)\n` +
+        `    | (result & this.#FREG_S)\n` +
+        `  )\n` +
+        `  if (this.#regops.f() & this.#FREG_H)\n` +
+        `    result = this.#subByte(result, 1)\n` +
+        `  this.#regops.f(this.#regops.f() | (result & this.#FREG_F3) | ((result & 0x02) ? this.#FREG_F5 : 0))\n` +
+        blockRepeat(mnemonic, '(this.#regops.f() & (this.#FREG_V | this.#FREG_Z)) === this.#FREG_V') +
+        `}\n`
+      break
+
+    case 'ini':
+    case 'ind':
+    case 'inir':
+    case 'indr':
+      // block input: (hl) = in (bc), step hl and count b down; the repeating forms run until b is zero
+      // flag behaviour ported from fuse
+      outputBuffer += `// ${verbatimOp}\n` +
+        `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
+        `  const byte = this.#callIoHandler(this.#registers.bc, 'r')\n` +
+        `  this.#writeByte(this.#registers.hl, byte)\n` +
+        `  this.#regops.b(this.#subByte(this.#regops.b(), 1))\n` +
+        `  this.#registers.hl = this.#${blockStep(mnemonic)}(this.#registers.hl, 1)\n` +
+        `  const adjusted = this.#addByte(byte, this.#${blockStep(mnemonic).replace('Word', 'Byte')}(this.#regops.c(), 1))\n` +
+        blockIoFlags +
+        blockRepeat(mnemonic, 'this.#regops.b()') +
+        `}\n`
+      break
+
+    case 'outi':
+    case 'outd':
+    case 'otir':
+    case 'otdr':
+      // block output: out (bc),(hl), step hl and count b down (before the write, so the port has the new b); the
+      // repeating forms run until b is zero
+      // flag behaviour ported from fuse
+      outputBuffer += `// ${verbatimOp}\n` +
+        `this.#opcodes${subtablePrefix}[${opcode}] = () => {\n` +
+        `  const byte = this.#readByte(this.#registers.hl)\n` +
+        `  this.#regops.b(this.#subByte(this.#regops.b(), 1))\n` +
+        `  this.#callIoHandler(this.#registers.bc, 'w', byte)\n` +
+        `  this.#registers.hl = this.#${blockStep(mnemonic)}(this.#registers.hl, 1)\n` +
+        `  const adjusted = this.#addByte(byte, this.#regops.l())\n` +
+        blockIoFlags +
+        blockRepeat(mnemonic, 'this.#regops.b()') +
+        `}\n`
+      break
+
     default:
       if (typeof unhandled[mnemonic] === 'undefined') {
         console.warn(`unhandled mnemonic: ${mnemonic}`)
@@ -1635,10 +1933,27 @@ splitInput.forEach((line) => {
       }
       unhandled[mnemonic]++
     }
+
+  // record the t-states taken by the opcode (or an empty subtable to mirror a shift) alongside it, and the
+  // mnemonic for the disassembler; only opcodes the cpu implements are disassembled
+  if (outputBuffer.length !== outputStart) {
+    outputBuffer += (mnemonic === 'shift')
+      ? `this.#opcodeCycles${subtablePrefix}[${opcode}] = []\n`
+      : `this.#opcodeCycles${subtablePrefix}[${opcode}] = ${tStates(mnemonic, param, base)}\n`
+
+    // use the fixed up line so undocumented ddcb ops read as "rlc (ix+dd),b"; rst addresses are hex in the tables
+    const text = line.toLowerCase()
+      .replace(/^0x.. /, '')
+      .replace(/^rst (.*)$/, (match, address) => `rst $${address.padStart(2, '0')}`)
+      .replace(/'/g, "\\'")
+    mnemonicBuffer += (mnemonic === 'shift')
+      ? `this.#mnemonics${subtablePrefix}[${opcode}] = []\n`
+      : `this.#mnemonics${subtablePrefix}[${opcode}] = '${text}'\n`
+  }
 })
 
 try {
-  fs.writeFileSync(outfile, outputBuffer)
+  fs.writeFileSync(outfile, mnemonicsOnly ? mnemonicBuffer : outputBuffer)
 } catch (e) {
   console.error(`Failed to write output file: ${e}`)
   process.exit(1)